@@ -4,13 +4,19 @@
 
 import { eventBus } from './services/eventBus.js';
 import { showToast, showSuccess, showError } from './services/toast.js';
-import { formatCurrency, formatDate, escapeHtml, renderCategoryBadge, getContrastColor, showLoading, hideLoading } from './utils/formatters.js';
-import { fetchAPI } from './services/api.js';
+import { formatCurrency, formatDate, escapeHtml, escapeAttribute, renderCategoryBadge, getContrastColor, showLoading, hideLoading } from './utils/formatters.js';
+import { fetchAPI, runBackgroundJob } from './services/api.js';
+import { connectServerEvents } from './services/serverEvents.js';
+import { debounce } from './utils/helpers.js';
+import { createMappingForm } from './components/ImportMappingForm.js';
 import { initializeDashboardPage, loadDashboard } from './pages/DashboardPage.js';
 import { initializeAccountsPage, loadAccounts } from './pages/AccountsPage.js';
 import { initializeTransactionsPage, loadTransactions, applyTransactionFilters, loadTransactionFilters } from './pages/TransactionsPage.js';
 import { initializeAmazonPage, loadAmazonPage, handleAmazonFileUpload } from './pages/AmazonPage.js';
 import { initializeCategoriesPage, loadCategories } from './pages/CategoriesPage.js';
+import { initializeBudgetsPage, loadBudgets } from './pages/BudgetsPage.js';
+import { initializeReportsPage, loadReports } from './pages/ReportsPage.js';
+import { initializeMerchantsPage, loadMerchants } from './pages/MerchantsPage.js';
 import { initializeMappingsPage, loadMappings } from './pages/MappingsPage.js';
 import { initializeSettingsPage, loadSettingsPage } from './pages/SettingsPage.js';
 
@@ -57,6 +63,18 @@ function setupReactiveUpdates() {
         if (currentPage === 'dashboard') {
             loadDashboard();
         }
+        if (currentPage === 'budgets') {
+            loadBudgets();
+        }
+        if (currentPage === 'accounts') {
+            loadAccounts(); // Reimbursement balances
+        }
+        if (currentPage === 'reports') {
+            loadReports();
+        }
+        if (currentPage === 'merchants') {
+            loadMerchants();
+        }
     });
 
     // When categories change, refresh categories page and dropdowns
@@ -65,11 +83,28 @@ function setupReactiveUpdates() {
         if (currentPage === 'categories') {
             loadCategories();
         }
+        if (currentPage === 'budgets') {
+            loadBudgets();
+        }
+        if (currentPage === 'reports') {
+            loadReports();
+        }
+        if (currentPage === 'merchants') {
+            loadMerchants();
+        }
         if (currentPage === 'transactions') {
             loadTransactions(); // Reload to get updated category dropdowns
         }
     });
 
+    // When budgets change, refresh budgets page
+    eventBus.on('budgetsUpdated', () => {
+        console.log('📡 Budgets updated, refreshing views...');
+        if (currentPage === 'budgets') {
+            loadBudgets();
+        }
+    });
+
     // When mappings change, refresh mappings page
     eventBus.on('mappingsUpdated', () => {
         console.log('📡 Mappings updated, refreshing views...');
@@ -97,6 +132,15 @@ function setupReactiveUpdates() {
             case 'categories':
                 loadCategories();
                 break;
+            case 'budgets':
+                loadBudgets();
+                break;
+            case 'reports':
+                loadReports();
+                break;
+            case 'merchants':
+                loadMerchants();
+                break;
             case 'mappings':
                 loadMappings();
                 break;
@@ -129,6 +173,15 @@ document.addEventListener('DOMContentLoaded', () => {
         navigateTo,
         applyTransactionFilters
     });
+    initializeBudgetsPage({
+        fetchAPI
+    });
+    initializeReportsPage({
+        fetchAPI
+    });
+    initializeMerchantsPage({
+        fetchAPI
+    });
     initializeMappingsPage({
         fetchAPI
     });
@@ -139,6 +192,7 @@ document.addEventListener('DOMContentLoaded', () => {
     setupNavigation(); // This will handle initial page load via hash
     setupEventListeners();
     setupReactiveUpdates();
+    connectServerEvents(); // Live updates from background jobs and other tabs
     checkEnvironment();
     loadAppSettings(); // Load app settings cache
 });
@@ -167,7 +221,7 @@ function handleHashChange() {
     let page = window.location.hash.slice(1) || 'dashboard';
 
     // Validate page exists
-    const validPages = ['dashboard', 'accounts', 'transactions', 'categories', 'mappings', 'amazon', 'settings', 'link'];
+    const validPages = ['dashboard', 'accounts', 'transactions', 'categories', 'budgets', 'reports', 'merchants', 'mappings', 'amazon', 'settings', 'link'];
     if (!validPages.includes(page)) {
         page = 'dashboard';
         window.location.hash = page;
@@ -213,6 +267,15 @@ function navigateTo(page, updateHash = true) {
         case 'categories':
             loadCategories();
             break;
+        case 'budgets':
+            loadBudgets();
+            break;
+        case 'reports':
+            loadReports();
+            break;
+        case 'merchants':
+            loadMerchants();
+            break;
         case 'mappings':
             loadMappings();
             break;
@@ -344,12 +407,9 @@ async function syncTransactions() {
     btn.innerHTML = '<span class="icon">⏳</span> Syncing...';
 
     try {
-        const result = await fetchAPI('/api/sync', { method: 'POST' });
-        showToast(`Synced successfully! ${result.newTransactions || 0} new transactions`, 'success');
-
-        // Emit events to update all views
-        eventBus.emit('accountsUpdated');
-        eventBus.emit('transactionsUpdated');
+        const result = await runBackgroundJob('/api/sync');
+        showToast(`Synced successfully! ${result.totalTransactions || 0} new transactions`, 'success');
+        // Views refresh from the server's syncCompleted event
     } catch (error) {
         showToast('Sync failed: ' + error.message, 'error');
         console.error(error);
@@ -369,11 +429,9 @@ async function backfillHistoricalTransactions() {
     showToast('Fetching all available historical transactions... This may take a few minutes.', 'info');
 
     try {
-        const result = await fetchAPI('/api/backfill', { method: 'POST' });
+        const result = await runBackgroundJob('/api/backfill');
         showToast(`Backfill complete! ${result.totalTransactions || 0} new transactions added`, 'success');
-
-        // Emit events to update all views
-        eventBus.emit('transactionsUpdated');
+        // Views refresh from the server's syncCompleted event
     } catch (error) {
         showToast('Backfill failed: ' + error.message, 'error');
         console.error(error);
@@ -579,6 +637,359 @@ async function completeCopilotImport(manualMappings) {
     }
 }
 
+// ============================================================================
+// BANK STATEMENT IMPORT (CSV, OFX, QFX)
+// ============================================================================
+
+// File being imported: { content, filename, importOptions, profiles, profileId,
+// mapping, analysis, mappingForm }. mapping is set once the user edits it;
+// until then the server uses the chosen profile or its own guess.
+let statementImport = null;
+let statementAnalysisSequence = 0;
+
+const STATEMENT_STATUS_BADGES = {
+    new: '<span style="padding: 0.1rem 0.5rem; border-radius: 999px; background: #d1fae5; color: #065f46; font-size: 0.75rem;">New</span>',
+    duplicate: '<span style="padding: 0.1rem 0.5rem; border-radius: 999px; background: #e5e7eb; color: #374151; font-size: 0.75rem;">Duplicate</span>',
+    possible_duplicate: '<span style="padding: 0.1rem 0.5rem; border-radius: 999px; background: #fef3c7; color: #92400e; font-size: 0.75rem;">Possible duplicate</span>'
+};
+
+async function handleStatementFileUpload(event) {
+    const file = event.target.files[0];
+
+    if (!file) {
+        return;
+    }
+
+    if (!/\.(csv|ofx|qfx|txt)$/i.test(file.name)) {
+        showToast('Please upload a CSV, OFX or QFX file', 'error');
+        return;
+    }
+
+    showLoading();
+
+    try {
+        const [content, importOptions, profiles] = await Promise.all([
+            file.text(),
+            fetchAPI('/api/import/options'),
+            fetchAPI('/api/import/profiles')
+        ]);
+
+        statementImport = {
+            content,
+            filename: file.name,
+            importOptions,
+            profiles,
+            profileId: null,
+            mapping: null,
+            analysis: null,
+            mappingForm: null
+        };
+
+        document.getElementById('statementAccountInput').value = '';
+        document.getElementById('statementIncludePossible').checked = false;
+        document.getElementById('statementProfileName').value = '';
+
+        await runStatementAnalysis();
+        document.getElementById('statementImportModal').style.display = 'flex';
+
+        // Clear the file input
+        event.target.value = '';
+    } catch (error) {
+        console.error('Error analyzing statement:', error);
+        document.getElementById('statementImportStatus').innerHTML = `
+            <div style="padding: 1rem; background: #fee2e2; border: 1px solid #dc2626; border-radius: 6px; color: #991b1b;">
+                <strong>✗ Analysis Failed</strong><br>
+                <span style="font-size: 0.9rem;">${escapeHtml(error.message)}</span>
+            </div>
+        `;
+        showToast('Analysis failed: ' + error.message, 'error');
+        statementImport = null;
+    } finally {
+        hideLoading();
+    }
+}
+
+function statementRequestBody() {
+    return {
+        content: statementImport.content,
+        filename: statementImport.filename,
+        profileId: statementImport.mapping ? undefined : statementImport.profileId || undefined,
+        mapping: statementImport.mapping || undefined,
+        accountName: document.getElementById('statementAccountInput').value.trim() || undefined
+    };
+}
+
+async function runStatementAnalysis() {
+    if (!statementImport) return;
+
+    const sequence = ++statementAnalysisSequence;
+    const analysis = await fetchAPI('/api/import/analyze', {
+        method: 'POST',
+        body: JSON.stringify(statementRequestBody())
+    });
+
+    // A newer preview was requested while this one was running
+    if (sequence !== statementAnalysisSequence || !statementImport) return;
+
+    statementImport.analysis = analysis;
+    if (analysis.profile) {
+        statementImport.profileId = analysis.profile.id;
+    }
+
+    renderStatementProfiles();
+    renderStatementMapping(analysis);
+    renderStatementPreview(analysis);
+    updateStatementImportButton();
+}
+
+// Re-run the preview after edits (typing in the account name, mapping changes)
+const refreshStatementPreview = debounce(() => {
+    runStatementAnalysis().catch(error => showToast('Preview failed: ' + error.message, 'error'));
+}, 400);
+
+function renderStatementProfiles() {
+    const isCSV = statementImport.analysis.format === 'csv';
+    document.getElementById('statementProfileField').style.display = isCSV ? 'block' : 'none';
+
+    const select = document.getElementById('statementProfileSelect');
+    select.innerHTML = `
+        <option value="">${statementImport.mapping ? 'Custom mapping' : 'Detect columns automatically'}</option>
+        ${statementImport.profiles.map(profile => `
+            <option value="${profile.id}" ${profile.id === statementImport.profileId ? 'selected' : ''}>${escapeHtml(profile.name)}</option>
+        `).join('')}
+    `;
+}
+
+function renderStatementMapping(analysis) {
+    const section = document.getElementById('statementMappingSection');
+
+    if (analysis.format !== 'csv') {
+        section.style.display = 'none';
+        return;
+    }
+
+    section.style.display = 'block';
+
+    if (!statementImport.mappingForm) {
+        statementImport.mappingForm = createMappingForm(document.getElementById('statementMappingForm'), {
+            importOptions: statementImport.importOptions,
+            headers: analysis.headers,
+            mapping: analysis.mapping,
+            onChange: (mapping) => {
+                statementImport.mapping = mapping;
+                refreshStatementPreview();
+            }
+        });
+    } else {
+        statementImport.mappingForm.setMapping(analysis.mapping, analysis.headers);
+    }
+
+    // A profile remembers the account its files belong to
+    const accountInput = document.getElementById('statementAccountInput');
+    if (!accountInput.value && analysis.mapping?.accountName) {
+        accountInput.value = analysis.mapping.accountName;
+    }
+
+    const profile = statementImport.profiles.find(p => p.id === statementImport.profileId);
+    const nameInput = document.getElementById('statementProfileName');
+    if (profile && !nameInput.value) {
+        nameInput.value = profile.name;
+    }
+}
+
+function renderStatementPreview(analysis) {
+    const preview = document.getElementById('statementImportPreview');
+
+    const summary = `
+        <div style="margin-bottom: 0.75rem; font-size: 0.9rem;">
+            <strong>${analysis.format.toUpperCase()}</strong> ·
+            ${analysis.totalTransactions} transaction${analysis.totalTransactions === 1 ? '' : 's'} ·
+            ${analysis.newCount} new ·
+            ${analysis.duplicateCount} already imported ·
+            ${analysis.possibleDuplicateCount} possible duplicate${analysis.possibleDuplicateCount === 1 ? '' : 's'}
+            ${analysis.errorCount > 0 ? ` · <span style="color: #dc2626;">${analysis.errorCount} unreadable row${analysis.errorCount === 1 ? '' : 's'}</span>` : ''}
+            ${analysis.accounts?.length > 0 ? `<div style="color: #666; font-size: 0.85rem;">Account${analysis.accounts.length > 1 ? 's' : ''}: ${analysis.accounts.map(escapeHtml).join(', ')}</div>` : ''}
+        </div>
+    `;
+
+    const mappingError = analysis.mappingError ? `
+        <div style="padding: 0.75rem; margin-bottom: 0.75rem; background: #fef3c7; border: 1px solid #f59e0b; border-radius: 6px; color: #92400e;">
+            ${escapeHtml(analysis.mappingError)}
+        </div>
+    ` : '';
+
+    const sampleRows = analysis.headers && analysis.sampleRows?.length > 0 ? `
+        <details style="margin-bottom: 0.75rem;">
+            <summary style="cursor: pointer; font-size: 0.85rem; color: #666;">Show file columns</summary>
+            <div style="overflow-x: auto; margin-top: 0.5rem;">
+                <table class="transactions-table" style="font-size: 0.8rem;">
+                    <thead><tr>${analysis.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${analysis.sampleRows.map(row => `<tr>${analysis.headers.map((_, i) => `<td>${escapeHtml(row[i] || '')}</td>`).join('')}</tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </details>
+    ` : '';
+
+    const rowErrors = analysis.rowErrors?.length > 0 ? `
+        <details style="margin-bottom: 0.75rem;">
+            <summary style="cursor: pointer; font-size: 0.85rem; color: #dc2626;">Show unreadable rows</summary>
+            <div style="margin-top: 0.5rem; font-size: 0.85rem;">
+                ${analysis.rowErrors.map(rowError => `<div>Row ${rowError.row}: ${escapeHtml(rowError.error)}</div>`).join('')}
+                ${analysis.errorCount > analysis.rowErrors.length ? `<div>...and ${analysis.errorCount - analysis.rowErrors.length} more</div>` : ''}
+            </div>
+        </details>
+    ` : '';
+
+    const rows = analysis.transactions.map(tx => `
+        <tr>
+            <td>${formatDate(tx.date)}</td>
+            <td>
+                <div>${escapeHtml(tx.description)}</div>
+                ${tx.notes ? `<div style="font-size: 0.75rem; color: var(--text-secondary);">${escapeHtml(tx.notes)}</div>` : ''}
+            </td>
+            <td>${escapeHtml(tx.account_name)}</td>
+            <td class="amount-cell ${tx.amount > 0 ? 'positive' : 'negative'}">${formatCurrency(tx.amount)}</td>
+            <td title="${tx.duplicate_of ? escapeAttribute(`Matches ${tx.duplicate_of.date} ${tx.duplicate_of.description} ${formatCurrency(tx.duplicate_of.amount)}`) : ''}">
+                ${STATEMENT_STATUS_BADGES[tx.status] || ''}
+            </td>
+        </tr>
+    `).join('');
+
+    preview.innerHTML = `
+        ${summary}
+        ${mappingError}
+        ${sampleRows}
+        ${rowErrors}
+        ${analysis.transactions.length > 0 ? `
+            <div style="max-height: 360px; overflow-y: auto;">
+                <table class="transactions-table">
+                    <thead><tr><th>Date</th><th>Description</th><th>Account</th><th>Amount</th><th>Status</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            ${analysis.totalTransactions > analysis.transactions.length ? `<div style="font-size: 0.8rem; color: #666; margin-top: 0.5rem;">Showing the first ${analysis.transactions.length} of ${analysis.totalTransactions}</div>` : ''}
+        ` : ''}
+    `;
+}
+
+function updateStatementImportButton() {
+    const button = document.getElementById('statementImportButton');
+    const analysis = statementImport?.analysis;
+    if (!button || !analysis) return;
+
+    const includePossible = document.getElementById('statementIncludePossible').checked;
+    const count = analysis.newCount + (includePossible ? analysis.possibleDuplicateCount : 0);
+
+    button.disabled = Boolean(analysis.mappingError) || count === 0;
+    button.textContent = `Import ${count} Transaction${count === 1 ? '' : 's'}`;
+}
+
+function selectStatementProfile() {
+    const value = document.getElementById('statementProfileSelect').value;
+    statementImport.profileId = value ? parseInt(value) : null;
+    statementImport.mapping = null;
+
+    const profile = statementImport.profiles.find(p => p.id === statementImport.profileId);
+    document.getElementById('statementAccountInput').value = profile?.mapping.accountName || '';
+    document.getElementById('statementProfileName').value = profile?.name || '';
+
+    refreshStatementPreview();
+}
+
+async function saveStatementProfile() {
+    if (!statementImport?.mappingForm) return;
+
+    const name = document.getElementById('statementProfileName').value.trim();
+    if (!name) {
+        showToast('Enter a profile name', 'error');
+        return;
+    }
+
+    const mapping = {
+        ...statementImport.mappingForm.getMapping(),
+        accountName: document.getElementById('statementAccountInput').value.trim()
+    };
+    const current = statementImport.profiles.find(p => p.id === statementImport.profileId);
+
+    try {
+        // Saving under the selected profile's name updates it; a new name makes a new profile
+        const profile = current && current.name === name
+            ? await fetchAPI(`/api/import/profiles/${current.id}`, {
+                method: 'PUT',
+                body: JSON.stringify({ mapping, headers: statementImport.analysis.headers })
+            })
+            : await fetchAPI('/api/import/profiles', {
+                method: 'POST',
+                body: JSON.stringify({ name, mapping, headers: statementImport.analysis.headers })
+            });
+
+        statementImport.profiles = await fetchAPI('/api/import/profiles');
+        statementImport.profileId = profile.id;
+        statementImport.mapping = null;
+        renderStatementProfiles();
+        showToast(`Profile "${profile.name}" saved`, 'success');
+    } catch (error) {
+        console.error('Error saving import profile:', error);
+        showToast('Failed to save profile: ' + error.message, 'error');
+    }
+}
+
+function closeStatementImportModal() {
+    document.getElementById('statementImportModal').style.display = 'none';
+    document.getElementById('statementMappingForm').innerHTML = '';
+    statementImport = null;
+}
+
+async function completeStatementImport() {
+    if (!statementImport?.analysis) {
+        showToast('No import data available', 'error');
+        return;
+    }
+
+    const body = {
+        ...statementRequestBody(),
+        includePossibleDuplicates: document.getElementById('statementIncludePossible').checked
+    };
+
+    closeStatementImportModal();
+    showLoading();
+    showToast('Importing transactions...', 'info');
+
+    try {
+        const result = await fetchAPI('/api/import/import', {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+
+        document.getElementById('statementImportStatus').innerHTML = `
+            <div style="padding: 1rem; background: #d1fae5; border: 1px solid #10b981; border-radius: 6px; color: #065f46;">
+                <strong style="display: block; margin-bottom: 0.5rem;">✓ Import Successful!</strong>
+                <div style="font-size: 0.9rem;">
+                    • ${result.imported} transactions imported into ${result.accounts.map(escapeHtml).join(', ')}<br>
+                    • ${result.skipped} transactions skipped (duplicates)
+                    ${result.errors > 0 ? `<br>• ${result.errors} rows couldn't be read` : ''}
+                </div>
+            </div>
+        `;
+
+        showToast(`Successfully imported ${result.imported} transactions!`, 'success');
+        eventBus.emit('transactionsUpdated');
+    } catch (error) {
+        console.error('Error importing statement:', error);
+        document.getElementById('statementImportStatus').innerHTML = `
+            <div style="padding: 1rem; background: #fee2e2; border: 1px solid #dc2626; border-radius: 6px; color: #991b1b;">
+                <strong>✗ Import Failed</strong><br>
+                <span style="font-size: 0.9rem;">${escapeHtml(error.message)}</span>
+            </div>
+        `;
+        showToast('Import failed: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
 // Note: fetchAPI is now imported from services/api.js
 // Note: formatCurrency, formatDate, escapeHtml, renderCategoryBadge,
 // getContrastColor, showLoading, hideLoading are imported from utils/formatters.js
@@ -808,6 +1219,15 @@ window.handleCopilotFileUpload = handleCopilotFileUpload;
 window.closeCopilotMappingModal = closeCopilotMappingModal;
 window.completeCopilotImport = completeCopilotImport;
 
+// Bank statement import functions
+window.handleStatementFileUpload = handleStatementFileUpload;
+window.selectStatementProfile = selectStatementProfile;
+window.refreshStatementPreview = refreshStatementPreview;
+window.saveStatementProfile = saveStatementProfile;
+window.updateStatementImportButton = updateStatementImportButton;
+window.closeStatementImportModal = closeStatementImportModal;
+window.completeStatementImport = completeStatementImport;
+
 // Note: Transaction functions now exposed in pages/TransactionsPage.js
 // Note: Amazon functions now exposed in pages/AmazonPage.js
 // Note: Category functions now exposed in pages/CategoriesPage.js
@@ -0,0 +1,148 @@
+/**
+ * ImportMappingForm Component
+ * Edits how a CSV bank statement is read: delimiter, header row, date format,
+ * sign convention, debit/credit columns and which column holds what
+ */
+
+import { escapeHtml, escapeAttribute } from '../utils/formatters.js';
+
+const COLUMN_LABELS = {
+    date: 'Date',
+    description: 'Description',
+    amount: 'Amount',
+    debit: 'Debit (money out)',
+    credit: 'Credit (money in)',
+    merchant: 'Merchant',
+    notes: 'Notes',
+    category: 'Category',
+    reference: 'Reference / ID'
+};
+
+const DELIMITER_LABELS = {
+    ',': 'Comma (,)',
+    ';': 'Semicolon (;)',
+    '\t': 'Tab',
+    '|': 'Pipe (|)'
+};
+
+/**
+ * Create a mapping form inside a container
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} options - Configuration options
+ * @param {Object} options.importOptions - { dateFormats, delimiters, columns } from /api/import/options
+ * @param {Array} options.headers - Column names of the file
+ * @param {Object} options.mapping - Initial mapping
+ * @param {Function} options.onChange - Called with the mapping after every edit
+ * @returns {Object} { getMapping, setMapping }
+ */
+export function createMappingForm(container, options) {
+    const { importOptions, onChange = () => {} } = options;
+    let headers = options.headers || [];
+    let mapping = normalize(options.mapping);
+
+    function normalize(value = {}) {
+        return {
+            delimiter: ',',
+            hasHeader: true,
+            skipRows: 0,
+            dateFormat: importOptions.dateFormats[0],
+            amountMode: 'single',
+            signConvention: 'expense_negative',
+            decimalSeparator: '.',
+            accountName: '',
+            ...value,
+            columns: { ...(value.columns || {}) }
+        };
+    }
+
+    function getMapping() {
+        const columns = {};
+        const amountColumns = mapping.amountMode === 'single' ? ['amount'] : ['debit', 'credit'];
+
+        for (const key of importOptions.columns) {
+            const isAmountColumn = ['amount', 'debit', 'credit'].includes(key);
+            if (mapping.columns[key] && (!isAmountColumn || amountColumns.includes(key))) {
+                columns[key] = mapping.columns[key];
+            }
+        }
+
+        return { ...mapping, columns };
+    }
+
+    function setMapping(value, newHeaders = headers) {
+        mapping = normalize(value);
+        headers = newHeaders || [];
+        render();
+    }
+
+    function select(role, choices, selected) {
+        return `
+            <select class="form-select" style="width: 100%; padding: 0.4rem;" data-role="${role}">
+                ${choices.map(([value, label]) => `<option value="${escapeAttribute(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+            </select>
+        `;
+    }
+
+    function field(label, control) {
+        return `
+            <label style="display: block; font-size: 0.8rem; color: var(--text-secondary);">
+                ${label}
+                <div style="margin-top: 0.25rem;">${control}</div>
+            </label>
+        `;
+    }
+
+    function render() {
+        const dateFormats = importOptions.dateFormats.includes(mapping.dateFormat)
+            ? importOptions.dateFormats
+            : [mapping.dateFormat, ...importOptions.dateFormats];
+        const columnChoices = [['', '-- none --'], ...headers.map(header => [header, header])];
+        const visibleColumns = importOptions.columns.filter(key => mapping.amountMode === 'single'
+            ? key !== 'debit' && key !== 'credit'
+            : key !== 'amount');
+
+        container.innerHTML = `
+            <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(170px, 1fr)); gap: 0.75rem; margin-bottom: 1rem;">
+                ${field('Delimiter', select('delimiter', importOptions.delimiters.map(d => [d, DELIMITER_LABELS[d] || d]), mapping.delimiter))}
+                ${field('Lines to skip before header', `<input type="number" min="0" class="form-input" style="width: 100%; padding: 0.4rem;" data-role="skipRows" value="${Number(mapping.skipRows) || 0}">`)}
+                ${field('First row', select('hasHeader', [['yes', 'Is a header'], ['no', 'Is a transaction']], mapping.hasHeader === false ? 'no' : 'yes'))}
+                ${field('Date format', select('dateFormat', dateFormats.map(f => [f, f]), mapping.dateFormat))}
+                ${field('Amounts', select('amountMode', [['single', 'One amount column'], ['debit_credit', 'Debit and credit columns']], mapping.amountMode))}
+                ${mapping.amountMode === 'single'
+                    ? field('Money going out is', select('signConvention', [['expense_negative', 'Negative (-12.34)'], ['expense_positive', 'Positive (12.34)']], mapping.signConvention))
+                    : ''}
+                ${field('Decimal separator', select('decimalSeparator', [['.', 'Point (1,234.56)'], [',', 'Comma (1.234,56)']], mapping.decimalSeparator))}
+            </div>
+            <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(170px, 1fr)); gap: 0.75rem;">
+                ${visibleColumns.map(key => field(
+                    `${COLUMN_LABELS[key] || key}${['date', 'description', 'amount'].includes(key) ? ' *' : ''}`,
+                    `<select class="form-select" style="width: 100%; padding: 0.4rem;" data-role="column" data-column="${key}">
+                        ${columnChoices.map(([value, label]) => `<option value="${escapeAttribute(value)}" ${value === (mapping.columns[key] || '') ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+                    </select>`
+                )).join('')}
+            </div>
+        `;
+    }
+
+    container.addEventListener('change', (e) => {
+        const { role, column } = e.target.dataset;
+        if (!role) return;
+
+        if (role === 'column') {
+            mapping.columns[column] = e.target.value;
+        } else if (role === 'skipRows') {
+            mapping.skipRows = Math.max(0, parseInt(e.target.value) || 0);
+        } else if (role === 'hasHeader') {
+            mapping.hasHeader = e.target.value === 'yes';
+        } else {
+            mapping[role] = e.target.value;
+        }
+
+        render();
+        onChange(getMapping());
+    });
+
+    render();
+
+    return { getMapping, setMapping };
+}
@@ -0,0 +1,168 @@
+/**
+ * RuleActionsEditor Component
+ * Edits the list of actions a rule runs on matching transactions
+ * (display name, tags, note, split template, transfer flag, report exclusion)
+ */
+
+import { escapeHtml, escapeAttribute } from '../utils/formatters.js';
+
+/**
+ * Create an actions editor inside a container
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} options - Configuration options
+ * @param {Object} options.actionTypes - Action definitions from /api/category-mappings/rules/actions
+ * @param {Function} options.getCategories - Returns category names for split parts
+ * @returns {Object} { getActions, setActions }
+ */
+export function createActionsEditor(container, options) {
+    const { actionTypes, getCategories } = options;
+    let actions = [];
+
+    function defaultValue(type) {
+        switch (actionTypes[type]?.value) {
+            case 'splits': return [{ category: '', percent: 50 }, { category: '', percent: 50 }];
+            case 'text':
+            case 'list': return '';
+            default: return null;
+        }
+    }
+
+    function getActions() {
+        return actions
+            .map(action => {
+                const kind = actionTypes[action.type]?.value;
+
+                if (kind === 'list') {
+                    const tags = String(action.value).split(',').map(tag => tag.trim()).filter(Boolean);
+                    return tags.length > 0 ? { type: action.type, value: tags } : null;
+                }
+                if (kind === 'text') {
+                    return String(action.value).trim() ? { type: action.type, value: String(action.value).trim() } : null;
+                }
+                if (kind === 'splits') {
+                    return { type: action.type, value: action.value.map(part => ({ category: part.category, percent: Number(part.percent) })) };
+                }
+                return { type: action.type };
+            })
+            .filter(Boolean);
+    }
+
+    function setActions(list) {
+        actions = (list || []).map(action => ({
+            type: action.type,
+            value: Array.isArray(action.value) && actionTypes[action.type]?.value === 'list'
+                ? action.value.join(', ')
+                : (action.value ?? defaultValue(action.type))
+        }));
+        render();
+    }
+
+    function renderSplitParts(action, index) {
+        const categories = getCategories();
+        const total = action.value.reduce((sum, part) => sum + (Number(part.percent) || 0), 0);
+
+        return `
+            <div style="flex: 1;">
+                ${action.value.map((part, partIndex) => `
+                    <div style="display: flex; gap: 0.5rem; margin-bottom: 0.25rem;">
+                        <select class="form-select" style="flex: 1; padding: 0.4rem;" data-index="${index}" data-part="${partIndex}" data-role="split-category">
+                            <option value="">Select category...</option>
+                            ${categories.map(name => `<option value="${escapeAttribute(name)}" ${name === part.category ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+                        </select>
+                        <input type="number" min="0" max="100" step="1" class="form-input" style="width: 5rem; padding: 0.4rem;" data-index="${index}" data-part="${partIndex}" data-role="split-percent" value="${escapeAttribute(String(part.percent))}">
+                        <span style="align-self: center;">%</span>
+                        ${action.value.length > 2 ? `<button type="button" class="btn btn-secondary" style="padding: 0.2rem 0.5rem;" data-index="${index}" data-part="${partIndex}" data-action="remove-part">&times;</button>` : ''}
+                    </div>
+                `).join('')}
+                <div style="display: flex; justify-content: space-between; align-items: center; font-size: 0.8rem;">
+                    <button type="button" class="btn btn-secondary" style="padding: 0.2rem 0.5rem; font-size: 0.8rem;" data-index="${index}" data-action="add-part">+ Part</button>
+                    <span data-split-total="${index}" style="color: ${Math.abs(total - 100) < 0.01 ? 'var(--text-secondary)' : '#ef4444'};">Total: ${total}%</span>
+                </div>
+            </div>
+        `;
+    }
+
+    function renderAction(action, index) {
+        const kind = actionTypes[action.type]?.value;
+        let valueInput = '<div style="flex: 1;"></div>';
+
+        if (kind === 'text' || kind === 'list') {
+            const placeholder = kind === 'list' ? 'comma-separated tags' : (action.type === 'rename' ? 'e.g., Netflix' : 'note text');
+            valueInput = `<input type="text" class="form-input" style="flex: 1; min-width: 0; padding: 0.5rem;" data-index="${index}" data-role="value" value="${escapeAttribute(String(action.value ?? ''))}" placeholder="${placeholder}">`;
+        } else if (kind === 'splits') {
+            valueInput = renderSplitParts(action, index);
+        }
+
+        return `
+            <div style="display: flex; gap: 0.5rem; margin-bottom: 0.5rem; align-items: flex-start;">
+                <select class="form-select" style="padding: 0.5rem;" data-index="${index}" data-role="type">
+                    ${Object.entries(actionTypes).map(([type, spec]) => `<option value="${type}" ${type === action.type ? 'selected' : ''}>${escapeHtml(spec.label)}</option>`).join('')}
+                </select>
+                ${valueInput}
+                <button type="button" class="btn btn-secondary" style="padding: 0.4rem 0.75rem;" data-index="${index}" data-action="remove" title="Remove action">&times;</button>
+            </div>
+        `;
+    }
+
+    function render() {
+        container.innerHTML = `
+            ${actions.length === 0 ? '<div style="color: var(--text-secondary); font-size: 0.875rem; margin-bottom: 0.5rem;">No extra actions</div>' : ''}
+            ${actions.map(renderAction).join('')}
+            <button type="button" class="btn btn-secondary" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" data-action="add">+ Action</button>
+        `;
+    }
+
+    // Typing only updates state; re-rendering would lose the input's focus
+    container.addEventListener('input', (e) => {
+        const { index, part, role } = e.target.dataset;
+        if (index === undefined || e.target.tagName !== 'INPUT') return;
+
+        const action = actions[Number(index)];
+        if (role === 'split-percent') {
+            action.value[Number(part)].percent = e.target.value;
+            const total = action.value.reduce((sum, p) => sum + (Number(p.percent) || 0), 0);
+            const totalLabel = container.querySelector(`[data-split-total="${index}"]`);
+            totalLabel.textContent = `Total: ${total}%`;
+            totalLabel.style.color = Math.abs(total - 100) < 0.01 ? 'var(--text-secondary)' : '#ef4444';
+        } else {
+            action.value = e.target.value;
+        }
+    });
+
+    container.addEventListener('change', (e) => {
+        const { index, part, role } = e.target.dataset;
+        if (index === undefined || e.target.tagName !== 'SELECT') return;
+
+        const action = actions[Number(index)];
+        if (role === 'type') {
+            action.type = e.target.value;
+            action.value = defaultValue(action.type);
+            render();
+        } else if (role === 'split-category') {
+            action.value[Number(part)].category = e.target.value;
+        }
+    });
+
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { index, part, action: buttonAction } = button.dataset;
+
+        if (buttonAction === 'add') {
+            actions.push({ type: 'rename', value: defaultValue('rename') });
+        } else if (buttonAction === 'remove') {
+            actions.splice(Number(index), 1);
+        } else if (buttonAction === 'add-part') {
+            actions[Number(index)].value.push({ category: '', percent: 0 });
+        } else if (buttonAction === 'remove-part') {
+            actions[Number(index)].value.splice(Number(part), 1);
+        }
+
+        render();
+    });
+
+    render();
+
+    return { getActions, setActions };
+}
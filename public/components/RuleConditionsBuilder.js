@@ -0,0 +1,270 @@
+/**
+ * RuleConditionsBuilder Component
+ * Edits a rule's condition tree as nested groups of field/operator/value rows
+ *
+ * The tree uses the server format: { all: [...] }, { any: [...] }, { not: node }
+ * and leaves { field, op, value }. In the builder a group matches "all", "any"
+ * or "none" of its rows ("none" is saved as { not: { any: [...] } }).
+ */
+
+import { escapeHtml, escapeAttribute } from '../utils/formatters.js';
+
+const OP_LABELS = {
+    equals: 'is',
+    not_equals: 'is not',
+    contains: 'contains',
+    not_contains: 'does not contain',
+    starts_with: 'starts with',
+    ends_with: 'ends with',
+    matches: 'matches regex',
+    in: 'is one of',
+    not_in: 'is not one of',
+    lt: 'less than',
+    lte: 'at most',
+    gt: 'greater than',
+    gte: 'at least',
+    between: 'between'
+};
+
+const MATCH_LABELS = {
+    all: 'All of',
+    any: 'Any of',
+    none: 'None of'
+};
+
+const MAX_DEPTH = 4;
+
+/**
+ * Create a conditions builder inside a container
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} options - Configuration options
+ * @param {Object} options.fields - Field definitions from /api/category-mappings/rules/fields
+ * @param {Object} options.conditions - Initial condition tree (optional)
+ * @param {Function} options.onChange - Called with the condition tree after every edit
+ * @returns {Object} { getConditions, setConditions }
+ */
+export function createConditionsBuilder(container, options) {
+    const { fields, onChange = () => {} } = options;
+    let root = toGroup(options.conditions);
+
+    function defaultCondition() {
+        return { type: 'condition', field: 'text', op: 'contains', value: '' };
+    }
+
+    function toGroup(node) {
+        const group = fromTree(node);
+        if (!group) {
+            return { type: 'group', match: 'all', children: [defaultCondition()] };
+        }
+        return group.type === 'group' ? group : { type: 'group', match: 'all', children: [group] };
+    }
+
+    function fromTree(node) {
+        if (!node) return null;
+
+        if (Array.isArray(node.all) || Array.isArray(node.any)) {
+            const match = Array.isArray(node.all) ? 'all' : 'any';
+            return { type: 'group', match, children: node[match].map(fromTree).filter(Boolean) };
+        }
+
+        if (node.not) {
+            const inner = fromTree(node.not);
+            const children = inner?.type === 'group' && inner.match === 'any' ? inner.children : [inner];
+            return { type: 'group', match: 'none', children: children.filter(Boolean) };
+        }
+
+        const value = Array.isArray(node.value) && node.op !== 'between'
+            ? node.value.join(', ')
+            : node.value;
+        return { type: 'condition', field: node.field, op: node.op, value: value ?? '' };
+    }
+
+    // Rows without a value are left out, so a half-filled row doesn't break the preview
+    function toTree(item) {
+        if (item.type === 'group') {
+            const children = item.children.map(toTree).filter(Boolean);
+            if (children.length === 0) return null;
+            if (item.match === 'none') return { not: { any: children } };
+            return { [item.match]: children };
+        }
+
+        const spec = fields[item.field];
+        let value = item.value;
+
+        if (item.op === 'between') {
+            const [min, max] = Array.isArray(value) ? value : ['', ''];
+            if (min === '' || max === '') return null;
+            value = [Number(min), Number(max)];
+        } else if (item.op === 'in' || item.op === 'not_in') {
+            value = String(value).split(',').map(v => v.trim()).filter(Boolean);
+            if (value.length === 0) return null;
+        } else {
+            if (String(value ?? '').trim() === '') return null;
+            value = spec?.kind === 'number' ? Number(value) : String(value).trim();
+        }
+
+        return { field: item.field, op: item.op, value };
+    }
+
+    function getConditions() {
+        return toTree(root);
+    }
+
+    function setConditions(conditions) {
+        root = toGroup(conditions);
+        render();
+    }
+
+    function itemAt(path) {
+        return path === ''
+            ? root
+            : path.split('.').reduce((item, index) => item.children[Number(index)], root);
+    }
+
+    function renderValueInput(item, path) {
+        const spec = fields[item.field] || {};
+        const inputStyle = 'flex: 1; min-width: 0; padding: 0.5rem;';
+
+        if (item.op === 'between') {
+            const [min, max] = Array.isArray(item.value) ? item.value : ['', ''];
+            return `
+                <input type="number" step="0.01" class="form-input" style="${inputStyle}" data-path="${path}" data-role="min" value="${escapeAttribute(String(min))}" placeholder="min">
+                <span style="align-self: center;">and</span>
+                <input type="number" step="0.01" class="form-input" style="${inputStyle}" data-path="${path}" data-role="max" value="${escapeAttribute(String(max))}" placeholder="max">
+            `;
+        }
+
+        if (spec.choices && item.op !== 'in' && item.op !== 'not_in') {
+            return `
+                <select class="form-select" style="${inputStyle}" data-path="${path}" data-role="value">
+                    <option value="">Select...</option>
+                    ${spec.choices.map(choice => `<option value="${escapeAttribute(choice)}" ${choice === item.value ? 'selected' : ''}>${choice}</option>`).join('')}
+                </select>
+            `;
+        }
+
+        const isList = item.op === 'in' || item.op === 'not_in';
+        const type = spec.kind === 'number' && !isList ? 'number' : 'text';
+        const placeholder = isList
+            ? (spec.choices ? spec.choices.join(', ') : 'comma-separated values')
+            : (spec.kind === 'number' ? '0.00' : 'value');
+
+        return `<input type="${type}" ${type === 'number' ? 'step="0.01"' : ''} class="form-input" style="${inputStyle}" data-path="${path}" data-role="value" value="${escapeAttribute(String(item.value ?? ''))}" placeholder="${placeholder}">`;
+    }
+
+    function renderCondition(item, path) {
+        const spec = fields[item.field] || { ops: [] };
+
+        return `
+            <div style="display: flex; gap: 0.5rem; margin-bottom: 0.5rem;">
+                <select class="form-select" style="padding: 0.5rem;" data-path="${path}" data-role="field">
+                    ${Object.entries(fields).map(([key, field]) => `<option value="${key}" ${key === item.field ? 'selected' : ''}>${escapeHtml(field.label)}</option>`).join('')}
+                </select>
+                <select class="form-select" style="padding: 0.5rem;" data-path="${path}" data-role="op">
+                    ${spec.ops.map(op => `<option value="${op}" ${op === item.op ? 'selected' : ''}>${OP_LABELS[op] || op}</option>`).join('')}
+                </select>
+                ${renderValueInput(item, path)}
+                <button type="button" class="btn btn-secondary" style="padding: 0.4rem 0.75rem;" data-path="${path}" data-action="remove" title="Remove condition">&times;</button>
+            </div>
+        `;
+    }
+
+    function renderGroup(group, path, depth) {
+        const childPath = (index) => (path === '' ? String(index) : `${path}.${index}`);
+        const nested = depth > 0;
+
+        return `
+            <div style="${nested ? 'margin-bottom: 0.5rem; padding: 0.75rem; border: 1px dashed #d1d5db; border-radius: 0.5rem; background: #fff;' : ''}">
+                <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem;">
+                    <select class="form-select" style="padding: 0.4rem;" data-path="${path}" data-role="match">
+                        ${Object.entries(MATCH_LABELS).map(([value, label]) => `<option value="${value}" ${value === group.match ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <span style="color: var(--text-secondary); font-size: 0.875rem;">these conditions</span>
+                    ${nested ? `<button type="button" class="btn btn-secondary" style="margin-left: auto; padding: 0.3rem 0.6rem; font-size: 0.8rem;" data-path="${path}" data-action="remove">Remove group</button>` : ''}
+                </div>
+                ${group.children.map((child, index) => child.type === 'group'
+                    ? renderGroup(child, childPath(index), depth + 1)
+                    : renderCondition(child, childPath(index))).join('')}
+                <div style="display: flex; gap: 0.5rem;">
+                    <button type="button" class="btn btn-secondary" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" data-path="${path}" data-action="add-condition">+ Condition</button>
+                    ${depth < MAX_DEPTH ? `<button type="button" class="btn btn-secondary" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" data-path="${path}" data-action="add-group">+ Group</button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    function render() {
+        container.innerHTML = renderGroup(root, '', 0);
+    }
+
+    function changed() {
+        onChange(getConditions());
+    }
+
+    // Typing only updates state; re-rendering would lose the input's focus
+    container.addEventListener('input', (e) => {
+        const { path, role } = e.target.dataset;
+        if (path === undefined || e.target.tagName !== 'INPUT') return;
+
+        const item = itemAt(path);
+        if (role === 'min' || role === 'max') {
+            const range = Array.isArray(item.value) ? [...item.value] : ['', ''];
+            range[role === 'min' ? 0 : 1] = e.target.value;
+            item.value = range;
+        } else {
+            item.value = e.target.value;
+        }
+        changed();
+    });
+
+    container.addEventListener('change', (e) => {
+        const { path, role } = e.target.dataset;
+        if (path === undefined || e.target.tagName !== 'SELECT') return;
+
+        const item = itemAt(path);
+
+        if (role === 'match') {
+            item.match = e.target.value;
+        } else if (role === 'field') {
+            item.field = e.target.value;
+            const ops = fields[item.field]?.ops || [];
+            if (!ops.includes(item.op)) item.op = ops[0];
+            item.value = '';
+        } else if (role === 'op') {
+            const wasRange = item.op === 'between';
+            item.op = e.target.value;
+            if (wasRange !== (item.op === 'between')) item.value = item.op === 'between' ? ['', ''] : '';
+        } else if (role === 'value') {
+            item.value = e.target.value;
+        }
+
+        render();
+        changed();
+    });
+
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { path, action } = button.dataset;
+        const item = itemAt(path);
+
+        if (action === 'add-condition') {
+            item.children.push(defaultCondition());
+        } else if (action === 'add-group') {
+            item.children.push({ type: 'group', match: 'any', children: [defaultCondition()] });
+        } else if (action === 'remove') {
+            const parts = path.split('.');
+            const index = Number(parts.pop());
+            const parent = itemAt(parts.join('.'));
+            parent.children.splice(index, 1);
+        }
+
+        render();
+        changed();
+    });
+
+    render();
+
+    return { getConditions, setConditions };
+}
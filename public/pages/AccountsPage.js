@@ -3,16 +3,34 @@
  * Handles accounts and institutions display and management
  */
 
-import { formatCurrency, formatDate, formatRelativeDate, escapeHtml, showLoading, hideLoading } from '../utils/formatters.js';
+import { formatCurrency, formatDate, formatRelativeDate, escapeHtml, escapeAttribute, showLoading, hideLoading } from '../utils/formatters.js';
 import { showToast } from '../services/toast.js';
 import { eventBus } from '../services/eventBus.js';
 import { groupBy, sumBy, emitUpdateEvents, withLoadingState } from '../utils/helpers.js';
+import { runBackgroundJob } from '../services/api.js';
+import { Modal, showConfirmModal } from '../components/Modal.js';
 
 // Dependencies that will be passed in
 let fetchAPI = null;
 let navigateTo = null;
 let applyTransactionFilters = null;
 
+// Accounts as last loaded, for the manual account modals
+let currentAccounts = [];
+
+// Counterparties as last loaded, for the reimbursement modals
+let currentCounterparties = [];
+
+// Types a manual account can have (credit and loan balances are amounts owed)
+const MANUAL_ACCOUNT_TYPES = [
+    ['depository', 'Cash / bank account'],
+    ['investment', 'Investment / retirement'],
+    ['property', 'Property (house, car...)'],
+    ['credit', 'Credit card'],
+    ['loan', 'Loan / mortgage'],
+    ['other', 'Other']
+];
+
 export function initializeAccountsPage(deps) {
     fetchAPI = deps.fetchAPI;
     navigateTo = deps.navigateTo;
@@ -24,17 +42,28 @@ export function initializeAccountsPage(deps) {
     window.removeInstitution = removeInstitution;
     window.viewAccountTransactions = viewAccountTransactions;
     window.renameAccount = renameAccount;
+    window.openManualAccountModal = openManualAccountModal;
+    window.openAccountBalanceModal = openAccountBalanceModal;
+    window.deleteManualAccount = deleteManualAccount;
+    window.openCounterpartyLedger = openCounterpartyLedger;
+    window.openSettleUpModal = openSettleUpModal;
+    window.openCounterpartyModal = openCounterpartyModal;
+    window.deleteCounterparty = deleteCounterparty;
 }
 
 export async function loadAccounts() {
     showLoading();
     try {
-        const [accounts, institutions] = await Promise.all([
+        const [accounts, institutions, counterparties] = await Promise.all([
             fetchAPI('/api/accounts'),
-            fetchAPI('/api/institutions')
+            fetchAPI('/api/institutions'),
+            fetchAPI('/api/counterparties')
         ]);
+        currentAccounts = accounts;
+        currentCounterparties = counterparties;
         displayInstitutions(institutions);
         displayAccounts(accounts);
+        displayCounterparties(counterparties);
     } catch (error) {
         showToast('Failed to load accounts', 'error');
         console.error(error);
@@ -80,6 +109,7 @@ function displayAccounts(accounts) {
             <div class="card centered">
                 <p>No accounts connected yet.</p>
                 <button onclick="navigateTo('link')" class="btn btn-primary" style="margin-top: 1rem;">Link Your First Account</button>
+                <button onclick="openManualAccountModal()" class="btn btn-secondary" style="margin-top: 1rem;">Add a Manual Account</button>
             </div>
         `;
         return;
@@ -87,17 +117,18 @@ function displayAccounts(accounts) {
 
     // Group accounts by type
     const accountsByType = {};
-    const typeOrder = ['credit', 'depository', 'loan', 'investment', 'other'];
+    const typeOrder = ['credit', 'depository', 'loan', 'investment', 'property', 'other'];
     const typeLabels = {
         'depository': 'Depository',
         'credit': 'Credit cards',
         'loan': 'Loans',
         'investment': 'Investments',
+        'property': 'Property',
         'other': 'Other Accounts'
     };
 
     accounts.forEach(acc => {
-        const type = acc.type?.toLowerCase() || 'other';
+        const type = typeOrder.includes(acc.type?.toLowerCase()) ? acc.type.toLowerCase() : 'other';
         if (!accountsByType[type]) {
             accountsByType[type] = [];
         }
@@ -149,6 +180,7 @@ function displayAccounts(accounts) {
                             const balance = parseFloat(acc.current_balance) || 0;
                             const updatedAt = acc.updated_at;
                             const timeAgo = formatRelativeDate(updatedAt) || 'Unknown';
+                            const isManual = acc.is_manual === 'Yes';
 
                             return `
                                 <div
@@ -177,14 +209,14 @@ function displayAccounts(accounts) {
                                         justify-content: center;
                                         font-size: 1.5rem;
                                         flex-shrink: 0;
-                                    ">🏦</div>
+                                    ">${isManual ? '✍️' : '🏦'}</div>
 
                                     <div style="flex: 1; min-width: 0;">
                                         <div style="font-weight: 600; font-size: 0.95rem; color: #1a1a1a;">
                                             ${escapeHtml(acc.name)}
                                         </div>
                                         <div style="font-size: 0.8rem; color: #666; margin-top: 0.125rem;">
-                                            ${escapeHtml(acc.institution_name)} • ${timeAgo}
+                                            ${escapeHtml(acc.institution_name)} • ${isManual ? 'Manual, updated ' : ''}${timeAgo}
                                         </div>
                                     </div>
 
@@ -194,13 +226,37 @@ function displayAccounts(accounts) {
                                         </div>
                                     </div>
 
-                                    <button
-                                        class="btn-icon"
-                                        onclick="event.stopPropagation(); renameAccount('${acc.account_id}', '${escapeHtml(acc.name)}');"
-                                        style="flex-shrink: 0;"
-                                        title="Rename account">
-                                        ✏️
-                                    </button>
+                                    ${isManual ? `
+                                        <button
+                                            class="btn-icon"
+                                            onclick="event.stopPropagation(); openAccountBalanceModal('${escapeAttribute(acc.account_id)}');"
+                                            style="flex-shrink: 0;"
+                                            title="Update balance">
+                                            💲
+                                        </button>
+                                        <button
+                                            class="btn-icon"
+                                            onclick="event.stopPropagation(); openManualAccountModal('${escapeAttribute(acc.account_id)}');"
+                                            style="flex-shrink: 0;"
+                                            title="Edit account">
+                                            ✏️
+                                        </button>
+                                        <button
+                                            class="btn-icon btn-danger"
+                                            onclick="event.stopPropagation(); deleteManualAccount('${escapeAttribute(acc.account_id)}');"
+                                            style="flex-shrink: 0;"
+                                            title="Delete account">
+                                            🗑️
+                                        </button>
+                                    ` : `
+                                        <button
+                                            class="btn-icon"
+                                            onclick="event.stopPropagation(); renameAccount('${acc.account_id}', '${escapeHtml(acc.name)}');"
+                                            style="flex-shrink: 0;"
+                                            title="Rename account">
+                                            ✏️
+                                        </button>
+                                    `}
                                 </div>
                             `;
                         }).join('')}
@@ -242,15 +298,11 @@ async function syncInstitution(itemId, institutionName) {
     showLoading();
 
     try {
-        const result = await fetchAPI(`/api/sync/${itemId}`, {
-            method: 'POST'
-        });
+        const result = await runBackgroundJob(`/api/sync/${itemId}`);
 
         if (result.success) {
             showToast(`${result.institution} synced successfully! ${result.transactionsSynced} new transaction(s) added.`, 'success');
-
-            // Emit events to update all views
-            emitUpdateEvents(eventBus, 'accountsUpdated', 'transactionsUpdated', result.transactionsSynced > 0);
+            // Views refresh from the server's syncCompleted event
         } else {
             showToast(`Failed to sync ${institutionName}: ${result.error}`, 'error');
         }
@@ -266,9 +318,7 @@ async function backfillInstitution(itemId, institutionName) {
     showLoading();
 
     try {
-        const result = await fetchAPI(`/api/backfill/${itemId}`, {
-            method: 'POST'
-        });
+        const result = await runBackgroundJob(`/api/backfill/${itemId}`);
 
         if (result.success) {
             const message = result.transactionsAdded > 0
@@ -276,9 +326,7 @@ async function backfillInstitution(itemId, institutionName) {
                 : `${result.institution} backfill complete! No new transactions found.`;
 
             showToast(message, 'success');
-
-            // Emit events to update all views
-            emitUpdateEvents(eventBus, 'accountsUpdated', 'transactionsUpdated', result.transactionsAdded > 0);
+            // Views refresh from the server's syncCompleted event
         } else {
             showToast(`Failed to backfill ${institutionName}: ${result.error}`, 'error');
         }
@@ -400,6 +448,500 @@ async function renameAccount(accountId, currentName) {
     }, 100);
 }
 
+// ============================================================================
+// MANUAL ACCOUNTS
+// ============================================================================
+
+function todayString() {
+    return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Create a manual account, or edit one when accountId is given
+ */
+function openManualAccountModal(accountId = null) {
+    const account = accountId ? currentAccounts.find(acc => acc.account_id === accountId) : null;
+    if (accountId && !account) return;
+
+    const modalId = `manual-account-${Date.now()}`;
+    const selectedType = account ? account.type : 'depository';
+
+    const modal = new Modal({
+        id: modalId,
+        title: account ? 'Edit Manual Account' : 'Add Manual Account',
+        content: `
+            <div style="display: flex; flex-direction: column; gap: 1rem; padding: 0.5rem 0;">
+                <label style="font-weight: 500;">
+                    Name
+                    <input type="text" id="manual-account-name" class="form-input" style="width: 100%; padding: 0.6rem; margin-top: 0.25rem;"
+                        value="${account ? escapeAttribute(account.name) : ''}" placeholder="e.g. Cash, 401k, House, Car loan">
+                </label>
+                <label style="font-weight: 500;">
+                    Type
+                    <select id="manual-account-type" class="form-select" style="width: 100%; padding: 0.6rem; margin-top: 0.25rem;">
+                        ${MANUAL_ACCOUNT_TYPES.map(([value, label]) => `<option value="${value}" ${value === selectedType ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+                <label style="font-weight: 500;">
+                    Institution <span style="font-weight: 400; color: var(--text-secondary);">(optional)</span>
+                    <input type="text" id="manual-account-institution" class="form-input" style="width: 100%; padding: 0.6rem; margin-top: 0.25rem;"
+                        value="${account ? escapeAttribute(account.institution_name) : ''}" placeholder="Manual">
+                </label>
+                ${account ? '' : `
+                    <div style="display: flex; gap: 1rem;">
+                        <label style="flex: 1; font-weight: 500;">
+                            Current balance
+                            <input type="number" step="0.01" id="manual-account-balance" class="form-input" style="width: 100%; padding: 0.6rem; margin-top: 0.25rem;" value="0">
+                        </label>
+                        <label style="flex: 1; font-weight: 500;">
+                            As of
+                            <input type="date" id="manual-account-date" class="form-input" style="width: 100%; padding: 0.6rem; margin-top: 0.25rem;" value="${todayString()}">
+                        </label>
+                    </div>
+                    <small style="color: var(--text-secondary);">For credit cards and loans, enter the amount owed.</small>
+                `}
+            </div>
+        `,
+        actions: [
+            { action: 'cancel', label: 'Cancel', primary: false },
+            { action: 'save', label: account ? 'Save' : 'Add Account', primary: true }
+        ],
+        options: { size: 'small' }
+    });
+
+    eventBus.once(`modal:${modalId}:save`, async () => {
+        const name = document.getElementById('manual-account-name')?.value.trim();
+        const type = document.getElementById('manual-account-type')?.value;
+        const institutionName = document.getElementById('manual-account-institution')?.value.trim();
+
+        if (!name) {
+            showToast('Account name cannot be empty', 'error');
+            return;
+        }
+
+        const body = { name, type, institutionName: institutionName || 'Manual' };
+        if (!account) {
+            body.balance = parseFloat(document.getElementById('manual-account-balance')?.value) || 0;
+            body.date = document.getElementById('manual-account-date')?.value || null;
+        }
+
+        showLoading();
+        try {
+            await fetchAPI(account ? `/api/accounts/${encodeURIComponent(account.account_id)}` : '/api/accounts', {
+                method: account ? 'PUT' : 'POST',
+                body: JSON.stringify(body)
+            });
+
+            showToast(account ? `Account "${name}" updated` : `Account "${name}" added`, 'success');
+            emitUpdateEvents(eventBus, 'accountsUpdated', 'transactionsUpdated', !!account);
+        } catch (error) {
+            showToast(`Failed to save account: ${error.message}`, 'error');
+            console.error(error);
+        } finally {
+            hideLoading();
+        }
+    });
+
+    modal.show();
+    setTimeout(() => document.getElementById('manual-account-name')?.focus(), 100);
+}
+
+function renderBalanceHistory(history) {
+    if (history.length === 0) {
+        return '<p style="color: var(--text-secondary);">No balances recorded yet.</p>';
+    }
+
+    return `
+        <div style="max-height: 240px; overflow-y: auto;">
+            ${history.map(entry => `
+                <div style="display: flex; align-items: center; justify-content: space-between; padding: 0.4rem 0; border-bottom: 1px solid var(--border-color, #eee);">
+                    <span>${formatDate(entry.date)}</span>
+                    <span style="display: flex; align-items: center; gap: 0.5rem;">
+                        <strong>${formatCurrency(entry.balance)}</strong>
+                        <button class="btn-icon btn-danger" title="Delete this entry"
+                            data-balance-date="${escapeAttribute(entry.date)}">🗑️</button>
+                    </span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Record a manual account's balance and show its balance history
+ */
+async function openAccountBalanceModal(accountId) {
+    const account = currentAccounts.find(acc => acc.account_id === accountId);
+    if (!account) return;
+
+    const modalId = `account-balance-${Date.now()}`;
+    const historyUrl = `/api/accounts/${encodeURIComponent(accountId)}/balances`;
+
+    let history = [];
+    try {
+        history = await fetchAPI(historyUrl);
+    } catch (error) {
+        showToast(`Failed to load balance history: ${error.message}`, 'error');
+        return;
+    }
+
+    const modal = new Modal({
+        id: modalId,
+        title: `Balance: ${account.name}`,
+        content: `
+            <div style="display: flex; gap: 1rem; align-items: flex-end; padding: 0.5rem 0 1rem;">
+                <label style="flex: 1; font-weight: 500;">
+                    Balance
+                    <input type="number" step="0.01" id="account-balance-value" class="form-input" style="width: 100%; padding: 0.6rem; margin-top: 0.25rem;"
+                        value="${parseFloat(account.current_balance) || 0}">
+                </label>
+                <label style="flex: 1; font-weight: 500;">
+                    As of
+                    <input type="date" id="account-balance-date" class="form-input" style="width: 100%; padding: 0.6rem; margin-top: 0.25rem;" value="${todayString()}">
+                </label>
+            </div>
+            <h4 style="margin: 0 0 0.5rem;">History</h4>
+            <div id="account-balance-history">${renderBalanceHistory(history)}</div>
+        `,
+        actions: [
+            { action: 'cancel', label: 'Close', primary: false },
+            { action: 'save', label: 'Record Balance', primary: true }
+        ],
+        options: { size: 'small' }
+    });
+
+    eventBus.once(`modal:${modalId}:save`, async () => {
+        const balance = parseFloat(document.getElementById('account-balance-value')?.value);
+        const date = document.getElementById('account-balance-date')?.value || null;
+
+        if (isNaN(balance)) {
+            showToast('Enter a balance', 'error');
+            return;
+        }
+
+        showLoading();
+        try {
+            await fetchAPI(historyUrl, {
+                method: 'POST',
+                body: JSON.stringify({ balance, date })
+            });
+
+            showToast(`Balance of ${account.name} recorded`, 'success');
+            eventBus.emit('accountsUpdated');
+        } catch (error) {
+            showToast(`Failed to record balance: ${error.message}`, 'error');
+            console.error(error);
+        } finally {
+            hideLoading();
+        }
+    });
+
+    modal.show();
+
+    // Deleting an entry refreshes the history in place
+    document.getElementById(modalId)?.addEventListener('click', async (e) => {
+        const date = e.target.closest('[data-balance-date]')?.dataset.balanceDate;
+        if (!date) return;
+
+        try {
+            await fetchAPI(`${historyUrl}/${encodeURIComponent(date)}`, { method: 'DELETE' });
+            history = history.filter(entry => entry.date !== date);
+            document.getElementById('account-balance-history').innerHTML = renderBalanceHistory(history);
+            eventBus.emit('accountsUpdated');
+        } catch (error) {
+            showToast(`Failed to delete balance entry: ${error.message}`, 'error');
+            console.error(error);
+        }
+    });
+}
+
+function deleteManualAccount(accountId) {
+    const account = currentAccounts.find(acc => acc.account_id === accountId);
+    if (!account) return;
+
+    showConfirmModal(
+        'Delete Manual Account',
+        `Delete "${account.name}" with its balance history and all of its transactions? This cannot be undone.`,
+        async () => {
+            showLoading();
+            try {
+                const result = await fetchAPI(`/api/accounts/${encodeURIComponent(accountId)}`, { method: 'DELETE' });
+                showToast(`Account "${account.name}" deleted with ${result.transactionsDeleted} transaction(s)`, 'success');
+                emitUpdateEvents(eventBus, 'accountsUpdated', 'transactionsUpdated');
+            } catch (error) {
+                showToast(`Failed to delete account: ${error.message}`, 'error');
+                console.error(error);
+            } finally {
+                hideLoading();
+            }
+        }
+    );
+}
+
+// ============================================================================
+// OWED TO YOU (REIMBURSEMENTS)
+// ============================================================================
+
+function displayCounterparties(counterparties) {
+    const container = document.getElementById('counterpartiesList');
+    if (!container) return;
+
+    if (counterparties.length === 0) {
+        container.innerHTML = '<p style="color: var(--text-secondary); padding: 1rem;">Nobody owes you anything yet.</p>';
+        return;
+    }
+
+    container.innerHTML = counterparties.map(cp => `
+        <div style="display: flex; align-items: center; justify-content: space-between; gap: 1rem; padding: 0.75rem 0; border-bottom: 1px solid var(--border);">
+            <div>
+                <div style="font-weight: 600;">${cp.kind === 'employer' ? '🏢' : '👤'} ${escapeHtml(cp.name)}</div>
+                <div style="font-size: 0.8rem; color: var(--text-secondary);">
+                    ${cp.open_claims} open · ${formatCurrency(cp.repaid)} of ${formatCurrency(cp.owed)} repaid
+                    ${cp.match_terms ? ` · matches "${escapeHtml(cp.match_terms)}"` : ''}
+                </div>
+            </div>
+            <div style="display: flex; align-items: center; gap: 0.5rem;">
+                <strong style="color: ${cp.outstanding > 0 ? 'var(--warning)' : 'var(--text-secondary)'};">
+                    ${cp.outstanding > 0 ? `owes ${formatCurrency(cp.outstanding)}` : 'settled'}
+                </strong>
+                <button class="btn-icon btn-secondary" onclick="openCounterpartyLedger(${cp.id})" title="Claims and repayments">📒</button>
+                ${cp.outstanding > 0 ? `<button class="btn-icon btn-primary" onclick="openSettleUpModal(${cp.id})" title="Record a repayment">💵</button>` : ''}
+                <button class="btn-icon btn-secondary" onclick="openCounterpartyModal(${cp.id})" title="Rename or change how repayments are matched">✏️</button>
+                <button class="btn-icon btn-danger" onclick="deleteCounterparty(${cp.id})" title="Delete with everything they owe">🗑️</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderLedger(ledger) {
+    if (ledger.entries.length === 0) {
+        return '<p style="color: var(--text-secondary);">No claims yet.</p>';
+    }
+
+    return `
+        <div style="max-height: 360px; overflow-y: auto;">
+            ${ledger.entries.map(entry => `
+                <div style="display: flex; align-items: center; justify-content: space-between; gap: 1rem; padding: 0.4rem 0; border-bottom: 1px solid var(--border);">
+                    <span style="flex: 1;">
+                        <span style="color: var(--text-secondary);">${formatDate(entry.date)}</span>
+                        ${escapeHtml(entry.description || '')}
+                        ${entry.type === 'repayment' && entry.source === 'detected' ? '<span style="font-size: 0.7rem; color: var(--text-secondary);">(matched)</span>' : ''}
+                    </span>
+                    <span style="color: ${entry.type === 'claim' ? 'inherit' : 'var(--success)'};">
+                        ${entry.type === 'claim' ? '+' : '−'}${formatCurrency(Math.abs(entry.amount))}
+                    </span>
+                    <strong style="width: 90px; text-align: right;">${formatCurrency(entry.balance)}</strong>
+                    <button class="btn-icon btn-danger"
+                        title="${entry.type === 'claim' ? 'Stop tracking this claim' : 'Undo this repayment'}"
+                        data-ledger-type="${entry.type}" data-ledger-id="${entry.id}">🗑️</button>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Show what a counterparty owes over time, with a running balance
+ */
+async function openCounterpartyLedger(counterpartyId) {
+    const counterparty = currentCounterparties.find(cp => cp.id === counterpartyId);
+    if (!counterparty) return;
+
+    const modalId = `counterparty-ledger-${Date.now()}`;
+    const ledgerUrl = `/api/counterparties/${counterpartyId}/ledger`;
+
+    let ledger;
+    try {
+        ledger = await fetchAPI(ledgerUrl);
+    } catch (error) {
+        showToast(`Failed to load ledger: ${error.message}`, 'error');
+        return;
+    }
+
+    const modal = new Modal({
+        id: modalId,
+        title: `Owed by ${counterparty.name}`,
+        content: `<div id="counterparty-ledger">${renderLedger(ledger)}</div>`,
+        actions: [
+            { action: 'cancel', label: 'Close', primary: false }
+        ],
+        options: { size: 'medium' }
+    });
+
+    modal.show();
+
+    // Removing an entry refreshes the ledger in place
+    document.getElementById(modalId)?.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-ledger-id]');
+        if (!button) return;
+
+        const { ledgerType, ledgerId } = button.dataset;
+        const url = ledgerType === 'claim' ? `/api/reimbursements/${ledgerId}` : `/api/reimbursements/payments/${ledgerId}`;
+
+        try {
+            await fetchAPI(url, { method: 'DELETE' });
+            ledger = await fetchAPI(ledgerUrl);
+            document.getElementById('counterparty-ledger').innerHTML = renderLedger(ledger);
+            eventBus.emit('transactionsUpdated');
+        } catch (error) {
+            showToast(`Failed to update ledger: ${error.message}`, 'error');
+            console.error(error);
+        }
+    });
+}
+
+/**
+ * Record a repayment that wasn't matched automatically (cash, or a deposit
+ * the matcher couldn't recognize)
+ */
+function openSettleUpModal(counterpartyId) {
+    const counterparty = currentCounterparties.find(cp => cp.id === counterpartyId);
+    if (!counterparty) return;
+
+    const modalId = `settle-up-${Date.now()}`;
+    const inputStyle = 'width: 100%; padding: 0.6rem; margin-top: 0.25rem;';
+
+    const modal = new Modal({
+        id: modalId,
+        title: `Settle Up with ${counterparty.name}`,
+        content: `
+            <div style="display: flex; gap: 1rem; padding: 0.5rem 0;">
+                <label style="flex: 1; font-weight: 500;">
+                    Amount repaid
+                    <input type="number" step="0.01" min="0" id="settle-up-amount" class="form-input" style="${inputStyle}"
+                        value="${counterparty.outstanding}">
+                </label>
+                <label style="flex: 1; font-weight: 500;">
+                    Date
+                    <input type="date" id="settle-up-date" class="form-input" style="${inputStyle}" value="${todayString()}">
+                </label>
+            </div>
+            <p style="color: var(--text-secondary); font-size: 0.875rem;">The oldest claims are settled first.</p>
+        `,
+        actions: [
+            { action: 'cancel', label: 'Cancel', primary: false },
+            { action: 'save', label: 'Record Repayment', primary: true }
+        ],
+        options: { size: 'small' }
+    });
+
+    eventBus.once(`modal:${modalId}:save`, async () => {
+        const amount = parseFloat(document.getElementById('settle-up-amount')?.value);
+        const date = document.getElementById('settle-up-date')?.value || null;
+
+        if (!(amount > 0)) {
+            showToast('Enter the amount repaid', 'error');
+            return;
+        }
+
+        showLoading();
+        try {
+            const result = await fetchAPI(`/api/counterparties/${counterpartyId}/settle`, {
+                method: 'POST',
+                body: JSON.stringify({ amount, date })
+            });
+
+            showToast(`Recorded ${formatCurrency(result.amount)} from ${counterparty.name}`, 'success');
+            eventBus.emit('transactionsUpdated');
+        } catch (error) {
+            showToast(`Failed to record repayment: ${error.message}`, 'error');
+            console.error(error);
+        } finally {
+            hideLoading();
+        }
+    });
+
+    modal.show();
+}
+
+function openCounterpartyModal(counterpartyId) {
+    const counterparty = currentCounterparties.find(cp => cp.id === counterpartyId);
+    if (!counterparty) return;
+
+    const modalId = `counterparty-${Date.now()}`;
+    const inputStyle = 'width: 100%; padding: 0.6rem; margin-top: 0.25rem;';
+
+    const modal = new Modal({
+        id: modalId,
+        title: `Edit ${counterparty.name}`,
+        content: `
+            <div style="display: flex; flex-direction: column; gap: 1rem; padding: 0.5rem 0;">
+                <label style="font-weight: 500;">
+                    Name
+                    <input type="text" id="counterparty-name" class="form-input" style="${inputStyle}" value="${escapeAttribute(counterparty.name)}">
+                </label>
+                <label style="font-weight: 500;">
+                    Type
+                    <select id="counterparty-kind" class="form-select" style="${inputStyle}">
+                        <option value="person" ${counterparty.kind === 'person' ? 'selected' : ''}>Person</option>
+                        <option value="employer" ${counterparty.kind === 'employer' ? 'selected' : ''}>Employer</option>
+                    </select>
+                </label>
+                <label style="font-weight: 500;">
+                    Repayments show up as <span style="font-weight: 400; color: var(--text-secondary);">(comma-separated, defaults to the name)</span>
+                    <input type="text" id="counterparty-terms" class="form-input" style="${inputStyle}"
+                        value="${escapeAttribute(counterparty.match_terms || '')}" placeholder="e.g. venmo alex, zelle alex kim">
+                </label>
+            </div>
+        `,
+        actions: [
+            { action: 'cancel', label: 'Cancel', primary: false },
+            { action: 'save', label: 'Save', primary: true }
+        ],
+        options: { size: 'small' }
+    });
+
+    eventBus.once(`modal:${modalId}:save`, async () => {
+        const name = document.getElementById('counterparty-name')?.value.trim() || '';
+        if (!name) {
+            showToast('Name is required', 'error');
+            return;
+        }
+
+        showLoading();
+        try {
+            await fetchAPI(`/api/counterparties/${counterpartyId}`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    name,
+                    kind: document.getElementById('counterparty-kind')?.value,
+                    match_terms: document.getElementById('counterparty-terms')?.value.trim() || null
+                })
+            });
+
+            showToast(`${name} updated`, 'success');
+            eventBus.emit('transactionsUpdated');
+        } catch (error) {
+            showToast(`Failed to update: ${error.message}`, 'error');
+            console.error(error);
+        } finally {
+            hideLoading();
+        }
+    });
+
+    modal.show();
+}
+
+function deleteCounterparty(counterpartyId) {
+    const counterparty = currentCounterparties.find(cp => cp.id === counterpartyId);
+    if (!counterparty) return;
+
+    showConfirmModal(
+        'Delete Counterparty',
+        `Delete ${counterparty.name} along with everything they owe and have repaid?`,
+        async () => {
+            try {
+                const result = await fetchAPI(`/api/counterparties/${counterpartyId}`, { method: 'DELETE' });
+                showToast(`${counterparty.name} deleted with ${result.claimsRemoved} claim(s)`, 'success');
+                eventBus.emit('transactionsUpdated');
+            } catch (error) {
+                showToast(`Failed to delete: ${error.message}`, 'error');
+                console.error(error);
+            }
+        }
+    );
+}
+
 export default {
     initializeAccountsPage,
     loadAccounts
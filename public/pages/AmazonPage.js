@@ -7,6 +7,7 @@ import { formatCurrency, formatDate, escapeHtml, renderCategoryControl, createBa
 import { showToast } from '../services/toast.js';
 import { debounce, withLoadingState, setupInfiniteScroll } from '../utils/helpers.js';
 import { progressNotification } from '../services/progressNotification.js';
+import { eventBus } from '../services/eventBus.js';
 import { showCategorySelector } from '../components/CategorySelector.js';
 
 // Module state
@@ -1296,8 +1297,8 @@ async function categorizeAllAmazonItems() {
             { status: `Processing ${totalItems} items...` }
         );
 
-        // Poll for progress
-        pollJobProgress(jobId, totalItems);
+        // Follow progress
+        trackJobProgress(jobId, totalItems);
     } catch (error) {
         console.error('Error starting categorization:', error);
         showToast(`Failed to start categorization: ${error.message}`, 'error');
@@ -1323,8 +1324,8 @@ async function categorizeFirst20Items() {
             { status: `Processing ${totalItems} items...` }
         );
 
-        // Poll for progress
-        pollJobProgress(jobId, totalItems);
+        // Follow progress
+        trackJobProgress(jobId, totalItems);
     } catch (error) {
         console.error('Error starting categorization:', error);
         showToast(`Failed to start categorization: ${error.message}`, 'error');
@@ -1409,92 +1410,102 @@ function updateItemInUI(itemId, update) {
     }
 }
 
-// Poll for job progress
-async function pollJobProgress(jobId, totalItems) {
-    const pollInterval = 1000; // Poll every second
-    let previousProgress = 0;
+// Follow job progress through server events (every open tab receives every update)
+async function trackJobProgress(jobId, totalItems) {
+    let finished = false;
 
-    const poll = async () => {
-        try {
-            const job = await fetchAPI(`/api/jobs/${jobId}`);
-
-            if (!job) {
-                progressNotification.showError(
-                    jobId,
-                    'Categorization Error',
-                    'Job not found'
-                );
-                return;
-            }
-
-            // Process incremental updates for reactive UI
-            if (job.updates && job.updates.length > 0) {
-                console.log(`[Amazon Item Categorization] Processing ${job.updates.length} incremental updates`);
-                for (const update of job.updates) {
-                    updateItemInUI(update.itemId, update);
-                }
+    const applyUpdates = (updates) => {
+        if (updates && updates.length > 0) {
+            console.log(`[Amazon Item Categorization] Processing ${updates.length} incremental updates`);
+            for (const update of updates) {
+                updateItemInUI(update.itemId, update);
             }
+        }
+    };
 
-            // Update progress notification
-            const progress = job.progress || 0;
-            const status = `${job.processed || 0} of ${totalItems} items categorized`;
+    const onJobUpdate = ({ jobId: updateJobId, update }) => {
+        if (updateJobId === jobId) applyUpdates([update]);
+    };
 
-            progressNotification.updateProgress(jobId, progress, {
-                status,
-                state: job.status
-            });
+    const stop = () => {
+        finished = true;
+        eventBus.off('server:job', onJob);
+        eventBus.off('server:jobUpdate', onJobUpdate);
+    };
 
-            // Check if job is complete
-            if (job.status === 'completed') {
-                console.log('[Amazon Item Categorization] Job completed successfully');
+    const handleJob = async (job) => {
+        if (finished) return;
 
-                progressNotification.showSuccess(
-                    jobId,
-                    'Categorization Complete',
-                    `Successfully categorized ${job.result?.count || totalItems} items!`,
-                    5000
-                );
+        // Update progress notification
+        const progress = job.progress || 0;
+        const status = `${job.processed || 0} of ${totalItems} items categorized`;
 
-                // Reload stats to update item categorization counts
-                // No need to reload orders - UI was updated reactively
-                try {
-                    await loadAmazonStats();
-                    console.log('[Amazon Item Categorization] Stats reloaded');
-                } catch (error) {
-                    console.error('[Amazon Item Categorization] Error reloading stats:', error);
-                }
+        progressNotification.updateProgress(jobId, progress, {
+            status,
+            state: job.status
+        });
 
-                return;
-            }
+        // Check if job is complete
+        if (job.status === 'completed') {
+            stop();
+            console.log('[Amazon Item Categorization] Job completed successfully');
 
-            // Check if job failed
-            if (job.status === 'failed') {
-                progressNotification.showError(
-                    jobId,
-                    'Categorization Failed',
-                    job.error || 'Unknown error occurred',
-                    10000
-                );
-                return;
-            }
+            progressNotification.showSuccess(
+                jobId,
+                'Categorization Complete',
+                `Successfully categorized ${job.result?.count || totalItems} items!`,
+                5000
+            );
 
-            // Continue polling if job is still running
-            if (job.status === 'running' || job.status === 'pending') {
-                setTimeout(poll, pollInterval);
+            // Reload stats to update item categorization counts
+            // No need to reload orders - UI was updated reactively
+            try {
+                await loadAmazonStats();
+                console.log('[Amazon Item Categorization] Stats reloaded');
+            } catch (error) {
+                console.error('[Amazon Item Categorization] Error reloading stats:', error);
             }
-        } catch (error) {
-            console.error('Error polling job progress:', error);
+        } else if (job.status === 'failed') {
+            stop();
+            progressNotification.showError(
+                jobId,
+                'Categorization Failed',
+                job.error || 'Unknown error occurred',
+                10000
+            );
+        } else if (job.status === 'cancelled') {
+            stop();
             progressNotification.showError(
                 jobId,
-                'Categorization Error',
-                'Failed to fetch job status',
+                'Categorization Cancelled',
+                `Stopped after ${job.processed || 0} of ${totalItems} items`,
                 5000
             );
         }
     };
 
-    // Start polling
-    poll();
+    const onJob = (job) => {
+        if (job.id === jobId) handleJob(job);
+    };
+
+    eventBus.on('server:job', onJob);
+    eventBus.on('server:jobUpdate', onJobUpdate);
+
+    // Catch up on anything that happened before the listeners were attached
+    try {
+        const job = await fetchAPI(`/api/jobs/${jobId}`);
+        applyUpdates(job.updates);
+        await handleJob(job);
+    } catch (error) {
+        stop();
+        console.error('Error fetching job progress:', error);
+        progressNotification.showError(
+            jobId,
+            'Categorization Error',
+            'Failed to fetch job status',
+            5000
+        );
+    }
 }
 
 // Handle image loading errors - try fallback URLs before showing placeholder
@@ -0,0 +1,234 @@
+/**
+ * BudgetsPage Module
+ * Handles monthly category budgets: budgeted vs spent, rollover and overspend tracking
+ */
+
+import { formatCurrency, escapeHtml, renderCategoryBadge, showLoading, hideLoading } from '../utils/formatters.js';
+import { showToast } from '../services/toast.js';
+import { eventBus } from '../services/eventBus.js';
+import { withLoadingState } from '../utils/helpers.js';
+
+// Module state
+let currentMonth = new Date().toISOString().slice(0, 7);
+
+// Dependencies (injected)
+let fetchAPI = null;
+
+export function initializeBudgetsPage(deps) {
+    fetchAPI = deps.fetchAPI;
+
+    // Expose functions globally for onclick handlers
+    window.saveBudget = saveBudget;
+    window.editBudget = editBudget;
+    window.deleteBudget = deleteBudget;
+    window.changeBudgetMonth = changeBudgetMonth;
+    window.copyPreviousMonthBudgets = copyPreviousMonthBudgets;
+
+    const monthInput = document.getElementById('budgetMonth');
+    if (monthInput) {
+        monthInput.value = currentMonth;
+        monthInput.addEventListener('change', () => {
+            if (monthInput.value) {
+                currentMonth = monthInput.value;
+                loadBudgets();
+            }
+        });
+    }
+}
+
+export async function loadBudgets() {
+    return withLoadingState(async () => {
+        const [categories, summary] = await Promise.all([
+            fetchAPI('/api/categories'),
+            fetchAPI(`/api/budgets?month=${currentMonth}`)
+        ]);
+
+        document.getElementById('budgetMonth').value = currentMonth;
+        populateBudgetCategoryDropdown(categories);
+        displayBudgetTotals(summary.totals);
+        displayBudgets(summary.budgets);
+    }, 'Failed to load budgets');
+}
+
+/**
+ * Shift a YYYY-MM month string by a number of months
+ */
+function shiftMonth(month, delta) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthIndex - 1 + delta, 1));
+    return date.toISOString().slice(0, 7);
+}
+
+function changeBudgetMonth(delta) {
+    currentMonth = shiftMonth(currentMonth, delta);
+    loadBudgets();
+}
+
+function populateBudgetCategoryDropdown(categories) {
+    const select = document.getElementById('budgetCategory');
+    const selected = select.value;
+
+    select.innerHTML = '<option value="">Select category...</option>' +
+        categories.map(cat => `
+            <option value="${cat.id}">${cat.icon || '📁'} ${cat.parent_category ? escapeHtml(cat.parent_category) + ' › ' : ''}${escapeHtml(cat.name)}</option>
+        `).join('');
+
+    select.value = selected;
+}
+
+function displayBudgetTotals(totals) {
+    document.getElementById('budgetTotalBudgeted').textContent = formatCurrency(totals.available);
+    document.getElementById('budgetTotalSpent').textContent = formatCurrency(totals.spent);
+
+    const remainingEl = document.getElementById('budgetTotalRemaining');
+    remainingEl.textContent = formatCurrency(totals.remaining);
+    remainingEl.className = `stat-value ${totals.remaining < 0 ? 'negative' : 'positive'}`;
+
+    const carriedEl = document.getElementById('budgetTotalCarried');
+    carriedEl.textContent = totals.carried_over > 0
+        ? `Includes ${formatCurrency(totals.carried_over)} rolled over`
+        : '';
+}
+
+function displayBudgets(budgets) {
+    const container = document.getElementById('budgetsList');
+
+    if (!budgets || budgets.length === 0) {
+        container.innerHTML = `
+            <p style="color: var(--text-secondary); padding: 1rem;">
+                No budgets for this month yet. Add one above or copy last month's budgets.
+            </p>
+        `;
+        return;
+    }
+
+    container.innerHTML = budgets.map(budget => {
+        const percent = Math.min(budget.percent_used, 100);
+        const barColor = budget.overspent
+            ? 'var(--danger, #ef4444)'
+            : budget.percent_used >= 85 ? 'var(--warning, #f59e0b)' : 'var(--success, #10b981)';
+
+        return `
+            <div style="padding: 1rem 0; border-bottom: 1px solid var(--border);">
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; margin-bottom: 0.5rem;">
+                    <div style="display: flex; align-items: center; gap: 0.75rem;">
+                        ${renderCategoryBadge({ name: budget.category, icon: budget.icon, color: budget.color }, { inline: true })}
+                        ${budget.rollover ? '<span title="Unspent amount rolls over to next month" style="font-size: 0.8rem; color: var(--text-secondary);">🔁 Rollover</span>' : ''}
+                    </div>
+                    <div style="display: flex; gap: 0.5rem;">
+                        <button class="btn-icon btn-secondary" onclick="editBudget(${budget.category_id}, ${budget.amount}, ${budget.rollover})" title="Edit budget">✏️</button>
+                        <button class="btn-icon btn-danger" onclick="deleteBudget(${budget.id})" title="Delete budget">🗑️</button>
+                    </div>
+                </div>
+                <div style="height: 8px; background: var(--bg-secondary); border-radius: 4px; overflow: hidden;">
+                    <div style="height: 100%; width: ${percent}%; background: ${barColor};"></div>
+                </div>
+                <div style="display: flex; justify-content: space-between; margin-top: 0.5rem; font-size: 0.875rem; color: var(--text-secondary);">
+                    <span>
+                        ${formatCurrency(budget.spent)} spent of ${formatCurrency(budget.available)}
+                        ${budget.carried_over > 0 ? `(${formatCurrency(budget.amount)} + ${formatCurrency(budget.carried_over)} rolled over)` : ''}
+                    </span>
+                    <span style="font-weight: 600; color: ${budget.overspent ? 'var(--danger, #ef4444)' : 'var(--text-primary)'};">
+                        ${budget.overspent
+                            ? `${formatCurrency(Math.abs(budget.remaining))} over`
+                            : `${formatCurrency(budget.remaining)} left`}
+                    </span>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function saveBudget() {
+    const categorySelect = document.getElementById('budgetCategory');
+    const amountInput = document.getElementById('budgetAmount');
+    const rolloverInput = document.getElementById('budgetRollover');
+
+    const categoryId = categorySelect.value;
+    const amount = parseFloat(amountInput.value);
+
+    if (!categoryId) {
+        showToast('Please select a category', 'error');
+        return;
+    }
+
+    if (isNaN(amount) || amount < 0) {
+        showToast('Please enter a valid budget amount', 'error');
+        return;
+    }
+
+    showLoading();
+    try {
+        await fetchAPI('/api/budgets', {
+            method: 'POST',
+            body: JSON.stringify({
+                category_id: parseInt(categoryId),
+                month: currentMonth,
+                amount,
+                rollover: rolloverInput.checked
+            })
+        });
+
+        showToast('Budget saved', 'success');
+        categorySelect.value = '';
+        amountInput.value = '';
+        rolloverInput.checked = false;
+
+        eventBus.emit('budgetsUpdated');
+    } catch (error) {
+        showToast('Failed to save budget: ' + error.message, 'error');
+        console.error(error);
+    } finally {
+        hideLoading();
+    }
+}
+
+function editBudget(categoryId, amount, rollover) {
+    document.getElementById('budgetCategory').value = categoryId;
+    document.getElementById('budgetAmount').value = amount;
+    document.getElementById('budgetRollover').checked = rollover;
+    document.getElementById('budgetAmount').focus();
+}
+
+async function deleteBudget(budgetId) {
+    if (!confirm('Delete this budget?')) {
+        return;
+    }
+
+    showLoading();
+    try {
+        await fetchAPI(`/api/budgets/${budgetId}`, { method: 'DELETE' });
+        showToast('Budget deleted', 'success');
+        eventBus.emit('budgetsUpdated');
+    } catch (error) {
+        showToast('Failed to delete budget: ' + error.message, 'error');
+        console.error(error);
+    } finally {
+        hideLoading();
+    }
+}
+
+async function copyPreviousMonthBudgets() {
+    const previousMonth = shiftMonth(currentMonth, -1);
+
+    showLoading();
+    try {
+        const result = await fetchAPI('/api/budgets/copy', {
+            method: 'POST',
+            body: JSON.stringify({ from: previousMonth, to: currentMonth })
+        });
+
+        showToast(`Copied ${result.copied} budget(s) from ${previousMonth}`, 'success');
+        eventBus.emit('budgetsUpdated');
+    } catch (error) {
+        showToast('Failed to copy budgets: ' + error.message, 'error');
+        console.error(error);
+    } finally {
+        hideLoading();
+    }
+}
+
+export default {
+    initializeBudgetsPage,
+    loadBudgets
+};
@@ -7,11 +7,13 @@ import { formatCurrency, escapeHtml, renderCategoryBadge, showLoading, hideLoadi
 import { showToast } from '../services/toast.js';
 import { eventBus } from '../services/eventBus.js';
 import { withLoadingState, groupBy, emitUpdateEvents } from '../utils/helpers.js';
+import { showConfirmModal } from '../components/Modal.js';
 
 // Module state
 let categorySpendingChartInstance = null;
 let allCategories = [];
 let currentEditingCategory = null;
+let currentMergingCategory = null;
 
 // Dependencies (injected)
 let fetchAPI = null;
@@ -35,6 +37,7 @@ function buildCategoryActionButtons(category) {
         <div style="display: flex; gap: 0.5rem;">
             <button class="btn-icon btn-primary" onclick="viewCategoryTransactions('${name}')" title="View transactions">👁️</button>
             <button class="btn-icon btn-secondary" onclick="editCategory('${name}', '${parent}', '${icon}', '${color}')" title="Edit category">✏️</button>
+            <button class="btn-icon btn-secondary" onclick="openMergeCategoryModal(${category.id})" title="Merge into another category">🔀</button>
             <button class="btn-icon btn-danger" onclick="deleteCategory('${name}')" title="Delete category">🗑️</button>
         </div>
     `;
@@ -55,23 +58,35 @@ export function initializeCategoriesPage(deps) {
     window.generateEmojiSuggestions = generateEmojiSuggestions;
     window.selectSuggestedEmoji = selectSuggestedEmoji;
     window.handleUseForAmazonChange = handleUseForAmazonChange;
-
-    // Close edit category modal on ESC key
+    window.openMergeCategoryModal = openMergeCategoryModal;
+    window.closeMergeCategoryModal = closeMergeCategoryModal;
+    window.previewCategoryMerge = previewCategoryMerge;
+    window.confirmCategoryMerge = confirmCategoryMerge;
+    window.viewTagTransactions = viewTagTransactions;
+    window.deleteTag = deleteTag;
+
+    // Close category modals on ESC key
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
             const modal = document.getElementById('editCategoryModal');
             if (modal && modal.style.display === 'flex') {
                 closeEditCategoryModal();
             }
+
+            const mergeModal = document.getElementById('mergeCategoryModal');
+            if (mergeModal && mergeModal.style.display === 'flex') {
+                closeMergeCategoryModal();
+            }
         }
     });
 }
 
 export async function loadCategories() {
     return withLoadingState(async () => {
-        const [categories, spending] = await Promise.all([
+        const [categories, spending, tagSpending] = await Promise.all([
             fetchAPI('/api/categories'),
-            fetchAPI('/api/categories/spending')
+            fetchAPI('/api/categories/spending'),
+            fetchAPI('/api/tags/spending')
         ]);
 
         // Store categories globally for use in edit modal
@@ -80,6 +95,7 @@ export async function loadCategories() {
         populateCategoryParentDropdown(categories);
         displayCategories(categories, spending);
         displayCategorySpendingChart(spending);
+        displayTagSpending(tagSpending);
     }, 'Failed to load categories');
 }
 
@@ -487,6 +503,181 @@ async function deleteCategory(categoryName) {
     }
 }
 
+// ============================================================================
+// CATEGORY MERGE
+// ============================================================================
+
+/**
+ * Human-readable labels for the tables a merge touches
+ */
+const MERGE_TABLE_LABELS = {
+    transactions: 'transactions',
+    transaction_splits: 'transaction splits',
+    amazon_items: 'Amazon items',
+    merchant_mappings: 'merchant mappings',
+    category_rules: 'category rules',
+    plaid_category_mappings: 'Plaid category mappings',
+    external_category_mappings: 'external category mappings',
+    amazon_item_rules: 'Amazon item rules',
+    recurring_series: 'recurring series',
+    ai_categorizations: 'AI categorizations',
+    ai_embeddings: 'AI embeddings',
+    ai_feedback: 'AI feedback entries',
+    budgets: 'budgets',
+    categories: 'sub-categories'
+};
+
+function openMergeCategoryModal(categoryId) {
+    currentMergingCategory = allCategories.find(cat => cat.id === categoryId);
+    if (!currentMergingCategory) return;
+
+    document.getElementById('mergeCategorySource').textContent =
+        `${currentMergingCategory.icon || '📁'} ${currentMergingCategory.name}`;
+
+    const select = document.getElementById('mergeCategoryTarget');
+    select.innerHTML = '<option value="">Select category...</option>' +
+        allCategories
+            .filter(cat => cat.id !== categoryId)
+            .map(cat => `
+                <option value="${cat.id}">${cat.icon || '📁'} ${cat.parent_category ? escapeHtml(cat.parent_category) + ' › ' : ''}${escapeHtml(cat.name)}</option>
+            `).join('');
+
+    document.getElementById('mergeCategoryPreview').innerHTML = '';
+    document.getElementById('mergeCategoryConfirm').disabled = true;
+    document.getElementById('mergeCategoryModal').style.display = 'flex';
+}
+
+function closeMergeCategoryModal() {
+    document.getElementById('mergeCategoryModal').style.display = 'none';
+    currentMergingCategory = null;
+}
+
+function requestCategoryMerge(targetId, dryRun) {
+    return fetchAPI(`/api/categories/${currentMergingCategory.id}/merge`, {
+        method: 'POST',
+        body: JSON.stringify({ target_id: targetId, dry_run: dryRun })
+    });
+}
+
+async function previewCategoryMerge() {
+    const targetId = parseInt(document.getElementById('mergeCategoryTarget').value);
+    const preview = document.getElementById('mergeCategoryPreview');
+    const confirmButton = document.getElementById('mergeCategoryConfirm');
+
+    confirmButton.disabled = true;
+    preview.innerHTML = '';
+    if (!targetId || !currentMergingCategory) return;
+
+    try {
+        const result = await requestCategoryMerge(targetId, true);
+        const lines = Object.entries(result.affected)
+            .filter(([, count]) => count > 0)
+            .map(([table, count]) => `<li>${count} ${MERGE_TABLE_LABELS[table] || table}</li>`);
+
+        preview.innerHTML = lines.length > 0
+            ? `<div style="margin-bottom: 0.25rem;">This will move:</div><ul style="margin: 0; padding-left: 1.25rem;">${lines.join('')}</ul>`
+            : 'Nothing references this category; it will simply be removed.';
+        confirmButton.disabled = false;
+    } catch (error) {
+        preview.textContent = 'Failed to preview merge: ' + error.message;
+        console.error(error);
+    }
+}
+
+async function confirmCategoryMerge() {
+    const targetId = parseInt(document.getElementById('mergeCategoryTarget').value);
+    if (!targetId || !currentMergingCategory) return;
+
+    showLoading();
+    try {
+        const result = await requestCategoryMerge(targetId, false);
+
+        showToast(`Merged "${result.source.name}" into "${result.target.name}". ${result.affected.transactions} transaction(s) moved.`, 'success');
+        closeMergeCategoryModal();
+
+        // Emit events to update all views
+        emitUpdateEvents(eventBus, 'categoriesUpdated', 'transactionsUpdated');
+    } catch (error) {
+        showToast('Failed to merge category: ' + error.message, 'error');
+        console.error(error);
+    } finally {
+        hideLoading();
+    }
+}
+
+// ============================================================================
+// TAGS
+// ============================================================================
+
+function displayTagSpending(tags) {
+    const container = document.getElementById('tagSpendingList');
+    if (!container) return;
+
+    if (!tags || tags.length === 0) {
+        container.innerHTML = '<p style="color: var(--text-secondary); padding: 1rem;">No tags yet.</p>';
+        return;
+    }
+
+    container.innerHTML = tags.map(tag => {
+        const name = escapeHtml(tag.name);
+        const topCategories = tag.categories.slice(0, 3)
+            .map(cat => `${escapeHtml(cat.category)} ${formatCurrency(cat.total)}`)
+            .join(' · ');
+
+        return `
+            <div class="category-item">
+                <div class="category-row">
+                    <div class="category-info">
+                        <div style="display: flex; align-items: center; gap: 0.75rem; flex-wrap: wrap;">
+                            <span style="background: ${escapeHtml(tag.color || '#e0e7ff')}; color: #3730a3; padding: 2px 8px; border-radius: 10px; font-weight: 600;">#${name}</span>
+                            <span class="category-stats">${tag.count} transactions · ${formatCurrency(tag.spent)} spent${tag.income > 0 ? ` · ${formatCurrency(tag.income)} income` : ''}</span>
+                        </div>
+                        ${topCategories ? `<div style="color: var(--text-secondary); font-size: 0.8rem; margin-top: 0.25rem;">${topCategories}</div>` : ''}
+                    </div>
+                    <div style="display: flex; gap: 0.5rem;">
+                        <button class="btn-icon btn-primary" onclick="viewTagTransactions('${name}')" title="View transactions">👁️</button>
+                        <button class="btn-icon btn-danger" onclick="deleteTag(${tag.id}, '${name}')" title="Delete tag">🗑️</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function viewTagTransactions(tagName) {
+    navigateTo('transactions');
+
+    setTimeout(() => {
+        const tagFilter = document.getElementById('filterTag');
+        if (tagFilter) {
+            // The tag options may still be loading, so make sure this one exists
+            if (!Array.from(tagFilter.options).some(opt => opt.value === tagName)) {
+                tagFilter.add(new Option(`#${tagName}`, tagName));
+            }
+            tagFilter.value = tagName;
+        }
+
+        applyTransactionFilters();
+    }, 100);
+}
+
+function deleteTag(tagId, tagName) {
+    showConfirmModal(
+        'Delete Tag',
+        `Delete #${tagName}? It will be removed from every transaction that carries it.`,
+        async () => {
+            try {
+                const result = await fetchAPI(`/api/tags/${tagId}`, { method: 'DELETE' });
+                showToast(`Deleted #${tagName} from ${result.transactionsUntagged} transaction(s)`, 'success');
+                eventBus.emit('transactionsUpdated');
+                loadCategories();
+            } catch (error) {
+                showToast(`Failed to delete tag: ${error.message}`, 'error');
+            }
+        }
+    );
+}
+
 function viewCategoryTransactions(categoryName) {
     // Navigate to transactions page
     navigateTo('transactions');
@@ -5,14 +5,16 @@
 
 import { formatCurrency, formatDate, escapeHtml } from '../utils/formatters.js';
 import { showToast } from '../services/toast.js';
-import { createCategoryChart, createLineChart, createBarChart, currencyTooltipFormatter } from '../utils/charts.js';
+import { createCategoryChart, createLineChart, createBarChart, currencyTooltipFormatter, CHART_COLORS } from '../utils/charts.js';
 import { withLoadingState, sumBy } from '../utils/helpers.js';
 
 // Chart instances
 let netWorthChartInstance = null;
 let dailySpendingChartInstance = null;
 let categoryChartInstance = null;
+let forecastChartInstance = null;
 let currentTimeRange = '1w';
+let currentForecastDays = 90;
 
 // Fetch API helper (will be passed in)
 let fetchAPI = null;
@@ -36,11 +38,13 @@ export async function loadDashboard() {
         // Load new charts in parallel (2x faster)
         await Promise.all([
             loadNetWorthChart(currentTimeRange),
-            loadDailySpendingChart()
+            loadDailySpendingChart(),
+            loadForecastChart(currentForecastDays)
         ]);
 
         // Set up time range selector listeners
         setupTimeRangeSelector();
+        setupForecastRangeSelector();
     }, 'Failed to load dashboard');
 }
 
@@ -81,12 +85,14 @@ function displayRecentTransactions(transactions) {
 
 function updateCategoryChart(stats) {
     const ctx = document.getElementById('categoryChart');
-    if (!ctx || !stats.byCategory || Object.keys(stats.byCategory).length === 0) {
+    // /api/stats returns [{ category, total }], spending per category net of reimbursements
+    const spending = Array.isArray(stats) ? stats.filter(s => s.total > 0) : [];
+    if (!ctx || spending.length === 0) {
         return;
     }
 
-    const categories = Object.keys(stats.byCategory);
-    const amounts = Object.values(stats.byCategory).map(Math.abs);
+    const categories = spending.map(s => s.category);
+    const amounts = spending.map(s => s.total);
 
     // Destroy existing chart if it exists
     if (categoryChartInstance) {
@@ -135,6 +141,7 @@ async function loadNetWorthChart(timeRange = '1w') {
 
         const labels = data.map(d => formatDate(d.date));
         const balances = data.map(d => d.balance);
+        const hasLiabilities = data.some(d => d.liabilities > 0);
 
         netWorthChartInstance = new Chart(ctx, {
             type: 'line',
@@ -147,19 +154,34 @@ async function loadNetWorthChart(timeRange = '1w') {
                     backgroundColor: 'rgba(76, 175, 80, 0.1)',
                     fill: true,
                     tension: 0.3
-                }]
+                }, ...(hasLiabilities ? [{
+                    label: 'Assets',
+                    data: data.map(d => d.assets),
+                    borderColor: '#3B82F6',
+                    borderDash: [4, 4],
+                    fill: false,
+                    tension: 0.3
+                }, {
+                    label: 'Liabilities',
+                    data: data.map(d => -d.liabilities),
+                    borderColor: '#EF4444',
+                    borderDash: [4, 4],
+                    fill: false,
+                    tension: 0.3
+                }] : [])]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: true,
                 plugins: {
                     legend: {
-                        display: false
+                        display: hasLiabilities,
+                        position: 'bottom'
                     },
                     tooltip: {
                         callbacks: {
                             label: function(context) {
-                                return 'Net Worth: ' + formatCurrency(context.parsed.y);
+                                return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
                             }
                         }
                     }
@@ -252,8 +274,142 @@ async function loadDailySpendingChart() {
     }
 }
 
+async function loadForecastChart(days = 90) {
+    try {
+        const forecast = await fetchAPI(`/api/forecast?days=${days}`);
+
+        const ctx = document.getElementById('forecastChart');
+        if (!ctx) return;
+
+        if (forecastChartInstance) {
+            forecastChartInstance.destroy();
+            forecastChartInstance = null;
+        }
+
+        displayForecastWarnings(forecast);
+        displayForecastSummary(forecast);
+
+        if (forecast.accounts.length === 0) {
+            return;
+        }
+
+        // Start every line at today's balance; credit cards are drawn below zero as money owed
+        const labels = [forecast.asOf, ...forecast.accounts[0].points.map(p => p.date)].map(formatDate);
+        const palette = Object.values(CHART_COLORS);
+        const datasets = forecast.accounts.map((account, index) => {
+            const sign = account.is_liability ? -1 : 1;
+            return {
+                label: account.name,
+                data: [account.current_balance, ...account.points.map(p => p.balance)].map(b => sign * b),
+                borderColor: palette[index % palette.length],
+                borderDash: account.is_liability ? [4, 4] : [],
+                pointRadius: 0,
+                fill: false,
+                tension: 0.2
+            };
+        });
+
+        if (forecast.accounts.some(a => a.type === 'depository')) {
+            datasets.push({
+                label: 'Low Balance Threshold',
+                data: labels.map(() => forecast.threshold),
+                borderColor: CHART_COLORS.danger,
+                borderDash: [2, 6],
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: false
+            });
+        }
+
+        forecastChartInstance = createLineChart(ctx, { labels, datasets }, {
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                tooltip: currencyTooltipFormatter()
+            },
+            scales: {
+                y: {
+                    beginAtZero: false,
+                    ticks: {
+                        callback: function(value) {
+                            return formatCurrency(value);
+                        }
+                    }
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error loading forecast chart:', error);
+    }
+}
+
+function displayForecastWarnings(forecast) {
+    const container = document.getElementById('forecastWarnings');
+    if (!container) return;
+
+    container.innerHTML = forecast.warnings.map(warning => `
+        <div style="padding: 0.75rem 1rem; margin-bottom: 0.75rem; border-left: 4px solid var(--danger); background: rgba(239, 68, 68, 0.08); border-radius: 4px;">
+            <strong>${escapeHtml(warning.account_name)}</strong> is projected to drop below ${formatCurrency(warning.threshold)}
+            on ${formatDate(warning.date)}, reaching ${formatCurrency(warning.lowest_balance)} on ${formatDate(warning.lowest_date)}
+        </div>
+    `).join('');
+}
+
+function displayForecastSummary(forecast) {
+    const container = document.getElementById('forecastSummary');
+    if (!container) return;
+
+    if (forecast.accounts.length === 0) {
+        container.innerHTML = '<p style="color: var(--text-secondary);">Link a checking, savings or credit card account to see a forecast.</p>';
+        return;
+    }
+
+    const horizons = forecast.accounts[0].projected.map(p => p.days);
+
+    container.innerHTML = `
+        <table style="width: 100%; font-size: 0.875rem;">
+            <thead>
+                <tr>
+                    <th style="text-align: left;">Account</th>
+                    <th style="text-align: right;">Today</th>
+                    ${horizons.map(d => `<th style="text-align: right;">${d} Days</th>`).join('')}
+                    <th style="text-align: right;">Everyday Spend / Day</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${forecast.accounts.map(account => `
+                    <tr>
+                        <td>${escapeHtml(account.name)}${account.is_liability ? ' <span style="color: var(--text-secondary);">(owed)</span>' : ''}</td>
+                        <td style="text-align: right;">${formatCurrency(account.current_balance)}</td>
+                        ${account.projected.map(p => `
+                            <td style="text-align: right; ${!account.is_liability && p.balance < forecast.threshold ? 'color: var(--danger);' : ''}">${formatCurrency(p.balance)}</td>
+                        `).join('')}
+                        <td style="text-align: right; color: var(--text-secondary);">${formatCurrency(account.daily_discretionary)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function setupForecastRangeSelector() {
+    const buttons = document.querySelectorAll('[data-forecast-days]');
+    buttons.forEach(btn => {
+        btn.onclick = async function() {
+            buttons.forEach(b => b.classList.remove('active'));
+            this.classList.add('active');
+
+            currentForecastDays = parseInt(this.getAttribute('data-forecast-days'));
+            await loadForecastChart(currentForecastDays);
+        };
+    });
+}
+
 function setupTimeRangeSelector() {
-    const buttons = document.querySelectorAll('.time-range-btn');
+    // Forecast buttons share the styling but not the behavior
+    const buttons = document.querySelectorAll('.time-range-btn[data-range]');
     buttons.forEach(btn => {
         btn.addEventListener('click', async function() {
             // Remove active class from all buttons
@@ -6,12 +6,15 @@
 import { formatDate, escapeHtml } from '../utils/formatters.js';
 import { showToast } from '../services/toast.js';
 import { withLoadingState, renderTable } from '../utils/helpers.js';
+import { Modal } from '../components/Modal.js';
 
 // Dependencies (injected)
 let fetchAPI = null;
 
 export function initializeMappingsPage(deps) {
     fetchAPI = deps.fetchAPI;
+
+    window.showRuleHistory = showRuleHistory;
 }
 
 export async function loadMappings() {
@@ -65,14 +68,32 @@ function displayCategoryRules(rules) {
             render: (r) => `<span style="font-weight: 500;">${escapeHtml(r.name)}</span>`
         },
         {
-            key: 'pattern',
-            label: 'Pattern',
-            render: (r) => `<span style="font-family: monospace; font-size: 0.9rem; color: var(--text-secondary);">${escapeHtml(r.pattern)}</span>`
+            key: 'summary',
+            label: 'Conditions',
+            render: (r) => `<span style="font-family: monospace; font-size: 0.9rem; color: var(--text-secondary);">${escapeHtml(r.summary || r.pattern)}</span>`
+        },
+        {
+            key: 'priority',
+            label: 'Priority',
+            align: 'center'
         },
         {
             key: 'category',
             label: 'Category',
-            render: (r) => `<span class="category-badge">${escapeHtml(r.category)}</span>`
+            render: (r) => r.category
+                ? `<span class="category-badge">${escapeHtml(r.category)}</span>`
+                : '<span style="color: var(--text-secondary);">—</span>'
+        },
+        {
+            key: 'actions_summary',
+            label: 'Actions',
+            render: (r) => `<span style="font-size: 0.85rem; color: var(--text-secondary);">${escapeHtml(r.actions_summary || '')}</span>`
+        },
+        {
+            key: 'history',
+            label: 'History',
+            align: 'center',
+            render: (r) => `<button class="btn btn-secondary" style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" onclick="showRuleHistory(${r.id})">View</button>`
         },
         {
             key: 'enabled',
@@ -93,6 +114,57 @@ function displayCategoryRules(rules) {
     });
 }
 
+const RULE_ACTION_LABELS = {
+    set_category: 'Category',
+    rename: 'Display name',
+    add_tags: 'Tags',
+    set_note: 'Note',
+    split: 'Split',
+    mark_transfer: 'Transfer',
+    exclude_from_reports: 'Excluded'
+};
+
+/**
+ * Show what a rule changed on which transactions (newest first)
+ * @param {number} ruleId - Rule ID
+ */
+async function showRuleHistory(ruleId) {
+    try {
+        const applications = await fetchAPI(`/api/category-mappings/rules/${ruleId}/applications`);
+
+        const content = applications.length === 0
+            ? '<p style="color: var(--text-secondary);">This rule hasn\'t changed any transactions yet.</p>'
+            : `
+                <table class="transactions-table" style="width: 100%; font-size: 0.85rem;">
+                    <thead>
+                        <tr><th>Applied</th><th>Transaction</th><th>Change</th><th>Before</th><th>After</th></tr>
+                    </thead>
+                    <tbody>
+                        ${applications.map(a => `
+                            <tr>
+                                <td>${formatDate(a.applied_at)}</td>
+                                <td>${escapeHtml(a.merchant_name || a.description)}<br><span style="color: var(--text-secondary);">${formatDate(a.date)}</span></td>
+                                <td>${RULE_ACTION_LABELS[a.action] || escapeHtml(a.action)}</td>
+                                <td style="color: var(--text-secondary);">${escapeHtml(a.old_value || '—')}</td>
+                                <td>${escapeHtml(a.new_value || '—')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+
+        new Modal({
+            id: `rule-history-${ruleId}`,
+            title: 'Rule history',
+            content,
+            actions: [{ action: 'close', label: 'Close', primary: true }],
+            options: { size: 'large' }
+        }).show();
+    } catch (error) {
+        showToast(`Failed to load rule history: ${error.message}`, 'error');
+    }
+}
+
 function displayPlaidMappings(mappings) {
     renderTable('plaidMappingsList', mappings, [
         {
@@ -0,0 +1,380 @@
+/**
+ * MerchantsPage Module
+ * Handles the merchant directory: canonical names, emoji/logos, default
+ * categories, merging aliases and lifetime stats per merchant
+ */
+
+import { formatCurrency, formatDate, escapeHtml, escapeAttribute, renderCategoryBadge, showLoading, hideLoading } from '../utils/formatters.js';
+import { showToast } from '../services/toast.js';
+import { eventBus } from '../services/eventBus.js';
+import { debounce, withLoadingState } from '../utils/helpers.js';
+import { Modal } from '../components/Modal.js';
+
+// Module state
+let currentMerchants = [];
+let allCategories = [];
+let merchantSort = 'spend';
+let merchantSearch = '';
+const selectedMerchantIds = new Set();
+
+// Dependencies (injected)
+let fetchAPI = null;
+
+export function initializeMerchantsPage(deps) {
+    fetchAPI = deps.fetchAPI;
+
+    // Expose functions globally for onclick handlers
+    window.openMerchantDetails = openMerchantDetails;
+    window.openMerchantModal = openMerchantModal;
+    window.toggleMerchantSelection = toggleMerchantSelection;
+    window.openMergeMerchantsModal = openMergeMerchantsModal;
+
+    const searchInput = document.getElementById('merchantSearch');
+    if (searchInput) {
+        searchInput.addEventListener('input', debounce(() => {
+            merchantSearch = searchInput.value.trim();
+            loadMerchants();
+        }, 300));
+    }
+
+    const sortSelect = document.getElementById('merchantSort');
+    if (sortSelect) {
+        sortSelect.value = merchantSort;
+        sortSelect.addEventListener('change', () => {
+            merchantSort = sortSelect.value;
+            loadMerchants();
+        });
+    }
+}
+
+export async function loadMerchants() {
+    return withLoadingState(async () => {
+        const params = new URLSearchParams({ sort: merchantSort });
+        if (merchantSearch) {
+            params.set('search', merchantSearch);
+        }
+
+        const [merchants, categories] = await Promise.all([
+            fetchAPI(`/api/merchants?${params}`),
+            fetchAPI('/api/categories')
+        ]);
+
+        currentMerchants = merchants;
+        allCategories = categories;
+
+        // Drop selections that are no longer listed (merged away or filtered out)
+        for (const id of [...selectedMerchantIds]) {
+            if (!merchants.some(m => m.id === id)) {
+                selectedMerchantIds.delete(id);
+            }
+        }
+
+        displayMerchants();
+        updateMergeButton();
+    }, 'Failed to load merchants');
+}
+
+function renderMerchantIcon(merchant) {
+    if (merchant.logo_url) {
+        return `<img src="${escapeAttribute(merchant.logo_url)}" alt="" style="width: 24px; height: 24px; border-radius: 4px; object-fit: contain;">`;
+    }
+    return `<span style="font-size: 1.25rem;">${escapeHtml(merchant.emoji || '🏪')}</span>`;
+}
+
+function describeFrequency(merchant) {
+    if (merchant.average_days_between === null) {
+        return 'Once';
+    }
+    if (merchant.average_days_between <= 1) {
+        return 'Daily';
+    }
+    return `Every ~${merchant.average_days_between} days`;
+}
+
+function displayMerchants() {
+    const container = document.getElementById('merchantsList');
+
+    if (currentMerchants.length === 0) {
+        container.innerHTML = `
+            <p style="color: var(--text-secondary); padding: 1rem;">
+                ${merchantSearch ? 'No merchants match your search.' : 'No merchants yet. They appear as transactions come in.'}
+            </p>
+        `;
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="transactions-table" style="width: 100%; font-size: 0.875rem;">
+                <thead>
+                    <tr>
+                        <th style="width: 32px;"></th>
+                        <th>Merchant</th>
+                        <th>Default Category</th>
+                        <th style="text-align: right;">Lifetime Spend</th>
+                        <th style="text-align: right;">Transactions</th>
+                        <th>Frequency</th>
+                        <th>First Seen</th>
+                        <th>Last Seen</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${currentMerchants.map(merchant => `
+                        <tr>
+                            <td>
+                                <input type="checkbox" ${selectedMerchantIds.has(merchant.id) ? 'checked' : ''}
+                                    onchange="toggleMerchantSelection(${merchant.id}, this.checked)" title="Select to merge">
+                            </td>
+                            <td>
+                                <a href="#" onclick="event.preventDefault(); openMerchantDetails(${merchant.id})"
+                                    style="display: flex; align-items: center; gap: 0.5rem; text-decoration: none; color: inherit;">
+                                    ${renderMerchantIcon(merchant)}
+                                    <span style="font-weight: 500;">${escapeHtml(merchant.name)}</span>
+                                    ${merchant.alias_count > 1 ? `<span style="font-size: 0.75rem; color: var(--text-secondary);">${merchant.alias_count} aliases</span>` : ''}
+                                </a>
+                            </td>
+                            <td>
+                                ${merchant.default_category
+                                    ? renderCategoryBadge({ name: merchant.default_category, icon: merchant.default_category_icon, color: merchant.default_category_color }, { inline: true })
+                                    : '<span style="color: var(--text-secondary);">—</span>'}
+                            </td>
+                            <td style="text-align: right;">${formatCurrency(merchant.lifetime_spend)}</td>
+                            <td style="text-align: right;">${merchant.transaction_count}</td>
+                            <td>${describeFrequency(merchant)}</td>
+                            <td>${formatDate(merchant.first_seen)}</td>
+                            <td>${formatDate(merchant.last_seen)}</td>
+                            <td>
+                                <button class="btn-icon" onclick="openMerchantModal(${merchant.id})" title="Edit merchant">✏️</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function toggleMerchantSelection(merchantId, selected) {
+    if (selected) {
+        selectedMerchantIds.add(merchantId);
+    } else {
+        selectedMerchantIds.delete(merchantId);
+    }
+    updateMergeButton();
+}
+
+function updateMergeButton() {
+    const button = document.getElementById('mergeMerchantsBtn');
+    if (!button) return;
+
+    button.disabled = selectedMerchantIds.size < 2;
+    button.textContent = selectedMerchantIds.size >= 2 ? `🔗 Merge ${selectedMerchantIds.size} Merchants` : '🔗 Merge Selected';
+}
+
+async function openMerchantDetails(merchantId) {
+    let merchant;
+    try {
+        merchant = await fetchAPI(`/api/merchants/${merchantId}`);
+    } catch (error) {
+        showToast('Failed to load merchant: ' + error.message, 'error');
+        return;
+    }
+
+    const modal = new Modal({
+        id: `merchant-details-${Date.now()}`,
+        title: merchant.name,
+        content: `
+            <div style="display: flex; flex-direction: column; gap: 1.25rem; padding: 0.5rem 0;">
+                <div style="display: flex; gap: 2rem; flex-wrap: wrap;">
+                    <div><div style="color: var(--text-secondary); font-size: 0.8rem;">Lifetime spend</div><strong>${formatCurrency(merchant.lifetime_spend)}</strong></div>
+                    <div><div style="color: var(--text-secondary); font-size: 0.8rem;">Transactions</div><strong>${merchant.transaction_count}</strong></div>
+                    <div><div style="color: var(--text-secondary); font-size: 0.8rem;">Average</div><strong>${formatCurrency(merchant.average_amount)}</strong></div>
+                    <div><div style="color: var(--text-secondary); font-size: 0.8rem;">Frequency</div><strong>${describeFrequency(merchant)}</strong></div>
+                </div>
+                <div>
+                    <h4 style="margin-bottom: 0.5rem;">Shows up as</h4>
+                    <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
+                        ${merchant.descriptions.map(d => `
+                            <span style="padding: 0.2rem 0.6rem; border: 1px solid var(--border); border-radius: 12px; font-size: 0.8rem;">
+                                ${escapeHtml(d.description)} <span style="color: var(--text-secondary);">×${d.count}</span>
+                            </span>
+                        `).join('')}
+                    </div>
+                </div>
+                <div>
+                    <h4 style="margin-bottom: 0.5rem;">Recent Transactions</h4>
+                    <div class="transactions-list">
+                        ${merchant.recent_transactions.map(tx => `
+                            <div class="transaction-item">
+                                <div class="transaction-info">
+                                    <div class="transaction-name">${escapeHtml(tx.description)}</div>
+                                    <div class="transaction-meta">${formatDate(tx.date)} • ${escapeHtml(tx.account_name)} • ${escapeHtml(tx.category || 'Uncategorized')}</div>
+                                </div>
+                                <div class="transaction-amount ${parseFloat(tx.amount) > 0 ? 'negative' : 'positive'}">${formatCurrency(tx.amount)}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `,
+        actions: [
+            { action: 'close', label: 'Close', primary: false }
+        ]
+    });
+
+    modal.show();
+}
+
+function openMerchantModal(merchantId) {
+    const merchant = currentMerchants.find(m => m.id === merchantId);
+    if (!merchant) return;
+
+    const modalId = `merchant-${Date.now()}`;
+    const inputStyle = 'width: 100%; padding: 0.6rem; margin-top: 0.25rem;';
+
+    const modal = new Modal({
+        id: modalId,
+        title: `Edit ${merchant.name}`,
+        content: `
+            <div style="display: flex; flex-direction: column; gap: 1rem; padding: 0.5rem 0;">
+                <label style="font-weight: 500;">
+                    Name
+                    <input type="text" id="merchant-name" class="form-input" style="${inputStyle}" value="${escapeAttribute(merchant.name)}">
+                </label>
+                <div style="display: flex; gap: 1rem;">
+                    <label style="font-weight: 500; width: 6rem;">
+                        Emoji
+                        <input type="text" id="merchant-emoji" class="form-input" style="${inputStyle}" value="${escapeAttribute(merchant.emoji || '')}" placeholder="🏪">
+                    </label>
+                    <label style="font-weight: 500; flex: 1;">
+                        Logo URL <span style="font-weight: 400; color: var(--text-secondary);">(shown instead of the emoji)</span>
+                        <input type="url" id="merchant-logo" class="form-input" style="${inputStyle}" value="${escapeAttribute(merchant.logo_url || '')}" placeholder="https://...">
+                    </label>
+                </div>
+                <label style="font-weight: 500;">
+                    Default Category <span style="font-weight: 400; color: var(--text-secondary);">(used for new transactions from this merchant)</span>
+                    <select id="merchant-category" class="form-select" style="${inputStyle}">
+                        <option value="">None</option>
+                        ${allCategories.map(cat => `
+                            <option value="${escapeAttribute(cat.name)}" ${cat.name === merchant.default_category ? 'selected' : ''}>
+                                ${cat.icon || '📁'} ${cat.parent_category ? escapeHtml(cat.parent_category) + ' › ' : ''}${escapeHtml(cat.name)}
+                            </option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label style="display: flex; align-items: center; gap: 0.5rem;">
+                    <input type="checkbox" id="merchant-apply-existing">
+                    Also recategorize this merchant's existing transactions (except ones you categorized by hand)
+                </label>
+            </div>
+        `,
+        actions: [
+            { action: 'cancel', label: 'Cancel', primary: false },
+            { action: 'save', label: 'Save', primary: true }
+        ],
+        options: { size: 'small' }
+    });
+
+    eventBus.once(`modal:${modalId}:save`, async () => {
+        const name = document.getElementById('merchant-name')?.value.trim() || '';
+        if (!name) {
+            showToast('Name is required', 'error');
+            return;
+        }
+
+        showLoading();
+        try {
+            const result = await fetchAPI(`/api/merchants/${merchantId}`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    name,
+                    emoji: document.getElementById('merchant-emoji')?.value.trim() || null,
+                    logo_url: document.getElementById('merchant-logo')?.value.trim() || null,
+                    default_category: document.getElementById('merchant-category')?.value || null,
+                    applyToExisting: document.getElementById('merchant-apply-existing')?.checked === true
+                })
+            });
+
+            showToast(result.transactionsUpdated > 0
+                ? `${name} updated, ${result.transactionsUpdated} transaction(s) recategorized`
+                : `${name} updated`, 'success');
+
+            if (result.transactionsUpdated > 0) {
+                eventBus.emit('transactionsUpdated');
+            } else {
+                loadMerchants();
+            }
+        } catch (error) {
+            showToast(`Failed to update: ${error.message}`, 'error');
+            console.error(error);
+        } finally {
+            hideLoading();
+        }
+    });
+
+    modal.show();
+}
+
+function openMergeMerchantsModal() {
+    const selected = currentMerchants.filter(m => selectedMerchantIds.has(m.id));
+    if (selected.length < 2) {
+        showToast('Select at least two merchants to merge', 'error');
+        return;
+    }
+
+    const modalId = `merge-merchants-${Date.now()}`;
+    const modal = new Modal({
+        id: modalId,
+        title: 'Merge Merchants',
+        content: `
+            <div style="display: flex; flex-direction: column; gap: 0.75rem; padding: 0.5rem 0;">
+                <p style="color: var(--text-secondary);">
+                    Their transactions and aliases move to the merchant you keep. Which name should stay?
+                </p>
+                ${selected.map((merchant, index) => `
+                    <label style="display: flex; align-items: center; gap: 0.5rem;">
+                        <input type="radio" name="merge-target" value="${merchant.id}" ${index === 0 ? 'checked' : ''}>
+                        ${renderMerchantIcon(merchant)}
+                        <span>${escapeHtml(merchant.name)}</span>
+                        <span style="color: var(--text-secondary); font-size: 0.8rem;">${merchant.transaction_count} transaction(s)</span>
+                    </label>
+                `).join('')}
+            </div>
+        `,
+        actions: [
+            { action: 'cancel', label: 'Cancel', primary: false },
+            { action: 'merge', label: 'Merge', primary: true }
+        ],
+        options: { size: 'small' }
+    });
+
+    eventBus.once(`modal:${modalId}:merge`, async () => {
+        const targetId = parseInt(document.querySelector('input[name="merge-target"]:checked')?.value);
+        const merchantIds = selected.map(m => m.id).filter(id => id !== targetId);
+
+        showLoading();
+        try {
+            const result = await fetchAPI(`/api/merchants/${targetId}/merge`, {
+                method: 'POST',
+                body: JSON.stringify({ merchantIds })
+            });
+
+            showToast(`Merged ${result.merged} merchant(s) into ${result.merchant.name}`, 'success');
+            selectedMerchantIds.clear();
+            loadMerchants();
+        } catch (error) {
+            showToast(`Failed to merge: ${error.message}`, 'error');
+            console.error(error);
+        } finally {
+            hideLoading();
+        }
+    });
+
+    modal.show();
+}
+
+export default {
+    initializeMerchantsPage,
+    loadMerchants
+};
@@ -0,0 +1,310 @@
+/**
+ * ReportsPage Module
+ * Handles period-over-period spending reports: category x period matrix with
+ * drill-down to merchants and then to transactions
+ */
+
+import { formatCurrency, formatDate, escapeHtml, renderCategoryBadge } from '../utils/formatters.js';
+import { createBarChart, currencyTooltipFormatter, CHART_COLORS } from '../utils/charts.js';
+import { withLoadingState } from '../utils/helpers.js';
+
+// How many categories (or merchants) get their own bars in the chart
+const CHART_SERIES_LIMIT = 6;
+
+// Module state
+let reportPeriod = 'monthly';
+let reportCompare = 'previous';
+let drillCategory = null;
+let drillMerchant = null;
+let currentReport = null;
+let reportRows = [];
+let reportChartInstance = null;
+
+// Dependencies (injected)
+let fetchAPI = null;
+
+export function initializeReportsPage(deps) {
+    fetchAPI = deps.fetchAPI;
+
+    // Expose functions globally for onclick handlers
+    window.drillIntoReportRow = drillIntoReportRow;
+    window.showReportCell = showReportCell;
+    window.navigateReportTo = navigateReportTo;
+
+    const periodSelect = document.getElementById('reportPeriod');
+    const compareSelect = document.getElementById('reportCompare');
+    if (periodSelect) {
+        periodSelect.value = reportPeriod;
+        periodSelect.addEventListener('change', () => {
+            reportPeriod = periodSelect.value;
+            drillMerchant = null;
+            loadReports();
+        });
+    }
+    if (compareSelect) {
+        compareSelect.value = reportCompare;
+        compareSelect.addEventListener('change', () => {
+            reportCompare = compareSelect.value;
+            drillMerchant = null;
+            loadReports();
+        });
+    }
+}
+
+export async function loadReports() {
+    return withLoadingState(async () => {
+        const params = new URLSearchParams({ period: reportPeriod, compare: reportCompare });
+        if (drillCategory) {
+            params.set('category', drillCategory);
+        }
+
+        const url = drillCategory ? `/api/reports/spending/merchants?${params}` : `/api/reports/spending?${params}`;
+        currentReport = await fetchAPI(url);
+
+        // Category rows list subcategories right under their parent
+        reportRows = drillCategory
+            ? currentReport.merchants.map(m => ({ ...m, label: m.merchant, depth: 0 }))
+            : currentReport.categories.flatMap(c => [
+                { ...c, label: c.name, depth: 0 },
+                ...c.children.map(child => ({ ...child, label: child.name, depth: 1 }))
+            ]);
+
+        displayReportBreadcrumb();
+        displayReportChart();
+        displayReportMatrix();
+
+        if (!drillMerchant) {
+            document.getElementById('reportTransactionsCard').style.display = 'none';
+        }
+    }, 'Failed to load reports');
+}
+
+/**
+ * Jump back up the drill-down ('all' or 'category')
+ */
+function navigateReportTo(level) {
+    if (level === 'all') {
+        drillCategory = null;
+    }
+    drillMerchant = null;
+    loadReports();
+}
+
+function drillIntoReportRow(index) {
+    const row = reportRows[index];
+    if (!row) return;
+
+    if (drillCategory) {
+        drillMerchant = row.merchant;
+        const latest = currentReport.periods[currentReport.periods.length - 1];
+        loadReportTransactions(latest.key);
+    } else {
+        drillCategory = row.name;
+        drillMerchant = null;
+        loadReports();
+    }
+}
+
+async function showReportCell(index, periodKey) {
+    const row = reportRows[index];
+    if (!row) return;
+
+    // A category cell opens that category's merchants along with its transactions
+    if (drillCategory) {
+        drillMerchant = row.merchant;
+    } else {
+        drillCategory = row.name;
+        drillMerchant = null;
+        await loadReports();
+    }
+
+    loadReportTransactions(periodKey);
+}
+
+function displayReportBreadcrumb() {
+    const container = document.getElementById('reportBreadcrumb');
+    const crumbs = [
+        drillCategory
+            ? '<a href="#" onclick="event.preventDefault(); navigateReportTo(\'all\')">All Categories</a>'
+            : '<strong>All Categories</strong>'
+    ];
+
+    if (drillCategory) {
+        crumbs.push(drillMerchant
+            ? `<a href="#" onclick="event.preventDefault(); navigateReportTo('category')">${escapeHtml(drillCategory)}</a>`
+            : `<strong>${escapeHtml(drillCategory)}</strong>`);
+    }
+    if (drillMerchant) {
+        crumbs.push(`<strong>${escapeHtml(drillMerchant)}</strong>`);
+    }
+
+    container.innerHTML = crumbs.join(' <span style="color: var(--text-secondary);">›</span> ');
+}
+
+function displayReportChart() {
+    const ctx = document.getElementById('reportChart');
+    if (!ctx) return;
+
+    if (reportChartInstance) {
+        reportChartInstance.destroy();
+        reportChartInstance = null;
+    }
+
+    const topRows = reportRows.filter(row => row.depth === 0).slice(0, CHART_SERIES_LIMIT);
+    if (topRows.length === 0) return;
+
+    const palette = Object.values(CHART_COLORS);
+    const datasets = topRows.map((row, index) => ({
+        label: row.label,
+        data: row.cells.map(cell => cell.total),
+        backgroundColor: row.color || palette[index % palette.length],
+        borderRadius: 4
+    }));
+
+    reportChartInstance = createBarChart(ctx, {
+        labels: currentReport.periods.map(p => p.label),
+        datasets
+    }, {
+        plugins: {
+            tooltip: currencyTooltipFormatter()
+        },
+        scales: {
+            y: {
+                beginAtZero: true,
+                ticks: {
+                    callback: function(value) {
+                        return formatCurrency(value);
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Change against the comparison period; more spending is shown as bad
+ */
+function renderChange(cell) {
+    if (cell.change === 0) {
+        return '<span style="color: var(--text-secondary);">—</span>';
+    }
+
+    const color = cell.change > 0 ? 'var(--danger)' : 'var(--success)';
+    const arrow = cell.change > 0 ? '▲' : '▼';
+    const percent = cell.percent_change !== null ? `${Math.abs(cell.percent_change)}%` : 'new';
+    const comparedWith = reportCompare === 'year' ? 'same period last year' : 'previous period';
+
+    return `
+        <span style="color: ${color};" title="${cell.change > 0 ? '+' : '-'}${formatCurrency(Math.abs(cell.change))} vs ${comparedWith} (${formatCurrency(cell.comparison)})">
+            ${arrow} ${percent}
+        </span>
+    `;
+}
+
+function displayReportMatrix() {
+    const container = document.getElementById('reportMatrix');
+
+    if (reportRows.length === 0) {
+        container.innerHTML = '<p style="color: var(--text-secondary); padding: 1rem;">No spending in these periods.</p>';
+        return;
+    }
+
+    const periods = currentReport.periods;
+    const rowLabel = drillCategory ? 'Merchant' : 'Category';
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="transactions-table" style="width: 100%; font-size: 0.875rem;">
+                <thead>
+                    <tr>
+                        <th>${rowLabel}</th>
+                        ${periods.map(p => `<th style="text-align: right;">${escapeHtml(p.label)}</th>`).join('')}
+                        <th style="text-align: right;">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${reportRows.map((row, index) => `
+                        <tr>
+                            <td style="padding-left: ${1 + row.depth * 1.5}rem;">
+                                <a href="#" onclick="event.preventDefault(); drillIntoReportRow(${index})" title="${drillCategory ? 'Show transactions' : 'Show merchants'}">
+                                    ${drillCategory
+                                        ? escapeHtml(row.label)
+                                        : renderCategoryBadge({ name: row.name, icon: row.icon, color: row.color }, { inline: true })}
+                                </a>
+                            </td>
+                            ${row.cells.map(cell => `
+                                <td style="text-align: right; cursor: pointer;" onclick="showReportCell(${index}, '${cell.period}')">
+                                    <div>${formatCurrency(cell.total)}</div>
+                                    <div style="font-size: 0.75rem;">${renderChange(cell)}</div>
+                                </td>
+                            `).join('')}
+                            <td style="text-align: right; font-weight: 600;">${formatCurrency(row.total)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr style="font-weight: 600;">
+                        <td>Total</td>
+                        ${currentReport.totals.map(cell => `
+                            <td style="text-align: right;">
+                                <div>${formatCurrency(cell.total)}</div>
+                                <div style="font-size: 0.75rem;">${renderChange(cell)}</div>
+                            </td>
+                        `).join('')}
+                        <td style="text-align: right;">${formatCurrency(currentReport.totals.reduce((sum, cell) => sum + cell.total, 0))}</td>
+                    </tr>
+                </tfoot>
+            </table>
+        </div>
+    `;
+}
+
+async function loadReportTransactions(periodKey) {
+    return withLoadingState(async () => {
+        const params = new URLSearchParams({ period: reportPeriod, key: periodKey });
+        if (drillCategory) {
+            params.set('category', drillCategory);
+        }
+        if (drillMerchant) {
+            params.set('merchant', drillMerchant);
+        }
+
+        const result = await fetchAPI(`/api/reports/spending/transactions?${params}`);
+        displayReportBreadcrumb();
+        displayReportTransactions(result);
+    }, 'Failed to load report transactions');
+}
+
+function displayReportTransactions(result) {
+    const card = document.getElementById('reportTransactionsCard');
+    const title = document.getElementById('reportTransactionsTitle');
+    const container = document.getElementById('reportTransactions');
+
+    const scope = [result.category, result.merchant].filter(Boolean).map(escapeHtml).join(' › ');
+    title.innerHTML = `${scope} — ${escapeHtml(result.label)} <span style="color: var(--text-secondary); font-weight: normal;">(${formatCurrency(result.total)})</span>`;
+    card.style.display = 'block';
+
+    if (result.transactions.length === 0) {
+        container.innerHTML = '<p style="color: var(--text-secondary); padding: 1rem;">No transactions in this period.</p>';
+    } else {
+        container.innerHTML = result.transactions.map(tx => `
+            <div class="transaction-item">
+                <div class="transaction-info">
+                    <div class="transaction-name">${escapeHtml(tx.description)}</div>
+                    <div class="transaction-meta">
+                        ${formatDate(tx.date)} • ${escapeHtml(tx.account_name)} • ${escapeHtml(tx.category || 'Uncategorized')}
+                        ${tx.amount !== tx.transaction_amount ? ` • ${formatCurrency(tx.transaction_amount)} total` : ''}
+                    </div>
+                </div>
+                <div class="transaction-amount negative">${formatCurrency(tx.amount)}</div>
+            </div>
+        `).join('');
+    }
+
+    card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+export default {
+    initializeReportsPage,
+    loadReports
+};
@@ -146,7 +146,7 @@ function displaySettings(settings) {
 }
 
 function renderSettingControl(setting) {
-    const { key, value, type, description, default: defaultValue, min, max, step } = setting;
+    const { key, value, type, description, default: defaultValue, min, max, step, options } = setting;
     const isDefault = value === defaultValue;
 
     let controlHtml = '';
@@ -175,6 +175,15 @@ function renderSettingControl(setting) {
                 </span>
             </div>
         `;
+    } else if (type === 'select') {
+        controlHtml = `
+            <select id="setting_${key}" onchange="updateSetting('${key}', this.value)"
+                    style="width: 150px; padding: 0.5rem; border: 1px solid #ccc; border-radius: 4px; font-size: 0.9rem;">
+                ${options.map(option => `
+                    <option value="${escapeHtml(option)}" ${option === value ? 'selected' : ''}>${escapeHtml(option)}</option>
+                `).join('')}
+            </select>
+        `;
     } else {
         controlHtml = `
             <input type="text" id="setting_${key}" value="${escapeHtml(value.toString())}"
@@ -188,6 +197,9 @@ function renderSettingControl(setting) {
         if (type === 'boolean') {
             return value ? 'Enabled' : 'Disabled';
         }
+        if (value === '') {
+            return '(empty)';
+        }
         return value;
     };
 
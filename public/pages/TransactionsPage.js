@@ -4,13 +4,15 @@
  * selection, bulk operations, and category management
  */
 
-import { formatCurrency, formatDate, escapeHtml, renderCategoryBadge, renderCategoryControl, createConfidenceBadge, createButton, showLoading, hideLoading } from '../utils/formatters.js';
+import { formatCurrency, formatDate, escapeHtml, escapeAttribute, renderCategoryBadge, renderCategoryControl, createConfidenceBadge, createButton, showLoading, hideLoading } from '../utils/formatters.js';
 import { showToast } from '../services/toast.js';
 import { eventBus } from '../services/eventBus.js';
 import { debounce, sumBy, setupInfiniteScroll } from '../utils/helpers.js';
 import { aiCategorization } from '../services/aiCategorizationClient.js';
-import { showConfirmModal } from '../components/Modal.js';
+import { Modal, showConfirmModal } from '../components/Modal.js';
 import { showCategorySelector, closeCategorySelector } from '../components/CategorySelector.js';
+import { createConditionsBuilder } from '../components/RuleConditionsBuilder.js';
+import { createActionsEditor } from '../components/RuleActionsEditor.js';
 
 // Module state
 let allCategories = [];
@@ -18,6 +20,8 @@ let allTransactions = [];
 let selectedTransactions = new Set();
 let newlyCategorizedTransactionIds = new Set();
 let displayedTransactions = [];
+let manualAccounts = [];
+let allTags = [];
 
 // Dependencies (injected)
 let fetchAPI = null;
@@ -66,6 +70,8 @@ export function initializeTransactionsPage(deps) {
     window.selectCategory = selectCategory;
     window.verifyCategory = verifyCategory;
     window.unverifyCategory = unverifyCategory;
+    window.toggleTransfer = toggleTransfer;
+    window.toggleExcluded = toggleExcluded;
     window.toggleTransactionSelection = toggleTransactionSelection;
     window.toggleAllTransactionSelection = toggleAllTransactionSelection;
     window.clearSelection = clearSelection;
@@ -73,6 +79,7 @@ export function initializeTransactionsPage(deps) {
     window.bulkVerifyTransactions = bulkVerifyTransactions;
     window.closeBulkCategoryModal = closeBulkCategoryModal;
     window.applyBulkCategory = applyBulkCategory;
+    window.showBulkTagsModal = showBulkTagsModal;
     window.approveAllVisibleTransactions = approveAllVisibleTransactions;
     window.viewCategoryTransactions = viewCategoryTransactions;
     window.applyTransactionFilters = applyTransactionFilters;
@@ -86,6 +93,10 @@ export function initializeTransactionsPage(deps) {
     window.closeSimilarTransactionsModal = closeSimilarTransactionsModal;
     window.toggleAllSimilarTransactions = toggleAllSimilarTransactions;
     window.applyCategoryToSimilar = applyCategoryToSimilar;
+    window.openManualTransactionModal = openManualTransactionModal;
+    window.deleteManualTransaction = deleteManualTransaction;
+    window.openReimbursementModal = openReimbursementModal;
+    window.showCategorizationHistory = showCategorizationHistory;
 
     // Initialize AI status badge
     updateAIStatusBadge();
@@ -129,6 +140,7 @@ export async function loadTransactions(filters = {}, reset = true) {
         // Add filters to URL if provided
         if (filters.category) url += `&category=${encodeURIComponent(filters.category)}`;
         if (filters.account) url += `&account=${encodeURIComponent(filters.account)}`;
+        if (filters.tag) url += `&tags=${encodeURIComponent(filters.tag)}`;
         if (filters.amazonMatch) url += `&amazonMatch=${encodeURIComponent(filters.amazonMatch)}`;
         if (filters.startDate) url += `&startDate=${filters.startDate}`;
         if (filters.endDate) url += `&endDate=${filters.endDate}`;
@@ -161,12 +173,13 @@ export async function loadTransactions(filters = {}, reset = true) {
         allTransactions = [...allTransactions, ...transactions];
         currentOffset += transactions.length;
 
-        displayTransactionsTable(allTransactions);
-
+        // Accounts are loaded first so manual transactions render with their actions
         if (reset) {
             await loadTransactionFilters();
         }
 
+        displayTransactionsTable(allTransactions);
+
         updateBulkActionsBar();
 
         // Add "Load More" button or message if applicable
@@ -235,11 +248,14 @@ window.loadMoreTransactions = function() {
 
 export async function loadTransactionFilters() {
     try {
-        const [accounts, categories] = await Promise.all([
+        const [accounts, categories, tags] = await Promise.all([
             fetchAPI('/api/accounts'),
-            fetchAPI('/api/categories')
+            fetchAPI('/api/categories'),
+            fetchAPI('/api/tags')
         ]);
 
+        manualAccounts = accounts.filter(acc => acc.is_manual === 'Yes');
+
         const accountFilter = document.getElementById('filterAccount');
         if (accountFilter) {
             const currentValue = accountFilter.value;
@@ -259,6 +275,17 @@ export async function loadTransactionFilters() {
                 categoryFilter.value = currentValue;
             }
         }
+
+        allTags = tags;
+        const tagFilter = document.getElementById('filterTag');
+        if (tagFilter) {
+            const currentValue = tagFilter.value;
+            tagFilter.innerHTML = '<option value="">All Tags</option>' +
+                tags.map(tag => `<option value="${escapeAttribute(tag.name)}">#${escapeHtml(tag.name)}</option>`).join('');
+            if (currentValue && Array.from(tagFilter.options).some(opt => opt.value === currentValue)) {
+                tagFilter.value = currentValue;
+            }
+        }
     } catch (error) {
         console.error('Error loading transaction filters:', error);
     }
@@ -309,9 +336,17 @@ function displayTransactionsTable(transactions, sortByConfidence = false) {
             <td>
                 <div style="display: flex; flex-direction: column; gap: 0.25rem;">
                     <div style="display: flex; align-items: center; gap: 0.5rem;">
-                        <span>${escapeHtml(tx.description || tx.name)}</span>
+                        <span ${tx.display_name ? `title="${escapeAttribute(tx.description || tx.name)}"` : ''}>${escapeHtml(tx.display_name || tx.description || tx.name)}</span>
                         ${tx.is_split ? `<span style="background: #fbbf24; color: white; padding: 2px 6px; border-radius: 4px; font-size: 0.7rem; font-weight: 600;">SPLIT</span>` : ''}
+                        ${tx.is_transfer ? `<span style="background: #6366f1; color: white; padding: 2px 6px; border-radius: 4px; font-size: 0.7rem; font-weight: 600;" title="Transfer between your accounts - excluded from spending and income">TRANSFER</span>` : ''}
+                        ${tx.excluded_from_reports ? `<span onclick="toggleExcluded('${tx.split_parent_id || tx.transaction_id}', false)" style="background: #6b7280; color: white; padding: 2px 6px; border-radius: 4px; font-size: 0.7rem; font-weight: 600; cursor: pointer;" title="Excluded from reports - click to include it again">EXCLUDED</span>` : ''}
                     </div>
+                    ${renderReimbursementBadges(tx)}
+                    ${tx.tags && tx.tags.length > 0 ? `
+                        <div style="display: flex; flex-wrap: wrap; gap: 0.25rem;">
+                            ${tx.tags.map(tag => `<span style="background: #e0e7ff; color: #3730a3; padding: 1px 6px; border-radius: 10px; font-size: 0.7rem;">#${escapeHtml(tag)}</span>`).join('')}
+                        </div>
+                    ` : ''}
                     ${tx.amazon_order ? `
                         <div style="display: flex; align-items: center; gap: 0.5rem; font-size: 0.85rem;">
                             <span style="background: #FF9900; color: white; padding: 2px 8px; border-radius: 4px; font-weight: 600; font-size: 0.75rem;">
@@ -343,6 +378,14 @@ function displayTransactionsTable(transactions, sortByConfidence = false) {
                     onUnverify: `unverifyCategory('${tx.transaction_id}')`,
                     itemType: 'transaction'
                 })}
+                ${hasCategory && !tx.is_split ? `
+                    <button
+                        onclick="showCategorizationHistory('${tx.transaction_id}')"
+                        style="background: none; border: none; padding: 0; margin-top: 0.25rem; font-size: 0.7rem; color: var(--text-secondary); cursor: pointer; text-decoration: underline;"
+                        title="See how this transaction got its category">
+                        Why this category?
+                    </button>
+                ` : ''}
             </td>
             <td>
                 <div>${escapeHtml(tx.account_name || 'Unknown')}</div>
@@ -352,6 +395,14 @@ function displayTransactionsTable(transactions, sortByConfidence = false) {
                 ${formatCurrency(tx.amount)}
             </td>
             <td>
+                ${parseFloat(tx.amount) > 0 ? `
+                    <button
+                        onclick="openReimbursementModal('${tx.transaction_id}')"
+                        style="padding: 0.25rem 0.5rem; font-size: 0.75rem; background: #f3f4f6; border: 1px solid #d1d5db; border-radius: 0.25rem; cursor: pointer;"
+                        title="Mark part of this as owed by a roommate or your employer">
+                        Owed
+                    </button>
+                ` : ''}
                 ${tx.is_split ? `
                     <button
                         onclick="unsplitTransaction('${tx.split_parent_id}')"
@@ -366,6 +417,26 @@ function displayTransactionsTable(transactions, sortByConfidence = false) {
                         title="Split transaction">
                         Split
                     </button>
+                    <button
+                        onclick="toggleTransfer('${tx.transaction_id}', ${!tx.is_transfer})"
+                        style="padding: 0.25rem 0.5rem; font-size: 0.75rem; background: #f3f4f6; border: 1px solid #d1d5db; border-radius: 0.25rem; cursor: pointer;"
+                        title="${tx.is_transfer ? 'Count this transaction as spending/income again' : 'Mark as a transfer between your accounts'}">
+                        ${tx.is_transfer ? 'Not transfer' : 'Transfer'}
+                    </button>
+                    ${isManualTransaction(tx) ? `
+                        <button
+                            onclick="openManualTransactionModal('${tx.transaction_id}')"
+                            style="padding: 0.25rem 0.5rem; font-size: 0.75rem; background: #f3f4f6; border: 1px solid #d1d5db; border-radius: 0.25rem; cursor: pointer;"
+                            title="Edit this hand-entered transaction">
+                            Edit
+                        </button>
+                        <button
+                            onclick="deleteManualTransaction('${tx.transaction_id}')"
+                            style="padding: 0.25rem 0.5rem; font-size: 0.75rem; background: #fee2e2; border: 1px solid #fca5a5; border-radius: 0.25rem; cursor: pointer; color: #991b1b;"
+                            title="Delete this hand-entered transaction">
+                            Delete
+                        </button>
+                    ` : ''}
                 `}
             </td>
         </tr>
@@ -377,30 +448,63 @@ function displayTransactionsTable(transactions, sortByConfidence = false) {
 // Filtering and Search
 // ============================================================================
 
-function searchTransactions() {
+// Results shown for a search; the server reports how many more matched
+const SEARCH_RESULT_LIMIT = 500;
+
+// Bumped on every search, so a slow response can't replace a newer one
+let searchSequence = 0;
+
+/**
+ * Search all transactions on the server (full-text, ranked) rather than only
+ * the loaded ones. Supports filters such as amount:>50, category:groceries,
+ * account:checking and date:2026-01..2026-03
+ */
+async function searchTransactions() {
     const searchInput = document.getElementById('transactionSearch');
-    const searchTerm = searchInput?.value?.toLowerCase() || '';
+    const searchTerm = searchInput?.value?.trim() || '';
+    const sequence = ++searchSequence;
 
     if (!searchTerm) {
         displayTransactionsTable(allTransactions);
+        updateLoadMoreIndicator();
         return;
     }
 
-    const filtered = allTransactions.filter(tx => {
-        const description = (tx.description || tx.name || '').toLowerCase();
-        const merchant = (tx.merchant_name || '').toLowerCase();
-        const amount = (tx.amount || '').toString();
-        const category = (tx.category || '').toLowerCase();
-        const account = (tx.account_name || '').toLowerCase();
+    try {
+        const result = await fetchAPI(`/api/search?q=${encodeURIComponent(searchTerm)}&limit=${SEARCH_RESULT_LIMIT}`);
+        if (sequence !== searchSequence) return;
+
+        displayTransactionsTable(result.transactions);
+        updateSearchResultIndicator(result);
+    } catch (error) {
+        if (sequence !== searchSequence) return;
+        showToast(`Search failed: ${error.message}`, 'error');
+    }
+}
 
-        return description.includes(searchTerm) ||
-               merchant.includes(searchTerm) ||
-               amount.includes(searchTerm) ||
-               category.includes(searchTerm) ||
-               account.includes(searchTerm);
-    });
+function updateSearchResultIndicator(result) {
+    const tbody = document.getElementById('transactionsTableBody');
+    if (!tbody || result.transactions.length === 0) return;
+
+    const shownParents = new Set(result.transactions.map(tx => tx.split_parent_id || tx.transaction_id));
+    const row = document.createElement('tr');
+    row.id = 'loadMoreIndicator';
+    row.innerHTML = `
+        <td colspan="6" style="text-align: center; padding: 1rem; color: var(--text-secondary); font-size: 0.875rem;">
+            ${result.total > shownParents.size
+                ? `Showing the best ${shownParents.size} of ${result.total} matches - refine the search to see more`
+                : `${result.total} matching transaction${result.total === 1 ? '' : 's'}`}
+        </td>
+    `;
+    tbody.appendChild(row);
+}
 
-    displayTransactionsTable(filtered);
+/**
+ * Find a transaction that is loaded or shown in search results
+ */
+function findTransaction(transactionId) {
+    return allTransactions.find(tx => tx.transaction_id === transactionId) ||
+        displayedTransactions.find(tx => tx.transaction_id === transactionId);
 }
 
 // Create debounced version for better performance
@@ -410,6 +514,7 @@ export function applyTransactionFilters() {
     const filters = {
         category: document.getElementById('filterCategory')?.value || '',
         account: document.getElementById('filterAccount')?.value || '',
+        tag: document.getElementById('filterTag')?.value || '',
         amazonMatch: document.getElementById('filterAmazonMatch')?.value || '',
         startDate: document.getElementById('filterStartDate')?.value || '',
         endDate: document.getElementById('filterEndDate')?.value || ''
@@ -427,6 +532,7 @@ function clearTransactionFilters() {
         'transactionSearch',
         'filterCategory',
         'filterAccount',
+        'filterTag',
         'filterAmazonMatch',
         'filterStartDate',
         'filterEndDate'
@@ -532,6 +638,184 @@ async function unverifyCategory(transactionId) {
     }
 }
 
+async function toggleTransfer(transactionId, isTransfer) {
+    try {
+        await fetchAPI(`/api/transactions/${transactionId}/transfer`, {
+            method: 'PUT',
+            body: JSON.stringify({ is_transfer: isTransfer })
+        });
+        showToast(isTransfer ? 'Marked as transfer' : 'No longer treated as a transfer', 'success');
+        eventBus.emit('transactionsUpdated');
+    } catch (error) {
+        showToast('Failed to update transfer: ' + error.message, 'error');
+        console.error(error);
+    }
+}
+
+async function toggleExcluded(transactionId, excluded) {
+    try {
+        await fetchAPI(`/api/transactions/${transactionId}/excluded`, {
+            method: 'PUT',
+            body: JSON.stringify({ excluded })
+        });
+        showToast(excluded ? 'Excluded from reports' : 'Included in reports again', 'success');
+        eventBus.emit('transactionsUpdated');
+    } catch (error) {
+        showToast('Failed to update report exclusion: ' + error.message, 'error');
+        console.error(error);
+    }
+}
+
+// ============================================================================
+// Hand-entered Transactions
+// ============================================================================
+
+function isManualTransaction(tx) {
+    return manualAccounts.some(acc => acc.name === tx.account_name);
+}
+
+/**
+ * Add a transaction to a manual account, or edit one when transactionId is given
+ */
+function openManualTransactionModal(transactionId = null) {
+    const tx = transactionId ? findTransaction(transactionId) : null;
+    if (transactionId && !tx) return;
+
+    if (manualAccounts.length === 0) {
+        showToast('Add a manual account on the Accounts page first', 'info');
+        return;
+    }
+
+    const modalId = `manual-transaction-${Date.now()}`;
+    const amount = tx ? parseFloat(tx.amount) : null;
+    const selectedAccount = tx ? tx.account_name : manualAccounts[0].name;
+    const inputStyle = 'width: 100%; padding: 0.6rem; margin-top: 0.25rem;';
+
+    const modal = new Modal({
+        id: modalId,
+        title: tx ? 'Edit Transaction' : 'Add Transaction',
+        content: `
+            <div style="display: flex; flex-direction: column; gap: 1rem; padding: 0.5rem 0;">
+                <div style="display: flex; gap: 1rem;">
+                    <label style="flex: 1; font-weight: 500;">
+                        Account
+                        <select id="manual-tx-account" class="form-select" style="${inputStyle}">
+                            ${manualAccounts.map(acc => `<option value="${escapeAttribute(acc.account_id)}" ${acc.name === selectedAccount ? 'selected' : ''}>${escapeHtml(acc.name)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label style="flex: 1; font-weight: 500;">
+                        Date
+                        <input type="date" id="manual-tx-date" class="form-input" style="${inputStyle}"
+                            value="${tx ? escapeAttribute(tx.date) : new Date().toISOString().split('T')[0]}">
+                    </label>
+                </div>
+                <label style="font-weight: 500;">
+                    Description
+                    <input type="text" id="manual-tx-description" class="form-input" style="${inputStyle}"
+                        value="${tx ? escapeAttribute(tx.description || '') : ''}" placeholder="e.g. Farmers market">
+                </label>
+                <label style="font-weight: 500;">
+                    Merchant <span style="font-weight: 400; color: var(--text-secondary);">(optional)</span>
+                    <input type="text" id="manual-tx-merchant" class="form-input" style="${inputStyle}"
+                        value="${tx ? escapeAttribute(tx.merchant_name || '') : ''}">
+                </label>
+                <div style="display: flex; gap: 1rem;">
+                    <label style="flex: 1; font-weight: 500;">
+                        Amount
+                        <input type="number" step="0.01" min="0" id="manual-tx-amount" class="form-input" style="${inputStyle}"
+                            value="${amount !== null ? Math.abs(amount) : ''}">
+                    </label>
+                    <label style="flex: 1; font-weight: 500;">
+                        Direction
+                        <select id="manual-tx-direction" class="form-select" style="${inputStyle}">
+                            <option value="out" ${amount === null || amount > 0 ? 'selected' : ''}>Money out (expense)</option>
+                            <option value="in" ${amount !== null && amount < 0 ? 'selected' : ''}>Money in (income)</option>
+                        </select>
+                    </label>
+                </div>
+                <label style="font-weight: 500;">
+                    Category
+                    <select id="manual-tx-category" class="form-select" style="${inputStyle}">
+                        <option value="">${tx ? 'Keep current category' : 'Categorize automatically'}</option>
+                        ${allCategories.map(cat => `<option value="${escapeAttribute(cat.name)}">${escapeHtml(cat.name)}</option>`).join('')}
+                    </select>
+                </label>
+                <label style="font-weight: 500;">
+                    Notes <span style="font-weight: 400; color: var(--text-secondary);">(optional)</span>
+                    <input type="text" id="manual-tx-notes" class="form-input" style="${inputStyle}"
+                        value="${tx ? escapeAttribute(tx.notes || '') : ''}">
+                </label>
+            </div>
+        `,
+        actions: [
+            { action: 'cancel', label: 'Cancel', primary: false },
+            { action: 'save', label: tx ? 'Save' : 'Add Transaction', primary: true }
+        ],
+        options: { size: 'medium' }
+    });
+
+    eventBus.once(`modal:${modalId}:save`, async () => {
+        const value = (id) => document.getElementById(id)?.value.trim() || '';
+        const size = parseFloat(value('manual-tx-amount'));
+
+        if (!value('manual-tx-description') || !value('manual-tx-date') || !size) {
+            showToast('Date, description and amount are required', 'error');
+            return;
+        }
+
+        // Money going out is positive, like synced transactions
+        const body = {
+            account_id: value('manual-tx-account'),
+            date: value('manual-tx-date'),
+            description: value('manual-tx-description'),
+            merchant_name: value('manual-tx-merchant'),
+            amount: value('manual-tx-direction') === 'in' ? -Math.abs(size) : Math.abs(size),
+            notes: value('manual-tx-notes')
+        };
+        if (value('manual-tx-category')) {
+            body.category = value('manual-tx-category');
+        }
+
+        showLoading();
+        try {
+            const saved = await fetchAPI(tx ? `/api/transactions/${encodeURIComponent(tx.transaction_id)}` : '/api/transactions', {
+                method: tx ? 'PUT' : 'POST',
+                body: JSON.stringify(body)
+            });
+
+            showToast(tx ? 'Transaction updated' : `Transaction added${saved.category ? ` as ${saved.category}` : ''}`, 'success');
+            eventBus.emit('transactionsUpdated');
+        } catch (error) {
+            showToast(`Failed to save transaction: ${error.message}`, 'error');
+            console.error(error);
+        } finally {
+            hideLoading();
+        }
+    });
+
+    modal.show();
+}
+
+function deleteManualTransaction(transactionId) {
+    const tx = findTransaction(transactionId);
+    if (!tx) return;
+
+    showConfirmModal(
+        'Delete Transaction',
+        `Delete "${tx.description}" (${formatCurrency(tx.amount)}) from ${tx.account_name}?`,
+        async () => {
+            try {
+                await fetchAPI(`/api/transactions/${encodeURIComponent(transactionId)}`, { method: 'DELETE' });
+                showToast('Transaction deleted', 'success');
+                eventBus.emit('transactionsUpdated');
+            } catch (error) {
+                showToast(`Failed to delete transaction: ${error.message}`, 'error');
+                console.error(error);
+            }
+        }
+    );
+}
+
 async function autoCategorizeTransactions() {
     showLoading();
     try {
@@ -623,7 +907,7 @@ async function selectCategory(categoryName) {
     if (!transactionId) return;
 
     // Get the transaction details for rule creation prompt
-    const transaction = allTransactions.find(t => t.transaction_id === transactionId);
+    const transaction = findTransaction(transactionId);
 
     closeAllDropdowns();
 
@@ -978,6 +1262,82 @@ async function applyBulkCategory() {
     }
 }
 
+/**
+ * Add or remove tags on the selected transactions. Splits share their parent's
+ * tags, so split rows are tagged through the parent transaction.
+ */
+function showBulkTagsModal() {
+    if (selectedTransactions.size === 0) {
+        showToast('No transactions selected', 'info');
+        return;
+    }
+
+    const modalId = `bulk-tags-${Date.now()}`;
+    const inputStyle = 'width: 100%; padding: 0.6rem; margin-top: 0.25rem;';
+
+    const modal = new Modal({
+        id: modalId,
+        title: `Tag ${selectedTransactions.size} Transaction(s)`,
+        content: `
+            <div style="display: flex; flex-direction: column; gap: 1rem; padding: 0.5rem 0;">
+                <label style="font-weight: 500;">
+                    Add tags
+                    <input type="text" id="bulk-tags-add" class="form-input" style="${inputStyle}"
+                        list="bulk-tags-options" placeholder="e.g. vacation-2026, reimbursable">
+                </label>
+                <label style="font-weight: 500;">
+                    Remove tags
+                    <input type="text" id="bulk-tags-remove" class="form-input" style="${inputStyle}"
+                        list="bulk-tags-options" placeholder="Comma-separated">
+                </label>
+                <datalist id="bulk-tags-options">
+                    ${allTags.map(tag => `<option value="${escapeAttribute(tag.name)}">`).join('')}
+                </datalist>
+            </div>
+        `,
+        actions: [
+            { action: 'cancel', label: 'Cancel', primary: false },
+            { action: 'save', label: 'Apply', primary: true }
+        ],
+        options: { size: 'medium' }
+    });
+
+    eventBus.once(`modal:${modalId}:save`, async () => {
+        const add = document.getElementById('bulk-tags-add')?.value.trim() || '';
+        const remove = document.getElementById('bulk-tags-remove')?.value.trim() || '';
+
+        if (!add && !remove) {
+            showToast('Enter tags to add or remove', 'error');
+            return;
+        }
+
+        const transactionIds = [...new Set(Array.from(selectedTransactions)
+            .map(id => findTransaction(id)?.split_parent_id || id))];
+
+        showLoading();
+        try {
+            const result = await fetchAPI('/api/transactions/bulk/tags', {
+                method: 'PATCH',
+                body: JSON.stringify({ transactionIds, add, remove })
+            });
+
+            if (result.success) {
+                showToast(`Added ${result.added} and removed ${result.removed} tag(s)`, 'success');
+                selectedTransactions.clear();
+                await loadTransactionFilters();
+                eventBus.emit('transactionsUpdated');
+            }
+        } catch (error) {
+            showToast(`Failed to update tags: ${error.message}`, 'error');
+            console.error(error);
+        } finally {
+            hideLoading();
+        }
+    });
+
+    modal.show();
+}
+
 async function approveAllVisibleTransactions() {
     const unverified = displayedTransactions.filter(tx => !tx.verified && tx.category);
 
@@ -1006,6 +1366,414 @@ async function approveAllVisibleTransactions() {
     }
 }
 
+// ============================================================================
+// Reimbursements
+// ============================================================================
+
+function renderReimbursementBadges(tx) {
+    const claims = (tx.reimbursements || []).map(claim => {
+        const repaid = claim.repaid >= claim.amount - 0.005;
+        return `<span style="background: ${repaid ? '#d1fae5' : '#fef3c7'}; color: ${repaid ? '#065f46' : '#92400e'}; padding: 1px 6px; border-radius: 10px; font-size: 0.7rem;"
+            title="${escapeAttribute(claim.note || '')}">🤝 ${escapeHtml(claim.counterparty)} ${repaid ? 'repaid' : 'owes'} ${formatCurrency(repaid ? claim.amount : claim.amount - claim.repaid)}</span>`;
+    });
+    const repayments = (tx.repayments || []).map(repayment =>
+        `<span style="background: #d1fae5; color: #065f46; padding: 1px 6px; border-radius: 10px; font-size: 0.7rem;">🤝 Repayment from ${escapeHtml(repayment.counterparty)} ${formatCurrency(repayment.amount)}</span>`);
+
+    const badges = [...claims, ...repayments];
+    return badges.length > 0 ? `<div style="display: flex; flex-wrap: wrap; gap: 0.25rem;">${badges.join('')}</div>` : '';
+}
+
+/**
+ * Mark part of a transaction (or of a split) as owed by someone
+ */
+async function openReimbursementModal(transactionId) {
+    const tx = findTransaction(transactionId);
+    if (!tx) return;
+
+    let counterparties = [];
+    try {
+        counterparties = await fetchAPI('/api/counterparties');
+    } catch (error) {
+        console.error('Error loading counterparties:', error);
+    }
+
+    const claimed = (tx.reimbursements || []).reduce((sum, claim) => sum + claim.amount, 0);
+    const remaining = Math.max(0, Math.round((parseFloat(tx.amount) - claimed) * 100) / 100);
+    const modalId = `reimbursement-${Date.now()}`;
+    const inputStyle = 'width: 100%; padding: 0.6rem; margin-top: 0.25rem;';
+
+    const modal = new Modal({
+        id: modalId,
+        title: 'Owed to You',
+        content: `
+            <div style="display: flex; flex-direction: column; gap: 1rem; padding: 0.5rem 0;">
+                <p style="margin: 0; color: var(--text-secondary);">
+                    ${escapeHtml(tx.description || tx.name)} · ${formatCurrency(tx.amount)}${claimed > 0 ? ` (${formatCurrency(claimed)} already claimed)` : ''}
+                </p>
+                <div style="display: flex; gap: 1rem;">
+                    <label style="flex: 2; font-weight: 500;">
+                        Who owes it
+                        <input type="text" id="reimbursement-counterparty" class="form-input" style="${inputStyle}"
+                            list="reimbursement-counterparties" placeholder="e.g. Alex, Acme Corp">
+                        <datalist id="reimbursement-counterparties">
+                            ${counterparties.map(cp => `<option value="${escapeAttribute(cp.name)}">`).join('')}
+                        </datalist>
+                    </label>
+                    <label style="flex: 1; font-weight: 500;">
+                        Type
+                        <select id="reimbursement-kind" class="form-select" style="${inputStyle}">
+                            <option value="person">Person</option>
+                            <option value="employer">Employer</option>
+                        </select>
+                    </label>
+                </div>
+                <div style="display: flex; gap: 0.5rem; align-items: flex-end;">
+                    <label style="flex: 1; font-weight: 500;">
+                        Amount owed
+                        <input type="number" step="0.01" min="0" id="reimbursement-amount" class="form-input" style="${inputStyle}" value="${remaining}">
+                    </label>
+                    <button type="button" class="btn btn-secondary" id="reimbursement-half">Half</button>
+                    <button type="button" class="btn btn-secondary" id="reimbursement-all">All</button>
+                </div>
+                <label style="font-weight: 500;">
+                    Note <span style="font-weight: 400; color: var(--text-secondary);">(optional)</span>
+                    <input type="text" id="reimbursement-note" class="form-input" style="${inputStyle}">
+                </label>
+            </div>
+        `,
+        actions: [
+            { action: 'cancel', label: 'Cancel', primary: false },
+            { action: 'save', label: 'Mark as Owed', primary: true }
+        ],
+        options: { size: 'medium' }
+    });
+
+    eventBus.once(`modal:${modalId}:save`, async () => {
+        const counterparty = document.getElementById('reimbursement-counterparty')?.value.trim() || '';
+        const amount = parseFloat(document.getElementById('reimbursement-amount')?.value);
+
+        if (!counterparty || !(amount > 0)) {
+            showToast('Enter who owes it and how much', 'error');
+            return;
+        }
+
+        showLoading();
+        try {
+            await fetchAPI(`/api/transactions/${encodeURIComponent(tx.split_parent_id || tx.transaction_id)}/reimbursements`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    counterparty,
+                    kind: document.getElementById('reimbursement-kind')?.value,
+                    splitId: tx.is_split ? tx.transaction_id : undefined,
+                    amount,
+                    note: document.getElementById('reimbursement-note')?.value.trim() || null
+                })
+            });
+
+            showToast(`${counterparty} owes you ${formatCurrency(amount)}`, 'success');
+            eventBus.emit('transactionsUpdated');
+        } catch (error) {
+            showToast(`Failed to save: ${error.message}`, 'error');
+            console.error(error);
+        } finally {
+            hideLoading();
+        }
+    });
+
+    modal.show();
+
+    const amountInput = document.getElementById('reimbursement-amount');
+    document.getElementById('reimbursement-half')?.addEventListener('click', () => {
+        amountInput.value = Math.round(remaining * 50) / 100;
+    });
+    document.getElementById('reimbursement-all')?.addEventListener('click', () => {
+        amountInput.value = remaining;
+    });
+
+    // Existing counterparties keep their type
+    document.getElementById('reimbursement-counterparty')?.addEventListener('change', (e) => {
+        const existing = counterparties.find(cp => cp.name.toLowerCase() === e.target.value.trim().toLowerCase());
+        if (existing) {
+            document.getElementById('reimbursement-kind').value = existing.kind;
+        }
+    });
+}
+
+// ============================================================================
+// CATEGORIZATION HISTORY ("Why this category?")
+// ============================================================================
+
+// What each stage of the categorization audit trail means
+const DECISION_STAGES = {
+    merchant_default: 'Merchant default category',
+    merchant_mapping: 'Merchant mapping',
+    description_mapping: 'Description mapping',
+    rule: 'Rule',
+    fuzzy_match: 'Fuzzy merchant match',
+    plaid_mapping: 'Plaid category mapping',
+    plaid_default: 'Plaid category (automatic mapping)',
+    external_mapping: 'Approved external category mapping',
+    import: 'Category column of an imported file',
+    amazon_order: 'Amazon order items',
+    user: 'Set by you',
+    verified: 'Verified by you',
+    unverified: 'Unverified by you',
+    llm: 'AI model',
+    embedding: 'Similar confirmed items',
+    local_classifier: 'Local classifier',
+    keyword_pattern: 'Keyword pattern',
+    exact_match: 'Previously confirmed item',
+    fallback: 'AI fallback'
+};
+
+const DECISION_TRIGGERS = {
+    save: 'on import',
+    recategorize: 'when re-categorizing',
+    user: '',
+    bulk: 'in a bulk edit',
+    ai: 'by AI categorization',
+    amazon: 'from an Amazon order match',
+    merchant: 'when the merchant default was applied'
+};
+
+// Stages that confirm or reopen a category rather than choose one
+const REVIEW_STAGES = new Set(['verified', 'unverified']);
+
+/**
+ * Describe the rule, mapping or merchant behind a decision, and what it does now
+ */
+function describeDecisionSource(decision) {
+    const { source, details } = decision;
+    const key = escapeHtml(decision.mapping_key || '');
+
+    switch (decision.stage) {
+        case 'rule': {
+            const summary = details.summary ? ` <span style="font-family: monospace;">(${escapeHtml(details.summary)})</span>` : '';
+            const state = !source?.exists ? ' - since deleted'
+                : !source.enabled ? ' - now disabled'
+                : source.category && source.category !== decision.category ? ` - now sets ${escapeHtml(source.category)}` : '';
+            return `Rule "${escapeHtml(source?.name || decision.rule_name || '')}"${summary}${state}`;
+        }
+        case 'merchant_mapping':
+        case 'description_mapping':
+            return `"${key}" is mapped to ${source?.exists ? escapeHtml(source.category || 'no category') : 'a mapping that has since been deleted'}`;
+        case 'fuzzy_match':
+            return `"${escapeHtml(details.matchedText || '')}" looked like "${key}"${source?.exists ? `, mapped to ${escapeHtml(source.category || 'no category')}` : ' (mapping since deleted)'}`;
+        case 'plaid_mapping':
+        case 'plaid_default':
+            return `Plaid category <span style="font-family: monospace;">${key}</span>${source?.exists ? ` → ${escapeHtml(source.category || 'no category')}` : ''}`;
+        case 'merchant_default':
+            return source?.exists
+                ? `${escapeHtml(source.name)}'s default category${source.category ? ` (now ${escapeHtml(source.category)})` : ' (since cleared)'}`
+                : 'A merchant that has since been merged or removed';
+        case 'external_mapping':
+            return `${escapeHtml(details.source || 'External')} category <span style="font-family: monospace;">${key}</span>`;
+        case 'amazon_order':
+            return `Order ${key}${details.amazonCategory ? `: mostly ${escapeHtml(details.amazonCategory)}` : ''}`;
+        default:
+            return decision.rule_name ? `Rule "${escapeHtml(decision.rule_name)}"` : '';
+    }
+}
+
+/**
+ * One-click fixes for the decision that put the category there
+ */
+function renderDecisionFixes(decision) {
+    const { source } = decision;
+    if (!source?.exists) return '';
+
+    const categoryOptions = allCategories
+        .map(cat => `<option value="${escapeAttribute(cat.name)}" ${cat.name === source.category ? 'selected' : ''}>${escapeHtml(cat.name)}</option>`)
+        .join('');
+    const buttonStyle = 'padding: 0.25rem 0.6rem; font-size: 0.8rem;';
+    const select = `<select class="form-select" data-fix-category style="padding: 0.25rem; font-size: 0.8rem;">${categoryOptions}</select>`;
+
+    switch (source.type) {
+        case 'rule':
+            return `
+                ${source.enabled ? `<button class="btn btn-secondary" style="${buttonStyle}" data-fix="disable-rule">Disable rule</button>` : ''}
+                <button class="btn btn-secondary" style="${buttonStyle}" data-fix="open-rules">Open rules</button>
+            `;
+        case 'merchant_mapping':
+            return `
+                ${select}
+                <button class="btn btn-secondary" style="${buttonStyle}" data-fix="change-merchant-mapping">Change mapping</button>
+                <button class="btn btn-secondary" style="${buttonStyle}" data-fix="delete-merchant-mapping">Delete mapping</button>
+            `;
+        case 'plaid_mapping':
+            return `
+                ${select}
+                <button class="btn btn-secondary" style="${buttonStyle}" data-fix="change-plaid-mapping">Change mapping</button>
+            `;
+        case 'merchant':
+            return `
+                ${select}
+                <button class="btn btn-secondary" style="${buttonStyle}" data-fix="change-merchant-default">Change default</button>
+                ${source.category ? `<button class="btn btn-secondary" style="${buttonStyle}" data-fix="clear-merchant-default">Clear default</button>` : ''}
+            `;
+        default:
+            return '';
+    }
+}
+
+function renderDecision(decision, isDeciding) {
+    const confidence = (value) => value === null || value === undefined ? '?' : `${Math.round(value)}%`;
+    const categoryChange = REVIEW_STAGES.has(decision.stage) || decision.previous_category === decision.category
+        ? escapeHtml(decision.category || 'Uncategorized')
+        : `${escapeHtml(decision.previous_category || 'Uncategorized')} → <strong>${escapeHtml(decision.category || 'Uncategorized')}</strong>`;
+    const sourceText = describeDecisionSource(decision);
+    const { details } = decision;
+
+    return `
+        <div style="border: 1px solid ${isDeciding ? '#93c5fd' : 'var(--border-color, #e5e7eb)'}; background: ${isDeciding ? '#eff6ff' : 'transparent'}; border-radius: 0.5rem; padding: 0.75rem;">
+            <div style="display: flex; justify-content: space-between; gap: 1rem;">
+                <span style="font-weight: 600;">${escapeHtml(DECISION_STAGES[decision.stage] || decision.stage)}
+                    <span style="font-weight: 400; color: var(--text-secondary);">${escapeHtml(DECISION_TRIGGERS[decision.trigger] || '')}</span>
+                </span>
+                <span style="color: var(--text-secondary); font-size: 0.8rem; white-space: nowrap;">${formatDate(decision.decided_at)}</span>
+            </div>
+            <div style="margin-top: 0.25rem;">${categoryChange}
+                <span style="color: var(--text-secondary); font-size: 0.85rem;">· confidence ${confidence(decision.confidence_before)} → ${confidence(decision.confidence_after)}</span>
+            </div>
+            ${sourceText ? `<div style="margin-top: 0.25rem; font-size: 0.85rem;">${sourceText}</div>` : ''}
+            ${details.reasoning ? `<div style="margin-top: 0.25rem; font-size: 0.85rem; color: var(--text-secondary);">${escapeHtml(details.reasoning)}</div>` : ''}
+            ${details.neighbors?.length ? `
+                <div style="margin-top: 0.5rem; font-size: 0.8rem;">
+                    <div style="color: var(--text-secondary);">Nearest confirmed items:</div>
+                    ${details.neighbors.map(n => `
+                        <div>${Math.round(n.similarity * 100)}% · "${escapeHtml(n.text)}" → ${escapeHtml(n.category || 'Uncategorized')}</div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${details.alternatives?.length ? `
+                <div style="margin-top: 0.25rem; font-size: 0.8rem; color: var(--text-secondary);">
+                    Also considered: ${details.alternatives.map(a => `${escapeHtml(a.category)} (${Math.round(a.confidence * 100)}%)`).join(', ')}
+                </div>
+            ` : ''}
+            ${isDeciding ? `<div style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-top: 0.5rem;">${renderDecisionFixes(decision)}</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Show how a transaction got its category - every recorded decision, newest
+ * first - with fixes for the rule or mapping responsible
+ */
+async function showCategorizationHistory(transactionId) {
+    let history;
+    try {
+        history = await fetchAPI(`/api/transactions/${encodeURIComponent(transactionId)}/categorization-history`);
+    } catch (error) {
+        showToast('Failed to load categorization history: ' + error.message, 'error');
+        return;
+    }
+
+    const { transaction, decisions } = history;
+    const deciding = decisions.find(d => !REVIEW_STAGES.has(d.stage));
+    const modalId = `categorization-history-${Date.now()}`;
+
+    const modal = new Modal({
+        id: modalId,
+        title: 'Why this category?',
+        content: `
+            <div style="display: flex; flex-direction: column; gap: 0.75rem; padding: 0.5rem 0;">
+                <p style="margin: 0; color: var(--text-secondary);">
+                    ${escapeHtml(transaction.description)} · ${formatCurrency(transaction.amount)} ·
+                    <strong style="color: var(--text-primary);">${escapeHtml(transaction.category || 'Uncategorized')}</strong>
+                    (${transaction.verified ? 'verified' : `${Math.round(transaction.confidence || 0)}% confidence`})
+                </p>
+                ${decisions.length === 0 ? `
+                    <p style="margin: 0;">No decisions recorded for this transaction yet - it was categorized before the history was kept.
+                    ${transaction.categorization_reasoning ? `<br><span style="color: var(--text-secondary);">${escapeHtml(transaction.categorization_reasoning)}</span>` : ''}</p>
+                ` : decisions.map(d => renderDecision(d, d === deciding)).join('')}
+                <div style="display: flex; gap: 0.5rem; align-items: center; border-top: 1px solid var(--border-color, #e5e7eb); padding-top: 0.75rem;">
+                    <span style="font-weight: 500;">Set category</span>
+                    <select class="form-select" id="${modalId}-category" style="flex: 1; padding: 0.4rem;">
+                        ${allCategories.map(cat => `<option value="${escapeAttribute(cat.name)}" ${cat.name === transaction.category ? 'selected' : ''}>${escapeHtml(cat.name)}</option>`).join('')}
+                    </select>
+                    <button class="btn btn-primary" data-fix="set-category">Set</button>
+                </div>
+            </div>
+        `,
+        actions: [{ action: 'close', label: 'Close', primary: false }],
+        options: { size: 'large' }
+    });
+
+    modal.show();
+
+    document.getElementById(modalId)?.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-fix]');
+        if (!button) return;
+
+        const chosenCategory = button.parentElement.querySelector('[data-fix-category]')?.value;
+        button.disabled = true;
+        try {
+            const reopen = await applyCategorizationFix(button.dataset.fix, transaction, deciding, {
+                chosenCategory,
+                setCategory: document.getElementById(`${modalId}-category`)?.value
+            });
+            modal.close();
+            eventBus.emit('transactionsUpdated');
+            if (reopen) {
+                showCategorizationHistory(transactionId);
+            }
+        } catch (error) {
+            showToast('Fix failed: ' + error.message, 'error');
+            button.disabled = false;
+        }
+    });
+}
+
+/**
+ * Apply a fix from the history panel. Fixes to a rule or mapping re-run
+ * categorization for this transaction so the change shows right away.
+ * @returns {Promise<boolean>} Whether to show the (updated) history again
+ */
+async function applyCategorizationFix(fix, transaction, decision, { chosenCategory, setCategory }) {
+    const source = decision?.source;
+    const json = (method, body) => ({ method, body: JSON.stringify(body) });
+
+    switch (fix) {
+        case 'set-category':
+            await fetchAPI(`/api/transactions/${encodeURIComponent(transaction.transaction_id)}/category`, json('PATCH', { category: setCategory }));
+            showToast(`Category set to ${setCategory}`, 'success');
+            return true;
+        case 'open-rules':
+            navigateTo('mappings');
+            return false;
+        case 'disable-rule':
+            await fetchAPI(`/api/category-mappings/rules/${source.id}/enabled`, json('PUT', { enabled: false }));
+            break;
+        case 'change-merchant-mapping':
+            await fetchAPI(`/api/category-mappings/merchant/${encodeURIComponent(source.name)}`, json('PUT', { category: chosenCategory }));
+            break;
+        case 'delete-merchant-mapping':
+            await fetchAPI(`/api/category-mappings/merchant/${encodeURIComponent(source.name)}`, { method: 'DELETE' });
+            break;
+        case 'change-plaid-mapping':
+            await fetchAPI(`/api/category-mappings/plaid/${encodeURIComponent(source.name)}`, json('PUT', { category: chosenCategory }));
+            break;
+        case 'change-merchant-default':
+            await fetchAPI(`/api/merchants/${source.id}`, json('PUT', { default_category: chosenCategory }));
+            break;
+        case 'clear-merchant-default':
+            await fetchAPI(`/api/merchants/${source.id}`, json('PUT', { default_category: '' }));
+            break;
+        default:
+            return false;
+    }
+
+    const result = await fetchAPI('/api/transactions/recategorize', json('POST', {
+        onlyUncategorized: false,
+        transactionIds: [transaction.transaction_id]
+    }));
+    const recategorized = result.categorizedTransactions?.[0];
+    showToast(recategorized
+        ? `Fixed - now categorized as ${recategorized.newCategory}`
+        : 'Fixed - nothing else matches this transaction, so set its category below', 'success');
+    return true;
+}
+
 // ============================================================================
 // AI CATEGORIZATION FUNCTIONS
 // ============================================================================
@@ -1702,7 +2470,7 @@ async function showReCategorizationReview(initialSuggestions, totalAvailable, in
  * AI suggest category for a specific transaction
  */
 async function aiSuggestCategory(transactionId) {
-    const transaction = allTransactions.find(tx => tx.transaction_id === transactionId);
+    const transaction = findTransaction(transactionId);
 
     if (!transaction) {
         showToast('Transaction not found', 'error');
@@ -1969,6 +2737,9 @@ async function resetAllAmazonMatchings() {
 // ============================================================================
 
 let rulePreviewTimeout = null;
+let ruleConditionsBuilder = null;
+let ruleActionsEditor = null;
+let ruleFieldsPromise = null;
 
 function promptCreateRule(merchantName, category) {
     if (!merchantName || merchantName === 'Unknown') return;
@@ -2006,17 +2777,54 @@ function promptCreateRule(merchantName, category) {
     }, 10000);
 }
 
-function showCreateRuleModal(merchantName, category) {
+/**
+ * Create the rule modal's conditions builder and actions editor on first use
+ * (fields and action types come from the server so both sides agree on them)
+ */
+async function initRuleEditors() {
+    if (!ruleFieldsPromise) {
+        ruleFieldsPromise = Promise.all([
+            fetchAPI('/api/category-mappings/rules/fields'),
+            fetchAPI('/api/category-mappings/rules/actions')
+        ]);
+    }
+
+    try {
+        const [fields, actionTypes] = await ruleFieldsPromise;
+        if (!ruleConditionsBuilder) {
+            ruleConditionsBuilder = createConditionsBuilder(document.getElementById('ruleConditionsBuilder'), {
+                fields,
+                onChange: () => updateRulePreview()
+            });
+            ruleActionsEditor = createActionsEditor(document.getElementById('ruleActionsEditor'), {
+                actionTypes,
+                getCategories: () => allCategories.map(cat => cat.name)
+            });
+        }
+    } catch (error) {
+        ruleFieldsPromise = null;
+        throw error;
+    }
+}
+
+async function showCreateRuleModal(merchantName, category) {
     const modal = document.getElementById('createRuleModal');
     const nameInput = document.getElementById('ruleNameInput');
-    const patternInput = document.getElementById('rulePatternInput');
-    const matchTypeSelect = document.getElementById('ruleMatchTypeSelect');
+    const priorityInput = document.getElementById('rulePriorityInput');
     const categorySelect = document.getElementById('ruleCategorySelect');
 
+    try {
+        await initRuleEditors();
+    } catch (error) {
+        showToast(`Failed to open rule editor: ${error.message}`, 'error');
+        return;
+    }
+
     // Prefill the form
     nameInput.value = `Auto-categorize ${merchantName}`;
-    patternInput.value = merchantName;
-    matchTypeSelect.value = 'exact';
+    priorityInput.value = '0';
+    ruleConditionsBuilder.setConditions({ all: [{ field: 'text', op: 'equals', value: merchantName }] });
+    ruleActionsEditor.setActions([]);
 
     // Populate category dropdown
     categorySelect.innerHTML = '<option value="">Select category...</option>' +
@@ -2034,30 +2842,28 @@ function closeCreateRuleModal() {
 
     // Clear form
     document.getElementById('ruleNameInput').value = '';
-    document.getElementById('rulePatternInput').value = '';
-    document.getElementById('ruleMatchTypeSelect').value = 'exact';
+    document.getElementById('rulePriorityInput').value = '0';
     document.getElementById('ruleCategorySelect').value = '';
     document.getElementById('rulePreviewList').innerHTML = '';
-    document.getElementById('rulePreviewCount').textContent = 'Enter a pattern to preview matching transactions';
+    document.getElementById('rulePreviewCount').textContent = 'Add a condition to preview matching transactions';
+    ruleConditionsBuilder?.setConditions(null);
+    ruleActionsEditor?.setActions([]);
 }
 
 async function updateRulePreview() {
-    const patternInput = document.getElementById('rulePatternInput');
-    const matchTypeSelect = document.getElementById('ruleMatchTypeSelect');
     const previewLoading = document.getElementById('rulePreviewLoading');
     const previewCount = document.getElementById('rulePreviewCount');
     const previewList = document.getElementById('rulePreviewList');
 
-    const pattern = patternInput.value.trim();
-    const matchType = matchTypeSelect.value;
+    const conditions = ruleConditionsBuilder?.getConditions();
 
     // Clear previous timeout
     if (rulePreviewTimeout) {
         clearTimeout(rulePreviewTimeout);
     }
 
-    if (!pattern) {
-        previewCount.textContent = 'Enter a pattern to preview matching transactions';
+    if (!conditions) {
+        previewCount.textContent = 'Add a condition to preview matching transactions';
         previewList.innerHTML = '';
         return;
     }
@@ -2071,7 +2877,7 @@ async function updateRulePreview() {
 
             const result = await fetchAPI('/api/category-mappings/rules/preview', {
                 method: 'POST',
-                body: JSON.stringify({ pattern, matchType })
+                body: JSON.stringify({ conditions })
             });
 
             previewLoading.style.display = 'none';
@@ -2092,8 +2898,8 @@ async function updateRulePreview() {
                     previewList.innerHTML += `<div style="padding: 0.5rem; text-align: center; color: #666; font-size: 0.875rem;">... and ${result.count - 10} more</div>`;
                 }
             } else {
-                previewCount.textContent = 'No transactions match this pattern';
-                previewList.innerHTML = '<div style="padding: 1rem; text-align: center; color: #666;">Try adjusting the pattern or match type</div>';
+                previewCount.textContent = 'No transactions match these conditions';
+                previewList.innerHTML = '<div style="padding: 1rem; text-align: center; color: #666;">Try adjusting or removing a condition</div>';
             }
         } catch (error) {
             previewLoading.style.display = 'none';
@@ -2105,17 +2911,17 @@ async function updateRulePreview() {
 
 async function saveNewRule() {
     const nameInput = document.getElementById('ruleNameInput');
-    const patternInput = document.getElementById('rulePatternInput');
-    const matchTypeSelect = document.getElementById('ruleMatchTypeSelect');
+    const priorityInput = document.getElementById('rulePriorityInput');
     const categorySelect = document.getElementById('ruleCategorySelect');
 
     const name = nameInput.value.trim();
-    const pattern = patternInput.value.trim();
-    const matchType = matchTypeSelect.value;
+    const conditions = ruleConditionsBuilder?.getConditions();
+    const priority = parseInt(priorityInput.value) || 0;
     const category = categorySelect.value;
+    const actions = ruleActionsEditor?.getActions() || [];
 
-    if (!name || !pattern || !category) {
-        showToast('Please fill in all required fields', 'error');
+    if (!name || !conditions || (!category && actions.length === 0)) {
+        showToast('Please fill in a name, conditions, and a category or an action', 'error');
         return;
     }
 
@@ -2124,18 +2930,17 @@ async function saveNewRule() {
         const allRulesResponse = await fetchAPI('/api/category-mappings/rules');
         const allRules = allRulesResponse || [];
 
-        // Find colliding rules (same pattern and match type)
-        const collidingRules = allRules.filter(rule =>
-            rule.pattern.toLowerCase() === pattern.toLowerCase() &&
-            rule.match_type === matchType
-        );
-
         // Get preview of matching transactions before creating the rule
         const previewResult = await fetchAPI('/api/category-mappings/rules/preview', {
             method: 'POST',
-            body: JSON.stringify({ pattern, matchType })
+            body: JSON.stringify({ conditions })
         });
 
+        // Find colliding rules (same conditions)
+        const collidingRules = allRules.filter(rule =>
+            (rule.summary || rule.pattern).toLowerCase() === previewResult.summary.toLowerCase()
+        );
+
         const matchingTransactions = previewResult.transactions || [];
 
         // Store original categories for undo
@@ -2157,7 +2962,7 @@ async function saveNewRule() {
         // Create the new rule
         const result = await fetchAPI('/api/category-mappings/rules', {
             method: 'POST',
-            body: JSON.stringify({ name, pattern, category, matchType })
+            body: JSON.stringify({ name, conditions, priority, category: category || null, actions })
         });
 
         closeCreateRuleModal();
@@ -2166,13 +2971,23 @@ async function saveNewRule() {
         if (matchingTransactions.length > 0) {
             // Update all matching transactions with the new category
             const transactionIds = matchingTransactions.map(tx => tx.transaction_id);
-            const bulkUpdateResult = await fetchAPI('/api/transactions/bulk/category', {
-                method: 'PATCH',
-                body: JSON.stringify({
-                    transactionIds,
-                    category
-                })
-            });
+            if (category) {
+                await fetchAPI('/api/transactions/bulk/category', {
+                    method: 'PATCH',
+                    body: JSON.stringify({
+                        transactionIds,
+                        category
+                    })
+                });
+            }
+
+            // Run the rule's actions on the transactions it already matches
+            if (actions.length > 0) {
+                await fetchAPI('/api/transactions/recategorize', {
+                    method: 'POST',
+                    body: JSON.stringify({ transactionIds })
+                });
+            }
 
             // Reload transactions to reflect changes
             eventBus.emit('transactionsUpdated');
@@ -2186,7 +3001,8 @@ async function saveNewRule() {
                 message,
                 async () => {
                     // Undo function: restore original categories and deleted rules
-                    await undoRuleApplication(result.id, originalCategories, deletedRules);
+                    // (changes made by actions are kept; the rule's audit trail lists them)
+                    await undoRuleApplication(result.id, category ? originalCategories : [], deletedRules);
                 }
             );
         } else {
@@ -2213,9 +3029,10 @@ async function undoRuleApplication(ruleId, originalCategories, deletedRules = []
                 method: 'POST',
                 body: JSON.stringify({
                     name: rule.name,
-                    pattern: rule.pattern,
+                    conditions: rule.conditions,
+                    priority: rule.priority,
                     category: rule.category,
-                    matchType: rule.match_type
+                    actions: rule.actions
                 })
             });
         }
@@ -2275,7 +3092,7 @@ let currentSplitTransaction = null;
 let splitRows = [];
 
 function showSplitModal(transactionId) {
-    const transaction = allTransactions.find(tx => tx.transaction_id === transactionId);
+    const transaction = findTransaction(transactionId);
     if (!transaction) {
         showToast('Transaction not found', 'error');
         return;
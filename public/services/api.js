@@ -6,6 +6,8 @@
 
 import { showLoading, hideLoading } from '../utils/formatters.js';
 import { showToast } from './toast.js';
+import { eventBus } from './eventBus.js';
+import { CLIENT_ID } from './serverEvents.js';
 
 const API_URL = '';
 
@@ -17,6 +19,7 @@ async function baseFetch(endpoint, options = {}) {
     const response = await fetch(API_URL + endpoint, {
         headers: {
             'Content-Type': 'application/json',
+            'X-Client-Id': CLIENT_ID,
             ...options.headers
         },
         ...options
@@ -136,3 +139,69 @@ export default api;
 export async function fetchAPI(endpoint, options = {}) {
     return baseFetch(endpoint, options);
 }
+
+/**
+ * Wait for a background job to finish
+ * Follows the job through server:job events, with a slow status check as a
+ * fallback in case the event stream is down.
+ * @param {number} jobId - Job ID returned by the endpoint that queued it
+ * @param {Object} options - { fallbackInterval, onProgress(job) }
+ * @returns {Promise<*>} The job result
+ */
+export function waitForJob(jobId, options = {}) {
+    const { fallbackInterval = 5000, onProgress = null } = options;
+
+    return new Promise((resolve, reject) => {
+        let done = false;
+        let timer = null;
+
+        const finish = (settle) => {
+            if (done) return;
+            done = true;
+            eventBus.off('server:job', onJobEvent);
+            clearInterval(timer);
+            settle();
+        };
+
+        const handleJob = (job) => {
+            if (onProgress) onProgress(job);
+
+            if (job.status === 'completed') {
+                finish(() => resolve(job.result));
+            } else if (job.status === 'failed') {
+                finish(() => reject(new Error(job.error || 'Job failed')));
+            } else if (job.status === 'cancelled') {
+                finish(() => reject(new Error('Job was cancelled')));
+            }
+        };
+
+        const onJobEvent = (job) => {
+            if (job.id === jobId) handleJob(job);
+        };
+
+        // Peek at the status without taking the job's queued updates
+        const checkStatus = () => baseFetch(`/api/jobs/${jobId}?updates=false`)
+            .then(job => !done && handleJob(job))
+            .catch(error => finish(() => reject(error)));
+
+        eventBus.on('server:job', onJobEvent);
+        timer = setInterval(checkStatus, fallbackInterval);
+        checkStatus();
+    });
+}
+
+/**
+ * Queue an endpoint's work as a background job and wait for its result
+ * The job keeps running on the server if the page is closed or the server restarts.
+ * @param {string} endpoint - Endpoint that accepts { background: true }
+ * @param {Object} body - Request body
+ * @returns {Promise<*>} The job result
+ */
+export async function runBackgroundJob(endpoint, body = {}) {
+    const { jobId } = await baseFetch(endpoint, {
+        method: 'POST',
+        body: JSON.stringify({ ...body, background: true })
+    });
+
+    return waitForJob(jobId);
+}
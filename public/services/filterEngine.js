@@ -39,6 +39,7 @@ export class FilterEngine {
      */
     static isFilterActive(value) {
         if (value === null || value === undefined || value === '') return false;
+        if (Array.isArray(value) && value.length === 0) return false;
         if (value === 'all') return false;
         return true;
     }
@@ -74,6 +75,9 @@ export class FilterEngine {
             case 'boolean':
                 return this.matchBoolean(itemValue, filterValue);
 
+            case 'tags':
+                return this.matchTags(itemValue, filterValue);
+
             default:
                 console.warn(`Unknown filter type: ${type}`);
                 return true;
@@ -213,6 +217,20 @@ export class FilterEngine {
         return Boolean(itemValue) === Boolean(filterValue);
     }
 
+    /**
+     * Match tags filter (the item must carry every selected tag, case-insensitive)
+     * Accepts one tag, an array of tags or a comma-separated string
+     */
+    static matchTags(itemValue, filterValue) {
+        const wanted = (Array.isArray(filterValue) ? filterValue : String(filterValue).split(','))
+            .map(tag => String(tag).trim().toLowerCase())
+            .filter(Boolean);
+        if (wanted.length === 0) return true;
+
+        const itemTags = (Array.isArray(itemValue) ? itemValue : []).map(tag => String(tag).toLowerCase());
+        return wanted.every(tag => itemTags.includes(tag));
+    }
+
     /**
      * Calculate date ranges for filtering
      */
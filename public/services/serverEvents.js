@@ -0,0 +1,76 @@
+/**
+ * Server Events
+ * Subscribes to the server's /api/events stream and re-emits each event on the
+ * eventBus as `server:<type>`. Data changes made by background jobs or other
+ * tabs also fire the usual view events (transactionsUpdated, accountsUpdated),
+ * so every open tab stays in sync.
+ */
+
+import { eventBus } from './eventBus.js';
+
+/**
+ * Identifies this tab to the server (sent as X-Client-Id), so events caused by
+ * this tab's own requests don't trigger a second refresh here
+ */
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const SERVER_EVENT_TYPES = [
+    'job',
+    'jobUpdate',
+    'syncCompleted',
+    'transactionsAdded',
+    'transactionsCategorized',
+    'transactionsChanged',
+    'accountsChanged'
+];
+
+// View events to fire for server events this tab didn't cause
+const VIEW_EVENTS = {
+    syncCompleted: (data) => (data.added || data.modified || data.removed)
+        ? ['accountsUpdated', 'transactionsUpdated']
+        : ['accountsUpdated'],
+    transactionsAdded: () => ['transactionsUpdated'],
+    transactionsCategorized: () => ['transactionsUpdated'],
+    transactionsChanged: () => ['transactionsUpdated'],
+    accountsChanged: () => ['accountsUpdated', 'transactionsUpdated']
+};
+
+let source = null;
+
+/**
+ * Open the event stream (EventSource reconnects by itself and replays missed events)
+ */
+export function connectServerEvents() {
+    if (source || typeof EventSource === 'undefined') return;
+
+    source = new EventSource('/api/events');
+
+    for (const type of SERVER_EVENT_TYPES) {
+        source.addEventListener(type, (message) => {
+            let data;
+            try {
+                data = JSON.parse(message.data);
+            } catch (error) {
+                console.error(`Invalid server event "${type}":`, error);
+                return;
+            }
+
+            eventBus.emit(`server:${type}`, data);
+
+            if (VIEW_EVENTS[type] && data.origin !== CLIENT_ID) {
+                console.log(`📡 Server event: ${type}`);
+                VIEW_EVENTS[type](data).forEach(event => eventBus.emit(event));
+            }
+        });
+    }
+}
+
+/**
+ * Close the event stream
+ */
+export function disconnectServerEvents() {
+    if (source) {
+        source.close();
+        source = null;
+    }
+}
@@ -97,6 +97,16 @@ export function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Escape text for use inside a double-quoted HTML attribute
+ * (escapeHtml leaves quotes alone)
+ * @param {string} text - Text to escape
+ * @returns {string} Attribute-safe text
+ */
+export function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
 /**
  * Render a category badge with icon and color
  * @param {Object} category - Category object with name, icon, color
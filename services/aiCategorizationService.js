@@ -5,31 +5,37 @@
  */
 
 import * as database from '../src/database.js';
+import localClassifier from './localClassifierService.js';
+import { getLLMProvider, getChatModel, hasChatModel } from './llmProviderService.js';
 import { spawn } from 'child_process';
 import { promisify } from 'util';
 import { exec } from 'child_process';
-import http from 'http';
 
 const execAsync = promisify(exec);
 
-// HTTP agent with connection pooling for better resource management
-const httpAgent = new http.Agent({
-    keepAlive: true,
-    maxSockets: 5,          // Limit concurrent connections to Ollama
-    maxFreeSockets: 2,      // Keep 2 idle sockets open for reuse
-    timeout: 60000,         // Close idle connections after 60s
-    keepAliveMsecs: 30000   // Send keep-alive probes every 30s
-});
+// Audit trail stage names for the methods this service reports (the rest,
+// like local_classifier and fallback, are used as they are)
+const AI_METHOD_STAGES = {
+    'ai': 'llm',
+    'merchant-mapping': 'merchant_mapping',
+    'rule-based': 'rule',
+    'pattern-matching': 'keyword_pattern'
+};
 
 class AICategorization {
     constructor() {
-        this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
         // Default to Mistral 7B Instruct for better accuracy (92-96% vs 85-90% with Phi-3)
-        this.modelName = process.env.OLLAMA_MODEL || 'mistral:7b-instruct-q4_0';
-        this.isOllamaAvailable = false;
+        this.defaultModel = process.env.OLLAMA_MODEL || 'mistral:7b-instruct-q4_0';
+        this.isAIAvailable = false;
         this.ollamaProcess = null;
-        this.httpAgent = httpAgent;  // Use connection pooling agent
-        this.checkOllamaAvailability();
+        this.checkAIAvailability();
+    }
+
+    /**
+     * Chat model: the one set in Settings, otherwise the default above
+     */
+    get modelName() {
+        return getChatModel(this.defaultModel);
     }
 
     /**
@@ -94,87 +100,95 @@ class AICategorization {
         }
     }
 
-    async checkOllamaAvailability() {
-        // Check for multiple Ollama processes
-        await this.checkOllamaProcesses();
+    async checkAIAvailability() {
+        const provider = getLLMProvider();
 
         try {
-            // Try to connect to Ollama
-            const response = await fetch(`${this.ollamaUrl}/api/tags`, {
-                signal: AbortSignal.timeout(2000),
-                agent: this.httpAgent
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                // Check for Mistral (preferred) or Phi-3 (fallback)
-                const hasMistral = data.models?.some(m => m.name.includes('mistral'));
-                const hasPhi3 = data.models?.some(m => m.name.includes('phi3'));
-                this.isOllamaAvailable = hasMistral || hasPhi3;
-
-                if (hasMistral) {
-                    console.log('✓ Ollama is available with Mistral 7B model (best accuracy)');
-                } else if (hasPhi3) {
-                    console.log('✓ Ollama is available with Phi-3 model');
-                    console.log('  💡 For better accuracy (92-96%), consider upgrading:');
-                    console.log('     ollama pull mistral:7b-instruct-q4_0');
-                } else {
-                    console.log('⚠ Ollama is running but no AI model found.');
-                    console.log('  To enable AI categorization, run one of:');
-                    console.log('     ollama pull mistral:7b-instruct-q4_0  (recommended, best accuracy)');
-                    console.log('     ollama pull phi3:mini                (faster, good accuracy)');
-                }
-                return;
+            // Check for multiple Ollama processes
+            if (provider.name === 'ollama') {
+                await this.checkOllamaProcesses();
             }
+
+            const models = await provider.listModels();
+            this.reportModels(provider, models);
+            return;
         } catch (error) {
-            // Ollama is not responding - try to start it
-            console.log('ℹ Ollama not responding - checking if installed...');
-
-            const isInstalled = await this.isOllamaInstalled();
-
-            if (isInstalled) {
-                console.log('✓ Ollama is installed - attempting to start...');
-                await this.startOllama();
-
-                // Check again after starting
-                try {
-                    const response = await fetch(`${this.ollamaUrl}/api/tags`, {
-                        signal: AbortSignal.timeout(2000),
-                        agent: this.httpAgent
-                    });
-
-                    if (response.ok) {
-                        const data = await response.json();
-                        const hasMistral = data.models?.some(m => m.name.includes('mistral'));
-                        const hasPhi3 = data.models?.some(m => m.name.includes('phi3'));
-                        this.isOllamaAvailable = hasMistral || hasPhi3;
-
-                        if (hasMistral) {
-                            console.log('✓ Ollama started successfully with Mistral 7B model');
-                        } else if (hasPhi3) {
-                            console.log('✓ Ollama started successfully with Phi-3 model');
-                            console.log('  💡 For better accuracy, consider: ollama pull mistral:7b-instruct-q4_0');
-                        } else {
-                            console.log('⚠ Ollama started but no AI model found.');
-                            console.log('  To enable AI categorization, run: ollama pull mistral:7b-instruct-q4_0');
-                        }
-                        return;
-                    }
-                } catch (retryError) {
-                    console.log('⚠ Failed to start Ollama automatically');
-                }
+            if (provider.name !== 'ollama') {
+                console.log(`ℹ AI server not responding at ${provider.baseUrl}`);
             } else {
-                console.log('ℹ Ollama not installed. Install it to enable AI categorization:');
-                console.log('  Mac: brew install ollama');
-                console.log('  Linux: curl -fsSL https://ollama.com/install.sh | sh');
-                console.log('  Windows: https://ollama.com/download');
+                await this.tryStartOllama(provider);
+                if (this.isAIAvailable) return;
             }
 
-            this.isOllamaAvailable = false;
+            this.isAIAvailable = false;
             console.log('ℹ Using enhanced rule-based categorization');
         }
     }
 
+    /**
+     * Log which models the provider offers and whether categorization can use them
+     */
+    reportModels(provider, models, started = false) {
+        this.isAIAvailable = hasChatModel(provider, models);
+
+        if (provider.name !== 'ollama') {
+            if (this.isAIAvailable) {
+                console.log(`✓ AI server available at ${provider.baseUrl} (${models.join(', ')})`);
+            } else {
+                console.log(`⚠ AI server at ${provider.baseUrl} doesn't list model "${this.modelName}"`);
+                console.log(`  Available: ${models.join(', ') || 'none'}`);
+            }
+            return;
+        }
+
+        // Check for Mistral (preferred) or Phi-3 (fallback)
+        const hasMistral = models.some(m => m.includes('mistral'));
+        const hasPhi3 = models.some(m => m.includes('phi3'));
+        const status = started ? 'Ollama started successfully' : 'Ollama is available';
+
+        if (this.isAIAvailable && !hasMistral && !hasPhi3) {
+            console.log(`✓ ${status} with ${this.modelName}`);
+        } else if (this.isAIAvailable && hasMistral) {
+            console.log(`✓ ${status} with Mistral 7B model (best accuracy)`);
+        } else if (this.isAIAvailable && hasPhi3) {
+            console.log(`✓ ${status} with Phi-3 model`);
+            console.log('  💡 For better accuracy (92-96%), consider upgrading:');
+            console.log('     ollama pull mistral:7b-instruct-q4_0');
+        } else {
+            console.log(`⚠ ${started ? 'Ollama started' : 'Ollama is running'} but no AI model found.`);
+            console.log('  To enable AI categorization, run one of:');
+            console.log(`     ollama pull ${this.modelName}`);
+            console.log('     ollama pull phi3:mini                (faster, good accuracy)');
+        }
+    }
+
+    /**
+     * Ollama is not responding - start it if it's installed
+     */
+    async tryStartOllama(provider) {
+        console.log('ℹ Ollama not responding - checking if installed...');
+
+        const isInstalled = await this.isOllamaInstalled();
+
+        if (isInstalled) {
+            console.log('✓ Ollama is installed - attempting to start...');
+            await this.startOllama();
+
+            // Check again after starting
+            try {
+                const models = await provider.listModels();
+                this.reportModels(provider, models, true);
+            } catch (retryError) {
+                console.log('⚠ Failed to start Ollama automatically');
+            }
+        } else {
+            console.log('ℹ Ollama not installed. Install it to enable AI categorization:');
+            console.log('  Mac: brew install ollama');
+            console.log('  Linux: curl -fsSL https://ollama.com/install.sh | sh');
+            console.log('  Windows: https://ollama.com/download');
+        }
+    }
+
     /**
      * Categorize a transaction using AI or fallback methods
      * @param {Object} transaction - Transaction to categorize
@@ -188,7 +202,7 @@ class AICategorization {
         }
 
         // Try AI categorization if available
-        if (this.isOllamaAvailable) {
+        if (this.isAIAvailable) {
             try {
                 const aiResult = await this.categorizeWithAI(transaction, categories);
                 if (aiResult.confidence > 0.5) {
@@ -204,7 +218,7 @@ class AICategorization {
     }
 
     /**
-     * Categorize using Ollama AI
+     * Categorize using the configured AI provider
      */
     async categorizeWithAI(transaction, categories) {
         const aiStartTime = Date.now();
@@ -274,37 +288,23 @@ class AICategorization {
         console.log(prompt);
         console.log('--- END PROMPT ---\n');
 
-        const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                model: this.modelName,
-                prompt: prompt,
-                stream: false,
-                keep_alive: "2m",  // Keep model loaded for 2 minutes to serve subsequent requests efficiently
-                options: {
-                    temperature: 0.1,  // Low for consistency
-                    num_predict: 100   // Limit response length
-                }
-            }),
-            signal: AbortSignal.timeout(30000),  // Increased to 30s for Mistral 7B
-            agent: this.httpAgent  // Use connection pooling for better resource management
+        const response = await getLLMProvider().generate(prompt, {
+            model: this.modelName,
+            keepAlive: '2m',   // Keep model loaded for 2 minutes to serve subsequent requests efficiently
+            temperature: 0.1,  // Low for consistency
+            maxTokens: 100,    // Limit response length
+            timeoutMs: 30000   // Increased to 30s for Mistral 7B
         });
 
-        if (!response.ok) {
-            throw new Error(`Ollama API error: ${response.status}`);
-        }
-
-        const result = await response.json();
         const aiTime = Date.now() - aiStartTime;
 
         console.log('--- AI RESPONSE ---');
-        console.log(result.response);
+        console.log(response);
         console.log('--- END RESPONSE ---');
         console.log(`Response time: ${aiTime}ms`);
         console.log('========================================\n');
 
-        return this.parseAIResponse(result.response, categories);
+        return this.parseAIResponse(response, categories);
     }
 
     /**
@@ -511,7 +511,8 @@ RESPONSE FORMAT (JSON only):
                 category: merchantMapping.category,
                 confidence: 0.95,
                 reasoning: `Matched merchant mapping for "${merchantMapping.pattern}"`,
-                method: 'merchant-mapping'
+                method: 'merchant-mapping',
+                mappingKey: merchantMapping.pattern
             };
         }
 
@@ -522,11 +523,19 @@ RESPONSE FORMAT (JSON only):
                 category: ruleMapping.category,
                 confidence: 0.90,
                 reasoning: `Matched rule: ${ruleMapping.rule}`,
-                method: 'rule-based'
+                method: 'rule-based',
+                ruleId: ruleMapping.ruleId,
+                ruleName: ruleMapping.ruleName
             };
         }
 
-        // 3. Pattern matching with common merchants/keywords
+        // 3. Local classifier trained on verified transactions
+        const classifierMatch = this.checkLocalClassifier(transaction, categories);
+        if (classifierMatch) {
+            return classifierMatch;
+        }
+
+        // 4. Pattern matching with common merchants/keywords
         const patternMatch = this.patternMatching(description, merchant, amount, categories);
         if (patternMatch) {
             return {
@@ -535,7 +544,7 @@ RESPONSE FORMAT (JSON only):
             };
         }
 
-        // 4. Default to Uncategorized
+        // 5. Default to Uncategorized
         const uncategorized = categories.find(c =>
             c.name.toLowerCase() === 'uncategorized'
         );
@@ -548,6 +557,32 @@ RESPONSE FORMAT (JSON only):
         };
     }
 
+    /**
+     * Describe a categorization result as a decision for the audit trail
+     * (database.recordCategorizationDecision); confidence moves to the 0-100
+     * scale transactions use
+     * @param {Object} result - Result of categorizeTransaction
+     * @param {Object} previous - { category_id, confidence } of the transaction before
+     */
+    toDecision(result, previous = {}) {
+        return {
+            stage: AI_METHOD_STAGES[result.method] || result.method,
+            trigger: 'ai',
+            categoryId: database.getCategoryIdByName(result.category),
+            previousCategoryId: previous.category_id,
+            confidenceBefore: previous.confidence,
+            confidenceAfter: Math.round((result.confidence || 0) * 100),
+            ruleId: result.ruleId,
+            ruleName: result.ruleName,
+            mappingKey: result.mappingKey,
+            details: {
+                reasoning: result.reasoning,
+                neighbors: result.neighbors,
+                alternatives: result.alternatives
+            }
+        };
+    }
+
     /**
      * Check merchant mappings
      */
@@ -574,6 +609,21 @@ RESPONSE FORMAT (JSON only):
         }
     }
 
+    /**
+     * Ask the local classifier, keeping only confident predictions
+     */
+    checkLocalClassifier(transaction, categories) {
+        try {
+            const prediction = localClassifier.predict(transaction, 'transaction', categories);
+            if (prediction && prediction.confidence >= localClassifier.confidenceThreshold) {
+                return prediction;
+            }
+            return null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Check rule-based mappings
      */
@@ -592,7 +642,9 @@ RESPONSE FORMAT (JSON only):
             if (matches.length > 0) {
                 return {
                     category: matches[0].category,
-                    rule: matches[0].pattern
+                    rule: matches[0].pattern,
+                    ruleId: matches[0].id,
+                    ruleName: matches[0].name
                 };
             }
 
@@ -770,42 +822,32 @@ RESPONSE FORMAT (JSON only):
      * Get AI service status
      */
     async getStatus() {
-        await this.checkOllamaAvailability();
+        await this.checkAIAvailability();
+        const provider = getLLMProvider();
 
         return {
-            aiAvailable: this.isOllamaAvailable,
-            ollamaUrl: this.ollamaUrl,
+            aiAvailable: this.isAIAvailable,
+            provider: provider.name,
+            providerUrl: provider.baseUrl,
             modelName: this.modelName,
             fallbackMethod: 'Enhanced rule-based categorization'
         };
     }
 
     /**
-     * Unload Ollama model to free up resources
-     * This immediately releases GPU/CPU memory used by the model
+     * Unload the model to free up resources
+     * This immediately releases GPU/CPU memory used by the model (Ollama only;
+     * OpenAI-compatible servers manage their own memory)
      */
     async unloadModel() {
-        if (!this.isOllamaAvailable) return;
+        if (!this.isAIAvailable) return;
 
         try {
-            console.log('🧹 Unloading Ollama model to free resources...');
-
-            // Send a generate request with keep_alive: 0 to immediately unload
-            await fetch(`${this.ollamaUrl}/api/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: this.modelName,
-                    prompt: '',
-                    keep_alive: 0  // Immediately unload the model
-                }),
-                signal: AbortSignal.timeout(5000),
-                agent: this.httpAgent
-            });
-
-            console.log('✓ Ollama model unloaded successfully');
+            console.log('🧹 Unloading AI model to free resources...');
+            await getLLMProvider().unload(this.modelName);
+            console.log('✓ AI model unloaded successfully');
         } catch (error) {
-            console.error('Failed to unload Ollama model:', error.message);
+            console.error('Failed to unload AI model:', error.message);
         }
     }
 
@@ -825,8 +867,8 @@ RESPONSE FORMAT (JSON only):
             if (description) console.log(`Description: "${description}"`);
         }
 
-        console.log(`[Emoji Service] Ollama available: ${this.isOllamaAvailable}`);
-        if (!this.isOllamaAvailable) {
+        console.log(`[Emoji Service] AI available: ${this.isAIAvailable}`);
+        if (!this.isAIAvailable) {
             console.log('[Emoji Service] Using fallback emoji generation');
             if (debug) console.log('⚠️  AI not available, using fallback');
             const fallbackEmoji = this.fallbackEmojiForCategory(categoryName);
@@ -866,33 +908,19 @@ ONE single emoji for "${categoryName}":`;
                 console.log('--- END PROMPT ---\n');
             }
 
-            console.log(`[Emoji Service] Calling Ollama API at ${this.ollamaUrl}...`);
+            const provider = getLLMProvider();
+            console.log(`[Emoji Service] Calling ${provider.name} at ${provider.baseUrl}...`);
             const startTime = Date.now();
-            const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: this.modelName,
-                    prompt: prompt,
-                    stream: false,
-                    keep_alive: "2m",
-                    options: {
-                        temperature: 0.3,  // Slightly higher for creativity
-                        num_predict: 10    // Very short response
-                    }
-                }),
-                signal: AbortSignal.timeout(10000),  // 10 second timeout
-                agent: this.httpAgent
+            const response = await provider.generate(prompt, {
+                model: this.modelName,
+                keepAlive: '2m',
+                temperature: 0.3,  // Slightly higher for creativity
+                maxTokens: 10,     // Very short response
+                timeoutMs: 10000   // 10 second timeout
             });
 
-            if (!response.ok) {
-                console.error(`[Emoji Service] Ollama API error: ${response.status}`);
-                throw new Error(`Ollama API error: ${response.status}`);
-            }
-
-            const result = await response.json();
             const duration = Date.now() - startTime;
-            const emojiResponse = result.response?.trim() || '';
+            const emojiResponse = response.trim();
 
             console.log(`[Emoji Service] AI responded in ${duration}ms: "${emojiResponse}"`);
             if (debug) {
@@ -950,8 +978,8 @@ ONE single emoji for "${categoryName}":`;
             console.log(`Count: ${count}`);
         }
 
-        console.log(`[Emoji Service] Ollama available: ${this.isOllamaAvailable}`);
-        if (!this.isOllamaAvailable) {
+        console.log(`[Emoji Service] AI available: ${this.isAIAvailable}`);
+        if (!this.isAIAvailable) {
             console.log('[Emoji Service] Using fallback emoji generation');
             if (debug) console.log('⚠️  AI not available, using fallback');
             const fallbackEmojis = this.fallbackMultipleEmojis(categoryName, count);
@@ -1001,33 +1029,19 @@ ${count} SIMPLE emojis for "${categoryName}":`;
                 console.log('--- END PROMPT ---\n');
             }
 
-            console.log(`[Emoji Service] Calling Ollama API at ${this.ollamaUrl}...`);
+            const provider = getLLMProvider();
+            console.log(`[Emoji Service] Calling ${provider.name} at ${provider.baseUrl}...`);
             const startTime = Date.now();
-            const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: this.modelName,
-                    prompt: prompt,
-                    stream: false,
-                    keep_alive: "2m",
-                    options: {
-                        temperature: 0.3,  // Lower for more consistent simple emojis
-                        num_predict: 30    // Enough for multiple emojis
-                    }
-                }),
-                signal: AbortSignal.timeout(15000),  // 15 second timeout
-                agent: this.httpAgent
+            const response = await provider.generate(prompt, {
+                model: this.modelName,
+                keepAlive: '2m',
+                temperature: 0.3,  // Lower for more consistent simple emojis
+                maxTokens: 30,     // Enough for multiple emojis
+                timeoutMs: 15000   // 15 second timeout
             });
 
-            if (!response.ok) {
-                console.error(`[Emoji Service] Ollama API error: ${response.status}`);
-                throw new Error(`Ollama API error: ${response.status}`);
-            }
-
-            const result = await response.json();
             const duration = Date.now() - startTime;
-            const emojiResponse = result.response?.trim() || '';
+            const emojiResponse = response.trim();
 
             console.log(`[Emoji Service] AI responded in ${duration}ms: "${emojiResponse}"`);
             if (debug) {
@@ -1289,13 +1303,6 @@ ${count} SIMPLE emojis for "${categoryName}":`;
         // Unload the model
         await this.unloadModel();
 
-        // Destroy HTTP agent to close all connections
-        if (this.httpAgent) {
-            console.log('   Closing HTTP connections...');
-            this.httpAgent.destroy();
-            console.log('   ✓ HTTP connections closed');
-        }
-
         // Kill Ollama process if we started it
         if (this.ollamaProcess) {
             try {
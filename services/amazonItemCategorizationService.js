@@ -2,45 +2,28 @@
  * Amazon Item Categorization Service
  * Provides intelligent Amazon item categorization using hybrid approach:
  * 1. Rule-based (ASIN, title patterns)
- * 2. AI-powered (using Ollama)
+ * 2. AI-powered (using the configured LLM provider)
  */
 
 import * as database from '../src/database.js';
-import http from 'http';
-
-// HTTP agent with connection pooling
-const httpAgent = new http.Agent({
-    keepAlive: true,
-    maxSockets: 5,
-    maxFreeSockets: 2,
-    timeout: 60000,
-    keepAliveMsecs: 30000
-});
+import { getLLMProvider, getChatModel, hasChatModel } from './llmProviderService.js';
 
 class AmazonItemCategorization {
     constructor() {
-        this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
-        this.modelName = process.env.OLLAMA_MODEL || 'mistral:7b-instruct-q4_0';
-        this.httpAgent = httpAgent;
+        this.defaultModel = process.env.OLLAMA_MODEL || 'mistral:7b-instruct-q4_0';
+    }
+
+    get modelName() {
+        return getChatModel(this.defaultModel);
     }
 
     /**
-     * Check if Ollama AI is available
+     * Check if the AI provider is available with a usable model
      */
-    async checkOllamaAvailability() {
+    async checkAIAvailability() {
         try {
-            const response = await fetch(`${this.ollamaUrl}/api/tags`, {
-                signal: AbortSignal.timeout(2000),
-                agent: this.httpAgent
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                const hasMistral = data.models?.some(m => m.name.includes('mistral'));
-                const hasPhi3 = data.models?.some(m => m.name.includes('phi3'));
-                return hasMistral || hasPhi3;
-            }
-            return false;
+            const provider = getLLMProvider();
+            return hasChatModel(provider, await provider.listModels());
         } catch (error) {
             return false;
         }
@@ -105,7 +88,7 @@ class AmazonItemCategorization {
         }
 
         // Method 3: Try AI categorization
-        const aiAvailable = await this.checkOllamaAvailability();
+        const aiAvailable = await this.checkAIAvailability();
         if (aiAvailable) {
             try {
                 const aiResult = await this.categorizeWithAI(item, categories);
@@ -176,7 +159,7 @@ class AmazonItemCategorization {
     }
 
     /**
-     * Categorize item using AI (Ollama)
+     * Categorize item using AI
      * @param {Object} item - Amazon item
      * @param {Array} categories - Available categories
      * @returns {Object|null} { category, confidence, reasoning }
@@ -185,28 +168,13 @@ class AmazonItemCategorization {
         const prompt = this.buildAIPrompt(item, categories);
 
         try {
-            const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: this.modelName,
-                    prompt: prompt,
-                    stream: false,
-                    options: {
-                        temperature: 0.1,
-                        num_predict: 200
-                    }
-                }),
-                signal: AbortSignal.timeout(30000),
-                agent: this.httpAgent
+            const response = await getLLMProvider().generate(prompt, {
+                model: this.modelName,
+                temperature: 0.1,
+                maxTokens: 200,
+                timeoutMs: 30000
             });
 
-            if (!response.ok) {
-                throw new Error(`Ollama API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-
             // Log AI response if setting is enabled
             const db = await import('../src/database.js');
             const logSetting = db.getSetting('enable_amazon_item_ai_logs');
@@ -226,12 +194,12 @@ class AmazonItemCategorization {
                 console.log('');
                 console.log('╔═══ RAW AI RESPONSE ═══╗');
                 console.log('║');
-                data.response.split('\n').forEach(line => console.log('║ ' + line));
+                response.split('\n').forEach(line => console.log('║ ' + line));
                 console.log('╚═══════════════════════╝');
                 console.log('═'.repeat(80) + '\n');
             }
 
-            return this.parseAIResponse(data.response, categories);
+            return this.parseAIResponse(response, categories);
         } catch (error) {
             console.error('[Amazon Item AI] Error:', error.message);
             return null;
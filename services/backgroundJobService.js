@@ -1,185 +1,251 @@
 /**
  * Background Job Service
- * Manages long-running background jobs with progress tracking
+ * Persistent queue for long-running background jobs with progress tracking
+ *
+ * Jobs live in the jobs table, so they survive restarts: a job that was running
+ * when the server stopped is picked up again on start and resumes from its last
+ * checkpoint. Jobs run one at a time; a failed attempt is retried with
+ * exponential backoff until max_attempts is reached.
+ *
+ * Every state change is published as a 'job' server event and every
+ * incremental update as a 'jobUpdate' event, so any number of tabs can follow
+ * a job without polling.
  */
 
+import * as database from '../src/database.js';
+import { publish, runOutsideRequest } from '../src/events.js';
+
+const POLL_INTERVAL_MS = 2000;
+const RETRY_BASE_DELAY_SECONDS = 30;
+const FINISHED_JOB_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+/**
+ * Thrown by a handler (via ctx.throwIfCancelled) to stop a cancelled job
+ */
+export class JobCancelledError extends Error {
+    constructor(jobId) {
+        super(`Job ${jobId} was cancelled`);
+        this.name = 'JobCancelledError';
+    }
+}
+
 class BackgroundJobService {
     constructor() {
-        this.jobs = new Map();
-        this.nextJobId = 1;
+        this.handlers = new Map();
+        this.timer = null;
+        this.cleanupTimer = null;
+        this.activeJobId = null;
     }
 
     /**
-     * Create a new background job
+     * Register the function that runs jobs of a type
+     * The handler receives (payload, ctx) and returns the job result. ctx offers:
+     *   job, checkpoint        - the job row and the checkpoint to resume from (or null)
+     *   setTotal(total)        - set the number of units of work
+     *   progress(processed, checkpoint) - record progress and where to resume
+     *   addUpdate(update)      - publish an incremental update for the UI
+     *   isCancelled()          - whether cancellation was requested
+     *   throwIfCancelled()     - stop here if cancellation was requested
      * @param {string} type - Job type (e.g., 'amazon-item-categorization')
-     * @param {Object} metadata - Additional job metadata
-     * @returns {string} Job ID
+     * @param {Function} handler - async (payload, ctx) => result
      */
-    createJob(type, metadata = {}) {
-        const jobId = `job_${this.nextJobId++}`;
-        const job = {
-            id: jobId,
-            type,
-            status: 'pending',
-            progress: 0,
-            total: 0,
-            processed: 0,
-            startedAt: new Date().toISOString(),
-            completedAt: null,
-            error: null,
-            result: null,
-            updates: [],  // Incremental updates for reactive UI
-            metadata
-        };
-
-        this.jobs.set(jobId, job);
-        console.log(`[Background Job] Created job ${jobId} of type ${type}`);
-        return jobId;
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
     }
 
     /**
-     * Update job progress
-     * @param {string} jobId - Job ID
-     * @param {Object} updates - Updates to apply
+     * Queue a new job
+     * @param {string} type - Job type
+     * @param {Object} payload - Handler input
+     * @param {Object} options - { maxAttempts }
+     * @returns {Object} The queued job
      */
-    updateJob(jobId, updates) {
-        const job = this.jobs.get(jobId);
-        if (!job) {
-            console.error(`[Background Job] Job ${jobId} not found`);
-            return;
+    enqueue(type, payload = {}, options = {}) {
+        if (!this.handlers.has(type)) {
+            throw new Error(`No handler registered for job type ${type}`);
         }
 
-        Object.assign(job, updates);
-
-        // Calculate progress percentage
-        if (job.total > 0) {
-            job.progress = Math.round((job.processed / job.total) * 100);
-        }
+        const job = database.createJob(type, payload, options);
+        console.log(`[Background Job] Queued job ${job.id} of type ${type}`);
+        this.publishJob(job.id);
 
-        // Set completion time if status is completed or failed
-        if ((updates.status === 'completed' || updates.status === 'failed') && !job.completedAt) {
-            job.completedAt = new Date().toISOString();
-        }
+        this.wake();
+        return job;
     }
 
     /**
-     * Mark job as running
-     * @param {string} jobId - Job ID
-     * @param {number} total - Total items to process
+     * Start the worker: re-queue jobs interrupted by the last shutdown and begin polling
      */
-    startJob(jobId, total) {
-        this.updateJob(jobId, {
-            status: 'running',
-            total,
-            processed: 0,
-            progress: 0
-        });
+    start() {
+        if (this.timer) return;
+
+        const requeued = database.requeueInterruptedJobs();
+        if (requeued > 0) {
+            console.log(`[Background Job] Resuming ${requeued} interrupted job(s)`);
+        }
+
+        this.timer = setInterval(() => this.wake(), POLL_INTERVAL_MS);
+        this.cleanupTimer = setInterval(() => this.cleanupOldJobs(), 30 * 60 * 1000);
+        this.wake();
     }
 
     /**
-     * Increment job progress
-     * @param {string} jobId - Job ID
-     * @param {number} increment - Amount to increment (default: 1)
+     * Stop polling. A job that is still running is resumed on the next start.
      */
-    incrementProgress(jobId, increment = 1) {
-        const job = this.jobs.get(jobId);
-        if (!job) return;
-
-        this.updateJob(jobId, {
-            processed: job.processed + increment
-        });
+    stop() {
+        clearInterval(this.timer);
+        clearInterval(this.cleanupTimer);
+        this.timer = null;
+        this.cleanupTimer = null;
     }
 
     /**
-     * Add an incremental update to the job (for reactive UI)
-     * @param {string} jobId - Job ID
-     * @param {Object} update - Update data (e.g., categorized item)
+     * Run the next due job, unless one is already running
      */
-    addUpdate(jobId, update) {
-        const job = this.jobs.get(jobId);
+    wake() {
+        if (this.activeJobId !== null || !this.timer) return;
+
+        const job = database.claimNextJob([...this.handlers.keys()]);
         if (!job) return;
 
-        job.updates.push(update);
+        this.activeJobId = job.id;
+        this.publishJob(job.id);
+
+        // A job may be woken by the request that queued it, but it belongs to no tab
+        runOutsideRequest(() => this.runJob(job))
+            .catch(error => console.error(`[Background Job] Job ${job.id} crashed:`, error))
+            .finally(() => {
+                this.activeJobId = null;
+                setImmediate(() => this.wake());
+            });
     }
 
     /**
-     * Get and clear updates since last poll (for reactive UI)
-     * @param {string} jobId - Job ID
-     * @returns {Array} Updates since last poll
+     * Run one attempt of a job and record how it ended
+     * @param {Object} job - Claimed job
      */
-    getAndClearUpdates(jobId) {
-        const job = this.jobs.get(jobId);
-        if (!job) return [];
+    async runJob(job) {
+        const handler = this.handlers.get(job.type);
+        let processed = job.processed;
+
+        const ctx = {
+            job,
+            checkpoint: job.checkpoint,
+            setTotal: (total) => database.updateJobProgress(job.id, { total }),
+            progress: (count, checkpoint) => {
+                processed = count;
+                database.updateJobProgress(job.id, { processed, checkpoint });
+                this.publishJob(job.id);
+            },
+            addUpdate: (update) => {
+                database.addJobUpdate(job.id, update);
+                publish('jobUpdate', { jobId: job.id, update });
+            },
+            isCancelled: () => database.isJobCancelRequested(job.id),
+            throwIfCancelled: () => {
+                if (database.isJobCancelRequested(job.id)) {
+                    throw new JobCancelledError(job.id);
+                }
+            }
+        };
+
+        const attemptLabel = job.attempts > 1 ? ` (attempt ${job.attempts}/${job.max_attempts})` : '';
+        console.log(`[Background Job] Running job ${job.id} of type ${job.type}${attemptLabel}`);
 
-        const updates = [...job.updates];
-        job.updates = [];
-        return updates;
+        try {
+            const result = await handler(job.payload, ctx);
+
+            if (database.isJobCancelRequested(job.id)) {
+                throw new JobCancelledError(job.id);
+            }
+
+            database.completeJob(job.id, result);
+            console.log(`[Background Job] Job ${job.id} completed successfully`);
+            this.publishJob(job.id);
+        } catch (error) {
+            if (error instanceof JobCancelledError || database.isJobCancelRequested(job.id)) {
+                database.markJobCancelled(job.id);
+                console.log(`[Background Job] Job ${job.id} cancelled after ${processed} item(s)`);
+                this.publishJob(job.id);
+                return;
+            }
+
+            const message = error instanceof Error ? error.message : String(error);
+
+            if (job.attempts < job.max_attempts) {
+                const delaySeconds = RETRY_BASE_DELAY_SECONDS * 2 ** (job.attempts - 1);
+                database.retryJob(job.id, message, delaySeconds);
+                console.error(`[Background Job] Job ${job.id} failed, retrying in ${delaySeconds}s:`, message);
+            } else {
+                database.failJob(job.id, message);
+                console.error(`[Background Job] Job ${job.id} failed:`, error);
+            }
+            this.publishJob(job.id);
+        }
     }
 
     /**
-     * Mark job as completed
-     * @param {string} jobId - Job ID
-     * @param {Object} result - Job result
+     * Publish a job's current state as a 'job' server event
+     * @param {number} jobId - Job ID
      */
-    completeJob(jobId, result) {
-        this.updateJob(jobId, {
-            status: 'completed',
-            result,
-            progress: 100
-        });
-        console.log(`[Background Job] Job ${jobId} completed successfully`);
+    publishJob(jobId) {
+        const job = database.getJobById(jobId);
+        if (!job) return;
+
+        const { payload, checkpoint, ...state } = job;
+        publish('job', state);
     }
 
     /**
-     * Mark job as failed
-     * @param {string} jobId - Job ID
-     * @param {Error|string} error - Error that caused failure
+     * Cancel a job
+     * @param {number} jobId - Job ID
+     * @returns {Object} Job after the cancellation request
      */
-    failJob(jobId, error) {
-        this.updateJob(jobId, {
-            status: 'failed',
-            error: error instanceof Error ? error.message : error
-        });
-        console.error(`[Background Job] Job ${jobId} failed:`, error);
+    cancelJob(jobId) {
+        const job = database.requestJobCancel(jobId);
+        this.publishJob(job.id);
+        return job;
     }
 
     /**
      * Get job status
-     * @param {string} jobId - Job ID
+     * @param {number} jobId - Job ID
      * @returns {Object|null} Job status or null if not found
      */
     getJob(jobId) {
-        return this.jobs.get(jobId) || null;
+        return database.getJobById(jobId);
     }
 
     /**
-     * Delete old completed jobs (cleanup)
-     * @param {number} maxAgeMs - Maximum age in milliseconds (default: 1 hour)
+     * List recent jobs
+     * @param {Object} filters - { status, type, limit }
+     * @returns {Array} Jobs, newest first
      */
-    cleanupOldJobs(maxAgeMs = 3600000) {
-        const now = Date.now();
-        const deleted = [];
-
-        for (const [jobId, job] of this.jobs.entries()) {
-            if (job.status === 'completed' || job.status === 'failed') {
-                const completedTime = new Date(job.completedAt).getTime();
-                if (now - completedTime > maxAgeMs) {
-                    this.jobs.delete(jobId);
-                    deleted.push(jobId);
-                }
-            }
-        }
+    listJobs(filters = {}) {
+        return database.getJobs(filters);
+    }
+
+    /**
+     * Get and clear updates since last poll (for reactive UI)
+     * @param {number} jobId - Job ID
+     * @returns {Array} Updates since last poll
+     */
+    getAndClearUpdates(jobId) {
+        return database.takeJobUpdates(jobId);
+    }
+
+    /**
+     * Delete old finished jobs (cleanup)
+     * @param {number} maxAgeSeconds - Maximum age in seconds (default: 1 day)
+     */
+    cleanupOldJobs(maxAgeSeconds = FINISHED_JOB_MAX_AGE_SECONDS) {
+        const deleted = database.deleteFinishedJobs(maxAgeSeconds);
 
-        if (deleted.length > 0) {
-            console.log(`[Background Job] Cleaned up ${deleted.length} old jobs`);
+        if (deleted > 0) {
+            console.log(`[Background Job] Cleaned up ${deleted} old jobs`);
         }
     }
 }
 
 // Export singleton instance
 export const backgroundJobService = new BackgroundJobService();
-
-// Run cleanup every 30 minutes
-setInterval(() => {
-    backgroundJobService.cleanupOldJobs();
-}, 30 * 60 * 1000);
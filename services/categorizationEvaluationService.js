@@ -0,0 +1,314 @@
+/**
+ * Categorization Evaluation Service
+ * Measures the enhanced pipeline against a frozen sample of verified
+ * transactions and Amazon items, so a change to a prompt, threshold or stage
+ * can be judged before it reaches real data.
+ *
+ * Each item is categorized with what it taught the pipeline held out: its own
+ * confirmed categorization, rules learned from its corrections and its own
+ * embedding are ignored, and the local classifier is refit without any item in
+ * the set. Nothing is written except the run itself. The report has overall
+ * accuracy, precision/recall per stage and per category, a confusion matrix
+ * and a calibration curve, and is compared with the set's previous run.
+ */
+
+import * as database from '../src/database.js';
+import enhancedAI from './enhancedAICategorizationService.js';
+import localClassifier from './localClassifierService.js';
+import { getLLMProvider } from './llmProviderService.js';
+
+export const EVALUATION_ITEM_TYPES = ['transaction', 'amazon_item'];
+
+// Pipeline stages in the order they run ('fallback' is stage 5 giving up)
+const STAGE_ORDER = ['exact_match', 'rule', 'embedding', 'local_classifier', 'llm', 'fallback', 'error'];
+
+const CALIBRATION_BINS = 10;
+const LISTED_CHANGES = 10;
+
+// Placeholder label for items the pipeline returned no category for
+const NO_CATEGORY = '(none)';
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function ratio(numerator, denominator) {
+    return denominator > 0 ? round(numerator / denominator) : null;
+}
+
+class CategorizationEvaluation {
+    /**
+     * Freeze a new sample of verified items
+     * @param {Object} options - { itemTypes, sizePerType, name }
+     */
+    createSet(options = {}) {
+        const { itemTypes = EVALUATION_ITEM_TYPES, sizePerType = 200 } = options;
+        const name = options.name || `${sizePerType} per type (${itemTypes.join(', ')})`;
+        return database.createEvaluationSet(name, { itemTypes, sizePerType });
+    }
+
+    /**
+     * Score the pipeline on an evaluation set and store the run
+     * @param {Object} options
+     *   setId            - set to score (default: the newest set, created if there is none)
+     *   newSet           - freeze a new sample first (itemTypes, sizePerType apply)
+     *   skipLLM          - score without stage 5 (much faster; LLM-bound items fall back)
+     *   onProgress(processed, total) - called after each item; may throw to stop
+     * @returns {Promise<Object>} { runId, set, options, report, comparison, missing, durationMs, predictions }
+     */
+    async evaluate(options = {}) {
+        const startTime = Date.now();
+
+        let set = null;
+        if (options.newSet) {
+            set = this.createSet(options);
+        } else if (options.setId) {
+            set = database.getEvaluationSet(options.setId);
+        } else {
+            set = database.getLatestEvaluationSet() || this.createSet(options);
+        }
+
+        const setItems = database.getEvaluationSetItems(set.id);
+        const items = setItems.filter(entry => entry.item);
+        const categories = database.getCategories();
+
+        // The classifier is refit without the whole set, so no item is scored by a model that saw it
+        const classifierModel = localClassifier.fitWithout(new Set(setItems.map(entry => `${entry.item_type}:${entry.item_id}`)));
+
+        // Without a model server, stages 3 and 5 would fail once per item
+        const aiAvailable = await getLLMProvider().isAvailable();
+        const pipelineOptions = {
+            holdOut: true,
+            classifierModel,
+            skipEmbeddings: !aiAvailable,
+            skipLLM: !!options.skipLLM || !aiAvailable
+        };
+
+        const predictions = [];
+        for (const [index, entry] of items.entries()) {
+            let result;
+            try {
+                result = await enhancedAI.runPipeline(
+                    this.withoutLabel(entry.item, entry.item_type), entry.item_type, entry.item_id, categories, pipelineOptions
+                );
+            } catch (error) {
+                console.error(`Evaluation failed for ${entry.item_type} ${entry.item_id}:`, error);
+                result = { category: null, confidence: 0, method: 'error' };
+            }
+
+            predictions.push({
+                itemType: entry.item_type,
+                itemId: entry.item_id,
+                text: enhancedAI.getItemText(entry.item, entry.item_type),
+                expected: entry.expected_category,
+                predicted: result.category || null,
+                method: result.method,
+                confidence: round(result.confidence || 0)
+            });
+
+            if (options.onProgress) {
+                options.onProgress(index + 1, items.length);
+            }
+        }
+
+        const report = this.buildReport(predictions);
+        const comparison = this.compareRuns(database.getPreviousEvaluationRun(set.id), predictions, report);
+        const runOptions = {
+            skipLLM: pipelineOptions.skipLLM,
+            skipEmbeddings: pipelineOptions.skipEmbeddings,
+            aiAvailable,
+            provider: getLLMProvider().name,
+            llmModel: enhancedAI.llmModel,
+            embeddingModel: enhancedAI.embeddingModel,
+            classifierSampleCount: classifierModel?.sample_count || 0
+        };
+        const durationMs = Date.now() - startTime;
+
+        const runId = database.saveEvaluationRun(set.id, { options: runOptions, report, predictions, durationMs });
+
+        return {
+            runId,
+            set,
+            options: runOptions,
+            report,
+            comparison,
+            missing: setItems.length - items.length,
+            durationMs,
+            predictions
+        };
+    }
+
+    /**
+     * Copy an item without its verified category, so no stage can read the answer
+     * (Amazon items keep `category`, which is Amazon's own category)
+     */
+    withoutLabel(item, itemType) {
+        const copy = { ...item };
+        delete copy.category_id;
+        delete copy.verified;
+        delete copy.confidence;
+        delete copy.categorization_reasoning;
+        delete copy[itemType === 'amazon_item' ? 'user_category' : 'category'];
+        return copy;
+    }
+
+    /**
+     * Score predictions
+     * Per stage, precision is how often the stage was right when it decided and
+     * recall is how many of the items that reached it it decided correctly.
+     * Per category, precision and recall are over the final predictions.
+     * The calibration curve compares confidence with accuracy in 10 bins;
+     * expectedCalibrationError is their count-weighted gap.
+     */
+    buildReport(predictions) {
+        const evaluated = predictions.length;
+        const isCorrect = (p) => p.predicted !== null && p.predicted === p.expected;
+        const correct = predictions.filter(isCorrect).length;
+
+        // Stages
+        const stageIndex = (method) => {
+            const index = STAGE_ORDER.indexOf(method);
+            return index === -1 ? STAGE_ORDER.length : index;
+        };
+        const stages = STAGE_ORDER
+            .filter(stage => predictions.some(p => p.method === stage) || (stage !== 'exact_match' && stage !== 'error'))
+            .map(stage => {
+                const reached = predictions.filter(p => stageIndex(p.method) >= stageIndex(stage)).length;
+                const decided = predictions.filter(p => p.method === stage);
+                const decidedCorrect = decided.filter(isCorrect).length;
+                return {
+                    stage,
+                    reached,
+                    decided: decided.length,
+                    correct: decidedCorrect,
+                    precision: ratio(decidedCorrect, decided.length),
+                    recall: ratio(decidedCorrect, reached),
+                    avgConfidence: ratio(decided.reduce((sum, p) => sum + p.confidence, 0), decided.length)
+                };
+            });
+
+        // Categories
+        const labels = [...new Set(predictions.flatMap(p => [p.expected, p.predicted || NO_CATEGORY]))]
+            .sort((a, b) => (a === NO_CATEGORY) - (b === NO_CATEGORY) || a.localeCompare(b));
+        const labelIndex = new Map(labels.map((label, index) => [label, index]));
+        const matrix = labels.map(() => labels.map(() => 0));
+        for (const p of predictions) {
+            matrix[labelIndex.get(p.expected)][labelIndex.get(p.predicted || NO_CATEGORY)]++;
+        }
+
+        const categories = labels
+            .filter(label => label !== NO_CATEGORY)
+            .map(label => {
+                const i = labelIndex.get(label);
+                const truePositives = matrix[i][i];
+                const support = matrix[i].reduce((sum, count) => sum + count, 0);
+                const predicted = matrix.reduce((sum, row) => sum + row[i], 0);
+                const precision = ratio(truePositives, predicted);
+                const recall = ratio(truePositives, support);
+                return {
+                    category: label,
+                    support,
+                    predicted,
+                    correct: truePositives,
+                    precision,
+                    recall,
+                    f1: precision && recall ? round((2 * precision * recall) / (precision + recall)) : 0
+                };
+            })
+            .sort((a, b) => b.support - a.support || a.category.localeCompare(b.category));
+
+        const topConfusions = [];
+        matrix.forEach((row, i) => row.forEach((count, j) => {
+            if (i !== j && count > 0) {
+                topConfusions.push({ expected: labels[i], predicted: labels[j], count });
+            }
+        }));
+        topConfusions.sort((a, b) => b.count - a.count);
+
+        // Calibration
+        const bins = Array.from({ length: CALIBRATION_BINS }, (unused, i) => ({
+            range: [round(i / CALIBRATION_BINS), round((i + 1) / CALIBRATION_BINS)],
+            count: 0,
+            confidenceSum: 0,
+            correct: 0
+        }));
+        for (const p of predictions) {
+            const bin = bins[Math.min(Math.floor(p.confidence * CALIBRATION_BINS), CALIBRATION_BINS - 1)];
+            bin.count++;
+            bin.confidenceSum += p.confidence;
+            bin.correct += isCorrect(p) ? 1 : 0;
+        }
+        const calibration = bins.map(({ range, count, confidenceSum, correct: binCorrect }) => ({
+            range,
+            count,
+            avgConfidence: ratio(confidenceSum, count),
+            accuracy: ratio(binCorrect, count)
+        }));
+        const expectedCalibrationError = evaluated > 0
+            ? round(calibration.reduce((sum, bin) => sum + (bin.count > 0 ? bin.count * Math.abs(bin.accuracy - bin.avgConfidence) : 0), 0) / evaluated)
+            : null;
+
+        return {
+            evaluated,
+            correct,
+            accuracy: ratio(correct, evaluated),
+            byItemType: Object.fromEntries(EVALUATION_ITEM_TYPES
+                .filter(itemType => predictions.some(p => p.itemType === itemType))
+                .map(itemType => {
+                    const ofType = predictions.filter(p => p.itemType === itemType);
+                    return [itemType, { evaluated: ofType.length, accuracy: ratio(ofType.filter(isCorrect).length, ofType.length) }];
+                })),
+            stages,
+            categories,
+            confusionMatrix: { labels, matrix },
+            topConfusions: topConfusions.slice(0, LISTED_CHANGES),
+            calibration,
+            expectedCalibrationError
+        };
+    }
+
+    /**
+     * Compare with the set's previous run: accuracy change and the items that
+     * went from wrong to right (fixed) or right to wrong (broken)
+     * @returns {Object|null} Null for a set's first run
+     */
+    compareRuns(previousRun, predictions, report) {
+        if (!previousRun || !Array.isArray(previousRun.predictions)) {
+            return null;
+        }
+
+        const key = (p) => `${p.itemType}:${p.itemId}`;
+        const previousByKey = new Map(previousRun.predictions.map(p => [key(p), p]));
+        const fixed = [];
+        const broken = [];
+
+        for (const p of predictions) {
+            const before = previousByKey.get(key(p));
+            if (!before) continue;
+
+            const wasCorrect = before.predicted === before.expected;
+            const isCorrect = p.predicted === p.expected;
+            const change = { itemType: p.itemType, itemId: p.itemId, text: p.text, expected: p.expected, was: before.predicted, now: p.predicted };
+            if (!wasCorrect && isCorrect) {
+                fixed.push(change);
+            } else if (wasCorrect && !isCorrect) {
+                broken.push(change);
+            }
+        }
+
+        return {
+            previousRunId: previousRun.id,
+            previousOptions: previousRun.options,
+            previousAccuracy: previousRun.accuracy,
+            accuracyChange: previousRun.accuracy !== null && report.accuracy !== null ? round(report.accuracy - previousRun.accuracy) : null,
+            fixedCount: fixed.length,
+            brokenCount: broken.length,
+            fixed: fixed.slice(0, LISTED_CHANGES),
+            broken: broken.slice(0, LISTED_CHANGES)
+        };
+    }
+}
+
+// Export singleton instance
+const categorizationEvaluation = new CategorizationEvaluation();
+export default categorizationEvaluation;
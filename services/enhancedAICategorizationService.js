@@ -1,21 +1,14 @@
 /**
  * Enhanced AI Categorization Service
- * 4-stage pipeline: exact match → rule-based → semantic similarity → LLM reasoning
+ * 5-stage pipeline: exact match → rule-based → semantic similarity → local classifier → LLM reasoning
  * Supports Amazon purchases and general transactions
  * Includes learning engine with automatic rule generation and retraining
  */
 
 import * as database from '../src/database.js';
-import http from 'http';
-
-// HTTP agent with connection pooling
-const httpAgent = new http.Agent({
-    keepAlive: true,
-    maxSockets: 5,
-    maxFreeSockets: 2,
-    timeout: 60000,
-    keepAliveMsecs: 30000
-});
+import { toRuleInput, evaluateConditions } from '../src/rules.js';
+import localClassifier from './localClassifierService.js';
+import { getLLMProvider, getChatModel, getEmbeddingModel } from './llmProviderService.js';
 
 // Retraining configuration
 const RETRAINING_CONFIG = {
@@ -28,15 +21,20 @@ const RETRAINING_CONFIG = {
 
 class EnhancedAICategorization {
     constructor() {
-        this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
-        this.llmModel = process.env.OLLAMA_MODEL || 'llama3.2:3b';
-        this.embeddingModel = process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text';
-        this.httpAgent = httpAgent;
-        this.embeddingsCache = new Map(); // In-memory cache for faster similarity search
+        this.defaultLLMModel = process.env.OLLAMA_MODEL || 'llama3.2:3b';
+        this.defaultEmbeddingModel = process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text';
         this.embeddingsAvailable = null; // Cache embedding availability check
         this.embeddingCheckWarningShown = false;
     }
 
+    get llmModel() {
+        return getChatModel(this.defaultLLMModel);
+    }
+
+    get embeddingModel() {
+        return getEmbeddingModel(this.defaultEmbeddingModel);
+    }
+
     /**
      * STAGE 1: Exact Match
      * Check if this exact item has been categorized and confirmed before
@@ -61,12 +59,18 @@ class EnhancedAICategorization {
     /**
      * STAGE 2: Rule-Based Matching
      * Apply exact match rules, vendor rules, and pattern rules
+     * With holdOut, rules the learning engine generated from this item's own
+     * corrections are skipped.
      */
-    async ruleBasedMatch(item, itemType) {
+    async ruleBasedMatch(item, itemType, options = {}) {
         const itemText = this.getItemText(item, itemType).toLowerCase();
 
         // Get all enabled rules
-        const rules = database.getEnabledCategoryRules();
+        let rules = database.getEnabledCategoryRules();
+
+        if (options.holdOut && database.hasAIFeedback(options.itemId, itemType)) {
+            rules = rules.filter(rule => !(rule.rule_source === 'ai_learning' && rule.pattern.toLowerCase() === itemText));
+        }
 
         if (!rules || rules.length === 0) {
             return null;
@@ -76,6 +80,9 @@ class EnhancedAICategorization {
         const sortedRules = rules.sort((a, b) => b.pattern.length - a.pattern.length);
 
         for (const rule of sortedRules) {
+            // Rules without a category only carry actions
+            if (!rule.category_id) continue;
+
             const pattern = rule.pattern.toLowerCase();
             const matchType = rule.match_type || 'regex';
 
@@ -83,6 +90,10 @@ class EnhancedAICategorization {
 
             try {
                 switch (matchType) {
+                    case 'conditions':
+                        // Multi-condition rules test transaction fields, so they only apply to transactions
+                        isMatch = itemType === 'transaction' && evaluateConditions(rule.conditions, toRuleInput(item));
+                        break;
                     case 'exact':
                         isMatch = itemText === pattern;
                         break;
@@ -112,7 +123,7 @@ class EnhancedAICategorization {
                     category: rule.category,
                     confidence: confidence,
                     method: 'rule',
-                    reasoning: `Matched rule: "${rule.name}" (pattern: ${rule.pattern})`,
+                    reasoning: `Matched rule: "${rule.name}" (${rule.summary})`,
                     alternatives: []
                 };
             }
@@ -120,7 +131,7 @@ class EnhancedAICategorization {
 
         // Check Amazon-specific item rules if it's an Amazon item
         if (itemType === 'amazon_item' && item.asin) {
-            const itemRules = database.getAmazonItemRulesByASIN(item.asin);
+            const itemRules = database.findAmazonItemRuleByASIN(item.asin);
             if (itemRules) {
                 return {
                     category: itemRules.category,
@@ -138,10 +149,11 @@ class EnhancedAICategorization {
     /**
      * STAGE 3: Semantic Similarity Search
      * Use embeddings to find similar previously categorized items
+     * With holdOut, the item's own confirmed embedding isn't a neighbour.
      */
-    async semanticSimilarity(item, itemType, categories) {
+    async semanticSimilarity(item, itemType, categories, options = {}) {
         // Skip if we already know embeddings aren't available
-        if (this.embeddingsAvailable === false) {
+        if (this.embeddingsAvailable === false || options.skipEmbeddings) {
             return null;
         }
 
@@ -154,22 +166,15 @@ class EnhancedAICategorization {
                 return null;
             }
 
-            // Get confirmed embeddings from database
-            const confirmedEmbeddings = database.getConfirmedEmbeddings(itemType, 1000);
+            // Nearest confirmed embeddings from the similarity index (most similar first)
+            const similarities = database.findSimilarEmbeddings(itemType, itemEmbedding, 5, {
+                excludeItemId: options.holdOut ? String(options.itemId) : null
+            });
 
-            if (!confirmedEmbeddings || confirmedEmbeddings.length === 0) {
+            if (similarities.length === 0) {
                 return null;
             }
 
-            // Calculate cosine similarity with all confirmed embeddings
-            const similarities = confirmedEmbeddings.map(embedding => ({
-                ...embedding,
-                similarity: this.cosineSimilarity(itemEmbedding, embedding.embedding_vector)
-            }));
-
-            // Sort by similarity (highest first)
-            similarities.sort((a, b) => b.similarity - a.similarity);
-
             // Get top match
             const topMatch = similarities[0];
 
@@ -202,7 +207,13 @@ class EnhancedAICategorization {
                     confidence: Math.min(topMatch.similarity, 0.92),
                     method: 'embedding',
                     reasoning: `High semantic similarity (${(topMatch.similarity * 100).toFixed(1)}%) to "${topMatch.embedding_text}"`,
-                    alternatives: alternatives
+                    alternatives: alternatives,
+                    neighbors: similarities.map(match => ({
+                        itemId: match.item_id,
+                        text: match.embedding_text,
+                        category: match.category,
+                        similarity: Math.round(match.similarity * 1000) / 1000
+                    }))
                 };
             }
 
@@ -214,42 +225,48 @@ class EnhancedAICategorization {
     }
 
     /**
-     * STAGE 4: LLM Reasoning (Fallback)
-     * Use Ollama LLM for intelligent categorization
+     * STAGE 4: Local Classifier
+     * Offline naive Bayes model trained on verified items (no Ollama needed)
+     * options.classifierModel replaces the stored model (see localClassifier.fitWithout).
+     */
+    async localClassifierMatch(item, itemType, categories, options = {}) {
+        try {
+            return options.classifierModel !== undefined
+                ? localClassifier.predict(item, itemType, categories, options.classifierModel)
+                : localClassifier.predict(item, itemType, categories);
+        } catch (error) {
+            console.error('Local classifier failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * STAGE 5: LLM Reasoning (Fallback)
+     * Use the configured LLM provider for intelligent categorization
      */
-    async llmReasoning(item, itemType, categories) {
+    async llmReasoning(item, itemType, categories, options = {}) {
+        if (options.skipLLM) {
+            return this.fallbackCategorization(item, itemType, categories);
+        }
+
         try {
-            // Check if Ollama is available
-            const isAvailable = await this.checkOllamaAvailable();
+            // Check if the model server is available
+            const isAvailable = await this.checkLLMAvailable();
             if (!isAvailable) {
                 return this.fallbackCategorization(item, itemType, categories);
             }
 
             const prompt = this.buildLLMPrompt(item, itemType, categories);
 
-            const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: this.llmModel,
-                    prompt: prompt,
-                    format: 'json',
-                    stream: false,
-                    options: {
-                        temperature: 0.3,
-                        num_predict: 200
-                    }
-                }),
-                signal: AbortSignal.timeout(30000),
-                agent: this.httpAgent
+            const response = await getLLMProvider().generate(prompt, {
+                model: this.llmModel,
+                json: true,
+                temperature: 0.3,
+                maxTokens: 200,
+                timeoutMs: 30000
             });
 
-            if (!response.ok) {
-                throw new Error(`Ollama API error: ${response.status}`);
-            }
-
-            const result = await response.json();
-            const parsed = this.parseLLMResponse(result.response, categories);
+            const parsed = this.parseLLMResponse(response, categories);
 
             return {
                 ...parsed,
@@ -263,7 +280,7 @@ class EnhancedAICategorization {
 
     /**
      * Main categorization pipeline
-     * Executes all 4 stages in sequence
+     * Executes all 5 stages in sequence and saves the result
      */
     async categorize(item, itemType, itemId = null, cachedCategories = null) {
         const categories = cachedCategories || database.getCategories();
@@ -271,43 +288,58 @@ class EnhancedAICategorization {
         // Use provided itemId or generate from item
         const id = itemId || this.getItemId(item, itemType);
 
+        const result = await this.runPipeline(item, itemType, id, categories);
+        database.saveAICategorization(
+            id, itemType, result.category, result.confidence,
+            result.method, result.alternatives, result.reasoning
+        );
+        return result;
+    }
+
+    /**
+     * Run the 5 stages without saving anything
+     * The first stage confident enough wins. Options (used by the evaluation
+     * harness, see categorizationEvaluationService.js):
+     *   holdOut         - ignore what the item itself taught the pipeline: its own
+     *                     confirmed categorization, rules learned from its
+     *                     corrections and its own embedding
+     *   classifierModel - local classifier model to use instead of the stored one
+     *   skipEmbeddings  - skip stage 3
+     *   skipLLM         - don't call the LLM (stage 5 falls back)
+     */
+    async runPipeline(item, itemType, id, categories, options = {}) {
+        const stageOptions = { ...options, itemId: id };
+
         // STAGE 1: Exact Match
-        const exactMatch = await this.exactMatch(id, itemType);
+        const exactMatch = options.holdOut ? null : await this.exactMatch(id, itemType);
         if (exactMatch) {
-            // Save categorization result
-            database.saveAICategorization(
-                id, itemType, exactMatch.category, exactMatch.confidence,
-                exactMatch.method, exactMatch.alternatives, exactMatch.reasoning
-            );
             return exactMatch;
         }
 
         // STAGE 2: Rule-Based Matching
-        const ruleMatch = await this.ruleBasedMatch(item, itemType);
+        const ruleMatch = await this.ruleBasedMatch(item, itemType, stageOptions);
         if (ruleMatch && ruleMatch.confidence > 0.9) {
-            database.saveAICategorization(
-                id, itemType, ruleMatch.category, ruleMatch.confidence,
-                ruleMatch.method, ruleMatch.alternatives, ruleMatch.reasoning
-            );
             return ruleMatch;
         }
 
         // STAGE 3: Semantic Similarity
-        const similarityMatch = await this.semanticSimilarity(item, itemType, categories);
+        const similarityMatch = await this.semanticSimilarity(item, itemType, categories, stageOptions);
         if (similarityMatch && similarityMatch.confidence > 0.85) {
-            database.saveAICategorization(
-                id, itemType, similarityMatch.category, similarityMatch.confidence,
-                similarityMatch.method, similarityMatch.alternatives, similarityMatch.reasoning
-            );
             return similarityMatch;
         }
 
-        // STAGE 4: LLM Reasoning (Fallback)
-        const llmResult = await this.llmReasoning(item, itemType, categories);
-        database.saveAICategorization(
-            id, itemType, llmResult.category, llmResult.confidence,
-            llmResult.method, llmResult.alternatives, llmResult.reasoning
-        );
+        // STAGE 4: Local Classifier
+        const classifierMatch = await this.localClassifierMatch(item, itemType, categories, stageOptions);
+        if (classifierMatch && classifierMatch.confidence >= localClassifier.confidenceThreshold) {
+            return classifierMatch;
+        }
+
+        // STAGE 5: LLM Reasoning (Fallback)
+        // Without a model server, the classifier's less confident guess still beats the fallback
+        const llmResult = await this.llmReasoning(item, itemType, categories, stageOptions);
+        if (llmResult.method === 'fallback' && classifierMatch && classifierMatch.confidence > llmResult.confidence) {
+            return classifierMatch;
+        }
         return llmResult;
     }
 
@@ -339,7 +371,7 @@ class EnhancedAICategorization {
                 });
             }
 
-            // Small delay between batches to avoid overwhelming Ollama (reduced from 100ms to 10ms)
+            // Small delay between batches to avoid overwhelming the model server (reduced from 100ms to 10ms)
             if (i + batchSize < items.length) {
                 await new Promise(resolve => setTimeout(resolve, 10));
             }
@@ -431,6 +463,15 @@ class EnhancedAICategorization {
         console.log('🎯 Starting retraining process...');
 
         try {
+            // Refit the local classifier on everything verified so far
+            const classifierResult = localClassifier.train();
+            if (classifierResult.trained) {
+                const accuracy = classifierResult.holdoutAccuracy !== null ? `, ${Math.round(classifierResult.holdoutAccuracy * 100)}% held-out accuracy` : '';
+                console.log(`   - Local classifier trained on ${classifierResult.sampleCount} items${accuracy}`);
+            } else {
+                console.log(`   - Local classifier not trained: ${classifierResult.reason}`);
+            }
+
             // Get all unprocessed feedback
             const feedback = database.getUnprocessedFeedback(1000);
 
@@ -489,10 +530,7 @@ class EnhancedAICategorization {
             const feedbackIds = feedback.map(f => f.id);
             database.markFeedbackAsProcessed(feedbackIds);
 
-            // 4. Clear embeddings cache to force reload
-            this.embeddingsCache.clear();
-
-            // 5. Record training history
+            // 4. Record training history
             const duration = Date.now() - startTime;
             database.saveAITrainingHistory(
                 feedback.length,
@@ -572,7 +610,8 @@ class EnhancedAICategorization {
             console.log('  ✅ Stage 1: Exact Match (100% confidence)');
             console.log('  ✅ Stage 2: Rule-Based (90-98% confidence)');
             console.log('  ❌ Stage 3: Semantic Similarity (DISABLED)');
-            console.log('  ✅ Stage 4: LLM Reasoning (fallback)');
+            console.log('  ✅ Stage 4: Local Classifier (offline)');
+            console.log('  ✅ Stage 5: LLM Reasoning (fallback)');
             console.log('');
             console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
             console.log('');
@@ -581,104 +620,49 @@ class EnhancedAICategorization {
     }
 
     /**
-     * Generate embedding using Ollama
+     * Generate embedding using the configured LLM provider
      */
     async generateEmbedding(text) {
+        const provider = getLLMProvider();
+
         try {
-            // Try the newer /api/embed endpoint first (Ollama 0.1.0+)
-            let response = await fetch(`${this.ollamaUrl}/api/embed`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: this.embeddingModel,
-                    input: text
-                }),
-                signal: AbortSignal.timeout(10000),
-                agent: this.httpAgent
-            });
+            const embedding = await provider.embed(text, { model: this.embeddingModel, timeoutMs: 10000 });
 
-            // If 404, try the older /api/embeddings endpoint
-            if (response.status === 404) {
-                response = await fetch(`${this.ollamaUrl}/api/embeddings`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        model: this.embeddingModel,
-                        prompt: text
-                    }),
-                    signal: AbortSignal.timeout(10000),
-                    agent: this.httpAgent
-                });
+            // Mark as available on first success
+            if (this.embeddingsAvailable === null) {
+                this.embeddingsAvailable = true;
             }
+            return embedding;
+        } catch (error) {
+            // A 404 means the embedding model isn't installed (or the server has no embeddings endpoint)
+            if (error.status === 404) {
+                this.embeddingsAvailable = false;
 
-            if (!response.ok) {
-                // If still failing, it's likely the model isn't installed
-                if (response.status === 404) {
-                    this.embeddingsAvailable = false;
-
-                    // Only try to auto-install once
-                    if (!this.embeddingCheckWarningShown) {
-                        this.embeddingCheckWarningShown = true;
+                // Only Ollama can pull models, and only try that once
+                if (provider.canPullModels && !this.embeddingCheckWarningShown) {
+                    this.embeddingCheckWarningShown = true;
 
-                        // Attempt automatic installation
-                        const installed = await this.autoInstallEmbeddingModel();
+                    // Attempt automatic installation
+                    const installed = await this.autoInstallEmbeddingModel();
 
-                        if (installed) {
-                            // Try generating embedding again after successful installation
-                            return this.generateEmbedding(text);
-                        }
+                    if (installed) {
+                        // Try generating embedding again after successful installation
+                        return this.generateEmbedding(text);
                     }
-
-                    return null;
                 }
-                throw new Error(`Ollama embeddings API error: ${response.status}`);
-            }
 
-            const result = await response.json();
-            // Mark as available on first success
-            if (this.embeddingsAvailable === null) {
-                this.embeddingsAvailable = true;
+                return null;
             }
-            // Handle both response formats
-            return result.embedding || result.embeddings?.[0];
-        } catch (error) {
-            if (error.name === 'AbortError') {
+
+            if (error.message.includes('TimeoutError') || error.message.includes('aborted')) {
                 console.warn('⚠️  Embedding generation timed out');
-            } else if (!error.message.includes('not found') && !error.message.includes('404')) {
+            } else {
                 console.warn('⚠️  Failed to generate embedding:', error.message);
             }
             return null;
         }
     }
 
-    /**
-     * Calculate cosine similarity between two vectors
-     */
-    cosineSimilarity(vec1, vec2) {
-        if (!vec1 || !vec2 || vec1.length !== vec2.length) {
-            return 0;
-        }
-
-        let dotProduct = 0;
-        let mag1 = 0;
-        let mag2 = 0;
-
-        for (let i = 0; i < vec1.length; i++) {
-            dotProduct += vec1[i] * vec2[i];
-            mag1 += vec1[i] * vec1[i];
-            mag2 += vec2[i] * vec2[i];
-        }
-
-        mag1 = Math.sqrt(mag1);
-        mag2 = Math.sqrt(mag2);
-
-        if (mag1 === 0 || mag2 === 0) {
-            return 0;
-        }
-
-        return dotProduct / (mag1 * mag2);
-    }
-
     /**
      * Build LLM prompt for categorization
      */
@@ -768,18 +752,10 @@ Be confident when the item clearly matches a category. Use lower confidence (0.5
     }
 
     /**
-     * Check if Ollama is available
+     * Check if the LLM provider's server is available
      */
-    async checkOllamaAvailable() {
-        try {
-            const response = await fetch(`${this.ollamaUrl}/api/tags`, {
-                signal: AbortSignal.timeout(2000),
-                agent: this.httpAgent
-            });
-            return response.ok;
-        } catch (error) {
-            return false;
-        }
+    async checkLLMAvailable() {
+        return getLLMProvider().isAvailable();
     }
 
     /**
@@ -847,17 +823,22 @@ Be confident when the item clearly matches a category. Use lower confidence (0.5
      * Get service status
      */
     async getStatus() {
-        const ollamaAvailable = await this.checkOllamaAvailable();
+        const provider = getLLMProvider();
+        const aiAvailable = await provider.isAvailable();
         const threshold = this.getRetrainingThreshold();
         const feedbackCount = database.getFeedbackCountSinceLastTraining();
 
         return {
-            ollamaAvailable,
+            aiAvailable,
+            provider: provider.name,
+            providerUrl: provider.baseUrl,
             llmModel: this.llmModel,
             embeddingModel: this.embeddingModel,
             retrainingThreshold: threshold,
             pendingFeedback: feedbackCount,
-            nextRetrainingIn: Math.max(0, threshold - feedbackCount)
+            nextRetrainingIn: Math.max(0, threshold - feedbackCount),
+            localClassifier: localClassifier.getStatus(),
+            embeddingIndexes: database.getEmbeddingIndexStatus()
         };
     }
 }
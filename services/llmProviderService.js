@@ -0,0 +1,285 @@
+/**
+ * LLM Provider Service
+ * One interface over the model servers the categorizers talk to:
+ *   ollama - Ollama's /api/generate, /api/embed and /api/tags
+ *   openai - any OpenAI-compatible server (/v1/chat/completions, /v1/embeddings,
+ *            /v1/models), e.g. llama.cpp's llama-server, vLLM or LM Studio
+ * Provider, endpoint and models are set in Settings (AI Provider). Empty values
+ * fall back to the OLLAMA_* environment variables and each caller's default
+ * model; the API key for OpenAI-compatible servers comes from AI_API_KEY.
+ */
+
+import * as database from '../src/database.js';
+
+export const LLM_PROVIDERS = ['ollama', 'openai'];
+
+function getDefaultBaseUrl(provider) {
+    return provider === 'openai'
+        ? process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1'
+        : process.env.OLLAMA_URL || 'http://localhost:11434';
+}
+
+/**
+ * Thrown when a provider request fails; status is the HTTP status, or null
+ * when the server couldn't be reached
+ */
+export class LLMProviderError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.status = status;
+    }
+}
+
+/**
+ * Shared request plumbing: JSON in, JSON out, timeouts, error mapping
+ */
+class BaseProvider {
+    constructor({ baseUrl, apiKey = '' }) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+    }
+
+    async request(path, { method = 'GET', body = null, timeoutMs = 10000 } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+        } catch (error) {
+            throw new LLMProviderError(`${this.label} request failed: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new LLMProviderError(`${this.label} API error: ${response.status}`, response.status);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Whether the server answers at all
+     */
+    async isAvailable() {
+        try {
+            await this.listModels();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+class OllamaProvider extends BaseProvider {
+    constructor(options) {
+        super(options);
+        this.name = 'ollama';
+        this.label = 'Ollama';
+        this.canPullModels = true;
+    }
+
+    async listModels() {
+        const data = await this.request('/api/tags', { timeoutMs: 2000 });
+        return (data.models || []).map(m => m.name);
+    }
+
+    /**
+     * Complete a prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - { model, json, temperature, maxTokens, keepAlive, timeoutMs }
+     * @returns {Promise<string>} Generated text
+     */
+    async generate(prompt, { model, json = false, temperature, maxTokens, keepAlive, timeoutMs = 30000 } = {}) {
+        const data = await this.request('/api/generate', {
+            method: 'POST',
+            timeoutMs,
+            body: {
+                model,
+                prompt,
+                stream: false,
+                ...(json && { format: 'json' }),
+                ...(keepAlive !== undefined && { keep_alive: keepAlive }),
+                options: {
+                    ...(temperature !== undefined && { temperature }),
+                    ...(maxTokens !== undefined && { num_predict: maxTokens })
+                }
+            }
+        });
+        return data.response || '';
+    }
+
+    /**
+     * Embed text, trying the newer /api/embed before the older /api/embeddings
+     * @returns {Promise<Array<number>>} Embedding vector
+     */
+    async embed(text, { model, timeoutMs = 10000 } = {}) {
+        try {
+            const data = await this.request('/api/embed', { method: 'POST', timeoutMs, body: { model, input: text } });
+            return data.embeddings?.[0] || data.embedding;
+        } catch (error) {
+            if (error.status !== 404) throw error;
+        }
+
+        const data = await this.request('/api/embeddings', { method: 'POST', timeoutMs, body: { model, prompt: text } });
+        return data.embedding;
+    }
+
+    /**
+     * Unload a model right away to free memory
+     */
+    async unload(model) {
+        await this.request('/api/generate', {
+            method: 'POST',
+            timeoutMs: 5000,
+            body: { model, prompt: '', keep_alive: 0 }
+        });
+    }
+}
+
+class OpenAICompatibleProvider extends BaseProvider {
+    constructor(options) {
+        super(options);
+        this.name = 'openai';
+        this.label = 'OpenAI-compatible server';
+        this.canPullModels = false;
+    }
+
+    async listModels() {
+        const data = await this.request('/models', { timeoutMs: 2000 });
+        return (data.data || []).map(m => m.id);
+    }
+
+    /**
+     * Complete a prompt as a single user message
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - { model, json, temperature, maxTokens, timeoutMs } (keepAlive is Ollama-only)
+     * @returns {Promise<string>} Generated text
+     */
+    async generate(prompt, { model, json = false, temperature, maxTokens, timeoutMs = 30000 } = {}) {
+        const data = await this.request('/chat/completions', {
+            method: 'POST',
+            timeoutMs,
+            body: {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                stream: false,
+                ...(json && { response_format: { type: 'json_object' } }),
+                ...(temperature !== undefined && { temperature }),
+                ...(maxTokens !== undefined && { max_tokens: maxTokens })
+            }
+        });
+        return data.choices?.[0]?.message?.content || '';
+    }
+
+    async embed(text, { model, timeoutMs = 10000 } = {}) {
+        const data = await this.request('/embeddings', { method: 'POST', timeoutMs, body: { model, input: text } });
+        return data.data?.[0]?.embedding;
+    }
+
+    /**
+     * OpenAI-compatible servers manage model memory themselves
+     */
+    async unload() {}
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - 'ollama' or 'openai'
+ * @param {Object} options - { baseUrl, apiKey }
+ */
+export function createLLMProvider(name, options = {}) {
+    const baseUrl = options.baseUrl || getDefaultBaseUrl(name);
+    switch (name) {
+        case 'ollama':
+            return new OllamaProvider({ ...options, baseUrl });
+        case 'openai':
+            return new OpenAICompatibleProvider({ ...options, baseUrl });
+        default:
+            throw new Error(`Unknown AI provider: ${name}`);
+    }
+}
+
+/**
+ * Current provider settings (empty models mean "use the caller's default")
+ */
+export function getLLMConfig() {
+    const provider = readSetting('ai_provider') || 'ollama';
+    return {
+        provider,
+        baseUrl: readSetting('ai_base_url') || getDefaultBaseUrl(provider),
+        chatModel: readSetting('ai_chat_model') || '',
+        embeddingModel: readSetting('ai_embedding_model') || ''
+    };
+}
+
+/**
+ * Read a setting, or null before the database is initialized (services
+ * check for their model server as soon as they're imported)
+ */
+function readSetting(key) {
+    try {
+        return database.getSetting(key);
+    } catch (error) {
+        return null;
+    }
+}
+
+let cachedProvider = null;
+let cachedConfigKey = null;
+
+/**
+ * Get the provider for the current settings (rebuilt when they change)
+ */
+export function getLLMProvider() {
+    const config = getLLMConfig();
+    const configKey = `${config.provider} ${config.baseUrl}`;
+    if (!cachedProvider || cachedConfigKey !== configKey) {
+        cachedProvider = createLLMProvider(config.provider, {
+            baseUrl: config.baseUrl,
+            apiKey: config.provider === 'openai' ? (process.env.AI_API_KEY || '') : ''
+        });
+        cachedConfigKey = configKey;
+    }
+    return cachedProvider;
+}
+
+/**
+ * Chat model to use: the one set in Settings, otherwise the caller's default
+ */
+export function getChatModel(defaultModel) {
+    return getLLMConfig().chatModel || defaultModel;
+}
+
+/**
+ * Embedding model to use: the one set in Settings, otherwise the caller's default
+ */
+export function getEmbeddingModel(defaultModel) {
+    return getLLMConfig().embeddingModel || defaultModel;
+}
+
+/**
+ * Whether a server's model list can serve a chat model. With a model set in
+ * Settings that model must be listed (Ollama's ':latest' tag optional). With
+ * none, Ollama needs one of the instruction models the prompts were tuned on
+ * (Mistral or Phi-3); OpenAI-compatible servers serve whatever they loaded.
+ * @param {Object} provider - Provider the list came from
+ * @param {Array<string>} models - Model names from listModels()
+ */
+export function hasChatModel(provider, models) {
+    const configured = getLLMConfig().chatModel;
+    if (configured) {
+        return models.some(m => m === configured || m === `${configured}:latest` || m.endsWith(`/${configured}`));
+    }
+    if (provider.name === 'ollama') {
+        return models.some(m => m.includes('mistral') || m.includes('phi3'));
+    }
+    return models.length > 0;
+}
@@ -0,0 +1,410 @@
+/**
+ * Local Classifier Service
+ * Offline categorization model that needs no Ollama: a multinomial naive Bayes
+ * classifier over character n-grams and words of the merchant and description,
+ * plus an amount bucket, trained on verified transactions and Amazon items.
+ * Posteriors are temperature-scaled on a held-out slice of the training data
+ * so the confidence it reports is comparable to the other pipeline stages.
+ * Trained models are stored in SQLite (classifier_models).
+ */
+
+import * as database from '../src/database.js';
+import { normalizeMerchantName } from '../src/merchants.js';
+
+const MODEL_TYPE = 'naive_bayes';
+
+const CLASSIFIER_CONFIG = {
+    MIN_EXAMPLES: 25,               // don't train on fewer verified items than this
+    MIN_CATEGORIES: 2,
+    HOLDOUT_EVERY: 5,               // every 5th example is held out for calibration
+    SMOOTHING: 0.5,                 // additive (Lidstone) smoothing
+    NGRAM_SIZE: 3,
+    CONFIDENCE_THRESHOLD: 0.80,     // confident enough to skip the LLM
+    MAX_CONFIDENCE: 0.95,           // stays below rules and confirmed matches
+    RETRAIN_AFTER: 10               // new or removed examples before the model is stale
+};
+
+// Temperatures tried when calibrating (1 = raw naive Bayes posteriors)
+const TEMPERATURES = [1, 1.5, 2, 3, 4, 6, 8, 12, 16, 24, 32, 48, 64];
+
+class LocalClassifier {
+    constructor() {
+        this.model = undefined; // undefined = not loaded yet, null = no trained model
+        this.vocabulary = null;
+    }
+
+    get confidenceThreshold() {
+        return CLASSIFIER_CONFIG.CONFIDENCE_THRESHOLD;
+    }
+
+    /**
+     * Map an item to the fields the model looks at
+     * Amazon items use their title as description and Amazon's category as
+     * merchant, matching how getClassifierTrainingExamples returns them
+     */
+    toClassifierInput(item, itemType) {
+        if (itemType === 'amazon_item') {
+            return { description: item.title || item.description, merchant_name: item.category || item.merchant_name, amount: item.price ?? item.amount };
+        }
+        return { description: item.description, merchant_name: item.merchant_name, amount: item.amount };
+    }
+
+    /**
+     * Turn an item into feature counts
+     *   t:<type>   item type
+     *   m:<name>   normalized merchant key (see normalizeMerchantName)
+     *   w:<word>   words of the description and merchant
+     *   g:<chars>  character n-grams of those words, which survive truncation
+     *              and store numbers ("STARBUCKS STORE 0123" vs "STARBUCK")
+     *   a:<bucket> expense/income and order of magnitude of the amount
+     */
+    extractFeatures(item, itemType) {
+        const { description, merchant_name, amount } = this.toClassifierInput(item, itemType);
+        const features = {};
+        const add = (feature) => {
+            features[feature] = (features[feature] || 0) + 1;
+        };
+
+        add(`t:${itemType}`);
+
+        const merchantKey = normalizeMerchantName(merchant_name || description);
+        if (merchantKey) {
+            add(`m:${merchantKey}`);
+        }
+
+        const words = `${description || ''} ${merchant_name || ''}`
+            .toLowerCase()
+            .replace(/[^a-z0-9&' ]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length >= 2 && !/\d/.test(word));
+
+        for (const word of words) {
+            add(`w:${word}`);
+            const padded = ` ${word} `;
+            for (let i = 0; i + CLASSIFIER_CONFIG.NGRAM_SIZE <= padded.length; i++) {
+                add(`g:${padded.slice(i, i + CLASSIFIER_CONFIG.NGRAM_SIZE)}`);
+            }
+        }
+
+        const value = parseFloat(amount) || 0;
+        add(`a:${value < 0 ? 'in' : 'out'}${Math.floor(Math.log2(Math.abs(value) + 1))}`);
+
+        return features;
+    }
+
+    /**
+     * Count features per category
+     * @param {Array} examples - [{ features, categoryId }]
+     */
+    fitCounts(examples) {
+        const classes = {};
+        const vocabulary = new Set();
+
+        for (const { features, categoryId } of examples) {
+            if (!classes[categoryId]) {
+                classes[categoryId] = { docs: 0, total: 0, counts: {} };
+            }
+            const stats = classes[categoryId];
+            stats.docs++;
+            for (const [feature, count] of Object.entries(features)) {
+                stats.counts[feature] = (stats.counts[feature] || 0) + count;
+                stats.total += count;
+                vocabulary.add(feature);
+            }
+        }
+
+        return {
+            version: 1,
+            smoothing: CLASSIFIER_CONFIG.SMOOTHING,
+            totalDocs: examples.length,
+            vocabularySize: vocabulary.size,
+            classes
+        };
+    }
+
+    buildVocabulary(model) {
+        const vocabulary = new Set();
+        for (const stats of Object.values(model.classes)) {
+            for (const feature of Object.keys(stats.counts)) {
+                vocabulary.add(feature);
+            }
+        }
+        return vocabulary;
+    }
+
+    featureLogProbability(model, stats, feature) {
+        return Math.log(((stats.counts[feature] || 0) + model.smoothing) / (stats.total + model.smoothing * model.vocabularySize));
+    }
+
+    /**
+     * Log-likelihood score per category ID
+     * Features the model has never seen are skipped.
+     */
+    scoreFeatures(model, vocabulary, features) {
+        const scores = [];
+        for (const [categoryId, stats] of Object.entries(model.classes)) {
+            let score = Math.log(stats.docs / model.totalDocs);
+            for (const [feature, count] of Object.entries(features)) {
+                if (!vocabulary.has(feature)) continue;
+                score += count * this.featureLogProbability(model, stats, feature);
+            }
+            scores.push({ categoryId: parseInt(categoryId), score });
+        }
+        return scores;
+    }
+
+    /**
+     * Temperature-scaled softmax over scores, highest probability first
+     */
+    toProbabilities(scores, temperature) {
+        const max = Math.max(...scores.map(s => s.score));
+        const weighted = scores.map(s => ({ ...s, weight: Math.exp((s.score - max) / temperature) }));
+        const sum = weighted.reduce((total, s) => total + s.weight, 0);
+        return weighted
+            .map(s => ({ categoryId: s.categoryId, score: s.score, probability: s.weight / sum }))
+            .sort((a, b) => b.probability - a.probability);
+    }
+
+    /**
+     * Pick the temperature that minimizes log loss on held-out examples
+     * Naive Bayes treats every n-gram as independent evidence, so its raw
+     * posteriors are close to 0 or 1; scaling the scores down fixes that.
+     * @returns {Object} { temperature, accuracy } (accuracy is null without holdout)
+     */
+    calibrate(model, holdout) {
+        if (holdout.length === 0) {
+            return { temperature: 1, accuracy: null };
+        }
+
+        const vocabulary = this.buildVocabulary(model);
+        const scored = holdout.map(example => ({
+            categoryId: example.categoryId,
+            scores: this.scoreFeatures(model, vocabulary, example.features)
+        }));
+
+        const correct = scored.filter(({ categoryId, scores }) =>
+            scores.reduce((best, s) => (s.score > best.score ? s : best)).categoryId === categoryId
+        ).length;
+
+        let best = { temperature: 1, loss: Infinity };
+        for (const temperature of TEMPERATURES) {
+            let loss = 0;
+            for (const { categoryId, scores } of scored) {
+                const match = this.toProbabilities(scores, temperature).find(p => p.categoryId === categoryId);
+                loss -= Math.log(Math.max(match ? match.probability : 0, 1e-6));
+            }
+            if (loss < best.loss) {
+                best = { temperature, loss };
+            }
+        }
+
+        return {
+            temperature: best.temperature,
+            accuracy: Math.round((correct / holdout.length) * 1000) / 1000
+        };
+    }
+
+    /**
+     * Fit and calibrate a model on training example rows (nothing is stored)
+     * @param {Array} rows - Rows shaped like getClassifierTrainingExamples()
+     * @returns {Object} { trained, reason?, sampleCount, categoryCount, holdoutAccuracy, temperature, model }
+     */
+    fit(rows) {
+        const categoryCount = new Set(rows.map(row => row.category_id)).size;
+
+        if (rows.length < CLASSIFIER_CONFIG.MIN_EXAMPLES || categoryCount < CLASSIFIER_CONFIG.MIN_CATEGORIES) {
+            return {
+                trained: false,
+                reason: `Needs at least ${CLASSIFIER_CONFIG.MIN_EXAMPLES} verified items in ${CLASSIFIER_CONFIG.MIN_CATEGORIES}+ categories`,
+                sampleCount: rows.length,
+                categoryCount
+            };
+        }
+
+        // Stable order so the same data always gets the same holdout
+        const examples = rows
+            .map(row => ({
+                key: `${row.item_type}:${row.item_id}`,
+                categoryId: row.category_id,
+                features: this.extractFeatures(row, row.item_type)
+            }))
+            .sort((a, b) => a.key.localeCompare(b.key));
+
+        const training = examples.filter((example, index) => index % CLASSIFIER_CONFIG.HOLDOUT_EVERY !== 0);
+        const holdout = examples.filter((example, index) => index % CLASSIFIER_CONFIG.HOLDOUT_EVERY === 0);
+        const { temperature, accuracy } = this.calibrate(this.fitCounts(training), holdout);
+
+        // The final model is refit on everything, holdout included
+        return {
+            trained: true,
+            sampleCount: examples.length,
+            categoryCount,
+            holdoutAccuracy: accuracy,
+            temperature,
+            model: this.fitCounts(examples)
+        };
+    }
+
+    /**
+     * Train on all verified transactions and Amazon items and store the model
+     * @returns {Object} { trained, reason?, sampleCount, categoryCount, holdoutAccuracy, temperature, durationMs }
+     */
+    train() {
+        const startTime = Date.now();
+        const { model, ...result } = this.fit(database.getClassifierTrainingExamples());
+
+        if (result.trained) {
+            database.saveClassifierModel(MODEL_TYPE, { ...result, model });
+            this.model = undefined;
+        }
+
+        return result.trained ? { ...result, durationMs: Date.now() - startTime } : result;
+    }
+
+    /**
+     * Fit a model in memory without some items, for scoring predictions on
+     * them (see categorizationEvaluationService.js)
+     * @param {Set<string>} excludedKeys - 'item_type:item_id' keys to leave out
+     * @returns {Object|null} A model shaped like load()'s, or null if too few items remain
+     */
+    fitWithout(excludedKeys) {
+        const rows = database.getClassifierTrainingExamples()
+            .filter(row => !excludedKeys.has(`${row.item_type}:${row.item_id}`));
+        const result = this.fit(rows);
+        if (!result.trained) {
+            return null;
+        }
+
+        return {
+            model_type: MODEL_TYPE,
+            sample_count: result.sampleCount,
+            category_count: result.categoryCount,
+            holdout_accuracy: result.holdoutAccuracy,
+            temperature: result.temperature,
+            model: result.model,
+            vocabulary: this.buildVocabulary(result.model)
+        };
+    }
+
+    /**
+     * Load the newest stored model (cached until the next training run)
+     */
+    load() {
+        if (this.model === undefined) {
+            this.model = database.getLatestClassifierModel(MODEL_TYPE);
+            this.vocabulary = this.model ? this.buildVocabulary(this.model.model) : null;
+        }
+        return this.model;
+    }
+
+    /**
+     * Whether enough verified items were added or removed since the last run
+     */
+    needsRetraining() {
+        const count = database.getClassifierTrainingExampleCount();
+        if (count < CLASSIFIER_CONFIG.MIN_EXAMPLES) {
+            return false;
+        }
+
+        const stored = this.load();
+        return !stored || Math.abs(count - stored.sample_count) >= CLASSIFIER_CONFIG.RETRAIN_AFTER;
+    }
+
+    /**
+     * Describe the features that most favor the winner over the runner-up
+     */
+    explain(model, vocabulary, features, winnerId, runnerUpId) {
+        const winner = model.classes[winnerId];
+        const runnerUp = runnerUpId !== undefined ? model.classes[runnerUpId] : null;
+
+        const signals = Object.entries(features)
+            .filter(([feature]) => /^[mwa]:/.test(feature) && vocabulary.has(feature))
+            .map(([feature, count]) => ({
+                feature,
+                weight: count * (this.featureLogProbability(model, winner, feature)
+                    - (runnerUp ? this.featureLogProbability(model, runnerUp, feature) : 0))
+            }))
+            .filter(signal => signal.weight > 0)
+            .sort((a, b) => b.weight - a.weight)
+            .slice(0, 3)
+            .map(({ feature }) => {
+                const value = feature.slice(2);
+                switch (feature[0]) {
+                    case 'm': return `merchant "${value}"`;
+                    case 'w': return `"${value}"`;
+                    default: {
+                        const bucket = parseInt(value.replace(/^(in|out)/, ''));
+                        const range = `$${Math.pow(2, bucket) - 1}-$${Math.pow(2, bucket + 1) - 1}`;
+                        return value.startsWith('in') ? `income of ${range}` : `amount of ${range}`;
+                    }
+                }
+            });
+
+        return signals.length > 0 ? `strongest signals: ${signals.join(', ')}` : 'no single strong signal';
+    }
+
+    /**
+     * Predict a category for an item
+     * @param {Object} item - Transaction or Amazon item
+     * @param {string} itemType - 'transaction' or 'amazon_item'
+     * @param {Array} categories - Current categories (predictions for deleted ones are dropped)
+     * @param {Object} stored - Model to use instead of the stored one (see fitWithout)
+     * @returns {Object|null} { category, confidence, method, reasoning, alternatives } or null without a model
+     */
+    predict(item, itemType, categories = null, stored = this.load()) {
+        if (!stored) {
+            return null;
+        }
+
+        const model = stored.model;
+        const vocabulary = stored.vocabulary || this.vocabulary;
+        const namesById = new Map((categories || database.getCategories()).map(c => [c.id, c.name]));
+        const features = this.extractFeatures(item, itemType);
+
+        const probabilities = this.toProbabilities(this.scoreFeatures(model, vocabulary, features), stored.temperature)
+            .filter(p => namesById.has(p.categoryId));
+
+        if (probabilities.length === 0) {
+            return null;
+        }
+
+        const [top, runnerUp] = probabilities;
+        const accuracy = stored.holdout_accuracy !== null ? `, ${Math.round(stored.holdout_accuracy * 100)}% held-out accuracy` : '';
+
+        return {
+            category: namesById.get(top.categoryId),
+            confidence: Math.min(Math.round(top.probability * 1000) / 1000, CLASSIFIER_CONFIG.MAX_CONFIDENCE),
+            method: 'local_classifier',
+            reasoning: `Local model trained on ${stored.sample_count} verified items${accuracy}; ${this.explain(model, vocabulary, features, top.categoryId, runnerUp?.categoryId)}`,
+            alternatives: probabilities.slice(1, 4).map(p => ({
+                category: namesById.get(p.categoryId),
+                confidence: Math.round(p.probability * 1000) / 1000
+            }))
+        };
+    }
+
+    /**
+     * Get classifier status
+     */
+    getStatus() {
+        const stored = this.load();
+        const exampleCount = database.getClassifierTrainingExampleCount();
+
+        return {
+            trained: !!stored,
+            modelType: MODEL_TYPE,
+            trainedAt: stored?.trained_at || null,
+            sampleCount: stored?.sample_count || 0,
+            categoryCount: stored?.category_count || 0,
+            holdoutAccuracy: stored?.holdout_accuracy ?? null,
+            temperature: stored?.temperature ?? null,
+            availableExamples: exampleCount,
+            minExamples: CLASSIFIER_CONFIG.MIN_EXAMPLES,
+            confidenceThreshold: CLASSIFIER_CONFIG.CONFIDENCE_THRESHOLD
+        };
+    }
+}
+
+// Export singleton instance
+const localClassifier = new LocalClassifier();
+export default localClassifier;
@@ -6,6 +6,7 @@
 
 import cron from 'node-cron';
 import enhancedAI from './enhancedAICategorizationService.js';
+import localClassifier from './localClassifierService.js';
 import * as database from '../src/database.js';
 
 class ScheduledRetrainingService {
@@ -92,6 +93,9 @@ class ScheduledRetrainingService {
             if (feedbackCount >= threshold) {
                 console.log(`🔄 Threshold reached: ${feedbackCount}/${threshold} corrections`);
                 await this.performRetraining(triggerType);
+            } else if (localClassifier.needsRetraining()) {
+                console.log('🔄 Verified items changed since the local classifier was trained');
+                await this.performRetraining(triggerType);
             } else if (triggerType === 'startup' && feedbackCount > 0) {
                 console.log(`✓ No retraining needed (${feedbackCount}/${threshold} corrections pending)`);
             }
@@ -102,11 +106,12 @@ class ScheduledRetrainingService {
 
     /**
      * Perform retraining
+     * @returns {Object} { success, skipped, duration, error }
      */
     async performRetraining(triggerType = 'manual') {
         if (this.isRetraining) {
             console.log('⚠️  Retraining already in progress, skipping');
-            return;
+            return { success: false, skipped: true };
         }
 
         this.isRetraining = true;
@@ -126,8 +131,11 @@ class ScheduledRetrainingService {
             console.log(`\n${'='.repeat(60)}`);
             console.log(`✅ RETRAINING COMPLETE (${duration}ms)`);
             console.log(`${'='.repeat(60)}\n`);
+
+            return { success: true, skipped: false, duration };
         } catch (error) {
             console.error('❌ Retraining failed:', error);
+            return { success: false, skipped: false, error: error.message };
         } finally {
             this.isRetraining = false;
         }
@@ -148,6 +156,7 @@ class ScheduledRetrainingService {
             threshold,
             nextRetrainingIn: threshold - feedbackCount,
             lastTraining,
+            localClassifier: localClassifier.getStatus(),
             dailySchedule: '2:00 AM',
             periodicCheck: 'Every 5 minutes'
         };
@@ -155,9 +164,10 @@ class ScheduledRetrainingService {
 
     /**
      * Manually trigger retraining
+     * @returns {Object} Result of performRetraining
      */
     async manualRetrain() {
-        await this.performRetraining('manual');
+        return await this.performRetraining('manual');
     }
 }
 
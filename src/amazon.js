@@ -238,8 +238,12 @@ function updateTransactionCategoryFromAmazon(transactionId, amazonOrder) {
   const expenseCategory = mapAmazonCategoryToExpenseCategory(primaryCategory);
 
   if (expenseCategory) {
-    // Update transaction with higher confidence since we have Amazon data
-    database.updateTransactionCategory(transactionId, expenseCategory, 90);
+    database.updateTransactionCategory(transactionId, expenseCategory, {
+      stage: 'amazon_order',
+      trigger: 'amazon',
+      mappingKey: amazonOrder.order_id,
+      details: { amazonCategory: primaryCategory }
+    });
   }
 }
 
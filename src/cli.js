@@ -6,6 +6,8 @@ import Table from 'cli-table3';
 import * as sheets from './sheets.js';
 import * as sync from './sync.js';
 import * as plaid from './plaid.js';
+import * as database from './database.js';
+import * as migrator from './migrator.js';
 
 const program = new Command();
 
@@ -13,7 +15,12 @@ program
   .name('expense-tracker')
   .description('Expense tracker with Plaid + Google Sheets')
   .version('1.0.0')
-  .hook('preAction', async () => {
+  .hook('preAction', async (thisCommand, actionCommand) => {
+    // Schema migrations and evaluation only need the local database
+    if (['migrate', 'eval'].includes(actionCommand.name())) {
+      return;
+    }
+
     // Initialize sheets before any command
     try {
       await sheets.initializeSheets();
@@ -293,6 +300,215 @@ program
     }
   });
 
+/**
+ * Manage database schema migrations
+ */
+program
+  .command('migrate')
+  .description('Show, apply or roll back database schema migrations')
+  .argument('[action]', 'status, up or down', 'status')
+  .option('--to <version>', 'Target schema version')
+  .action(async (action, options) => {
+    try {
+      const target = options.to !== undefined ? parseInt(options.to) : undefined;
+      if (options.to !== undefined && (isNaN(target) || target < 0)) {
+        throw new Error(`Invalid target version: ${options.to}`);
+      }
+
+      database.initializeDatabase({ migrate: false });
+      const db = database.getDatabase();
+
+      if (action === 'up') {
+        const applied = migrator.migrateUp(db, target);
+        console.log(applied.length > 0
+          ? chalk.green(`\n✓ Applied ${applied.length} migration(s)`)
+          : chalk.green('\n✓ Schema is up to date'));
+      } else if (action === 'down') {
+        const reverted = migrator.migrateDown(db, target);
+        console.log(reverted.length > 0
+          ? chalk.green(`\n✓ Rolled back ${reverted.length} migration(s)`)
+          : chalk.yellow('\nNothing to roll back'));
+      } else if (action !== 'status') {
+        throw new Error(`Unknown action "${action}" (expected status, up or down)`);
+      }
+
+      const status = migrator.getMigrationStatus(db);
+
+      console.log(chalk.blue(`\n🗄️  Schema version ${status.current} of ${status.latest}\n`));
+
+      const table = new Table({
+        head: [chalk.cyan('Version'), chalk.cyan('Name'), chalk.cyan('Status'), chalk.cyan('Applied At')],
+        colWidths: [10, 30, 12, 28]
+      });
+
+      for (const migration of status.migrations) {
+        table.push([
+          migration.version,
+          migration.name,
+          migration.applied ? chalk.green('applied') : chalk.yellow('pending'),
+          migration.applied_at ? new Date(migration.applied_at).toLocaleString() : '-'
+        ]);
+      }
+
+      console.log(table.toString());
+      console.log();
+
+      database.closeDatabase();
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const percent = (value) => value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Evaluate categorization accuracy on a frozen set of verified items
+ */
+program
+  .command('eval')
+  .description('Score AI categorization against a frozen sample of verified items')
+  .option('--set <id>', 'Evaluation set to score (default: the newest)')
+  .option('--new', 'Freeze a new sample first')
+  .option('--type <type>', 'Item types for a new sample: transaction, amazon_item or all', 'all')
+  .option('--size <number>', 'Items per type in a new sample', '200')
+  .option('--skip-llm', 'Score without the LLM stage')
+  .option('--list', 'List evaluation sets instead of running')
+  .option('--json <file>', 'Also write the full report, confusion matrix and predictions as JSON')
+  .action(async (options) => {
+    try {
+      const setId = options.set !== undefined ? parseInt(options.set) : null;
+      if (options.set !== undefined && !(setId > 0)) {
+        throw new Error(`Invalid set: ${options.set}`);
+      }
+      const sizePerType = parseInt(options.size);
+      if (!(sizePerType > 0)) {
+        throw new Error(`Invalid size: ${options.size}`);
+      }
+      if (!['transaction', 'amazon_item', 'all'].includes(options.type)) {
+        throw new Error(`Unknown type "${options.type}" (expected transaction, amazon_item or all)`);
+      }
+
+      database.initializeDatabase();
+
+      if (options.list) {
+        const sets = database.getEvaluationSets();
+        const table = new Table({
+          head: [chalk.cyan('Set'), chalk.cyan('Name'), chalk.cyan('Items'), chalk.cyan('Runs'), chalk.cyan('Latest Accuracy'), chalk.cyan('Created')],
+          colWidths: [6, 36, 8, 7, 17, 22]
+        });
+        for (const set of sets) {
+          table.push([set.id, set.name, set.item_count, set.run_count, percent(set.latest_accuracy), new Date(`${set.created_at}Z`).toLocaleString()]);
+        }
+        console.log(chalk.blue(`\n🧪 Evaluation Sets (${sets.length})\n`));
+        console.log(sets.length > 0 ? table.toString() : chalk.yellow('None yet. Run "npm run cli -- eval" to freeze one.'));
+        console.log();
+        database.closeDatabase();
+        return;
+      }
+
+      const { default: categorizationEvaluation } = await import('../services/categorizationEvaluationService.js');
+
+      const result = await categorizationEvaluation.evaluate({
+        setId,
+        newSet: !!options.new,
+        itemTypes: options.type === 'all' ? ['transaction', 'amazon_item'] : [options.type],
+        sizePerType,
+        skipLLM: !!options.skipLlm,
+        onProgress: (processed, total) => {
+          if (process.stdout.isTTY) {
+            process.stdout.write(`\r  Evaluating ${processed}/${total}...`);
+          }
+        }
+      });
+
+      database.closeDatabase();
+
+      const { set, report, comparison } = result;
+      if (process.stdout.isTTY) {
+        process.stdout.write('\r\x1b[K');
+      }
+
+      console.log(chalk.blue(`\n🧪 Evaluation run ${result.runId} on set ${set.id} (${set.name})\n`));
+      if (!result.options.aiAvailable) {
+        console.log(chalk.yellow('Model server not reachable: embedding and LLM stages were skipped'));
+      } else if (result.options.skipLLM) {
+        console.log(chalk.yellow('LLM stage skipped'));
+      }
+      if (result.missing > 0) {
+        console.log(chalk.yellow(`${result.missing} item(s) in the set have been deleted and were not scored`));
+      }
+
+      const byType = Object.entries(report.byItemType)
+        .map(([itemType, stats]) => `${itemType} ${percent(stats.accuracy)} of ${stats.evaluated}`)
+        .join(', ');
+      console.log(`Accuracy: ${chalk.bold(percent(report.accuracy))} (${report.correct}/${report.evaluated}${byType ? `; ${byType}` : ''})`);
+      console.log(`Expected calibration error: ${percent(report.expectedCalibrationError)}`);
+
+      if (comparison) {
+        const change = comparison.accuracyChange;
+        const changeText = change === null ? '-' : `${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)} pts`;
+        console.log(`Since run ${comparison.previousRunId}: ${(change || 0) >= 0 ? chalk.green(changeText) : chalk.red(changeText)}, ` +
+          `${chalk.green(`${comparison.fixedCount} fixed`)}, ${chalk.red(`${comparison.brokenCount} broken`)}`);
+        const differences = ['skipEmbeddings', 'skipLLM', 'llmModel', 'embeddingModel']
+          .filter(key => comparison.previousOptions && comparison.previousOptions[key] !== result.options[key]);
+        if (differences.length > 0) {
+          console.log(chalk.yellow(`  Run ${comparison.previousRunId} used different settings (${differences.join(', ')}), so not all of the change is the pipeline's`));
+        }
+        for (const item of comparison.broken) {
+          console.log(chalk.red(`  ✗ ${item.text}: ${item.expected}, was right, now ${item.now || '-'}`));
+        }
+      }
+
+      const stageTable = new Table({
+        head: [chalk.cyan('Stage'), chalk.cyan('Reached'), chalk.cyan('Decided'), chalk.cyan('Precision'), chalk.cyan('Recall'), chalk.cyan('Avg Confidence')],
+        colWidths: [18, 10, 10, 11, 10, 16]
+      });
+      for (const stage of report.stages) {
+        stageTable.push([stage.stage, stage.reached, stage.decided, percent(stage.precision), percent(stage.recall), percent(stage.avgConfidence)]);
+      }
+      console.log(chalk.blue('\nStages\n'));
+      console.log(stageTable.toString());
+
+      const categoryTable = new Table({
+        head: [chalk.cyan('Category'), chalk.cyan('Support'), chalk.cyan('Precision'), chalk.cyan('Recall'), chalk.cyan('F1')],
+        colWidths: [28, 10, 11, 10, 8]
+      });
+      for (const category of report.categories) {
+        categoryTable.push([category.category, category.support, percent(category.precision), percent(category.recall), percent(category.f1)]);
+      }
+      console.log(chalk.blue('\nCategories\n'));
+      console.log(categoryTable.toString());
+
+      if (report.topConfusions.length > 0) {
+        console.log(chalk.blue('\nMost common confusions (use --json for the full matrix)\n'));
+        for (const confusion of report.topConfusions) {
+          console.log(`  ${confusion.count} × ${confusion.expected} → ${confusion.predicted}`);
+        }
+      }
+
+      const calibrationTable = new Table({
+        head: [chalk.cyan('Confidence'), chalk.cyan('Items'), chalk.cyan('Avg Confidence'), chalk.cyan('Accuracy')],
+        colWidths: [14, 8, 16, 10]
+      });
+      for (const bin of report.calibration.filter(b => b.count > 0)) {
+        calibrationTable.push([`${percent(bin.range[0])}-${percent(bin.range[1])}`, bin.count, percent(bin.avgConfidence), percent(bin.accuracy)]);
+      }
+      console.log(chalk.blue('\nCalibration\n'));
+      console.log(calibrationTable.toString());
+      if (options.json) {
+        const { writeFileSync } = await import('fs');
+        writeFileSync(options.json, JSON.stringify(result, null, 2));
+        console.log(chalk.gray(`\nFull report written to ${options.json}`));
+      }
+
+      console.log(chalk.gray(`\nFinished in ${(result.durationMs / 1000).toFixed(1)}s\n`));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Default action - show help
 program.action(() => {
   program.help();
@@ -54,6 +54,9 @@ export function parseCopilotCSV(csvContent) {
         const account = row['account'] || 'Unknown';
         const accountMask = row['account mask'] || '';
         const note = row['note'] || '';
+        const recurring = (row['recurring'] || '').trim();
+        // Several tags share the column, comma-separated
+        const tags = (row['tags'] || '').split(',').map(tag => tag.trim()).filter(Boolean);
 
         // Skip excluded transactions and internal transfers if requested
         if (excluded || type === 'internal transfer') {
@@ -83,6 +86,12 @@ export function parseCopilotCSV(csvContent) {
             finalCategory = parentCategory;
         }
 
+        // Copilot puts the recurring series name in this column ("true" in older exports)
+        let recurringName = null;
+        if (recurring && !['false', 'no'].includes(recurring.toLowerCase())) {
+            recurringName = ['true', 'yes'].includes(recurring.toLowerCase()) ? name : recurring;
+        }
+
         transactions.push({
             transaction_id: randomUUID(),
             date: standardizedDate,
@@ -96,6 +105,8 @@ export function parseCopilotCSV(csvContent) {
             confidence: finalCategory ? 95 : 0, // High confidence if category from Copilot
             notes: note || null,
             payment_channel: null,
+            external_recurring: recurringName,
+            tags,
             created_at: new Date().toISOString()
         });
     }
@@ -218,6 +229,7 @@ export function analyzeCopilotCSV(csvContent) {
  */
 export function importCopilotTransactionsWithMappings(csvContent, categoryMappings = {}) {
     const parsedTransactions = parseCopilotCSV(csvContent);
+    const db = database.getDatabase();
 
     let importedCount = 0;
     let skippedCount = 0;
@@ -225,7 +237,7 @@ export function importCopilotTransactionsWithMappings(csvContent, categoryMappin
     for (const transaction of parsedTransactions) {
         try {
             // Check if transaction already exists (by date, description, amount, and account)
-            const existing = database.db.prepare(`
+            const existing = db.prepare(`
                 SELECT transaction_id
                 FROM transactions
                 WHERE date = ?
@@ -269,13 +281,13 @@ export function importCopilotTransactionsWithMappings(csvContent, categoryMappin
             }
 
             // Insert transaction
-            database.db.prepare(`
+            db.prepare(`
                 INSERT INTO transactions (
                     transaction_id, date, description, merchant_name,
-                    account_name, amount, category, pending, verified,
-                    confidence, notes, payment_channel, created_at
+                    account_name, amount, category_id, pending, verified,
+                    confidence, notes, payment_channel, external_recurring, created_at
                 )
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `).run(
                 transaction.transaction_id,
                 transaction.date,
@@ -283,15 +295,18 @@ export function importCopilotTransactionsWithMappings(csvContent, categoryMappin
                 transaction.merchant_name,
                 transaction.account_name,
                 transaction.amount,
-                finalCategory,
+                database.getCategoryIdByName(finalCategory),
                 transaction.pending,
                 transaction.verified,
                 confidence,
                 transaction.notes,
                 transaction.payment_channel,
+                transaction.external_recurring,
                 transaction.created_at
             );
 
+            database.addTransactionTags([transaction.transaction_id], transaction.tags, 'copilot');
+
             importedCount++;
         } catch (error) {
             console.error(`Error importing transaction ${transaction.description}:`, error.message);
@@ -299,6 +314,11 @@ export function importCopilotTransactionsWithMappings(csvContent, categoryMappin
         }
     }
 
+    // Rows were inserted directly, so link them to the merchant directory here
+    if (importedCount > 0) {
+        database.assignMerchants();
+    }
+
     return {
         imported: importedCount,
         skipped: skippedCount,
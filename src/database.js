@@ -2,6 +2,21 @@ import Database from 'better-sqlite3';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { randomUUID } from 'crypto';
+import { migrateUp } from './migrator.js';
+import {
+  toRuleInput,
+  evaluateConditions,
+  validateConditions,
+  conditionsFromPattern,
+  patternFromConditions,
+  describeConditions,
+  validateActions,
+  describeActions,
+  splitByPercent
+} from './rules.js';
+import { normalizeMerchantName, getMerchantDisplayName } from './merchants.js';
+import { IvfIndex, toVectorBlob, fromVectorBlob } from './vectorIndex.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -10,8 +25,10 @@ let db = null;
 
 /**
  * Initialize SQLite database
+ * @param {Object} options - { migrate: false } opens the database without applying
+ *   pending migrations (used by the migrate CLI)
  */
-export function initializeDatabase() {
+export function initializeDatabase(options = {}) {
   try {
     const dbPath = join(__dirname, '../data/expense-tracker.db');
 
@@ -24,8 +41,22 @@ export function initializeDatabase() {
     db = new Database(dbPath);
     db.pragma('journal_mode = WAL'); // Better concurrency
 
-    // Create tables
-    createTables();
+    if (options.migrate !== false) {
+      // Bring the schema up to date
+      runMigrations();
+
+      // Give categories created with default styling an icon and color
+      applyDefaultCategoryStyles();
+
+      // Seed default data if tables are empty
+      seedDefaultData();
+
+      // Link transactions saved before the merchant directory existed
+      const linked = assignMerchants();
+      if (linked > 0) {
+        console.log(`✓ Linked ${linked} transaction(s) to merchants`);
+      }
+    }
 
     console.log('✓ SQLite database initialized');
     console.log(`  Database: ${dbPath}`);
@@ -39,4408 +70,7558 @@ export function initializeDatabase() {
 }
 
 /**
- * Create database tables
+ * Apply pending schema migrations (see src/migrations)
  */
-function createTables() {
-  db.exec(`
-    -- Plaid Items (linked institutions)
-    CREATE TABLE IF NOT EXISTS plaid_items (
-      item_id TEXT PRIMARY KEY,
-      access_token TEXT NOT NULL,
-      institution_id TEXT NOT NULL,
-      institution_name TEXT NOT NULL,
-      last_synced TEXT
-    );
-
-    -- Accounts
-    CREATE TABLE IF NOT EXISTS accounts (
-      account_id TEXT PRIMARY KEY,
-      item_id TEXT NOT NULL,
-      institution_name TEXT NOT NULL,
-      name TEXT NOT NULL,
-      type TEXT NOT NULL,
-      subtype TEXT,
-      mask TEXT,
-      current_balance REAL DEFAULT 0,
-      available_balance REAL DEFAULT 0,
-      updated_at TEXT NOT NULL,
-      FOREIGN KEY (item_id) REFERENCES plaid_items(item_id) ON DELETE CASCADE
-    );
+function runMigrations() {
+  const applied = migrateUp(db);
 
-    -- Transactions
-    CREATE TABLE IF NOT EXISTS transactions (
-      transaction_id TEXT PRIMARY KEY,
-      date TEXT NOT NULL,
-      description TEXT NOT NULL,
-      merchant_name TEXT,
-      account_name TEXT NOT NULL,
-      amount REAL NOT NULL,
-      category TEXT,
-      confidence INTEGER DEFAULT 0,
-      verified TEXT DEFAULT 'No',
-      pending TEXT DEFAULT 'No',
-      payment_channel TEXT,
-      notes TEXT,
-      created_at TEXT NOT NULL
-    );
+  if (applied.length > 0) {
+    console.log(`✓ Applied ${applied.length} migration(s), schema now at version ${applied[applied.length - 1].version}`);
+  }
+}
 
-    -- Categories
-    CREATE TABLE IF NOT EXISTS categories (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL UNIQUE,
-      parent_category TEXT,
-      icon TEXT DEFAULT '📁',
-      color TEXT DEFAULT '#6B7280'
-    );
+/**
+ * Update existing categories with default values to have appropriate icons and colors
+ */
+function applyDefaultCategoryStyles() {
+  const categoriesToUpdate = db.prepare(`
+    SELECT name FROM categories
+    WHERE (icon = '📁' OR icon IS NULL OR icon = '')
+    OR (color = '#6B7280' OR color IS NULL OR color = '')
+  `).all();
 
-    -- Plaid Category Mappings
-    CREATE TABLE IF NOT EXISTS plaid_category_mappings (
-      plaid_category TEXT PRIMARY KEY,
-      user_category TEXT NOT NULL,
-      auto_created TEXT DEFAULT 'No'
-    );
+  if (categoriesToUpdate.length > 0) {
+    console.log(`Applying icons and colors to ${categoriesToUpdate.length} existing categories...`);
 
-    -- Merchant Mappings
-    CREATE TABLE IF NOT EXISTS merchant_mappings (
-      merchant_name TEXT PRIMARY KEY COLLATE NOCASE,
-      category TEXT NOT NULL,
-      match_count INTEGER DEFAULT 1,
-      last_used TEXT NOT NULL
-    );
+    const palette = getCategoryColorPalette();
+    const updateStmt = db.prepare('UPDATE categories SET icon = ?, color = ? WHERE name = ?');
 
-    -- Category Rules
-    CREATE TABLE IF NOT EXISTS category_rules (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL UNIQUE,
-      pattern TEXT NOT NULL,
-      category TEXT NOT NULL,
-      enabled TEXT DEFAULT 'Yes'
-    );
+    const transaction = db.transaction(() => {
+      categoriesToUpdate.forEach((cat, index) => {
+        const icon = suggestIconForCategory(cat.name);
+        const color = palette[index % palette.length];
+        updateStmt.run(icon, color, cat.name);
+        console.log(`  ✓ ${cat.name}: ${icon} ${color}`);
+      });
+    });
 
-    -- Config (key-value store)
-    CREATE TABLE IF NOT EXISTS config (
-      key TEXT PRIMARY KEY,
-      value TEXT NOT NULL
-    );
+    transaction();
+  }
+}
 
-    -- Amazon Orders
-    CREATE TABLE IF NOT EXISTS amazon_orders (
-      order_id TEXT PRIMARY KEY,
-      order_date TEXT NOT NULL,
-      total_amount REAL NOT NULL,
-      subtotal REAL,
-      tax REAL,
-      shipping REAL,
-      payment_method TEXT,
-      shipping_address TEXT,
-      order_status TEXT,
-      matched_transaction_id TEXT,
-      match_confidence INTEGER DEFAULT 0,
-      created_at TEXT NOT NULL,
-      updated_at TEXT NOT NULL,
-      FOREIGN KEY (matched_transaction_id) REFERENCES transactions(transaction_id) ON DELETE SET NULL
-    );
+/**
+ * Get a color palette for categories (vibrant, high contrast)
+ */
+function getCategoryColorPalette() {
+  return [
+    '#10B981', // Green - Groceries
+    '#F59E0B', // Amber - Restaurants
+    '#3B82F6', // Blue - Transportation
+    '#EF4444', // Red - Gas
+    '#8B5CF6', // Purple - Shopping
+    '#EC4899', // Pink - Entertainment
+    '#6366F1', // Indigo - Bills & Utilities
+    '#14B8A6', // Teal - Healthcare
+    '#06B6D4', // Cyan - Travel
+    '#22C55E', // Lime - Income
+    '#6B7280', // Gray - Transfer
+    '#84CC16', // Green-Yellow - Other
+  ];
+}
 
-    -- Amazon Items (individual products within orders)
-    CREATE TABLE IF NOT EXISTS amazon_items (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      order_id TEXT NOT NULL,
-      asin TEXT,
-      title TEXT NOT NULL,
-      category TEXT,
-      price REAL NOT NULL,
-      quantity INTEGER DEFAULT 1,
-      seller TEXT,
-      product_url TEXT,
-      image_url TEXT,
-      return_status TEXT,
-      return_date TEXT,
-      refund_amount REAL,
-      FOREIGN KEY (order_id) REFERENCES amazon_orders(order_id) ON DELETE CASCADE
-    );
+/**
+ * Suggest an emoji icon based on category name
+ */
+function suggestIconForCategory(categoryName) {
+  const name = categoryName.toLowerCase();
 
-    -- Indexes for performance
-    CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(date);
-    CREATE INDEX IF NOT EXISTS idx_transactions_category ON transactions(category);
-    CREATE INDEX IF NOT EXISTS idx_transactions_account ON transactions(account_name);
-    CREATE INDEX IF NOT EXISTS idx_transactions_id ON transactions(transaction_id);
-    -- Composite indexes for common query patterns (date range + filters)
-    CREATE INDEX IF NOT EXISTS idx_transactions_date_category ON transactions(date, category);
-    CREATE INDEX IF NOT EXISTS idx_transactions_date_account ON transactions(date, account_name);
-    CREATE INDEX IF NOT EXISTS idx_accounts_item_id ON accounts(item_id);
-    CREATE INDEX IF NOT EXISTS idx_accounts_name ON accounts(name);
-    CREATE INDEX IF NOT EXISTS idx_amazon_orders_date ON amazon_orders(order_date);
-    CREATE INDEX IF NOT EXISTS idx_amazon_orders_matched ON amazon_orders(matched_transaction_id);
-    CREATE INDEX IF NOT EXISTS idx_amazon_items_order ON amazon_items(order_id);
-    CREATE INDEX IF NOT EXISTS idx_amazon_items_category ON amazon_items(category);
-    -- Note: idx_amazon_items_user_category is created later in migrations after column is added
-    -- Additional performance indexes
-    CREATE INDEX IF NOT EXISTS idx_transactions_merchant ON transactions(merchant_name);
-    CREATE INDEX IF NOT EXISTS idx_amazon_items_asin ON amazon_items(asin);
-    CREATE INDEX IF NOT EXISTS idx_transactions_confidence ON transactions(confidence);
-    -- Compound index for common transaction queries
-    CREATE INDEX IF NOT EXISTS idx_transactions_date_desc ON transactions(date DESC);
-    CREATE INDEX IF NOT EXISTS idx_accounts_name_lookup ON accounts(name);
-  `);
+  // Common category mappings
+  const iconMap = {
+    'groceries': '🛒',
+    'food': '🍔',
+    'restaurants': '🍽️',
+    'dining': '🍴',
+    'transportation': '🚗',
+    'gas': '⛽',
+    'fuel': '⛽',
+    'shopping': '🛍️',
+    'entertainment': '🎬',
+    'bills': '📄',
+    'utilities': '💡',
+    'healthcare': '🏥',
+    'medical': '💊',
+    'travel': '✈️',
+    'income': '💰',
+    'salary': '💵',
+    'transfer': '🔄',
+    'rent': '🏠',
+    'mortgage': '🏠',
+    'insurance': '🛡️',
+    'education': '📚',
+    'fitness': '💪',
+    'gym': '🏋️',
+    'sports': '⚽',
+    'coffee': '☕',
+    'drinks': '🥤',
+    'alcohol': '🍺',
+    'clothing': '👕',
+    'electronics': '💻',
+    'phone': '📱',
+    'internet': '🌐',
+    'streaming': '📺',
+    'music': '🎵',
+    'pets': '🐕',
+    'gifts': '🎁',
+    'charity': '❤️',
+    'personal': '👤',
+    'beauty': '💄',
+    'car': '🚙',
+    'parking': '🅿️',
+    'taxi': '🚕',
+    'uber': '🚕',
+    'subscriptions': '📱',
+    'services': '🔧',
+    'service': '🔧',
+    'pair': '👶',
+    'childcare': '👶',
+    'babysit': '👶',
+    'nanny': '👶',
+    'other': '📁'
+  };
 
-  // Run migrations to add new columns to existing tables
-  runMigrations();
+  // Check for exact matches or partial matches
+  for (const [key, icon] of Object.entries(iconMap)) {
+    if (name.includes(key)) {
+      return icon;
+    }
+  }
 
-  // Seed default data if tables are empty
-  seedDefaultData();
+  // Default icon
+  return '📁';
 }
 
 /**
- * Run database migrations
+ * Get next available color from palette (avoiding recently used colors)
  */
-function runMigrations() {
-  // Check if icon and color columns exist in categories table
-  const tableInfo = db.prepare("PRAGMA table_info(categories)").all();
-  const hasIcon = tableInfo.some(col => col.name === 'icon');
-  const hasColor = tableInfo.some(col => col.name === 'color');
-  const hasDescription = tableInfo.some(col => col.name === 'description');
-  const hasKeywords = tableInfo.some(col => col.name === 'keywords');
-  const hasExamples = tableInfo.some(col => col.name === 'examples');
-  const hasUseForAmazon = tableInfo.some(col => col.name === 'use_for_amazon');
-
-  let columnsAdded = false;
-
-  if (!hasIcon) {
-    console.log('Adding icon column to categories table...');
-    db.exec("ALTER TABLE categories ADD COLUMN icon TEXT DEFAULT '📁'");
-    columnsAdded = true;
-  }
+function getNextCategoryColor() {
+  const palette = getCategoryColorPalette();
+  const existingCategories = db.prepare('SELECT color FROM categories').all();
+  const usedColors = new Set(existingCategories.map(c => c.color));
 
-  if (!hasColor) {
-    console.log('Adding color column to categories table...');
-    db.exec("ALTER TABLE categories ADD COLUMN color TEXT DEFAULT '#6B7280'");
-    columnsAdded = true;
+  // Find first unused color
+  for (const color of palette) {
+    if (!usedColors.has(color)) {
+      return color;
+    }
   }
 
-  if (!hasDescription) {
-    console.log('Adding description column to categories table...');
-    db.exec("ALTER TABLE categories ADD COLUMN description TEXT");
-    columnsAdded = true;
-  }
+  // If all colors used, cycle back through palette
+  const colorIndex = existingCategories.length % palette.length;
+  return palette[colorIndex];
+}
 
-  if (!hasKeywords) {
-    console.log('Adding keywords column to categories table...');
-    db.exec("ALTER TABLE categories ADD COLUMN keywords TEXT");  // JSON array
-    columnsAdded = true;
-  }
+/**
+ * Seed default categories and rules
+ */
+function seedDefaultData() {
+  // Check if categories already exist
+  const categoryCount = db.prepare('SELECT COUNT(*) as count FROM categories').get();
 
-  if (!hasExamples) {
-    console.log('Adding examples column to categories table...');
-    db.exec("ALTER TABLE categories ADD COLUMN examples TEXT");
-    columnsAdded = true;
-  }
+  if (categoryCount.count === 0) {
+    console.log('Seeding default categories...');
+    const palette = getCategoryColorPalette();
+    const defaultCategories = [
+      ['Groceries', '', '🛒', palette[0]],
+      ['Restaurants', '', '🍽️', palette[1]],
+      ['Transportation', '', '🚗', palette[2]],
+      ['Gas', '', '⛽', palette[3]],
+      ['Shopping', '', '🛍️', palette[4]],
+      ['Entertainment', '', '🎬', palette[5]],
+      ['Bills & Utilities', '', '💡', palette[6]],
+      ['Healthcare', '', '🏥', palette[7]],
+      ['Travel', '', '✈️', palette[8]],
+      ['Income', '', '💰', palette[9]],
+      ['Transfer', '', '🔄', palette[10]],
+      ['Other', '', '📁', palette[11]]
+    ];
 
-  if (!hasUseForAmazon) {
-    console.log('Adding use_for_amazon column to categories table...');
-    db.exec("ALTER TABLE categories ADD COLUMN use_for_amazon INTEGER DEFAULT 1");
-    columnsAdded = true;
+    const stmt = db.prepare('INSERT INTO categories (name, parent_category_id, icon, color) VALUES (?, ?, ?, ?)');
+    const insertMany = db.transaction((categories) => {
+      for (const cat of categories) {
+        stmt.run(cat[0], getCategoryIdByName(cat[1]), cat[2], cat[3]);
+      }
+    });
+    insertMany(defaultCategories);
+    console.log(`✓ Added ${defaultCategories.length} default categories`);
   }
 
-  // Check if enhanced Plaid fields exist in transactions table
-  const transactionsInfo = db.prepare("PRAGMA table_info(transactions)").all();
-  const hasPlaidPrimaryCategory = transactionsInfo.some(col => col.name === 'plaid_primary_category');
-  const hasPlaidDetailedCategory = transactionsInfo.some(col => col.name === 'plaid_detailed_category');
-  const hasPlaidConfidence = transactionsInfo.some(col => col.name === 'plaid_confidence_level');
-  const hasLocationCity = transactionsInfo.some(col => col.name === 'location_city');
-  const hasLocationRegion = transactionsInfo.some(col => col.name === 'location_region');
-  const hasLocationAddress = transactionsInfo.some(col => col.name === 'location_address');
-  const hasTransactionType = transactionsInfo.some(col => col.name === 'transaction_type');
-  const hasAuthorizedDatetime = transactionsInfo.some(col => col.name === 'authorized_datetime');
-  const hasMerchantEntityId = transactionsInfo.some(col => col.name === 'merchant_entity_id');
-  const hasCategorizationReasoning = transactionsInfo.some(col => col.name === 'categorization_reasoning');
+  // Check if category rules already exist
+  const rulesCount = db.prepare('SELECT COUNT(*) as count FROM category_rules').get();
 
-  if (!hasPlaidPrimaryCategory) {
-    console.log('Adding Plaid enhanced category fields to transactions table...');
-    db.exec("ALTER TABLE transactions ADD COLUMN plaid_primary_category TEXT");
-    columnsAdded = true;
-  }
+  if (rulesCount.count === 0) {
+    console.log('Seeding default category rules...');
+    const defaultRules = [
+      ['Walmart Pattern', 'walmart|wal-mart', 'Groceries', 'Yes'],
+      ['Amazon Pattern', 'amazon|amzn', 'Shopping', 'Yes'],
+      ['Gas Stations', 'shell|chevron|exxon|bp|mobil', 'Gas', 'Yes'],
+      ['Utilities', 'electric|water|gas company|utility', 'Bills & Utilities', 'Yes'],
+      ['Fast Food', 'mcdonalds|burger king|taco bell|kfc|subway', 'Restaurants', 'Yes']
+    ];
 
-  if (!hasPlaidDetailedCategory) {
-    db.exec("ALTER TABLE transactions ADD COLUMN plaid_detailed_category TEXT");
-    columnsAdded = true;
+    const stmt = db.prepare(`
+      INSERT INTO category_rules (name, pattern, category_id, enabled, match_type, conditions)
+      VALUES (?, ?, ?, ?, 'regex', ?)
+    `);
+    const insertMany = db.transaction((rules) => {
+      for (const rule of rules) {
+        const conditions = JSON.stringify(conditionsFromPattern(rule[1], 'regex'));
+        stmt.run(rule[0], rule[1], getOrCreateCategoryIdByName(rule[2]), rule[3], conditions);
+      }
+    });
+    insertMany(defaultRules);
+    console.log(`✓ Added ${defaultRules.length} default category rules`);
   }
+}
 
-  if (!hasPlaidConfidence) {
-    db.exec("ALTER TABLE transactions ADD COLUMN plaid_confidence_level TEXT");
-    columnsAdded = true;
+/**
+ * Get database instance
+ */
+export function getDatabase() {
+  if (!db) {
+    throw new Error('Database not initialized. Call initializeDatabase() first.');
   }
+  return db;
+}
 
-  if (!hasLocationCity) {
-    console.log('Adding location fields to transactions table...');
-    db.exec("ALTER TABLE transactions ADD COLUMN location_city TEXT");
-    columnsAdded = true;
+/**
+ * Close database connection
+ */
+export function closeDatabase() {
+  if (db) {
+    db.close();
+    db = null;
   }
+}
 
-  if (!hasLocationRegion) {
-    db.exec("ALTER TABLE transactions ADD COLUMN location_region TEXT");
-    columnsAdded = true;
-  }
+// ============================================================================
+// CATEGORY HELPERS
+// ============================================================================
 
-  if (!hasLocationAddress) {
-    db.exec("ALTER TABLE transactions ADD COLUMN location_address TEXT");
-    columnsAdded = true;
+/**
+ * Get category ID from category name
+ * Returns null if category doesn't exist
+ */
+export function getCategoryIdByName(categoryName) {
+  if (!categoryName || categoryName.trim() === '') {
+    return null;
   }
 
-  if (!hasTransactionType) {
-    console.log('Adding transaction metadata fields...');
-    db.exec("ALTER TABLE transactions ADD COLUMN transaction_type TEXT");
-    columnsAdded = true;
-  }
+  const category = db.prepare('SELECT id FROM categories WHERE name = ?').get(categoryName.trim());
+  return category ? category.id : null;
+}
 
-  if (!hasAuthorizedDatetime) {
-    db.exec("ALTER TABLE transactions ADD COLUMN authorized_datetime TEXT");
-    columnsAdded = true;
+/**
+ * Get category name from category ID
+ * Returns null if category doesn't exist
+ */
+export function getCategoryNameById(categoryId) {
+  if (!categoryId) {
+    return null;
   }
 
-  if (!hasMerchantEntityId) {
-    db.exec("ALTER TABLE transactions ADD COLUMN merchant_entity_id TEXT");
-    columnsAdded = true;
-  }
+  const category = db.prepare('SELECT name FROM categories WHERE id = ?').get(categoryId);
+  return category ? category.name : null;
+}
 
-  if (!hasCategorizationReasoning) {
-    console.log('Adding AI categorization reasoning field...');
-    db.exec("ALTER TABLE transactions ADD COLUMN categorization_reasoning TEXT");
-    columnsAdded = true;
+/**
+ * Get or create category by name, returning the category ID
+ * This is useful during data imports/migrations
+ */
+function getOrCreateCategoryIdByName(categoryName) {
+  if (!categoryName || categoryName.trim() === '') {
+    return null;
   }
 
-  // Create transaction_splits table if it doesn't exist
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS transaction_splits (
-      id TEXT PRIMARY KEY,
-      parent_transaction_id TEXT NOT NULL,
-      split_index INTEGER NOT NULL,
-      amount REAL NOT NULL,
-      category TEXT,
-      description TEXT,
-      reasoning TEXT,
-      source TEXT DEFAULT 'manual',
-      created_at TEXT NOT NULL,
-      FOREIGN KEY (parent_transaction_id) REFERENCES transactions(transaction_id) ON DELETE CASCADE
-    );
+  const trimmedName = categoryName.trim();
 
-    CREATE INDEX IF NOT EXISTS idx_transaction_splits_parent ON transaction_splits(parent_transaction_id);
-  `);
+  // Try to find existing category
+  let categoryId = getCategoryIdByName(trimmedName);
 
-  // Add external category tracking fields to transactions table
-  const hasExternalCategory = transactionsInfo.some(col => col.name === 'external_category');
-  const hasCategorySource = transactionsInfo.some(col => col.name === 'category_source');
-
-  if (!hasExternalCategory) {
-    console.log('Adding external category tracking fields to transactions table...');
-    db.exec("ALTER TABLE transactions ADD COLUMN external_category TEXT");
-    columnsAdded = true;
-  }
-
-  if (!hasCategorySource) {
-    db.exec("ALTER TABLE transactions ADD COLUMN category_source TEXT");
-    columnsAdded = true;
-  }
-
-  // Create external_category_mappings table for all external category sources
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS external_category_mappings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      external_category TEXT NOT NULL,
-      source TEXT NOT NULL,
-      user_category TEXT,
-      confidence INTEGER DEFAULT 0,
-      status TEXT DEFAULT 'pending',
-      reviewed_at TEXT,
-      created_at TEXT NOT NULL,
-      updated_at TEXT NOT NULL,
-      UNIQUE(external_category, source)
-    );
+  if (!categoryId) {
+    // Create missing category with default icon/color
+    const icon = suggestIconForCategory(trimmedName);
+    const color = getNextCategoryColor();
 
-    CREATE INDEX IF NOT EXISTS idx_external_mappings_source ON external_category_mappings(source);
-    CREATE INDEX IF NOT EXISTS idx_external_mappings_status ON external_category_mappings(status);
-  `);
-
-  // Check if account_name column exists in amazon_orders table
-  const amazonOrdersInfo = db.prepare("PRAGMA table_info(amazon_orders)").all();
-  const hasAccountName = amazonOrdersInfo.some(col => col.name === 'account_name');
-  const hasMatchVerified = amazonOrdersInfo.some(col => col.name === 'match_verified');
-
-  if (!hasAccountName) {
-    console.log('Adding account_name column to amazon_orders table...');
-    db.exec("ALTER TABLE amazon_orders ADD COLUMN account_name TEXT DEFAULT 'Primary'");
-    columnsAdded = true;
-  }
-
-  if (!hasMatchVerified) {
-    console.log('Adding match_verified column to amazon_orders table...');
-    db.exec("ALTER TABLE amazon_orders ADD COLUMN match_verified TEXT DEFAULT 'No'");
-    columnsAdded = true;
-  }
-
-  // Update merchant_mappings table to track accuracy
-  const merchantMappingsInfo = db.prepare("PRAGMA table_info(merchant_mappings)").all();
-  const hasUsageCount = merchantMappingsInfo.some(col => col.name === 'usage_count');
-  const hasAccuracyRate = merchantMappingsInfo.some(col => col.name === 'accuracy_rate');
-
-  // Rename match_count to usage_count if needed
-  if (!hasUsageCount) {
-    const hasMatchCount = merchantMappingsInfo.some(col => col.name === 'match_count');
-    if (hasMatchCount) {
-      console.log('Renaming match_count to usage_count in merchant_mappings...');
-      // SQLite doesn't support renaming columns easily, so we'll just add the new one
-      db.exec("ALTER TABLE merchant_mappings ADD COLUMN usage_count INTEGER DEFAULT 1");
-      // Copy data if both exist
-      try {
-        db.exec("UPDATE merchant_mappings SET usage_count = match_count WHERE usage_count IS NULL");
-      } catch (e) {
-        // Ignore if match_count doesn't exist
-      }
-      columnsAdded = true;
-    } else {
-      db.exec("ALTER TABLE merchant_mappings ADD COLUMN usage_count INTEGER DEFAULT 1");
-      columnsAdded = true;
-    }
-  }
-
-  if (!hasAccuracyRate) {
-    console.log('Adding accuracy tracking to merchant_mappings...');
-    db.exec("ALTER TABLE merchant_mappings ADD COLUMN accuracy_rate REAL DEFAULT 1.0");
-    db.exec("ALTER TABLE merchant_mappings ADD COLUMN correct_count INTEGER DEFAULT 0");
-    db.exec("ALTER TABLE merchant_mappings ADD COLUMN incorrect_count INTEGER DEFAULT 0");
-    db.exec("ALTER TABLE merchant_mappings ADD COLUMN updated_at TEXT");
-    // Update existing rows to set current timestamp
-    db.exec("UPDATE merchant_mappings SET updated_at = datetime('now') WHERE updated_at IS NULL");
-    columnsAdded = true;
-  }
-
-  // Add comprehensive Amazon CSV fields to amazon_orders table
-  const hasWebsite = amazonOrdersInfo.some(col => col.name === 'website');
-  const hasPurchaseOrderNumber = amazonOrdersInfo.some(col => col.name === 'purchase_order_number');
-  const hasCurrency = amazonOrdersInfo.some(col => col.name === 'currency');
-  const hasTotalDiscounts = amazonOrdersInfo.some(col => col.name === 'total_discounts');
-  const hasBillingAddress = amazonOrdersInfo.some(col => col.name === 'billing_address');
-  const hasShipDate = amazonOrdersInfo.some(col => col.name === 'ship_date');
-  const hasShippingOption = amazonOrdersInfo.some(col => col.name === 'shipping_option');
-
-  if (!hasWebsite || !hasPurchaseOrderNumber || !hasCurrency || !hasTotalDiscounts ||
-      !hasBillingAddress || !hasShipDate || !hasShippingOption) {
-    console.log('Adding comprehensive CSV fields to amazon_orders table...');
-
-    if (!hasWebsite) {
-      db.exec("ALTER TABLE amazon_orders ADD COLUMN website TEXT");
-    }
-    if (!hasPurchaseOrderNumber) {
-      db.exec("ALTER TABLE amazon_orders ADD COLUMN purchase_order_number TEXT");
-    }
-    if (!hasCurrency) {
-      db.exec("ALTER TABLE amazon_orders ADD COLUMN currency TEXT");
-    }
-    if (!hasTotalDiscounts) {
-      db.exec("ALTER TABLE amazon_orders ADD COLUMN total_discounts REAL");
-    }
-    if (!hasBillingAddress) {
-      db.exec("ALTER TABLE amazon_orders ADD COLUMN billing_address TEXT");
-    }
-    if (!hasShipDate) {
-      db.exec("ALTER TABLE amazon_orders ADD COLUMN ship_date TEXT");
-    }
-    if (!hasShippingOption) {
-      db.exec("ALTER TABLE amazon_orders ADD COLUMN shipping_option TEXT");
-    }
-
-    columnsAdded = true;
-  }
-
-  // Add comprehensive Amazon CSV fields to amazon_items table
-  const amazonItemsInfo = db.prepare("PRAGMA table_info(amazon_items)").all();
-  const hasProductCondition = amazonItemsInfo.some(col => col.name === 'product_condition');
-  const hasUnitPriceTax = amazonItemsInfo.some(col => col.name === 'unit_price_tax');
-  const hasShipmentSubtotal = amazonItemsInfo.some(col => col.name === 'shipment_item_subtotal');
-  const hasShipmentSubtotalTax = amazonItemsInfo.some(col => col.name === 'shipment_item_subtotal_tax');
-  const hasShipmentStatus = amazonItemsInfo.some(col => col.name === 'shipment_status');
-  const hasItemShipDate = amazonItemsInfo.some(col => col.name === 'ship_date');
-  const hasCarrierTracking = amazonItemsInfo.some(col => col.name === 'carrier_tracking');
-  const hasGiftMessage = amazonItemsInfo.some(col => col.name === 'gift_message');
-  const hasGiftSenderName = amazonItemsInfo.some(col => col.name === 'gift_sender_name');
-  const hasGiftRecipientContact = amazonItemsInfo.some(col => col.name === 'gift_recipient_contact');
-  const hasItemSerialNumber = amazonItemsInfo.some(col => col.name === 'item_serial_number');
-
-  if (!hasProductCondition || !hasUnitPriceTax || !hasShipmentSubtotal || !hasShipmentSubtotalTax ||
-      !hasShipmentStatus || !hasItemShipDate || !hasCarrierTracking || !hasGiftMessage ||
-      !hasGiftSenderName || !hasGiftRecipientContact || !hasItemSerialNumber) {
-    console.log('Adding comprehensive CSV fields to amazon_items table...');
-
-    if (!hasProductCondition) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN product_condition TEXT");
-    }
-    if (!hasUnitPriceTax) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN unit_price_tax REAL");
-    }
-    if (!hasShipmentSubtotal) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN shipment_item_subtotal REAL");
-    }
-    if (!hasShipmentSubtotalTax) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN shipment_item_subtotal_tax REAL");
-    }
-    if (!hasShipmentStatus) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN shipment_status TEXT");
-    }
-    if (!hasItemShipDate) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN ship_date TEXT");
-    }
-    if (!hasCarrierTracking) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN carrier_tracking TEXT");
-    }
-    if (!hasGiftMessage) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN gift_message TEXT");
-    }
-    if (!hasGiftSenderName) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN gift_sender_name TEXT");
-    }
-    if (!hasGiftRecipientContact) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN gift_recipient_contact TEXT");
-    }
-    if (!hasItemSerialNumber) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN item_serial_number TEXT");
-    }
+    const result = db.prepare(
+      'INSERT INTO categories (name, icon, color) VALUES (?, ?, ?)'
+    ).run(trimmedName, icon, color);
 
-    columnsAdded = true;
+    categoryId = result.lastInsertRowid;
   }
 
-  // Add user categorization fields to amazon_items table
-  const hasUserCategory = amazonItemsInfo.some(col => col.name === 'user_category');
-  const hasItemConfidence = amazonItemsInfo.some(col => col.name === 'confidence');
-  const hasItemVerified = amazonItemsInfo.some(col => col.name === 'verified');
-  const hasItemReasoning = amazonItemsInfo.some(col => col.name === 'categorization_reasoning');
-
-  if (!hasUserCategory || !hasItemConfidence || !hasItemVerified || !hasItemReasoning) {
-    console.log('Adding user categorization fields to amazon_items table...');
+  return categoryId;
+}
 
-    if (!hasUserCategory) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN user_category TEXT");
-      // Create index for user_category now that column exists
-      db.exec("CREATE INDEX IF NOT EXISTS idx_amazon_items_user_category ON amazon_items(user_category)");
-    }
-    if (!hasItemConfidence) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN confidence INTEGER DEFAULT 0");
-    }
-    if (!hasItemVerified) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN verified TEXT DEFAULT 'No'");
-    }
-    if (!hasItemReasoning) {
-      db.exec("ALTER TABLE amazon_items ADD COLUMN categorization_reasoning TEXT");
-    }
+// ============================================================================
+// PLAID ITEMS
+// ============================================================================
 
-    columnsAdded = true;
-  }
-
-  // Create amazon_item_rules table for learned categorization patterns
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS amazon_item_rules (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL UNIQUE,
-      pattern TEXT NOT NULL,
-      category TEXT NOT NULL,
-      enabled TEXT DEFAULT 'Yes',
-      match_type TEXT DEFAULT 'partial',
-      rule_source TEXT DEFAULT 'user',
-      asin TEXT,
-      amazon_category TEXT,
-      usage_count INTEGER DEFAULT 0,
-      correct_count INTEGER DEFAULT 0,
-      incorrect_count INTEGER DEFAULT 0,
-      accuracy_rate REAL DEFAULT 1.0,
-      last_used TEXT,
-      created_at TEXT NOT NULL,
-      updated_at TEXT NOT NULL
-    );
+export function getPlaidItems() {
+  const items = db.prepare('SELECT * FROM plaid_items').all();
+  return items;
+}
 
-    CREATE INDEX IF NOT EXISTS idx_amazon_item_rules_category ON amazon_item_rules(category);
-    CREATE INDEX IF NOT EXISTS idx_amazon_item_rules_enabled ON amazon_item_rules(enabled);
-    CREATE INDEX IF NOT EXISTS idx_amazon_item_rules_asin ON amazon_item_rules(asin);
+export function savePlaidItem(itemId, accessToken, institutionId, institutionName) {
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO plaid_items (item_id, access_token, institution_id, institution_name, last_synced)
+    VALUES (?, ?, ?, ?, datetime('now'))
   `);
+  stmt.run(itemId, accessToken, institutionId, institutionName);
+}
 
-  // Check if match_type and user_created columns exist in category_rules table
-  const categoryRulesInfo = db.prepare("PRAGMA table_info(category_rules)").all();
-  const hasMatchType = categoryRulesInfo.some(col => col.name === 'match_type');
-  const hasUserCreated = categoryRulesInfo.some(col => col.name === 'user_created');
+export function removePlaidItem(itemId) {
+  // Delete plaid item (cascades to accounts)
+  const stmt = db.prepare('DELETE FROM plaid_items WHERE item_id = ?');
+  stmt.run(itemId);
 
-  if (!hasMatchType) {
-    console.log('Adding match_type column to category_rules table...');
-    db.exec("ALTER TABLE category_rules ADD COLUMN match_type TEXT DEFAULT 'regex'");
-    columnsAdded = true;
-  }
+  // Delete related transactions
+  const deleteTransactions = db.prepare(`
+    DELETE FROM transactions WHERE account_name IN (
+      SELECT name FROM accounts WHERE item_id = ?
+    )
+  `);
+  deleteTransactions.run(itemId);
+}
 
-  if (!hasUserCreated) {
-    console.log('Adding user_created column to category_rules table...');
-    db.exec("ALTER TABLE category_rules ADD COLUMN user_created TEXT DEFAULT 'No'");
-    columnsAdded = true;
-  }
+export function updatePlaidItemLastSynced(itemId) {
+  const stmt = db.prepare(`
+    UPDATE plaid_items SET last_synced = datetime('now') WHERE item_id = ?
+  `);
+  stmt.run(itemId);
+}
 
-  // Update existing categories with default values to have appropriate icons and colors
-  const categoriesToUpdate = db.prepare(`
-    SELECT name FROM categories
-    WHERE (icon = '📁' OR icon IS NULL OR icon = '')
-    OR (color = '#6B7280' OR color IS NULL OR color = '')
-  `).all();
+/**
+ * Reset the /transactions/sync cursor so the next sync re-reads full history
+ */
+export function resetPlaidItemCursor(itemId) {
+  db.prepare('UPDATE plaid_items SET transactions_cursor = NULL WHERE item_id = ?').run(itemId);
+}
 
-  if (categoriesToUpdate.length > 0) {
-    console.log(`Applying icons and colors to ${categoriesToUpdate.length} existing categories...`);
+// ============================================================================
+// ACCOUNTS
+// ============================================================================
 
-    const palette = getCategoryColorPalette();
-    const updateStmt = db.prepare('UPDATE categories SET icon = ?, color = ? WHERE name = ?');
+export function getAccounts() {
+  const accounts = db.prepare('SELECT * FROM accounts ORDER BY institution_name, name').all();
+  return accounts;
+}
 
-    const transaction = db.transaction(() => {
-      categoriesToUpdate.forEach((cat, index) => {
-        const icon = suggestIconForCategory(cat.name);
-        const color = palette[index % palette.length];
-        updateStmt.run(icon, color, cat.name);
-        console.log(`  ✓ ${cat.name}: ${icon} ${color}`);
-      });
-    });
+/**
+ * Plaid account types whose balance is money owed rather than money held
+ */
+const LIABILITY_ACCOUNT_TYPES = ['credit', 'loan'];
 
-    transaction();
-  }
+/**
+ * Classify an account as an asset or a liability from its Plaid type
+ */
+export function getAccountClassification(type) {
+  return LIABILITY_ACCOUNT_TYPES.includes(type) ? 'liability' : 'asset';
+}
 
-  // Create AI categorization tracking tables
-  db.exec(`
-    -- AI Categorizations (track all categorization attempts with detailed metadata)
-    CREATE TABLE IF NOT EXISTS ai_categorizations (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      item_id TEXT NOT NULL,
-      item_type TEXT NOT NULL,
-      category TEXT NOT NULL,
-      confidence REAL NOT NULL,
-      method TEXT NOT NULL,
-      alternatives TEXT,
-      reasoning TEXT,
-      user_confirmed TEXT DEFAULT 'No',
-      created_at TEXT NOT NULL,
-      UNIQUE(item_id, item_type, created_at)
-    );
+/**
+ * Save an account and record today's balance snapshot
+ * (upsert rather than REPLACE so the snapshot history isn't cascade-deleted)
+ */
+export function saveAccount(account, institutionName) {
+  const accountStmt = db.prepare(`
+    INSERT INTO accounts (
+      account_id, item_id, institution_name, name, type, subtype, mask,
+      current_balance, available_balance, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(account_id) DO UPDATE SET
+      item_id = excluded.item_id,
+      institution_name = excluded.institution_name,
+      name = excluded.name,
+      type = excluded.type,
+      subtype = excluded.subtype,
+      mask = excluded.mask,
+      current_balance = excluded.current_balance,
+      available_balance = excluded.available_balance,
+      updated_at = excluded.updated_at
+  `);
 
-    CREATE INDEX IF NOT EXISTS idx_ai_categorizations_item ON ai_categorizations(item_id, item_type);
-    CREATE INDEX IF NOT EXISTS idx_ai_categorizations_method ON ai_categorizations(method);
-    CREATE INDEX IF NOT EXISTS idx_ai_categorizations_confidence ON ai_categorizations(confidence);
-
-    -- AI Feedback (track user corrections for learning)
-    CREATE TABLE IF NOT EXISTS ai_feedback (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      item_id TEXT NOT NULL,
-      item_type TEXT NOT NULL,
-      suggested_category TEXT NOT NULL,
-      actual_category TEXT NOT NULL,
-      suggestion_method TEXT,
-      suggestion_confidence REAL,
-      processed TEXT DEFAULT 'No',
-      created_at TEXT NOT NULL
-    );
+  const snapshotStmt = db.prepare(`
+    INSERT INTO balance_snapshots (
+      account_id, date, balance, available_balance, classification, created_at, updated_at
+    ) VALUES (?, date('now'), ?, ?, ?, datetime('now'), datetime('now'))
+    ON CONFLICT(account_id, date) DO UPDATE SET
+      balance = excluded.balance,
+      available_balance = excluded.available_balance,
+      classification = excluded.classification,
+      updated_at = excluded.updated_at
+  `);
 
-    CREATE INDEX IF NOT EXISTS idx_ai_feedback_item ON ai_feedback(item_id, item_type);
-    CREATE INDEX IF NOT EXISTS idx_ai_feedback_processed ON ai_feedback(processed);
-    CREATE INDEX IF NOT EXISTS idx_ai_feedback_created ON ai_feedback(created_at);
-
-    -- AI Training History (track retraining runs)
-    CREATE TABLE IF NOT EXISTS ai_training_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      timestamp TEXT NOT NULL,
-      feedback_count INTEGER NOT NULL,
-      rules_generated INTEGER DEFAULT 0,
-      embeddings_updated INTEGER DEFAULT 0,
-      duration_ms INTEGER,
-      trigger_type TEXT,
-      notes TEXT
-    );
+  const currentBalance = account.balances.current || 0;
+  const availableBalance = account.balances.available || 0;
 
-    CREATE INDEX IF NOT EXISTS idx_ai_training_timestamp ON ai_training_history(timestamp);
-
-    -- AI Embeddings (store embeddings for semantic similarity search)
-    CREATE TABLE IF NOT EXISTS ai_embeddings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      item_id TEXT NOT NULL,
-      item_type TEXT NOT NULL,
-      embedding_text TEXT NOT NULL,
-      embedding_vector TEXT NOT NULL,
-      category TEXT NOT NULL,
-      user_confirmed TEXT DEFAULT 'No',
-      created_at TEXT NOT NULL,
-      updated_at TEXT NOT NULL,
-      UNIQUE(item_id, item_type)
+  const transaction = db.transaction(() => {
+    accountStmt.run(
+      account.account_id,
+      account.item_id,
+      institutionName,
+      account.name,
+      account.type,
+      account.subtype || '',
+      account.mask || '',
+      currentBalance,
+      availableBalance
     );
 
-    CREATE INDEX IF NOT EXISTS idx_ai_embeddings_item ON ai_embeddings(item_id, item_type);
-    CREATE INDEX IF NOT EXISTS idx_ai_embeddings_category ON ai_embeddings(category);
-    CREATE INDEX IF NOT EXISTS idx_ai_embeddings_confirmed ON ai_embeddings(user_confirmed);
-
-    -- AI Metrics (track categorization performance over time)
-    CREATE TABLE IF NOT EXISTS ai_metrics (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      date TEXT NOT NULL,
-      item_type TEXT NOT NULL,
-      total_categorizations INTEGER DEFAULT 0,
-      correct_categorizations INTEGER DEFAULT 0,
-      accuracy_rate REAL DEFAULT 0.0,
-      avg_confidence REAL DEFAULT 0.0,
-      method_breakdown TEXT,
-      confidence_breakdown TEXT,
-      UNIQUE(date, item_type)
-    );
+    snapshotStmt.run(account.account_id, currentBalance, availableBalance, getAccountClassification(account.type));
+  });
 
-    CREATE INDEX IF NOT EXISTS idx_ai_metrics_date ON ai_metrics(date);
-  `);
+  transaction();
+}
 
-  // Enhance category_rules table with additional AI learning fields
-  const aiCategoryRulesInfo = db.prepare("PRAGMA table_info(category_rules)").all();
-  const hasConfidenceOverride = aiCategoryRulesInfo.some(col => col.name === 'confidence_override');
-  const hasAutoGenerated = aiCategoryRulesInfo.some(col => col.name === 'auto_generated');
-  const hasRuleSource = aiCategoryRulesInfo.some(col => col.name === 'rule_source');
-  const hasCreatedAt = aiCategoryRulesInfo.some(col => col.name === 'created_at');
-  const hasUpdatedAt = aiCategoryRulesInfo.some(col => col.name === 'updated_at');
+/**
+ * Rename an account and update all related transactions
+ */
+export function renameAccount(accountId, newName) {
+  // Get the old name first
+  const account = db.prepare('SELECT name FROM accounts WHERE account_id = ?').get(accountId);
 
-  if (!hasConfidenceOverride) {
-    console.log('Adding AI learning fields to category_rules table...');
-    db.exec("ALTER TABLE category_rules ADD COLUMN confidence_override REAL");
-  }
-  if (!hasAutoGenerated) {
-    db.exec("ALTER TABLE category_rules ADD COLUMN auto_generated TEXT DEFAULT 'No'");
-  }
-  if (!hasRuleSource) {
-    db.exec("ALTER TABLE category_rules ADD COLUMN rule_source TEXT DEFAULT 'user'");
-  }
-  if (!hasCreatedAt) {
-    db.exec("ALTER TABLE category_rules ADD COLUMN created_at TEXT");
-    db.exec("UPDATE category_rules SET created_at = datetime('now') WHERE created_at IS NULL");
-  }
-  if (!hasUpdatedAt) {
-    db.exec("ALTER TABLE category_rules ADD COLUMN updated_at TEXT");
-    db.exec("UPDATE category_rules SET updated_at = datetime('now') WHERE updated_at IS NULL");
+  if (!account) {
+    throw new Error('Account not found');
   }
 
-  // ====================================================================
-  // CATEGORY NORMALIZATION MIGRATION
-  // Migrate from storing category names (TEXT) to category IDs (INTEGER FK)
-  // This ensures category renames propagate to all items
-  // ====================================================================
-
-  console.log('Checking category normalization migration...');
-
-  // Helper function to get or create category by name
-  const getOrCreateCategoryId = (categoryName) => {
-    if (!categoryName || categoryName.trim() === '') {
-      return null;
-    }
+  const oldName = account.name;
 
-    const trimmedName = categoryName.trim();
+  // Use transaction to update both accounts and transactions atomically
+  const updateAll = db.transaction(() => {
+    // Update the account name
+    db.prepare('UPDATE accounts SET name = ?, updated_at = datetime(\'now\') WHERE account_id = ?')
+      .run(newName, accountId);
 
-    // Try to find existing category
-    let category = db.prepare('SELECT id FROM categories WHERE name = ?').get(trimmedName);
+    // Update all transactions with this account name
+    const result = db.prepare('UPDATE transactions SET account_name = ? WHERE account_name = ?')
+      .run(newName, oldName);
 
-    if (!category) {
-      // Create missing category with default icon/color
-      console.log(`  Creating missing category: "${trimmedName}"`);
-      const icon = suggestIconForCategory(trimmedName);
-      const color = getNextCategoryColor();
+    return {
+      success: true,
+      oldName,
+      newName,
+      transactionsUpdated: result.changes
+    };
+  });
 
-      const result = db.prepare(
-        'INSERT INTO categories (name, icon, color) VALUES (?, ?, ?)'
-      ).run(trimmedName, icon, color);
+  return updateAll();
+}
 
-      return result.lastInsertRowid;
-    }
+/**
+ * Account types a manual account can have. Balances of credit and loan accounts
+ * are amounts owed, like their Plaid counterparts.
+ */
+export const MANUAL_ACCOUNT_TYPES = ['depository', 'credit', 'loan', 'investment', 'property', 'other'];
 
-    return category.id;
-  };
+export function getAccountById(accountId) {
+  return db.prepare('SELECT * FROM accounts WHERE account_id = ?').get(accountId);
+}
 
-  // 1. TRANSACTIONS TABLE
-  const transactionsHasCategoryId = transactionsInfo.some(col => col.name === 'category_id');
-  if (!transactionsHasCategoryId) {
-    console.log('Migrating transactions.category to category_id...');
-    db.exec("ALTER TABLE transactions ADD COLUMN category_id INTEGER REFERENCES categories(id)");
-
-    // Migrate existing data
-    const transactionsToMigrate = db.prepare(
-      'SELECT transaction_id, category FROM transactions WHERE category IS NOT NULL'
-    ).all();
-
-    const updateStmt = db.prepare('UPDATE transactions SET category_id = ? WHERE transaction_id = ?');
-    const migrateTransaction = db.transaction(() => {
-      for (const row of transactionsToMigrate) {
-        const categoryId = getOrCreateCategoryId(row.category);
-        if (categoryId) {
-          updateStmt.run(categoryId, row.transaction_id);
-        }
-      }
-    });
-    migrateTransaction();
+/**
+ * Get an account that the user maintains, or throw
+ */
+function getManualAccount(accountId) {
+  const account = getAccountById(accountId);
 
-    console.log(`  ✓ Migrated ${transactionsToMigrate.length} transactions`);
+  if (!account) {
+    throw new Error('Account not found');
+  }
+  if (account.is_manual !== 'Yes') {
+    throw new Error('Only manual accounts can be changed by hand');
   }
 
-  // 2. AMAZON_ITEMS TABLE
-  const amazonItemsHasCategoryId = amazonItemsInfo.some(col => col.name === 'category_id');
-  const amazonItemsHasUserCategory = amazonItemsInfo.some(col => col.name === 'user_category');
-
-  if (!amazonItemsHasCategoryId) {
-    console.log('Migrating amazon_items.user_category to category_id...');
-    db.exec("ALTER TABLE amazon_items ADD COLUMN category_id INTEGER REFERENCES categories(id)");
-
-    // Only migrate existing data if user_category column exists
-    if (amazonItemsHasUserCategory) {
-      const itemsToMigrate = db.prepare(
-        'SELECT id, user_category FROM amazon_items WHERE user_category IS NOT NULL'
-      ).all();
+  return account;
+}
 
-      const updateStmt = db.prepare('UPDATE amazon_items SET category_id = ? WHERE id = ?');
-      const migrateItems = db.transaction(() => {
-        for (const row of itemsToMigrate) {
-          const categoryId = getOrCreateCategoryId(row.user_category);
-          if (categoryId) {
-            updateStmt.run(categoryId, row.id);
-          }
-        }
-      });
-      migrateItems();
+function assertAccountNameAvailable(name, exceptAccountId = null) {
+  const existing = db.prepare('SELECT account_id FROM accounts WHERE name = ? AND account_id != ?')
+    .get(name, exceptAccountId || '');
 
-      console.log(`  ✓ Migrated ${itemsToMigrate.length} Amazon items`);
-    } else {
-      console.log(`  ✓ No Amazon items to migrate (user_category column doesn't exist yet)`);
-    }
+  if (existing) {
+    throw new Error('An account with this name already exists');
   }
+}
 
-  // 3. TRANSACTION_SPLITS TABLE
-  const splitsInfo = db.prepare("PRAGMA table_info(transaction_splits)").all();
-  const splitsHasCategoryId = splitsInfo.some(col => col.name === 'category_id');
-  const splitsHasCategory = splitsInfo.some(col => col.name === 'category');
+/**
+ * Point current_balance at the latest snapshot (0 when the history is empty)
+ */
+function refreshManualAccountBalance(accountId) {
+  const latest = db.prepare(`
+    SELECT balance FROM balance_snapshots WHERE account_id = ? ORDER BY date DESC LIMIT 1
+  `).get(accountId);
+
+  const balance = latest ? latest.balance : 0;
+  db.prepare("UPDATE accounts SET current_balance = ?, available_balance = ?, updated_at = datetime('now') WHERE account_id = ?")
+    .run(balance, balance, accountId);
+}
 
-  if (!splitsHasCategoryId) {
-    console.log('Migrating transaction_splits.category to category_id...');
-    db.exec("ALTER TABLE transaction_splits ADD COLUMN category_id INTEGER REFERENCES categories(id)");
+/**
+ * Create an account the user maintains by hand (cash, a 401k, a house, a loan)
+ * @param {Object} data - { name, type, subtype, institutionName, balance, date }
+ * @returns {Object} Created account
+ */
+export function createManualAccount(data) {
+  const accountId = `manual_${randomUUID()}`;
 
-    // Only migrate if category column exists (table might not even exist yet)
-    if (splitsHasCategory && splitsInfo.length > 0) {
-      const splitsToMigrate = db.prepare(
-        'SELECT id, category FROM transaction_splits WHERE category IS NOT NULL'
-      ).all();
+  const create = db.transaction(() => {
+    assertAccountNameAvailable(data.name);
 
-      const updateStmt = db.prepare('UPDATE transaction_splits SET category_id = ? WHERE id = ?');
-      const migrateSplits = db.transaction(() => {
-        for (const row of splitsToMigrate) {
-          const categoryId = getOrCreateCategoryId(row.category);
-          if (categoryId) {
-            updateStmt.run(categoryId, row.id);
-          }
-        }
-      });
-      migrateSplits();
+    db.prepare(`
+      INSERT INTO accounts (
+        account_id, item_id, institution_name, name, type, subtype, mask,
+        current_balance, available_balance, updated_at, is_manual
+      ) VALUES (?, NULL, ?, ?, ?, ?, '', 0, 0, datetime('now'), 'Yes')
+    `).run(accountId, data.institutionName || 'Manual', data.name, data.type, data.subtype || '');
 
-      console.log(`  ✓ Migrated ${splitsToMigrate.length} transaction splits`);
-    } else {
-      console.log(`  ✓ No transaction splits to migrate`);
-    }
-  }
+    setManualAccountBalance(accountId, data.balance || 0, data.date);
+  });
 
-  // 4. MERCHANT_MAPPINGS TABLE
-  const merchantMappingsHasCategoryId = merchantMappingsInfo.some(col => col.name === 'category_id');
-  if (!merchantMappingsHasCategoryId) {
-    console.log('Migrating merchant_mappings.category to category_id...');
-    db.exec("ALTER TABLE merchant_mappings ADD COLUMN category_id INTEGER REFERENCES categories(id)");
+  create();
 
-    const mappingsToMigrate = db.prepare(
-      'SELECT merchant_name, category FROM merchant_mappings WHERE category IS NOT NULL'
-    ).all();
+  return getAccountById(accountId);
+}
 
-    const updateStmt = db.prepare('UPDATE merchant_mappings SET category_id = ? WHERE merchant_name = ?');
-    const migrateMappings = db.transaction(() => {
-      for (const row of mappingsToMigrate) {
-        const categoryId = getOrCreateCategoryId(row.category);
-        if (categoryId) {
-          updateStmt.run(categoryId, row.merchant_name);
-        }
-      }
-    });
-    migrateMappings();
+/**
+ * Update a manual account's name, type or institution
+ * A rename carries over to its transactions; a type change reclassifies the
+ * balance history (asset or liability).
+ * @param {string} accountId - Account ID
+ * @param {Object} data - { name, type, subtype, institutionName } (omitted fields are kept)
+ * @returns {Object} Updated account
+ */
+export function updateManualAccount(accountId, data) {
+  const update = db.transaction(() => {
+    const account = getManualAccount(accountId);
 
-    console.log(`  ✓ Migrated ${mappingsToMigrate.length} merchant mappings`);
-  }
+    if (data.name !== undefined && data.name !== account.name) {
+      assertAccountNameAvailable(data.name, accountId);
+      renameAccount(accountId, data.name);
+    }
+
+    const type = data.type ?? account.type;
+    db.prepare(`
+      UPDATE accounts SET type = ?, subtype = ?, institution_name = ?, updated_at = datetime('now')
+      WHERE account_id = ?
+    `).run(type, data.subtype ?? account.subtype, data.institutionName ?? account.institution_name, accountId);
 
-  // 5. CATEGORY_RULES TABLE
-  const categoryRulesHasCategoryId = categoryRulesInfo.some(col => col.name === 'category_id');
-  if (!categoryRulesHasCategoryId) {
-    console.log('Migrating category_rules.category to category_id...');
-    db.exec("ALTER TABLE category_rules ADD COLUMN category_id INTEGER REFERENCES categories(id)");
+    if (type !== account.type) {
+      db.prepare("UPDATE balance_snapshots SET classification = ?, updated_at = datetime('now') WHERE account_id = ?")
+        .run(getAccountClassification(type), accountId);
+    }
+  });
 
-    const rulesToMigrate = db.prepare(
-      'SELECT id, category FROM category_rules WHERE category IS NOT NULL'
-    ).all();
+  update();
 
-    const updateStmt = db.prepare('UPDATE category_rules SET category_id = ? WHERE id = ?');
-    const migrateRules = db.transaction(() => {
-      for (const row of rulesToMigrate) {
-        const categoryId = getOrCreateCategoryId(row.category);
-        if (categoryId) {
-          updateStmt.run(categoryId, row.id);
-        }
-      }
-    });
-    migrateRules();
+  return getAccountById(accountId);
+}
 
-    console.log(`  ✓ Migrated ${rulesToMigrate.length} category rules`);
-  }
+/**
+ * Record a manual account's balance on a date (today by default)
+ * Replaces any balance already recorded for that date. The account's current
+ * balance follows the most recent entry.
+ * @param {string} accountId - Account ID
+ * @param {number} balance - Balance (the amount owed for credit and loan accounts)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object} Updated account
+ */
+export function setManualAccountBalance(accountId, balance, date = null) {
+  const update = db.transaction(() => {
+    const account = getManualAccount(accountId);
 
-  // 6. PLAID_CATEGORY_MAPPINGS TABLE
-  const plaidMappingsInfo = db.prepare("PRAGMA table_info(plaid_category_mappings)").all();
-  const plaidMappingsHasCategoryId = plaidMappingsInfo.some(col => col.name === 'category_id');
-  if (!plaidMappingsHasCategoryId) {
-    console.log('Migrating plaid_category_mappings.user_category to category_id...');
-    db.exec("ALTER TABLE plaid_category_mappings ADD COLUMN category_id INTEGER REFERENCES categories(id)");
+    db.prepare(`
+      INSERT INTO balance_snapshots (
+        account_id, date, balance, available_balance, classification, created_at, updated_at
+      ) VALUES (?, COALESCE(?, date('now')), ?, ?, ?, datetime('now'), datetime('now'))
+      ON CONFLICT(account_id, date) DO UPDATE SET
+        balance = excluded.balance,
+        available_balance = excluded.available_balance,
+        classification = excluded.classification,
+        updated_at = excluded.updated_at
+    `).run(accountId, date, balance, balance, getAccountClassification(account.type));
+
+    refreshManualAccountBalance(accountId);
+  });
 
-    const mappingsToMigrate = db.prepare(
-      'SELECT plaid_category, user_category FROM plaid_category_mappings WHERE user_category IS NOT NULL'
-    ).all();
+  update();
 
-    const updateStmt = db.prepare('UPDATE plaid_category_mappings SET category_id = ? WHERE plaid_category = ?');
-    const migrateMappings = db.transaction(() => {
-      for (const row of mappingsToMigrate) {
-        const categoryId = getOrCreateCategoryId(row.user_category);
-        if (categoryId) {
-          updateStmt.run(categoryId, row.plaid_category);
-        }
-      }
-    });
-    migrateMappings();
+  return getAccountById(accountId);
+}
 
-    console.log(`  ✓ Migrated ${mappingsToMigrate.length} Plaid category mappings`);
+/**
+ * Get an account's balance history, newest first
+ */
+export function getBalanceHistory(accountId) {
+  if (!getAccountById(accountId)) {
+    throw new Error('Account not found');
   }
 
-  // 7. EXTERNAL_CATEGORY_MAPPINGS TABLE
-  const externalMappingsInfo = db.prepare("PRAGMA table_info(external_category_mappings)").all();
-  const externalMappingsHasCategoryId = externalMappingsInfo.some(col => col.name === 'category_id');
-  if (!externalMappingsHasCategoryId) {
-    console.log('Migrating external_category_mappings.user_category to category_id...');
-    db.exec("ALTER TABLE external_category_mappings ADD COLUMN category_id INTEGER REFERENCES categories(id)");
+  return db.prepare(`
+    SELECT date, balance, available_balance, classification, updated_at
+    FROM balance_snapshots
+    WHERE account_id = ?
+    ORDER BY date DESC
+  `).all(accountId);
+}
 
-    const mappingsToMigrate = db.prepare(
-      'SELECT id, user_category FROM external_category_mappings WHERE user_category IS NOT NULL'
-    ).all();
+/**
+ * Remove one entry from a manual account's balance history
+ * @returns {Object} Updated account
+ */
+export function deleteBalanceSnapshot(accountId, date) {
+  const remove = db.transaction(() => {
+    getManualAccount(accountId);
 
-    const updateStmt = db.prepare('UPDATE external_category_mappings SET category_id = ? WHERE id = ?');
-    const migrateMappings = db.transaction(() => {
-      for (const row of mappingsToMigrate) {
-        const categoryId = getOrCreateCategoryId(row.user_category);
-        if (categoryId) {
-          updateStmt.run(categoryId, row.id);
-        }
-      }
-    });
-    migrateMappings();
+    const result = db.prepare('DELETE FROM balance_snapshots WHERE account_id = ? AND date = ?').run(accountId, date);
+    if (result.changes === 0) {
+      throw new Error('Balance entry not found');
+    }
 
-    console.log(`  ✓ Migrated ${mappingsToMigrate.length} external category mappings`);
-  }
+    refreshManualAccountBalance(accountId);
+  });
 
-  // 8. AMAZON_ITEM_RULES TABLE
-  const amazonRulesInfo = db.prepare("PRAGMA table_info(amazon_item_rules)").all();
-  const amazonRulesHasCategoryId = amazonRulesInfo.some(col => col.name === 'category_id');
-  if (!amazonRulesHasCategoryId) {
-    console.log('Migrating amazon_item_rules.category to category_id...');
-    db.exec("ALTER TABLE amazon_item_rules ADD COLUMN category_id INTEGER REFERENCES categories(id)");
+  remove();
 
-    const rulesToMigrate = db.prepare(
-      'SELECT id, category FROM amazon_item_rules WHERE category IS NOT NULL'
-    ).all();
+  return getAccountById(accountId);
+}
 
-    const updateStmt = db.prepare('UPDATE amazon_item_rules SET category_id = ? WHERE id = ?');
-    const migrateRules = db.transaction(() => {
-      for (const row of rulesToMigrate) {
-        const categoryId = getOrCreateCategoryId(row.category);
-        if (categoryId) {
-          updateStmt.run(categoryId, row.id);
-        }
-      }
-    });
-    migrateRules();
+/**
+ * Delete a manual account with its balance history and transactions
+ * @returns {Object} { success, transactionsDeleted }
+ */
+export function deleteManualAccount(accountId) {
+  const remove = db.transaction(() => {
+    const account = getManualAccount(accountId);
 
-    console.log(`  ✓ Migrated ${rulesToMigrate.length} Amazon item rules`);
-  }
+    const transactionIds = db.prepare('SELECT transaction_id FROM transactions WHERE account_name = ?')
+      .all(account.name)
+      .map(row => row.transaction_id);
 
-  // 9. CATEGORIES.PARENT_CATEGORY
-  const categoriesInfo = db.prepare("PRAGMA table_info(categories)").all();
-  const categoriesHasParentCategoryId = categoriesInfo.some(col => col.name === 'parent_category_id');
-  if (!categoriesHasParentCategoryId) {
-    console.log('Migrating categories.parent_category to parent_category_id...');
-    db.exec("ALTER TABLE categories ADD COLUMN parent_category_id INTEGER REFERENCES categories(id)");
+    for (const transactionId of transactionIds) {
+      deleteTransactionWithLinks(transactionId);
+    }
 
-    const categoriesToMigrate = db.prepare(
-      "SELECT id, parent_category FROM categories WHERE parent_category IS NOT NULL AND parent_category != ''"
-    ).all();
+    db.prepare('DELETE FROM balance_snapshots WHERE account_id = ?').run(accountId);
+    db.prepare('DELETE FROM accounts WHERE account_id = ?').run(accountId);
 
-    const updateStmt = db.prepare('UPDATE categories SET parent_category_id = ? WHERE id = ?');
-    const migrateCategories = db.transaction(() => {
-      for (const row of categoriesToMigrate) {
-        const parentId = getOrCreateCategoryId(row.parent_category);
-        if (parentId) {
-          updateStmt.run(parentId, row.id);
-        }
-      }
-    });
-    migrateCategories();
+    return { success: true, transactionsDeleted: transactionIds.length };
+  });
 
-    console.log(`  ✓ Migrated ${categoriesToMigrate.length} parent categories`);
-  }
+  return remove();
+}
 
-  // 10. AI_CATEGORIZATIONS TABLE
-  const aiCategorizationsInfo = db.prepare("PRAGMA table_info(ai_categorizations)").all();
-  const aiCategorizationsHasCategoryId = aiCategorizationsInfo.some(col => col.name === 'category_id');
-  if (!aiCategorizationsHasCategoryId) {
-    console.log('Migrating ai_categorizations.category to category_id...');
-    db.exec("ALTER TABLE ai_categorizations ADD COLUMN category_id INTEGER REFERENCES categories(id)");
+// ============================================================================
+// TRANSACTIONS
+// ============================================================================
 
-    const categorizationsToMigrate = db.prepare(
-      'SELECT id, category FROM ai_categorizations WHERE category IS NOT NULL'
-    ).all();
+/**
+ * Transactions with the category name resolved from category_id
+ * (alias t; qualify columns in WHERE clauses since categories has a description too)
+ */
+const TRANSACTION_SELECT_SQL = `
+  SELECT t.*, c.name as category
+  FROM transactions t
+  LEFT JOIN categories c ON c.id = t.category_id
+`;
 
-    const updateStmt = db.prepare('UPDATE ai_categorizations SET category_id = ? WHERE id = ?');
-    const migrateCategorizations = db.transaction(() => {
-      for (const row of categorizationsToMigrate) {
-        const categoryId = getOrCreateCategoryId(row.category);
-        if (categoryId) {
-          updateStmt.run(categoryId, row.id);
-        }
-      }
-    });
-    migrateCategorizations();
+export function getTransactions(limit = 50, filters = {}) {
+  const startTime = Date.now();
+
+  // Join with amazon_orders to include matching information
+  // Join with categories to get current category name (handles renames automatically)
+  let sql = `
+    SELECT
+      t.*,
+      c.name as category,
+      c.icon as category_icon,
+      c.color as category_color,
+      ao.order_id as amazon_order_id,
+      ao.total_amount as amazon_total,
+      ao.order_date as amazon_order_date,
+      ao.match_confidence as amazon_match_confidence,
+      ao.order_status as amazon_order_status
+    FROM transactions t
+    LEFT JOIN categories c ON t.category_id = c.id
+    LEFT JOIN amazon_orders ao ON t.transaction_id = ao.matched_transaction_id
+    WHERE 1=1
+  `;
+  const params = [];
 
-    console.log(`  ✓ Migrated ${categorizationsToMigrate.length} AI categorizations`);
+  if (filters.transactionIds) {
+    sql += ` AND t.transaction_id IN (${filters.transactionIds.map(() => '?').join(',') || 'NULL'})`;
+    params.push(...filters.transactionIds);
   }
 
-  // 11. AI_EMBEDDINGS TABLE
-  const aiEmbeddingsInfo = db.prepare("PRAGMA table_info(ai_embeddings)").all();
-  const aiEmbeddingsHasCategoryId = aiEmbeddingsInfo.some(col => col.name === 'category_id');
-  if (!aiEmbeddingsHasCategoryId) {
-    console.log('Migrating ai_embeddings.category to category_id...');
-    db.exec("ALTER TABLE ai_embeddings ADD COLUMN category_id INTEGER REFERENCES categories(id)");
+  if (filters.category) {
+    sql += ' AND c.name = ?';
+    params.push(filters.category);
+  }
 
-    const embeddingsToMigrate = db.prepare(
-      'SELECT id, category FROM ai_embeddings WHERE category IS NOT NULL'
-    ).all();
+  if (filters.account) {
+    sql += ' AND t.account_name = ?';
+    params.push(filters.account);
+  }
 
-    const updateStmt = db.prepare('UPDATE ai_embeddings SET category_id = ? WHERE id = ?');
-    const migrateEmbeddings = db.transaction(() => {
-      for (const row of embeddingsToMigrate) {
-        const categoryId = getOrCreateCategoryId(row.category);
-        if (categoryId) {
-          updateStmt.run(categoryId, row.id);
-        }
-      }
-    });
-    migrateEmbeddings();
+  // Every listed tag must be on the transaction
+  for (const tag of normalizeTagNames(filters.tags)) {
+    sql += `
+      AND EXISTS (
+        SELECT 1 FROM transaction_tags tt JOIN tags tg ON tg.id = tt.tag_id
+        WHERE tt.transaction_id = t.transaction_id AND tg.name = ?
+      )`;
+    params.push(tag);
+  }
+
+  if (filters.startDate) {
+    sql += ' AND t.date >= ?';
+    params.push(filters.startDate);
+  }
+
+  if (filters.endDate) {
+    sql += ' AND t.date <= ?';
+    params.push(filters.endDate);
+  }
 
-    console.log(`  ✓ Migrated ${embeddingsToMigrate.length} AI embeddings`);
+  if (filters.amazonMatch === 'matched') {
+    sql += ' AND ao.order_id IS NOT NULL';
+  } else if (filters.amazonMatch === 'unmatched') {
+    sql += ' AND ao.order_id IS NULL';
   }
 
-  // 12. AI_FEEDBACK TABLE
-  const aiFeedbackInfo = db.prepare("PRAGMA table_info(ai_feedback)").all();
-  const aiFeedbackHasSuggestedCategoryId = aiFeedbackInfo.some(col => col.name === 'suggested_category_id');
-  const aiFeedbackHasActualCategoryId = aiFeedbackInfo.some(col => col.name === 'actual_category_id');
+  sql += ' ORDER BY t.date DESC LIMIT ? OFFSET ?';
+  params.push(limit);
+  params.push(filters.offset || 0);
 
-  if (!aiFeedbackHasSuggestedCategoryId) {
-    console.log('Migrating ai_feedback.suggested_category to suggested_category_id...');
-    db.exec("ALTER TABLE ai_feedback ADD COLUMN suggested_category_id INTEGER REFERENCES categories(id)");
+  const transactions = db.prepare(sql).all(...params);
 
-    const feedbackToMigrate = db.prepare(
-      'SELECT id, suggested_category FROM ai_feedback WHERE suggested_category IS NOT NULL'
-    ).all();
+  // Optimization: Fetch all splits for this batch of transactions in ONE query (avoids N+1 problem)
+  // Build a map of transaction_id -> splits for fast lookup
+  const splitsMap = new Map();
+  const tagsMap = getTransactionTags(transactions.map(tx => tx.transaction_id));
+  const reimbursementMaps = getTransactionReimbursements(transactions.map(tx => tx.transaction_id));
 
-    const updateStmt = db.prepare('UPDATE ai_feedback SET suggested_category_id = ? WHERE id = ?');
-    const migrateFeedback = db.transaction(() => {
-      for (const row of feedbackToMigrate) {
-        const categoryId = getOrCreateCategoryId(row.suggested_category);
-        if (categoryId) {
-          updateStmt.run(categoryId, row.id);
-        }
-      }
-    });
-    migrateFeedback();
+  if (transactions.length > 0) {
+    const transactionIds = transactions.map(tx => tx.transaction_id);
+    const placeholders = transactionIds.map(() => '?').join(',');
+    const allSplits = db.prepare(`
+      SELECT s.*, c.name as category, c.icon as category_icon, c.color as category_color
+      FROM transaction_splits s
+      LEFT JOIN categories c ON c.id = s.category_id
+      WHERE s.parent_transaction_id IN (${placeholders})
+      ORDER BY s.parent_transaction_id, s.split_index
+    `).all(...transactionIds);
 
-    console.log(`  ✓ Migrated ${feedbackToMigrate.length} suggested categories in AI feedback`);
+    // Group splits by parent transaction ID
+    for (const split of allSplits) {
+      if (!splitsMap.has(split.parent_transaction_id)) {
+        splitsMap.set(split.parent_transaction_id, []);
+      }
+      splitsMap.get(split.parent_transaction_id).push(split);
+    }
   }
 
-  if (!aiFeedbackHasActualCategoryId) {
-    console.log('Migrating ai_feedback.actual_category to actual_category_id...');
-    db.exec("ALTER TABLE ai_feedback ADD COLUMN actual_category_id INTEGER REFERENCES categories(id)");
+  // Process transactions: replace split parents with their children
+  const processedTransactions = [];
 
-    const feedbackToMigrate = db.prepare(
-      'SELECT id, actual_category FROM ai_feedback WHERE actual_category IS NOT NULL'
-    ).all();
+  for (const tx of transactions) {
+    // Check if this transaction has splits (using pre-fetched map)
+    const splits = splitsMap.get(tx.transaction_id) || [];
 
-    const updateStmt = db.prepare('UPDATE ai_feedback SET actual_category_id = ? WHERE id = ?');
-    const migrateFeedback = db.transaction(() => {
-      for (const row of feedbackToMigrate) {
-        const categoryId = getOrCreateCategoryId(row.actual_category);
-        if (categoryId) {
-          updateStmt.run(categoryId, row.id);
-        }
+    if (splits.length > 0) {
+      // Add split children as "virtual transactions"
+      for (const split of splits) {
+        processedTransactions.push({
+          ...tx,
+          transaction_id: split.id, // Use split ID
+          amount: parseFloat(split.amount),
+          category: split.category,
+          category_id: split.category_id,
+          category_icon: split.category_icon,
+          category_color: split.category_color,
+          confidence: 95, // High confidence for manual splits
+          verified: 'Yes', // Manual splits are verified
+          is_transfer: tx.is_transfer === 'Yes',
+          excluded_from_reports: tx.excluded_from_reports === 'Yes',
+          tags: tagsMap.get(tx.transaction_id) || [],
+          reimbursements: reimbursementMaps.claims.get(split.id) || [],
+          repayments: reimbursementMaps.repayments.get(tx.transaction_id) || [],
+          description: split.description || tx.description,
+          is_split: true,
+          split_parent_id: tx.transaction_id,
+          // Amazon order information (if matched)
+          amazon_order: tx.amazon_order_id ? {
+            order_id: tx.amazon_order_id,
+            total_amount: parseFloat(tx.amazon_total),
+            order_date: tx.amazon_order_date,
+            match_confidence: parseInt(tx.amazon_match_confidence) || 0,
+            order_status: tx.amazon_order_status
+          } : null
+        });
       }
-    });
-    migrateFeedback();
-
-    console.log(`  ✓ Migrated ${feedbackToMigrate.length} actual categories in AI feedback`);
+    } else {
+      // Regular transaction (no splits)
+      processedTransactions.push({
+        ...tx,
+        amount: parseFloat(tx.amount),
+        confidence: parseInt(tx.confidence) || 0,
+        verified: tx.verified === 'Yes',
+        is_transfer: tx.is_transfer === 'Yes',
+        excluded_from_reports: tx.excluded_from_reports === 'Yes',
+        tags: tagsMap.get(tx.transaction_id) || [],
+        reimbursements: reimbursementMaps.claims.get(tx.transaction_id) || [],
+        repayments: reimbursementMaps.repayments.get(tx.transaction_id) || [],
+        is_split: false,
+        // Amazon order information (if matched)
+        amazon_order: tx.amazon_order_id ? {
+          order_id: tx.amazon_order_id,
+          total_amount: parseFloat(tx.amazon_total),
+          order_date: tx.amazon_order_date,
+          match_confidence: parseInt(tx.amazon_match_confidence) || 0,
+          order_status: tx.amazon_order_status
+        } : null
+      });
+    }
   }
 
-  console.log('✓ Category normalization migration complete');
-}
+  const elapsed = Date.now() - startTime;
+  if (elapsed > 100) {
+    console.log(`⚠️  getTransactions took ${elapsed}ms (limit: ${limit}, filters: ${JSON.stringify(filters)})`);
+  }
 
-/**
- * Get a color palette for categories (vibrant, high contrast)
- */
-function getCategoryColorPalette() {
-  return [
-    '#10B981', // Green - Groceries
-    '#F59E0B', // Amber - Restaurants
-    '#3B82F6', // Blue - Transportation
-    '#EF4444', // Red - Gas
-    '#8B5CF6', // Purple - Shopping
-    '#EC4899', // Pink - Entertainment
-    '#6366F1', // Indigo - Bills & Utilities
-    '#14B8A6', // Teal - Healthcare
-    '#06B6D4', // Cyan - Travel
-    '#22C55E', // Lime - Income
-    '#6B7280', // Gray - Transfer
-    '#84CC16', // Green-Yellow - Other
-  ];
+  return processedTransactions;
 }
 
-/**
- * Suggest an emoji icon based on category name
- */
-function suggestIconForCategory(categoryName) {
-  const name = categoryName.toLowerCase();
+export function saveTransactions(transactions, categorizationData) {
+  if (transactions.length === 0) return 0;
 
-  // Common category mappings
-  const iconMap = {
-    'groceries': '🛒',
-    'food': '🍔',
-    'restaurants': '🍽️',
-    'dining': '🍴',
-    'transportation': '🚗',
-    'gas': '⛽',
-    'fuel': '⛽',
-    'shopping': '🛍️',
-    'entertainment': '🎬',
-    'bills': '📄',
-    'utilities': '💡',
-    'healthcare': '🏥',
-    'medical': '💊',
-    'travel': '✈️',
-    'income': '💰',
-    'salary': '💵',
-    'transfer': '🔄',
-    'rent': '🏠',
-    'mortgage': '🏠',
-    'insurance': '🛡️',
-    'education': '📚',
-    'fitness': '💪',
-    'gym': '🏋️',
-    'sports': '⚽',
-    'coffee': '☕',
-    'drinks': '🥤',
-    'alcohol': '🍺',
-    'clothing': '👕',
-    'electronics': '💻',
-    'phone': '📱',
-    'internet': '🌐',
-    'streaming': '📺',
-    'music': '🎵',
-    'pets': '🐕',
-    'gifts': '🎁',
-    'charity': '❤️',
-    'personal': '👤',
-    'beauty': '💄',
-    'car': '🚙',
-    'parking': '🅿️',
-    'taxi': '🚕',
-    'uber': '🚕',
-    'subscriptions': '📱',
-    'services': '🔧',
-    'service': '🔧',
-    'pair': '👶',
-    'childcare': '👶',
-    'babysit': '👶',
-    'nanny': '👶',
-    'other': '📁'
-  };
+  console.log(`  📝 Processing ${transactions.length} transaction(s) from Plaid...`);
 
-  // Check for exact matches or partial matches
-  for (const [key, icon] of Object.entries(iconMap)) {
-    if (name.includes(key)) {
-      return icon;
-    }
+  // Debug: Log first transaction to see Plaid data structure
+  if (transactions.length > 0 && process.env.DEBUG_CATEGORIZATION) {
+    console.log('  🔍 Debug - Sample Plaid transaction:');
+    console.log('     merchant_name:', transactions[0].merchant_name);
+    console.log('     name:', transactions[0].name);
+    console.log('     category:', transactions[0].category);
+    console.log('     personal_finance_category:', transactions[0].personal_finance_category);
   }
 
-  // Default icon
-  return '📁';
-}
-
-/**
- * Get next available color from palette (avoiding recently used colors)
- */
-function getNextCategoryColor() {
-  const palette = getCategoryColorPalette();
-  const existingCategories = db.prepare('SELECT color FROM categories').all();
-  const usedColors = new Set(existingCategories.map(c => c.color));
+  // Get categorization data if not provided
+  if (!categorizationData) {
+    categorizationData = {
+      merchantMappings: getMerchantMappings(),
+      categoryRules: getEnabledCategoryRules(),
+      plaidMappings: getPlaidCategoryMappings(),
+      merchantDefaults: getMerchantDefaultCategories()
+    };
+  }
 
-  // Find first unused color
-  for (const color of palette) {
-    if (!usedColors.has(color)) {
-      return color;
-    }
+  // Debug: Log categorization data availability
+  if (process.env.DEBUG_CATEGORIZATION) {
+    console.log(`  📊 Categorization data:`);
+    console.log(`     Merchant mappings: ${categorizationData.merchantMappings.length}`);
+    console.log(`     Category rules: ${categorizationData.categoryRules.length}`);
+    console.log(`     Plaid mappings: ${categorizationData.plaidMappings.length}`);
   }
 
-  // If all colors used, cycle back through palette
-  const colorIndex = existingCategories.length % palette.length;
-  return palette[colorIndex];
-}
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO transactions (
+      transaction_id, date, description, merchant_name, account_name,
+      amount, category_id, confidence, verified, pending, payment_channel, notes, created_at,
+      plaid_primary_category, plaid_detailed_category, plaid_confidence_level,
+      location_city, location_region, location_address,
+      transaction_type, authorized_datetime, merchant_entity_id,
+      external_category, category_source, pending_transaction_id, import_ref, merchant_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
 
-/**
- * Seed default categories and rules
- */
-function seedDefaultData() {
-  // Check if categories already exist
-  const categoryCount = db.prepare('SELECT COUNT(*) as count FROM categories').get();
+  let inserted = 0;
+  let duplicates = 0;
+  const insertMany = db.transaction((txns) => {
+    for (const tx of txns) {
+      // Extract Plaid personal_finance_category
+      const pfc = tx.personal_finance_category || {};
+      const plaidPrimary = pfc.primary || null;
+      const plaidDetailed = pfc.detailed || null;
+      const plaidConfidence = pfc.confidence_level || null;
 
-  if (categoryCount.count === 0) {
-    console.log('Seeding default categories...');
-    const palette = getCategoryColorPalette();
-    const defaultCategories = [
-      ['Groceries', '', '🛒', palette[0]],
-      ['Restaurants', '', '🍽️', palette[1]],
-      ['Transportation', '', '🚗', palette[2]],
-      ['Gas', '', '⛽', palette[3]],
-      ['Shopping', '', '🛍️', palette[4]],
-      ['Entertainment', '', '🎬', palette[5]],
-      ['Bills & Utilities', '', '💡', palette[6]],
-      ['Healthcare', '', '🏥', palette[7]],
-      ['Travel', '', '✈️', palette[8]],
-      ['Income', '', '💰', palette[9]],
-      ['Transfer', '', '🔄', palette[10]],
-      ['Other', '', '📁', palette[11]]
-    ];
+      // Track external category source
+      let externalCategory = null;
+      let categorySource = null;
+      let decision = null;
 
-    const stmt = db.prepare('INSERT INTO categories (name, parent_category, icon, color) VALUES (?, ?, ?, ?)');
-    const insertMany = db.transaction((categories) => {
-      for (const cat of categories) {
-        stmt.run(cat[0], cat[1], cat[2], cat[3]);
+      // If transaction has a Plaid category, track it as external
+      if (plaidDetailed || plaidPrimary) {
+        externalCategory = plaidDetailed || plaidPrimary;
+        categorySource = 'plaid';
+
+        // Check if there's an approved mapping for this external category
+        const mappedCategory = getExternalCategoryMapping(externalCategory, categorySource);
+        if (mappedCategory) {
+          // Use the mapped category (will be null if user chose "unmapped")
+          tx.category = mappedCategory;
+          tx.confidence = 90; // High confidence for approved mappings
+          decision = { stage: 'external_mapping', mappingKey: externalCategory, details: { source: categorySource } };
+        }
       }
-    });
-    insertMany(defaultCategories);
-    console.log(`✓ Added ${defaultCategories.length} default categories`);
-  }
 
-  // Check if category rules already exist
-  const rulesCount = db.prepare('SELECT COUNT(*) as count FROM category_rules').get();
+      // Link to the merchant directory first so its default category can apply
+      tx.merchant_id = resolveMerchantId(tx);
 
-  if (rulesCount.count === 0) {
-    console.log('Seeding default category rules...');
-    const defaultRules = [
-      ['Walmart Pattern', 'walmart|wal-mart', 'Groceries', 'Yes'],
-      ['Amazon Pattern', 'amazon|amzn', 'Shopping', 'Yes'],
-      ['Gas Stations', 'shell|chevron|exxon|bp|mobil', 'Gas', 'Yes'],
-      ['Utilities', 'electric|water|gas company|utility', 'Bills & Utilities', 'Yes'],
-      ['Fast Food', 'mcdonalds|burger king|taco bell|kfc|subway', 'Restaurants', 'Yes']
-    ];
+      // Auto-categorize if not already categorized
+      let category = tx.category || '';
+      let categoryId = null;
+      let confidence = tx.confidence || 0;
+      let matchedRule = null;
 
-    const stmt = db.prepare('INSERT INTO category_rules (name, pattern, category, enabled) VALUES (?, ?, ?, ?)');
-    const insertMany = db.transaction((rules) => {
-      for (const rule of rules) {
-        stmt.run(rule[0], rule[1], rule[2], rule[3]);
+      if (!category) {
+        const result = autoCategorizeTransaction(tx, categorizationData, true);
+        category = result.category;
+        categoryId = result.categoryId || null;
+        confidence = result.confidence;
+        matchedRule = result.rule || null;
+        decision = result.stage ? result : null;
+      } else if (!decision && tx.import_ref) {
+        decision = { stage: 'import' };
       }
-    });
-    insertMany(defaultRules);
-    console.log(`✓ Added ${defaultRules.length} default category rules`);
-  }
+
+      // Rules and mappings already know the category ID; other sources give a name
+      if (!categoryId && category) {
+        categoryId = getOrCreateCategoryIdByName(category);
+      }
+
+      // Extract location data
+      const location = tx.location || {};
+      const locationCity = location.city || null;
+      const locationRegion = location.region || null;
+      const locationAddress = location.address || null;
+
+      // Extract transaction metadata
+      const transactionType = tx.transaction_type || null;
+      const authorizedDatetime = tx.authorized_datetime || tx.authorized_date || null;
+      const merchantEntityId = tx.merchant_entity_id || null;
+
+      const info = stmt.run(
+        tx.transaction_id,
+        tx.date,
+        tx.name,
+        tx.merchant_name || '',
+        tx.account_name,
+        tx.amount,
+        categoryId,
+        confidence,
+        'No',
+        tx.pending ? 'Yes' : 'No',
+        tx.payment_channel || '',
+        tx.notes || '',
+        plaidPrimary,
+        plaidDetailed,
+        plaidConfidence,
+        locationCity,
+        locationRegion,
+        locationAddress,
+        transactionType,
+        authorizedDatetime,
+        merchantEntityId,
+        externalCategory,
+        categorySource,
+        tx.pending_transaction_id || null,
+        tx.import_ref || null,
+        tx.merchant_id
+      );
+
+      if (info.changes > 0) {
+        inserted++;
+
+        if (matchedRule) {
+          recordRuleApplication(matchedRule, tx.transaction_id, 'set_category', null, category, 'save');
+        }
+        if (decision && categoryId) {
+          recordCategorizationDecision(tx.transaction_id, autoCategorizationDecision({ ...decision, confidence }, categoryId, 'save'));
+        }
+        applyRuleActions(tx.transaction_id, toRuleInput(tx), categorizationData.categoryRules, 'save');
+      } else {
+        duplicates++;
+      }
+    }
+  });
+
+  insertMany(transactions);
+
+  console.log(`  ✓ Inserted ${inserted} new, skipped ${duplicates} duplicates`);
+
+  return inserted;
 }
 
 /**
- * Get database instance
+ * Delete a transaction with its splits, tags and reimbursement claims (and any
+ * repayments it made), releasing its Amazon order match and handing the other
+ * side of a transfer pair back to the matcher
+ * @returns {number} Number of transactions deleted (0 or 1)
  */
-export function getDatabase() {
-  if (!db) {
-    throw new Error('Database not initialized. Call initializeDatabase() first.');
-  }
-  return db;
+function deleteTransactionWithLinks(transactionId) {
+  db.prepare('DELETE FROM transaction_splits WHERE parent_transaction_id = ?').run(transactionId);
+  db.prepare('DELETE FROM transaction_tags WHERE transaction_id = ?').run(transactionId);
+  db.prepare('DELETE FROM categorization_decisions WHERE transaction_id = ?').run(transactionId);
+  db.prepare(`
+    DELETE FROM reimbursement_payments
+    WHERE transaction_id = ? OR reimbursement_id IN (SELECT id FROM reimbursements WHERE transaction_id = ?)
+  `).run(transactionId, transactionId);
+  db.prepare('DELETE FROM reimbursements WHERE transaction_id = ?').run(transactionId);
+  db.prepare(`
+    UPDATE transactions
+    SET is_transfer = 'No', transfer_pair_id = NULL, transfer_source = NULL
+    WHERE transfer_pair_id = ?
+  `).run(transactionId);
+  db.prepare('UPDATE amazon_orders SET matched_transaction_id = NULL, match_confidence = 0 WHERE matched_transaction_id = ?')
+    .run(transactionId);
+  return db.prepare('DELETE FROM transactions WHERE transaction_id = ?').run(transactionId).changes;
 }
 
 /**
- * Close database connection
+ * Apply a /transactions/sync page set (added, modified, removed) and store the
+ * new cursor, all in one SQLite transaction so a failure leaves the item at its
+ * previous cursor and the next sync retries the same changes.
+ *
+ * When a posted transaction replaces a pending one (pending_transaction_id),
+ * the user's work on the pending row - verified category, notes, tags, splits,
+ * reimbursements and Amazon/recurring links - moves to the posted row before the pending row
+ * is removed.
+ * @param {string} itemId - Plaid item ID
+ * @param {Object} changes - { added, modified, removed } from Plaid (with account_name set)
+ * @param {string} nextCursor - Cursor to store once the changes are applied
+ * @returns {Object} Counts of applied changes
  */
-export function closeDatabase() {
-  if (db) {
-    db.close();
-    db = null;
-  }
-}
+export function applyTransactionSync(itemId, changes, nextCursor) {
+  const { added = [], modified = [], removed = [] } = changes;
+
+  const getStmt = db.prepare('SELECT * FROM transactions WHERE transaction_id = ?');
+  const updateStmt = db.prepare(`
+    UPDATE transactions SET
+      date = ?, description = ?, merchant_name = ?, account_name = ?, amount = ?,
+      pending = ?, payment_channel = ?,
+      plaid_primary_category = ?, plaid_detailed_category = ?, plaid_confidence_level = ?,
+      location_city = ?, location_region = ?, location_address = ?,
+      transaction_type = ?, authorized_datetime = ?, merchant_entity_id = ?, merchant_id = ?
+    WHERE transaction_id = ?
+  `);
 
-// ============================================================================
-// CATEGORY HELPERS
-// ============================================================================
+  const carryOverPending = (pending, postedId) => {
+    if (pending.verified === 'Yes') {
+      db.prepare(`
+        UPDATE transactions
+        SET category_id = ?, confidence = ?, verified = 'Yes', categorization_reasoning = ?
+        WHERE transaction_id = ?
+      `).run(pending.category_id, pending.confidence, pending.categorization_reasoning, postedId);
+
+      // The posted row's category came from the pending one, so its history does too
+      db.prepare('UPDATE categorization_decisions SET transaction_id = ? WHERE transaction_id = ?')
+        .run(postedId, pending.transaction_id);
+    }
+
+    if (pending.notes) {
+      db.prepare("UPDATE transactions SET notes = ? WHERE transaction_id = ? AND (notes IS NULL OR notes = '')")
+        .run(pending.notes, postedId);
+    }
+
+    if (pending.recurring_series_id) {
+      db.prepare('UPDATE transactions SET recurring_series_id = ? WHERE transaction_id = ?')
+        .run(pending.recurring_series_id, postedId);
+    }
+
+    // Splits keep their index but are re-keyed to the posted transaction
+    db.prepare(`
+      UPDATE transaction_splits
+      SET parent_transaction_id = ?, id = 'split_' || ? || '_' || split_index
+      WHERE parent_transaction_id = ?
+    `).run(postedId, postedId, pending.transaction_id);
+
+    db.prepare('UPDATE amazon_orders SET matched_transaction_id = ? WHERE matched_transaction_id = ?')
+      .run(postedId, pending.transaction_id);
+
+    // Tags already on the posted row (e.g. from rules) are kept once
+    db.prepare('UPDATE OR IGNORE transaction_tags SET transaction_id = ? WHERE transaction_id = ?')
+      .run(postedId, pending.transaction_id);
+
+    // Reimbursement claims follow their split to its new key
+    db.prepare(`
+      UPDATE reimbursements
+      SET transaction_id = ?, split_id = replace(split_id, 'split_' || ? || '_', 'split_' || ? || '_')
+      WHERE transaction_id = ?
+    `).run(postedId, pending.transaction_id, postedId, pending.transaction_id);
+
+    db.prepare('UPDATE reimbursement_payments SET transaction_id = ? WHERE transaction_id = ?')
+      .run(postedId, pending.transaction_id);
+  };
+
+  const apply = db.transaction(() => {
+    const result = { added: 0, modified: 0, removed: 0, carriedOver: 0 };
+
+    // Added: insert, then hand over anything the user did on the pending version
+    result.added = saveTransactions(added, null);
+
+    for (const tx of added) {
+      if (!tx.pending_transaction_id) continue;
+
+      const pending = getStmt.get(tx.pending_transaction_id);
+      if (pending && pending.transaction_id !== tx.transaction_id) {
+        carryOverPending(pending, tx.transaction_id);
+        deleteTransactionWithLinks(pending.transaction_id);
+        result.carriedOver++;
+      }
+    }
+
+    // Modified: refresh Plaid-owned fields, keep user-owned ones (category, notes, verified)
+    const missing = [];
+    for (const tx of modified) {
+      if (!getStmt.get(tx.transaction_id)) {
+        missing.push(tx);
+        continue;
+      }
+
+      const pfc = tx.personal_finance_category || {};
+      const location = tx.location || {};
+      updateStmt.run(
+        tx.date,
+        tx.name,
+        tx.merchant_name || '',
+        tx.account_name,
+        tx.amount,
+        tx.pending ? 'Yes' : 'No',
+        tx.payment_channel || '',
+        pfc.primary || null,
+        pfc.detailed || null,
+        pfc.confidence_level || null,
+        location.city || null,
+        location.region || null,
+        location.address || null,
+        tx.transaction_type || null,
+        tx.authorized_datetime || tx.authorized_date || null,
+        tx.merchant_entity_id || null,
+        resolveMerchantId(tx),
+        tx.transaction_id
+      );
+      result.modified++;
+    }
+    if (missing.length > 0) {
+      result.added += saveTransactions(missing, null);
+    }
+
+    // Removed: pending transactions that posted or were cancelled, or bank reversals
+    for (const { transaction_id: transactionId } of removed) {
+      result.removed += deleteTransactionWithLinks(transactionId);
+    }
+
+    db.prepare("UPDATE plaid_items SET transactions_cursor = ?, last_synced = datetime('now') WHERE item_id = ?")
+      .run(nextCursor, itemId);
+
+    return result;
+  });
+
+  return apply();
+}
 
 /**
- * Get category ID from category name
- * Returns null if category doesn't exist
+ * Get a transaction that belongs to a manual account, or throw
  */
-export function getCategoryIdByName(categoryName) {
-  if (!categoryName || categoryName.trim() === '') {
-    return null;
+function getManualTransaction(transactionId) {
+  const transaction = db.prepare(`
+    SELECT t.*, a.is_manual
+    FROM transactions t
+    LEFT JOIN accounts a ON a.name = t.account_name
+    WHERE t.transaction_id = ?
+  `).get(transactionId);
+
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+  if (transaction.is_manual !== 'Yes') {
+    throw new Error('Only transactions on manual accounts can be changed by hand');
   }
 
-  const category = db.prepare('SELECT id FROM categories WHERE name = ?').get(categoryName.trim());
-  return category ? category.id : null;
+  return transaction;
 }
 
 /**
- * Get category name from category ID
- * Returns null if category doesn't exist
+ * Add a hand-entered transaction to a manual account
+ * It's saved like a synced transaction, so merchant mappings and rules
+ * categorize it when no category is given.
+ * @param {Object} data - { account_id, date, description, merchant_name, amount, category, notes }
+ *   (amount is positive for money going out, like Plaid)
+ * @returns {Object} Created transaction
  */
-export function getCategoryNameById(categoryId) {
-  if (!categoryId) {
-    return null;
-  }
+export function createManualTransaction(data) {
+  const account = getManualAccount(data.account_id);
+  const transactionId = `manual_${randomUUID()}`;
 
-  const category = db.prepare('SELECT name FROM categories WHERE id = ?').get(categoryId);
-  return category ? category.name : null;
+  saveTransactions([{
+    transaction_id: transactionId,
+    date: data.date,
+    name: data.description,
+    merchant_name: data.merchant_name || '',
+    account_id: account.account_id,
+    account_name: account.name,
+    amount: data.amount,
+    category: data.category || '',
+    confidence: data.category ? 100 : 0,
+    pending: false,
+    payment_channel: 'other',
+    notes: data.notes || ''
+  }]);
+
+  if (data.category) {
+    updateTransactionCategory(transactionId, data.category);
+  }
+
+  return getTransactionById(transactionId);
 }
 
 /**
- * Get or create category by name, returning the category ID
- * This is useful during data imports/migrations
+ * Edit a hand-entered transaction
+ * Giving a category categorizes it like a manual category change. Otherwise a
+ * changed description, merchant, amount or account re-runs the rules, unless
+ * the user already set the category.
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} data - { account_id, date, description, merchant_name, amount, category, notes }
+ *   (omitted fields are kept)
+ * @returns {Object} Updated transaction
  */
-function getOrCreateCategoryIdByName(categoryName) {
-  if (!categoryName || categoryName.trim() === '') {
-    return null;
-  }
+export function updateManualTransaction(transactionId, data) {
+  const transaction = getManualTransaction(transactionId);
 
-  const trimmedName = categoryName.trim();
+  const accountName = data.account_id !== undefined
+    ? getManualAccount(data.account_id).name
+    : transaction.account_name;
+  const amount = data.amount ?? transaction.amount;
 
-  // Try to find existing category
-  let categoryId = getCategoryIdByName(trimmedName);
+  if (amount !== transaction.amount && hasTransactionSplits(transactionId)) {
+    throw new Error('Remove the splits before changing the amount');
+  }
 
-  if (!categoryId) {
-    // Create missing category with default icon/color
-    const icon = suggestIconForCategory(trimmedName);
-    const color = getNextCategoryColor();
+  const updated = {
+    date: data.date ?? transaction.date,
+    description: data.description ?? transaction.description,
+    merchant_name: data.merchant_name ?? transaction.merchant_name,
+    notes: data.notes ?? transaction.notes
+  };
 
-    const result = db.prepare(
-      'INSERT INTO categories (name, icon, color) VALUES (?, ?, ?)'
-    ).run(trimmedName, icon, color);
+  const merchantId = updated.description !== transaction.description || updated.merchant_name !== transaction.merchant_name
+    ? resolveMerchantId({ ...transaction, ...updated })
+    : transaction.merchant_id;
 
-    categoryId = result.lastInsertRowid;
+  db.prepare(`
+    UPDATE transactions
+    SET date = ?, description = ?, merchant_name = ?, account_name = ?, amount = ?, notes = ?, merchant_id = ?
+    WHERE transaction_id = ?
+  `).run(updated.date, updated.description, updated.merchant_name, accountName, amount, updated.notes, merchantId, transactionId);
+
+  if (data.category) {
+    updateTransactionCategory(transactionId, data.category);
+  } else if (
+    updated.description !== transaction.description ||
+    updated.merchant_name !== transaction.merchant_name ||
+    amount !== transaction.amount ||
+    accountName !== transaction.account_name
+  ) {
+    recategorizeExistingTransactions(false, [transactionId]);
   }
 
-  return categoryId;
+  return getTransactionById(transactionId);
 }
 
-// ============================================================================
-// PLAID ITEMS
-// ============================================================================
+/**
+ * Delete a hand-entered transaction
+ */
+export function deleteManualTransaction(transactionId) {
+  getManualTransaction(transactionId);
 
-export function getPlaidItems() {
-  const items = db.prepare('SELECT * FROM plaid_items').all();
-  return items;
+  db.transaction(() => deleteTransactionWithLinks(transactionId))();
+
+  return { success: true };
 }
 
-export function savePlaidItem(itemId, accessToken, institutionId, institutionName) {
-  const stmt = db.prepare(`
-    INSERT OR REPLACE INTO plaid_items (item_id, access_token, institution_id, institution_name, last_synced)
-    VALUES (?, ?, ?, ?, datetime('now'))
-  `);
-  stmt.run(itemId, accessToken, institutionId, institutionName);
-}
+// ============================================================================
+// AUTO-CATEGORIZATION
+// ============================================================================
 
-export function removePlaidItem(itemId) {
-  // Delete plaid item (cascades to accounts)
-  const stmt = db.prepare('DELETE FROM plaid_items WHERE item_id = ?');
-  stmt.run(itemId);
+/**
+ * Calculate Levenshtein distance for fuzzy string matching
+ */
+function levenshteinDistance(str1, str2) {
+  const s1 = str1.toLowerCase();
+  const s2 = str2.toLowerCase();
+  const matrix = [];
 
-  // Delete related transactions
-  const deleteTransactions = db.prepare(`
-    DELETE FROM transactions WHERE account_name IN (
-      SELECT name FROM accounts WHERE item_id = ?
-    )
-  `);
-  deleteTransactions.run(itemId);
-}
+  for (let i = 0; i <= s2.length; i++) {
+    matrix[i] = [i];
+  }
 
-export function updatePlaidItemLastSynced(itemId) {
-  const stmt = db.prepare(`
-    UPDATE plaid_items SET last_synced = datetime('now') WHERE item_id = ?
-  `);
-  stmt.run(itemId);
-}
+  for (let j = 0; j <= s1.length; j++) {
+    matrix[0][j] = j;
+  }
 
-// ============================================================================
-// ACCOUNTS
-// ============================================================================
+  for (let i = 1; i <= s2.length; i++) {
+    for (let j = 1; j <= s1.length; j++) {
+      if (s2.charAt(i - 1) === s1.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1,
+          matrix[i][j - 1] + 1,
+          matrix[i - 1][j] + 1
+        );
+      }
+    }
+  }
 
-export function getAccounts() {
-  const accounts = db.prepare('SELECT * FROM accounts ORDER BY institution_name, name').all();
-  return accounts;
+  return matrix[s2.length][s1.length];
 }
 
-export function saveAccount(account, institutionName) {
-  const stmt = db.prepare(`
-    INSERT OR REPLACE INTO accounts (
-      account_id, item_id, institution_name, name, type, subtype, mask,
-      current_balance, available_balance, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
-  `);
-
-  stmt.run(
-    account.account_id,
-    account.item_id,
-    institutionName,
-    account.name,
-    account.type,
-    account.subtype || '',
-    account.mask || '',
-    account.balances.current || 0,
-    account.balances.available || 0
-  );
+/**
+ * Check if two strings are fuzzy matches
+ */
+function isFuzzyMatch(str1, str2, threshold = 0.8) {
+  const distance = levenshteinDistance(str1, str2);
+  const maxLength = Math.max(str1.length, str2.length);
+  const similarity = 1 - (distance / maxLength);
+  return similarity >= threshold;
 }
 
 /**
- * Rename an account and update all related transactions
+ * Map Plaid's category to default categories
+ * Handles both old category array format and new personal_finance_category format
  */
-export function renameAccount(accountId, newName) {
-  // Get the old name first
-  const account = db.prepare('SELECT name FROM accounts WHERE account_id = ?').get(accountId);
-
-  if (!account) {
-    throw new Error('Account not found');
-  }
+function mapPlaidCategoryToDefault(plaidCategory) {
+  if (!plaidCategory) return null;
 
-  const oldName = account.name;
+  const cat = plaidCategory.toLowerCase();
 
-  // Use transaction to update both accounts and transactions atomically
-  const updateAll = db.transaction(() => {
-    // Update the account name
-    db.prepare('UPDATE accounts SET name = ?, updated_at = datetime(\'now\') WHERE account_id = ?')
-      .run(newName, accountId);
+  // Food & Dining
+  if (cat.includes('restaurant') || cat.includes('food_and_drink') || cat.includes('dining') ||
+      cat.includes('coffee') || cat.includes('fast food') || cat.includes('bar')) {
+    return 'Restaurants';
+  }
+  if (cat.includes('groceries') || cat.includes('supermarket') || cat.includes('food_store')) {
+    return 'Groceries';
+  }
 
-    // Update all transactions with this account name
-    const result = db.prepare('UPDATE transactions SET account_name = ? WHERE account_name = ?')
-      .run(newName, oldName);
+  // Transportation
+  if (cat.includes('gas') || cat.includes('fuel') || cat.includes('service_station')) {
+    return 'Gas';
+  }
+  if (cat.includes('transport') || cat.includes('taxi') || cat.includes('uber') ||
+      cat.includes('lyft') || cat.includes('parking') || cat.includes('public_transit') ||
+      cat.includes('automotive')) {
+    return 'Transportation';
+  }
 
-    return {
-      success: true,
-      oldName,
-      newName,
-      transactionsUpdated: result.changes
-    };
-  });
+  // Shopping
+  if (cat.includes('shop') || cat.includes('retail') || cat.includes('general_merchandise') ||
+      cat.includes('clothing') || cat.includes('electronics') || cat.includes('home_improvement')) {
+    return 'Shopping';
+  }
 
-  return updateAll();
-}
+  // Entertainment & Recreation
+  if (cat.includes('entertainment') || cat.includes('recreation') || cat.includes('gym') ||
+      cat.includes('fitness') || cat.includes('sports') || cat.includes('movie') ||
+      cat.includes('music') || cat.includes('streaming')) {
+    return 'Entertainment';
+  }
 
-// ============================================================================
-// TRANSACTIONS
-// ============================================================================
+  // Travel
+  if (cat.includes('travel') || cat.includes('hotel') || cat.includes('airfare') ||
+      cat.includes('lodging') || cat.includes('airline') || cat.includes('vacation')) {
+    return 'Travel';
+  }
 
-export function getTransactions(limit = 50, filters = {}) {
-  const startTime = Date.now();
+  // Healthcare
+  if (cat.includes('healthcare') || cat.includes('medical') || cat.includes('doctor') ||
+      cat.includes('pharmacy') || cat.includes('hospital') || cat.includes('dental')) {
+    return 'Healthcare';
+  }
 
-  // Join with amazon_orders to include matching information
-  // Join with categories to get current category name (handles renames automatically)
-  let sql = `
-    SELECT
-      t.*,
-      COALESCE(c.name, t.category) as category,
-      c.icon as category_icon,
-      c.color as category_color,
-      ao.order_id as amazon_order_id,
-      ao.total_amount as amazon_total,
-      ao.order_date as amazon_order_date,
-      ao.match_confidence as amazon_match_confidence,
-      ao.order_status as amazon_order_status
-    FROM transactions t
-    LEFT JOIN categories c ON t.category_id = c.id
-    LEFT JOIN amazon_orders ao ON t.transaction_id = ao.matched_transaction_id
-    WHERE 1=1
-  `;
-  const params = [];
+  // Bills & Utilities
+  if (cat.includes('utility') || cat.includes('utilities') || cat.includes('electric') ||
+      cat.includes('water') || cat.includes('internet') || cat.includes('phone') ||
+      cat.includes('cable') || cat.includes('rent') || cat.includes('mortgage')) {
+    return 'Bills & Utilities';
+  }
 
-  if (filters.category) {
-    sql += ' AND c.name = ?';
-    params.push(filters.category);
+  // Income
+  if (cat.includes('income') || cat.includes('paycheck') || cat.includes('salary') ||
+      cat.includes('deposit') || cat.includes('refund') || cat.includes('reimbursement')) {
+    return 'Income';
   }
 
-  if (filters.account) {
-    sql += ' AND t.account_name = ?';
-    params.push(filters.account);
+  // Transfer
+  if (cat.includes('transfer') || cat.includes('payment') || cat.includes('credit_card_payment')) {
+    return 'Transfer';
   }
 
-  if (filters.startDate) {
-    sql += ' AND t.date >= ?';
-    params.push(filters.startDate);
+  // Personal Care
+  if (cat.includes('personal_care') || cat.includes('salon') || cat.includes('spa') ||
+      cat.includes('barber')) {
+    return 'Personal Care';
   }
 
-  if (filters.endDate) {
-    sql += ' AND t.date <= ?';
-    params.push(filters.endDate);
+  // Education
+  if (cat.includes('education') || cat.includes('school') || cat.includes('tuition') ||
+      cat.includes('student')) {
+    return 'Education';
   }
 
-  if (filters.amazonMatch === 'matched') {
-    sql += ' AND ao.order_id IS NOT NULL';
-  } else if (filters.amazonMatch === 'unmatched') {
-    sql += ' AND ao.order_id IS NULL';
+  // Subscriptions
+  if (cat.includes('subscription') || cat.includes('membership')) {
+    return 'Subscriptions';
   }
 
-  sql += ' ORDER BY t.date DESC LIMIT ? OFFSET ?';
-  params.push(limit);
-  params.push(filters.offset || 0);
+  // Catch-all for uncategorized
+  return 'Other';
+}
 
-  const transactions = db.prepare(sql).all(...params);
+/**
+ * Auto-categorize a transaction
+ * Besides the category, the result says which step decided it, for the
+ * categorization audit trail: stage ('merchant_default', 'merchant_mapping',
+ * 'description_mapping', 'rule', 'fuzzy_match', 'plaid_mapping' or
+ * 'plaid_default'), the matched rule, the mapping key that matched (merchant
+ * ID, mapped merchant name or Plaid category) and any details.
+ * @returns {Object} { category, categoryId, confidence, stage, rule, mappingKey, details }
+ */
+function autoCategorizeTransaction(transaction, categorizationData, skipSavingMappings = false) {
+  try {
+    const merchantName = transaction.merchant_name || '';
+    const description = transaction.name || '';
 
-  // Optimization: Fetch all splits for this batch of transactions in ONE query (avoids N+1 problem)
-  // Build a map of transaction_id -> splits for fast lookup
-  const splitsMap = new Map();
+    const { merchantMappings, categoryRules, plaidMappings, merchantDefaults } = categorizationData;
 
-  if (transactions.length > 0) {
-    const transactionIds = transactions.map(tx => tx.transaction_id);
-    const placeholders = transactionIds.map(() => '?').join(',');
-    const allSplits = db.prepare(`
-      SELECT * FROM transaction_splits
-      WHERE parent_transaction_id IN (${placeholders})
-      ORDER BY parent_transaction_id, split_index
-    `).all(...transactionIds);
+    if (process.env.DEBUG_CATEGORIZATION) {
+      console.log(`  🔍 Categorizing: "${description}"`);
+      console.log(`     Merchant: "${merchantName}"`);
+    }
 
-    // Group splits by parent transaction ID
-    for (const split of allSplits) {
-      if (!splitsMap.has(split.parent_transaction_id)) {
-        splitsMap.set(split.parent_transaction_id, []);
+    // STEP 0: Default category the user set on the merchant - 95% confidence
+    const merchantDefault = transaction.merchant_id && merchantDefaults?.get(transaction.merchant_id);
+    if (merchantDefault) {
+      if (process.env.DEBUG_CATEGORIZATION) {
+        console.log(`     ✓ Merchant default: "${merchantDefault.category}" (95%)`);
       }
-      splitsMap.get(split.parent_transaction_id).push(split);
+      return {
+        category: merchantDefault.category, categoryId: merchantDefault.category_id, confidence: 95,
+        stage: 'merchant_default', mappingKey: String(transaction.merchant_id)
+      };
     }
-  }
-
-  // Process transactions: replace split parents with their children
-  const processedTransactions = [];
-
-  for (const tx of transactions) {
-    // Check if this transaction has splits (using pre-fetched map)
-    const splits = splitsMap.get(tx.transaction_id) || [];
 
-    if (splits.length > 0) {
-      // Add split children as "virtual transactions"
-      for (const split of splits) {
-        processedTransactions.push({
-          ...tx,
-          transaction_id: split.id, // Use split ID
-          amount: parseFloat(split.amount),
-          category: split.category,
-          confidence: 95, // High confidence for manual splits
-          verified: 'Yes', // Manual splits are verified
-          description: split.description || tx.description,
-          is_split: true,
-          split_parent_id: tx.transaction_id,
-          // Amazon order information (if matched)
-          amazon_order: tx.amazon_order_id ? {
-            order_id: tx.amazon_order_id,
-            total_amount: parseFloat(tx.amazon_total),
-            order_date: tx.amazon_order_date,
-            match_confidence: parseInt(tx.amazon_match_confidence) || 0,
-            order_status: tx.amazon_order_status
-          } : null
-        });
+    // STEP 1: Exact merchant/description lookup - 95% confidence
+    // Check merchant_name first
+    if (merchantName) {
+      const exactMatch = merchantMappings.find(
+        m => m.merchant_name.toLowerCase() === merchantName.toLowerCase()
+      );
+      if (exactMatch) {
+        if (!skipSavingMappings) {
+          saveMerchantMapping(merchantName, exactMatch.category);
+        }
+        if (process.env.DEBUG_CATEGORIZATION) {
+          console.log(`     ✓ Exact merchant match: "${exactMatch.category}" (95%)`);
+        }
+        return {
+          category: exactMatch.category, categoryId: exactMatch.category_id, confidence: 95,
+          stage: 'merchant_mapping', mappingKey: exactMatch.merchant_name
+        };
+      }
+    }
+
+    // If no merchant_name, check description for exact match
+    if (!merchantName && description) {
+      const exactDescMatch = merchantMappings.find(
+        m => m.merchant_name.toLowerCase() === description.toLowerCase()
+      );
+      if (exactDescMatch) {
+        if (process.env.DEBUG_CATEGORIZATION) {
+          console.log(`     ✓ Exact description match: "${exactDescMatch.category}" (95%)`);
+        }
+        return {
+          category: exactDescMatch.category, categoryId: exactDescMatch.category_id, confidence: 95,
+          stage: 'description_mapping', mappingKey: exactDescMatch.merchant_name
+        };
+      }
+    }
+
+    // STEP 2: Rules (condition trees, highest priority first) - 85% confidence
+    // Rules without a category only carry actions (see applyRuleActions)
+    const ruleInput = toRuleInput(transaction);
+    for (const rule of categoryRules) {
+      if (!rule.category_id) continue;
+
+      try {
+        if (evaluateConditions(rule.conditions, ruleInput)) {
+          if (merchantName && !skipSavingMappings) {
+            saveMerchantMapping(merchantName, rule.category);
+          }
+          if (process.env.DEBUG_CATEGORIZATION) {
+            console.log(`     ✓ Rule match "${rule.name}" (${rule.summary}): "${rule.category}" (85%)`);
+          }
+          return {
+            category: rule.category, categoryId: rule.category_id, confidence: 85, rule,
+            stage: 'rule', details: { summary: rule.summary }
+          };
+        }
+      } catch (e) {
+        console.warn(`Invalid conditions in rule "${rule.name}": ${rule.summary}`, e);
+      }
+    }
+
+    // STEP 3: Fuzzy merchant/description matching (80% similarity) - 75% confidence
+    const searchText = merchantName || description;
+    if (searchText && searchText.length >= 3) {
+      for (const mapping of merchantMappings) {
+        if (isFuzzyMatch(searchText, mapping.merchant_name, 0.8)) {
+          if (!skipSavingMappings && merchantName) {
+            saveMerchantMapping(merchantName, mapping.category);
+          }
+          if (process.env.DEBUG_CATEGORIZATION) {
+            console.log(`     ✓ Fuzzy match: "${mapping.category}" (75%)`);
+          }
+          return {
+            category: mapping.category, categoryId: mapping.category_id, confidence: 75,
+            stage: 'fuzzy_match', mappingKey: mapping.merchant_name, details: { matchedText: searchText }
+          };
+        }
+      }
+    }
+
+    // STEP 4: Check personal_finance_category first (newer Plaid field) - 70% / 50% confidence
+    if (transaction.personal_finance_category) {
+      const pfc = transaction.personal_finance_category;
+      const pfcString = pfc.detailed || pfc.primary;
+
+      if (pfcString) {
+        const mapping = plaidMappings.find(m => m.plaid_category === pfcString);
+        if (mapping) {
+          if (process.env.DEBUG_CATEGORIZATION) {
+            console.log(`     ✓ Plaid PFC mapping: "${mapping.user_category}" (70%)`);
+          }
+          return {
+            category: mapping.user_category, categoryId: mapping.category_id, confidence: 70,
+            stage: 'plaid_mapping', mappingKey: pfcString
+          };
+        }
+
+        // Auto-create mapping from PFC
+        if (!skipSavingMappings) {
+          const suggestedCategory = mapPlaidCategoryToDefault(pfcString);
+          if (suggestedCategory) {
+            savePlaidCategoryMapping(pfcString, suggestedCategory);
+            if (process.env.DEBUG_CATEGORIZATION) {
+              console.log(`     ✓ Auto-created PFC mapping: "${suggestedCategory}" (50%)`);
+            }
+            return { category: suggestedCategory, confidence: 50, stage: 'plaid_default', mappingKey: pfcString };
+          }
+        }
+      }
+    }
+
+    // STEP 5: Plaid legacy category array - 70% / 50% confidence
+    if (Array.isArray(transaction.category) && transaction.category.length > 0) {
+      // Check from most specific to least specific
+      for (let i = transaction.category.length - 1; i >= 0; i--) {
+        const plaidCat = transaction.category[i];
+        const mapping = plaidMappings.find(m => m.plaid_category === plaidCat);
+        if (mapping) {
+          if (process.env.DEBUG_CATEGORIZATION) {
+            console.log(`     ✓ Plaid category mapping: "${mapping.user_category}" (70%)`);
+          }
+          return {
+            category: mapping.user_category, categoryId: mapping.category_id, confidence: 70,
+            stage: 'plaid_mapping', mappingKey: plaidCat
+          };
+        }
+      }
+
+      // Auto-create mapping from category array
+      if (!skipSavingMappings) {
+        const plaidCategory = transaction.category[transaction.category.length - 1];
+        const suggestedCategory = mapPlaidCategoryToDefault(plaidCategory);
+        if (suggestedCategory) {
+          savePlaidCategoryMapping(plaidCategory, suggestedCategory);
+          if (process.env.DEBUG_CATEGORIZATION) {
+            console.log(`     ✓ Auto-created category mapping: "${suggestedCategory}" (50%)`);
+          }
+          return { category: suggestedCategory, confidence: 50, stage: 'plaid_default', mappingKey: plaidCategory };
+        }
+      }
+    }
+
+    if (process.env.DEBUG_CATEGORIZATION) {
+      console.log(`     ✗ No category match found`);
+    }
+
+    return { category: '', confidence: 0 };
+  } catch (error) {
+    console.error('Error in autoCategorizeTransaction:', error.message);
+    return { category: '', confidence: 0 };
+  }
+}
+
+/**
+ * Set a transaction's category as confirmed (confidence 100) and learn a
+ * merchant mapping from it
+ * @param {string} transactionId - Transaction ID
+ * @param {string} category - Category name
+ * @param {Object} decision - How it was decided, for the audit trail
+ *   (defaults to { stage: 'user', trigger: 'user' }; see recordCategorizationDecision)
+ */
+export function updateTransactionCategory(transactionId, category, decision = {}) {
+  // Get the transaction to extract merchant name
+  const transaction = db.prepare('SELECT * FROM transactions WHERE transaction_id = ?').get(transactionId);
+
+  // Get category ID from name
+  const categoryId = getOrCreateCategoryIdByName(category);
+
+  const stmt = db.prepare(`
+    UPDATE transactions
+    SET category_id = ?, confidence = 100, verified = 'Yes'
+    WHERE transaction_id = ?
+  `);
+  stmt.run(categoryId, transactionId);
+
+  if (transaction) {
+    recordCategorizationDecision(transactionId, {
+      stage: 'user',
+      trigger: 'user',
+      ...decision,
+      categoryId,
+      previousCategoryId: transaction.category_id,
+      confidenceBefore: transaction.confidence,
+      confidenceAfter: 100
+    });
+  }
+
+  // Save merchant mapping so future transactions from this merchant auto-categorize
+  if (transaction) {
+    if (transaction.merchant_name && transaction.merchant_name.trim() !== '') {
+      // Has merchant name - save merchant mapping
+      saveMerchantMapping(transaction.merchant_name, category);
+      console.log(`  📚 Learned: "${transaction.merchant_name}" → "${category}"`);
+    } else if (transaction.description && transaction.description.trim() !== '') {
+      // No merchant name, but has description - try to create a pattern-based learning
+      const description = transaction.description.trim();
+
+      // Check if this is a common pattern we can learn from
+      // For example: "Interest Paid", "Transfer from...", etc.
+      if (description.length > 0) {
+        // Save as a merchant mapping using the description
+        // This allows the system to learn from description-based transactions
+        saveMerchantMapping(description, category);
+        console.log(`  📚 Learned: "${description}" → "${category}" (description-based)`);
       }
     } else {
-      // Regular transaction (no splits)
-      processedTransactions.push({
-        ...tx,
-        amount: parseFloat(tx.amount),
-        confidence: parseInt(tx.confidence) || 0,
-        verified: tx.verified === 'Yes',
-        is_split: false,
-        // Amazon order information (if matched)
-        amazon_order: tx.amazon_order_id ? {
-          order_id: tx.amazon_order_id,
-          total_amount: parseFloat(tx.amazon_total),
-          order_date: tx.amazon_order_date,
-          match_confidence: parseInt(tx.amazon_match_confidence) || 0,
-          order_status: tx.amazon_order_status
-        } : null
-      });
+      // Transaction categorized but can't create a learning pattern
+      console.log(`  ℹ️  Categorized transaction → "${category}" (no pattern to learn)`);
+    }
+  }
+}
+
+/**
+ * Find similar transactions based on merchant name
+ * Used to suggest applying category changes to similar transactions
+ */
+export function findSimilarTransactions(transactionId, merchantName) {
+  // Get the transaction being updated
+  const transaction = db.prepare('SELECT * FROM transactions WHERE transaction_id = ?').get(transactionId);
+
+  if (!transaction) {
+    return [];
+  }
+
+  let similarTransactions = [];
+
+  // Strategy: If we have a merchant_name, use exact match. Otherwise, use description fuzzy match
+  if (merchantName && merchantName.trim() !== '') {
+    // Has merchant name - find exact merchant matches only
+    similarTransactions = db.prepare(`
+      ${TRANSACTION_SELECT_SQL}
+      WHERE t.transaction_id != ?
+        AND (t.confidence IS NULL OR t.confidence < 100)
+        AND t.merchant_name = ?
+      ORDER BY t.date DESC
+      LIMIT 50
+    `).all(transactionId, merchantName.trim());
+  } else {
+    // No merchant name - find by similar description
+    // Use the description to find similar transactions
+    const description = transaction.description || '';
+
+    if (description.trim() !== '') {
+      similarTransactions = db.prepare(`
+        ${TRANSACTION_SELECT_SQL}
+        WHERE t.transaction_id != ?
+          AND (t.confidence IS NULL OR t.confidence < 100)
+          AND (t.merchant_name IS NULL OR t.merchant_name = '')
+          AND t.description LIKE ?
+        ORDER BY t.date DESC
+        LIMIT 50
+      `).all(transactionId, `%${description.trim()}%`);
     }
   }
 
-  const elapsed = Date.now() - startTime;
-  if (elapsed > 100) {
-    console.log(`⚠️  getTransactions took ${elapsed}ms (limit: ${limit}, filters: ${JSON.stringify(filters)})`);
-  }
+  return similarTransactions.map(tx => ({
+    transaction_id: tx.transaction_id,
+    date: tx.date,
+    description: tx.description,
+    merchant_name: tx.merchant_name,
+    account_name: tx.account_name,
+    amount: tx.amount,
+    category: tx.category,
+    confidence: tx.confidence
+  }));
+}
+
+/**
+ * Update categories for multiple transactions at once
+ */
+export function updateMultipleTransactionCategories(transactionIds, category) {
+  console.log('=== updateMultipleTransactionCategories ===');
+  console.log('Transaction IDs:', transactionIds);
+  console.log('Category:', category);
+
+  if (!transactionIds || transactionIds.length === 0) {
+    console.log('No transaction IDs provided, returning 0');
+    return 0;
+  }
+
+  // Get category ID from name
+  const categoryId = getOrCreateCategoryIdByName(category);
+
+  const placeholders = transactionIds.map(() => '?').join(',');
+  console.log('SQL placeholders:', placeholders);
+
+  const previous = db.prepare(`
+    SELECT transaction_id, category_id, confidence FROM transactions WHERE transaction_id IN (${placeholders})
+  `).all(...transactionIds);
+
+  const sql = `
+    UPDATE transactions
+    SET category_id = ?, confidence = 95, verified = 'No'
+    WHERE transaction_id IN (${placeholders})
+  `;
+  console.log('SQL query:', sql);
+
+  const stmt = db.prepare(sql);
+  const params = [categoryId, ...transactionIds];
+  console.log('SQL params:', params);
+
+  const result = stmt.run(...params);
+  console.log('Update result:', result);
+  console.log('Rows changed:', result.changes);
+
+  for (const row of previous) {
+    recordCategorizationDecision(row.transaction_id, {
+      stage: 'user',
+      trigger: 'bulk',
+      categoryId,
+      previousCategoryId: row.category_id,
+      confidenceBefore: row.confidence,
+      confidenceAfter: 95
+    });
+  }
+
+  return result.changes;
+}
+
+export function verifyTransactionCategory(transactionId) {
+  const before = db.prepare('SELECT category_id, confidence FROM transactions WHERE transaction_id = ?').get(transactionId);
+
+  const stmt = db.prepare(`
+    UPDATE transactions
+    SET confidence = 100, verified = 'Yes'
+    WHERE transaction_id = ?
+  `);
+  stmt.run(transactionId);
+
+  if (before) {
+    recordCategorizationDecision(transactionId, {
+      stage: 'verified',
+      trigger: 'user',
+      categoryId: before.category_id,
+      previousCategoryId: before.category_id,
+      confidenceBefore: before.confidence,
+      confidenceAfter: 100
+    });
+  }
+
+  const tx = db.prepare(`${TRANSACTION_SELECT_SQL} WHERE t.transaction_id = ?`).get(transactionId);
+  return { success: true, category: tx.category };
+}
+
+export function unverifyTransactionCategory(transactionId, originalConfidence) {
+  // Restore original confidence (or default to 0 if not provided)
+  const confidenceToRestore = originalConfidence !== undefined ? originalConfidence : 0;
+  const before = db.prepare('SELECT category_id, confidence FROM transactions WHERE transaction_id = ?').get(transactionId);
+
+  const stmt = db.prepare(`
+    UPDATE transactions
+    SET verified = 'No', confidence = ?
+    WHERE transaction_id = ?
+  `);
+  stmt.run(confidenceToRestore, transactionId);
+
+  if (before) {
+    recordCategorizationDecision(transactionId, {
+      stage: 'unverified',
+      trigger: 'user',
+      categoryId: before.category_id,
+      previousCategoryId: before.category_id,
+      confidenceBefore: before.confidence,
+      confidenceAfter: confidenceToRestore
+    });
+  }
+
+  const tx = db.prepare(`${TRANSACTION_SELECT_SQL} WHERE t.transaction_id = ?`).get(transactionId);
+  return { success: true, category: tx.category };
+}
+
+export function recategorizeExistingTransactions(onlyUncategorized = true, transactionIds = null) {
+  let rows;
+
+  if (transactionIds && Array.isArray(transactionIds) && transactionIds.length > 0) {
+    // Filter by specific transaction IDs
+    const placeholders = transactionIds.map(() => '?').join(',');
+    rows = db.prepare(`${TRANSACTION_SELECT_SQL} WHERE t.transaction_id IN (${placeholders})`).all(...transactionIds);
+  } else {
+    // Get all transactions
+    rows = db.prepare(TRANSACTION_SELECT_SQL).all();
+  }
+
+  const categorizationData = {
+    merchantMappings: getMerchantMappings(),
+    categoryRules: getEnabledCategoryRules(),
+    plaidMappings: getPlaidCategoryMappings(),
+    merchantDefaults: getMerchantDefaultCategories()
+  };
+
+  let processed = 0;
+  let updated = 0;
+  let skipped = 0;
+  let actionsApplied = 0;
+
+  const batchUpdates = [];
+  const categorizedTransactions = []; // Track details for recap
+
+  // Actions don't touch the category, so they also run on manually categorized transactions
+  const applyActions = db.transaction(() => {
+    for (const row of rows) {
+      actionsApplied += applyRuleActions(row.transaction_id, toRuleInput(row), categorizationData.categoryRules, 'recategorize');
+    }
+  });
+  applyActions();
+
+  for (const row of rows) {
+    // Skip manually categorized transactions (confidence = 100)
+    // Re-categorize everything else, including auto-categorized transactions
+    if (row.confidence === 100) {
+      skipped++;
+      continue;
+    }
+
+    processed++;
+
+    // Build transaction object
+    const transaction = {
+      transaction_id: row.transaction_id,
+      date: row.date,
+      name: row.description,
+      merchant_name: row.merchant_name,
+      merchant_id: row.merchant_id,
+      account_id: row.account_name,
+      account_name: row.account_name,
+      amount: row.amount,
+      payment_channel: row.payment_channel,
+      transaction_type: row.transaction_type,
+      plaid_detailed_category: row.plaid_detailed_category,
+      plaid_primary_category: row.plaid_primary_category,
+      category: [],
+      personal_finance_category: null
+    };
+
+    const result = autoCategorizeTransaction(transaction, categorizationData, true);
+    const { category, categoryId, confidence, rule } = result;
+
+    if (category && category !== row.category) {
+      batchUpdates.push({
+        transaction_id: row.transaction_id,
+        categoryId: categoryId || getOrCreateCategoryIdByName(category),
+        confidence,
+        rule,
+        result,
+        previous: row,
+        oldCategory: row.category || null,
+        category
+      });
+
+      // Add to recap
+      categorizedTransactions.push({
+        transaction_id: row.transaction_id,
+        date: row.date,
+        description: row.description,
+        merchant_name: row.merchant_name || row.description,
+        amount: row.amount,
+        oldCategory: row.category || '',
+        newCategory: category,
+        confidence: confidence
+      });
+    }
+  }
+
+  // Batch update
+  if (batchUpdates.length > 0) {
+    const updateStmt = db.prepare(`
+      UPDATE transactions
+      SET category_id = ?, confidence = ?, verified = 'No'
+      WHERE transaction_id = ?
+    `);
+
+    const batchUpdate = db.transaction((updates) => {
+      for (const update of updates) {
+        updateStmt.run(update.categoryId, update.confidence, update.transaction_id);
+        if (update.rule) {
+          recordRuleApplication(update.rule, update.transaction_id, 'set_category', update.oldCategory, update.category, 'recategorize');
+        }
+        recordCategorizationDecision(
+          update.transaction_id,
+          autoCategorizationDecision(update.result, update.categoryId, 'recategorize', update.previous)
+        );
+      }
+    });
+
+    batchUpdate(batchUpdates);
+    updated = batchUpdates.length;
+  }
+
+  return {
+    success: true,
+    total: rows.length,
+    processed,
+    updated,
+    skipped,
+    actionsApplied,
+    categorizedTransactions // Include detailed list
+  };
+}
+
+/**
+ * Get spending per category for the dashboard, from the same split-aware,
+ * reimbursement-netted lines as the reports
+ * @returns {Array} [{ category, total }]
+ */
+export function getTransactionStats(startDate = null, endDate = null) {
+  let sql = `
+    SELECT
+      c.name as category,
+      SUM(CASE WHEN l.amount > 0 THEN l.amount ELSE 0 END) as total
+    FROM (${SPEND_LINES_SQL}) l
+    JOIN categories c ON c.id = l.category_id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (startDate) {
+    sql += ' AND l.date >= ?';
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    sql += ' AND l.date <= ?';
+    params.push(endDate);
+  }
+
+  sql += ' GROUP BY c.id ORDER BY total DESC';
+
+  const results = db.prepare(sql).all(...params);
+  return results.map(r => ({
+    category: r.category,
+    total: parseFloat(r.total)
+  }));
+}
+
+/**
+ * Get daily spending and income data for charts
+ * @param {number} days - Number of days to retrieve
+ * @returns {Array} Array of {date, income, expenses} objects
+ */
+export function getDailySpendingIncome(days = 30) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+  const startDateStr = startDate.toISOString().split('T')[0];
+
+  const sql = `
+    SELECT
+      date,
+      SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) as income,
+      ABS(SUM(CASE WHEN amount < 0 THEN amount ELSE 0 END)) as expenses
+    FROM transactions
+    WHERE date >= ? AND is_transfer != 'Yes' AND excluded_from_reports != 'Yes'
+    GROUP BY date
+    ORDER BY date ASC
+  `;
+
+  const results = db.prepare(sql).all(startDateStr);
+  return results.map(r => ({
+    date: r.date,
+    income: parseFloat(r.income) || 0,
+    expenses: parseFloat(r.expenses) || 0
+  }));
+}
+
+/**
+ * Get net worth over time for charts, from daily balance snapshots
+ * Each point carries every account's latest balance on or before that date, so
+ * accounts that weren't synced on a given day still count. Liabilities (credit
+ * cards, loans) are subtracted.
+ * @param {string} range - Time range: '1w', '1m', '3m', '6m', '1y'
+ * @returns {Array} Array of { date, balance, assets, liabilities, by_type, accounts } objects
+ */
+export function getNetWorthOverTime(range = '1w') {
+  let daysBack = 7;
+
+  switch (range) {
+    case '1w': daysBack = 7; break;
+    case '1m': daysBack = 30; break;
+    case '3m': daysBack = 90; break;
+    case '6m': daysBack = 180; break;
+    case '1y': daysBack = 365; break;
+    default: daysBack = 7;
+  }
+
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - daysBack);
+  const startDateStr = startDate.toISOString().split('T')[0];
+
+  // Snapshot dates in range, plus the range start when older history exists
+  const rows = db.prepare(`
+    WITH dates AS (
+      SELECT DISTINCT date FROM balance_snapshots WHERE date >= ?
+      UNION
+      SELECT ? WHERE EXISTS (SELECT 1 FROM balance_snapshots WHERE date < ?)
+    ),
+    latest AS (
+      SELECT
+        d.date,
+        s.account_id,
+        s.balance,
+        s.classification,
+        ROW_NUMBER() OVER (PARTITION BY d.date, s.account_id ORDER BY s.date DESC) as rn
+      FROM dates d
+      JOIN balance_snapshots s ON s.date <= d.date
+    )
+    SELECT l.date, l.account_id, l.balance, l.classification, a.name, a.type
+    FROM latest l
+    JOIN accounts a ON a.account_id = l.account_id
+    WHERE l.rn = 1
+    ORDER BY l.date ASC
+  `).all(startDateStr, startDateStr, startDateStr);
+
+  const points = new Map();
+  for (const row of rows) {
+    if (!points.has(row.date)) {
+      points.set(row.date, { date: row.date, balance: 0, assets: 0, liabilities: 0, by_type: {}, accounts: {} });
+    }
+
+    const point = points.get(row.date);
+    const balance = parseFloat(row.balance) || 0;
+    const signed = row.classification === 'liability' ? -balance : balance;
+
+    if (row.classification === 'liability') {
+      point.liabilities += balance;
+    } else {
+      point.assets += balance;
+    }
+    point.balance += signed;
+    point.by_type[row.type] = (point.by_type[row.type] || 0) + signed;
+    point.accounts[row.account_id] = { name: row.name, type: row.type, balance: signed };
+  }
+
+  return Array.from(points.values());
+}
+
+// ============================================================================
+// CATEGORIES
+// ============================================================================
+
+export function getCategories() {
+  const categories = db.prepare(`
+    SELECT c.*, p.name as parent_category
+    FROM categories c
+    LEFT JOIN categories p ON p.id = c.parent_category_id
+    ORDER BY c.name
+  `).all();
+
+  // Deduplicate by name (case-insensitive)
+  const seen = new Map();
+  const unique = [];
+
+  for (const cat of categories) {
+    const lowerName = cat.name.toLowerCase();
+    if (!seen.has(lowerName)) {
+      seen.set(lowerName, true);
+      // Convert use_for_amazon from integer to boolean
+      unique.push({
+        ...cat,
+        use_for_amazon: cat.use_for_amazon === 1
+      });
+    }
+  }
+
+  return unique;
+}
+
+export function addCategory(name, parentCategory = null, icon = null, color = null, description = null, useForAmazon = true) {
+  // Auto-generate icon and color if not provided
+  const categoryIcon = icon || suggestIconForCategory(name);
+  const categoryColor = color || getNextCategoryColor();
+
+  const stmt = db.prepare(`
+    INSERT INTO categories (name, parent_category_id, icon, color, description, use_for_amazon) VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  try {
+    stmt.run(name, getCategoryIdByName(parentCategory), categoryIcon, categoryColor, description || '', useForAmazon ? 1 : 0);
+    return { success: true, name, parent_category: parentCategory, icon: categoryIcon, color: categoryColor, description, use_for_amazon: useForAmazon };
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      throw new Error('Category already exists');
+    }
+    throw error;
+  }
+}
+
+export function updateCategory(oldName, newName, newParentCategory = null, icon = null, color = null, description = null, useForAmazon = null) {
+  // Check if category exists
+  const existingCategory = db.prepare('SELECT * FROM categories WHERE name = ?').get(oldName);
+  if (!existingCategory) {
+    throw new Error('Category not found');
+  }
+
+  // Check if new name already exists (if name is changing)
+  if (oldName !== newName) {
+    const duplicate = db.prepare('SELECT * FROM categories WHERE name = ? AND name != ?').get(newName, oldName);
+    if (duplicate) {
+      throw new Error('A category with this name already exists');
+    }
+  }
+
+  // Use existing values if not provided
+  const categoryIcon = icon || existingCategory.icon || suggestIconForCategory(newName);
+  const categoryColor = color || existingCategory.color || getNextCategoryColor();
+  const categoryDescription = description !== null ? description : existingCategory.description || '';
+  const categoryUseForAmazon = useForAmazon !== null ? (useForAmazon ? 1 : 0) : existingCategory.use_for_amazon;
+
+  // Everything else references the category by ID, so a rename only touches this row
+  const transaction = db.transaction(() => {
+    // Get parent category ID if specified
+    const parentCategoryId = newParentCategory ? getCategoryIdByName(newParentCategory) : null;
+
+    db.prepare(`
+      UPDATE categories
+      SET name = ?, parent_category_id = ?, icon = ?, color = ?, description = ?, use_for_amazon = ?
+      WHERE id = ?
+    `).run(newName, parentCategoryId, categoryIcon, categoryColor, categoryDescription, categoryUseForAmazon, existingCategory.id);
+
+    // Handle parent/child cascade for use_for_amazon changes
+    if (useForAmazon !== null && categoryUseForAmazon !== existingCategory.use_for_amazon) {
+      // Cascade the use_for_amazon value to all children
+      const children = db.prepare('UPDATE categories SET use_for_amazon = ? WHERE parent_category_id = ?')
+        .run(categoryUseForAmazon, existingCategory.id);
+      if (children.changes > 0) {
+        console.log(`[Category] Cascaded use_for_amazon=${categoryUseForAmazon} to ${children.changes} child category(ies)`);
+      }
+
+      // If enabling this category and it has a parent that's disabled, enable the parent
+      if (categoryUseForAmazon === 1 && parentCategoryId) {
+        const parent = db.prepare('UPDATE categories SET use_for_amazon = 1 WHERE id = ? AND use_for_amazon = 0').run(parentCategoryId);
+        if (parent.changes > 0) {
+          console.log(`[Category] Auto-enabled parent category "${newParentCategory}" because child was enabled`);
+        }
+      }
+    }
+
+    const { count } = db.prepare('SELECT COUNT(*) as count FROM transactions WHERE category_id = ?').get(existingCategory.id);
+
+    return { success: true, name: newName, parent_category: newParentCategory, icon: categoryIcon, color: categoryColor, description: categoryDescription, use_for_amazon: categoryUseForAmazon === 1, transactionsUpdated: count };
+  });
+
+  return transaction();
+}
+
+export function deleteCategory(name) {
+  // Check if category exists
+  const existingCategory = db.prepare('SELECT * FROM categories WHERE name = ?').get(name);
+  if (!existingCategory) {
+    throw new Error('Category not found');
+  }
+
+  const categoryId = existingCategory.id;
+
+  // Use transaction to delete category and uncategorize related records
+  const transaction = db.transaction(() => {
+    // FIRST: Clean up all foreign key references before deleting the category
+
+    // 1. Move all transactions in this category to uncategorized and unverify them
+    const updateTransactionsStmt = db.prepare(`
+      UPDATE transactions
+      SET category_id = NULL, verified = 'No', confidence = 0
+      WHERE category_id = ?
+    `);
+    const result = updateTransactionsStmt.run(categoryId);
+
+    // 2. Update Amazon items
+    db.prepare('UPDATE amazon_items SET category_id = NULL WHERE category_id = ?').run(categoryId);
+
+    // 3. Update transaction splits
+    db.prepare('UPDATE transaction_splits SET category_id = NULL WHERE category_id = ?').run(categoryId);
+
+    // 4. Delete merchant mappings
+    db.prepare('DELETE FROM merchant_mappings WHERE category_id = ?').run(categoryId);
+
+    // 5. Delete category rules (rules without a category don't make sense), and
+    // drop split actions that put part of a transaction in this category
+    db.prepare('DELETE FROM category_rules WHERE category_id = ?').run(categoryId);
+    rewriteRuleSplitCategories(categoryId, null);
+
+    // 6. Delete plaid category mappings (they only exist to point at a category)
+    db.prepare('DELETE FROM plaid_category_mappings WHERE category_id = ?').run(categoryId);
+
+    // 7. Update external category mappings
+    db.prepare('UPDATE external_category_mappings SET category_id = NULL WHERE category_id = ?').run(categoryId);
+
+    // 8. Delete amazon item rules (rules without a category don't make sense)
+    db.prepare('DELETE FROM amazon_item_rules WHERE category_id = ?').run(categoryId);
+
+    // 9. Update child categories (set parent to null)
+    db.prepare('UPDATE categories SET parent_category_id = NULL WHERE parent_category_id = ?').run(categoryId);
+
+    // 10. Delete AI categorizations (historical data for this category)
+    db.prepare('DELETE FROM ai_categorizations WHERE category_id = ?').run(categoryId);
+
+    // 11. Delete AI embeddings (training data for this category)
+    db.prepare('DELETE FROM ai_embeddings WHERE category_id = ?').run(categoryId);
+    resetEmbeddingIndexes();
+
+    // 12. Delete AI feedback (training data for this category)
+    db.prepare('DELETE FROM ai_feedback WHERE suggested_category_id = ?').run(categoryId);
+    db.prepare('DELETE FROM ai_feedback WHERE actual_category_id = ?').run(categoryId);
+
+    // 13. Delete budgets for this category
+    db.prepare('DELETE FROM budgets WHERE category_id = ?').run(categoryId);
+
+    // 14. Detach recurring series
+    db.prepare('UPDATE recurring_series SET category_id = NULL WHERE category_id = ?').run(categoryId);
+
+    // 15. Clear merchant default categories
+    db.prepare('UPDATE merchants SET default_category_id = NULL WHERE default_category_id = ?').run(categoryId);
+
+    // 16. Keep categorization history, without the category
+    db.prepare('UPDATE categorization_decisions SET category_id = NULL WHERE category_id = ?').run(categoryId);
+    db.prepare('UPDATE categorization_decisions SET previous_category_id = NULL WHERE previous_category_id = ?').run(categoryId);
+
+    // 17. Drop evaluation items labelled with this category (there's nothing left to score them against)
+    db.prepare('DELETE FROM evaluation_set_items WHERE expected_category_id = ?').run(categoryId);
+
+    // LAST: Now delete the category itself (all foreign keys are cleaned up)
+    const deleteCategoryStmt = db.prepare('DELETE FROM categories WHERE id = ?');
+    deleteCategoryStmt.run(categoryId);
+
+    return { success: true, transactionsAffected: result.changes };
+  });
+
+  return transaction();
+}
+
+/**
+ * Point the split parts of rule actions at another category, or with
+ * toCategoryId null remove the split actions that use the category (their
+ * percents would no longer add up)
+ * Parts that end up in the same category are combined, and a split left with
+ * a single part is removed. Call inside the category change's transaction.
+ * @returns {number} Rules changed
+ */
+function rewriteRuleSplitCategories(fromCategoryId, toCategoryId) {
+  const rules = db.prepare("SELECT id, actions FROM category_rules WHERE actions LIKE '%\"split\"%'").all();
+  const update = db.prepare("UPDATE category_rules SET actions = ?, updated_at = datetime('now') WHERE id = ?");
+  let changed = 0;
+
+  for (const rule of rules) {
+    const actions = JSON.parse(rule.actions);
+    const uses = (action) => action.type === 'split' && action.value.some(part => part.category_id === fromCategoryId);
+    if (!actions.some(uses)) continue;
+
+    const rewritten = actions.flatMap((action) => {
+      if (!uses(action)) return [action];
+      if (toCategoryId === null) return [];
+
+      const parts = new Map();
+      for (const part of action.value) {
+        const categoryId = part.category_id === fromCategoryId ? toCategoryId : part.category_id;
+        parts.set(categoryId, (parts.get(categoryId) || 0) + Number(part.percent));
+      }
+      return parts.size < 2
+        ? []
+        : [{ ...action, value: [...parts].map(([category_id, percent]) => ({ category_id, percent })) }];
+    });
+
+    update.run(JSON.stringify(rewritten), rule.id);
+    changed++;
+  }
+
+  return changed;
+}
+
+/**
+ * Every column that points at a category, grouped by table for merge previews
+ * (budgets and child categories need special handling and are counted separately)
+ */
+const CATEGORY_MERGE_REFERENCES = {
+  transactions: ['category_id'],
+  transaction_splits: ['category_id'],
+  amazon_items: ['category_id'],
+  merchant_mappings: ['category_id'],
+  category_rules: ['category_id'],
+  plaid_category_mappings: ['category_id'],
+  external_category_mappings: ['category_id'],
+  amazon_item_rules: ['category_id'],
+  recurring_series: ['category_id'],
+  merchants: ['default_category_id'],
+  ai_categorizations: ['category_id'],
+  ai_embeddings: ['category_id'],
+  ai_feedback: ['suggested_category_id', 'actual_category_id']
+};
+
+/**
+ * Merge one category into another
+ * Every row that references the source category is moved to the target, the
+ * source's sub-categories are reparented under the target, budgets in the same
+ * month are added together, and the source category is deleted. Runs in a single
+ * transaction; with dryRun nothing is written and only the counts are returned.
+ * @param {number} sourceId - Category to merge away
+ * @param {number} targetId - Category that absorbs it
+ * @param {Object} options - { dryRun }
+ * @returns {Object} { success, dryRun, source, target, affected: { table: rows }, totalRows }
+ */
+export function mergeCategory(sourceId, targetId, options = {}) {
+  const { dryRun = false } = options;
+
+  const source = db.prepare('SELECT * FROM categories WHERE id = ?').get(sourceId);
+  const target = db.prepare('SELECT * FROM categories WHERE id = ?').get(targetId);
+  if (!source || !target) {
+    throw new Error('Category not found');
+  }
+  if (source.id === target.id) {
+    throw new Error('Cannot merge a category into itself');
+  }
+
+  const affected = {};
+  for (const [table, columns] of Object.entries(CATEGORY_MERGE_REFERENCES)) {
+    const where = columns.map(column => `${column} = ?`).join(' OR ');
+    affected[table] = db.prepare(`SELECT COUNT(*) as count FROM ${table} WHERE ${where}`)
+      .get(...columns.map(() => source.id)).count;
+  }
+  affected.budgets = db.prepare('SELECT COUNT(*) as count FROM budgets WHERE category_id = ?').get(source.id).count;
+  affected.categories = db.prepare('SELECT COUNT(*) as count FROM categories WHERE parent_category_id = ?').get(source.id).count;
+
+  const totalRows = Object.values(affected).reduce((sum, count) => sum + count, 0);
+  const result = {
+    success: true,
+    dryRun,
+    source: { id: source.id, name: source.name },
+    target: { id: target.id, name: target.name },
+    affected,
+    totalRows
+  };
+
+  if (dryRun) {
+    return result;
+  }
+
+  const transaction = db.transaction(() => {
+    for (const [table, columns] of Object.entries(CATEGORY_MERGE_REFERENCES)) {
+      for (const column of columns) {
+        db.prepare(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`).run(target.id, source.id);
+      }
+    }
+
+    // Split actions of rules point at the target
+    rewriteRuleSplitCategories(source.id, target.id);
+
+    // Categorization history follows too (neither is counted as affected rows)
+    db.prepare('UPDATE categorization_decisions SET category_id = ? WHERE category_id = ?').run(target.id, source.id);
+    db.prepare('UPDATE categorization_decisions SET previous_category_id = ? WHERE previous_category_id = ?').run(target.id, source.id);
+
+    // So do the labels of frozen evaluation sets
+    db.prepare('UPDATE evaluation_set_items SET expected_category_id = ? WHERE expected_category_id = ?').run(target.id, source.id);
+
+    // Budgets are unique per category and month: fold overlapping months into the target's budget
+    db.prepare(`
+      UPDATE budgets AS tb
+      SET amount = tb.amount + (SELECT sb.amount FROM budgets sb WHERE sb.category_id = ? AND sb.month = tb.month),
+          updated_at = datetime('now')
+      WHERE tb.category_id = ?
+        AND EXISTS (SELECT 1 FROM budgets sb WHERE sb.category_id = ? AND sb.month = tb.month)
+    `).run(source.id, target.id, source.id);
+    db.prepare(`
+      DELETE FROM budgets
+      WHERE category_id = ?
+        AND month IN (SELECT month FROM budgets WHERE category_id = ?)
+    `).run(source.id, target.id);
+    db.prepare('UPDATE budgets SET category_id = ? WHERE category_id = ?').run(target.id, source.id);
+
+    // Reparent sub-categories; if the target was itself a child of the source it takes the source's place
+    if (target.parent_category_id === source.id) {
+      db.prepare('UPDATE categories SET parent_category_id = ? WHERE id = ?').run(source.parent_category_id, target.id);
+    }
+    db.prepare('UPDATE categories SET parent_category_id = ? WHERE parent_category_id = ?').run(target.id, source.id);
+
+    db.prepare('DELETE FROM categories WHERE id = ?').run(source.id);
+  });
+
+  transaction();
+
+  console.log(`[Category] Merged "${source.name}" into "${target.name}" (${totalRows} rows moved)`);
+
+  return result;
+}
+
+/**
+ * Split-aware spending lines: every unsplit transaction, plus one line per split
+ * of a split transaction (dated and attributed to its parent). Split amounts are
+ * normalized to the parent's sign since older split suggestions stored expenses
+ * as negative values. Transfers between the user's own accounts and
+ * transactions excluded from reports are left out.
+ *
+ * Reimbursed money nets out: what others have repaid on a transaction (or
+ * split) comes off its line, and the part of a deposit that repaid someone
+ * else's share stops counting as income.
+ */
+const SPEND_LINES_SQL = `
+  SELECT
+    t.transaction_id,
+    t.date,
+    t.account_name,
+    t.category_id,
+    t.amount
+      - COALESCE((
+        SELECT SUM(p.amount) FROM reimbursement_payments p
+        JOIN reimbursements r ON r.id = p.reimbursement_id
+        WHERE r.transaction_id = t.transaction_id AND p.source != 'dismissed'
+      ), 0)
+      + COALESCE((
+        SELECT SUM(p.amount) FROM reimbursement_payments p
+        WHERE p.transaction_id = t.transaction_id AND p.source != 'dismissed'
+      ), 0) as amount
+  FROM transactions t
+  WHERE t.is_transfer != 'Yes' AND t.excluded_from_reports != 'Yes'
+  AND NOT EXISTS (
+    SELECT 1 FROM transaction_splits s WHERE s.parent_transaction_id = t.transaction_id
+  )
+  UNION ALL
+  SELECT
+    t.transaction_id,
+    t.date,
+    t.account_name,
+    s.category_id,
+    CASE WHEN t.amount < 0 THEN -ABS(s.amount) ELSE ABS(s.amount) END
+      - COALESCE((
+        SELECT SUM(p.amount) FROM reimbursement_payments p
+        JOIN reimbursements r ON r.id = p.reimbursement_id
+        WHERE r.split_id = s.id AND p.source != 'dismissed'
+      ), 0) as amount
+  FROM transaction_splits s
+  JOIN transactions t ON t.transaction_id = s.parent_transaction_id
+  WHERE t.is_transfer != 'Yes' AND t.excluded_from_reports != 'Yes'
+`;
+
+export function getCategorySpending(startDate = null, endDate = null) {
+  let spendSql = `
+    SELECT
+      category_id,
+      SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) as total,
+      COUNT(CASE WHEN amount > 0 THEN 1 END) as count
+    FROM (${SPEND_LINES_SQL})
+    WHERE category_id IS NOT NULL
+  `;
+  const params = [];
+
+  if (startDate) {
+    spendSql += ' AND date >= ?';
+    params.push(startDate);
+  }
+  if (endDate) {
+    spendSql += ' AND date <= ?';
+    params.push(endDate);
+  }
+
+  spendSql += ' GROUP BY category_id';
+
+  const sql = `
+    SELECT
+      c.name,
+      p.name as parent_category,
+      COALESCE(s.total, 0) as total,
+      COALESCE(s.count, 0) as count
+    FROM categories c
+    LEFT JOIN categories p ON p.id = c.parent_category_id
+    LEFT JOIN (${spendSql}) s ON s.category_id = c.id
+    ORDER BY total DESC
+  `;
+
+  const results = db.prepare(sql).all(...params);
+  const categories = results.map(r => ({
+    name: r.name,
+    parent_category: r.parent_category,
+    total: parseFloat(r.total),
+    count: r.count
+  }));
+
+  // Calculate parent category totals
+  const parentTotals = {};
+  categories.forEach(cat => {
+    if (cat.parent_category) {
+      if (!parentTotals[cat.parent_category]) {
+        parentTotals[cat.parent_category] = {
+          name: cat.parent_category,
+          parent_category: null,
+          total: 0,
+          count: 0,
+          children: []
+        };
+      }
+      parentTotals[cat.parent_category].total += cat.total;
+      parentTotals[cat.parent_category].count += cat.count;
+      parentTotals[cat.parent_category].children.push(cat);
+    }
+  });
+
+  return {
+    categories,
+    parentTotals: Object.values(parentTotals)
+  };
+}
+
+// ============================================================================
+// MAPPINGS & RULES
+// ============================================================================
+
+export function getPlaidCategoryMappings() {
+  return db.prepare(`
+    SELECT pm.*, c.name as user_category
+    FROM plaid_category_mappings pm
+    LEFT JOIN categories c ON c.id = pm.category_id
+  `).all();
+}
+
+export function getMerchantMappings() {
+  return db.prepare(`
+    SELECT mm.*, c.name as category
+    FROM merchant_mappings mm
+    LEFT JOIN categories c ON c.id = mm.category_id
+    ORDER BY mm.last_used DESC
+  `).all();
+}
+
+function getCategoryNamesById() {
+  return new Map(db.prepare('SELECT id, name FROM categories').all().map(c => [c.id, c.name]));
+}
+
+/**
+ * Parse a rule's condition tree (rules saved before conditions existed fall
+ * back to their pattern) and actions, and add readable summaries of both
+ * @param {Map} categoryNames - Category names by id, for the parts of split actions
+ */
+function parseCategoryRule(row, categoryNames) {
+  const conditions = row.conditions
+    ? JSON.parse(row.conditions)
+    : conditionsFromPattern(row.pattern, row.match_type);
+  const actions = (row.actions ? JSON.parse(row.actions) : []).map(action => (action.type === 'split'
+    ? { ...action, value: action.value.map(part => ({ ...part, category: categoryNames.get(part.category_id) ?? null })) }
+    : action));
+
+  return {
+    ...row,
+    conditions,
+    actions,
+    summary: describeConditions(conditions),
+    actions_summary: describeActions(actions)
+  };
+}
+
+/**
+ * Get category rules in the order they are evaluated (highest priority first)
+ */
+export function getCategoryRules() {
+  const categoryNames = getCategoryNamesById();
+  return db.prepare(`
+    SELECT r.*, c.name as category
+    FROM category_rules r
+    LEFT JOIN categories c ON c.id = r.category_id
+    ORDER BY r.priority DESC, r.id
+  `).all().map(row => parseCategoryRule(row, categoryNames));
+}
+
+export function getEnabledCategoryRules() {
+  const categoryNames = getCategoryNamesById();
+  return db.prepare(`
+    SELECT r.*, c.name as category
+    FROM category_rules r
+    LEFT JOIN categories c ON c.id = r.category_id
+    WHERE r.enabled = 'Yes'
+    ORDER BY r.priority DESC, r.id
+  `).all().map(row => parseCategoryRule(row, categoryNames));
+}
+
+export function saveMerchantMapping(merchantName, category) {
+  const categoryId = getOrCreateCategoryIdByName(category);
+
+  const stmt = db.prepare(`
+    INSERT INTO merchant_mappings (merchant_name, category_id, match_count, last_used)
+    VALUES (?, ?, 1, datetime('now'))
+    ON CONFLICT(merchant_name) DO UPDATE SET
+      category_id = excluded.category_id,
+      match_count = match_count + 1,
+      last_used = datetime('now')
+  `);
+  stmt.run(merchantName, categoryId);
+}
+
+export function savePlaidCategoryMapping(plaidCategory, userCategory) {
+  const categoryId = getOrCreateCategoryIdByName(userCategory);
+
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO plaid_category_mappings (plaid_category, category_id, auto_created)
+    VALUES (?, ?, 'Yes')
+  `);
+  stmt.run(plaidCategory, categoryId);
+}
+
+/**
+ * Work out what to store for a rule: a condition tree, plus the pattern and
+ * match type that describe it. Rules given only a pattern get the equivalent
+ * text condition; rules given conditions keep a pattern only if they are a
+ * single text test, and otherwise store the summary with match type 'conditions'.
+ */
+function resolveRuleDefinition(pattern, matchType, conditions) {
+  if (!conditions) {
+    return { pattern, matchType, conditions: conditionsFromPattern(pattern, matchType) };
+  }
+
+  const problems = validateConditions(conditions);
+  if (problems.length > 0) {
+    throw new Error(`Invalid rule conditions: ${problems.join('; ')}`);
+  }
+
+  const simple = patternFromConditions(conditions);
+  return {
+    pattern: simple ? simple.pattern : describeConditions(conditions),
+    matchType: simple ? simple.matchType : 'conditions',
+    conditions
+  };
+}
+
+/**
+ * Validate a rule's actions and serialize them for storage (split parts keep
+ * only their category_id and percent, not the names they were loaded with)
+ * @returns {string|null} JSON, or null when no actions were given
+ */
+function serializeRuleActions(actions) {
+  if (actions === undefined || actions === null) {
+    return null;
+  }
+
+  const problems = validateActions(actions, getCategoryIds());
+  if (problems.length > 0) {
+    throw new Error(`Invalid rule actions: ${problems.join('; ')}`);
+  }
+
+  return JSON.stringify(actions.map(action => (action.type === 'split'
+    ? { ...action, value: action.value.map(({ category_id, percent }) => ({ category_id, percent: Number(percent) })) }
+    : action)));
+}
+
+/**
+ * Ids of every category, for checking the split parts of rule actions
+ */
+export function getCategoryIds() {
+  return new Set(db.prepare('SELECT id FROM categories').all().map(c => c.id));
+}
+
+/**
+ * Create a category rule
+ * A rule without a category only runs its actions.
+ * @param {Object} options - { conditions, priority, actions } (conditions replace pattern/matchType)
+ */
+export function createCategoryRule(name, pattern, category, matchType = 'regex', userCreated = 'Yes', options = {}) {
+  // Generate a unique name if the provided name already exists
+  let uniqueName = name;
+  let counter = 2;
+
+  while (true) {
+    const existingRule = db.prepare('SELECT id FROM category_rules WHERE name = ?').get(uniqueName);
+    if (!existingRule) {
+      break; // Name is unique
+    }
+    uniqueName = `${name} (${counter})`;
+    counter++;
+  }
+
+  const categoryId = getOrCreateCategoryIdByName(category);
+  const definition = resolveRuleDefinition(pattern, matchType, options.conditions);
+  const actions = serializeRuleActions(options.actions);
+
+  if (!categoryId && !options.actions?.length) {
+    throw new Error('A rule needs a category or at least one action');
+  }
+
+  const stmt = db.prepare(`
+    INSERT INTO category_rules (name, pattern, category_id, match_type, user_created, enabled, conditions, priority, actions)
+    VALUES (?, ?, ?, ?, ?, 'Yes', ?, ?, ?)
+  `);
+  const result = stmt.run(
+    uniqueName,
+    definition.pattern,
+    categoryId,
+    definition.matchType,
+    userCreated,
+    JSON.stringify(definition.conditions),
+    options.priority ?? 0,
+    actions
+  );
+  return {
+    id: result.lastInsertRowid,
+    name: uniqueName
+  };
+}
+
+/**
+ * Update a category rule
+ * @param {Object} options - { conditions, priority, actions } (priority and actions are kept when not given)
+ */
+export function updateCategoryRule(id, name, pattern, category, matchType, enabled = 'Yes', options = {}) {
+  const categoryId = getOrCreateCategoryIdByName(category);
+  const definition = resolveRuleDefinition(pattern, matchType, options.conditions);
+  const actions = serializeRuleActions(options.actions);
+
+  if (!categoryId && options.actions && options.actions.length === 0) {
+    throw new Error('A rule needs a category or at least one action');
+  }
+
+  const stmt = db.prepare(`
+    UPDATE category_rules
+    SET name = ?, pattern = ?, category_id = ?, match_type = ?, enabled = ?,
+        conditions = ?, priority = COALESCE(?, priority), actions = COALESCE(?, actions),
+        updated_at = datetime('now')
+    WHERE id = ?
+  `);
+  stmt.run(
+    name,
+    definition.pattern,
+    categoryId,
+    definition.matchType,
+    enabled,
+    JSON.stringify(definition.conditions),
+    options.priority ?? null,
+    actions,
+    id
+  );
+}
+
+export function deleteCategoryRule(id) {
+  const stmt = db.prepare('DELETE FROM category_rules WHERE id = ?');
+  stmt.run(id);
+}
+
+/**
+ * Find transactions a rule's conditions match, newest first
+ * @param {Object} conditions - Condition tree
+ * @param {number} limit - Maximum matches to return
+ * @returns {Array} Matching transactions
+ */
+export function previewRuleMatches(conditions, limit = 100) {
+  const problems = validateConditions(conditions);
+  if (problems.length > 0) {
+    throw new Error(`Invalid rule conditions: ${problems.join('; ')}`);
+  }
+
+  const allTransactions = db.prepare(`
+    ${TRANSACTION_SELECT_SQL}
+    ORDER BY t.date DESC
+  `).all();
+
+  const matches = [];
+  for (const transaction of allTransactions) {
+    if (evaluateConditions(conditions, toRuleInput(transaction))) {
+      matches.push(transaction);
+      if (matches.length >= limit) break;
+    }
+  }
+
+  return matches;
+}
+
+// ============================================================================
+// RULE ACTIONS
+// ============================================================================
+
+/**
+ * Record that a rule changed a transaction
+ * @param {Object} rule - Rule that made the change
+ * @param {string} transactionId - Transaction ID
+ * @param {string} action - Action type (or 'set_category')
+ * @param {*} oldValue - Value before the change
+ * @param {*} newValue - Value after the change
+ * @param {string} trigger - What ran the rule: 'save' or 'recategorize'
+ */
+function recordRuleApplication(rule, transactionId, action, oldValue, newValue, trigger) {
+  const serialize = (value) => (value === null || value === undefined || typeof value === 'string'
+    ? value ?? null
+    : JSON.stringify(value));
+
+  db.prepare(`
+    INSERT INTO rule_applications (rule_id, rule_name, transaction_id, action, old_value, new_value, trigger, applied_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+  `).run(rule.id, rule.name, transactionId, action, serialize(oldValue), serialize(newValue), trigger);
+}
+
+/**
+ * Whether a rule already made this exact change to a transaction
+ */
+function wasRuleApplied(rule, transactionId, action, newValue) {
+  return !!db.prepare(`
+    SELECT 1 FROM rule_applications
+    WHERE rule_id = ? AND transaction_id = ? AND action = ? AND new_value = ?
+    LIMIT 1
+  `).get(rule.id, transactionId, action, newValue);
+}
+
+/**
+ * Run the actions of every matching rule on a stored transaction
+ * Rules run highest priority first. A display name, note or split set by one
+ * rule isn't overwritten by a lower-priority rule in the same pass; tags from
+ * every matching rule are added. Re-running is safe: an action that would not
+ * change anything is skipped and not recorded, and a rename or exclusion the
+ * user reverted isn't applied again by the same rule. A note is only written
+ * when the transaction has none, so a note typed by the user is kept, and a
+ * transfer flag the user set either way is left alone.
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} ruleInput - Output of toRuleInput for the transaction
+ * @param {Array} rules - Enabled rules in priority order
+ * @param {string} trigger - 'save' or 'recategorize'
+ * @returns {number} Number of changes made
+ */
+function applyRuleActions(transactionId, ruleInput, rules, trigger) {
+  const row = db.prepare('SELECT * FROM transactions WHERE transaction_id = ?').get(transactionId);
+  if (!row) return 0;
+
+  const claimed = new Set();
+  let changes = 0;
+
+  for (const rule of rules) {
+    if (rule.actions.length === 0) continue;
+
+    try {
+      if (!evaluateConditions(rule.conditions, ruleInput)) continue;
+    } catch (e) {
+      console.warn(`Invalid conditions in rule "${rule.name}": ${rule.summary}`, e);
+      continue;
+    }
+
+    for (const action of rule.actions) {
+      if (['rename', 'set_note', 'split'].includes(action.type)) {
+        if (claimed.has(action.type)) continue;
+        claimed.add(action.type);
+      }
+
+      switch (action.type) {
+        case 'rename': {
+          const displayName = action.value.trim();
+          if (row.display_name === displayName || wasRuleApplied(rule, transactionId, action.type, displayName)) break;
+
+          db.prepare('UPDATE transactions SET display_name = ? WHERE transaction_id = ?').run(displayName, transactionId);
+          recordRuleApplication(rule, transactionId, action.type, row.display_name, displayName, trigger);
+          row.display_name = displayName;
+          changes++;
+          break;
+        }
+
+        case 'set_note': {
+          if (row.notes) break;
+
+          db.prepare('UPDATE transactions SET notes = ? WHERE transaction_id = ?').run(action.value, transactionId);
+          recordRuleApplication(rule, transactionId, action.type, null, action.value, trigger);
+          row.notes = action.value;
+          changes++;
+          break;
+        }
+
+        case 'add_tags': {
+          const tags = getTransactionTags([transactionId]).get(transactionId) || [];
+          const added = normalizeTagNames(action.value)
+            .filter(tag => !tags.some(existing => existing.toLowerCase() === tag.toLowerCase()));
+          if (added.length === 0) break;
+
+          addTransactionTags([transactionId], added, 'rule');
+          recordRuleApplication(rule, transactionId, action.type, tags, [...tags, ...added], trigger);
+          changes++;
+          break;
+        }
+
+        case 'split': {
+          // Existing splits (the user's or an earlier run's) are never replaced
+          const hasSplits = db.prepare('SELECT 1 FROM transaction_splits WHERE parent_transaction_id = ? LIMIT 1').get(transactionId);
+          if (hasSplits) break;
+
+          const splits = splitByPercent(row.amount, action.value).map(split => ({
+            ...split,
+            reasoning: `Rule "${rule.name}"`,
+            source: 'rule'
+          }));
+          createTransactionSplits(transactionId, splits);
+          recordRuleApplication(rule, transactionId, action.type, null, splits.map(({ amount }, index) => ({ category: action.value[index].category, amount })), trigger);
+          changes++;
+          break;
+        }
+
+        case 'mark_transfer': {
+          if (row.is_transfer === 'Yes' || row.transfer_source) break;
+
+          db.prepare(`
+            UPDATE transactions SET is_transfer = 'Yes', transfer_source = 'rule'
+            WHERE transaction_id = ?
+          `).run(transactionId);
+          recordRuleApplication(rule, transactionId, action.type, 'No', 'Yes', trigger);
+          row.is_transfer = 'Yes';
+          row.transfer_source = 'rule';
+          changes++;
+          break;
+        }
+
+        case 'exclude_from_reports': {
+          if (row.excluded_from_reports === 'Yes' || wasRuleApplied(rule, transactionId, action.type, 'Yes')) break;
+
+          db.prepare("UPDATE transactions SET excluded_from_reports = 'Yes' WHERE transaction_id = ?").run(transactionId);
+          recordRuleApplication(rule, transactionId, action.type, 'No', 'Yes', trigger);
+          row.excluded_from_reports = 'Yes';
+          changes++;
+          break;
+        }
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Get the audit trail of rule changes, newest first
+ * @param {Object} filters - { ruleId, transactionId, limit }
+ * @returns {Array} Rule applications
+ */
+export function getRuleApplications(filters = {}) {
+  let sql = `
+    SELECT ra.*, t.date, t.description, t.merchant_name, t.amount
+    FROM rule_applications ra
+    JOIN transactions t ON t.transaction_id = ra.transaction_id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (filters.ruleId) {
+    sql += ' AND ra.rule_id = ?';
+    params.push(filters.ruleId);
+  }
+
+  if (filters.transactionId) {
+    sql += ' AND ra.transaction_id = ?';
+    params.push(filters.transactionId);
+  }
+
+  sql += ' ORDER BY ra.applied_at DESC, ra.id DESC LIMIT ?';
+  params.push(filters.limit || 100);
+
+  return db.prepare(sql).all(...params);
+}
+
+// ============================================================================
+// CATEGORIZATION DECISIONS
+// ============================================================================
+
+/**
+ * Record how a transaction got its category (see migration 019 for the stages)
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} decision - { stage, trigger, categoryId, previousCategoryId, confidenceBefore,
+ *   confidenceAfter, ruleId, ruleName, mappingKey, details }
+ *   trigger is what ran the step: 'save', 'recategorize', 'user', 'bulk', 'ai',
+ *   'amazon' or 'merchant'; details is an object (reasoning, neighbors, alternatives...)
+ */
+export function recordCategorizationDecision(transactionId, decision) {
+  const details = Object.fromEntries(
+    Object.entries(decision.details || {}).filter(([, value]) =>
+      value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0))
+  );
+
+  db.prepare(`
+    INSERT INTO categorization_decisions (
+      transaction_id, stage, trigger, category_id, previous_category_id,
+      confidence_before, confidence_after, rule_id, rule_name, mapping_key, details, decided_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+  `).run(
+    transactionId,
+    decision.stage,
+    decision.trigger,
+    decision.categoryId ?? null,
+    decision.previousCategoryId ?? null,
+    decision.confidenceBefore ?? null,
+    decision.confidenceAfter ?? null,
+    decision.ruleId ?? null,
+    decision.ruleName ?? null,
+    decision.mappingKey ?? null,
+    Object.keys(details).length > 0 ? JSON.stringify(details) : null
+  );
+}
+
+/**
+ * Turn an autoCategorizeTransaction result into a decision
+ * @param {Object} result - autoCategorizeTransaction result
+ * @param {number} categoryId - Category it was saved as
+ * @param {string} trigger - 'save' or 'recategorize'
+ * @param {Object} previous - Transaction row before the change, if it existed
+ */
+function autoCategorizationDecision(result, categoryId, trigger, previous = null) {
+  return {
+    stage: result.stage,
+    trigger,
+    categoryId,
+    previousCategoryId: previous?.category_id,
+    confidenceBefore: previous?.confidence,
+    confidenceAfter: result.confidence,
+    ruleId: result.rule?.id,
+    ruleName: result.rule?.name,
+    mappingKey: result.mappingKey,
+    details: result.details
+  };
+}
+
+/**
+ * Look up the rule, mapping or merchant a decision points at as it is now,
+ * so the history can offer to fix it
+ * @returns {Object|null} { type, exists, name, category, enabled }
+ */
+function getDecisionSource(decision) {
+  if (decision.rule_id || decision.stage === 'rule') {
+    const rule = decision.rule_id
+      ? db.prepare(`
+          SELECT r.id, r.name, r.enabled, c.name as category
+          FROM category_rules r
+          LEFT JOIN categories c ON c.id = r.category_id
+          WHERE r.id = ?
+        `).get(decision.rule_id)
+      : null;
+    return {
+      type: 'rule',
+      id: decision.rule_id,
+      exists: !!rule,
+      name: rule?.name || decision.rule_name,
+      category: rule?.category || null,
+      enabled: rule ? rule.enabled === 'Yes' : false
+    };
+  }
+
+  if (!decision.mapping_key) {
+    return null;
+  }
+
+  if (['merchant_mapping', 'description_mapping', 'fuzzy_match'].includes(decision.stage)) {
+    const mapping = db.prepare(`
+      SELECT mm.merchant_name, c.name as category
+      FROM merchant_mappings mm
+      LEFT JOIN categories c ON c.id = mm.category_id
+      WHERE mm.merchant_name = ?
+    `).get(decision.mapping_key);
+    return { type: 'merchant_mapping', exists: !!mapping, name: decision.mapping_key, category: mapping?.category || null };
+  }
+
+  if (['plaid_mapping', 'plaid_default'].includes(decision.stage)) {
+    const mapping = db.prepare(`
+      SELECT pm.plaid_category, c.name as category
+      FROM plaid_category_mappings pm
+      LEFT JOIN categories c ON c.id = pm.category_id
+      WHERE pm.plaid_category = ?
+    `).get(decision.mapping_key);
+    return { type: 'plaid_mapping', exists: !!mapping, name: decision.mapping_key, category: mapping?.category || null };
+  }
+
+  if (decision.stage === 'merchant_default') {
+    const merchant = db.prepare(`
+      SELECT m.id, m.name, c.name as category
+      FROM merchants m
+      LEFT JOIN categories c ON c.id = m.default_category_id
+      WHERE m.id = ?
+    `).get(parseInt(decision.mapping_key));
+    return { type: 'merchant', id: merchant?.id || null, exists: !!merchant, name: merchant?.name || null, category: merchant?.category || null };
+  }
+
+  return null;
+}
+
+/**
+ * Get every recorded categorization decision for a transaction, newest first,
+ * each with the current state of the rule or mapping that made it (source)
+ * @param {string} transactionId - Transaction ID
+ * @param {number} limit - Maximum decisions to return
+ * @returns {Object} { transaction, decisions }
+ */
+export function getCategorizationHistory(transactionId, limit = 50) {
+  const transaction = getTransactionById(transactionId);
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+
+  const decisions = db.prepare(`
+    SELECT d.*, c.name as category, pc.name as previous_category
+    FROM categorization_decisions d
+    LEFT JOIN categories c ON c.id = d.category_id
+    LEFT JOIN categories pc ON pc.id = d.previous_category_id
+    WHERE d.transaction_id = ?
+    ORDER BY d.id DESC
+    LIMIT ?
+  `).all(transactionId, limit).map(row => {
+    const decision = { ...row, details: row.details ? JSON.parse(row.details) : {} };
+    return { ...decision, source: getDecisionSource(decision) };
+  });
+
+  return {
+    transaction: {
+      transaction_id: transaction.transaction_id,
+      date: transaction.date,
+      description: transaction.description,
+      merchant_name: transaction.merchant_name,
+      amount: transaction.amount,
+      category: transaction.category,
+      confidence: transaction.confidence,
+      verified: transaction.verified === 'Yes',
+      categorization_reasoning: transaction.categorization_reasoning
+    },
+    decisions
+  };
+}
+
+/**
+ * Turn a rule on or off without touching its definition
+ */
+export function setCategoryRuleEnabled(id, enabled) {
+  const result = db.prepare(`
+    UPDATE category_rules SET enabled = ?, updated_at = datetime('now') WHERE id = ?
+  `).run(enabled ? 'Yes' : 'No', id);
+
+  if (result.changes === 0) {
+    throw new Error('Rule not found');
+  }
+}
+
+/**
+ * Point a merchant mapping at a different category
+ */
+export function updateMerchantMapping(merchantName, category) {
+  const categoryId = getCategoryIdByName(category);
+  if (!categoryId) {
+    throw new Error('Category not found');
+  }
+
+  const result = db.prepare('UPDATE merchant_mappings SET category_id = ? WHERE merchant_name = ?')
+    .run(categoryId, merchantName);
+  if (result.changes === 0) {
+    throw new Error('Merchant mapping not found');
+  }
+}
+
+export function deleteMerchantMapping(merchantName) {
+  const result = db.prepare('DELETE FROM merchant_mappings WHERE merchant_name = ?').run(merchantName);
+  if (result.changes === 0) {
+    throw new Error('Merchant mapping not found');
+  }
+}
+
+/**
+ * Point a Plaid category mapping at a different category (it then counts as
+ * set by the user rather than auto-created)
+ */
+export function updatePlaidCategoryMapping(plaidCategory, category) {
+  const categoryId = getCategoryIdByName(category);
+  if (!categoryId) {
+    throw new Error('Category not found');
+  }
+
+  const result = db.prepare(`
+    UPDATE plaid_category_mappings SET category_id = ?, auto_created = 'No' WHERE plaid_category = ?
+  `).run(categoryId, plaidCategory);
+  if (result.changes === 0) {
+    throw new Error('Plaid category mapping not found');
+  }
+}
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+export function getConfig(key) {
+  const row = db.prepare('SELECT value FROM config WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+
+export function setConfig(key, value) {
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO config (key, value) VALUES (?, ?)
+  `);
+  stmt.run(key, value);
+}
+
+export function deleteConfig(key) {
+  const stmt = db.prepare('DELETE FROM config WHERE key = ?');
+  stmt.run(key);
+}
+
+// ============================================================================
+// AMAZON ORDERS & ITEMS
+// ============================================================================
+
+/**
+ * Amazon items with the user's category name resolved from category_id
+ * (item.category is Amazon's own product category)
+ */
+const AMAZON_ITEM_SELECT_SQL = `
+  SELECT ai.*, c.name as user_category
+  FROM amazon_items ai
+  LEFT JOIN categories c ON c.id = ai.category_id
+`;
+
+/**
+ * Add or update an Amazon order
+ */
+export function upsertAmazonOrder(orderData) {
+  console.log(`\n[DATABASE] Saving order ${orderData.order_id}:`);
+  console.log(`  total_amount: ${orderData.total_amount}`);
+  console.log(`  subtotal: ${orderData.subtotal || null}`);
+  console.log(`  tax: ${orderData.tax || null}`);
+  console.log(`  shipping: ${orderData.shipping || null}`);
+
+  const stmt = db.prepare(`
+    INSERT INTO amazon_orders (
+      order_id, order_date, total_amount, subtotal, tax, shipping,
+      payment_method, shipping_address, order_status, account_name,
+      website, purchase_order_number, currency, total_discounts,
+      billing_address, ship_date, shipping_option,
+      created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+    ON CONFLICT(order_id) DO UPDATE SET
+      order_date = excluded.order_date,
+      total_amount = excluded.total_amount,
+      subtotal = excluded.subtotal,
+      tax = excluded.tax,
+      shipping = excluded.shipping,
+      payment_method = excluded.payment_method,
+      shipping_address = excluded.shipping_address,
+      order_status = excluded.order_status,
+      account_name = excluded.account_name,
+      website = excluded.website,
+      purchase_order_number = excluded.purchase_order_number,
+      currency = excluded.currency,
+      total_discounts = excluded.total_discounts,
+      billing_address = excluded.billing_address,
+      ship_date = excluded.ship_date,
+      shipping_option = excluded.shipping_option,
+      updated_at = datetime('now')
+  `);
+
+  stmt.run(
+    orderData.order_id,
+    orderData.order_date,
+    orderData.total_amount,
+    orderData.subtotal || null,
+    orderData.tax || null,
+    orderData.shipping || null,
+    orderData.payment_method || null,
+    orderData.shipping_address || null,
+    orderData.order_status || 'delivered',
+    orderData.account_name || 'Primary',
+    orderData.website || null,
+    orderData.purchase_order_number || null,
+    orderData.currency || null,
+    orderData.total_discounts || null,
+    orderData.billing_address || null,
+    orderData.ship_date || null,
+    orderData.shipping_option || null
+  );
+
+  return orderData.order_id;
+}
+
+/**
+ * Add Amazon items for an order
+ */
+export function addAmazonItems(orderId, items) {
+  // Delete existing items for this order
+  db.prepare('DELETE FROM amazon_items WHERE order_id = ?').run(orderId);
+
+  const stmt = db.prepare(`
+    INSERT INTO amazon_items (
+      order_id, asin, title, category, price, quantity,
+      seller, product_url, image_url, return_status, return_date, refund_amount,
+      product_condition, unit_price_tax, shipment_item_subtotal, shipment_item_subtotal_tax,
+      shipment_status, ship_date, carrier_tracking, gift_message, gift_sender_name,
+      gift_recipient_contact, item_serial_number
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const insertMany = db.transaction((items) => {
+    for (const item of items) {
+      stmt.run(
+        orderId,
+        item.asin || null,
+        item.title,
+        item.category || null,
+        item.price,
+        item.quantity || 1,
+        item.seller || null,
+        item.product_url || null,
+        item.image_url || null,
+        item.return_status || null,
+        item.return_date || null,
+        item.refund_amount || null,
+        item.product_condition || null,
+        item.unit_price_tax || null,
+        item.shipment_item_subtotal || null,
+        item.shipment_item_subtotal_tax || null,
+        item.shipment_status || null,
+        item.ship_date || null,
+        item.carrier_tracking || null,
+        item.gift_message || null,
+        item.gift_sender_name || null,
+        item.gift_recipient_contact || null,
+        item.item_serial_number || null
+      );
+    }
+  });
+
+  insertMany(items);
+}
+
+/**
+ * Get all Amazon orders with optional filters
+ */
+export function getAmazonOrders(filters = {}) {
+  let sql = 'SELECT * FROM amazon_orders';
+  const conditions = [];
+  const params = [];
+
+  // Always exclude $0 orders (cancelled/refunded items)
+  conditions.push('total_amount > 0');
+
+  if (filters.startDate) {
+    conditions.push('order_date >= ?');
+    params.push(filters.startDate);
+  }
+
+  if (filters.endDate) {
+    conditions.push('order_date <= ?');
+    params.push(filters.endDate);
+  }
+
+  if (filters.matched !== undefined) {
+    if (filters.matched) {
+      conditions.push('matched_transaction_id IS NOT NULL');
+    } else {
+      conditions.push('matched_transaction_id IS NULL');
+    }
+  }
+
+  if (filters.accountName) {
+    conditions.push('account_name = ?');
+    params.push(filters.accountName);
+  }
+
+  if (conditions.length > 0) {
+    sql += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  sql += ' ORDER BY order_date DESC';
+
+  // Add pagination support
+  if (filters.limit) {
+    sql += ' LIMIT ?';
+    params.push(filters.limit);
+
+    if (filters.offset) {
+      sql += ' OFFSET ?';
+      params.push(filters.offset);
+    }
+  }
+
+  const orders = db.prepare(sql).all(...params);
+
+  // Fetch all items for these orders in a single query (fix N+1 problem)
+  if (orders.length === 0) {
+    return [];
+  }
+
+  const orderIds = orders.map(o => o.order_id);
+  const placeholders = orderIds.map(() => '?').join(',');
+  const allItems = db.prepare(`${AMAZON_ITEM_SELECT_SQL} WHERE ai.order_id IN (${placeholders})`).all(...orderIds);
+
+  // Group items by order_id
+  const itemsByOrderId = {};
+  for (const item of allItems) {
+    if (!itemsByOrderId[item.order_id]) {
+      itemsByOrderId[item.order_id] = [];
+    }
+    itemsByOrderId[item.order_id].push(item);
+  }
+
+  // Attach items to each order
+  return orders.map(order => ({
+    ...order,
+    items: itemsByOrderId[order.order_id] || []
+  }));
+}
+
+/**
+ * Get Amazon order by ID with items
+ */
+export function getAmazonOrderWithItems(orderId) {
+  const order = db.prepare('SELECT * FROM amazon_orders WHERE order_id = ?').get(orderId);
+
+  if (!order) {
+    return null;
+  }
+
+  const items = db.prepare(`${AMAZON_ITEM_SELECT_SQL} WHERE ai.order_id = ?`).all(orderId);
+
+  return {
+    ...order,
+    items
+  };
+}
+
+/**
+ * Get all Amazon items with order info
+ */
+export function getAmazonItemsWithOrders() {
+  return db.prepare(`
+    SELECT
+      i.*,
+      c.name as user_category,
+      o.order_date,
+      o.total_amount as order_total,
+      o.matched_transaction_id
+    FROM amazon_items i
+    JOIN amazon_orders o ON i.order_id = o.order_id
+    LEFT JOIN categories c ON c.id = i.category_id
+    ORDER BY o.order_date DESC, i.id
+  `).all();
+}
+
+/**
+ * Link an Amazon order to a transaction
+ */
+export function linkAmazonOrderToTransaction(orderId, transactionId, confidence = 85) {
+  const stmt = db.prepare(`
+    UPDATE amazon_orders
+    SET matched_transaction_id = ?, match_confidence = ?, updated_at = datetime('now')
+    WHERE order_id = ?
+  `);
+
+  stmt.run(transactionId, confidence, orderId);
+}
+
+/**
+ * Unlink an Amazon order from its transaction
+ */
+export function unlinkAmazonOrder(orderId) {
+  const stmt = db.prepare(`
+    UPDATE amazon_orders
+    SET matched_transaction_id = NULL, match_confidence = 0, match_verified = 'No', updated_at = datetime('now')
+    WHERE order_id = ?
+  `);
+
+  stmt.run(orderId);
+}
+
+/**
+ * Verify an Amazon order match
+ */
+export function verifyAmazonMatch(orderId) {
+  const stmt = db.prepare(`
+    UPDATE amazon_orders
+    SET match_verified = 'Yes', updated_at = datetime('now')
+    WHERE order_id = ?
+  `);
+
+  stmt.run(orderId);
+
+  const order = db.prepare('SELECT * FROM amazon_orders WHERE order_id = ?').get(orderId);
+  return { success: true, order };
+}
+
+/**
+ * Unverify an Amazon order match
+ */
+export function unverifyAmazonMatch(orderId) {
+  const stmt = db.prepare(`
+    UPDATE amazon_orders
+    SET match_verified = 'No', updated_at = datetime('now')
+    WHERE order_id = ?
+  `);
+
+  stmt.run(orderId);
+
+  const order = db.prepare('SELECT * FROM amazon_orders WHERE order_id = ?').get(orderId);
+  return { success: true, order };
+}
+
+/**
+ * Reset all Amazon order matchings
+ * Unlinks all matched transactions from Amazon orders
+ */
+export function resetAllAmazonMatchings() {
+  const stmt = db.prepare(`
+    UPDATE amazon_orders
+    SET matched_transaction_id = NULL,
+        match_confidence = 0,
+        match_verified = 'No',
+        updated_at = datetime('now')
+    WHERE matched_transaction_id IS NOT NULL
+  `);
+
+  const result = stmt.run();
+  console.log(`Reset ${result.changes} Amazon order matchings`);
+
+  return {
+    success: true,
+    count: result.changes,
+    message: `Reset ${result.changes} Amazon order matchings`
+  };
+}
+
+/**
+ * Delete all Amazon orders and items
+ * WARNING: This is destructive and cannot be undone
+ */
+export function deleteAllAmazonData() {
+  const deleteAll = db.transaction(() => {
+    // Get counts before deleting
+    const orderCount = db.prepare('SELECT COUNT(*) as count FROM amazon_orders').get().count;
+    const itemCount = db.prepare('SELECT COUNT(*) as count FROM amazon_items').get().count;
+
+    // Delete all items first (due to foreign key constraint)
+    db.prepare('DELETE FROM amazon_items').run();
+
+    // Delete all orders
+    db.prepare('DELETE FROM amazon_orders').run();
+
+    console.log(`Deleted ${orderCount} Amazon orders and ${itemCount} items`);
+
+    return {
+      success: true,
+      ordersDeleted: orderCount,
+      itemsDeleted: itemCount,
+      message: `Deleted ${orderCount} orders and ${itemCount} items`
+    };
+  });
+
+  return deleteAll();
+}
+
+/**
+ * Delete Amazon data for a specific account
+ */
+export function deleteAmazonDataByAccount(accountName) {
+  const deleteByAccount = db.transaction(() => {
+    // Get order IDs for this account
+    const orderIds = db.prepare('SELECT order_id FROM amazon_orders WHERE account_name = ?').all(accountName);
+
+    if (orderIds.length === 0) {
+      return {
+        success: true,
+        ordersDeleted: 0,
+        itemsDeleted: 0,
+        message: `No orders found for account "${accountName}"`
+      };
+    }
+
+    // Count items before deleting
+    const itemCount = db.prepare(`
+      SELECT COUNT(*) as count FROM amazon_items
+      WHERE order_id IN (SELECT order_id FROM amazon_orders WHERE account_name = ?)
+    `).get(accountName).count;
+
+    // Delete items for orders in this account
+    db.prepare(`
+      DELETE FROM amazon_items
+      WHERE order_id IN (SELECT order_id FROM amazon_orders WHERE account_name = ?)
+    `).run(accountName);
+
+    // Delete orders for this account
+    const result = db.prepare('DELETE FROM amazon_orders WHERE account_name = ?').run(accountName);
+
+    console.log(`Deleted ${result.changes} Amazon orders and ${itemCount} items for account "${accountName}"`);
+
+    return {
+      success: true,
+      ordersDeleted: result.changes,
+      itemsDeleted: itemCount,
+      message: `Deleted ${result.changes} orders and ${itemCount} items for account "${accountName}"`
+    };
+  });
+
+  return deleteByAccount();
+}
+
+/**
+ * Get all unique Amazon account names
+ */
+export function getAmazonAccountNames() {
+  return db.prepare(`
+    SELECT DISTINCT account_name
+    FROM amazon_orders
+    WHERE account_name IS NOT NULL
+    ORDER BY account_name
+  `).all().map(row => row.account_name);
+}
+
+/**
+ * Get unmatched Amazon orders
+ */
+export function getUnmatchedAmazonOrders() {
+  return db.prepare(`
+    SELECT * FROM amazon_orders
+    WHERE matched_transaction_id IS NULL
+      AND total_amount > 0
+    ORDER BY order_date DESC
+  `).all();
+}
+
+/**
+ * Get Amazon order statistics
+ */
+export function getAmazonOrderStats(accountName = null) {
+  const whereClause = accountName
+    ? 'WHERE total_amount > 0 AND account_name = ?'
+    : 'WHERE total_amount > 0';
+  const params = accountName ? [accountName] : [];
+
+  const stats = db.prepare(`
+    SELECT
+      COUNT(*) as total_orders,
+      SUM(CASE WHEN matched_transaction_id IS NOT NULL THEN 1 ELSE 0 END) as matched_orders,
+      SUM(total_amount) as total_spent,
+      COUNT(DISTINCT strftime('%Y-%m', order_date)) as months_with_orders
+    FROM amazon_orders
+    ${whereClause}
+  `).get(...params);
+
+  const categoryWhereClause = accountName
+    ? 'WHERE i.category IS NOT NULL AND o.total_amount > 0 AND o.account_name = ?'
+    : 'WHERE i.category IS NOT NULL AND o.total_amount > 0';
+
+  const categoryBreakdown = db.prepare(`
+    SELECT
+      i.category,
+      COUNT(*) as item_count,
+      SUM(i.price * i.quantity) as total_spent
+    FROM amazon_items i
+    JOIN amazon_orders o ON i.order_id = o.order_id
+    ${categoryWhereClause}
+    GROUP BY i.category
+    ORDER BY total_spent DESC
+    LIMIT 10
+  `).all(...params);
+
+  return {
+    ...stats,
+    categoryBreakdown
+  };
+}
+
+// ============================================================================
+// TRANSACTION SPLITTING
+// ============================================================================
+
+/**
+ * Suggest transaction splits based on Amazon items
+ * @param {string} transactionId - Transaction ID
+ * @returns {Object} - Suggested splits with reasoning
+ */
+export function suggestTransactionSplits(transactionId) {
+  // Get the transaction
+  const transaction = db.prepare(`
+    SELECT t.*, o.order_id
+    FROM transactions t
+    LEFT JOIN amazon_orders o ON t.transaction_id = o.matched_transaction_id
+    WHERE t.transaction_id = ?
+  `).get(transactionId);
+
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+
+  // If not linked to Amazon order, can't auto-suggest
+  if (!transaction.order_id) {
+    return {
+      canSplit: false,
+      reason: 'Transaction not linked to Amazon order',
+      suggestions: []
+    };
+  }
+
+  // Get Amazon items for this order
+  const items = db.prepare(`
+    ${AMAZON_ITEM_SELECT_SQL}
+    WHERE ai.order_id = ?
+    ORDER BY ai.price DESC
+  `).all(transaction.order_id);
 
-  return processedTransactions;
-}
+  if (items.length <= 1) {
+    return {
+      canSplit: false,
+      reason: 'Order has only one item',
+      suggestions: []
+    };
+  }
 
-export function saveTransactions(transactions, categorizationData) {
-  if (transactions.length === 0) return 0;
+  // Group items by category
+  const categoryGroups = {};
+  items.forEach(item => {
+    const category = item.category || 'Uncategorized';
+    if (!categoryGroups[category]) {
+      categoryGroups[category] = {
+        category,
+        items: [],
+        total: 0
+      };
+    }
+    categoryGroups[category].items.push(item);
+    categoryGroups[category].total += (item.price || 0) * (item.quantity || 1);
+  });
 
-  console.log(`  📝 Processing ${transactions.length} transaction(s) from Plaid...`);
+  // Create split suggestions
+  const suggestions = Object.values(categoryGroups).map(group => ({
+    category: group.category,
+    amount: -Math.abs(group.total), // Negative for expense
+    items: group.items.map(item => item.title || 'Unknown item'),
+    item_count: group.items.length,
+    reasoning: `${group.items.length} item(s) in ${group.category}`
+  }));
 
-  // Debug: Log first transaction to see Plaid data structure
-  if (transactions.length > 0 && process.env.DEBUG_CATEGORIZATION) {
-    console.log('  🔍 Debug - Sample Plaid transaction:');
-    console.log('     merchant_name:', transactions[0].merchant_name);
-    console.log('     name:', transactions[0].name);
-    console.log('     category:', transactions[0].category);
-    console.log('     personal_finance_category:', transactions[0].personal_finance_category);
-  }
+  return {
+    canSplit: true,
+    transaction_id: transactionId,
+    original_amount: transaction.amount,
+    suggestions,
+    total_suggested: suggestions.reduce((sum, s) => sum + Math.abs(s.amount), 0)
+  };
+}
 
-  // Get categorization data if not provided
-  if (!categorizationData) {
-    categorizationData = {
-      merchantMappings: getMerchantMappings(),
-      categoryRules: getEnabledCategoryRules(),
-      plaidMappings: getPlaidCategoryMappings()
-    };
-  }
+/**
+ * Create transaction splits
+ * @param {string} transactionId - Parent transaction ID
+ * @param {Array} splits - Array of split data ({ amount, category_id or category name,
+ *   description, reasoning, source }); a category_id is used as is, a name is created if missing
+ */
+export function createTransactionSplits(transactionId, splits) {
+  // Delete existing splits for this transaction
+  db.prepare('DELETE FROM transaction_splits WHERE parent_transaction_id = ?')
+    .run(transactionId);
 
-  // Debug: Log categorization data availability
-  if (process.env.DEBUG_CATEGORIZATION) {
-    console.log(`  📊 Categorization data:`);
-    console.log(`     Merchant mappings: ${categorizationData.merchantMappings.length}`);
-    console.log(`     Category rules: ${categorizationData.categoryRules.length}`);
-    console.log(`     Plaid mappings: ${categorizationData.plaidMappings.length}`);
+  if (!splits || splits.length === 0) {
+    reattachReimbursements(transactionId);
+    return { created: 0 };
   }
 
   const stmt = db.prepare(`
-    INSERT OR IGNORE INTO transactions (
-      transaction_id, date, description, merchant_name, account_name,
-      amount, category, category_id, confidence, verified, pending, payment_channel, notes, created_at,
-      plaid_primary_category, plaid_detailed_category, plaid_confidence_level,
-      location_city, location_region, location_address,
-      transaction_type, authorized_datetime, merchant_entity_id,
-      external_category, category_source
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO transaction_splits (
+      id, parent_transaction_id, split_index, amount, category_id, description, reasoning, source, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
   `);
 
-  let inserted = 0;
-  let duplicates = 0;
-  const insertMany = db.transaction((txns) => {
-    for (const tx of txns) {
-      // Extract Plaid personal_finance_category
-      const pfc = tx.personal_finance_category || {};
-      const plaidPrimary = pfc.primary || null;
-      const plaidDetailed = pfc.detailed || null;
-      const plaidConfidence = pfc.confidence_level || null;
+  const insertMany = db.transaction((splitList) => {
+    splitList.forEach((split, index) => {
+      const id = `split_${transactionId}_${index}`;
+      stmt.run(
+        id,
+        transactionId,
+        index,
+        split.amount,
+        split.category_id ?? getOrCreateCategoryIdByName(split.category),
+        split.description || null,
+        split.reasoning || null,
+        split.source || 'manual'
+      );
+    });
+  });
 
-      // Track external category source
-      let externalCategory = null;
-      let categorySource = null;
+  insertMany(splits);
+  reattachReimbursements(transactionId);
 
-      // If transaction has a Plaid category, track it as external
-      if (plaidDetailed || plaidPrimary) {
-        externalCategory = plaidDetailed || plaidPrimary;
-        categorySource = 'plaid';
+  return { created: splits.length };
+}
 
-        // Check if there's an approved mapping for this external category
-        const mappedCategory = getExternalCategoryMapping(externalCategory, categorySource);
-        if (mappedCategory) {
-          // Use the mapped category (will be null if user chose "unmapped")
-          tx.category = mappedCategory;
-          tx.confidence = 90; // High confidence for approved mappings
-        }
-      }
+/**
+ * Get transaction splits
+ * @param {string} transactionId - Parent transaction ID
+ * @returns {Array} - Array of splits
+ */
+export function getTransactionSplits(transactionId) {
+  return db.prepare(`
+    SELECT s.*, c.name as category
+    FROM transaction_splits s
+    LEFT JOIN categories c ON c.id = s.category_id
+    WHERE s.parent_transaction_id = ?
+    ORDER BY s.split_index
+  `).all(transactionId);
+}
 
-      // Auto-categorize if not already categorized
-      let category = tx.category || '';
-      let confidence = tx.confidence || 0;
+/**
+ * Delete transaction splits
+ * @param {string} transactionId - Parent transaction ID
+ */
+export function deleteTransactionSplits(transactionId) {
+  const result = db.prepare('DELETE FROM transaction_splits WHERE parent_transaction_id = ?')
+    .run(transactionId);
+  reattachReimbursements(transactionId);
 
-      if (!category) {
-        const result = autoCategorizeTransaction(tx, categorizationData, true);
-        category = result.category;
-        confidence = result.confidence;
-      }
+  return { deleted: result.changes };
+}
 
-      // Get category ID from category name
-      const categoryId = category ? getOrCreateCategoryIdByName(category) : null;
+/**
+ * Get all transactions with splits
+ * @returns {Array} - Array of transaction IDs that have splits
+ */
+export function getTransactionsWithSplits() {
+  return db.prepare(`
+    SELECT DISTINCT parent_transaction_id as transaction_id
+    FROM transaction_splits
+  `).all();
+}
 
-      // Extract location data
-      const location = tx.location || {};
-      const locationCity = location.city || null;
-      const locationRegion = location.region || null;
-      const locationAddress = location.address || null;
+/**
+ * Check if transaction has splits
+ * @param {string} transactionId - Transaction ID
+ * @returns {boolean}
+ */
+export function hasTransactionSplits(transactionId) {
+  const result = db.prepare(`
+    SELECT COUNT(*) as count
+    FROM transaction_splits
+    WHERE parent_transaction_id = ?
+  `).get(transactionId);
 
-      // Extract transaction metadata
-      const transactionType = tx.transaction_type || null;
-      const authorizedDatetime = tx.authorized_datetime || tx.authorized_date || null;
-      const merchantEntityId = tx.merchant_entity_id || null;
+  return result.count > 0;
+}
 
-      const info = stmt.run(
-        tx.transaction_id,
-        tx.date,
-        tx.name,
-        tx.merchant_name || '',
-        tx.account_name,
-        tx.amount,
-        category,
-        categoryId,
-        confidence,
-        'No',
-        tx.pending ? 'Yes' : 'No',
-        tx.payment_channel || '',
-        '',
-        plaidPrimary,
-        plaidDetailed,
-        plaidConfidence,
-        locationCity,
-        locationRegion,
-        locationAddress,
-        transactionType,
-        authorizedDatetime,
-        merchantEntityId,
-        externalCategory,
-        categorySource
-      );
+// ============================================================================
+// TAGS
+// ============================================================================
 
-      if (info.changes > 0) {
-        inserted++;
-      } else {
-        duplicates++;
-      }
+/**
+ * Clean up tag names: trimmed, without a leading #, no blanks or duplicates
+ * (tags compare case-insensitively)
+ */
+export function normalizeTagNames(names) {
+  const seen = new Set();
+  const normalized = [];
+
+  for (const name of names || []) {
+    const tag = String(name).trim().replace(/^#+/, '').trim();
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+
+    seen.add(tag.toLowerCase());
+    normalized.push(tag);
+  }
+
+  return normalized;
+}
+
+/**
+ * Get all tags with how many transactions carry each
+ */
+export function getTags() {
+  return db.prepare(`
+    SELECT tg.*, COUNT(tt.transaction_id) as transaction_count
+    FROM tags tg
+    LEFT JOIN transaction_tags tt ON tt.tag_id = tg.id
+    GROUP BY tg.id
+    ORDER BY tg.name COLLATE NOCASE
+  `).all();
+}
+
+function getOrCreateTagId(name) {
+  const existing = db.prepare('SELECT id FROM tags WHERE name = ?').get(name);
+  if (existing) {
+    return existing.id;
+  }
+
+  return db.prepare("INSERT INTO tags (name, created_at) VALUES (?, datetime('now'))").run(name).lastInsertRowid;
+}
+
+export function createTag(name, color = null) {
+  const [tag] = normalizeTagNames([name]);
+  if (!tag) {
+    throw new Error('Tag name is required');
+  }
+  if (db.prepare('SELECT 1 FROM tags WHERE name = ?').get(tag)) {
+    throw new Error(`Tag "${tag}" already exists`);
+  }
+
+  const result = db.prepare("INSERT INTO tags (name, color, created_at) VALUES (?, ?, datetime('now'))").run(tag, color);
+  return db.prepare('SELECT * FROM tags WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Rename a tag or change its color
+ * @param {number} id - Tag ID
+ * @param {Object} data - { name, color } (omitted fields are kept)
+ */
+export function updateTag(id, data) {
+  const tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(id);
+  if (!tag) {
+    throw new Error('Tag not found');
+  }
+
+  const name = data.name !== undefined ? normalizeTagNames([data.name])[0] : tag.name;
+  if (!name) {
+    throw new Error('Tag name is required');
+  }
+  if (db.prepare('SELECT 1 FROM tags WHERE name = ? AND id != ?').get(name, id)) {
+    throw new Error(`Tag "${name}" already exists`);
+  }
+
+  db.prepare('UPDATE tags SET name = ?, color = ? WHERE id = ?').run(name, data.color !== undefined ? data.color : tag.color, id);
+  return db.prepare('SELECT * FROM tags WHERE id = ?').get(id);
+}
+
+/**
+ * Delete a tag and remove it from every transaction
+ */
+export function deleteTag(id) {
+  const remove = db.transaction(() => {
+    const removed = db.prepare('DELETE FROM transaction_tags WHERE tag_id = ?').run(id).changes;
+    if (db.prepare('DELETE FROM tags WHERE id = ?').run(id).changes === 0) {
+      throw new Error('Tag not found');
     }
+    return { success: true, transactionsUntagged: removed };
   });
 
-  insertMany(transactions);
-
-  console.log(`  ✓ Inserted ${inserted} new, skipped ${duplicates} duplicates`);
-
-  return inserted;
+  return remove();
 }
 
-// ============================================================================
-// AUTO-CATEGORIZATION
-// ============================================================================
-
 /**
- * Calculate Levenshtein distance for fuzzy string matching
+ * Get the tag names of several transactions in one query
+ * @returns {Map} transaction_id -> [tag names]
  */
-function levenshteinDistance(str1, str2) {
-  const s1 = str1.toLowerCase();
-  const s2 = str2.toLowerCase();
-  const matrix = [];
-
-  for (let i = 0; i <= s2.length; i++) {
-    matrix[i] = [i];
+export function getTransactionTags(transactionIds) {
+  const tagsMap = new Map();
+  if (!transactionIds || transactionIds.length === 0) {
+    return tagsMap;
   }
 
-  for (let j = 0; j <= s1.length; j++) {
-    matrix[0][j] = j;
-  }
+  const rows = db.prepare(`
+    SELECT tt.transaction_id, tg.name
+    FROM transaction_tags tt
+    JOIN tags tg ON tg.id = tt.tag_id
+    WHERE tt.transaction_id IN (${transactionIds.map(() => '?').join(',')})
+    ORDER BY tt.created_at, tg.name COLLATE NOCASE
+  `).all(...transactionIds);
 
-  for (let i = 1; i <= s2.length; i++) {
-    for (let j = 1; j <= s1.length; j++) {
-      if (s2.charAt(i - 1) === s1.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1,
-          matrix[i][j - 1] + 1,
-          matrix[i - 1][j] + 1
-        );
-      }
+  for (const row of rows) {
+    if (!tagsMap.has(row.transaction_id)) {
+      tagsMap.set(row.transaction_id, []);
     }
+    tagsMap.get(row.transaction_id).push(row.name);
   }
 
-  return matrix[s2.length][s1.length];
+  return tagsMap;
 }
 
 /**
- * Check if two strings are fuzzy matches
+ * Tag transactions, creating tags that don't exist yet
+ * @param {Array} transactionIds - Transaction IDs
+ * @param {Array} names - Tag names
+ * @param {string} source - Who added the tags: 'user', 'rule' or 'copilot'
+ * @returns {number} Number of tags added (already-present tags don't count)
  */
-function isFuzzyMatch(str1, str2, threshold = 0.8) {
-  const distance = levenshteinDistance(str1, str2);
-  const maxLength = Math.max(str1.length, str2.length);
-  const similarity = 1 - (distance / maxLength);
-  return similarity >= threshold;
+export function addTransactionTags(transactionIds, names, source = 'user') {
+  const tags = normalizeTagNames(names);
+  if (tags.length === 0 || transactionIds.length === 0) return 0;
+
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO transaction_tags (transaction_id, tag_id, source, created_at)
+    SELECT transaction_id, ?, ?, datetime('now') FROM transactions WHERE transaction_id = ?
+  `);
+
+  const add = db.transaction(() => {
+    let added = 0;
+    for (const tag of tags) {
+      const tagId = getOrCreateTagId(tag);
+      for (const transactionId of transactionIds) {
+        added += stmt.run(tagId, source, transactionId).changes;
+      }
+    }
+    return added;
+  });
+
+  return add();
 }
 
 /**
- * Map Plaid's category to default categories
- * Handles both old category array format and new personal_finance_category format
+ * Remove tags from transactions (the tags themselves are kept)
+ * @returns {number} Number of tags removed
  */
-function mapPlaidCategoryToDefault(plaidCategory) {
-  if (!plaidCategory) return null;
+export function removeTransactionTags(transactionIds, names) {
+  const tags = normalizeTagNames(names);
+  if (tags.length === 0 || transactionIds.length === 0) return 0;
 
-  const cat = plaidCategory.toLowerCase();
+  const stmt = db.prepare(`
+    DELETE FROM transaction_tags
+    WHERE transaction_id = ? AND tag_id = (SELECT id FROM tags WHERE name = ?)
+  `);
 
-  // Food & Dining
-  if (cat.includes('restaurant') || cat.includes('food_and_drink') || cat.includes('dining') ||
-      cat.includes('coffee') || cat.includes('fast food') || cat.includes('bar')) {
-    return 'Restaurants';
-  }
-  if (cat.includes('groceries') || cat.includes('supermarket') || cat.includes('food_store')) {
-    return 'Groceries';
-  }
+  const remove = db.transaction(() => {
+    let removed = 0;
+    for (const transactionId of transactionIds) {
+      for (const tag of tags) {
+        removed += stmt.run(transactionId, tag).changes;
+      }
+    }
+    return removed;
+  });
 
-  // Transportation
-  if (cat.includes('gas') || cat.includes('fuel') || cat.includes('service_station')) {
-    return 'Gas';
-  }
-  if (cat.includes('transport') || cat.includes('taxi') || cat.includes('uber') ||
-      cat.includes('lyft') || cat.includes('parking') || cat.includes('public_transit') ||
-      cat.includes('automotive')) {
-    return 'Transportation';
-  }
+  return remove();
+}
 
-  // Shopping
-  if (cat.includes('shop') || cat.includes('retail') || cat.includes('general_merchandise') ||
-      cat.includes('clothing') || cat.includes('electronics') || cat.includes('home_improvement')) {
-    return 'Shopping';
+/**
+ * Replace a transaction's tags
+ * @returns {Array} The transaction's tags afterwards
+ */
+export function setTransactionTags(transactionId, names) {
+  if (!db.prepare('SELECT 1 FROM transactions WHERE transaction_id = ?').get(transactionId)) {
+    throw new Error('Transaction not found');
   }
 
-  // Entertainment & Recreation
-  if (cat.includes('entertainment') || cat.includes('recreation') || cat.includes('gym') ||
-      cat.includes('fitness') || cat.includes('sports') || cat.includes('movie') ||
-      cat.includes('music') || cat.includes('streaming')) {
-    return 'Entertainment';
-  }
+  const tags = normalizeTagNames(names);
+  const replace = db.transaction(() => {
+    const current = getTransactionTags([transactionId]).get(transactionId) || [];
+    const wanted = new Set(tags.map(tag => tag.toLowerCase()));
 
-  // Travel
-  if (cat.includes('travel') || cat.includes('hotel') || cat.includes('airfare') ||
-      cat.includes('lodging') || cat.includes('airline') || cat.includes('vacation')) {
-    return 'Travel';
-  }
+    removeTransactionTags([transactionId], current.filter(tag => !wanted.has(tag.toLowerCase())));
+    addTransactionTags([transactionId], tags, 'user');
+  });
 
-  // Healthcare
-  if (cat.includes('healthcare') || cat.includes('medical') || cat.includes('doctor') ||
-      cat.includes('pharmacy') || cat.includes('hospital') || cat.includes('dental')) {
-    return 'Healthcare';
-  }
+  replace();
 
-  // Bills & Utilities
-  if (cat.includes('utility') || cat.includes('utilities') || cat.includes('electric') ||
-      cat.includes('water') || cat.includes('internet') || cat.includes('phone') ||
-      cat.includes('cable') || cat.includes('rent') || cat.includes('mortgage')) {
-    return 'Bills & Utilities';
-  }
+  return getTransactionTags([transactionId]).get(transactionId) || [];
+}
 
-  // Income
-  if (cat.includes('income') || cat.includes('paycheck') || cat.includes('salary') ||
-      cat.includes('deposit') || cat.includes('refund') || cat.includes('reimbursement')) {
-    return 'Income';
-  }
+/**
+ * Spending and income per tag, with each tag's spending by category
+ * Uses the same lines as category spending (transfers and excluded transactions
+ * left out, split transactions counted per split), so a tag on a split
+ * transaction covers all of its splits.
+ * @returns {Array} [{ id, name, color, spent, income, count, categories: [{ category, total }] }]
+ */
+export function getTagSpending(startDate = null, endDate = null) {
+  let where = '';
+  const params = [];
 
-  // Transfer
-  if (cat.includes('transfer') || cat.includes('payment') || cat.includes('credit_card_payment')) {
-    return 'Transfer';
+  if (startDate) {
+    where += ' AND l.date >= ?';
+    params.push(startDate);
   }
-
-  // Personal Care
-  if (cat.includes('personal_care') || cat.includes('salon') || cat.includes('spa') ||
-      cat.includes('barber')) {
-    return 'Personal Care';
+  if (endDate) {
+    where += ' AND l.date <= ?';
+    params.push(endDate);
   }
 
-  // Education
-  if (cat.includes('education') || cat.includes('school') || cat.includes('tuition') ||
-      cat.includes('student')) {
-    return 'Education';
-  }
+  const lines = `
+    FROM (${SPEND_LINES_SQL}) l
+    JOIN transaction_tags tt ON tt.transaction_id = l.transaction_id
+    JOIN tags tg ON tg.id = tt.tag_id
+    LEFT JOIN categories c ON c.id = l.category_id
+    WHERE 1=1 ${where}
+  `;
 
-  // Subscriptions
-  if (cat.includes('subscription') || cat.includes('membership')) {
-    return 'Subscriptions';
+  const tags = db.prepare(`
+    SELECT tg.id, tg.name, tg.color,
+      SUM(CASE WHEN l.amount > 0 THEN l.amount ELSE 0 END) as spent,
+      SUM(CASE WHEN l.amount < 0 THEN -l.amount ELSE 0 END) as income,
+      COUNT(DISTINCT l.transaction_id) as count
+    ${lines}
+    GROUP BY tg.id
+    ORDER BY spent DESC
+  `).all(...params).map(tag => ({ ...tag, categories: [] }));
+
+  const byId = new Map(tags.map(tag => [tag.id, tag]));
+  const categoryRows = db.prepare(`
+    SELECT tg.id, COALESCE(c.name, 'Uncategorized') as category, SUM(l.amount) as total
+    ${lines} AND l.amount > 0
+    GROUP BY tg.id, l.category_id
+    ORDER BY total DESC
+  `).all(...params);
+
+  for (const row of categoryRows) {
+    byId.get(row.id)?.categories.push({ category: row.category, total: row.total });
   }
 
-  // Catch-all for uncategorized
-  return 'Other';
+  return tags;
 }
 
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
 /**
- * Auto-categorize a transaction
+ * Default settings with descriptions
  */
-function autoCategorizeTransaction(transaction, categorizationData, skipSavingMappings = false) {
-  try {
-    const merchantName = transaction.merchant_name || '';
-    const description = transaction.name || '';
-
-    const { merchantMappings, categoryRules, plaidMappings } = categorizationData;
-
-    if (process.env.DEBUG_CATEGORIZATION) {
-      console.log(`  🔍 Categorizing: "${description}"`);
-      console.log(`     Merchant: "${merchantName}"`);
-    }
-
-    // STEP 1: Exact merchant/description lookup - 95% confidence
-    // Check merchant_name first
-    if (merchantName) {
-      const exactMatch = merchantMappings.find(
-        m => m.merchant_name.toLowerCase() === merchantName.toLowerCase()
-      );
-      if (exactMatch) {
-        if (!skipSavingMappings) {
-          saveMerchantMapping(merchantName, exactMatch.category);
-        }
-        if (process.env.DEBUG_CATEGORIZATION) {
-          console.log(`     ✓ Exact merchant match: "${exactMatch.category}" (95%)`);
-        }
-        return { category: exactMatch.category, confidence: 95 };
-      }
-    }
-
-    // If no merchant_name, check description for exact match
-    if (!merchantName && description) {
-      const exactDescMatch = merchantMappings.find(
-        m => m.merchant_name.toLowerCase() === description.toLowerCase()
-      );
-      if (exactDescMatch) {
-        if (process.env.DEBUG_CATEGORIZATION) {
-          console.log(`     ✓ Exact description match: "${exactDescMatch.category}" (95%)`);
-        }
-        return { category: exactDescMatch.category, confidence: 95 };
-      }
-    }
+const DEFAULT_SETTINGS = {
+  // Amazon Matching
+  amazon_matching_max_days: {
+    value: 180,
+    type: 'number',
+    description: 'Maximum days between Amazon order and transaction match',
+    category: 'Amazon Matching',
+    min: 1,
+    max: 365
+  },
+  amazon_matching_confidence_decrease_per_day: {
+    value: 0.5,
+    type: 'number',
+    description: 'Confidence score decrease per day (percentage)',
+    category: 'Amazon Matching',
+    min: 0.1,
+    max: 10,
+    step: 0.1
+  },
+  amazon_matching_amount_tolerance: {
+    value: 0.001,
+    type: 'number',
+    description: 'Floating point tolerance for exact amount matching (dollars)',
+    category: 'Amazon Matching',
+    min: 0.0001,
+    max: 0.01,
+    step: 0.0001
+  },
 
-    // STEP 2: Pattern matching (rules with different match types) - 85% confidence
-    for (const rule of categoryRules) {
-      try {
-        let isMatch = false;
-        const matchType = rule.match_type || 'regex'; // Default to regex for backward compatibility
-
-        switch (matchType) {
-          case 'exact':
-            // Exact match (case-insensitive)
-            isMatch =
-              merchantName?.toLowerCase() === rule.pattern.toLowerCase() ||
-              description?.toLowerCase() === rule.pattern.toLowerCase();
-            break;
-
-          case 'partial':
-            // Partial match (case-insensitive)
-            const patternLower = rule.pattern.toLowerCase();
-            isMatch =
-              merchantName?.toLowerCase().includes(patternLower) ||
-              description?.toLowerCase().includes(patternLower);
-            break;
-
-          case 'regex':
-          default:
-            // Regex match
-            const regex = new RegExp(rule.pattern, 'i');
-            isMatch = regex.test(merchantName) || regex.test(description);
-            break;
-        }
+  // Logging
+  enable_matching_debug_logs: {
+    value: true,
+    type: 'boolean',
+    description: 'Enable detailed Amazon matching debug logs',
+    category: 'Logging'
+  },
+  enable_csv_parsing_logs: {
+    value: true,
+    type: 'boolean',
+    description: 'Enable Amazon CSV parsing logs',
+    category: 'Logging'
+  },
+  enable_amazon_item_ai_logs: {
+    value: false,
+    type: 'boolean',
+    description: 'Enable Amazon item AI categorization logs (shows prompts and responses)',
+    category: 'Logging'
+  },
 
-        if (isMatch) {
-          if (merchantName && !skipSavingMappings) {
-            saveMerchantMapping(merchantName, rule.category);
-          }
-          if (process.env.DEBUG_CATEGORIZATION) {
-            console.log(`     ✓ Pattern match (${matchType}): "${rule.category}" (85%)`);
-          }
-          return { category: rule.category, confidence: 85 };
-        }
-      } catch (e) {
-        console.warn(`Invalid pattern in rule "${rule.name}": ${rule.pattern}`, e);
-      }
-    }
+  // General
+  default_transaction_limit: {
+    value: 500,
+    type: 'number',
+    description: 'Default number of transactions to fetch',
+    category: 'General',
+    min: 50,
+    max: 5000,
+    step: 50
+  },
+  use_relative_dates: {
+    value: false,
+    type: 'boolean',
+    description: 'Display dates in relative format (e.g., "2 days ago") instead of absolute format',
+    category: 'General'
+  },
 
-    // STEP 3: Fuzzy merchant/description matching (80% similarity) - 75% confidence
-    const searchText = merchantName || description;
-    if (searchText && searchText.length >= 3) {
-      for (const mapping of merchantMappings) {
-        if (isFuzzyMatch(searchText, mapping.merchant_name, 0.8)) {
-          if (!skipSavingMappings && merchantName) {
-            saveMerchantMapping(merchantName, mapping.category);
-          }
-          if (process.env.DEBUG_CATEGORIZATION) {
-            console.log(`     ✓ Fuzzy match: "${mapping.category}" (75%)`);
-          }
-          return { category: mapping.category, confidence: 75 };
-        }
-      }
-    }
+  // Recurring Detection
+  recurring_amount_tolerance: {
+    value: 0.15,
+    type: 'number',
+    description: 'How far a charge may drift from the typical amount and still count toward a series (fraction, 0.15 = 15%)',
+    category: 'Recurring Detection',
+    min: 0,
+    max: 1,
+    step: 0.01
+  },
+  recurring_min_occurrences: {
+    value: 3,
+    type: 'number',
+    description: 'Minimum weekly/monthly charges before a series is detected (annual series need 2)',
+    category: 'Recurring Detection',
+    min: 2,
+    max: 12
+  },
 
-    // STEP 4: Check personal_finance_category first (newer Plaid field) - 70% / 50% confidence
-    if (transaction.personal_finance_category) {
-      const pfc = transaction.personal_finance_category;
-      const pfcString = pfc.detailed || pfc.primary;
+  // Transfer Detection
+  transfer_match_window_days: {
+    value: 3,
+    type: 'number',
+    description: 'Maximum days between the two sides of a transfer between your accounts',
+    category: 'Transfer Detection',
+    min: 0,
+    max: 10
+  },
 
-      if (pfcString) {
-        const mapping = plaidMappings.find(m => m.plaid_category === pfcString);
-        if (mapping) {
-          if (process.env.DEBUG_CATEGORIZATION) {
-            console.log(`     ✓ Plaid PFC mapping: "${mapping.user_category}" (70%)`);
-          }
-          return { category: mapping.user_category, confidence: 70 };
-        }
+  // Reimbursement Matching
+  reimbursement_match_window_days: {
+    value: 60,
+    type: 'number',
+    description: 'How long after an expense a deposit can still be matched as its repayment',
+    category: 'Reimbursement Matching',
+    min: 1,
+    max: 365
+  },
 
-        // Auto-create mapping from PFC
-        if (!skipSavingMappings) {
-          const suggestedCategory = mapPlaidCategoryToDefault(pfcString);
-          if (suggestedCategory) {
-            savePlaidCategoryMapping(pfcString, suggestedCategory);
-            if (process.env.DEBUG_CATEGORIZATION) {
-              console.log(`     ✓ Auto-created PFC mapping: "${suggestedCategory}" (50%)`);
-            }
-            return { category: suggestedCategory, confidence: 50 };
-          }
-        }
-      }
-    }
+  // Forecasting
+  forecast_low_balance_threshold: {
+    value: 500,
+    type: 'number',
+    description: 'Warn when a checking account is projected to drop below this balance',
+    category: 'Forecasting',
+    min: 0,
+    max: 100000,
+    step: 50
+  },
+  forecast_lookback_days: {
+    value: 90,
+    type: 'number',
+    description: 'Days of history used to average everyday (non-recurring) spending',
+    category: 'Forecasting',
+    min: 30,
+    max: 365
+  },
 
-    // STEP 5: Plaid legacy category array - 70% / 50% confidence
-    if (Array.isArray(transaction.category) && transaction.category.length > 0) {
-      // Check from most specific to least specific
-      for (let i = transaction.category.length - 1; i >= 0; i--) {
-        const plaidCat = transaction.category[i];
-        const mapping = plaidMappings.find(m => m.plaid_category === plaidCat);
-        if (mapping) {
-          if (process.env.DEBUG_CATEGORIZATION) {
-            console.log(`     ✓ Plaid category mapping: "${mapping.user_category}" (70%)`);
-          }
-          return { category: mapping.user_category, confidence: 70 };
-        }
-      }
+  // AI Provider
+  ai_provider: {
+    value: 'ollama',
+    type: 'select',
+    options: ['ollama', 'openai'],
+    description: 'Model server for AI categorization: Ollama, or any OpenAI-compatible server (llama.cpp, vLLM, LM Studio)',
+    category: 'AI Provider'
+  },
+  ai_base_url: {
+    value: '',
+    type: 'string',
+    description: 'Server URL (empty uses OLLAMA_URL or http://localhost:11434 for Ollama, http://localhost:8080/v1 for OpenAI-compatible)',
+    category: 'AI Provider'
+  },
+  ai_chat_model: {
+    value: '',
+    type: 'string',
+    description: 'Model used for categorization and emoji suggestions (empty uses the built-in defaults)',
+    category: 'AI Provider'
+  },
+  ai_embedding_model: {
+    value: '',
+    type: 'string',
+    description: 'Model used for semantic similarity embeddings (empty uses OLLAMA_EMBEDDING_MODEL or nomic-embed-text)',
+    category: 'AI Provider'
+  }
+};
 
-      // Auto-create mapping from category array
-      if (!skipSavingMappings) {
-        const plaidCategory = transaction.category[transaction.category.length - 1];
-        const suggestedCategory = mapPlaidCategoryToDefault(plaidCategory);
-        if (suggestedCategory) {
-          savePlaidCategoryMapping(plaidCategory, suggestedCategory);
-          if (process.env.DEBUG_CATEGORIZATION) {
-            console.log(`     ✓ Auto-created category mapping: "${suggestedCategory}" (50%)`);
-          }
-          return { category: suggestedCategory, confidence: 50 };
-        }
-      }
-    }
+/**
+ * Get a setting value
+ * @param {string} key - Setting key
+ * @returns {any} - Setting value (parsed to appropriate type)
+ */
+export function getSetting(key) {
+  const row = db.prepare('SELECT value FROM config WHERE key = ?').get(key);
 
-    if (process.env.DEBUG_CATEGORIZATION) {
-      console.log(`     ✗ No category match found`);
-    }
+  if (!row) {
+    // Return default if not set
+    const defaultSetting = DEFAULT_SETTINGS[key];
+    return defaultSetting ? defaultSetting.value : null;
+  }
 
-    return { category: '', confidence: 0 };
-  } catch (error) {
-    console.error('Error in autoCategorizeTransaction:', error.message);
-    return { category: '', confidence: 0 };
+  // Parse value based on type
+  const defaultSetting = DEFAULT_SETTINGS[key];
+  if (!defaultSetting) return row.value;
+
+  switch (defaultSetting.type) {
+    case 'number':
+      return parseFloat(row.value);
+    case 'boolean':
+      return row.value === 'true';
+    default:
+      return row.value;
   }
 }
 
-export function updateTransactionCategory(transactionId, category) {
-  // Get the transaction to extract merchant name
-  const transaction = db.prepare('SELECT * FROM transactions WHERE transaction_id = ?').get(transactionId);
-
-  // Get category ID from name
-  const categoryId = getOrCreateCategoryIdByName(category);
+/**
+ * Get all settings
+ * @returns {Object} - All settings with values and metadata
+ */
+export function getAllSettings() {
+  const rows = db.prepare('SELECT key, value FROM config').all();
+  const settingsMap = {};
 
-  // Update the transaction (both category name and ID for backward compatibility)
-  const stmt = db.prepare(`
-    UPDATE transactions
-    SET category = ?, category_id = ?, confidence = 100, verified = 'Yes'
-    WHERE transaction_id = ?
-  `);
-  stmt.run(category, categoryId, transactionId);
+  rows.forEach(row => {
+    settingsMap[row.key] = row.value;
+  });
 
-  // Save merchant mapping so future transactions from this merchant auto-categorize
-  if (transaction) {
-    if (transaction.merchant_name && transaction.merchant_name.trim() !== '') {
-      // Has merchant name - save merchant mapping
-      saveMerchantMapping(transaction.merchant_name, category);
-      console.log(`  📚 Learned: "${transaction.merchant_name}" → "${category}"`);
-    } else if (transaction.description && transaction.description.trim() !== '') {
-      // No merchant name, but has description - try to create a pattern-based learning
-      const description = transaction.description.trim();
+  // Build result with defaults and current values
+  const result = {};
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    const def = DEFAULT_SETTINGS[key];
+    const storedValue = settingsMap[key];
 
-      // Check if this is a common pattern we can learn from
-      // For example: "Interest Paid", "Transfer from...", etc.
-      if (description.length > 0) {
-        // Save as a merchant mapping using the description
-        // This allows the system to learn from description-based transactions
-        saveMerchantMapping(description, category);
-        console.log(`  📚 Learned: "${description}" → "${category}" (description-based)`);
+    let value;
+    if (storedValue !== undefined) {
+      // Parse stored value
+      switch (def.type) {
+        case 'number':
+          value = parseFloat(storedValue);
+          break;
+        case 'boolean':
+          value = storedValue === 'true';
+          break;
+        default:
+          value = storedValue;
       }
     } else {
-      // Transaction categorized but can't create a learning pattern
-      console.log(`  ℹ️  Categorized transaction → "${category}" (no pattern to learn)`);
+      value = def.value;
     }
-  }
+
+    result[key] = {
+      value,
+      type: def.type,
+      description: def.description,
+      category: def.category,
+      default: def.value,
+      ...(def.min !== undefined && { min: def.min }),
+      ...(def.max !== undefined && { max: def.max }),
+      ...(def.step !== undefined && { step: def.step }),
+      ...(def.options !== undefined && { options: def.options })
+    };
+  });
+
+  return result;
 }
 
 /**
- * Find similar transactions based on merchant name
- * Used to suggest applying category changes to similar transactions
+ * Set a setting value
+ * @param {string} key - Setting key
+ * @param {any} value - Setting value
  */
-export function findSimilarTransactions(transactionId, merchantName) {
-  // Get the transaction being updated
-  const transaction = db.prepare('SELECT * FROM transactions WHERE transaction_id = ?').get(transactionId);
-
-  if (!transaction) {
-    return [];
+export function setSetting(key, value) {
+  // Validate against defaults
+  const defaultSetting = DEFAULT_SETTINGS[key];
+  if (!defaultSetting) {
+    throw new Error(`Unknown setting: ${key}`);
   }
 
-  let similarTransactions = [];
-
-  // Strategy: If we have a merchant_name, use exact match. Otherwise, use description fuzzy match
-  if (merchantName && merchantName.trim() !== '') {
-    // Has merchant name - find exact merchant matches only
-    similarTransactions = db.prepare(`
-      SELECT * FROM transactions
-      WHERE transaction_id != ?
-        AND (confidence IS NULL OR confidence < 100)
-        AND merchant_name = ?
-      ORDER BY date DESC
-      LIMIT 50
-    `).all(transactionId, merchantName.trim());
-  } else {
-    // No merchant name - find by similar description
-    // Use the description to find similar transactions
-    const description = transaction.description || '';
-
-    if (description.trim() !== '') {
-      similarTransactions = db.prepare(`
-        SELECT * FROM transactions
-        WHERE transaction_id != ?
-          AND (confidence IS NULL OR confidence < 100)
-          AND (merchant_name IS NULL OR merchant_name = '')
-          AND description LIKE ?
-        ORDER BY date DESC
-        LIMIT 50
-      `).all(transactionId, `%${description.trim()}%`);
-    }
+  // Validate type and range
+  let stringValue;
+  switch (defaultSetting.type) {
+    case 'number':
+      const numValue = parseFloat(value);
+      if (isNaN(numValue)) {
+        throw new Error(`Invalid number value for ${key}`);
+      }
+      if (defaultSetting.min !== undefined && numValue < defaultSetting.min) {
+        throw new Error(`Value for ${key} must be at least ${defaultSetting.min}`);
+      }
+      if (defaultSetting.max !== undefined && numValue > defaultSetting.max) {
+        throw new Error(`Value for ${key} must be at most ${defaultSetting.max}`);
+      }
+      stringValue = numValue.toString();
+      break;
+    case 'boolean':
+      stringValue = (!!value).toString();
+      break;
+    case 'select':
+      if (!defaultSetting.options.includes(value)) {
+        throw new Error(`Value for ${key} must be one of: ${defaultSetting.options.join(', ')}`);
+      }
+      stringValue = value;
+      break;
+    default:
+      stringValue = value.toString();
   }
 
-  return similarTransactions.map(tx => ({
-    transaction_id: tx.transaction_id,
-    date: tx.date,
-    description: tx.description,
-    merchant_name: tx.merchant_name,
-    account_name: tx.account_name,
-    amount: tx.amount,
-    category: tx.category,
-    confidence: tx.confidence
-  }));
+  // Upsert setting
+  db.prepare(`
+    INSERT INTO config (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run(key, stringValue);
+
+  return { success: true };
 }
 
 /**
- * Update categories for multiple transactions at once
+ * Reset a setting to default
+ * @param {string} key - Setting key
  */
-export function updateMultipleTransactionCategories(transactionIds, category) {
-  console.log('=== updateMultipleTransactionCategories ===');
-  console.log('Transaction IDs:', transactionIds);
-  console.log('Category:', category);
+export function resetSetting(key) {
+  db.prepare('DELETE FROM config WHERE key = ?').run(key);
+  return { success: true };
+}
 
-  if (!transactionIds || transactionIds.length === 0) {
-    console.log('No transaction IDs provided, returning 0');
-    return 0;
-  }
+/**
+ * Reset all settings to defaults
+ */
+export function resetAllSettings() {
+  db.prepare('DELETE FROM config').run();
+  return { success: true };
+}
 
-  // Get category ID from name
-  const categoryId = getOrCreateCategoryIdByName(category);
+// ============================================================================
+// EXTERNAL CATEGORY MAPPINGS
+// ============================================================================
 
-  const placeholders = transactionIds.map(() => '?').join(',');
-  console.log('SQL placeholders:', placeholders);
+const EXTERNAL_MAPPING_SELECT_SQL = `
+  SELECT ecm.*, c.name as user_category
+  FROM external_category_mappings ecm
+  LEFT JOIN categories c ON c.id = ecm.category_id
+`;
 
-  const sql = `
-    UPDATE transactions
-    SET category = ?, category_id = ?, confidence = 95, verified = 'No'
-    WHERE transaction_id IN (${placeholders})
-  `;
-  console.log('SQL query:', sql);
+/**
+ * Get pending external category mappings (need user review)
+ * @param {string} source - Optional source filter (plaid, amazon, copilot, etc.)
+ * @returns {Array} Pending mappings
+ */
+export function getPendingExternalMappings(source = null) {
+  let sql = `${EXTERNAL_MAPPING_SELECT_SQL} WHERE ecm.status = ?`;
+  const params = ['pending'];
 
-  const stmt = db.prepare(sql);
-  const params = [category, categoryId, ...transactionIds];
-  console.log('SQL params:', params);
+  if (source) {
+    sql += ' AND ecm.source = ?';
+    params.push(source);
+  }
 
-  const result = stmt.run(...params);
-  console.log('Update result:', result);
-  console.log('Rows changed:', result.changes);
+  sql += ' ORDER BY ecm.created_at DESC';
 
-  return result.changes;
+  return db.prepare(sql).all(...params);
 }
 
-export function verifyTransactionCategory(transactionId) {
-  const stmt = db.prepare(`
-    UPDATE transactions
-    SET confidence = 100, verified = 'Yes'
-    WHERE transaction_id = ?
-  `);
-  stmt.run(transactionId);
-
-  const tx = db.prepare('SELECT category FROM transactions WHERE transaction_id = ?').get(transactionId);
-  return { success: true, category: tx.category };
+/**
+ * Get all external category mappings
+ * @returns {Array} All mappings
+ */
+export function getAllExternalMappings() {
+  return db.prepare(`${EXTERNAL_MAPPING_SELECT_SQL} ORDER BY ecm.source, ecm.external_category`).all();
 }
 
-export function unverifyTransactionCategory(transactionId, originalConfidence) {
-  // Restore original confidence (or default to 0 if not provided)
-  const confidenceToRestore = originalConfidence !== undefined ? originalConfidence : 0;
-
-  const stmt = db.prepare(`
-    UPDATE transactions
-    SET verified = 'No', confidence = ?
-    WHERE transaction_id = ?
-  `);
-  stmt.run(confidenceToRestore, transactionId);
-
-  const tx = db.prepare('SELECT category FROM transactions WHERE transaction_id = ?').get(transactionId);
-  return { success: true, category: tx.category };
-}
+/**
+ * Get or create external category mapping
+ * @param {string} externalCategory - External category name
+ * @param {string} source - Source (plaid, amazon, copilot, etc.)
+ * @returns {Object} Mapping record
+ */
+export function getOrCreateExternalMapping(externalCategory, source) {
+  let mapping = db.prepare(
+    `${EXTERNAL_MAPPING_SELECT_SQL} WHERE ecm.external_category = ? AND ecm.source = ?`
+  ).get(externalCategory, source);
 
-export function recategorizeExistingTransactions(onlyUncategorized = true, transactionIds = null) {
-  let rows;
+  if (!mapping) {
+    const result = db.prepare(`
+      INSERT INTO external_category_mappings (
+        external_category, source, status, created_at, updated_at
+      ) VALUES (?, ?, 'pending', datetime('now'), datetime('now'))
+    `).run(externalCategory, source);
 
-  if (transactionIds && Array.isArray(transactionIds) && transactionIds.length > 0) {
-    // Filter by specific transaction IDs
-    const placeholders = transactionIds.map(() => '?').join(',');
-    rows = db.prepare(`SELECT * FROM transactions WHERE transaction_id IN (${placeholders})`).all(...transactionIds);
-  } else {
-    // Get all transactions
-    rows = db.prepare('SELECT * FROM transactions').all();
+    mapping = db.prepare(`${EXTERNAL_MAPPING_SELECT_SQL} WHERE ecm.id = ?`).get(result.lastInsertRowid);
   }
 
-  const categorizationData = {
-    merchantMappings: getMerchantMappings(),
-    categoryRules: getEnabledCategoryRules(),
-    plaidMappings: getPlaidCategoryMappings()
-  };
+  return mapping;
+}
 
-  let processed = 0;
-  let updated = 0;
-  let skipped = 0;
+/**
+ * Update external category mapping
+ * @param {number} id - Mapping ID
+ * @param {string} userCategory - User category to map to (or null for unmapped)
+ * @param {string} status - Status: pending, approved, rejected, unmapped
+ * @param {number} confidence - Confidence score 0-100
+ */
+export function updateExternalMapping(id, userCategory, status = 'approved', confidence = 100) {
+  db.prepare(`
+    UPDATE external_category_mappings
+    SET category_id = ?, status = ?, confidence = ?,
+        reviewed_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(getOrCreateCategoryIdByName(userCategory), status, confidence, id);
 
-  const batchUpdates = [];
-  const categorizedTransactions = []; // Track details for recap
+  return { success: true };
+}
 
-  for (const row of rows) {
-    // Skip manually categorized transactions (confidence = 100)
-    // Re-categorize everything else, including auto-categorized transactions
-    if (row.confidence === 100) {
-      skipped++;
-      continue;
-    }
+/**
+ * Apply external category mapping to a transaction
+ * @param {string} externalCategory - External category
+ * @param {string} source - Source
+ * @returns {string|null} Mapped user category or null
+ */
+export function getExternalCategoryMapping(externalCategory, source) {
+  const mapping = db.prepare(`
+    SELECT c.name as user_category
+    FROM external_category_mappings ecm
+    LEFT JOIN categories c ON c.id = ecm.category_id
+    WHERE ecm.external_category = ? AND ecm.source = ?
+      AND ecm.status IN ('approved', 'unmapped')
+  `).get(externalCategory, source);
 
-    processed++;
+  return mapping?.user_category || null;
+}
 
-    // Build transaction object
-    const transaction = {
-      transaction_id: row.transaction_id,
-      date: row.date,
-      name: row.description,
-      merchant_name: row.merchant_name,
-      account_id: row.account_name,
-      amount: row.amount,
-      category: [],
-      personal_finance_category: null
-    };
+/**
+ * Get unmapped external categories from transactions
+ * @returns {Array} Categories that need mapping
+ */
+export function getUnmappedExternalCategories() {
+  return db.prepare(`
+    SELECT DISTINCT
+      t.external_category,
+      t.category_source as source,
+      COUNT(*) as transaction_count,
+      MIN(t.date) as first_seen,
+      MAX(t.date) as last_seen
+    FROM transactions t
+    LEFT JOIN external_category_mappings ecm
+      ON t.external_category = ecm.external_category
+      AND t.category_source = ecm.source
+    WHERE t.external_category IS NOT NULL
+      AND t.category_source IS NOT NULL
+      AND (ecm.id IS NULL OR ecm.status = 'pending')
+    GROUP BY t.external_category, t.category_source
+    ORDER BY transaction_count DESC
+  `).all();
+}
 
-    const { category, confidence } = autoCategorizeTransaction(transaction, categorizationData, true);
+/**
+ * Delete external category mapping
+ * @param {number} id - Mapping ID
+ */
+export function deleteExternalMapping(id) {
+  db.prepare('DELETE FROM external_category_mappings WHERE id = ?').run(id);
+  return { success: true };
+}
 
-    if (category && category !== row.category) {
-      batchUpdates.push({
-        transaction_id: row.transaction_id,
-        category,
-        confidence
-      });
+/**
+ * Get all Amazon items with their categorization status
+ * @param {Object} filters - Optional filters (categorized, verified, orderId)
+ * @returns {Array} Amazon items
+ */
+export function getAmazonItems(filters = {}) {
+  let whereClause = 'WHERE 1=1';
+  const params = [];
 
-      // Add to recap
-      categorizedTransactions.push({
-        transaction_id: row.transaction_id,
-        date: row.date,
-        description: row.description,
-        merchant_name: row.merchant_name || row.description,
-        amount: row.amount,
-        oldCategory: row.category || '',
-        newCategory: category,
-        confidence: confidence
-      });
-    }
+  if (filters.itemId) {
+    whereClause += ' AND ai.id = ?';
+    params.push(filters.itemId);
   }
 
-  // Batch update
-  if (batchUpdates.length > 0) {
-    const updateStmt = db.prepare(`
-      UPDATE transactions
-      SET category = ?, confidence = ?, verified = 'No'
-      WHERE transaction_id = ?
-    `);
+  if (filters.itemIds && Array.isArray(filters.itemIds) && filters.itemIds.length > 0) {
+    const placeholders = filters.itemIds.map(() => '?').join(',');
+    whereClause += ` AND ai.id IN (${placeholders})`;
+    params.push(...filters.itemIds);
+  }
 
-    const batchUpdate = db.transaction((updates) => {
-      for (const update of updates) {
-        updateStmt.run(update.category, update.confidence, update.transaction_id);
-      }
-    });
+  if (filters.orderId) {
+    whereClause += ' AND ai.order_id = ?';
+    params.push(filters.orderId);
+  }
 
-    batchUpdate(batchUpdates);
-    updated = batchUpdates.length;
+  if (filters.asin) {
+    whereClause += ' AND ai.asin = ?';
+    params.push(filters.asin);
   }
 
-  return {
-    success: true,
-    total: rows.length,
-    processed,
-    updated,
-    skipped,
-    categorizedTransactions // Include detailed list
-  };
-}
+  if (filters.categorized === 'yes') {
+    whereClause += ' AND ai.category_id IS NOT NULL';
+  } else if (filters.categorized === 'no') {
+    whereClause += ' AND ai.category_id IS NULL';
+  }
+
+  if (filters.verified === 'yes') {
+    whereClause += ' AND ai.verified = \'Yes\'';
+  } else if (filters.verified === 'no') {
+    whereClause += ' AND ai.verified = \'No\'';
+  }
 
-export function getTransactionStats(startDate = null, endDate = null) {
-  let sql = `
+  // Build data query with pagination
+  // JOIN with categories to get current category name (handles renames automatically)
+  let query = `
     SELECT
-      category,
-      SUM(CASE WHEN amount < 0 THEN ABS(amount) ELSE 0 END) as total
-    FROM transactions
-    WHERE category IS NOT NULL AND category != ''
+      ai.*,
+      c.name as user_category,
+      c.icon as category_icon,
+      c.color as category_color,
+      ao.order_date,
+      ao.order_id,
+      ao.account_name
+    FROM amazon_items ai
+    JOIN amazon_orders ao ON ai.order_id = ao.order_id
+    LEFT JOIN categories c ON ai.category_id = c.id
+    ${whereClause}
+    ORDER BY ao.order_date DESC, ai.id DESC
   `;
-  const params = [];
 
-  if (startDate) {
-    sql += ' AND date >= ?';
-    params.push(startDate);
-  }
+  // Add pagination if limit is specified
+  if (filters.limit) {
+    query += ' LIMIT ?';
+    params.push(filters.limit);
 
-  if (endDate) {
-    sql += ' AND date <= ?';
-    params.push(endDate);
+    if (filters.offset) {
+      query += ' OFFSET ?';
+      params.push(filters.offset);
+    }
   }
 
-  sql += ' GROUP BY category ORDER BY total DESC';
-
-  const results = db.prepare(sql).all(...params);
-  return results.map(r => ({
-    category: r.category,
-    total: parseFloat(r.total)
-  }));
+  return db.prepare(query).all(...params);
 }
 
 /**
- * Get daily spending and income data for charts
- * @param {number} days - Number of days to retrieve
- * @returns {Array} Array of {date, income, expenses} objects
+ * Update Amazon item category
+ * @param {number} itemId - Item ID
+ * @param {string} category - Category name
+ * @param {number} confidence - Confidence score 0-100
+ * @param {string} reasoning - Categorization reasoning
  */
-export function getDailySpendingIncome(days = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
-  const startDateStr = startDate.toISOString().split('T')[0];
+export function updateAmazonItemCategory(itemId, category, confidence = 0, reasoning = null) {
+  const categoryId = category ? getOrCreateCategoryIdByName(category) : null;
 
-  const sql = `
-    SELECT
-      date,
-      SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) as income,
-      ABS(SUM(CASE WHEN amount < 0 THEN amount ELSE 0 END)) as expenses
-    FROM transactions
-    WHERE date >= ?
-    GROUP BY date
-    ORDER BY date ASC
-  `;
+  db.prepare(`
+    UPDATE amazon_items
+    SET category_id = ?, confidence = ?, categorization_reasoning = ?
+    WHERE id = ?
+  `).run(categoryId, confidence, reasoning, itemId);
 
-  const results = db.prepare(sql).all(startDateStr);
-  return results.map(r => ({
-    date: r.date,
-    income: parseFloat(r.income) || 0,
-    expenses: parseFloat(r.expenses) || 0
-  }));
+  return { success: true };
 }
 
 /**
- * Get net worth over time for charts
- * @param {string} range - Time range: '1w', '1m', '3m', '6m', '1y'
- * @returns {Array} Array of {date, balance} objects
+ * Verify Amazon item category
+ * @param {number} itemId - Item ID
  */
-export function getNetWorthOverTime(range = '1w') {
-  // Calculate start date based on range
-  const now = new Date();
-  let daysBack = 7;
-
-  switch (range) {
-    case '1w': daysBack = 7; break;
-    case '1m': daysBack = 30; break;
-    case '3m': daysBack = 90; break;
-    case '6m': daysBack = 180; break;
-    case '1y': daysBack = 365; break;
-    default: daysBack = 7;
-  }
-
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - daysBack);
-  const startDateStr = startDate.toISOString().split('T')[0];
-
-  // Get all unique dates in the range
-  const datesSql = `
-    SELECT DISTINCT date
-    FROM transactions
-    WHERE date >= ?
-    ORDER BY date ASC
-  `;
-
-  const dates = db.prepare(datesSql).all(startDateStr);
-
-  // If no transactions in this range, return empty array
-  if (dates.length === 0) {
-    return [];
-  }
-
-  // Get current account balances
-  const accounts = db.prepare('SELECT current_balance FROM accounts').all();
-  const currentTotalBalance = accounts.reduce((sum, acc) => sum + parseFloat(acc.current_balance || 0), 0);
-
-  // Calculate balance for each date by working backwards from current balance
-  const results = [];
-
-  for (const { date } of dates) {
-    // Get total of all transactions after this date
-    const transactionsAfterSql = `
-      SELECT SUM(amount) as total
-      FROM transactions
-      WHERE date > ?
-    `;
-
-    const afterResult = db.prepare(transactionsAfterSql).get(date);
-    const transactionsAfter = parseFloat(afterResult.total || 0);
+export function verifyAmazonItemCategory(itemId) {
+  db.prepare(`
+    UPDATE amazon_items
+    SET verified = 'Yes', confidence = 100
+    WHERE id = ?
+  `).run(itemId);
 
-    // Balance on this date = current balance - transactions after this date
-    const balanceOnDate = currentTotalBalance - transactionsAfter;
+  return { success: true };
+}
 
-    results.push({
-      date,
-      balance: balanceOnDate
-    });
-  }
+/**
+ * Unverify Amazon item category
+ * @param {number} itemId - Item ID
+ * @param {number} originalConfidence - Original confidence to restore
+ */
+export function unverifyAmazonItemCategory(itemId, originalConfidence = 0) {
+  db.prepare(`
+    UPDATE amazon_items
+    SET verified = 'No', confidence = ?
+    WHERE id = ?
+  `).run(originalConfidence, itemId);
 
-  return results;
+  return { success: true };
 }
 
-// ============================================================================
-// CATEGORIES
-// ============================================================================
+/**
+ * Update Amazon item image URL (cache scraped image URL)
+ * @param {string} asin - Product ASIN
+ * @param {string} imageUrl - Scraped image URL
+ */
+export function updateAmazonItemImageUrl(asin, imageUrl) {
+  db.prepare(`
+    UPDATE amazon_items
+    SET image_url = ?
+    WHERE asin = ?
+  `).run(imageUrl, asin);
 
-export function getCategories() {
-  const categories = db.prepare('SELECT * FROM categories ORDER BY name').all();
+  return { success: true };
+}
 
-  // Deduplicate by name (case-insensitive)
-  const seen = new Map();
-  const unique = [];
+const AMAZON_ITEM_RULE_SELECT_SQL = `
+  SELECT r.*, c.name as category
+  FROM amazon_item_rules r
+  LEFT JOIN categories c ON c.id = r.category_id
+`;
 
-  for (const cat of categories) {
-    const lowerName = cat.name.toLowerCase();
-    if (!seen.has(lowerName)) {
-      seen.set(lowerName, true);
-      // Convert use_for_amazon from integer to boolean
-      unique.push({
-        ...cat,
-        use_for_amazon: cat.use_for_amazon === 1
-      });
-    }
-  }
+/**
+ * Get Amazon item categorization rules
+ * @returns {Array} Rules
+ */
+export function getAmazonItemRules() {
+  return db.prepare(`
+    ${AMAZON_ITEM_RULE_SELECT_SQL}
+    ORDER BY r.accuracy_rate DESC, r.usage_count DESC
+  `).all();
+}
 
-  return unique;
+/**
+ * Get enabled Amazon item categorization rules
+ * @returns {Array} Enabled rules
+ */
+export function getEnabledAmazonItemRules() {
+  return db.prepare(`
+    ${AMAZON_ITEM_RULE_SELECT_SQL}
+    WHERE r.enabled = 'Yes'
+    ORDER BY r.accuracy_rate DESC, r.usage_count DESC
+  `).all();
 }
 
-export function addCategory(name, parentCategory = null, icon = null, color = null, description = null, useForAmazon = true) {
-  // Auto-generate icon and color if not provided
-  const categoryIcon = icon || suggestIconForCategory(name);
-  const categoryColor = color || getNextCategoryColor();
+/**
+ * Create Amazon item categorization rule
+ * @param {Object} ruleData - Rule data
+ * @returns {Object} Result with rule ID
+ */
+export function createAmazonItemRule(ruleData) {
+  const {
+    name,
+    pattern,
+    category,
+    matchType = 'partial',
+    ruleSource = 'user',
+    asin = null,
+    amazonCategory = null
+  } = ruleData;
 
-  const stmt = db.prepare(`
-    INSERT INTO categories (name, parent_category, icon, color, description, use_for_amazon) VALUES (?, ?, ?, ?, ?, ?)
-  `);
+  const now = new Date().toISOString();
 
-  try {
-    stmt.run(name, parentCategory || '', categoryIcon, categoryColor, description || '', useForAmazon ? 1 : 0);
-    return { success: true, name, parent_category: parentCategory, icon: categoryIcon, color: categoryColor, description, use_for_amazon: useForAmazon };
-  } catch (error) {
-    if (error.message.includes('UNIQUE constraint')) {
-      throw new Error('Category already exists');
-    }
-    throw error;
-  }
+  const result = db.prepare(`
+    INSERT INTO amazon_item_rules
+    (name, pattern, category_id, match_type, rule_source, asin, amazon_category, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(name, pattern, getOrCreateCategoryIdByName(category), matchType, ruleSource, asin, amazonCategory, now, now);
+
+  return { success: true, id: result.lastInsertRowid };
 }
 
-export function updateCategory(oldName, newName, newParentCategory = null, icon = null, color = null, description = null, useForAmazon = null) {
-  // Check if category exists
-  const existingCategory = db.prepare('SELECT * FROM categories WHERE name = ?').get(oldName);
-  if (!existingCategory) {
-    throw new Error('Category not found');
-  }
+/**
+ * Update Amazon item rule usage stats
+ * @param {number} ruleId - Rule ID
+ * @param {boolean} wasCorrect - Whether the categorization was correct
+ */
+export function updateAmazonItemRuleStats(ruleId, wasCorrect = true) {
+  const now = new Date().toISOString();
 
-  // Check if new name already exists (if name is changing)
-  if (oldName !== newName) {
-    const duplicate = db.prepare('SELECT * FROM categories WHERE name = ? AND name != ?').get(newName, oldName);
-    if (duplicate) {
-      throw new Error('A category with this name already exists');
-    }
+  if (wasCorrect) {
+    db.prepare(`
+      UPDATE amazon_item_rules
+      SET usage_count = usage_count + 1,
+          correct_count = correct_count + 1,
+          accuracy_rate = CAST(correct_count + 1 AS REAL) / (usage_count + 1),
+          last_used = ?,
+          updated_at = ?
+      WHERE id = ?
+    `).run(now, now, ruleId);
+  } else {
+    db.prepare(`
+      UPDATE amazon_item_rules
+      SET usage_count = usage_count + 1,
+          incorrect_count = incorrect_count + 1,
+          accuracy_rate = CAST(correct_count AS REAL) / (usage_count + 1),
+          last_used = ?,
+          updated_at = ?
+      WHERE id = ?
+    `).run(now, now, ruleId);
   }
 
-  // Use existing values if not provided
-  const categoryIcon = icon || existingCategory.icon || suggestIconForCategory(newName);
-  const categoryColor = color || existingCategory.color || getNextCategoryColor();
-  const categoryDescription = description !== null ? description : existingCategory.description || '';
-  const categoryUseForAmazon = useForAmazon !== null ? (useForAmazon ? 1 : 0) : existingCategory.use_for_amazon;
+  return { success: true };
+}
 
-  // Use transaction to update both category and all related tables
-  const transaction = db.transaction(() => {
-    // Get parent category ID if specified
-    const parentCategoryId = newParentCategory ? getCategoryIdByName(newParentCategory) : null;
+/**
+ * Delete Amazon item rule
+ * @param {number} ruleId - Rule ID
+ */
+export function deleteAmazonItemRule(ruleId) {
+  db.prepare('DELETE FROM amazon_item_rules WHERE id = ?').run(ruleId);
+  return { success: true };
+}
 
-    // Update category (this is the key change - name is updated in one place)
-    const updateCategoryStmt = db.prepare(`
-      UPDATE categories
-      SET name = ?, parent_category = ?, parent_category_id = ?, icon = ?, color = ?, description = ?, use_for_amazon = ?
-      WHERE name = ?
-    `);
-    updateCategoryStmt.run(newName, newParentCategory || '', parentCategoryId, categoryIcon, categoryColor, categoryDescription, categoryUseForAmazon, oldName);
+/**
+ * Find Amazon item rule by title pattern
+ * @param {string} title - Item title
+ * @returns {Object|null} Matching rule or null
+ */
+export function findAmazonItemRuleByTitle(title) {
+  const rules = getEnabledAmazonItemRules();
 
-    // Handle parent/child cascade for use_for_amazon changes
-    if (useForAmazon !== null && categoryUseForAmazon !== existingCategory.use_for_amazon) {
-      // Find all children of this category
-      const children = db.prepare('SELECT name FROM categories WHERE parent_category = ?').all(oldName === newName ? oldName : newName);
-
-      if (children.length > 0) {
-        // Cascade the use_for_amazon value to all children
-        const updateChildrenStmt = db.prepare('UPDATE categories SET use_for_amazon = ? WHERE parent_category = ?');
-        updateChildrenStmt.run(categoryUseForAmazon, oldName === newName ? oldName : newName);
-        console.log(`[Category] Cascaded use_for_amazon=${categoryUseForAmazon} to ${children.length} child category(ies)`);
-      }
+  for (const rule of rules) {
+    const pattern = rule.pattern;
+    const matchType = rule.match_type;
 
-      // If enabling this category and it has a parent that's disabled, enable the parent
-      if (categoryUseForAmazon === 1 && newParentCategory) {
-        const parent = db.prepare('SELECT use_for_amazon FROM categories WHERE name = ?').get(newParentCategory);
-        if (parent && parent.use_for_amazon === 0) {
-          const updateParentStmt = db.prepare('UPDATE categories SET use_for_amazon = 1 WHERE name = ?');
-          updateParentStmt.run(newParentCategory);
-          console.log(`[Category] Auto-enabled parent category "${newParentCategory}" because child was enabled`);
+    try {
+      if (matchType === 'exact') {
+        if (title.toLowerCase() === pattern.toLowerCase()) {
+          return rule;
+        }
+      } else if (matchType === 'partial') {
+        if (title.toLowerCase().includes(pattern.toLowerCase())) {
+          return rule;
+        }
+      } else if (matchType === 'regex') {
+        const regex = new RegExp(pattern, 'i');
+        if (regex.test(title)) {
+          return rule;
         }
       }
+    } catch (error) {
+      console.error(`Error matching rule ${rule.id}:`, error);
     }
-
-    // Update all transactions that use this category
-    const updateTransactionsStmt = db.prepare(`
-      UPDATE transactions
-      SET category = ?
-      WHERE category = ?
-    `);
-    const result = updateTransactionsStmt.run(newName, oldName);
-
-    return { success: true, name: newName, parent_category: newParentCategory, icon: categoryIcon, color: categoryColor, description: categoryDescription, use_for_amazon: categoryUseForAmazon === 1, transactionsUpdated: result.changes };
-  });
-
-  return transaction();
-}
-
-export function deleteCategory(name) {
-  // Check if category exists
-  const existingCategory = db.prepare('SELECT * FROM categories WHERE name = ?').get(name);
-  if (!existingCategory) {
-    throw new Error('Category not found');
   }
 
-  const categoryId = existingCategory.id;
-
-  // Use transaction to delete category and uncategorize related records
-  const transaction = db.transaction(() => {
-    // FIRST: Clean up all foreign key references before deleting the category
+  return null;
+}
 
-    // 1. Move all transactions in this category to uncategorized and unverify them
-    const updateTransactionsStmt = db.prepare(`
-      UPDATE transactions
-      SET category = '', category_id = NULL, verified = 'No', confidence = 0
-      WHERE category_id = ?
-    `);
-    const result = updateTransactionsStmt.run(categoryId);
+/**
+ * Find Amazon item rule by ASIN
+ * @param {string} asin - Product ASIN
+ * @returns {Object|null} Matching rule or null
+ */
+export function findAmazonItemRuleByASIN(asin) {
+  if (!asin) return null;
 
-    // 2. Update Amazon items
-    db.prepare('UPDATE amazon_items SET user_category = NULL, category_id = NULL WHERE category_id = ?').run(categoryId);
+  return db.prepare(`
+    ${AMAZON_ITEM_RULE_SELECT_SQL}
+    WHERE r.asin = ? AND r.enabled = 'Yes'
+    ORDER BY r.accuracy_rate DESC, r.usage_count DESC
+    LIMIT 1
+  `).get(asin);
+}
 
-    // 3. Update transaction splits
-    db.prepare('UPDATE transaction_splits SET category = NULL, category_id = NULL WHERE category_id = ?').run(categoryId);
+/**
+ * Get Amazon item categorization stats
+ * @returns {Object} Stats
+ */
+export function getAmazonItemStats() {
+  const stats = db.prepare(`
+    SELECT
+      COUNT(*) as total_items,
+      COUNT(CASE WHEN category_id IS NOT NULL THEN 1 END) as categorized_items,
+      COUNT(CASE WHEN verified = 'Yes' THEN 1 END) as verified_items,
+      AVG(CASE WHEN category_id IS NOT NULL THEN confidence ELSE NULL END) as avg_confidence
+    FROM amazon_items
+  `).get();
 
-    // 4. Delete merchant mappings
-    db.prepare('DELETE FROM merchant_mappings WHERE category_id = ?').run(categoryId);
+  return {
+    total_items: stats.total_items || 0,
+    categorized_items: stats.categorized_items || 0,
+    verified_items: stats.verified_items || 0,
+    avg_confidence: stats.avg_confidence || 0,
+    uncategorized_items: (stats.total_items || 0) - (stats.categorized_items || 0)
+  };
+}
 
-    // 5. Delete category rules (rules without a category don't make sense)
-    db.prepare('DELETE FROM category_rules WHERE category_id = ?').run(categoryId);
+// ============================================================================
+// AI CATEGORIZATION FUNCTIONS
+// ============================================================================
 
-    // 6. Update plaid category mappings
-    db.prepare('UPDATE plaid_category_mappings SET user_category = NULL, category_id = NULL WHERE category_id = ?').run(categoryId);
+/**
+ * Save AI categorization result
+ */
+export function saveAICategorization(itemId, itemType, category, confidence, method, alternatives = null, reasoning = null, userConfirmed = 'No') {
+  const stmt = db.prepare(`
+    INSERT INTO ai_categorizations (
+      item_id, item_type, category_id, confidence, method,
+      alternatives, reasoning, user_confirmed, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+  `);
 
-    // 7. Update external category mappings
-    db.prepare('UPDATE external_category_mappings SET user_category = NULL, category_id = NULL WHERE category_id = ?').run(categoryId);
+  const alternativesJson = alternatives ? JSON.stringify(alternatives) : null;
 
-    // 8. Delete amazon item rules (can't set category to NULL due to NOT NULL constraint)
-    db.prepare('DELETE FROM amazon_item_rules WHERE category_id = ?').run(categoryId);
+  return stmt.run(itemId, itemType, getCategoryIdByName(category), confidence, method, alternativesJson, reasoning, userConfirmed);
+}
 
-    // 9. Update child categories (set parent to null)
-    db.prepare('UPDATE categories SET parent_category = NULL, parent_category_id = NULL WHERE parent_category_id = ?').run(categoryId);
+/**
+ * Get AI categorization for an item
+ */
+export function getAICategorization(itemId, itemType) {
+  const result = db.prepare(`
+    SELECT ac.*, c.name as category
+    FROM ai_categorizations ac
+    LEFT JOIN categories c ON c.id = ac.category_id
+    WHERE ac.item_id = ? AND ac.item_type = ?
+    ORDER BY ac.created_at DESC
+    LIMIT 1
+  `).get(itemId, itemType);
 
-    // 10. Delete AI categorizations (historical data - category is NOT NULL)
-    db.prepare('DELETE FROM ai_categorizations WHERE category_id = ?').run(categoryId);
+  if (result && result.alternatives) {
+    try {
+      result.alternatives = JSON.parse(result.alternatives);
+    } catch (e) {
+      result.alternatives = [];
+    }
+  }
 
-    // 11. Delete AI embeddings (training data - category is NOT NULL)
-    db.prepare('DELETE FROM ai_embeddings WHERE category_id = ?').run(categoryId);
+  return result;
+}
 
-    // 12. Delete AI feedback (training data - categories are NOT NULL)
-    db.prepare('DELETE FROM ai_feedback WHERE suggested_category_id = ?').run(categoryId);
-    db.prepare('DELETE FROM ai_feedback WHERE actual_category_id = ?').run(categoryId);
+/**
+ * Whether the user has ever corrected or confirmed an item's category
+ */
+export function hasAIFeedback(itemId, itemType) {
+  return !!db.prepare('SELECT 1 FROM ai_feedback WHERE item_id = ? AND item_type = ? LIMIT 1').get(itemId, itemType);
+}
 
-    // LAST: Now delete the category itself (all foreign keys are cleaned up)
-    const deleteCategoryStmt = db.prepare('DELETE FROM categories WHERE id = ?');
-    deleteCategoryStmt.run(categoryId);
+/**
+ * Save AI feedback (user correction)
+ */
+export function saveAIFeedback(itemId, itemType, suggestedCategory, actualCategory, suggestionMethod = null, suggestionConfidence = null) {
+  const stmt = db.prepare(`
+    INSERT INTO ai_feedback (
+      item_id, item_type, suggested_category_id, actual_category_id,
+      suggestion_method, suggestion_confidence, processed, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, 'No', datetime('now'))
+  `);
 
-    return { success: true, transactionsAffected: result.changes };
-  });
+  return stmt.run(
+    itemId,
+    itemType,
+    getCategoryIdByName(suggestedCategory),
+    getOrCreateCategoryIdByName(actualCategory),
+    suggestionMethod,
+    suggestionConfidence
+  );
+}
 
-  return transaction();
+/**
+ * Get unprocessed AI feedback for learning
+ */
+export function getUnprocessedFeedback(limit = 100) {
+  return db.prepare(`
+    SELECT f.*, suggested.name as suggested_category, actual.name as actual_category
+    FROM ai_feedback f
+    LEFT JOIN categories suggested ON suggested.id = f.suggested_category_id
+    LEFT JOIN categories actual ON actual.id = f.actual_category_id
+    WHERE f.processed = 'No'
+    ORDER BY f.created_at ASC
+    LIMIT ?
+  `).all(limit);
 }
 
-export function getCategorySpending(startDate = null, endDate = null) {
-  let sql = `
-    SELECT
-      c.name,
-      c.parent_category,
-      COALESCE(SUM(CASE WHEN t.amount > 0 THEN t.amount ELSE 0 END), 0) as total,
-      COUNT(CASE WHEN t.amount > 0 THEN 1 END) as count
-    FROM categories c
-    LEFT JOIN transactions t ON c.id = t.category_id
-  `;
-  const params = [];
+/**
+ * Get feedback count since last training
+ */
+export function getFeedbackCountSinceLastTraining() {
+  const lastTraining = db.prepare(`
+    SELECT timestamp FROM ai_training_history
+    ORDER BY timestamp DESC
+    LIMIT 1
+  `).get();
 
-  if (startDate || endDate) {
-    sql += ' WHERE 1=1';
-    if (startDate) {
-      sql += ' AND t.date >= ?';
-      params.push(startDate);
-    }
-    if (endDate) {
-      sql += ' AND t.date <= ?';
-      params.push(endDate);
-    }
+  if (!lastTraining) {
+    return db.prepare(`SELECT COUNT(*) as count FROM ai_feedback WHERE processed = 'No'`).get().count;
   }
 
-  sql += ' GROUP BY c.id, c.name, c.parent_category ORDER BY total DESC';
-
-  const results = db.prepare(sql).all(...params);
-  const categories = results.map(r => ({
-    name: r.name,
-    parent_category: r.parent_category,
-    total: parseFloat(r.total),
-    count: r.count
-  }));
-
-  // Calculate parent category totals
-  const parentTotals = {};
-  categories.forEach(cat => {
-    if (cat.parent_category) {
-      if (!parentTotals[cat.parent_category]) {
-        parentTotals[cat.parent_category] = {
-          name: cat.parent_category,
-          parent_category: null,
-          total: 0,
-          count: 0,
-          children: []
-        };
-      }
-      parentTotals[cat.parent_category].total += cat.total;
-      parentTotals[cat.parent_category].count += cat.count;
-      parentTotals[cat.parent_category].children.push(cat);
-    }
-  });
-
-  return {
-    categories,
-    parentTotals: Object.values(parentTotals)
-  };
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM ai_feedback
+    WHERE created_at > ? AND processed = 'No'
+  `).get(lastTraining.timestamp).count;
 }
 
-// ============================================================================
-// MAPPINGS & RULES
-// ============================================================================
+/**
+ * Mark feedback as processed
+ */
+export function markFeedbackAsProcessed(feedbackIds) {
+  if (!Array.isArray(feedbackIds) || feedbackIds.length === 0) return;
 
-export function getPlaidCategoryMappings() {
-  return db.prepare('SELECT * FROM plaid_category_mappings').all();
-}
+  const placeholders = feedbackIds.map(() => '?').join(',');
+  const stmt = db.prepare(`
+    UPDATE ai_feedback
+    SET processed = 'Yes'
+    WHERE id IN (${placeholders})
+  `);
 
-export function getMerchantMappings() {
-  return db.prepare('SELECT * FROM merchant_mappings ORDER BY last_used DESC').all();
+  return stmt.run(...feedbackIds);
 }
 
-export function getCategoryRules() {
-  return db.prepare('SELECT * FROM category_rules').all();
+/**
+ * Save AI training history
+ */
+export function saveAITrainingHistory(feedbackCount, rulesGenerated = 0, embeddingsUpdated = 0, durationMs = null, triggerType = 'manual', notes = null) {
+  const stmt = db.prepare(`
+    INSERT INTO ai_training_history (
+      timestamp, feedback_count, rules_generated, embeddings_updated,
+      duration_ms, trigger_type, notes
+    ) VALUES (datetime('now'), ?, ?, ?, ?, ?, ?)
+  `);
+
+  return stmt.run(feedbackCount, rulesGenerated, embeddingsUpdated, durationMs, triggerType, notes);
 }
 
-export function getEnabledCategoryRules() {
-  return db.prepare('SELECT * FROM category_rules WHERE enabled = \'Yes\'').all();
+/**
+ * Get AI training history
+ */
+export function getAITrainingHistory(limit = 10) {
+  return db.prepare(`
+    SELECT * FROM ai_training_history
+    ORDER BY timestamp DESC
+    LIMIT ?
+  `).all(limit);
 }
 
-export function saveMerchantMapping(merchantName, category) {
-  const categoryId = getOrCreateCategoryIdByName(category);
+/**
+ * Get last training timestamp
+ */
+export function getLastTrainingTimestamp() {
+  const result = db.prepare(`
+    SELECT timestamp FROM ai_training_history
+    ORDER BY timestamp DESC
+    LIMIT 1
+  `).get();
 
-  const stmt = db.prepare(`
-    INSERT INTO merchant_mappings (merchant_name, category, category_id, match_count, last_used)
-    VALUES (?, ?, ?, 1, datetime('now'))
-    ON CONFLICT(merchant_name) DO UPDATE SET
-      category = excluded.category,
-      category_id = excluded.category_id,
-      match_count = match_count + 1,
-      last_used = datetime('now')
-  `);
-  stmt.run(merchantName, category, categoryId);
+  return result ? result.timestamp : null;
 }
 
-export function savePlaidCategoryMapping(plaidCategory, userCategory) {
-  const categoryId = getOrCreateCategoryIdByName(userCategory);
+const EMBEDDING_SELECT_SQL = `
+  SELECT e.*, c.name as category
+  FROM ai_embeddings e
+  LEFT JOIN categories c ON c.id = e.category_id
+`;
 
-  const stmt = db.prepare(`
-    INSERT OR REPLACE INTO plaid_category_mappings (plaid_category, user_category, category_id, auto_created)
-    VALUES (?, ?, ?, 'Yes')
-  `);
-  stmt.run(plaidCategory, userCategory, categoryId);
+// Similarity indexes over confirmed embeddings, one per item type and vector
+// length (so switching embedding models never compares mismatched vectors).
+// Each is built on its first search and kept current by saveEmbedding and
+// deleteEmbedding.
+const embeddingIndexes = new Map();
+
+function embeddingIndexKey(itemType, dimensions) {
+  return `${itemType}:${dimensions}`;
 }
 
-export function createCategoryRule(name, pattern, category, matchType = 'regex', userCreated = 'Yes') {
-  // Generate a unique name if the provided name already exists
-  let uniqueName = name;
-  let counter = 2;
+/**
+ * Swap the stored blob for the embedding_vector array callers expect
+ */
+function parseEmbeddingRow(row) {
+  if (!row) {
+    return row;
+  }
+  const { vector, ...rest } = row;
+  return { ...rest, embedding_vector: Array.from(fromVectorBlob(vector)) };
+}
 
-  while (true) {
-    const existingRule = db.prepare('SELECT id FROM category_rules WHERE name = ?').get(uniqueName);
-    if (!existingRule) {
-      break; // Name is unique
-    }
-    uniqueName = `${name} (${counter})`;
-    counter++;
+function getEmbeddingIndex(itemType, dimensions) {
+  const key = embeddingIndexKey(itemType, dimensions);
+  let index = embeddingIndexes.get(key);
+  if (index) {
+    return index;
   }
 
-  const categoryId = getOrCreateCategoryIdByName(category);
+  const startTime = Date.now();
+  const rows = db.prepare(`
+    SELECT id, vector FROM ai_embeddings
+    WHERE item_type = ? AND dimensions = ? AND user_confirmed = 'Yes'
+  `).iterate(itemType, dimensions);
+
+  index = new IvfIndex();
+  index.load((function* () {
+    for (const row of rows) {
+      yield { id: row.id, vector: fromVectorBlob(row.vector) };
+    }
+  })());
+  embeddingIndexes.set(key, index);
 
-  const stmt = db.prepare(`
-    INSERT INTO category_rules (name, pattern, category, category_id, match_type, user_created, enabled)
-    VALUES (?, ?, ?, ?, ?, ?, 'Yes')
-  `);
-  const result = stmt.run(uniqueName, pattern, category, categoryId, matchType, userCreated);
-  return {
-    id: result.lastInsertRowid,
-    name: uniqueName
-  };
+  if (index.size > 0) {
+    console.log(`✓ Indexed ${index.size} ${itemType} embeddings for similarity search (${Date.now() - startTime}ms)`);
+  }
+  return index;
 }
 
-export function updateCategoryRule(id, name, pattern, category, matchType, enabled = 'Yes') {
-  const categoryId = getOrCreateCategoryIdByName(category);
-
-  const stmt = db.prepare(`
-    UPDATE category_rules
-    SET name = ?, pattern = ?, category = ?, category_id = ?, match_type = ?, enabled = ?
-    WHERE id = ?
-  `);
-  stmt.run(name, pattern, category, categoryId, matchType, enabled, id);
+/**
+ * Drop the in-memory similarity indexes (rebuilt on the next search); for
+ * bulk changes to ai_embeddings that bypass saveEmbedding/deleteEmbedding
+ */
+export function resetEmbeddingIndexes() {
+  embeddingIndexes.clear();
 }
 
-export function deleteCategoryRule(id) {
-  const stmt = db.prepare('DELETE FROM category_rules WHERE id = ?');
-  stmt.run(id);
+/**
+ * Size of each similarity index built so far
+ * @returns {Array} [{ itemType, dimensions, size, lists }]
+ */
+export function getEmbeddingIndexStatus() {
+  return [...embeddingIndexes.entries()].map(([key, index]) => {
+    const [itemType, dimensions] = key.split(':');
+    return { itemType, dimensions: Number(dimensions), size: index.size, lists: index.lists.length };
+  });
 }
 
-export function previewRuleMatches(pattern, matchType) {
-  let query;
-
-  switch (matchType) {
-    case 'exact':
-      // Exact match on merchant_name or description (case-insensitive)
-      query = db.prepare(`
-        SELECT * FROM transactions
-        WHERE merchant_name = ? COLLATE NOCASE OR description = ? COLLATE NOCASE
-        ORDER BY date DESC
-        LIMIT 100
-      `);
-      return query.all(pattern, pattern);
-
-    case 'partial':
-      // Case-insensitive partial match
-      const likePattern = `%${pattern}%`;
-      query = db.prepare(`
-        SELECT * FROM transactions
-        WHERE merchant_name LIKE ? OR description LIKE ?
-        ORDER BY date DESC
-        LIMIT 100
-      `);
-      return query.all(likePattern, likePattern);
-
-    case 'regex':
-    default:
-      // Regex match - fetch all transactions and filter in JavaScript
-      const allTransactions = db.prepare(`
-        SELECT * FROM transactions
-        ORDER BY date DESC
-      `).all();
-
-      try {
-        const regex = new RegExp(pattern, 'i');
-        return allTransactions.filter(t =>
-          regex.test(t.merchant_name || '') || regex.test(t.description || '')
-        ).slice(0, 100);
-      } catch (error) {
-        console.error('Invalid regex pattern:', error);
-        return [];
-      }
+function removeFromEmbeddingIndex(row) {
+  if (row) {
+    embeddingIndexes.get(embeddingIndexKey(row.item_type, row.dimensions))?.remove(row.id);
   }
 }
 
-// ============================================================================
-// CONFIG
-// ============================================================================
+/**
+ * Save or update embedding for an item
+ */
+export function saveEmbedding(itemId, itemType, embeddingText, embeddingVector, category, userConfirmed = 'No') {
+  const findRow = db.prepare('SELECT id, item_type, dimensions FROM ai_embeddings WHERE item_id = ? AND item_type = ?');
+  removeFromEmbeddingIndex(findRow.get(itemId, itemType));
 
-export function getConfig(key) {
-  const row = db.prepare('SELECT value FROM config WHERE key = ?').get(key);
-  return row ? row.value : null;
-}
+  const result = db.prepare(`
+    INSERT INTO ai_embeddings (
+      item_id, item_type, embedding_text, vector, dimensions, category_id,
+      user_confirmed, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+    ON CONFLICT(item_id, item_type) DO UPDATE SET
+      embedding_text = excluded.embedding_text,
+      vector = excluded.vector,
+      dimensions = excluded.dimensions,
+      category_id = excluded.category_id,
+      user_confirmed = excluded.user_confirmed,
+      updated_at = excluded.updated_at
+  `).run(
+    itemId, itemType, embeddingText, toVectorBlob(embeddingVector), embeddingVector.length,
+    getCategoryIdByName(category), userConfirmed
+  );
 
-export function setConfig(key, value) {
-  const stmt = db.prepare(`
-    INSERT OR REPLACE INTO config (key, value) VALUES (?, ?)
-  `);
-  stmt.run(key, value);
-}
+  if (userConfirmed === 'Yes') {
+    const row = findRow.get(itemId, itemType);
+    embeddingIndexes.get(embeddingIndexKey(itemType, row.dimensions))?.add(row.id, embeddingVector);
+  }
 
-export function deleteConfig(key) {
-  const stmt = db.prepare('DELETE FROM config WHERE key = ?');
-  stmt.run(key);
+  return result;
 }
 
-// ============================================================================
-// AMAZON ORDERS & ITEMS
-// ============================================================================
+/**
+ * Get embedding for an item
+ */
+export function getEmbedding(itemId, itemType) {
+  return parseEmbeddingRow(db.prepare(`
+    ${EMBEDDING_SELECT_SQL}
+    WHERE e.item_id = ? AND e.item_type = ?
+  `).get(itemId, itemType));
+}
 
 /**
- * Add or update an Amazon order
+ * Find the confirmed embeddings most similar to a vector (cosine similarity,
+ * approximate), searching every confirmation of this item type made with the
+ * same embedding model
+ * @param {string} itemType - 'amazon_item' or 'transaction'
+ * @param {Array<number>} vector - Query embedding
+ * @param {number} limit - Matches wanted
+ * @param {Object} options - { excludeItemId: leave this item's own embedding out }
+ * @returns {Array} Embedding rows (without their vectors) with similarity, most similar first
  */
-export function upsertAmazonOrder(orderData) {
-  console.log(`\n[DATABASE] Saving order ${orderData.order_id}:`);
-  console.log(`  total_amount: ${orderData.total_amount}`);
-  console.log(`  subtotal: ${orderData.subtotal || null}`);
-  console.log(`  tax: ${orderData.tax || null}`);
-  console.log(`  shipping: ${orderData.shipping || null}`);
+export function findSimilarEmbeddings(itemType, vector, limit = 5, options = {}) {
+  if (!vector || vector.length === 0) {
+    return [];
+  }
 
-  const stmt = db.prepare(`
-    INSERT INTO amazon_orders (
-      order_id, order_date, total_amount, subtotal, tax, shipping,
-      payment_method, shipping_address, order_status, account_name,
-      website, purchase_order_number, currency, total_discounts,
-      billing_address, ship_date, shipping_option,
-      created_at, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
-    ON CONFLICT(order_id) DO UPDATE SET
-      order_date = excluded.order_date,
-      total_amount = excluded.total_amount,
-      subtotal = excluded.subtotal,
-      tax = excluded.tax,
-      shipping = excluded.shipping,
-      payment_method = excluded.payment_method,
-      shipping_address = excluded.shipping_address,
-      order_status = excluded.order_status,
-      account_name = excluded.account_name,
-      website = excluded.website,
-      purchase_order_number = excluded.purchase_order_number,
-      currency = excluded.currency,
-      total_discounts = excluded.total_discounts,
-      billing_address = excluded.billing_address,
-      ship_date = excluded.ship_date,
-      shipping_option = excluded.shipping_option,
-      updated_at = datetime('now')
-  `);
+  // An item has at most one embedding, so one extra match covers the excluded one
+  const { excludeItemId = null } = options;
+  const matches = getEmbeddingIndex(itemType, vector.length).search(vector, excludeItemId !== null ? limit + 1 : limit);
+  if (matches.length === 0) {
+    return [];
+  }
 
-  stmt.run(
-    orderData.order_id,
-    orderData.order_date,
-    orderData.total_amount,
-    orderData.subtotal || null,
-    orderData.tax || null,
-    orderData.shipping || null,
-    orderData.payment_method || null,
-    orderData.shipping_address || null,
-    orderData.order_status || 'delivered',
-    orderData.account_name || 'Primary',
-    orderData.website || null,
-    orderData.purchase_order_number || null,
-    orderData.currency || null,
-    orderData.total_discounts || null,
-    orderData.billing_address || null,
-    orderData.ship_date || null,
-    orderData.shipping_option || null
-  );
+  const rows = db.prepare(`
+    SELECT e.id, e.item_id, e.item_type, e.embedding_text, e.category_id,
+      e.user_confirmed, e.created_at, e.updated_at, c.name as category
+    FROM ai_embeddings e
+    LEFT JOIN categories c ON c.id = e.category_id
+    WHERE e.id IN (${matches.map(() => '?').join(', ')})
+  `).all(...matches.map(m => m.id));
+  const rowsById = new Map(rows.map(row => [row.id, row]));
 
-  return orderData.order_id;
+  return matches
+    .filter(match => rowsById.has(match.id) && rowsById.get(match.id).item_id !== excludeItemId)
+    .slice(0, limit)
+    .map(match => ({ ...rowsById.get(match.id), similarity: match.similarity }));
 }
 
 /**
- * Add Amazon items for an order
+ * Delete embeddings for an item
  */
-export function addAmazonItems(orderId, items) {
-  // Delete existing items for this order
-  db.prepare('DELETE FROM amazon_items WHERE order_id = ?').run(orderId);
+export function deleteEmbedding(itemId, itemType) {
+  removeFromEmbeddingIndex(db.prepare(`
+    SELECT id, item_type, dimensions FROM ai_embeddings
+    WHERE item_id = ? AND item_type = ?
+  `).get(itemId, itemType));
+
+  return db.prepare(`
+    DELETE FROM ai_embeddings
+    WHERE item_id = ? AND item_type = ?
+  `).run(itemId, itemType);
+}
+
+/**
+ * Save or update AI metrics for a date
+ */
+export function saveAIMetrics(date, itemType, totalCategorizations, correctCategorizations, avgConfidence, methodBreakdown, confidenceBreakdown) {
+  const accuracyRate = totalCategorizations > 0 ? correctCategorizations / totalCategorizations : 0;
 
   const stmt = db.prepare(`
-    INSERT INTO amazon_items (
-      order_id, asin, title, category, price, quantity,
-      seller, product_url, image_url, return_status, return_date, refund_amount,
-      product_condition, unit_price_tax, shipment_item_subtotal, shipment_item_subtotal_tax,
-      shipment_status, ship_date, carrier_tracking, gift_message, gift_sender_name,
-      gift_recipient_contact, item_serial_number
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT OR REPLACE INTO ai_metrics (
+      date, item_type, total_categorizations, correct_categorizations,
+      accuracy_rate, avg_confidence, method_breakdown, confidence_breakdown
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
-  const insertMany = db.transaction((items) => {
-    for (const item of items) {
-      stmt.run(
-        orderId,
-        item.asin || null,
-        item.title,
-        item.category || null,
-        item.price,
-        item.quantity || 1,
-        item.seller || null,
-        item.product_url || null,
-        item.image_url || null,
-        item.return_status || null,
-        item.return_date || null,
-        item.refund_amount || null,
-        item.product_condition || null,
-        item.unit_price_tax || null,
-        item.shipment_item_subtotal || null,
-        item.shipment_item_subtotal_tax || null,
-        item.shipment_status || null,
-        item.ship_date || null,
-        item.carrier_tracking || null,
-        item.gift_message || null,
-        item.gift_sender_name || null,
-        item.gift_recipient_contact || null,
-        item.item_serial_number || null
-      );
-    }
-  });
-
-  insertMany(items);
+  return stmt.run(
+    date,
+    itemType,
+    totalCategorizations,
+    correctCategorizations,
+    accuracyRate,
+    avgConfidence,
+    JSON.stringify(methodBreakdown),
+    JSON.stringify(confidenceBreakdown)
+  );
 }
 
 /**
- * Get all Amazon orders with optional filters
+ * Get AI metrics for a date range
  */
-export function getAmazonOrders(filters = {}) {
-  let sql = 'SELECT * FROM amazon_orders';
-  const conditions = [];
-  const params = [];
-
-  // Always exclude $0 orders (cancelled/refunded items)
-  conditions.push('total_amount > 0');
+export function getAIMetrics(itemType = null, startDate = null, endDate = null) {
+  let query = `SELECT * FROM ai_metrics WHERE 1=1`;
+  const params = [];
 
-  if (filters.startDate) {
-    conditions.push('order_date >= ?');
-    params.push(filters.startDate);
+  if (itemType) {
+    query += ` AND item_type = ?`;
+    params.push(itemType);
   }
 
-  if (filters.endDate) {
-    conditions.push('order_date <= ?');
-    params.push(filters.endDate);
+  if (startDate) {
+    query += ` AND date >= ?`;
+    params.push(startDate);
   }
 
-  if (filters.matched !== undefined) {
-    if (filters.matched) {
-      conditions.push('matched_transaction_id IS NOT NULL');
-    } else {
-      conditions.push('matched_transaction_id IS NULL');
-    }
+  if (endDate) {
+    query += ` AND date <= ?`;
+    params.push(endDate);
   }
 
-  if (filters.accountName) {
-    conditions.push('account_name = ?');
-    params.push(filters.accountName);
-  }
+  query += ` ORDER BY date DESC`;
 
-  if (conditions.length > 0) {
-    sql += ' WHERE ' + conditions.join(' AND ');
-  }
+  const results = db.prepare(query).all(...params);
 
-  sql += ' ORDER BY order_date DESC';
+  // Parse JSON fields
+  return results.map(r => {
+    try {
+      r.method_breakdown = JSON.parse(r.method_breakdown);
+      r.confidence_breakdown = JSON.parse(r.confidence_breakdown);
+    } catch (e) {
+      r.method_breakdown = {};
+      r.confidence_breakdown = {};
+    }
+    return r;
+  });
+}
 
-  // Add pagination support
-  if (filters.limit) {
-    sql += ' LIMIT ?';
-    params.push(filters.limit);
+/**
+ * Get AI categorization accuracy by method
+ */
+export function getCategorizationAccuracyByMethod(itemType = null, days = 30) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+  const startDateStr = startDate.toISOString().split('T')[0];
 
-    if (filters.offset) {
-      sql += ' OFFSET ?';
-      params.push(filters.offset);
-    }
-  }
+  let query = `
+    SELECT
+      c.method,
+      COUNT(*) as total,
+      SUM(CASE WHEN c.user_confirmed = 'Yes' THEN 1 ELSE 0 END) as confirmed,
+      AVG(c.confidence) as avg_confidence
+    FROM ai_categorizations c
+    WHERE c.created_at >= ?
+  `;
 
-  const orders = db.prepare(sql).all(...params);
+  const params = [startDateStr];
 
-  // Fetch all items for these orders in a single query (fix N+1 problem)
-  if (orders.length === 0) {
-    return [];
+  if (itemType) {
+    query += ` AND c.item_type = ?`;
+    params.push(itemType);
   }
 
-  const orderIds = orders.map(o => o.order_id);
-  const placeholders = orderIds.map(() => '?').join(',');
-  const allItems = db.prepare(`SELECT * FROM amazon_items WHERE order_id IN (${placeholders})`).all(...orderIds);
+  query += `
+    GROUP BY c.method
+    ORDER BY total DESC
+  `;
 
-  // Group items by order_id
-  const itemsByOrderId = {};
-  for (const item of allItems) {
-    if (!itemsByOrderId[item.order_id]) {
-      itemsByOrderId[item.order_id] = [];
-    }
-    itemsByOrderId[item.order_id].push(item);
-  }
+  const results = db.prepare(query).all(...params);
 
-  // Attach items to each order
-  return orders.map(order => ({
-    ...order,
-    items: itemsByOrderId[order.order_id] || []
+  return results.map(r => ({
+    ...r,
+    accuracy: r.total > 0 ? r.confirmed / r.total : 0
   }));
 }
 
 /**
- * Get Amazon order by ID with items
+ * Create auto-generated categorization rule
  */
-export function getAmazonOrderWithItems(orderId) {
-  const order = db.prepare('SELECT * FROM amazon_orders WHERE order_id = ?').get(orderId);
-
-  if (!order) {
-    return null;
-  }
-
-  const items = db.prepare('SELECT * FROM amazon_items WHERE order_id = ?').all(orderId);
+export function createAutoGeneratedRule(name, pattern, category, matchType = 'regex', confidenceOverride = null, ruleSource = 'ai_learning') {
+  const stmt = db.prepare(`
+    INSERT INTO category_rules (
+      name, pattern, category_id, match_type, enabled,
+      auto_generated, confidence_override, rule_source,
+      user_created, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, 'Yes', 'Yes', ?, ?, 'No', datetime('now'), datetime('now'))
+  `);
 
-  return {
-    ...order,
-    items
-  };
+  return stmt.run(name, pattern, getOrCreateCategoryIdByName(category), matchType, confidenceOverride, ruleSource);
 }
 
 /**
- * Get all Amazon items with order info
+ * Get patterns from feedback for rule generation
  */
-export function getAmazonItemsWithOrders() {
-  return db.prepare(`
+export function getFeedbackPatternsForRuleGeneration() {
+  // Get item patterns that have been corrected multiple times to the same category
+  const itemPatterns = db.prepare(`
     SELECT
-      i.*,
-      o.order_date,
-      o.total_amount as order_total,
-      o.matched_transaction_id
-    FROM amazon_items i
-    JOIN amazon_orders o ON i.order_id = o.order_id
-    ORDER BY o.order_date DESC, i.id
+      f.item_id,
+      f.item_type,
+      actual.name as actual_category,
+      COUNT(*) as correction_count,
+      GROUP_CONCAT(suggested.name) as suggested_categories
+    FROM ai_feedback f
+    JOIN categories actual ON actual.id = f.actual_category_id
+    LEFT JOIN categories suggested ON suggested.id = f.suggested_category_id
+    WHERE f.processed = 'No'
+    GROUP BY f.item_id, f.item_type, f.actual_category_id
+    HAVING correction_count >= 2
+    ORDER BY correction_count DESC
   `).all();
+
+  return itemPatterns;
 }
 
 /**
- * Link an Amazon order to a transaction
+ * Get Amazon item by ID
  */
-export function linkAmazonOrderToTransaction(orderId, transactionId, confidence = 85) {
-  const stmt = db.prepare(`
-    UPDATE amazon_orders
-    SET matched_transaction_id = ?, match_confidence = ?, updated_at = datetime('now')
-    WHERE order_id = ?
-  `);
-
-  stmt.run(transactionId, confidence, orderId);
+export function getAmazonItemById(itemId) {
+  return db.prepare(`${AMAZON_ITEM_SELECT_SQL} WHERE ai.id = ?`).get(itemId);
 }
 
 /**
- * Unlink an Amazon order from its transaction
+ * Get transaction by ID
  */
-export function unlinkAmazonOrder(orderId) {
-  const stmt = db.prepare(`
-    UPDATE amazon_orders
-    SET matched_transaction_id = NULL, match_confidence = 0, match_verified = 'No', updated_at = datetime('now')
-    WHERE order_id = ?
-  `);
-
-  stmt.run(orderId);
+export function getTransactionById(transactionId) {
+  return db.prepare(`${TRANSACTION_SELECT_SQL} WHERE t.transaction_id = ?`).get(transactionId);
 }
 
 /**
- * Verify an Amazon order match
+ * Get multiple transactions by their IDs (optimized for bulk lookups)
  */
-export function verifyAmazonMatch(orderId) {
-  const stmt = db.prepare(`
-    UPDATE amazon_orders
-    SET match_verified = 'Yes', updated_at = datetime('now')
-    WHERE order_id = ?
-  `);
-
-  stmt.run(orderId);
-
-  const order = db.prepare('SELECT * FROM amazon_orders WHERE order_id = ?').get(orderId);
-  return { success: true, order };
+export function getTransactionsByIds(transactionIds) {
+  if (!transactionIds || transactionIds.length === 0) {
+    return [];
+  }
+  const placeholders = transactionIds.map(() => '?').join(',');
+  return db.prepare(`${TRANSACTION_SELECT_SQL} WHERE t.transaction_id IN (${placeholders})`).all(...transactionIds);
 }
 
+const CLASSIFIER_EXAMPLES_SQL = `
+  SELECT 'transaction' as item_type, t.transaction_id as item_id, t.description,
+    t.merchant_name, t.amount, t.category_id
+  FROM transactions t
+  WHERE t.verified = 'Yes' AND t.category_id IS NOT NULL AND t.is_transfer != 'Yes'
+  UNION ALL
+  SELECT 'amazon_item' as item_type, CAST(ai.id AS TEXT) as item_id, ai.title as description,
+    ai.category as merchant_name, ai.price as amount, ai.category_id
+  FROM amazon_items ai
+  WHERE ai.verified = 'Yes' AND ai.category_id IS NOT NULL
+`;
+
 /**
- * Unverify an Amazon order match
+ * Get the verified transactions and Amazon items the local classifier trains on
+ * (Amazon items carry their title as description and Amazon's own category as
+ * merchant_name)
  */
-export function unverifyAmazonMatch(orderId) {
-  const stmt = db.prepare(`
-    UPDATE amazon_orders
-    SET match_verified = 'No', updated_at = datetime('now')
-    WHERE order_id = ?
-  `);
-
-  stmt.run(orderId);
-
-  const order = db.prepare('SELECT * FROM amazon_orders WHERE order_id = ?').get(orderId);
-  return { success: true, order };
+export function getClassifierTrainingExamples() {
+  return db.prepare(CLASSIFIER_EXAMPLES_SQL).all();
 }
 
 /**
- * Reset all Amazon order matchings
- * Unlinks all matched transactions from Amazon orders
+ * Count the classifier's training examples without loading them
  */
-export function resetAllAmazonMatchings() {
-  const stmt = db.prepare(`
-    UPDATE amazon_orders
-    SET matched_transaction_id = NULL,
-        match_confidence = 0,
-        match_verified = 'No',
-        updated_at = datetime('now')
-    WHERE matched_transaction_id IS NOT NULL
-  `);
-
-  const result = stmt.run();
-  console.log(`Reset ${result.changes} Amazon order matchings`);
-
-  return {
-    success: true,
-    count: result.changes,
-    message: `Reset ${result.changes} Amazon order matchings`
-  };
+export function getClassifierTrainingExampleCount() {
+  return db.prepare(`SELECT COUNT(*) as count FROM (${CLASSIFIER_EXAMPLES_SQL})`).get().count;
 }
 
 /**
- * Delete all Amazon orders and items
- * WARNING: This is destructive and cannot be undone
+ * Store a trained classifier, keeping only the last few runs of each type
+ * @param {string} modelType - Model type (e.g. 'naive_bayes')
+ * @param {Object} result - { sampleCount, categoryCount, holdoutAccuracy, temperature, model }
  */
-export function deleteAllAmazonData() {
-  const deleteAll = db.transaction(() => {
-    // Get counts before deleting
-    const orderCount = db.prepare('SELECT COUNT(*) as count FROM amazon_orders').get().count;
-    const itemCount = db.prepare('SELECT COUNT(*) as count FROM amazon_items').get().count;
-
-    // Delete all items first (due to foreign key constraint)
-    db.prepare('DELETE FROM amazon_items').run();
-
-    // Delete all orders
-    db.prepare('DELETE FROM amazon_orders').run();
-
-    console.log(`Deleted ${orderCount} Amazon orders and ${itemCount} items`);
+export function saveClassifierModel(modelType, { sampleCount, categoryCount, holdoutAccuracy, temperature, model }) {
+  const result = db.prepare(`
+    INSERT INTO classifier_models (model_type, sample_count, category_count, holdout_accuracy, temperature, model, trained_at)
+    VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+  `).run(modelType, sampleCount, categoryCount, holdoutAccuracy, temperature, JSON.stringify(model));
 
-    return {
-      success: true,
-      ordersDeleted: orderCount,
-      itemsDeleted: itemCount,
-      message: `Deleted ${orderCount} orders and ${itemCount} items`
-    };
-  });
+  db.prepare(`
+    DELETE FROM classifier_models
+    WHERE model_type = ? AND id NOT IN (
+      SELECT id FROM classifier_models WHERE model_type = ? ORDER BY id DESC LIMIT 3
+    )
+  `).run(modelType, modelType);
 
-  return deleteAll();
+  return result.lastInsertRowid;
 }
 
 /**
- * Delete Amazon data for a specific account
+ * Get the most recently trained classifier of a type (model parsed), or null
  */
-export function deleteAmazonDataByAccount(accountName) {
-  const deleteByAccount = db.transaction(() => {
-    // Get order IDs for this account
-    const orderIds = db.prepare('SELECT order_id FROM amazon_orders WHERE account_name = ?').all(accountName);
+export function getLatestClassifierModel(modelType) {
+  const row = db.prepare(`
+    SELECT * FROM classifier_models WHERE model_type = ? ORDER BY id DESC LIMIT 1
+  `).get(modelType);
 
-    if (orderIds.length === 0) {
-      return {
-        success: true,
-        ordersDeleted: 0,
-        itemsDeleted: 0,
-        message: `No orders found for account "${accountName}"`
-      };
-    }
+  if (!row) return null;
+
+  try {
+    row.model = JSON.parse(row.model);
+  } catch (e) {
+    return null;
+  }
+  return row;
+}
 
-    // Count items before deleting
-    const itemCount = db.prepare(`
-      SELECT COUNT(*) as count FROM amazon_items
-      WHERE order_id IN (SELECT order_id FROM amazon_orders WHERE account_name = ?)
-    `).get(accountName).count;
+// ============================================================================
+// CATEGORIZATION EVALUATION
+// ============================================================================
 
-    // Delete items for orders in this account
-    db.prepare(`
-      DELETE FROM amazon_items
-      WHERE order_id IN (SELECT order_id FROM amazon_orders WHERE account_name = ?)
-    `).run(accountName);
+/**
+ * Freeze a random sample of verified items (the same items the local
+ * classifier trains on) as an evaluation set, with the category each one is
+ * verified as now
+ * @param {string} name - Set name
+ * @param {Object} options - { itemTypes: ['transaction', 'amazon_item'], sizePerType: 200 }
+ * @returns {Object} The new set (see getEvaluationSet)
+ */
+export function createEvaluationSet(name, options = {}) {
+  const { itemTypes = ['transaction', 'amazon_item'], sizePerType = 200 } = options;
 
-    // Delete orders for this account
-    const result = db.prepare('DELETE FROM amazon_orders WHERE account_name = ?').run(accountName);
+  const sample = db.prepare(`
+    SELECT item_type, item_id, category_id FROM (${CLASSIFIER_EXAMPLES_SQL})
+    WHERE item_type = ?
+    ORDER BY RANDOM()
+    LIMIT ?
+  `);
+  const items = itemTypes.flatMap(itemType => sample.all(itemType, sizePerType));
 
-    console.log(`Deleted ${result.changes} Amazon orders and ${itemCount} items for account "${accountName}"`);
+  if (items.length === 0) {
+    throw new Error('No verified items to evaluate');
+  }
 
-    return {
-      success: true,
-      ordersDeleted: result.changes,
-      itemsDeleted: itemCount,
-      message: `Deleted ${result.changes} orders and ${itemCount} items for account "${accountName}"`
-    };
+  const create = db.transaction(() => {
+    const setId = db.prepare(`
+      INSERT INTO evaluation_sets (name, created_at) VALUES (?, datetime('now'))
+    `).run(name).lastInsertRowid;
+
+    const insertItem = db.prepare(`
+      INSERT INTO evaluation_set_items (set_id, item_type, item_id, expected_category_id) VALUES (?, ?, ?, ?)
+    `);
+    for (const item of items) {
+      insertItem.run(setId, item.item_type, item.item_id, item.category_id);
+    }
+    return setId;
   });
 
-  return deleteByAccount();
+  return getEvaluationSet(create());
 }
 
 /**
- * Get all unique Amazon account names
+ * Get an evaluation set with its item counts per type
  */
-export function getAmazonAccountNames() {
-  return db.prepare(`
-    SELECT DISTINCT account_name
-    FROM amazon_orders
-    WHERE account_name IS NOT NULL
-    ORDER BY account_name
-  `).all().map(row => row.account_name);
+export function getEvaluationSet(setId) {
+  const set = db.prepare('SELECT * FROM evaluation_sets WHERE id = ?').get(setId);
+  if (!set) {
+    throw new Error('Evaluation set not found');
+  }
+
+  const counts = db.prepare(`
+    SELECT item_type, COUNT(*) as count FROM evaluation_set_items WHERE set_id = ? GROUP BY item_type
+  `).all(setId);
+  return {
+    ...set,
+    item_count: counts.reduce((sum, row) => sum + row.count, 0),
+    itemTypes: Object.fromEntries(counts.map(row => [row.item_type, row.count]))
+  };
 }
 
 /**
- * Get unmatched Amazon orders
+ * Get the most recently created evaluation set, or null
  */
-export function getUnmatchedAmazonOrders() {
+export function getLatestEvaluationSet() {
+  const row = db.prepare('SELECT id FROM evaluation_sets ORDER BY id DESC LIMIT 1').get();
+  return row ? getEvaluationSet(row.id) : null;
+}
+
+/**
+ * List evaluation sets, newest first, with their run count and latest accuracy
+ */
+export function getEvaluationSets() {
   return db.prepare(`
-    SELECT * FROM amazon_orders
-    WHERE matched_transaction_id IS NULL
-      AND total_amount > 0
-    ORDER BY order_date DESC
+    SELECT s.*,
+      (SELECT COUNT(*) FROM evaluation_set_items i WHERE i.set_id = s.id) as item_count,
+      (SELECT COUNT(*) FROM evaluation_runs r WHERE r.set_id = s.id) as run_count,
+      (SELECT r.accuracy FROM evaluation_runs r WHERE r.set_id = s.id ORDER BY r.id DESC LIMIT 1) as latest_accuracy,
+      (SELECT r.created_at FROM evaluation_runs r WHERE r.set_id = s.id ORDER BY r.id DESC LIMIT 1) as latest_run_at
+    FROM evaluation_sets s
+    ORDER BY s.id DESC
   `).all();
 }
 
 /**
- * Get Amazon order statistics
+ * Get the items of an evaluation set with their expected category and current
+ * data (item is null when the transaction or Amazon item has since been deleted)
+ * @returns {Array} [{ item_type, item_id, expected_category_id, expected_category, item }]
  */
-export function getAmazonOrderStats(accountName = null) {
-  const whereClause = accountName
-    ? 'WHERE total_amount > 0 AND account_name = ?'
-    : 'WHERE total_amount > 0';
-  const params = accountName ? [accountName] : [];
+export function getEvaluationSetItems(setId) {
+  const rows = db.prepare(`
+    SELECT esi.item_type, esi.item_id, esi.expected_category_id, c.name as expected_category
+    FROM evaluation_set_items esi
+    JOIN categories c ON c.id = esi.expected_category_id
+    WHERE esi.set_id = ?
+    ORDER BY esi.item_type, esi.item_id
+  `).all(setId);
+
+  const transactionIds = rows.filter(row => row.item_type === 'transaction').map(row => row.item_id);
+  const transactions = new Map(getTransactionsByIds(transactionIds).map(t => [t.transaction_id, t]));
+
+  const amazonItemIds = rows.filter(row => row.item_type === 'amazon_item').map(row => parseInt(row.item_id));
+  const amazonItems = new Map(amazonItemIds.length === 0 ? [] : db.prepare(`
+    ${AMAZON_ITEM_SELECT_SQL}
+    WHERE ai.id IN (${amazonItemIds.map(() => '?').join(', ')})
+  `).all(...amazonItemIds).map(item => [String(item.id), item]));
+
+  return rows.map(row => ({
+    ...row,
+    item: (row.item_type === 'transaction' ? transactions : amazonItems).get(row.item_id) || null
+  }));
+}
 
-  const stats = db.prepare(`
-    SELECT
-      COUNT(*) as total_orders,
-      SUM(CASE WHEN matched_transaction_id IS NOT NULL THEN 1 ELSE 0 END) as matched_orders,
-      SUM(total_amount) as total_spent,
-      COUNT(DISTINCT strftime('%Y-%m', order_date)) as months_with_orders
-    FROM amazon_orders
-    ${whereClause}
-  `).get(...params);
+/**
+ * Store the result of scoring an evaluation set
+ * @param {number} setId - Evaluation set ID
+ * @param {Object} run - { options, report, predictions, durationMs }
+ * @returns {number} Run ID
+ */
+export function saveEvaluationRun(setId, { options, report, predictions, durationMs }) {
+  return db.prepare(`
+    INSERT INTO evaluation_runs (set_id, options, item_count, accuracy, report, predictions, duration_ms, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+  `).run(
+    setId,
+    JSON.stringify(options || {}),
+    report.evaluated,
+    report.accuracy,
+    JSON.stringify(report),
+    JSON.stringify(predictions),
+    durationMs
+  ).lastInsertRowid;
+}
 
-  const categoryWhereClause = accountName
-    ? 'WHERE i.category IS NOT NULL AND o.total_amount > 0 AND o.account_name = ?'
-    : 'WHERE i.category IS NOT NULL AND o.total_amount > 0';
+function parseEvaluationRun(row) {
+  if (!row) return null;
+  for (const field of ['options', 'report', 'predictions']) {
+    if (row[field] !== undefined) {
+      try {
+        row[field] = JSON.parse(row[field]);
+      } catch (e) {
+        row[field] = null;
+      }
+    }
+  }
+  return row;
+}
 
-  const categoryBreakdown = db.prepare(`
-    SELECT
-      i.category,
-      COUNT(*) as item_count,
-      SUM(i.price * i.quantity) as total_spent
-    FROM amazon_items i
-    JOIN amazon_orders o ON i.order_id = o.order_id
-    ${categoryWhereClause}
-    GROUP BY i.category
-    ORDER BY total_spent DESC
-    LIMIT 10
-  `).all(...params);
+/**
+ * Get a run with its report and predictions
+ */
+export function getEvaluationRun(runId) {
+  const run = parseEvaluationRun(db.prepare('SELECT * FROM evaluation_runs WHERE id = ?').get(runId));
+  if (!run) {
+    throw new Error('Evaluation run not found');
+  }
+  return run;
+}
 
-  return {
-    ...stats,
-    categoryBreakdown
-  };
+/**
+ * Get the most recent run of a set (with predictions), optionally before another run
+ */
+export function getPreviousEvaluationRun(setId, beforeRunId = null) {
+  return parseEvaluationRun(db.prepare(`
+    SELECT * FROM evaluation_runs
+    WHERE set_id = ? AND (? IS NULL OR id < ?)
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(setId, beforeRunId, beforeRunId));
+}
+
+/**
+ * List a set's runs, newest first (reports without per-item predictions)
+ */
+export function getEvaluationRuns(setId, limit = 20) {
+  return db.prepare(`
+    SELECT id, set_id, options, item_count, accuracy, report, duration_ms, created_at
+    FROM evaluation_runs
+    WHERE set_id = ?
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(setId, limit).map(parseEvaluationRun);
 }
 
 // ============================================================================
-// TRANSACTION SPLITTING
+// SEARCH
 // ============================================================================
 
+// bm25 weights for transactions_fts columns: description, merchant_name,
+// display_name, notes, location, amazon_items
+const TRANSACTION_SEARCH_WEIGHTS = '10.0, 8.0, 8.0, 4.0, 2.0, 3.0';
+
+// bm25 weights for amazon_items_fts columns: title, seller, asin
+const AMAZON_ITEM_SEARCH_WEIGHTS = '10.0, 2.0, 1.0';
+
+// Comparisons come from parseSearchQuery, but the operator still ends up in SQL
+const SEARCH_OPERATORS = new Set(['=', '>', '>=', '<', '<=']);
+
+function addComparisons(where, params, column, comparisons) {
+  for (const { op, value } of comparisons) {
+    if (!SEARCH_OPERATORS.has(op)) continue;
+    where.push(op === '=' && column.startsWith('ABS(') ? `ROUND(${column}, 2) = ROUND(?, 2)` : `${column} ${op} ?`);
+    params.push(value);
+  }
+}
+
 /**
- * Suggest transaction splits based on Amazon items
- * @param {string} transactionId - Transaction ID
- * @returns {Object} - Suggested splits with reasoning
+ * Search transactions
+ * @param {Object} query - parseSearchQuery() result
+ * @param {Object} match - buildMatchExpressions() result for query.terms
+ * @param {Object} options - { limit, offset }
+ * @returns {Object} { transactions, total } ranked best match first (newest
+ *   first for queries without text); split transactions expand as in getTransactions
  */
-export function suggestTransactionSplits(transactionId) {
-  // Get the transaction
-  const transaction = db.prepare(`
-    SELECT t.*, o.order_id
-    FROM transactions t
-    LEFT JOIN amazon_orders o ON t.transaction_id = o.matched_transaction_id
-    WHERE t.transaction_id = ?
-  `).get(transactionId);
+export function searchTransactions(query, match, options = {}) {
+  const { limit = 50, offset = 0 } = options;
+  const where = [];
+  const params = [];
 
-  if (!transaction) {
-    throw new Error('Transaction not found');
-  }
+  if (match.include) {
+    where.push('transactions_fts MATCH ?');
+    params.push(match.include);
+  }
+
+  if (match.exclude) {
+    where.push(`t.transaction_id NOT IN (
+      SELECT k.transaction_id FROM transactions_fts
+      JOIN transactions_fts_keys k ON k.fts_rowid = transactions_fts.rowid
+      WHERE transactions_fts MATCH ?
+    )`);
+    params.push(match.exclude);
+  }
+
+  addComparisons(where, params, 'ABS(t.amount)', query.amount);
+  addComparisons(where, params, 't.date', query.date);
+
+  // A split transaction matches a category if any of its parts has it
+  if (query.category) {
+    where.push(`(
+      c.name LIKE ? OR EXISTS (
+        SELECT 1 FROM transaction_splits s
+        JOIN categories sc ON sc.id = s.category_id
+        WHERE s.parent_transaction_id = t.transaction_id AND sc.name LIKE ?
+      )
+    )`);
+    params.push(`%${query.category}%`, `%${query.category}%`);
+  }
+
+  if (query.account) {
+    where.push('t.account_name LIKE ?');
+    params.push(`%${query.account}%`);
+  }
+
+  for (const tag of normalizeTagNames(query.tags)) {
+    where.push(`EXISTS (
+      SELECT 1 FROM transaction_tags tt JOIN tags tg ON tg.id = tt.tag_id
+      WHERE tt.transaction_id = t.transaction_id AND tg.name = ?
+    )`);
+    params.push(tag);
+  }
+
+  const from = match.include
+    ? `transactions_fts
+      JOIN transactions_fts_keys k ON k.fts_rowid = transactions_fts.rowid
+      JOIN transactions t ON t.transaction_id = k.transaction_id`
+    : 'transactions t';
+  const score = match.include ? `bm25(transactions_fts, ${TRANSACTION_SEARCH_WEIGHTS})` : '0';
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const { total } = db.prepare(`
+    SELECT COUNT(*) as total
+    FROM ${from}
+    LEFT JOIN categories c ON c.id = t.category_id
+    ${whereSql}
+  `).get(...params);
 
-  // If not linked to Amazon order, can't auto-suggest
-  if (!transaction.order_id) {
-    return {
-      canSplit: false,
-      reason: 'Transaction not linked to Amazon order',
-      suggestions: []
-    };
+  const ranked = db.prepare(`
+    SELECT t.transaction_id, ${score} as score
+    FROM ${from}
+    LEFT JOIN categories c ON c.id = t.category_id
+    ${whereSql}
+    ORDER BY score, t.date DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  if (ranked.length === 0) {
+    return { transactions: [], total };
   }
 
-  // Get Amazon items for this order
-  const items = db.prepare(`
-    SELECT * FROM amazon_items
-    WHERE order_id = ?
-    ORDER BY price DESC
-  `).all(transaction.order_id);
+  // Load the full rows the same way the transactions list does, then put them
+  // back in rank order (split parts stay together, in split order)
+  const rank = new Map(ranked.map((row, index) => [row.transaction_id, index]));
+  const transactions = getTransactions(ranked.length, { transactionIds: [...rank.keys()] })
+    .sort((a, b) => rank.get(a.split_parent_id || a.transaction_id) - rank.get(b.split_parent_id || b.transaction_id));
 
-  if (items.length <= 1) {
-    return {
-      canSplit: false,
-      reason: 'Order has only one item',
-      suggestions: []
-    };
+  return { transactions, total };
+}
+
+/**
+ * Search Amazon items by title, seller and ASIN
+ * @param {Object} query - parseSearchQuery() result (amount compares the item
+ *   price, date the order date)
+ * @param {Object} match - buildMatchExpressions() result for the query's terms
+ *   without column filters (include is required)
+ * @param {number} limit - Maximum number of items
+ * @returns {Array} Items with their order date, order total and matched transaction, best match first
+ */
+export function searchAmazonItems(query, match, limit = 20) {
+  const where = ['amazon_items_fts MATCH ?'];
+  const params = [match.include];
+
+  if (match.exclude) {
+    where.push('ai.id NOT IN (SELECT rowid FROM amazon_items_fts WHERE amazon_items_fts MATCH ?)');
+    params.push(match.exclude);
   }
 
-  // Group items by category
-  const categoryGroups = {};
-  items.forEach(item => {
-    const category = item.category || 'Uncategorized';
-    if (!categoryGroups[category]) {
-      categoryGroups[category] = {
-        category,
-        items: [],
-        total: 0
-      };
-    }
-    categoryGroups[category].items.push(item);
-    categoryGroups[category].total += (item.price || 0) * (item.quantity || 1);
-  });
+  addComparisons(where, params, 'ABS(ai.price)', query.amount);
+  addComparisons(where, params, 'ao.order_date', query.date);
 
-  // Create split suggestions
-  const suggestions = Object.values(categoryGroups).map(group => ({
-    category: group.category,
-    amount: -Math.abs(group.total), // Negative for expense
-    items: group.items.map(item => item.title || 'Unknown item'),
-    item_count: group.items.length,
-    reasoning: `${group.items.length} item(s) in ${group.category}`
-  }));
+  return db.prepare(`
+    SELECT
+      ai.*,
+      ao.order_date,
+      ao.total_amount as order_total,
+      ao.matched_transaction_id,
+      bm25(amazon_items_fts, ${AMAZON_ITEM_SEARCH_WEIGHTS}) as score
+    FROM amazon_items_fts
+    JOIN amazon_items ai ON ai.id = amazon_items_fts.rowid
+    JOIN amazon_orders ao ON ao.order_id = ai.order_id
+    WHERE ${where.join(' AND ')}
+    ORDER BY score, ao.order_date DESC
+    LIMIT ?
+  `).all(...params, limit);
+}
+
+// ============================================================================
+// IMPORT PROFILES
+// ============================================================================
 
+function parseImportProfile(row) {
+  if (!row) return null;
   return {
-    canSplit: true,
-    transaction_id: transactionId,
-    original_amount: transaction.amount,
-    suggestions,
-    total_suggested: suggestions.reduce((sum, s) => sum + Math.abs(s.amount), 0)
+    ...row,
+    mapping: JSON.parse(row.mapping),
+    headers: row.headers ? JSON.parse(row.headers) : null
   };
 }
 
 /**
- * Create transaction splits
- * @param {string} transactionId - Parent transaction ID
- * @param {Array} splits - Array of split data
+ * Saved statement import profiles (column mappings), most recently used first
  */
-export function createTransactionSplits(transactionId, splits) {
-  // Delete existing splits for this transaction
-  db.prepare('DELETE FROM transaction_splits WHERE parent_transaction_id = ?')
-    .run(transactionId);
+export function getImportProfiles() {
+  return db.prepare(`
+    SELECT * FROM import_profiles
+    ORDER BY last_used_at IS NULL, last_used_at DESC, name
+  `).all().map(parseImportProfile);
+}
 
-  if (!splits || splits.length === 0) {
-    return { created: 0 };
+export function getImportProfile(id) {
+  return parseImportProfile(db.prepare('SELECT * FROM import_profiles WHERE id = ?').get(id));
+}
+
+/**
+ * Save an import profile
+ * @param {string} name - Profile name (usually the institution)
+ * @param {Object} mapping - Column mapping (see importer.js)
+ * @param {Array} headers - Header line of the files it was made for, to pick it automatically (optional)
+ */
+export function createImportProfile(name, mapping, headers = null) {
+  try {
+    const info = db.prepare(`
+      INSERT INTO import_profiles (name, mapping, headers, created_at, updated_at)
+      VALUES (?, ?, ?, datetime('now'), datetime('now'))
+    `).run(name, JSON.stringify(mapping), headers ? JSON.stringify(headers) : null);
+    return getImportProfile(info.lastInsertRowid);
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      throw new Error('An import profile with this name already exists');
+    }
+    throw error;
   }
+}
 
-  const stmt = db.prepare(`
-    INSERT INTO transaction_splits (
-      id, parent_transaction_id, split_index, amount, category, description, reasoning, source, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
-  `);
+/**
+ * Update an import profile (fields left undefined keep their value)
+ */
+export function updateImportProfile(id, { name, mapping, headers } = {}) {
+  const existing = getImportProfile(id);
+  if (!existing) {
+    throw new Error('Import profile not found');
+  }
 
-  const insertMany = db.transaction((splitList) => {
-    splitList.forEach((split, index) => {
-      const id = `split_${transactionId}_${index}`;
-      stmt.run(
-        id,
-        transactionId,
-        index,
-        split.amount,
-        split.category,
-        split.description || null,
-        split.reasoning || null,
-        split.source || 'manual'
-      );
-    });
-  });
+  try {
+    db.prepare(`
+      UPDATE import_profiles
+      SET name = ?, mapping = ?, headers = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(
+      name ?? existing.name,
+      JSON.stringify(mapping ?? existing.mapping),
+      headers !== undefined ? (headers ? JSON.stringify(headers) : null) : (existing.headers ? JSON.stringify(existing.headers) : null),
+      id
+    );
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      throw new Error('An import profile with this name already exists');
+    }
+    throw error;
+  }
+
+  return getImportProfile(id);
+}
+
+export function deleteImportProfile(id) {
+  const info = db.prepare('DELETE FROM import_profiles WHERE id = ?').run(id);
+  if (info.changes === 0) {
+    throw new Error('Import profile not found');
+  }
+}
+
+export function touchImportProfile(id) {
+  db.prepare("UPDATE import_profiles SET last_used_at = datetime('now') WHERE id = ?").run(id);
+}
+
+// ============================================================================
+// BUDGETS
+// ============================================================================
 
-  insertMany(splits);
+/**
+ * Shift a YYYY-MM month string by a number of months
+ */
+function shiftMonth(month, delta) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, monthIndex - 1 + delta, 1));
+  return date.toISOString().slice(0, 7);
+}
 
-  return { created: splits.length };
+/**
+ * Get split-aware spending per category per month for an inclusive month range
+ * @returns {Map} Map of `${categoryId}|${month}` -> spent amount
+ */
+function getMonthlyCategorySpend(startMonth, endMonth) {
+  const rows = db.prepare(`
+    SELECT
+      category_id,
+      substr(date, 1, 7) as month,
+      SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) as spent
+    FROM (${SPEND_LINES_SQL})
+    WHERE category_id IS NOT NULL AND date >= ? AND date < ?
+    GROUP BY category_id, month
+  `).all(`${startMonth}-01`, `${shiftMonth(endMonth, 1)}-01`);
+
+  const spend = new Map();
+  for (const row of rows) {
+    spend.set(`${row.category_id}|${row.month}`, parseFloat(row.spent) || 0);
+  }
+  return spend;
 }
 
 /**
- * Get transaction splits
- * @param {string} transactionId - Parent transaction ID
- * @returns {Array} - Array of splits
+ * Get budgets set for a month
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Array} Budget rows with category details
  */
-export function getTransactionSplits(transactionId) {
+export function getBudgets(month) {
   return db.prepare(`
-    SELECT * FROM transaction_splits
-    WHERE parent_transaction_id = ?
-    ORDER BY split_index
-  `).all(transactionId);
+    SELECT b.*, c.name as category, c.icon, c.color, p.name as parent_category
+    FROM budgets b
+    JOIN categories c ON c.id = b.category_id
+    LEFT JOIN categories p ON p.id = c.parent_category_id
+    WHERE b.month = ?
+    ORDER BY c.name
+  `).all(month);
 }
 
 /**
- * Delete transaction splits
- * @param {string} transactionId - Parent transaction ID
+ * Create or update the budget for a category and month
+ * @param {number} categoryId - Category ID
+ * @param {string} month - Month in YYYY-MM format
+ * @param {number} amount - Budgeted amount
+ * @param {boolean} rollover - Carry unspent amount into the following month
  */
-export function deleteTransactionSplits(transactionId) {
-  const result = db.prepare('DELETE FROM transaction_splits WHERE parent_transaction_id = ?')
-    .run(transactionId);
+export function setBudget(categoryId, month, amount, rollover = false) {
+  if (!getCategoryNameById(categoryId)) {
+    throw new Error('Category not found');
+  }
 
-  return { deleted: result.changes };
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO budgets (category_id, month, amount, rollover, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(category_id, month) DO UPDATE SET
+      amount = excluded.amount,
+      rollover = excluded.rollover,
+      updated_at = excluded.updated_at
+  `).run(categoryId, month, amount, rollover ? 'Yes' : 'No', now, now);
+
+  return db.prepare('SELECT * FROM budgets WHERE category_id = ? AND month = ?').get(categoryId, month);
 }
 
 /**
- * Get all transactions with splits
- * @returns {Array} - Array of transaction IDs that have splits
+ * Delete a budget
+ * @param {number} id - Budget ID
  */
-export function getTransactionsWithSplits() {
-  return db.prepare(`
-    SELECT DISTINCT parent_transaction_id as transaction_id
-    FROM transaction_splits
-  `).all();
+export function deleteBudget(id) {
+  const result = db.prepare('DELETE FROM budgets WHERE id = ?').run(id);
+  if (result.changes === 0) {
+    throw new Error('Budget not found');
+  }
+  return { success: true };
 }
 
 /**
- * Check if transaction has splits
- * @param {string} transactionId - Transaction ID
- * @returns {boolean}
+ * Copy every budget from one month into another, keeping budgets that already
+ * exist in the target month
+ * @returns {Object} Number of budgets copied
  */
-export function hasTransactionSplits(transactionId) {
+export function copyBudgets(fromMonth, toMonth) {
+  const now = new Date().toISOString();
   const result = db.prepare(`
-    SELECT COUNT(*) as count
-    FROM transaction_splits
-    WHERE parent_transaction_id = ?
-  `).get(transactionId);
+    INSERT OR IGNORE INTO budgets (category_id, month, amount, rollover, created_at, updated_at)
+    SELECT category_id, ?, amount, rollover, ?, ?
+    FROM budgets
+    WHERE month = ?
+  `).run(toMonth, now, now, fromMonth);
 
-  return result.count > 0;
+  return { copied: result.changes };
 }
 
-// ============================================================================
-// SETTINGS
-// ============================================================================
-
 /**
- * Default settings with descriptions
+ * Get budgeted, spent and remaining amounts for a month
+ *
+ * Spend is split-aware (same lines as getCategorySpending) and a parent
+ * category's budget covers its children's spending too. When a budget has
+ * rollover enabled, whatever is left of it at month end is carried into the
+ * next month's budget for the same category, as long as that month has one.
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Object} { month, budgets, totals }
  */
-const DEFAULT_SETTINGS = {
-  // Amazon Matching
-  amazon_matching_max_days: {
-    value: 180,
-    type: 'number',
-    description: 'Maximum days between Amazon order and transaction match',
-    category: 'Amazon Matching',
-    min: 1,
-    max: 365
-  },
-  amazon_matching_confidence_decrease_per_day: {
-    value: 0.5,
-    type: 'number',
-    description: 'Confidence score decrease per day (percentage)',
-    category: 'Amazon Matching',
-    min: 0.1,
-    max: 10,
-    step: 0.1
-  },
-  amazon_matching_amount_tolerance: {
-    value: 0.001,
-    type: 'number',
-    description: 'Floating point tolerance for exact amount matching (dollars)',
-    category: 'Amazon Matching',
-    min: 0.0001,
-    max: 0.01,
-    step: 0.0001
-  },
-
-  // Logging
-  enable_matching_debug_logs: {
-    value: true,
-    type: 'boolean',
-    description: 'Enable detailed Amazon matching debug logs',
-    category: 'Logging'
-  },
-  enable_csv_parsing_logs: {
-    value: true,
-    type: 'boolean',
-    description: 'Enable Amazon CSV parsing logs',
-    category: 'Logging'
-  },
-  enable_amazon_item_ai_logs: {
-    value: false,
-    type: 'boolean',
-    description: 'Enable Amazon item AI categorization logs (shows prompts and responses)',
-    category: 'Logging'
-  },
+export function getBudgetSummary(month) {
+  const budgets = getBudgets(month);
+  if (budgets.length === 0) {
+    return {
+      month,
+      budgets: [],
+      totals: { budgeted: 0, carried_over: 0, available: 0, spent: 0, remaining: 0 }
+    };
+  }
 
-  // General
-  default_transaction_limit: {
-    value: 500,
-    type: 'number',
-    description: 'Default number of transactions to fetch',
-    category: 'General',
-    min: 50,
-    max: 5000,
-    step: 50
-  },
-  use_relative_dates: {
-    value: false,
-    type: 'boolean',
-    description: 'Display dates in relative format (e.g., "2 days ago") instead of absolute format',
-    category: 'General'
+  const categoryIds = budgets.map(b => b.category_id);
+  const placeholders = categoryIds.map(() => '?').join(',');
+
+  // Earlier budgets for these categories, needed to compute rollover
+  const history = db.prepare(`
+    SELECT category_id, month, amount, rollover
+    FROM budgets
+    WHERE category_id IN (${placeholders}) AND month < ?
+    ORDER BY category_id, month
+  `).all(...categoryIds, month);
+
+  const childIds = new Map();
+  const children = db.prepare(`
+    SELECT id, parent_category_id FROM categories
+    WHERE parent_category_id IN (${placeholders})
+  `).all(...categoryIds);
+  for (const child of children) {
+    if (!childIds.has(child.parent_category_id)) {
+      childIds.set(child.parent_category_id, []);
+    }
+    childIds.get(child.parent_category_id).push(child.id);
   }
-};
 
-/**
- * Get a setting value
- * @param {string} key - Setting key
- * @returns {any} - Setting value (parsed to appropriate type)
- */
-export function getSetting(key) {
-  const row = db.prepare('SELECT value FROM config WHERE key = ?').get(key);
+  const firstMonth = history.length > 0
+    ? history.reduce((min, b) => (b.month < min ? b.month : min), month)
+    : month;
+  const spend = getMonthlyCategorySpend(firstMonth, month);
 
-  if (!row) {
-    // Return default if not set
-    const defaultSetting = DEFAULT_SETTINGS[key];
-    return defaultSetting ? defaultSetting.value : null;
-  }
+  const spentIn = (categoryId, m) => {
+    const ids = [categoryId, ...(childIds.get(categoryId) || [])];
+    return ids.reduce((sum, id) => sum + (spend.get(`${id}|${m}`) || 0), 0);
+  };
 
-  // Parse value based on type
-  const defaultSetting = DEFAULT_SETTINGS[key];
-  if (!defaultSetting) return row.value;
+  const rows = budgets.map(budget => {
+    // Walk earlier months in order, carrying leftovers between consecutive months
+    let carry = 0;
+    let previous = null;
+    for (const entry of history.filter(h => h.category_id === budget.category_id)) {
+      const carryIn = previous && previous.rollover === 'Yes' && shiftMonth(previous.month, 1) === entry.month
+        ? Math.max(0, previous.amount + carry - spentIn(budget.category_id, previous.month))
+        : 0;
+      carry = carryIn;
+      previous = entry;
+    }
 
-  switch (defaultSetting.type) {
-    case 'number':
-      return parseFloat(row.value);
-    case 'boolean':
-      return row.value === 'true';
-    default:
-      return row.value;
-  }
+    const carriedOver = previous && previous.rollover === 'Yes' && shiftMonth(previous.month, 1) === month
+      ? Math.max(0, previous.amount + carry - spentIn(budget.category_id, previous.month))
+      : 0;
+
+    const available = budget.amount + carriedOver;
+    const spent = spentIn(budget.category_id, month);
+    const remaining = available - spent;
+
+    return {
+      ...budget,
+      rollover: budget.rollover === 'Yes',
+      carried_over: carriedOver,
+      available,
+      spent,
+      remaining,
+      overspent: remaining < 0,
+      percent_used: available > 0 ? Math.round((spent / available) * 100) : (spent > 0 ? 100 : 0)
+    };
+  });
+
+  // Avoid double-counting a child's spending when both it and its parent are budgeted
+  const budgetedIds = new Set(categoryIds);
+  const topLevelRows = rows.filter(row => {
+    const parentId = children.find(c => c.id === row.category_id)?.parent_category_id;
+    return !parentId || !budgetedIds.has(parentId);
+  });
+
+  const totals = topLevelRows.reduce((acc, row) => {
+    acc.budgeted += row.amount;
+    acc.carried_over += row.carried_over;
+    acc.available += row.available;
+    acc.spent += row.spent;
+    return acc;
+  }, { budgeted: 0, carried_over: 0, available: 0, spent: 0 });
+  totals.remaining = totals.available - totals.spent;
+
+  return { month, budgets: rows, totals };
 }
 
+// ============================================================================
+// RECURRING SERIES
+// ============================================================================
+
 /**
- * Get all settings
- * @returns {Object} - All settings with values and metadata
+ * Get posted transactions to scan for recurring series, oldest first
  */
-export function getAllSettings() {
-  const rows = db.prepare('SELECT key, value FROM config').all();
-  const settingsMap = {};
+export function getRecurringCandidates() {
+  return db.prepare(`
+    SELECT transaction_id, date, amount, description, merchant_name, merchant_entity_id,
+           account_name, category_id, external_recurring
+    FROM transactions
+    WHERE pending != 'Yes'
+    ORDER BY date ASC
+  `).all();
+}
 
-  rows.forEach(row => {
-    settingsMap[row.key] = row.value;
-  });
+/**
+ * Replace detected recurring series with a fresh detection run
+ *
+ * Series are upserted by series_key so ids and the dismissed flag survive
+ * re-detection. Series that are no longer detected are removed unless the
+ * user dismissed them (kept so they stay hidden if they reappear).
+ * @param {Array} seriesList - Detected series, each with a transactionIds array
+ * @returns {Object} { saved, removed }
+ */
+export function saveRecurringSeries(seriesList) {
+  const now = new Date().toISOString();
 
-  // Build result with defaults and current values
-  const result = {};
-  Object.keys(DEFAULT_SETTINGS).forEach(key => {
-    const def = DEFAULT_SETTINGS[key];
-    const storedValue = settingsMap[key];
+  const upsertStmt = db.prepare(`
+    INSERT INTO recurring_series (
+      series_key, name, merchant_name, merchant_entity_id, account_name, category_id,
+      cadence, interval_days, expected_amount, previous_amount, price_increase,
+      occurrence_count, first_date, last_date, next_expected_date, status, source,
+      confidence, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(series_key) DO UPDATE SET
+      name = excluded.name,
+      merchant_name = excluded.merchant_name,
+      merchant_entity_id = excluded.merchant_entity_id,
+      account_name = excluded.account_name,
+      category_id = excluded.category_id,
+      cadence = excluded.cadence,
+      interval_days = excluded.interval_days,
+      expected_amount = excluded.expected_amount,
+      previous_amount = excluded.previous_amount,
+      price_increase = excluded.price_increase,
+      occurrence_count = excluded.occurrence_count,
+      first_date = excluded.first_date,
+      last_date = excluded.last_date,
+      next_expected_date = excluded.next_expected_date,
+      status = excluded.status,
+      source = excluded.source,
+      confidence = excluded.confidence,
+      updated_at = excluded.updated_at
+  `);
+  const getIdStmt = db.prepare('SELECT id FROM recurring_series WHERE series_key = ?');
+  const linkStmt = db.prepare('UPDATE transactions SET recurring_series_id = ? WHERE transaction_id = ?');
 
-    let value;
-    if (storedValue !== undefined) {
-      // Parse stored value
-      switch (def.type) {
-        case 'number':
-          value = parseFloat(storedValue);
-          break;
-        case 'boolean':
-          value = storedValue === 'true';
-          break;
-        default:
-          value = storedValue;
+  const transaction = db.transaction(() => {
+    db.prepare('UPDATE transactions SET recurring_series_id = NULL WHERE recurring_series_id IS NOT NULL').run();
+
+    const keys = [];
+    for (const series of seriesList) {
+      upsertStmt.run(
+        series.series_key,
+        series.name,
+        series.merchant_name || null,
+        series.merchant_entity_id || null,
+        series.account_name || null,
+        series.category_id || null,
+        series.cadence,
+        series.interval_days,
+        series.expected_amount,
+        series.previous_amount ?? null,
+        series.price_increase ? 'Yes' : 'No',
+        series.occurrence_count,
+        series.first_date,
+        series.last_date,
+        series.next_expected_date,
+        series.status,
+        series.source,
+        series.confidence,
+        now,
+        now
+      );
+
+      const { id } = getIdStmt.get(series.series_key);
+      for (const transactionId of series.transactionIds) {
+        linkStmt.run(id, transactionId);
       }
-    } else {
-      value = def.value;
+      keys.push(series.series_key);
     }
 
-    result[key] = {
-      value,
-      type: def.type,
-      description: def.description,
-      category: def.category,
-      default: def.value,
-      ...(def.min !== undefined && { min: def.min }),
-      ...(def.max !== undefined && { max: def.max }),
-      ...(def.step !== undefined && { step: def.step })
-    };
+    // Drop stale series (keep dismissed ones so they stay hidden)
+    let removed = 0;
+    const existing = db.prepare("SELECT id, series_key FROM recurring_series WHERE dismissed != 'Yes'").all();
+    const keySet = new Set(keys);
+    const deleteStmt = db.prepare('DELETE FROM recurring_series WHERE id = ?');
+    for (const row of existing) {
+      if (!keySet.has(row.series_key)) {
+        deleteStmt.run(row.id);
+        removed++;
+      }
+    }
+
+    return { saved: seriesList.length, removed };
   });
 
-  return result;
+  return transaction();
 }
 
 /**
- * Set a setting value
- * @param {string} key - Setting key
- * @param {any} value - Setting value
+ * Get recurring series
+ * @param {Object} filters - { status, includeDismissed }
  */
-export function setSetting(key, value) {
-  // Validate against defaults
-  const defaultSetting = DEFAULT_SETTINGS[key];
-  if (!defaultSetting) {
-    throw new Error(`Unknown setting: ${key}`);
+export function getRecurringSeries(filters = {}) {
+  let sql = `
+    SELECT rs.*, c.name as category, c.icon as category_icon, c.color as category_color
+    FROM recurring_series rs
+    LEFT JOIN categories c ON c.id = rs.category_id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (!filters.includeDismissed) {
+    sql += " AND rs.dismissed != 'Yes'";
   }
 
-  // Validate type and range
-  let stringValue;
-  switch (defaultSetting.type) {
-    case 'number':
-      const numValue = parseFloat(value);
-      if (isNaN(numValue)) {
-        throw new Error(`Invalid number value for ${key}`);
-      }
-      if (defaultSetting.min !== undefined && numValue < defaultSetting.min) {
-        throw new Error(`Value for ${key} must be at least ${defaultSetting.min}`);
-      }
-      if (defaultSetting.max !== undefined && numValue > defaultSetting.max) {
-        throw new Error(`Value for ${key} must be at most ${defaultSetting.max}`);
-      }
-      stringValue = numValue.toString();
-      break;
-    case 'boolean':
-      stringValue = (!!value).toString();
-      break;
-    default:
-      stringValue = value.toString();
+  if (filters.status) {
+    sql += ' AND rs.status = ?';
+    params.push(filters.status);
   }
 
-  // Upsert setting
-  db.prepare(`
-    INSERT INTO config (key, value) VALUES (?, ?)
-    ON CONFLICT(key) DO UPDATE SET value = excluded.value
-  `).run(key, stringValue);
+  sql += ' ORDER BY rs.next_expected_date ASC';
 
-  return { success: true };
+  return db.prepare(sql).all(...params);
+}
+
+/**
+ * Get a recurring series by ID
+ */
+export function getRecurringSeriesById(id) {
+  return db.prepare('SELECT * FROM recurring_series WHERE id = ?').get(id);
 }
 
 /**
- * Reset a setting to default
- * @param {string} key - Setting key
+ * Get the transactions that make up a recurring series, newest first
  */
-export function resetSetting(key) {
-  db.prepare('DELETE FROM config WHERE key = ?').run(key);
-  return { success: true };
+export function getRecurringSeriesTransactions(id) {
+  return db.prepare(`
+    ${TRANSACTION_SELECT_SQL}
+    WHERE t.recurring_series_id = ?
+    ORDER BY t.date DESC
+  `).all(id);
 }
 
 /**
- * Reset all settings to defaults
+ * Update the status of recurring series (used when refreshing missed flags)
+ * @param {Array} updates - Array of { id, status }
  */
-export function resetAllSettings() {
-  db.prepare('DELETE FROM config').run();
-  return { success: true };
+export function updateRecurringSeriesStatuses(updates) {
+  const stmt = db.prepare("UPDATE recurring_series SET status = ?, updated_at = datetime('now') WHERE id = ?");
+  const transaction = db.transaction(() => {
+    for (const update of updates) {
+      stmt.run(update.status, update.id);
+    }
+  });
+  transaction();
 }
 
-// ============================================================================
-// EXTERNAL CATEGORY MAPPINGS
-// ============================================================================
-
 /**
- * Get pending external category mappings (need user review)
- * @param {string} source - Optional source filter (plaid, amazon, copilot, etc.)
- * @returns {Array} Pending mappings
+ * Dismiss (hide) or restore a recurring series
  */
-export function getPendingExternalMappings(source = null) {
-  let sql = 'SELECT * FROM external_category_mappings WHERE status = ?';
-  const params = ['pending'];
+export function setRecurringSeriesDismissed(id, dismissed) {
+  const result = db.prepare(`
+    UPDATE recurring_series SET dismissed = ?, updated_at = datetime('now') WHERE id = ?
+  `).run(dismissed ? 'Yes' : 'No', id);
 
-  if (source) {
-    sql += ' AND source = ?';
-    params.push(source);
+  if (result.changes === 0) {
+    throw new Error('Recurring series not found');
   }
 
-  sql += ' ORDER BY created_at DESC';
-
-  return db.prepare(sql).all(...params);
+  return getRecurringSeriesById(id);
 }
 
+// ============================================================================
+// TRANSFERS
+// ============================================================================
+
 /**
- * Get all external category mappings
- * @returns {Array} All mappings
+ * Get posted transactions the transfer matcher may pair, oldest first
+ * (transactions the user has flagged either way are left alone)
  */
-export function getAllExternalMappings() {
-  return db.prepare('SELECT * FROM external_category_mappings ORDER BY source, external_category').all();
+export function getTransferCandidates() {
+  return db.prepare(`
+    SELECT transaction_id, date, amount, account_name, description
+    FROM transactions
+    WHERE pending != 'Yes'
+      AND (transfer_source IS NULL OR transfer_source = 'detected')
+    ORDER BY date ASC
+  `).all();
 }
 
 /**
- * Get or create external category mapping
- * @param {string} externalCategory - External category name
- * @param {string} source - Source (plaid, amazon, copilot, etc.)
- * @returns {Object} Mapping record
+ * Replace detected transfer pairs with a fresh matcher run
+ * @param {Array} pairs - Array of { outflowId, inflowId }
+ * @returns {Object} { saved, cleared }
  */
-export function getOrCreateExternalMapping(externalCategory, source) {
-  let mapping = db.prepare(
-    'SELECT * FROM external_category_mappings WHERE external_category = ? AND source = ?'
-  ).get(externalCategory, source);
+export function saveTransferPairs(pairs) {
+  const markStmt = db.prepare(`
+    UPDATE transactions
+    SET is_transfer = 'Yes', transfer_pair_id = ?, transfer_source = 'detected'
+    WHERE transaction_id = ?
+  `);
 
-  if (!mapping) {
-    const result = db.prepare(`
-      INSERT INTO external_category_mappings (
-        external_category, source, status, created_at, updated_at
-      ) VALUES (?, ?, 'pending', datetime('now'), datetime('now'))
-    `).run(externalCategory, source);
+  const transaction = db.transaction(() => {
+    const cleared = db.prepare(`
+      UPDATE transactions
+      SET is_transfer = 'No', transfer_pair_id = NULL, transfer_source = NULL
+      WHERE transfer_source = 'detected'
+    `).run().changes;
 
-    mapping = db.prepare('SELECT * FROM external_category_mappings WHERE id = ?').get(result.lastInsertRowid);
-  }
+    for (const pair of pairs) {
+      markStmt.run(pair.inflowId, pair.outflowId);
+      markStmt.run(pair.outflowId, pair.inflowId);
+    }
 
-  return mapping;
+    return { saved: pairs.length, cleared };
+  });
+
+  return transaction();
 }
 
 /**
- * Update external category mapping
- * @param {number} id - Mapping ID
- * @param {string} userCategory - User category to map to (or null for unmapped)
- * @param {string} status - Status: pending, approved, rejected, unmapped
- * @param {number} confidence - Confidence score 0-100
+ * Flag or unflag a transaction as a transfer (user override)
+ * Confirming a detected pair confirms both sides; unflagging one releases the
+ * other side so the matcher can pair it again. Passing null clears the override
+ * and hands the transaction back to the matcher.
+ * @param {string} transactionId - Transaction ID
+ * @param {boolean|null} isTransfer - true, false, or null to reset
+ * @returns {Object} Updated transaction
  */
-export function updateExternalMapping(id, userCategory, status = 'approved', confidence = 100) {
-  db.prepare(`
-    UPDATE external_category_mappings
-    SET user_category = ?, status = ?, confidence = ?,
-        reviewed_at = datetime('now'), updated_at = datetime('now')
-    WHERE id = ?
-  `).run(userCategory, status, confidence, id);
+export function setTransactionTransfer(transactionId, isTransfer) {
+  const transaction = db.prepare('SELECT * FROM transactions WHERE transaction_id = ?').get(transactionId);
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
 
-  return { success: true };
-}
+  const update = db.transaction(() => {
+    if (isTransfer && transaction.transfer_pair_id) {
+      db.prepare(`
+        UPDATE transactions SET transfer_source = 'user'
+        WHERE transaction_id = ? AND transfer_pair_id = ?
+      `).run(transaction.transfer_pair_id, transactionId);
+    } else if (!isTransfer && transaction.transfer_pair_id) {
+      db.prepare(`
+        UPDATE transactions
+        SET is_transfer = 'No', transfer_pair_id = NULL, transfer_source = NULL
+        WHERE transaction_id = ? AND transfer_source = 'detected'
+      `).run(transaction.transfer_pair_id);
+    }
 
-/**
- * Apply external category mapping to a transaction
- * @param {string} externalCategory - External category
- * @param {string} source - Source
- * @returns {string|null} Mapped user category or null
- */
-export function getExternalCategoryMapping(externalCategory, source) {
-  const mapping = db.prepare(`
-    SELECT user_category FROM external_category_mappings
-    WHERE external_category = ? AND source = ?
-      AND status IN ('approved', 'unmapped')
-  `).get(externalCategory, source);
+    if (isTransfer === null) {
+      db.prepare(`
+        UPDATE transactions
+        SET is_transfer = 'No', transfer_pair_id = NULL, transfer_source = NULL
+        WHERE transaction_id = ?
+      `).run(transactionId);
+    } else {
+      db.prepare(`
+        UPDATE transactions
+        SET is_transfer = ?, transfer_pair_id = ?, transfer_source = 'user'
+        WHERE transaction_id = ?
+      `).run(isTransfer ? 'Yes' : 'No', isTransfer ? transaction.transfer_pair_id : null, transactionId);
+    }
+  });
 
-  return mapping?.user_category || null;
-}
+  update();
 
-/**
- * Get unmapped external categories from transactions
- * @returns {Array} Categories that need mapping
- */
-export function getUnmappedExternalCategories() {
-  return db.prepare(`
-    SELECT DISTINCT
-      t.external_category,
-      t.category_source as source,
-      COUNT(*) as transaction_count,
-      MIN(t.date) as first_seen,
-      MAX(t.date) as last_seen
-    FROM transactions t
-    LEFT JOIN external_category_mappings ecm
-      ON t.external_category = ecm.external_category
-      AND t.category_source = ecm.source
-    WHERE t.external_category IS NOT NULL
-      AND t.category_source IS NOT NULL
-      AND (ecm.id IS NULL OR ecm.status = 'pending')
-    GROUP BY t.external_category, t.category_source
-    ORDER BY transaction_count DESC
-  `).all();
+  return getTransactionById(transactionId);
 }
 
 /**
- * Delete external category mapping
- * @param {number} id - Mapping ID
+ * Include a transaction in reports again, or exclude it (user override of a rule)
+ * @param {string} transactionId - Transaction ID
+ * @param {boolean} excluded - Whether to leave it out of stats and reports
+ * @returns {Object} Updated transaction
  */
-export function deleteExternalMapping(id) {
-  db.prepare('DELETE FROM external_category_mappings WHERE id = ?').run(id);
-  return { success: true };
+export function setTransactionExcluded(transactionId, excluded) {
+  const result = db.prepare('UPDATE transactions SET excluded_from_reports = ? WHERE transaction_id = ?')
+    .run(excluded ? 'Yes' : 'No', transactionId);
+
+  if (result.changes === 0) {
+    throw new Error('Transaction not found');
+  }
+
+  return getTransactionById(transactionId);
 }
 
 /**
- * Get all Amazon items with their categorization status
- * @param {Object} filters - Optional filters (categorized, verified, orderId)
- * @returns {Array} Amazon items
+ * Get transfers, newest first, each with the account and date of its other side
+ * @param {Object} filters - { startDate, endDate }
  */
-export function getAmazonItems(filters = {}) {
-  let whereClause = 'WHERE 1=1';
+export function getTransfers(filters = {}) {
+  let sql = `
+    SELECT t.*, c.name as category,
+      p.account_name as pair_account_name,
+      p.date as pair_date,
+      p.amount as pair_amount
+    FROM transactions t
+    LEFT JOIN categories c ON c.id = t.category_id
+    LEFT JOIN transactions p ON p.transaction_id = t.transfer_pair_id
+    WHERE t.is_transfer = 'Yes'
+  `;
   const params = [];
 
-  if (filters.itemId) {
-    whereClause += ' AND ai.id = ?';
-    params.push(filters.itemId);
+  if (filters.startDate) {
+    sql += ' AND t.date >= ?';
+    params.push(filters.startDate);
   }
 
-  if (filters.itemIds && Array.isArray(filters.itemIds) && filters.itemIds.length > 0) {
-    const placeholders = filters.itemIds.map(() => '?').join(',');
-    whereClause += ` AND ai.id IN (${placeholders})`;
-    params.push(...filters.itemIds);
+  if (filters.endDate) {
+    sql += ' AND t.date <= ?';
+    params.push(filters.endDate);
   }
 
-  if (filters.orderId) {
-    whereClause += ' AND ai.order_id = ?';
-    params.push(filters.orderId);
-  }
+  sql += ' ORDER BY t.date DESC';
 
-  if (filters.asin) {
-    whereClause += ' AND ai.asin = ?';
-    params.push(filters.asin);
-  }
+  return db.prepare(sql).all(...params);
+}
 
-  if (filters.categorized === 'yes') {
-    whereClause += ' AND ai.user_category IS NOT NULL';
-  } else if (filters.categorized === 'no') {
-    whereClause += ' AND ai.user_category IS NULL';
+// ============================================================================
+// REIMBURSEMENTS
+// ============================================================================
+
+export const COUNTERPARTY_KINDS = ['person', 'employer'];
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Claims with what has been repaid on them so far (dismissed matches don't count)
+const REIMBURSEMENT_SELECT_SQL = `
+  SELECT r.*, c.name as counterparty, c.kind as counterparty_kind,
+    t.date, t.description, t.account_name,
+    COALESCE((
+      SELECT SUM(p.amount) FROM reimbursement_payments p
+      WHERE p.reimbursement_id = r.id AND p.source != 'dismissed'
+    ), 0) as repaid
+  FROM reimbursements r
+  JOIN counterparties c ON c.id = r.counterparty_id
+  JOIN transactions t ON t.transaction_id = r.transaction_id
+`;
+
+/**
+ * Get counterparties with what they owe, what they've repaid and what is
+ * still outstanding, largest balance first
+ */
+export function getCounterparties() {
+  return db.prepare(`
+    SELECT c.*,
+      COALESCE(SUM(claims.amount), 0) as owed,
+      COALESCE(SUM(claims.repaid), 0) as repaid,
+      COALESCE(SUM(claims.amount - claims.repaid), 0) as outstanding,
+      COUNT(CASE WHEN claims.amount - claims.repaid > 0.005 THEN 1 END) as open_claims
+    FROM counterparties c
+    LEFT JOIN (${REIMBURSEMENT_SELECT_SQL}) claims ON claims.counterparty_id = c.id
+    GROUP BY c.id
+    ORDER BY outstanding DESC, c.name
+  `).all().map(row => ({
+    ...row,
+    owed: roundCents(row.owed),
+    repaid: roundCents(row.repaid),
+    outstanding: roundCents(row.outstanding)
+  }));
+}
+
+export function getCounterparty(id) {
+  const counterparty = db.prepare('SELECT * FROM counterparties WHERE id = ?').get(id);
+  if (!counterparty) {
+    throw new Error('Counterparty not found');
   }
+  return counterparty;
+}
 
-  if (filters.verified === 'yes') {
-    whereClause += ' AND ai.verified = \'Yes\'';
-  } else if (filters.verified === 'no') {
-    whereClause += ' AND ai.verified = \'No\'';
+/**
+ * Add someone who can owe you money
+ * @param {Object} data - { name, kind, match_terms } where match_terms are the
+ *   comma-separated words their repayments show up with ("venmo alex, zelle alex")
+ */
+export function createCounterparty(data) {
+  const name = (data.name || '').trim();
+  if (db.prepare('SELECT 1 FROM counterparties WHERE name = ?').get(name)) {
+    throw new Error(`Counterparty "${name}" already exists`);
   }
 
-  // Build data query with pagination
-  // JOIN with categories to get current category name (handles renames automatically)
-  let query = `
-    SELECT
-      ai.*,
-      COALESCE(c.name, ai.user_category) as user_category,
-      c.icon as category_icon,
-      c.color as category_color,
-      ao.order_date,
-      ao.order_id,
-      ao.account_name
-    FROM amazon_items ai
-    JOIN amazon_orders ao ON ai.order_id = ao.order_id
-    LEFT JOIN categories c ON ai.category_id = c.id
-    ${whereClause}
-    ORDER BY ao.order_date DESC, ai.id DESC
-  `;
+  const result = db.prepare(`
+    INSERT INTO counterparties (name, kind, match_terms, created_at)
+    VALUES (?, ?, ?, datetime('now'))
+  `).run(name, data.kind || 'person', data.match_terms || null);
 
-  // Add pagination if limit is specified
-  if (filters.limit) {
-    query += ' LIMIT ?';
-    params.push(filters.limit);
+  return getCounterparty(result.lastInsertRowid);
+}
 
-    if (filters.offset) {
-      query += ' OFFSET ?';
-      params.push(filters.offset);
-    }
+/**
+ * Rename a counterparty or change how its repayments are recognized
+ * @param {number} id - Counterparty ID
+ * @param {Object} data - { name, kind, match_terms } (omitted fields are kept)
+ */
+export function updateCounterparty(id, data) {
+  const counterparty = getCounterparty(id);
+  const name = data.name !== undefined ? data.name.trim() : counterparty.name;
+
+  if (db.prepare('SELECT 1 FROM counterparties WHERE name = ? AND id != ?').get(name, id)) {
+    throw new Error(`Counterparty "${name}" already exists`);
   }
 
-  return db.prepare(query).all(...params);
+  db.prepare('UPDATE counterparties SET name = ?, kind = ?, match_terms = ? WHERE id = ?').run(
+    name,
+    data.kind ?? counterparty.kind,
+    data.match_terms !== undefined ? (data.match_terms || null) : counterparty.match_terms,
+    id
+  );
+
+  return getCounterparty(id);
 }
 
 /**
- * Update Amazon item category
- * @param {number} itemId - Item ID
- * @param {string} category - Category name
- * @param {number} confidence - Confidence score 0-100
- * @param {string} reasoning - Categorization reasoning
+ * Delete a counterparty with its claims and their repayments
  */
-export function updateAmazonItemCategory(itemId, category, confidence = 0, reasoning = null) {
-  const categoryId = category ? getOrCreateCategoryIdByName(category) : null;
+export function deleteCounterparty(id) {
+  getCounterparty(id);
 
-  db.prepare(`
-    UPDATE amazon_items
-    SET user_category = ?, category_id = ?, confidence = ?, categorization_reasoning = ?
-    WHERE id = ?
-  `).run(category, categoryId, confidence, reasoning, itemId);
+  const remove = db.transaction(() => {
+    db.prepare(`
+      DELETE FROM reimbursement_payments
+      WHERE reimbursement_id IN (SELECT id FROM reimbursements WHERE counterparty_id = ?)
+    `).run(id);
+    const claimsRemoved = db.prepare('DELETE FROM reimbursements WHERE counterparty_id = ?').run(id).changes;
+    db.prepare('DELETE FROM counterparties WHERE id = ?').run(id);
+    return { success: true, claimsRemoved };
+  });
 
-  return { success: true };
+  return remove();
+}
+
+function getOrCreateCounterpartyId(name, kind) {
+  const existing = db.prepare('SELECT id FROM counterparties WHERE name = ?').get(name.trim());
+  return existing ? existing.id : createCounterparty({ name, kind }).id;
 }
 
 /**
- * Verify Amazon item category
- * @param {number} itemId - Item ID
+ * Mark part of a transaction, or of one of its splits, as owed by someone
+ * A split transaction takes claims on its splits only, and the claims on one
+ * line can't add up to more than the line itself.
+ * @param {string} transactionId - Transaction ID (the parent, for a split)
+ * @param {Object} data - { counterparty (name) or counterpartyId, kind, splitId, amount, note }
+ * @returns {Object} The claim
  */
-export function verifyAmazonItemCategory(itemId) {
-  db.prepare(`
-    UPDATE amazon_items
-    SET verified = 'Yes', confidence = 100
-    WHERE id = ?
-  `).run(itemId);
+export function createReimbursement(transactionId, data) {
+  const transaction = db.prepare('SELECT transaction_id, amount FROM transactions WHERE transaction_id = ?').get(transactionId);
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+  if (!(transaction.amount > 0)) {
+    throw new Error('Only expenses can be reimbursed');
+  }
 
-  return { success: true };
+  const splits = getTransactionSplits(transactionId);
+  let lineAmount = transaction.amount;
+  if (data.splitId) {
+    const split = splits.find(s => s.id === data.splitId);
+    if (!split) {
+      throw new Error('Split not found');
+    }
+    lineAmount = Math.abs(split.amount);
+  } else if (splits.length > 0) {
+    throw new Error('Choose which split is owed');
+  }
+
+  const claimed = db.prepare(`
+    SELECT COALESCE(SUM(amount), 0) as total FROM reimbursements
+    WHERE transaction_id = ? AND split_id IS ?
+  `).get(transactionId, data.splitId || null).total;
+  if (data.amount > roundCents(lineAmount - claimed) + 0.005) {
+    throw new Error(`Only ${roundCents(lineAmount - claimed).toFixed(2)} of this transaction is left to claim`);
+  }
+
+  const counterpartyId = data.counterpartyId
+    ? getCounterparty(data.counterpartyId).id
+    : getOrCreateCounterpartyId(data.counterparty, data.kind);
+
+  const result = db.prepare(`
+    INSERT INTO reimbursements (transaction_id, split_id, counterparty_id, amount, note, created_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now'))
+  `).run(transactionId, data.splitId || null, counterpartyId, roundCents(data.amount), data.note || null);
+
+  return db.prepare(`${REIMBURSEMENT_SELECT_SQL} WHERE r.id = ?`).get(result.lastInsertRowid);
 }
 
 /**
- * Unverify Amazon item category
- * @param {number} itemId - Item ID
- * @param {number} originalConfidence - Original confidence to restore
- */
-export function unverifyAmazonItemCategory(itemId, originalConfidence = 0) {
-  db.prepare(`
-    UPDATE amazon_items
-    SET verified = 'No', confidence = ?
-    WHERE id = ?
-  `).run(originalConfidence, itemId);
+ * Delete a claim along with its repayments
+ */
+export function deleteReimbursement(id) {
+  const remove = db.transaction(() => {
+    db.prepare('DELETE FROM reimbursement_payments WHERE reimbursement_id = ?').run(id);
+    return db.prepare('DELETE FROM reimbursements WHERE id = ?').run(id).changes;
+  });
+
+  if (remove() === 0) {
+    throw new Error('Reimbursement not found');
+  }
 
   return { success: true };
 }
 
 /**
- * Update Amazon item image URL (cache scraped image URL)
- * @param {string} asin - Product ASIN
- * @param {string} imageUrl - Scraped image URL
+ * Keep claims on a split transaction pointing at one of its splits: when a
+ * transaction is split, claims on the whole of it (or on a split that no longer
+ * exists) move to the first split; when it is unsplit they move back to it
  */
-export function updateAmazonItemImageUrl(asin, imageUrl) {
-  db.prepare(`
-    UPDATE amazon_items
-    SET image_url = ?
-    WHERE asin = ?
-  `).run(imageUrl, asin);
+function reattachReimbursements(transactionId) {
+  const firstSplit = db.prepare(`
+    SELECT id FROM transaction_splits WHERE parent_transaction_id = ? ORDER BY split_index LIMIT 1
+  `).get(transactionId);
 
-  return { success: true };
+  if (firstSplit) {
+    db.prepare(`
+      UPDATE reimbursements SET split_id = ?
+      WHERE transaction_id = ?
+        AND (split_id IS NULL OR split_id NOT IN (SELECT id FROM transaction_splits WHERE parent_transaction_id = ?))
+    `).run(firstSplit.id, transactionId, transactionId);
+  } else {
+    db.prepare('UPDATE reimbursements SET split_id = NULL WHERE transaction_id = ?').run(transactionId);
+  }
 }
 
 /**
- * Get Amazon item categorization rules
- * @returns {Array} Rules
+ * Get reimbursement details for a batch of transactions
+ * @param {Array} transactionIds - Transaction IDs
+ * @returns {Object} { claims: Map of transaction or split ID -> claims,
+ *   repayments: Map of deposit transaction ID -> what it repaid }
  */
-export function getAmazonItemRules() {
+export function getTransactionReimbursements(transactionIds) {
+  const claims = new Map();
+  const repayments = new Map();
+  if (!transactionIds || transactionIds.length === 0) {
+    return { claims, repayments };
+  }
+
+  const placeholders = transactionIds.map(() => '?').join(',');
+
+  const claimRows = db.prepare(`
+    ${REIMBURSEMENT_SELECT_SQL}
+    WHERE r.transaction_id IN (${placeholders})
+    ORDER BY r.id
+  `).all(...transactionIds);
+
+  for (const row of claimRows) {
+    const lineId = row.split_id || row.transaction_id;
+    if (!claims.has(lineId)) {
+      claims.set(lineId, []);
+    }
+    claims.get(lineId).push({
+      id: row.id,
+      counterparty: row.counterparty,
+      amount: row.amount,
+      repaid: roundCents(row.repaid),
+      note: row.note
+    });
+  }
+
+  const repaymentRows = db.prepare(`
+    SELECT p.id, p.transaction_id, p.amount, p.source, c.name as counterparty
+    FROM reimbursement_payments p
+    JOIN reimbursements r ON r.id = p.reimbursement_id
+    JOIN counterparties c ON c.id = r.counterparty_id
+    WHERE p.transaction_id IN (${placeholders}) AND p.source != 'dismissed'
+    ORDER BY p.id
+  `).all(...transactionIds);
+
+  for (const row of repaymentRows) {
+    if (!repayments.has(row.transaction_id)) {
+      repayments.set(row.transaction_id, []);
+    }
+    repayments.get(row.transaction_id).push({
+      id: row.id,
+      counterparty: row.counterparty,
+      amount: row.amount,
+      source: row.source
+    });
+  }
+
+  return { claims, repayments };
+}
+
+/**
+ * Get claims the repayment matcher may settle, oldest first, with what is left
+ * on each once the user's own repayments are counted
+ */
+export function getOpenReimbursements() {
   return db.prepare(`
-    SELECT * FROM amazon_item_rules
-    ORDER BY accuracy_rate DESC, usage_count DESC
+    SELECT r.id, r.counterparty_id, c.name as counterparty, c.match_terms, t.date,
+      r.amount - COALESCE((
+        SELECT SUM(p.amount) FROM reimbursement_payments p
+        WHERE p.reimbursement_id = r.id AND p.source = 'user'
+      ), 0) as outstanding
+    FROM reimbursements r
+    JOIN counterparties c ON c.id = r.counterparty_id
+    JOIN transactions t ON t.transaction_id = r.transaction_id
+    WHERE outstanding > 0.005
+    ORDER BY t.date ASC, r.id ASC
   `).all();
 }
 
 /**
- * Get enabled Amazon item categorization rules
- * @returns {Array} Enabled rules
+ * Get posted deposits that could be repayments, oldest first (transfers and
+ * deposits the user already linked by hand are left out)
  */
-export function getEnabledAmazonItemRules() {
+export function getReimbursementDeposits() {
   return db.prepare(`
-    SELECT * FROM amazon_item_rules
-    WHERE enabled = 'Yes'
-    ORDER BY accuracy_rate DESC, usage_count DESC
+    SELECT t.transaction_id, t.date, t.amount, t.description, t.merchant_name
+    FROM transactions t
+    WHERE t.amount < 0
+      AND t.pending != 'Yes'
+      AND t.is_transfer != 'Yes'
+      AND NOT EXISTS (
+        SELECT 1 FROM reimbursement_payments p WHERE p.transaction_id = t.transaction_id AND p.source = 'user'
+      )
+    ORDER BY t.date ASC
   `).all();
 }
 
 /**
- * Create Amazon item categorization rule
- * @param {Object} ruleData - Rule data
- * @returns {Object} Result with rule ID
+ * Get the claim/deposit pairs the user rejected, as "claimId:transactionId" keys
  */
-export function createAmazonItemRule(ruleData) {
-  const {
-    name,
-    pattern,
-    category,
-    matchType = 'partial',
-    ruleSource = 'user',
-    asin = null,
-    amazonCategory = null
-  } = ruleData;
+export function getDismissedReimbursementMatches() {
+  return new Set(db.prepare(`
+    SELECT reimbursement_id, transaction_id FROM reimbursement_payments WHERE source = 'dismissed'
+  `).all().map(row => `${row.reimbursement_id}:${row.transaction_id}`));
+}
 
-  const now = new Date().toISOString();
+/**
+ * Replace detected repayments with a fresh matcher run
+ * @param {Array} matches - Array of { reimbursementId, transactionId, amount, date }
+ * @returns {Object} { saved, cleared }
+ */
+export function saveReimbursementMatches(matches) {
+  const insertStmt = db.prepare(`
+    INSERT INTO reimbursement_payments (reimbursement_id, transaction_id, amount, date, source, created_at)
+    VALUES (?, ?, ?, ?, 'detected', datetime('now'))
+  `);
 
-  const result = db.prepare(`
-    INSERT INTO amazon_item_rules
-    (name, pattern, category, match_type, rule_source, asin, amazon_category, created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(name, pattern, category, matchType, ruleSource, asin, amazonCategory, now, now);
+  const transaction = db.transaction(() => {
+    const cleared = db.prepare("DELETE FROM reimbursement_payments WHERE source = 'detected'").run().changes;
 
-  return { success: true, id: result.lastInsertRowid };
+    for (const match of matches) {
+      insertStmt.run(match.reimbursementId, match.transactionId, match.amount, match.date);
+    }
+
+    return { saved: matches.length, cleared };
+  });
+
+  return transaction();
 }
 
 /**
- * Update Amazon item rule usage stats
- * @param {number} ruleId - Rule ID
- * @param {boolean} wasCorrect - Whether the categorization was correct
+ * Record a repayment from a counterparty, settling their open claims oldest
+ * first. Without an amount everything outstanding is settled; without a
+ * deposit transaction it's a cash (or otherwise untracked) settle-up.
+ * @param {number} counterpartyId - Counterparty ID
+ * @param {Object} data - { amount, date, transactionId }
+ * @returns {Object} { settled (claims touched), amount (applied) }
  */
-export function updateAmazonItemRuleStats(ruleId, wasCorrect = true) {
-  const now = new Date().toISOString();
-
-  if (wasCorrect) {
-    db.prepare(`
-      UPDATE amazon_item_rules
-      SET usage_count = usage_count + 1,
-          correct_count = correct_count + 1,
-          accuracy_rate = CAST(correct_count + 1 AS REAL) / (usage_count + 1),
-          last_used = ?,
-          updated_at = ?
-      WHERE id = ?
-    `).run(now, now, ruleId);
-  } else {
-    db.prepare(`
-      UPDATE amazon_item_rules
-      SET usage_count = usage_count + 1,
-          incorrect_count = incorrect_count + 1,
-          accuracy_rate = CAST(correct_count AS REAL) / (usage_count + 1),
-          last_used = ?,
-          updated_at = ?
-      WHERE id = ?
-    `).run(now, now, ruleId);
+export function settleCounterparty(counterpartyId, data = {}) {
+  getCounterparty(counterpartyId);
+
+  let deposit = null;
+  if (data.transactionId) {
+    deposit = db.prepare('SELECT transaction_id, date, amount FROM transactions WHERE transaction_id = ?').get(data.transactionId);
+    if (!deposit) {
+      throw new Error('Transaction not found');
+    }
+    if (!(deposit.amount < 0)) {
+      throw new Error('Only deposits can repay a reimbursement');
+    }
   }
 
-  return { success: true };
+  const openClaims = db.prepare(`
+    ${REIMBURSEMENT_SELECT_SQL}
+    WHERE r.counterparty_id = ?
+    ORDER BY t.date ASC, r.id ASC
+  `).all(counterpartyId).filter(claim => claim.amount - claim.repaid > 0.005);
+
+  let remaining = data.amount ?? (deposit ? Math.abs(deposit.amount) : Infinity);
+  const date = data.date || deposit?.date || new Date().toISOString().split('T')[0];
+
+  const insertStmt = db.prepare(`
+    INSERT INTO reimbursement_payments (reimbursement_id, transaction_id, amount, date, source, created_at)
+    VALUES (?, ?, ?, ?, 'user', datetime('now'))
+  `);
+
+  const settle = db.transaction(() => {
+    // A deposit linked by hand replaces whatever the matcher did with it
+    if (deposit) {
+      db.prepare("DELETE FROM reimbursement_payments WHERE transaction_id = ? AND source = 'detected'").run(deposit.transaction_id);
+    }
+
+    let settled = 0;
+    let applied = 0;
+    for (const claim of openClaims) {
+      if (remaining <= 0.005) break;
+
+      const amount = roundCents(Math.min(claim.amount - claim.repaid, remaining));
+      insertStmt.run(claim.id, deposit?.transaction_id || null, amount, date);
+      remaining -= amount;
+      applied += amount;
+      settled++;
+    }
+
+    return { settled, amount: roundCents(applied) };
+  });
+
+  return settle();
 }
 
 /**
- * Delete Amazon item rule
- * @param {number} ruleId - Rule ID
+ * Undo a repayment. A detected match is kept as dismissed so the matcher
+ * doesn't pair the same deposit with the claim again.
  */
-export function deleteAmazonItemRule(ruleId) {
-  db.prepare('DELETE FROM amazon_item_rules WHERE id = ?').run(ruleId);
+export function deleteReimbursementPayment(id) {
+  const payment = db.prepare('SELECT * FROM reimbursement_payments WHERE id = ?').get(id);
+  if (!payment || payment.source === 'dismissed') {
+    throw new Error('Repayment not found');
+  }
+
+  if (payment.source === 'detected') {
+    db.prepare("UPDATE reimbursement_payments SET source = 'dismissed' WHERE id = ?").run(id);
+  } else {
+    db.prepare('DELETE FROM reimbursement_payments WHERE id = ?').run(id);
+  }
+
   return { success: true };
 }
 
 /**
- * Find Amazon item rule by title pattern
- * @param {string} title - Item title
- * @returns {Object|null} Matching rule or null
+ * Get a counterparty's claims and repayments in date order with the running
+ * balance they owe after each entry
  */
-export function findAmazonItemRuleByTitle(title) {
-  const rules = getEnabledAmazonItemRules();
+export function getCounterpartyLedger(counterpartyId) {
+  const counterparty = getCounterparty(counterpartyId);
+
+  const claims = db.prepare(`
+    ${REIMBURSEMENT_SELECT_SQL}
+    WHERE r.counterparty_id = ?
+  `).all(counterpartyId).map(claim => ({
+    type: 'claim',
+    id: claim.id,
+    date: claim.date,
+    description: claim.description,
+    transaction_id: claim.transaction_id,
+    split_id: claim.split_id,
+    note: claim.note,
+    amount: claim.amount
+  }));
 
-  for (const rule of rules) {
-    const pattern = rule.pattern;
-    const matchType = rule.match_type;
+  const repayments = db.prepare(`
+    SELECT p.*, t.description
+    FROM reimbursement_payments p
+    JOIN reimbursements r ON r.id = p.reimbursement_id
+    LEFT JOIN transactions t ON t.transaction_id = p.transaction_id
+    WHERE r.counterparty_id = ? AND p.source != 'dismissed'
+  `).all(counterpartyId).map(payment => ({
+    type: 'repayment',
+    id: payment.id,
+    date: payment.date,
+    description: payment.description || 'Settled up',
+    transaction_id: payment.transaction_id,
+    source: payment.source,
+    amount: -payment.amount
+  }));
 
-    try {
-      if (matchType === 'exact') {
-        if (title.toLowerCase() === pattern.toLowerCase()) {
-          return rule;
-        }
-      } else if (matchType === 'partial') {
-        if (title.toLowerCase().includes(pattern.toLowerCase())) {
-          return rule;
-        }
-      } else if (matchType === 'regex') {
-        const regex = new RegExp(pattern, 'i');
-        if (regex.test(title)) {
-          return rule;
-        }
-      }
-    } catch (error) {
-      console.error(`Error matching rule ${rule.id}:`, error);
-    }
+  // Claims come before repayments on the same day
+  const entries = [...claims, ...repayments].sort((a, b) =>
+    a.date.localeCompare(b.date) || (a.type === b.type ? a.id - b.id : a.type === 'claim' ? -1 : 1));
+
+  let balance = 0;
+  for (const entry of entries) {
+    balance = roundCents(balance + entry.amount);
+    entry.balance = balance;
   }
 
-  return null;
+  return { counterparty, entries, outstanding: balance };
 }
 
+// ============================================================================
+// FORECAST
+// ============================================================================
+
 /**
- * Find Amazon item rule by ASIN
- * @param {string} asin - Product ASIN
- * @returns {Object|null} Matching rule or null
+ * Get the recurring series whose latest charge was a transfer between the
+ * user's own accounts (card autopay, moves to savings)
+ * @returns {Set} Series IDs
  */
-export function findAmazonItemRuleByASIN(asin) {
-  if (!asin) return null;
+export function getTransferSeriesIds() {
+  return new Set(db.prepare(`
+    SELECT t.recurring_series_id as id
+    FROM transactions t
+    WHERE t.recurring_series_id IS NOT NULL
+      AND t.is_transfer = 'Yes'
+      AND t.date = (SELECT MAX(date) FROM transactions WHERE recurring_series_id = t.recurring_series_id)
+  `).all().map(row => row.id));
+}
 
+/**
+ * Get payments made to credit cards since a date, oldest first, with the
+ * account that paid each one when it is linked (the other side of the transfer)
+ */
+export function getCreditCardPayments(sinceDate) {
   return db.prepare(`
-    SELECT * FROM amazon_item_rules
-    WHERE asin = ? AND enabled = 'Yes'
-    ORDER BY accuracy_rate DESC, usage_count DESC
-    LIMIT 1
-  `).get(asin);
+    SELECT t.account_name as card_name, t.date, ABS(t.amount) as amount, p.account_name as from_account
+    FROM transactions t
+    JOIN accounts a ON a.name = t.account_name
+    LEFT JOIN transactions p ON p.transaction_id = t.transfer_pair_id
+    WHERE a.type = 'credit'
+      AND t.amount < 0
+      AND t.pending != 'Yes'
+      AND t.date >= ?
+      AND (t.is_transfer = 'Yes' OR LOWER(t.description) LIKE '%payment%')
+    ORDER BY t.date ASC
+  `).all(sinceDate);
 }
 
 /**
- * Get Amazon item categorization stats
- * @returns {Object} Stats
+ * Get each account's spending since a date that isn't part of a recurring
+ * series (groceries, dining out...), net of reimbursements, with the date of
+ * its first such charge so newer accounts aren't averaged over days they didn't exist
+ * @returns {Array} [{ account_name, total, first_date }]
  */
-export function getAmazonItemStats() {
-  const stats = db.prepare(`
-    SELECT
-      COUNT(*) as total_items,
-      COUNT(CASE WHEN user_category IS NOT NULL THEN 1 END) as categorized_items,
-      COUNT(CASE WHEN verified = 'Yes' THEN 1 END) as verified_items,
-      AVG(CASE WHEN user_category IS NOT NULL THEN confidence ELSE NULL END) as avg_confidence
-    FROM amazon_items
-  `).get();
-
-  return {
-    total_items: stats.total_items || 0,
-    categorized_items: stats.categorized_items || 0,
-    verified_items: stats.verified_items || 0,
-    avg_confidence: stats.avg_confidence || 0,
-    uncategorized_items: (stats.total_items || 0) - (stats.categorized_items || 0)
-  };
+export function getDiscretionarySpending(sinceDate) {
+  return db.prepare(`
+    SELECT l.account_name, SUM(l.amount) as total, MIN(l.date) as first_date
+    FROM (${SPEND_LINES_SQL}) l
+    JOIN transactions t ON t.transaction_id = l.transaction_id
+    WHERE l.amount > 0
+      AND l.date >= ?
+      AND t.recurring_series_id IS NULL
+      AND t.pending != 'Yes'
+    GROUP BY l.account_name
+  `).all(sinceDate);
 }
 
 // ============================================================================
-// AI CATEGORIZATION FUNCTIONS
+// REPORTS
 // ============================================================================
 
 /**
- * Save AI categorization result
+ * SQL expressions for the reporting period a spending line falls in
+ * (2026-03, 2026-Q1 or 2026)
  */
-export function saveAICategorization(itemId, itemType, category, confidence, method, alternatives = null, reasoning = null, userConfirmed = 'No') {
-  const stmt = db.prepare(`
-    INSERT INTO ai_categorizations (
-      item_id, item_type, category, confidence, method,
-      alternatives, reasoning, user_confirmed, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
-  `);
-
-  const alternativesJson = alternatives ? JSON.stringify(alternatives) : null;
+const REPORT_PERIOD_SQL = {
+  monthly: "substr(l.date, 1, 7)",
+  quarterly: "substr(l.date, 1, 4) || '-Q' || ((CAST(substr(l.date, 6, 2) AS INTEGER) + 2) / 3)",
+  yearly: "substr(l.date, 1, 4)"
+};
 
-  return stmt.run(itemId, itemType, category, confidence, method, alternativesJson, reasoning, userConfirmed);
-}
+// Merchants group by Plaid's merchant name, falling back to the description
+const REPORT_MERCHANT_SQL = "COALESCE(NULLIF(TRIM(t.merchant_name), ''), t.description)";
 
 /**
- * Get AI categorization for an item
+ * WHERE clause for report lines in a date range, optionally limited to some
+ * categories (null means uncategorized) and one merchant
  */
-export function getAICategorization(itemId, itemType) {
-  const result = db.prepare(`
-    SELECT * FROM ai_categorizations
-    WHERE item_id = ? AND item_type = ?
-    ORDER BY created_at DESC
-    LIMIT 1
-  `).get(itemId, itemType);
+function buildReportFilter({ startDate, endDate, categoryIds, merchant }) {
+  const conditions = ['l.amount > 0', 'l.date >= ?', 'l.date <= ?'];
+  const params = [startDate, endDate];
 
-  if (result && result.alternatives) {
-    try {
-      result.alternatives = JSON.parse(result.alternatives);
-    } catch (e) {
-      result.alternatives = [];
-    }
+  if (categoryIds === null) {
+    conditions.push('l.category_id IS NULL');
+  } else if (categoryIds !== undefined) {
+    conditions.push(`l.category_id IN (${categoryIds.map(() => '?').join(', ')})`);
+    params.push(...categoryIds);
+  }
+  if (merchant !== undefined) {
+    conditions.push(`${REPORT_MERCHANT_SQL} = ?`);
+    params.push(merchant);
   }
 
-  return result;
+  return { where: conditions.join(' AND '), params };
 }
 
 /**
- * Save AI feedback (user correction)
+ * Get spending per category per period (split-aware, net of reimbursements)
+ * @param {string} period - 'monthly', 'quarterly' or 'yearly'
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Array} [{ category_id, period, total, count }]
  */
-export function saveAIFeedback(itemId, itemType, suggestedCategory, actualCategory, suggestionMethod = null, suggestionConfidence = null) {
-  const stmt = db.prepare(`
-    INSERT INTO ai_feedback (
-      item_id, item_type, suggested_category, actual_category,
-      suggestion_method, suggestion_confidence, processed, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, 'No', datetime('now'))
-  `);
+export function getCategoryPeriodSpending(period, startDate, endDate) {
+  const { where, params } = buildReportFilter({ startDate, endDate });
 
-  return stmt.run(itemId, itemType, suggestedCategory, actualCategory, suggestionMethod, suggestionConfidence);
-}
-
-/**
- * Get unprocessed AI feedback for learning
- */
-export function getUnprocessedFeedback(limit = 100) {
   return db.prepare(`
-    SELECT * FROM ai_feedback
-    WHERE processed = 'No'
-    ORDER BY created_at ASC
-    LIMIT ?
-  `).all(limit);
+    SELECT l.category_id, ${REPORT_PERIOD_SQL[period]} as period, SUM(l.amount) as total, COUNT(*) as count
+    FROM (${SPEND_LINES_SQL}) l
+    WHERE ${where}
+    GROUP BY l.category_id, period
+  `).all(...params);
 }
 
 /**
- * Get feedback count since last training
+ * Get spending per merchant per period within some categories
+ * @param {string} period - 'monthly', 'quarterly' or 'yearly'
+ * @param {Object} filters - { startDate, endDate, categoryIds } (categoryIds null for uncategorized)
+ * @returns {Array} [{ merchant, period, total, count }]
  */
-export function getFeedbackCountSinceLastTraining() {
-  const lastTraining = db.prepare(`
-    SELECT timestamp FROM ai_training_history
-    ORDER BY timestamp DESC
-    LIMIT 1
-  `).get();
-
-  if (!lastTraining) {
-    return db.prepare(`SELECT COUNT(*) as count FROM ai_feedback WHERE processed = 'No'`).get().count;
-  }
+export function getMerchantPeriodSpending(period, filters) {
+  const { where, params } = buildReportFilter(filters);
 
   return db.prepare(`
-    SELECT COUNT(*) as count FROM ai_feedback
-    WHERE created_at > ? AND processed = 'No'
-  `).get(lastTraining.timestamp).count;
+    SELECT ${REPORT_MERCHANT_SQL} as merchant, ${REPORT_PERIOD_SQL[period]} as period,
+      SUM(l.amount) as total, COUNT(*) as count
+    FROM (${SPEND_LINES_SQL}) l
+    JOIN transactions t ON t.transaction_id = l.transaction_id
+    WHERE ${where}
+    GROUP BY merchant, period
+  `).all(...params);
 }
 
 /**
- * Mark feedback as processed
+ * Get the spending lines behind a report cell, newest first
+ * Split transactions contribute only the split lines in the chosen categories.
+ * @param {Object} filters - { startDate, endDate, categoryIds, merchant }
  */
-export function markFeedbackAsProcessed(feedbackIds) {
-  if (!Array.isArray(feedbackIds) || feedbackIds.length === 0) return;
-
-  const placeholders = feedbackIds.map(() => '?').join(',');
-  const stmt = db.prepare(`
-    UPDATE ai_feedback
-    SET processed = 'Yes'
-    WHERE id IN (${placeholders})
-  `);
+export function getReportTransactions(filters) {
+  const { where, params } = buildReportFilter(filters);
 
-  return stmt.run(...feedbackIds);
+  return db.prepare(`
+    SELECT l.transaction_id, l.date, t.description, ${REPORT_MERCHANT_SQL} as merchant,
+      l.account_name, l.amount, t.amount as transaction_amount, c.name as category
+    FROM (${SPEND_LINES_SQL}) l
+    JOIN transactions t ON t.transaction_id = l.transaction_id
+    LEFT JOIN categories c ON c.id = l.category_id
+    WHERE ${where}
+    ORDER BY l.date DESC, l.amount DESC
+  `).all(...params);
 }
 
+// ============================================================================
+// MERCHANTS
+// ============================================================================
+
 /**
- * Save AI training history
+ * Find the merchant a transaction belongs to, creating it on first sight
+ * Plaid's merchant entity ID is the strongest signal; otherwise the normalized
+ * merchant name (or description) decides. Whichever key matched, the other is
+ * added as an alias so later transactions that only carry it land on the same
+ * merchant.
+ * @param {Object} tx - Transaction with merchant_name, name or description, merchant_entity_id
+ * @returns {number|null} Merchant ID (null when there's nothing to go on)
  */
-export function saveAITrainingHistory(feedbackCount, rulesGenerated = 0, embeddingsUpdated = 0, durationMs = null, triggerType = 'manual', notes = null) {
-  const stmt = db.prepare(`
-    INSERT INTO ai_training_history (
-      timestamp, feedback_count, rules_generated, embeddings_updated,
-      duration_ms, trigger_type, notes
-    ) VALUES (datetime('now'), ?, ?, ?, ?, ?, ?)
+function resolveMerchantId(tx) {
+  const description = tx.name ?? tx.description ?? '';
+  const normalized = normalizeMerchantName(tx.merchant_name || description);
+  const entityId = tx.merchant_entity_id || null;
+
+  if (!normalized && !entityId) {
+    return null;
+  }
+
+  const findAlias = db.prepare('SELECT merchant_id FROM merchant_aliases WHERE kind = ? AND value = ?');
+  const byEntity = entityId ? findAlias.get('entity', entityId) : null;
+  const byName = normalized ? findAlias.get('name', normalized) : null;
+
+  let merchantId = byEntity?.merchant_id ?? byName?.merchant_id;
+  if (!merchantId) {
+    merchantId = Number(db.prepare(`
+      INSERT INTO merchants (name, created_at, updated_at) VALUES (?, datetime('now'), datetime('now'))
+    `).run(getMerchantDisplayName(tx.merchant_name, description)).lastInsertRowid);
+  }
+
+  const addAlias = db.prepare(`
+    INSERT OR IGNORE INTO merchant_aliases (merchant_id, kind, value, created_at)
+    VALUES (?, ?, ?, datetime('now'))
   `);
+  if (entityId && !byEntity) {
+    addAlias.run(merchantId, 'entity', entityId);
+  }
+  if (normalized && !byName) {
+    addAlias.run(merchantId, 'name', normalized);
+  }
 
-  return stmt.run(feedbackCount, rulesGenerated, embeddingsUpdated, durationMs, triggerType, notes);
+  return merchantId;
 }
 
 /**
- * Get AI training history
+ * Link every transaction without a merchant (saved before the directory
+ * existed, or imported outside saveTransactions) to one
+ * @returns {number} Number of transactions linked
  */
-export function getAITrainingHistory(limit = 10) {
-  return db.prepare(`
-    SELECT * FROM ai_training_history
-    ORDER BY timestamp DESC
-    LIMIT ?
-  `).all(limit);
+export function assignMerchants() {
+  const rows = db.prepare(`
+    SELECT transaction_id, description, merchant_name, merchant_entity_id
+    FROM transactions
+    WHERE merchant_id IS NULL
+    ORDER BY date ASC
+  `).all();
+
+  const updateStmt = db.prepare('UPDATE transactions SET merchant_id = ? WHERE transaction_id = ?');
+  let linked = 0;
+
+  const assign = db.transaction(() => {
+    for (const row of rows) {
+      const merchantId = resolveMerchantId(row);
+      if (merchantId) {
+        updateStmt.run(merchantId, row.transaction_id);
+        linked++;
+      }
+    }
+  });
+  assign();
+
+  return linked;
 }
 
 /**
- * Get last training timestamp
+ * Default categories set on merchants, for auto-categorization
+ * @returns {Map} Merchant ID -> { category_id, category }
  */
-export function getLastTrainingTimestamp() {
-  const result = db.prepare(`
-    SELECT timestamp FROM ai_training_history
-    ORDER BY timestamp DESC
-    LIMIT 1
-  `).get();
+export function getMerchantDefaultCategories() {
+  const rows = db.prepare(`
+    SELECT m.id, m.default_category_id as category_id, c.name as category
+    FROM merchants m
+    JOIN categories c ON c.id = m.default_category_id
+  `).all();
 
-  return result ? result.timestamp : null;
+  return new Map(rows.map(row => [row.id, { category_id: row.category_id, category: row.category }]));
 }
 
+const MERCHANT_SORTS = {
+  spend: 'lifetime_spend DESC',
+  count: 'transaction_count DESC',
+  recent: 'last_seen DESC',
+  name: 'm.name COLLATE NOCASE ASC'
+};
+
+// Merchants with their default category and lifetime stats (transfers and pending charges don't count)
+const MERCHANT_SELECT_SQL = `
+  SELECT
+    m.*,
+    c.name as default_category,
+    c.icon as default_category_icon,
+    c.color as default_category_color,
+    COUNT(t.transaction_id) as transaction_count,
+    COALESCE(SUM(CASE WHEN t.amount > 0 THEN t.amount ELSE 0 END), 0) as lifetime_spend,
+    COALESCE(SUM(CASE WHEN t.amount < 0 THEN -t.amount ELSE 0 END), 0) as lifetime_income,
+    MIN(t.date) as first_seen,
+    MAX(t.date) as last_seen,
+    (SELECT COUNT(*) FROM merchant_aliases a WHERE a.merchant_id = m.id) as alias_count
+  FROM merchants m
+  LEFT JOIN categories c ON c.id = m.default_category_id
+  LEFT JOIN transactions t ON t.merchant_id = m.id AND t.is_transfer != 'Yes' AND t.pending != 'Yes'
+`;
+
 /**
- * Save or update embedding for an item
+ * Add how often a merchant is visited: average days between transactions
  */
-export function saveEmbedding(itemId, itemType, embeddingText, embeddingVector, category, userConfirmed = 'No') {
-  const stmt = db.prepare(`
-    INSERT OR REPLACE INTO ai_embeddings (
-      item_id, item_type, embedding_text, embedding_vector, category,
-      user_confirmed, created_at, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?,
-      COALESCE((SELECT created_at FROM ai_embeddings WHERE item_id = ? AND item_type = ?), datetime('now')),
-      datetime('now')
-    )
-  `);
+function parseMerchantRow(row) {
+  if (!row) return null;
+
+  const spanDays = row.first_seen
+    ? Math.round((Date.parse(row.last_seen) - Date.parse(row.first_seen)) / (24 * 60 * 60 * 1000))
+    : 0;
 
-  const vectorJson = JSON.stringify(embeddingVector);
-  return stmt.run(itemId, itemType, embeddingText, vectorJson, category, userConfirmed, itemId, itemType);
+  return {
+    ...row,
+    lifetime_spend: Math.round(row.lifetime_spend * 100) / 100,
+    lifetime_income: Math.round(row.lifetime_income * 100) / 100,
+    average_amount: row.transaction_count > 0
+      ? Math.round(((row.lifetime_spend - row.lifetime_income) / row.transaction_count) * 100) / 100
+      : 0,
+    average_days_between: row.transaction_count > 1 ? Math.round(spanDays / (row.transaction_count - 1)) : null
+  };
 }
 
 /**
- * Get embedding for an item
+ * Get merchants that have transactions, with lifetime spend, frequency and
+ * first/last seen dates
+ * @param {Object} filters - { search (name, alias or bank description), sort: 'spend' | 'count' | 'recent' | 'name' }
  */
-export function getEmbedding(itemId, itemType) {
-  const result = db.prepare(`
-    SELECT * FROM ai_embeddings
-    WHERE item_id = ? AND item_type = ?
-  `).get(itemId, itemType);
+export function getMerchants(filters = {}) {
+  let sql = `${MERCHANT_SELECT_SQL} WHERE 1=1`;
+  const params = [];
 
-  if (result && result.embedding_vector) {
-    try {
-      result.embedding_vector = JSON.parse(result.embedding_vector);
-    } catch (e) {
-      result.embedding_vector = [];
-    }
+  if (filters.search) {
+    sql += ` AND (m.name LIKE ? OR EXISTS (
+      SELECT 1 FROM merchant_aliases a WHERE a.merchant_id = m.id AND a.value LIKE ?
+    ) OR EXISTS (
+      SELECT 1 FROM transactions d WHERE d.merchant_id = m.id AND d.description LIKE ?
+    ))`;
+    params.push(`%${filters.search}%`, `%${filters.search.toLowerCase()}%`, `%${filters.search}%`);
   }
 
-  return result;
+  sql += ` GROUP BY m.id HAVING transaction_count > 0 ORDER BY ${MERCHANT_SORTS[filters.sort] || MERCHANT_SORTS.spend}`;
+
+  return db.prepare(sql).all(...params).map(parseMerchantRow);
 }
 
 /**
- * Get all confirmed embeddings for similarity search
+ * Get one merchant with its aliases and most recent transactions
  */
-export function getConfirmedEmbeddings(itemType = null, limit = 1000) {
-  let query = `
-    SELECT * FROM ai_embeddings
-    WHERE user_confirmed = 'Yes'
-  `;
+export function getMerchant(merchantId) {
+  const merchant = parseMerchantRow(db.prepare(`${MERCHANT_SELECT_SQL} WHERE m.id = ? GROUP BY m.id`).get(merchantId));
+  if (!merchant) {
+    throw new Error('Merchant not found');
+  }
+
+  merchant.aliases = db.prepare(`
+    SELECT id, kind, value FROM merchant_aliases WHERE merchant_id = ? ORDER BY kind, value
+  `).all(merchantId);
+
+  // Spellings the bank has used for this merchant
+  merchant.descriptions = db.prepare(`
+    SELECT description, COUNT(*) as count
+    FROM transactions WHERE merchant_id = ?
+    GROUP BY description ORDER BY count DESC LIMIT 10
+  `).all(merchantId);
+
+  merchant.recent_transactions = db.prepare(`
+    ${TRANSACTION_SELECT_SQL}
+    WHERE t.merchant_id = ?
+    ORDER BY t.date DESC
+    LIMIT 20
+  `).all(merchantId);
+
+  return merchant;
+}
 
-  if (itemType) {
-    query += ` AND item_type = ?`;
+/**
+ * Edit a merchant's canonical name, emoji, logo or default category
+ * With applyToExisting, the default category is also given to the merchant's
+ * transactions the user hasn't categorized by hand.
+ * @param {number} merchantId - Merchant ID
+ * @param {Object} data - { name, emoji, logo_url, default_category, applyToExisting }
+ *   (omitted fields are kept; an empty default_category clears it)
+ * @returns {Object} { merchant, transactionsUpdated }
+ */
+export function updateMerchant(merchantId, data) {
+  const existing = db.prepare('SELECT * FROM merchants WHERE id = ?').get(merchantId);
+  if (!existing) {
+    throw new Error('Merchant not found');
   }
 
-  query += ` ORDER BY updated_at DESC LIMIT ?`;
+  let defaultCategoryId = existing.default_category_id;
+  if (data.default_category !== undefined) {
+    defaultCategoryId = data.default_category ? getCategoryIdByName(data.default_category) : null;
+    if (data.default_category && !defaultCategoryId) {
+      throw new Error('Category not found');
+    }
+  }
 
-  const results = itemType
-    ? db.prepare(query).all(itemType, limit)
-    : db.prepare(query).all(limit);
+  let transactionsUpdated = 0;
 
-  // Parse embedding vectors
-  return results.map(r => {
-    try {
-      r.embedding_vector = JSON.parse(r.embedding_vector);
-    } catch (e) {
-      r.embedding_vector = [];
+  const update = db.transaction(() => {
+    db.prepare(`
+      UPDATE merchants
+      SET name = ?, emoji = ?, logo_url = ?, default_category_id = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(
+      data.name !== undefined ? data.name.trim() : existing.name,
+      data.emoji !== undefined ? (data.emoji || null) : existing.emoji,
+      data.logo_url !== undefined ? (data.logo_url || null) : existing.logo_url,
+      defaultCategoryId,
+      merchantId
+    );
+
+    if (data.applyToExisting && defaultCategoryId) {
+      const affected = db.prepare(`
+        SELECT transaction_id, category_id, confidence FROM transactions
+        WHERE merchant_id = ? AND verified != 'Yes' AND confidence < 100
+          AND (category_id IS NULL OR category_id != ?)
+      `).all(merchantId, defaultCategoryId);
+
+      const updateStmt = db.prepare('UPDATE transactions SET category_id = ?, confidence = 95 WHERE transaction_id = ?');
+      for (const row of affected) {
+        updateStmt.run(defaultCategoryId, row.transaction_id);
+        recordCategorizationDecision(row.transaction_id, {
+          stage: 'merchant_default',
+          trigger: 'merchant',
+          categoryId: defaultCategoryId,
+          previousCategoryId: row.category_id,
+          confidenceBefore: row.confidence,
+          confidenceAfter: 95,
+          mappingKey: String(merchantId)
+        });
+      }
+      transactionsUpdated = affected.length;
     }
-    return r;
   });
+  update();
+
+  return { merchant: getMerchant(merchantId), transactionsUpdated };
 }
 
 /**
- * Delete embeddings for an item
+ * Merge merchants into one: their aliases and transactions move to the
+ * target, which keeps its own name and fills in any emoji, logo or default
+ * category it doesn't have yet from the merged ones
+ * @param {number} targetId - Merchant that absorbs the others
+ * @param {Array<number>} sourceIds - Merchants to merge away
+ * @returns {Object} { merchant, merged, transactionsMoved }
  */
-export function deleteEmbedding(itemId, itemType) {
-  return db.prepare(`
-    DELETE FROM ai_embeddings
-    WHERE item_id = ? AND item_type = ?
-  `).run(itemId, itemType);
+export function mergeMerchants(targetId, sourceIds) {
+  const ids = [...new Set(sourceIds)].filter(id => id !== targetId);
+  const merchants = db.prepare(`
+    SELECT * FROM merchants WHERE id IN (${[targetId, ...ids].map(() => '?').join(', ')})
+  `).all(targetId, ...ids);
+  if (merchants.length !== ids.length + 1) {
+    throw new Error('Merchant not found');
+  }
+
+  const target = merchants.find(m => m.id === targetId);
+  const sources = merchants.filter(m => m.id !== targetId);
+  const placeholders = ids.map(() => '?').join(', ');
+  let transactionsMoved = 0;
+
+  const merge = db.transaction(() => {
+    const fill = (field) => target[field] ?? sources.find(m => m[field] != null)?.[field] ?? null;
+    db.prepare(`
+      UPDATE merchants SET emoji = ?, logo_url = ?, default_category_id = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(fill('emoji'), fill('logo_url'), fill('default_category_id'), targetId);
+
+    db.prepare(`UPDATE merchant_aliases SET merchant_id = ? WHERE merchant_id IN (${placeholders})`).run(targetId, ...ids);
+    transactionsMoved = db.prepare(`UPDATE transactions SET merchant_id = ? WHERE merchant_id IN (${placeholders})`)
+      .run(targetId, ...ids).changes;
+    db.prepare(`DELETE FROM merchants WHERE id IN (${placeholders})`).run(...ids);
+  });
+  merge();
+
+  return { merchant: getMerchant(targetId), merged: ids.length, transactionsMoved };
+}
+
+// ============================================================================
+// JOBS
+// ============================================================================
+
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function parseJobRow(row) {
+  if (!row) return null;
+
+  let progress = row.total > 0 ? Math.round((row.processed / row.total) * 100) : 0;
+  if (row.status === 'completed') {
+    progress = 100;
+  }
+
+  return {
+    ...row,
+    payload: row.payload ? JSON.parse(row.payload) : {},
+    checkpoint: row.checkpoint ? JSON.parse(row.checkpoint) : null,
+    result: row.result ? JSON.parse(row.result) : null,
+    cancel_requested: row.cancel_requested === 'Yes',
+    progress
+  };
 }
 
 /**
- * Save or update AI metrics for a date
+ * Queue a background job
+ * @param {string} type - Job type, matching a registered handler
+ * @param {Object} payload - Handler input (stored as JSON)
+ * @param {Object} options - { maxAttempts }
+ * @returns {Object} The new job
  */
-export function saveAIMetrics(date, itemType, totalCategorizations, correctCategorizations, avgConfidence, methodBreakdown, confidenceBreakdown) {
-  const accuracyRate = totalCategorizations > 0 ? correctCategorizations / totalCategorizations : 0;
+export function createJob(type, payload = {}, options = {}) {
+  const result = db.prepare(`
+    INSERT INTO jobs (type, status, payload, max_attempts, run_after, created_at, updated_at)
+    VALUES (?, 'pending', ?, ?, datetime('now'), datetime('now'), datetime('now'))
+  `).run(type, JSON.stringify(payload), options.maxAttempts ?? 3);
 
-  const stmt = db.prepare(`
-    INSERT OR REPLACE INTO ai_metrics (
-      date, item_type, total_categorizations, correct_categorizations,
-      accuracy_rate, avg_confidence, method_breakdown, confidence_breakdown
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-  `);
+  return getJobById(result.lastInsertRowid);
+}
 
-  return stmt.run(
-    date,
-    itemType,
-    totalCategorizations,
-    correctCategorizations,
-    accuracyRate,
-    avgConfidence,
-    JSON.stringify(methodBreakdown),
-    JSON.stringify(confidenceBreakdown)
-  );
+export function getJobById(jobId) {
+  return parseJobRow(db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId));
 }
 
 /**
- * Get AI metrics for a date range
+ * List jobs, newest first
+ * @param {Object} filters - { status, type, limit }
  */
-export function getAIMetrics(itemType = null, startDate = null, endDate = null) {
-  let query = `SELECT * FROM ai_metrics WHERE 1=1`;
+export function getJobs(filters = {}) {
+  let sql = 'SELECT * FROM jobs WHERE 1=1';
   const params = [];
 
-  if (itemType) {
-    query += ` AND item_type = ?`;
-    params.push(itemType);
+  if (filters.status) {
+    sql += ' AND status = ?';
+    params.push(filters.status);
   }
 
-  if (startDate) {
-    query += ` AND date >= ?`;
-    params.push(startDate);
+  if (filters.type) {
+    sql += ' AND type = ?';
+    params.push(filters.type);
   }
 
-  if (endDate) {
-    query += ` AND date <= ?`;
-    params.push(endDate);
-  }
+  sql += ' ORDER BY id DESC LIMIT ?';
+  params.push(filters.limit || 50);
 
-  query += ` ORDER BY date DESC`;
+  return db.prepare(sql).all(...params).map(parseJobRow);
+}
 
-  const results = db.prepare(query).all(...params);
+/**
+ * Take the oldest pending job that is due and mark it running
+ * @param {Array<string>} types - Only claim jobs of these types
+ * @returns {Object|null} The claimed job
+ */
+export function claimNextJob(types) {
+  if (types.length === 0) return null;
 
-  // Parse JSON fields
-  return results.map(r => {
-    try {
-      r.method_breakdown = JSON.parse(r.method_breakdown);
-      r.confidence_breakdown = JSON.parse(r.confidence_breakdown);
-    } catch (e) {
-      r.method_breakdown = {};
-      r.confidence_breakdown = {};
-    }
-    return r;
+  const claim = db.transaction(() => {
+    const placeholders = types.map(() => '?').join(',');
+    const row = db.prepare(`
+      SELECT id FROM jobs
+      WHERE status = 'pending' AND run_after <= datetime('now') AND type IN (${placeholders})
+      ORDER BY run_after, id
+      LIMIT 1
+    `).get(...types);
+
+    if (!row) return null;
+
+    db.prepare(`
+      UPDATE jobs
+      SET status = 'running',
+          attempts = attempts + 1,
+          error = NULL,
+          started_at = COALESCE(started_at, datetime('now')),
+          updated_at = datetime('now')
+      WHERE id = ?
+    `).run(row.id);
+
+    return row.id;
   });
+
+  const jobId = claim();
+  return jobId ? getJobById(jobId) : null;
 }
 
 /**
- * Get AI categorization accuracy by method
+ * Record progress on a running job, and optionally the checkpoint to resume from
+ * @param {number} jobId - Job ID
+ * @param {Object} progress - { total, processed, checkpoint }
  */
-export function getCategorizationAccuracyByMethod(itemType = null, days = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
-  const startDateStr = startDate.toISOString().split('T')[0];
+export function updateJobProgress(jobId, progress) {
+  const fields = [];
+  const params = [];
 
-  let query = `
-    SELECT
-      c.method,
-      COUNT(*) as total,
-      SUM(CASE WHEN c.user_confirmed = 'Yes' THEN 1 ELSE 0 END) as confirmed,
-      AVG(c.confidence) as avg_confidence
-    FROM ai_categorizations c
-    WHERE c.created_at >= ?
-  `;
+  if (progress.total !== undefined) {
+    fields.push('total = ?');
+    params.push(progress.total);
+  }
 
-  const params = [startDateStr];
+  if (progress.processed !== undefined) {
+    fields.push('processed = ?');
+    params.push(progress.processed);
+  }
 
-  if (itemType) {
-    query += ` AND c.item_type = ?`;
-    params.push(itemType);
+  if (progress.checkpoint !== undefined) {
+    fields.push('checkpoint = ?');
+    params.push(JSON.stringify(progress.checkpoint));
   }
 
-  query += `
-    GROUP BY c.method
-    ORDER BY total DESC
-  `;
+  if (fields.length === 0) return;
 
-  const results = db.prepare(query).all(...params);
+  params.push(jobId);
+  db.prepare(`UPDATE jobs SET ${fields.join(', ')}, updated_at = datetime('now') WHERE id = ?`).run(...params);
+}
 
-  return results.map(r => ({
-    ...r,
-    accuracy: r.total > 0 ? r.confirmed / r.total : 0
-  }));
+export function completeJob(jobId, result) {
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'completed', result = ?, processed = MAX(processed, total),
+        completed_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(JSON.stringify(result ?? null), jobId);
+}
+
+export function failJob(jobId, error) {
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'failed', error = ?, completed_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(error, jobId);
 }
 
 /**
- * Create auto-generated categorization rule
+ * Put a failed attempt back in the queue to run again after a delay
+ * The checkpoint is kept, so the next attempt resumes where this one stopped.
  */
-export function createAutoGeneratedRule(name, pattern, category, matchType = 'regex', confidenceOverride = null, ruleSource = 'ai_learning') {
-  const stmt = db.prepare(`
-    INSERT INTO category_rules (
-      name, pattern, category, match_type, enabled,
-      auto_generated, confidence_override, rule_source,
-      user_created, created_at, updated_at
-    ) VALUES (?, ?, ?, ?, 'Yes', 'Yes', ?, ?, 'No', datetime('now'), datetime('now'))
-  `);
+export function retryJob(jobId, error, delaySeconds) {
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'pending', error = ?, run_after = datetime('now', ?), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(error, `+${Math.round(delaySeconds)} seconds`, jobId);
+}
 
-  return stmt.run(name, pattern, category, matchType, confidenceOverride, ruleSource);
+export function markJobCancelled(jobId) {
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'cancelled', completed_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(jobId);
 }
 
 /**
- * Get patterns from feedback for rule generation
+ * Cancel a job. Pending jobs are cancelled straight away; running jobs are
+ * flagged and stop at their next cancellation check.
+ * @returns {Object} The job after the request
  */
-export function getFeedbackPatternsForRuleGeneration() {
-  // Get item patterns that have been corrected multiple times to the same category
-  const itemPatterns = db.prepare(`
-    SELECT
-      f.item_id,
-      f.item_type,
-      f.actual_category,
-      COUNT(*) as correction_count,
-      GROUP_CONCAT(f.suggested_category) as suggested_categories
-    FROM ai_feedback f
-    WHERE f.processed = 'No'
-    GROUP BY f.item_id, f.item_type, f.actual_category
-    HAVING correction_count >= 2
-    ORDER BY correction_count DESC
-  `).all();
+export function requestJobCancel(jobId) {
+  const job = getJobById(jobId);
+  if (!job) {
+    throw new Error('Job not found');
+  }
 
-  return itemPatterns;
+  if (job.status === 'pending') {
+    markJobCancelled(jobId);
+  } else if (job.status === 'running') {
+    db.prepare(`
+      UPDATE jobs SET cancel_requested = 'Yes', updated_at = datetime('now') WHERE id = ?
+    `).run(jobId);
+  }
+
+  return getJobById(jobId);
+}
+
+export function isJobCancelRequested(jobId) {
+  const row = db.prepare('SELECT cancel_requested FROM jobs WHERE id = ?').get(jobId);
+  return !row || row.cancel_requested === 'Yes';
 }
 
 /**
- * Get Amazon item by ID
+ * Return jobs left running by a previous process to the queue
+ * Jobs whose cancellation was already requested are cancelled instead.
+ * @returns {number} Jobs re-queued
  */
-export function getAmazonItemById(itemId) {
-  return db.prepare('SELECT * FROM amazon_items WHERE id = ?').get(itemId);
+export function requeueInterruptedJobs() {
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'cancelled', completed_at = datetime('now'), updated_at = datetime('now')
+    WHERE status = 'running' AND cancel_requested = 'Yes'
+  `).run();
+
+  return db.prepare(`
+    UPDATE jobs
+    SET status = 'pending', run_after = datetime('now'), updated_at = datetime('now')
+    WHERE status = 'running'
+  `).run().changes;
+}
+
+export function addJobUpdate(jobId, data) {
+  db.prepare(`
+    INSERT INTO job_updates (job_id, data, created_at) VALUES (?, ?, datetime('now'))
+  `).run(jobId, JSON.stringify(data));
 }
 
 /**
- * Get transaction by ID
+ * Get the updates a job has published since the last call, and remove them
  */
-export function getTransactionById(transactionId) {
-  return db.prepare('SELECT * FROM transactions WHERE transaction_id = ?').get(transactionId);
+export function takeJobUpdates(jobId) {
+  const take = db.transaction(() => {
+    const rows = db.prepare('SELECT id, data FROM job_updates WHERE job_id = ? ORDER BY id').all(jobId);
+    if (rows.length > 0) {
+      db.prepare('DELETE FROM job_updates WHERE job_id = ? AND id <= ?').run(jobId, rows[rows.length - 1].id);
+    }
+    return rows.map(row => JSON.parse(row.data));
+  });
+
+  return take();
 }
 
 /**
- * Get multiple transactions by their IDs (optimized for bulk lookups)
+ * Delete finished jobs (and their updates) that completed more than maxAgeSeconds ago
+ * @returns {number} Jobs deleted
  */
-export function getTransactionsByIds(transactionIds) {
-  if (!transactionIds || transactionIds.length === 0) {
-    return [];
-  }
-  const placeholders = transactionIds.map(() => '?').join(',');
-  return db.prepare(`SELECT * FROM transactions WHERE transaction_id IN (${placeholders})`).all(...transactionIds);
+export function deleteFinishedJobs(maxAgeSeconds) {
+  const placeholders = FINISHED_JOB_STATUSES.map(() => '?').join(',');
+  return db.prepare(`
+    DELETE FROM jobs
+    WHERE status IN (${placeholders}) AND completed_at < datetime('now', ?)
+  `).run(...FINISHED_JOB_STATUSES, `-${Math.round(maxAgeSeconds)} seconds`).changes;
 }
@@ -0,0 +1,116 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// ============================================================================
+// SERVER-SENT EVENTS
+// ============================================================================
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const REPLAY_BUFFER_SIZE = 200;
+
+const clients = new Set();
+const recentEvents = [];
+let nextEventId = 1;
+
+// Event ids are `<boot>-<sequence>`, so an id a tab saw before a restart isn't
+// mistaken for one from this run
+const BOOT_ID = Date.now().toString(36);
+
+// Tracks which browser tab made the current request, so a tab can skip events it caused
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Express middleware: remember the X-Client-Id header for everything the request publishes
+ */
+export function trackEventOrigin(req, res, next) {
+  requestContext.run({ clientId: req.get('X-Client-Id') || null }, next);
+}
+
+/**
+ * Run work that outlives the request (e.g., a job worker) without tying its events to that request
+ */
+export function runOutsideRequest(fn) {
+  return requestContext.exit(fn);
+}
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+/**
+ * Publish an event to every connected client
+ * The data is sent as { ...data, origin } where origin is the client ID of the
+ * request that caused the event (null for background work).
+ * @param {string} type - Event type (e.g., 'syncCompleted')
+ * @param {Object} data - Event payload
+ */
+export function publish(type, data = {}) {
+  const sequence = nextEventId++;
+  const event = {
+    id: `${BOOT_ID}-${sequence}`,
+    sequence,
+    type,
+    data: { ...data, origin: requestContext.getStore()?.clientId || null }
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > REPLAY_BUFFER_SIZE) {
+    recentEvents.shift();
+  }
+
+  const message = formatEvent(event);
+  for (const res of clients) {
+    res.write(message);
+  }
+}
+
+/**
+ * Attach a response as an event stream
+ * A reconnecting EventSource sends Last-Event-ID; anything it missed that is
+ * still in the replay buffer is sent first. An id from before the server
+ * restarted (or one that can't be read) replays the whole buffer, which only
+ * holds events from this run.
+ */
+export function subscribe(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: 3000\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) {
+    const [boot, sequence] = lastEventId.split('-');
+    const lastSequence = boot === BOOT_ID ? parseInt(sequence) : NaN;
+    for (const event of recentEvents) {
+      if (Number.isNaN(lastSequence) || event.sequence > lastSequence) {
+        res.write(formatEvent(event));
+      }
+    }
+  }
+
+  clients.add(res);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+}
+
+/**
+ * End every open stream (open streams would otherwise keep the server from closing)
+ */
+export function closeAll() {
+  for (const res of clients) {
+    res.end();
+  }
+  clients.clear();
+}
+
+export function getClientCount() {
+  return clients.size;
+}
@@ -0,0 +1,293 @@
+import * as database from './database.js';
+import * as recurring from './recurring.js';
+
+// ============================================================================
+// CASH-FLOW FORECAST
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accounts whose balance moves with day-to-day cash flow
+const FORECAST_ACCOUNT_TYPES = ['depository', 'credit'];
+
+// Horizons reported for every account (when inside the forecast window)
+const MILESTONE_DAYS = [30, 60, 90];
+
+// How far back to look for card payments when working out due dates
+const CARD_PAYMENT_LOOKBACK_DAYS = 75;
+
+// Everyday spending is averaged over at least this many days, so one big
+// purchase on a new account doesn't dominate its daily rate
+const MIN_AVERAGING_DAYS = 30;
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight
+ */
+function parseDate(dateStr) {
+  return new Date(`${dateStr.slice(0, 10)}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function daysBetween(fromStr, toStr) {
+  return Math.round((parseDate(toStr) - parseDate(fromStr)) / DAY_MS);
+}
+
+function addDays(dateStr, days) {
+  return formatDate(new Date(parseDate(dateStr).getTime() + days * DAY_MS));
+}
+
+/**
+ * Add months, clamping to the end of shorter months (Jan 31 + 1 month = Feb 28)
+ */
+function addMonths(dateStr, months) {
+  const date = parseDate(dateStr);
+  const day = date.getUTCDate();
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return formatDate(target);
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * The nth date after a series' next expected charge (counted from the same
+ * base date so month-end charges don't drift to the 28th)
+ */
+function getSeriesDate(series, n) {
+  switch (series.cadence) {
+    case 'monthly': return addMonths(series.next_expected_date, n);
+    case 'annual': return addMonths(series.next_expected_date, 12 * n);
+    default: return addDays(series.next_expected_date, n * (series.interval_days || 7));
+  }
+}
+
+/**
+ * Dates a recurring series is expected to hit within the window
+ * A charge that is late but still within its grace period is expected
+ * tomorrow; one that was missed is skipped.
+ */
+function getSeriesOccurrences(series, asOf, endDate) {
+  const dates = [];
+  if (series.next_expected_date <= asOf && series.status === 'active') {
+    dates.push(addDays(asOf, 1));
+  }
+
+  let n = 0;
+  let date = getSeriesDate(series, n);
+  while (date <= asOf) {
+    date = getSeriesDate(series, ++n);
+  }
+  while (date <= endDate) {
+    dates.push(date);
+    date = getSeriesDate(series, ++n);
+  }
+
+  return dates;
+}
+
+/**
+ * Each credit card's upcoming due dates, a month apart from the day its last
+ * payment landed, with the account that usually pays it (when linked)
+ */
+function getCardSchedules(payments, asOf, endDate) {
+  const lastPayments = new Map();
+  for (const payment of payments) {
+    const previous = lastPayments.get(payment.card_name);
+    lastPayments.set(payment.card_name, {
+      date: payment.date,
+      fromAccount: payment.from_account || previous?.fromAccount || null
+    });
+  }
+
+  const schedules = [];
+  for (const [cardName, last] of lastPayments) {
+    const dates = [];
+    for (let n = 1; ; n++) {
+      const date = addMonths(last.date, n);
+      if (date > endDate) break;
+      if (date > asOf) dates.push(date);
+    }
+    schedules.push({ cardName, fromAccount: last.fromAccount, dates });
+  }
+
+  return schedules;
+}
+
+function isCheckingAccount(account) {
+  return account.type === 'depository' && (!account.subtype || account.subtype === 'checking');
+}
+
+/**
+ * Project account balances day by day
+ * Recurring paychecks and bills land on their expected dates, everyday spending
+ * is spread evenly at each account's recent daily average, and each credit card
+ * is paid in full on its due date from the account that usually pays it.
+ * Credit card balances are amounts owed, so spending raises them.
+ * @param {Object} data - { accounts, series, transferSeriesIds, cardPayments, discretionary }
+ * @param {Object} options - { asOf, days, threshold, sinceDate }
+ * @returns {Object} { asOf, days, threshold, accounts, events, warnings }
+ */
+export function buildForecast(data, options) {
+  const { asOf, days, threshold, sinceDate } = options;
+  const endDate = addDays(asOf, days);
+
+  const states = new Map();
+  for (const account of data.accounts) {
+    if (!FORECAST_ACCOUNT_TYPES.includes(account.type)) continue;
+    states.set(account.name, {
+      account,
+      isCredit: account.type === 'credit',
+      balance: parseFloat(account.current_balance) || 0,
+      dailySpend: 0,
+      points: []
+    });
+  }
+
+  const scheduled = new Map();
+  const schedule = (event) => {
+    if (!scheduled.has(event.date)) {
+      scheduled.set(event.date, []);
+    }
+    scheduled.get(event.date).push(event);
+  };
+
+  // Transfers between the user's own accounts are projected as card payments below
+  for (const series of data.series) {
+    if (series.status === 'inactive' || data.transferSeriesIds.has(series.id) || !states.has(series.account_name)) {
+      continue;
+    }
+    for (const date of getSeriesOccurrences(series, asOf, endDate)) {
+      schedule({
+        date,
+        account_name: series.account_name,
+        description: series.name,
+        amount: series.expected_amount,
+        kind: series.expected_amount < 0 ? 'income' : 'bill',
+        series_id: series.id
+      });
+    }
+  }
+
+  for (const card of getCardSchedules(data.cardPayments, asOf, endDate)) {
+    if (!states.has(card.cardName)) continue;
+    for (const date of card.dates) {
+      schedule({
+        date,
+        account_name: card.cardName,
+        from_account: states.has(card.fromAccount) ? card.fromAccount : null,
+        description: `${card.cardName} payment`,
+        kind: 'card_payment'
+      });
+    }
+  }
+
+  for (const row of data.discretionary) {
+    const state = states.get(row.account_name);
+    if (!state) continue;
+    const start = row.first_date > sinceDate ? row.first_date : sinceDate;
+    const averagingDays = Math.max(daysBetween(start, asOf) + 1, MIN_AVERAGING_DAYS);
+    state.dailySpend = row.total / averagingDays;
+  }
+
+  // Positive amounts are money out, as on transactions
+  const apply = (state, amount) => {
+    state.balance += state.isCredit ? amount : -amount;
+  };
+
+  const events = [];
+  for (let day = 1; day <= days; day++) {
+    const date = addDays(asOf, day);
+
+    for (const state of states.values()) {
+      apply(state, state.dailySpend);
+    }
+
+    for (const event of scheduled.get(date) || []) {
+      if (event.kind === 'card_payment') {
+        const card = states.get(event.account_name);
+        const amount = roundCents(card.balance);
+        if (amount <= 0) continue;
+
+        card.balance -= amount;
+        if (event.from_account) {
+          apply(states.get(event.from_account), amount);
+        }
+        events.push({ ...event, amount });
+      } else {
+        apply(states.get(event.account_name), event.amount);
+        events.push(event);
+      }
+    }
+
+    for (const state of states.values()) {
+      state.points.push({ date, balance: roundCents(state.balance) });
+    }
+  }
+
+  const accounts = [];
+  const warnings = [];
+
+  for (const state of states.values()) {
+    const { account, points } = state;
+    const lowest = points.reduce((min, point) => (point.balance < min.balance ? point : min),
+      { date: asOf, balance: roundCents(parseFloat(account.current_balance) || 0) });
+
+    accounts.push({
+      account_id: account.account_id,
+      name: account.name,
+      type: account.type,
+      subtype: account.subtype,
+      is_liability: state.isCredit,
+      current_balance: parseFloat(account.current_balance) || 0,
+      daily_discretionary: roundCents(state.dailySpend),
+      projected: MILESTONE_DAYS.filter(d => d <= days).map(d => ({ days: d, ...points[d - 1] })),
+      lowest: state.isCredit ? null : lowest,
+      points
+    });
+
+    if (isCheckingAccount(account)) {
+      const firstBelow = points.find(point => point.balance < threshold);
+      if (firstBelow) {
+        warnings.push({
+          account_id: account.account_id,
+          account_name: account.name,
+          date: firstBelow.date,
+          balance: firstBelow.balance,
+          lowest_balance: lowest.balance,
+          lowest_date: lowest.date,
+          threshold
+        });
+      }
+    }
+  }
+
+  events.sort((a, b) => a.date.localeCompare(b.date));
+  warnings.sort((a, b) => a.date.localeCompare(b.date));
+
+  return { asOf, days, threshold, accounts, events, warnings };
+}
+
+/**
+ * Forecast balances for the next few days from the data on hand
+ * @param {Object} options - { days, threshold, asOf }
+ */
+export function getForecast(options = {}) {
+  const asOf = options.asOf || formatDate(new Date());
+  const days = options.days ?? 90;
+  const threshold = options.threshold ?? database.getSetting('forecast_low_balance_threshold');
+  const sinceDate = addDays(asOf, -database.getSetting('forecast_lookback_days'));
+
+  return buildForecast({
+    accounts: database.getAccounts(),
+    series: recurring.getRecurringSeries(),
+    transferSeriesIds: database.getTransferSeriesIds(),
+    cardPayments: database.getCreditCardPayments(addDays(asOf, -CARD_PAYMENT_LOOKBACK_DAYS)),
+    discretionary: database.getDiscretionarySpending(sinceDate)
+  }, { asOf, days, threshold, sinceDate });
+}
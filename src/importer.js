@@ -0,0 +1,761 @@
+import * as database from './database.js';
+import { randomUUID } from 'crypto';
+
+/**
+ * Bank statement import (CSV, OFX and QFX)
+ *
+ * CSV files are read through a column mapping, usually saved as a profile per
+ * institution:
+ *   {
+ *     delimiter: ',',                 // ',', ';', '\t' or '|'
+ *     hasHeader: true,                // false: columns are "Column 1", "Column 2", ...
+ *     skipRows: 0,                    // lines to drop before the header (bank preambles)
+ *     columns: { date, description, amount, debit, credit, merchant, notes, category, reference },
+ *     dateFormat: 'MM/DD/YYYY',       // YYYY, YY, MM, M, DD, D, MMM and separators
+ *     amountMode: 'single',           // 'single' (amount column) or 'debit_credit'
+ *     signConvention: 'expense_negative', // how the amount column signs money going out
+ *     decimalSeparator: '.',
+ *     accountName: 'Credit Union Checking'
+ *   }
+ * OFX/QFX files describe themselves; only the account name can be overridden.
+ *
+ * Imported amounts follow the app convention (positive = expense). Every parsed
+ * transaction is checked against existing ones: the same bank reference, or the
+ * same account, date, description and amount, is a duplicate; the same account
+ * and amount within a few days is a possible duplicate for the user to decide.
+ */
+
+export const DATE_FORMATS = [
+    'YYYY-MM-DD',
+    'MM/DD/YYYY',
+    'DD/MM/YYYY',
+    'M/D/YY',
+    'D/M/YY',
+    'DD.MM.YYYY',
+    'YYYYMMDD',
+    'DD-MMM-YYYY',
+    'MMM D, YYYY'
+];
+
+export const DELIMITERS = [',', ';', '\t', '|'];
+
+export const MAPPING_COLUMNS = ['date', 'description', 'amount', 'debit', 'credit', 'merchant', 'notes', 'category', 'reference'];
+
+const SIGN_CONVENTIONS = ['expense_negative', 'expense_positive'];
+const AMOUNT_MODES = ['single', 'debit_credit'];
+
+// Transactions on the same account with the same amount this many days apart
+// are flagged as possible duplicates
+const POSSIBLE_DUPLICATE_DAYS = 3;
+
+// How many parsed transactions and row errors the preview returns
+const PREVIEW_LIMIT = 100;
+const ROW_ERROR_LIMIT = 20;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Header names that suggest each mapped column (lowercase, checked in order)
+const COLUMN_HINTS = {
+    date: ['date', 'posted date', 'posting date', 'transaction date', 'trans date', 'booking date', 'value date'],
+    description: ['description', 'payee', 'name', 'details', 'transaction description', 'memo', 'narrative'],
+    amount: ['amount', 'transaction amount', 'value'],
+    debit: ['debit', 'debits', 'withdrawal', 'withdrawals', 'money out', 'paid out', 'debit amount'],
+    credit: ['credit', 'credits', 'deposit', 'deposits', 'money in', 'paid in', 'credit amount'],
+    merchant: ['merchant', 'merchant name'],
+    notes: ['notes', 'note', 'memo', 'comment', 'comments'],
+    category: ['category'],
+    reference: ['reference', 'ref', 'transaction id', 'id', 'fitid', 'check number']
+};
+
+// ============================================================================
+// FILE READING
+// ============================================================================
+
+/**
+ * Tell OFX/QFX from CSV by content (falling back to the file extension)
+ */
+export function detectFormat(content, filename = '') {
+    const head = content.slice(0, 2000).toUpperCase();
+    if (head.includes('OFXHEADER') || head.includes('<OFX>')) {
+        return 'ofx';
+    }
+    return /\.(ofx|qfx)$/i.test(filename) ? 'ofx' : 'csv';
+}
+
+/**
+ * Parse CSV text into rows of fields (quoted fields may contain the
+ * delimiter, doubled quotes and line breaks)
+ */
+export function parseCSVRows(content, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field.trim());
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field.trim());
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+/**
+ * Guess the delimiter from the first lines of a CSV file
+ */
+export function detectDelimiter(content) {
+    const sample = content.split(/\r?\n/).slice(0, 10);
+    let best = ',';
+    let bestScore = 0;
+
+    for (const delimiter of DELIMITERS) {
+        const counts = sample.map(line => line.split(delimiter).length - 1).filter(count => count > 0);
+        // A delimiter that splits every line the same way scores highest
+        const score = counts.length > 0 && new Set(counts).size === 1 ? counts.length * 2 : counts.length;
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+// ============================================================================
+// VALUE PARSING
+// ============================================================================
+
+/**
+ * Parse a date with a format such as 'MM/DD/YYYY' or 'MMM D, YYYY'
+ * @returns {string|null} YYYY-MM-DD, or null if the value doesn't fit the format
+ */
+export function parseDate(value, format) {
+    if (!value) return null;
+
+    const fields = [];
+    const pattern = format.replace(/YYYY|YY|MMM|MM|M|DD|D|[.*+?^${}()|[\]\\]/g, token => {
+        switch (token) {
+            case 'YYYY': fields.push('year'); return '(\\d{4})';
+            case 'YY': fields.push('shortYear'); return '(\\d{2})';
+            case 'MMM': fields.push('monthName'); return '([A-Za-z]{3,9})';
+            case 'MM':
+            case 'M': fields.push('month'); return '(\\d{1,2})';
+            case 'DD':
+            case 'D': fields.push('day'); return '(\\d{1,2})';
+            default: return `\\${token}`;
+        }
+    });
+
+    // Bank exports often add a time after the date
+    const match = String(value).trim().match(new RegExp(`^${pattern}(?:[ T].*)?$`));
+    if (!match) return null;
+
+    const parts = {};
+    fields.forEach((field, index) => { parts[field] = match[index + 1]; });
+
+    const year = parts.year ? Number(parts.year) : 2000 + Number(parts.shortYear);
+    const month = parts.monthName
+        ? MONTHS.indexOf(parts.monthName.slice(0, 3).toLowerCase()) + 1
+        : Number(parts.month);
+    const day = Number(parts.day);
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (!month || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse an amount as banks write it: "$1,234.56", "(12.34)", "12.34-",
+ * "1.234,56" (with decimalSeparator ','), "12.34 CR"
+ * @returns {number} The amount, or NaN
+ */
+export function parseAmount(value, decimalSeparator = '.') {
+    let text = String(value ?? '').trim();
+    if (!text) return NaN;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    if (/\s*(CR|DR)$/i.test(text)) {
+        negative = /DR$/i.test(text);
+        text = text.replace(/\s*(CR|DR)$/i, '');
+    }
+    if (text.endsWith('-')) {
+        negative = true;
+        text = text.slice(0, -1);
+    }
+
+    text = text.replace(/[^\d.,+-]/g, '');
+    text = decimalSeparator === ','
+        ? text.replace(/\./g, '').replace(',', '.')
+        : text.replace(/,/g, '');
+
+    if (!/^[+-]?\d*\.?\d+$/.test(text)) return NaN;
+
+    const amount = parseFloat(text);
+    return negative ? -Math.abs(amount) : amount;
+}
+
+// ============================================================================
+// COLUMN MAPPING
+// ============================================================================
+
+/**
+ * Check a CSV column mapping
+ * @param {Object} mapping - Column mapping (see top of file)
+ * @param {Array} headers - Column names of the file, to check the columns exist (optional)
+ * @returns {string|null} What is wrong with it, or null
+ */
+export function getMappingError(mapping, headers = null) {
+    if (!mapping || typeof mapping !== 'object') {
+        return 'A column mapping is required';
+    }
+
+    const columns = mapping.columns || {};
+
+    if (!DELIMITERS.includes(mapping.delimiter || ',')) {
+        return 'Delimiter must be a comma, semicolon, tab or pipe';
+    }
+    if (!AMOUNT_MODES.includes(mapping.amountMode || 'single')) {
+        return `amountMode must be one of: ${AMOUNT_MODES.join(', ')}`;
+    }
+    if (!SIGN_CONVENTIONS.includes(mapping.signConvention || 'expense_negative')) {
+        return `signConvention must be one of: ${SIGN_CONVENTIONS.join(', ')}`;
+    }
+    if (!mapping.dateFormat || !/YY/.test(mapping.dateFormat) || !/M/.test(mapping.dateFormat) || !/D/.test(mapping.dateFormat)) {
+        return 'dateFormat must contain a year (YYYY or YY), month (MM, M or MMM) and day (DD or D)';
+    }
+    if (!columns.date) return 'Choose the date column';
+    if (!columns.description) return 'Choose the description column';
+
+    if ((mapping.amountMode || 'single') === 'single') {
+        if (!columns.amount) return 'Choose the amount column';
+    } else if (!columns.debit && !columns.credit) {
+        return 'Choose the debit and/or credit column';
+    }
+
+    if (headers) {
+        for (const [key, column] of Object.entries(columns)) {
+            if (column && !headers.includes(column)) {
+                return `Column "${column}" (${key}) is not in this file`;
+            }
+        }
+    }
+
+    return null;
+}
+
+// The first date format that reads all sample values, or null
+function fittingDateFormat(values) {
+    const samples = values.filter(Boolean).slice(0, 50);
+    if (samples.length === 0) return null;
+
+    return DATE_FORMATS.find(format => samples.every(value => parseDate(value, format))) || null;
+}
+
+// Bank preambles ("Account: 1234") have fewer fields than the table below
+// them; the header is the first row as wide as most rows
+function findHeaderRow(rows) {
+    const widths = rows.slice(0, 50).map(row => row.length);
+    const counts = new Map();
+    widths.forEach(width => counts.set(width, (counts.get(width) || 0) + 1));
+    const tableWidth = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0]?.[0] || 0;
+
+    return Math.max(0, widths.findIndex(width => width === tableWidth));
+}
+
+/**
+ * Guess a mapping for a CSV file from its header names, falling back to the
+ * values (a column of dates, a column of amounts, the longest text column)
+ * for headers it doesn't recognize
+ * @returns {Object} Mapping (may still be incomplete; check with getMappingError)
+ */
+export function suggestMapping(content) {
+    const delimiter = detectDelimiter(content);
+    const allRows = parseCSVRows(content, delimiter);
+    const skipRows = findHeaderRow(allRows);
+    const rows = allRows.slice(skipRows);
+    const headers = rows[0] || [];
+    const dataRows = rows.slice(1, 51);
+    const lowerHeaders = headers.map(header => header.toLowerCase());
+    const values = (index) => dataRows.map(row => row[index] || '').filter(Boolean);
+    const used = new Set();
+    const columns = {};
+
+    const find = (hints) => {
+        for (const hint of hints) {
+            const index = lowerHeaders.findIndex((header, i) => !used.has(i) && header === hint);
+            if (index !== -1) return index;
+        }
+        // Short hints like "id" only match whole header names
+        for (const hint of hints.filter(h => h.length > 3)) {
+            const index = lowerHeaders.findIndex((header, i) => !used.has(i) && header.includes(hint));
+            if (index !== -1) return index;
+        }
+        return -1;
+    };
+
+    const take = (key, index) => {
+        if (index === -1) return;
+        columns[key] = headers[index];
+        used.add(index);
+    };
+
+    for (const key of MAPPING_COLUMNS) {
+        take(key, find(COLUMN_HINTS[key]));
+    }
+
+    const amountMode = !columns.amount && (columns.debit || columns.credit) ? 'debit_credit' : 'single';
+    if (amountMode === 'single') {
+        delete columns.debit;
+        delete columns.credit;
+    } else {
+        delete columns.amount;
+    }
+
+    const unused = headers.map((_, index) => index).filter(index => !used.has(index) && values(index).length > 0);
+
+    if (!columns.date) {
+        take('date', unused.find(index => !used.has(index) && fittingDateFormat(values(index))) ?? -1);
+    }
+    if (!columns.amount && amountMode === 'single') {
+        take('amount', unused.find(index => !used.has(index) && values(index).every(value => !isNaN(parseAmount(value, ',')))) ?? -1);
+    }
+    if (!columns.description) {
+        const textColumns = unused.filter(index => !used.has(index));
+        const averageLength = (index) => values(index).reduce((sum, value) => sum + value.length, 0) / values(index).length;
+        take('description', textColumns.sort((a, b) => averageLength(b) - averageLength(a))[0] ?? -1);
+    }
+
+    const dateIndex = headers.indexOf(columns.date);
+    const amountSamples = [columns.amount, columns.debit, columns.credit]
+        .filter(Boolean)
+        .flatMap(column => values(headers.indexOf(column)));
+
+    return {
+        delimiter,
+        hasHeader: true,
+        skipRows,
+        columns,
+        dateFormat: (dateIndex !== -1 && fittingDateFormat(values(dateIndex))) || DATE_FORMATS[0],
+        amountMode,
+        signConvention: 'expense_negative',
+        // "1.234,56" style amounts have a comma two places from the end
+        decimalSeparator: amountSamples.some(value => /,\d{2}$/.test(value)) && !amountSamples.some(value => /\.\d{2}$/.test(value)) ? ',' : '.',
+        accountName: ''
+    };
+}
+
+/**
+ * Read the rows of a CSV file with a mapping
+ * @returns {Object} { headers, sampleRows, transactions, rowErrors }
+ */
+export function parseMappedCSV(content, mapping) {
+    const rows = parseCSVRows(content, mapping.delimiter || ',').slice(mapping.skipRows || 0);
+    if (rows.length === 0) {
+        throw new Error('Invalid statement file: no rows found');
+    }
+
+    const width = Math.max(...rows.map(row => row.length));
+    const headers = mapping.hasHeader === false
+        ? Array.from({ length: width }, (_, i) => `Column ${i + 1}`)
+        : rows[0];
+    const dataRows = mapping.hasHeader === false ? rows : rows.slice(1);
+    const firstRowNumber = (mapping.skipRows || 0) + (mapping.hasHeader === false ? 1 : 2);
+
+    const result = { headers, sampleRows: dataRows.slice(0, 5), transactions: [], rowErrors: [] };
+
+    const error = getMappingError(mapping, headers);
+    if (error) {
+        result.mappingError = error;
+        return result;
+    }
+
+    const columns = mapping.columns;
+    const get = (row, key) => (columns[key] ? (row[headers.indexOf(columns[key])] || '').trim() : '');
+    const accountName = (mapping.accountName || '').trim() || 'Imported';
+
+    dataRows.forEach((row, index) => {
+        const rowNumber = firstRowNumber + index;
+        const description = get(row, 'description');
+        const date = parseDate(get(row, 'date'), mapping.dateFormat);
+
+        if (!date) {
+            result.rowErrors.push({ row: rowNumber, error: `Date "${get(row, 'date')}" doesn't match ${mapping.dateFormat}` });
+            return;
+        }
+
+        let amount;
+        if ((mapping.amountMode || 'single') === 'single') {
+            amount = parseAmount(get(row, 'amount'), mapping.decimalSeparator);
+            if (!isNaN(amount) && (mapping.signConvention || 'expense_negative') === 'expense_negative') {
+                amount = -amount;
+            }
+        } else {
+            // Debit is money out (an expense), credit money in, whatever their sign
+            const debit = parseAmount(get(row, 'debit'), mapping.decimalSeparator);
+            const credit = parseAmount(get(row, 'credit'), mapping.decimalSeparator);
+            if (!isNaN(debit) && debit !== 0) amount = Math.abs(debit);
+            else if (!isNaN(credit) && credit !== 0) amount = -Math.abs(credit);
+            else amount = !isNaN(debit) || !isNaN(credit) ? 0 : NaN;
+        }
+
+        if (isNaN(amount)) {
+            result.rowErrors.push({ row: rowNumber, error: 'No readable amount' });
+            return;
+        }
+        if (!description) {
+            result.rowErrors.push({ row: rowNumber, error: 'No description' });
+            return;
+        }
+
+        const reference = get(row, 'reference');
+        result.transactions.push({
+            date,
+            description,
+            merchant_name: get(row, 'merchant') || description,
+            account_name: accountName,
+            amount: Math.round(amount * 100) / 100,
+            notes: get(row, 'notes') || null,
+            category: get(row, 'category') || null,
+            import_ref: reference ? `csv:${accountName}:${reference}` : null,
+            row: rowNumber
+        });
+    });
+
+    return result;
+}
+
+// ============================================================================
+// OFX / QFX
+// ============================================================================
+
+// Value of a leaf element; OFX 1.x (SGML) leaves have no closing tag
+function ofxValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim().replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>') : '';
+}
+
+function ofxBlocks(content, tag) {
+    return content.match(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'gi')) || [];
+}
+
+const OFX_ACCOUNT_TYPES = {
+    CHECKING: 'Checking',
+    SAVINGS: 'Savings',
+    MONEYMRKT: 'Money Market',
+    CREDITLINE: 'Credit Line'
+};
+
+/**
+ * Parse an OFX or QFX statement (bank and credit card statements; several
+ * accounts per file are fine)
+ * @param {string} content - File content
+ * @param {string} accountName - Account name for all transactions (optional;
+ *   by default "<Institution> <type> (<last 4>)")
+ * @returns {Object} { transactions, rowErrors, accounts }
+ */
+export function parseOFX(content, accountName = '') {
+    const statements = [...ofxBlocks(content, 'STMTRS'), ...ofxBlocks(content, 'CCSTMTRS')];
+    if (statements.length === 0 && /<STMTTRN>/i.test(content)) {
+        statements.push(content);
+    }
+    if (statements.length === 0) {
+        throw new Error('Invalid statement file: no OFX statements found');
+    }
+
+    const institution = ofxValue(content, 'ORG');
+    const result = { transactions: [], rowErrors: [], accounts: [] };
+
+    for (const statement of statements) {
+        const isCard = /<CCACCTFROM>/i.test(statement);
+        const accountId = ofxValue(statement, 'ACCTID');
+        const type = isCard ? 'Credit Card' : (OFX_ACCOUNT_TYPES[ofxValue(statement, 'ACCTTYPE').toUpperCase()] || 'Account');
+        const name = accountName.trim() ||
+            [institution, type].filter(Boolean).join(' ') + (accountId ? ` (${accountId.slice(-4)})` : '');
+        result.accounts.push(name);
+
+        ofxBlocks(statement, 'STMTTRN').forEach((block, index) => {
+            const fitId = ofxValue(block, 'FITID');
+            const posted = ofxValue(block, 'DTPOSTED');
+            const date = parseDate(posted.slice(0, 8), 'YYYYMMDD');
+            const amount = parseAmount(ofxValue(block, 'TRNAMT'));
+            const payee = ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE');
+            const memo = ofxValue(block, 'MEMO');
+            const description = payee || memo;
+
+            if (!date || isNaN(amount) || !description) {
+                result.rowErrors.push({ row: index + 1, error: `Transaction ${fitId || index + 1} is missing a date, amount or name` });
+                return;
+            }
+
+            result.transactions.push({
+                date,
+                description,
+                merchant_name: payee || description,
+                account_name: name,
+                // OFX amounts are negative for money going out
+                amount: -Math.round(amount * 100) / 100,
+                notes: memo && memo !== payee ? memo : null,
+                category: null,
+                import_ref: fitId ? `ofx:${accountId}:${fitId}` : null,
+                row: index + 1
+            });
+        });
+    }
+
+    return result;
+}
+
+// ============================================================================
+// DUPLICATE DETECTION
+// ============================================================================
+
+function daysBetween(a, b) {
+    return Math.abs(Date.parse(a) - Date.parse(b)) / 86400000;
+}
+
+/**
+ * Mark each parsed transaction 'new', 'duplicate' or 'possible_duplicate'.
+ * Every existing transaction is matched at most once, so two identical
+ * coffees on one day in the file are only duplicates if both already exist.
+ */
+export function markDuplicates(transactions) {
+    const db = database.getDatabase();
+    const byAccount = new Map();
+
+    for (const tx of transactions) {
+        if (!byAccount.has(tx.account_name)) byAccount.set(tx.account_name, []);
+        byAccount.get(tx.account_name).push(tx);
+    }
+
+    const refStmt = db.prepare('SELECT transaction_id, date, description, amount FROM transactions WHERE import_ref = ? LIMIT 1');
+    const seenRefs = new Set();
+
+    for (const [accountName, accountTransactions] of byAccount) {
+        const dates = accountTransactions.map(tx => tx.date).sort();
+        const existing = db.prepare(`
+            SELECT transaction_id, date, description, amount
+            FROM transactions
+            WHERE account_name = ?
+              AND date BETWEEN date(?, '-${POSSIBLE_DUPLICATE_DAYS} days') AND date(?, '+${POSSIBLE_DUPLICATE_DAYS} days')
+        `).all(accountName, dates[0], dates[dates.length - 1]);
+        const claimed = new Set();
+
+        const claim = (tx, status, match) => {
+            tx.status = status;
+            if (match) {
+                claimed.add(match.transaction_id);
+                tx.duplicate_of = { transaction_id: match.transaction_id, date: match.date, description: match.description, amount: match.amount };
+            }
+        };
+
+        // Exact matches first, so a near match can't take an exact match's partner
+        for (const tx of accountTransactions) {
+            if (tx.import_ref) {
+                if (seenRefs.has(tx.import_ref)) {
+                    claim(tx, 'duplicate', null);
+                    continue;
+                }
+                seenRefs.add(tx.import_ref);
+
+                const match = refStmt.get(tx.import_ref);
+                if (match) {
+                    claim(tx, 'duplicate', match);
+                    continue;
+                }
+            }
+
+            const match = existing.find(row => !claimed.has(row.transaction_id) &&
+                row.date === tx.date &&
+                row.description === tx.description &&
+                Math.abs(row.amount - tx.amount) < 0.005);
+            if (match) claim(tx, 'duplicate', match);
+        }
+
+        for (const tx of accountTransactions) {
+            if (tx.status) continue;
+
+            const match = existing.find(row => !claimed.has(row.transaction_id) &&
+                Math.abs(row.amount - tx.amount) < 0.005 &&
+                daysBetween(row.date, tx.date) <= POSSIBLE_DUPLICATE_DAYS);
+            claim(tx, match ? 'possible_duplicate' : 'new', match);
+        }
+    }
+
+    return transactions;
+}
+
+// ============================================================================
+// PREVIEW AND IMPORT
+// ============================================================================
+
+/**
+ * Find the saved profile made for files with this file's header line
+ */
+export function findMatchingProfile(content) {
+    return database.getImportProfiles().find(profile => {
+        if (!profile.headers) return false;
+        const rows = parseCSVRows(content.split(/\r?\n/).slice(0, (profile.mapping.skipRows || 0) + 5).join('\n'), profile.mapping.delimiter || ',');
+        const headers = rows[profile.mapping.skipRows || 0] || [];
+        return headers.length === profile.headers.length && headers.every((header, i) => header === profile.headers[i]);
+    }) || null;
+}
+
+// Read a statement file into parsed transactions.
+// options: { filename, mapping, profileId, accountName }
+function readStatement(content, options = {}) {
+    const format = detectFormat(content, options.filename);
+
+    if (format === 'ofx') {
+        const parsed = parseOFX(content, options.accountName || '');
+        return { format, profile: null, mapping: null, headers: null, sampleRows: null, mappingError: null, ...parsed };
+    }
+
+    // A given mapping wins, then a chosen profile, then a profile saved for
+    // files with the same header line, then a guess
+    let profile = options.profileId ? database.getImportProfile(options.profileId) : null;
+    if (options.profileId && !profile) {
+        throw new Error('Import profile not found');
+    }
+    if (!options.mapping && !profile) {
+        profile = findMatchingProfile(content);
+    }
+
+    const mapping = options.mapping || profile?.mapping || suggestMapping(content);
+    const withAccount = options.accountName ? { ...mapping, accountName: options.accountName } : mapping;
+    const parsed = parseMappedCSV(content, withAccount);
+
+    return {
+        format,
+        profile: profile && !options.mapping ? { id: profile.id, name: profile.name } : null,
+        mapping: withAccount,
+        mappingError: parsed.mappingError || null,
+        accounts: [...new Set(parsed.transactions.map(tx => tx.account_name))],
+        ...parsed
+    };
+}
+
+function countByStatus(transactions) {
+    return {
+        newCount: transactions.filter(tx => tx.status === 'new').length,
+        duplicateCount: transactions.filter(tx => tx.status === 'duplicate').length,
+        possibleDuplicateCount: transactions.filter(tx => tx.status === 'possible_duplicate').length
+    };
+}
+
+/**
+ * Preview a statement import
+ * @param {string} content - File content
+ * @param {Object} options - { filename, mapping, profileId, accountName }
+ * @returns {Object} Format, mapping in use (or its error), headers and sample
+ *   rows (CSV), counts, the first parsed transactions with their duplicate
+ *   status, and rows that couldn't be read
+ */
+export function analyzeStatement(content, options = {}) {
+    const statement = readStatement(content, options);
+    markDuplicates(statement.transactions);
+
+    return {
+        format: statement.format,
+        profile: statement.profile,
+        mapping: statement.mapping,
+        mappingError: statement.mappingError,
+        headers: statement.headers,
+        sampleRows: statement.sampleRows,
+        accounts: statement.accounts,
+        totalTransactions: statement.transactions.length,
+        ...countByStatus(statement.transactions),
+        errorCount: statement.rowErrors.length,
+        rowErrors: statement.rowErrors.slice(0, ROW_ERROR_LIMIT),
+        transactions: statement.transactions.slice(0, PREVIEW_LIMIT)
+    };
+}
+
+/**
+ * Import a statement: new transactions are saved (and categorized like synced
+ * ones); duplicates are skipped, possible duplicates too unless asked for
+ * @param {string} content - File content
+ * @param {Object} options - { filename, mapping, profileId, accountName, includePossibleDuplicates }
+ * @returns {Object} { imported, skipped, possibleDuplicates, errors, total, accounts }
+ */
+export function importStatement(content, options = {}) {
+    const statement = readStatement(content, options);
+    if (statement.mappingError) {
+        throw new Error(`Invalid statement file: ${statement.mappingError}`);
+    }
+
+    markDuplicates(statement.transactions);
+
+    const toImport = statement.transactions.filter(tx =>
+        tx.status === 'new' || (tx.status === 'possible_duplicate' && options.includePossibleDuplicates));
+
+    // A category column only counts when it names an existing category;
+    // anything else is categorized by rules and mappings
+    const categories = new Map(database.getCategories().map(category => [category.name.toLowerCase(), category.name]));
+
+    const imported = database.saveTransactions(toImport.map(tx => {
+        const category = tx.category ? categories.get(tx.category.toLowerCase()) : null;
+        return {
+            transaction_id: randomUUID(),
+            date: tx.date,
+            name: tx.description,
+            merchant_name: tx.merchant_name,
+            account_name: tx.account_name,
+            amount: tx.amount,
+            category: category || undefined,
+            confidence: category ? 95 : 0,
+            pending: false,
+            notes: tx.notes,
+            import_ref: tx.import_ref
+        };
+    }));
+
+    if (statement.profile) {
+        database.touchImportProfile(statement.profile.id);
+    }
+
+    const counts = countByStatus(statement.transactions);
+    return {
+        imported,
+        skipped: statement.transactions.length - toImport.length,
+        possibleDuplicates: counts.possibleDuplicateCount,
+        errors: statement.rowErrors.length,
+        total: statement.transactions.length,
+        accounts: statement.accounts
+    };
+}
@@ -0,0 +1,72 @@
+// ============================================================================
+// MERCHANT NAME NORMALIZATION
+// ============================================================================
+
+/**
+ * Card processors that prefix the merchant's own name ("SQ *BLUE BOTTLE",
+ * "TST* JOE'S PIZZA", "PAYPAL *SPOTIFY")
+ */
+const PROCESSOR_PREFIX = /^(sq|tst|sp|pp|paypal|pypl|ckc)\s*\*\s*/;
+
+// Common bank abbreviations of merchant names
+const ABBREVIATIONS = {
+  amzn: 'amazon',
+  wm: 'walmart',
+  wal: 'walmart'
+};
+
+// Trailing words that don't tell merchants apart ("AMZN Mktp US", "Acme Inc")
+const TRAILING_NOISE = new Set(['inc', 'llc', 'ltd', 'corp', 'co', 'us', 'usa', 'mktp', 'mktplace', 'marketplace']);
+
+/**
+ * Reduce a merchant name or bank description to the key its aliases share
+ * "AMZN Mktp US*2K3" and "Amazon.com" both become "amazon". Store numbers,
+ * order codes after '*', web domains and processor prefixes are dropped.
+ * @param {string} text - Merchant name or description
+ * @returns {string} Normalized name ('' when nothing is left)
+ */
+export function normalizeMerchantName(text) {
+  let name = String(text || '').toLowerCase().trim();
+
+  name = name.replace(PROCESSOR_PREFIX, '');
+
+  // Whatever follows '*' is an order or store code, unless it's all there is
+  const starIndex = name.indexOf('*');
+  if (starIndex > 0) {
+    name = name.slice(0, starIndex);
+  }
+
+  name = name
+    .replace(/\.(com|net|org|co|io)\b/g, ' ')
+    .replace(/#\s*\d+/g, ' ')
+    .replace(/[^a-z0-9&' ]/g, ' ');
+
+  const words = name.split(/\s+/)
+    .filter(word => word && !/\d/.test(word))
+    .map(word => ABBREVIATIONS[word] || word);
+
+  while (words.length > 1 && TRAILING_NOISE.has(words[words.length - 1])) {
+    words.pop();
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Name a newly found merchant: the bank's merchant name when it has one,
+ * otherwise the normalized description in title case
+ * @param {string} merchantName - Merchant name from the bank (may be empty)
+ * @param {string} description - Transaction description
+ */
+export function getMerchantDisplayName(merchantName, description) {
+  if (merchantName && merchantName.trim()) {
+    return merchantName.trim();
+  }
+
+  const normalized = normalizeMerchantName(description);
+  if (!normalized) {
+    return String(description || '').trim();
+  }
+
+  return normalized.replace(/(^|\s)([a-z])/g, (match, space, letter) => space + letter.toUpperCase());
+}
@@ -0,0 +1,392 @@
+import { addColumnIfMissing, backfillCategoryId } from './helpers.js';
+
+/**
+ * Baseline schema
+ *
+ * Everything the app created before versioned migrations existed. Written to be
+ * idempotent so it brings databases from any earlier version up to the same
+ * schema a fresh install gets, then records itself as applied.
+ */
+
+export const name = 'baseline';
+
+export function up(db) {
+  db.exec(`
+    -- Plaid Items (linked institutions)
+    CREATE TABLE IF NOT EXISTS plaid_items (
+      item_id TEXT PRIMARY KEY,
+      access_token TEXT NOT NULL,
+      institution_id TEXT NOT NULL,
+      institution_name TEXT NOT NULL,
+      last_synced TEXT
+    );
+
+    -- Accounts
+    CREATE TABLE IF NOT EXISTS accounts (
+      account_id TEXT PRIMARY KEY,
+      item_id TEXT NOT NULL,
+      institution_name TEXT NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      subtype TEXT,
+      mask TEXT,
+      current_balance REAL DEFAULT 0,
+      available_balance REAL DEFAULT 0,
+      updated_at TEXT NOT NULL,
+      FOREIGN KEY (item_id) REFERENCES plaid_items(item_id) ON DELETE CASCADE
+    );
+
+    -- Transactions
+    CREATE TABLE IF NOT EXISTS transactions (
+      transaction_id TEXT PRIMARY KEY,
+      date TEXT NOT NULL,
+      description TEXT NOT NULL,
+      merchant_name TEXT,
+      account_name TEXT NOT NULL,
+      amount REAL NOT NULL,
+      category TEXT,
+      confidence INTEGER DEFAULT 0,
+      verified TEXT DEFAULT 'No',
+      pending TEXT DEFAULT 'No',
+      payment_channel TEXT,
+      notes TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    -- Categories
+    CREATE TABLE IF NOT EXISTS categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      parent_category TEXT,
+      icon TEXT DEFAULT '📁',
+      color TEXT DEFAULT '#6B7280'
+    );
+
+    -- Plaid Category Mappings
+    CREATE TABLE IF NOT EXISTS plaid_category_mappings (
+      plaid_category TEXT PRIMARY KEY,
+      user_category TEXT NOT NULL,
+      auto_created TEXT DEFAULT 'No'
+    );
+
+    -- Merchant Mappings
+    CREATE TABLE IF NOT EXISTS merchant_mappings (
+      merchant_name TEXT PRIMARY KEY COLLATE NOCASE,
+      category TEXT NOT NULL,
+      match_count INTEGER DEFAULT 1,
+      last_used TEXT NOT NULL
+    );
+
+    -- Category Rules
+    CREATE TABLE IF NOT EXISTS category_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      pattern TEXT NOT NULL,
+      category TEXT NOT NULL,
+      enabled TEXT DEFAULT 'Yes'
+    );
+
+    -- Config (key-value store)
+    CREATE TABLE IF NOT EXISTS config (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+
+    -- Amazon Orders
+    CREATE TABLE IF NOT EXISTS amazon_orders (
+      order_id TEXT PRIMARY KEY,
+      order_date TEXT NOT NULL,
+      total_amount REAL NOT NULL,
+      subtotal REAL,
+      tax REAL,
+      shipping REAL,
+      payment_method TEXT,
+      shipping_address TEXT,
+      order_status TEXT,
+      matched_transaction_id TEXT,
+      match_confidence INTEGER DEFAULT 0,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      FOREIGN KEY (matched_transaction_id) REFERENCES transactions(transaction_id) ON DELETE SET NULL
+    );
+
+    -- Amazon Items (individual products within orders)
+    CREATE TABLE IF NOT EXISTS amazon_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      asin TEXT,
+      title TEXT NOT NULL,
+      category TEXT,
+      price REAL NOT NULL,
+      quantity INTEGER DEFAULT 1,
+      seller TEXT,
+      product_url TEXT,
+      image_url TEXT,
+      return_status TEXT,
+      return_date TEXT,
+      refund_amount REAL,
+      FOREIGN KEY (order_id) REFERENCES amazon_orders(order_id) ON DELETE CASCADE
+    );
+
+    -- Transaction Splits
+    CREATE TABLE IF NOT EXISTS transaction_splits (
+      id TEXT PRIMARY KEY,
+      parent_transaction_id TEXT NOT NULL,
+      split_index INTEGER NOT NULL,
+      amount REAL NOT NULL,
+      category TEXT,
+      description TEXT,
+      reasoning TEXT,
+      source TEXT DEFAULT 'manual',
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (parent_transaction_id) REFERENCES transactions(transaction_id) ON DELETE CASCADE
+    );
+
+    -- External Category Mappings (Copilot, Mint, etc.)
+    CREATE TABLE IF NOT EXISTS external_category_mappings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      external_category TEXT NOT NULL,
+      source TEXT NOT NULL,
+      user_category TEXT,
+      confidence INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'pending',
+      reviewed_at TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE(external_category, source)
+    );
+
+    -- Amazon Item Rules (learned categorization patterns)
+    CREATE TABLE IF NOT EXISTS amazon_item_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      pattern TEXT NOT NULL,
+      category TEXT NOT NULL,
+      enabled TEXT DEFAULT 'Yes',
+      match_type TEXT DEFAULT 'partial',
+      rule_source TEXT DEFAULT 'user',
+      asin TEXT,
+      amazon_category TEXT,
+      usage_count INTEGER DEFAULT 0,
+      correct_count INTEGER DEFAULT 0,
+      incorrect_count INTEGER DEFAULT 0,
+      accuracy_rate REAL DEFAULT 1.0,
+      last_used TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    -- AI Categorizations (track all categorization attempts with detailed metadata)
+    CREATE TABLE IF NOT EXISTS ai_categorizations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      item_id TEXT NOT NULL,
+      item_type TEXT NOT NULL,
+      category TEXT NOT NULL,
+      confidence REAL NOT NULL,
+      method TEXT NOT NULL,
+      alternatives TEXT,
+      reasoning TEXT,
+      user_confirmed TEXT DEFAULT 'No',
+      created_at TEXT NOT NULL,
+      UNIQUE(item_id, item_type, created_at)
+    );
+
+    -- AI Feedback (track user corrections for learning)
+    CREATE TABLE IF NOT EXISTS ai_feedback (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      item_id TEXT NOT NULL,
+      item_type TEXT NOT NULL,
+      suggested_category TEXT NOT NULL,
+      actual_category TEXT NOT NULL,
+      suggestion_method TEXT,
+      suggestion_confidence REAL,
+      processed TEXT DEFAULT 'No',
+      created_at TEXT NOT NULL
+    );
+
+    -- AI Training History (track retraining runs)
+    CREATE TABLE IF NOT EXISTS ai_training_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT NOT NULL,
+      feedback_count INTEGER NOT NULL,
+      rules_generated INTEGER DEFAULT 0,
+      embeddings_updated INTEGER DEFAULT 0,
+      duration_ms INTEGER,
+      trigger_type TEXT,
+      notes TEXT
+    );
+
+    -- AI Embeddings (store embeddings for semantic similarity search)
+    CREATE TABLE IF NOT EXISTS ai_embeddings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      item_id TEXT NOT NULL,
+      item_type TEXT NOT NULL,
+      embedding_text TEXT NOT NULL,
+      embedding_vector TEXT NOT NULL,
+      category TEXT NOT NULL,
+      user_confirmed TEXT DEFAULT 'No',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE(item_id, item_type)
+    );
+
+    -- AI Metrics (track categorization performance over time)
+    CREATE TABLE IF NOT EXISTS ai_metrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date TEXT NOT NULL,
+      item_type TEXT NOT NULL,
+      total_categorizations INTEGER DEFAULT 0,
+      correct_categorizations INTEGER DEFAULT 0,
+      accuracy_rate REAL DEFAULT 0.0,
+      avg_confidence REAL DEFAULT 0.0,
+      method_breakdown TEXT,
+      confidence_breakdown TEXT,
+      UNIQUE(date, item_type)
+    );
+  `);
+
+  // Columns that older versions added after the tables were first created
+  addColumnIfMissing(db, 'categories', 'icon', "TEXT DEFAULT '📁'");
+  addColumnIfMissing(db, 'categories', 'color', "TEXT DEFAULT '#6B7280'");
+  addColumnIfMissing(db, 'categories', 'description', 'TEXT');
+  addColumnIfMissing(db, 'categories', 'keywords', 'TEXT'); // JSON array
+  addColumnIfMissing(db, 'categories', 'examples', 'TEXT');
+  addColumnIfMissing(db, 'categories', 'use_for_amazon', 'INTEGER DEFAULT 1');
+
+  // Enhanced Plaid fields, location, metadata and categorization tracking
+  addColumnIfMissing(db, 'transactions', 'plaid_primary_category', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'plaid_detailed_category', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'plaid_confidence_level', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'location_city', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'location_region', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'location_address', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'transaction_type', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'authorized_datetime', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'merchant_entity_id', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'categorization_reasoning', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'external_category', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'category_source', 'TEXT');
+
+  addColumnIfMissing(db, 'amazon_orders', 'account_name', "TEXT DEFAULT 'Primary'");
+  addColumnIfMissing(db, 'amazon_orders', 'match_verified', "TEXT DEFAULT 'No'");
+
+  // usage_count replaced match_count; keep the old counts
+  if (addColumnIfMissing(db, 'merchant_mappings', 'usage_count', 'INTEGER DEFAULT 1')) {
+    db.exec('UPDATE merchant_mappings SET usage_count = match_count WHERE match_count IS NOT NULL');
+  }
+  addColumnIfMissing(db, 'merchant_mappings', 'accuracy_rate', 'REAL DEFAULT 1.0');
+  addColumnIfMissing(db, 'merchant_mappings', 'correct_count', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'merchant_mappings', 'incorrect_count', 'INTEGER DEFAULT 0');
+  if (addColumnIfMissing(db, 'merchant_mappings', 'updated_at', 'TEXT')) {
+    db.exec("UPDATE merchant_mappings SET updated_at = datetime('now') WHERE updated_at IS NULL");
+  }
+
+  // Fields from the full Amazon order history CSV
+  addColumnIfMissing(db, 'amazon_orders', 'website', 'TEXT');
+  addColumnIfMissing(db, 'amazon_orders', 'purchase_order_number', 'TEXT');
+  addColumnIfMissing(db, 'amazon_orders', 'currency', 'TEXT');
+  addColumnIfMissing(db, 'amazon_orders', 'total_discounts', 'REAL');
+  addColumnIfMissing(db, 'amazon_orders', 'billing_address', 'TEXT');
+  addColumnIfMissing(db, 'amazon_orders', 'ship_date', 'TEXT');
+  addColumnIfMissing(db, 'amazon_orders', 'shipping_option', 'TEXT');
+
+  addColumnIfMissing(db, 'amazon_items', 'product_condition', 'TEXT');
+  addColumnIfMissing(db, 'amazon_items', 'unit_price_tax', 'REAL');
+  addColumnIfMissing(db, 'amazon_items', 'shipment_item_subtotal', 'REAL');
+  addColumnIfMissing(db, 'amazon_items', 'shipment_item_subtotal_tax', 'REAL');
+  addColumnIfMissing(db, 'amazon_items', 'shipment_status', 'TEXT');
+  addColumnIfMissing(db, 'amazon_items', 'ship_date', 'TEXT');
+  addColumnIfMissing(db, 'amazon_items', 'carrier_tracking', 'TEXT');
+  addColumnIfMissing(db, 'amazon_items', 'gift_message', 'TEXT');
+  addColumnIfMissing(db, 'amazon_items', 'gift_sender_name', 'TEXT');
+  addColumnIfMissing(db, 'amazon_items', 'gift_recipient_contact', 'TEXT');
+  addColumnIfMissing(db, 'amazon_items', 'item_serial_number', 'TEXT');
+
+  // User categorization of Amazon items
+  addColumnIfMissing(db, 'amazon_items', 'user_category', 'TEXT');
+  addColumnIfMissing(db, 'amazon_items', 'confidence', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'amazon_items', 'verified', "TEXT DEFAULT 'No'");
+  addColumnIfMissing(db, 'amazon_items', 'categorization_reasoning', 'TEXT');
+
+  addColumnIfMissing(db, 'category_rules', 'match_type', "TEXT DEFAULT 'regex'");
+  addColumnIfMissing(db, 'category_rules', 'user_created', "TEXT DEFAULT 'No'");
+  addColumnIfMissing(db, 'category_rules', 'confidence_override', 'REAL');
+  addColumnIfMissing(db, 'category_rules', 'auto_generated', "TEXT DEFAULT 'No'");
+  addColumnIfMissing(db, 'category_rules', 'rule_source', "TEXT DEFAULT 'user'");
+  if (addColumnIfMissing(db, 'category_rules', 'created_at', 'TEXT')) {
+    db.exec("UPDATE category_rules SET created_at = datetime('now') WHERE created_at IS NULL");
+  }
+  if (addColumnIfMissing(db, 'category_rules', 'updated_at', 'TEXT')) {
+    db.exec("UPDATE category_rules SET updated_at = datetime('now') WHERE updated_at IS NULL");
+  }
+
+  // Category normalization: every category name column gets a category_id
+  // alongside it, filled in from the name when the column is first added
+  const categoryReferences = [
+    ['transactions', 'category', 'category_id'],
+    ['amazon_items', 'user_category', 'category_id'],
+    ['transaction_splits', 'category', 'category_id'],
+    ['merchant_mappings', 'category', 'category_id'],
+    ['category_rules', 'category', 'category_id'],
+    ['plaid_category_mappings', 'user_category', 'category_id'],
+    ['external_category_mappings', 'user_category', 'category_id'],
+    ['amazon_item_rules', 'category', 'category_id'],
+    ['categories', 'parent_category', 'parent_category_id'],
+    ['ai_categorizations', 'category', 'category_id'],
+    ['ai_embeddings', 'category', 'category_id'],
+    ['ai_feedback', 'suggested_category', 'suggested_category_id'],
+    ['ai_feedback', 'actual_category', 'actual_category_id']
+  ];
+
+  for (const [table, nameColumn, idColumn] of categoryReferences) {
+    if (addColumnIfMissing(db, table, idColumn, 'INTEGER REFERENCES categories(id)')) {
+      const migrated = backfillCategoryId(db, table, nameColumn, idColumn);
+      if (migrated > 0) {
+        console.log(`  ✓ Migrated ${migrated} ${table}.${nameColumn} values to ${idColumn}`);
+      }
+    }
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(date);
+    CREATE INDEX IF NOT EXISTS idx_transactions_category ON transactions(category);
+    CREATE INDEX IF NOT EXISTS idx_transactions_account ON transactions(account_name);
+    CREATE INDEX IF NOT EXISTS idx_transactions_id ON transactions(transaction_id);
+    -- Composite indexes for common query patterns (date range + filters)
+    CREATE INDEX IF NOT EXISTS idx_transactions_date_category ON transactions(date, category);
+    CREATE INDEX IF NOT EXISTS idx_transactions_date_account ON transactions(date, account_name);
+    CREATE INDEX IF NOT EXISTS idx_accounts_item_id ON accounts(item_id);
+    CREATE INDEX IF NOT EXISTS idx_accounts_name ON accounts(name);
+    CREATE INDEX IF NOT EXISTS idx_amazon_orders_date ON amazon_orders(order_date);
+    CREATE INDEX IF NOT EXISTS idx_amazon_orders_matched ON amazon_orders(matched_transaction_id);
+    CREATE INDEX IF NOT EXISTS idx_amazon_items_order ON amazon_items(order_id);
+    CREATE INDEX IF NOT EXISTS idx_amazon_items_category ON amazon_items(category);
+    CREATE INDEX IF NOT EXISTS idx_amazon_items_user_category ON amazon_items(user_category);
+    CREATE INDEX IF NOT EXISTS idx_transactions_merchant ON transactions(merchant_name);
+    CREATE INDEX IF NOT EXISTS idx_amazon_items_asin ON amazon_items(asin);
+    CREATE INDEX IF NOT EXISTS idx_transactions_confidence ON transactions(confidence);
+    CREATE INDEX IF NOT EXISTS idx_transactions_date_desc ON transactions(date DESC);
+    CREATE INDEX IF NOT EXISTS idx_accounts_name_lookup ON accounts(name);
+    CREATE INDEX IF NOT EXISTS idx_transaction_splits_parent ON transaction_splits(parent_transaction_id);
+    CREATE INDEX IF NOT EXISTS idx_external_mappings_source ON external_category_mappings(source);
+    CREATE INDEX IF NOT EXISTS idx_external_mappings_status ON external_category_mappings(status);
+    CREATE INDEX IF NOT EXISTS idx_amazon_item_rules_category ON amazon_item_rules(category);
+    CREATE INDEX IF NOT EXISTS idx_amazon_item_rules_enabled ON amazon_item_rules(enabled);
+    CREATE INDEX IF NOT EXISTS idx_amazon_item_rules_asin ON amazon_item_rules(asin);
+    CREATE INDEX IF NOT EXISTS idx_ai_categorizations_item ON ai_categorizations(item_id, item_type);
+    CREATE INDEX IF NOT EXISTS idx_ai_categorizations_method ON ai_categorizations(method);
+    CREATE INDEX IF NOT EXISTS idx_ai_categorizations_confidence ON ai_categorizations(confidence);
+    CREATE INDEX IF NOT EXISTS idx_ai_feedback_item ON ai_feedback(item_id, item_type);
+    CREATE INDEX IF NOT EXISTS idx_ai_feedback_processed ON ai_feedback(processed);
+    CREATE INDEX IF NOT EXISTS idx_ai_feedback_created ON ai_feedback(created_at);
+    CREATE INDEX IF NOT EXISTS idx_ai_training_timestamp ON ai_training_history(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_ai_embeddings_item ON ai_embeddings(item_id, item_type);
+    CREATE INDEX IF NOT EXISTS idx_ai_embeddings_category ON ai_embeddings(category);
+    CREATE INDEX IF NOT EXISTS idx_ai_embeddings_confirmed ON ai_embeddings(user_confirmed);
+    CREATE INDEX IF NOT EXISTS idx_ai_metrics_date ON ai_metrics(date);
+  `);
+}
+
+export function down() {
+  throw new Error('The baseline migration cannot be rolled back');
+}
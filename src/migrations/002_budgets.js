@@ -0,0 +1,26 @@
+/**
+ * Monthly category budgets (one row per category per month, month stored as YYYY-MM)
+ */
+
+export const name = 'budgets';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS budgets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+      month TEXT NOT NULL,
+      amount REAL NOT NULL,
+      rollover TEXT DEFAULT 'No',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE(category_id, month)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_budgets_month ON budgets(month);
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS budgets');
+}
@@ -0,0 +1,51 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+/**
+ * Recurring series (detected subscriptions, bills and paychecks), the link from
+ * transactions to their series, and Copilot's own recurring flag
+ */
+
+export const name = 'recurring_series';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS recurring_series (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      series_key TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      merchant_name TEXT,
+      merchant_entity_id TEXT,
+      account_name TEXT,
+      category_id INTEGER REFERENCES categories(id),
+      cadence TEXT NOT NULL,
+      interval_days INTEGER NOT NULL,
+      expected_amount REAL NOT NULL,
+      previous_amount REAL,
+      price_increase TEXT DEFAULT 'No',
+      occurrence_count INTEGER DEFAULT 0,
+      first_date TEXT NOT NULL,
+      last_date TEXT NOT NULL,
+      next_expected_date TEXT NOT NULL,
+      status TEXT DEFAULT 'active',
+      source TEXT DEFAULT 'detected',
+      confidence INTEGER DEFAULT 0,
+      dismissed TEXT DEFAULT 'No',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_recurring_series_status ON recurring_series(status);
+    CREATE INDEX IF NOT EXISTS idx_recurring_series_next ON recurring_series(next_expected_date);
+  `);
+
+  addColumnIfMissing(db, 'transactions', 'recurring_series_id', 'INTEGER REFERENCES recurring_series(id)');
+  addColumnIfMissing(db, 'transactions', 'external_recurring', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_transactions_recurring_series ON transactions(recurring_series_id)');
+}
+
+export function down(db) {
+  db.exec('DROP INDEX IF EXISTS idx_transactions_recurring_series');
+  dropColumnIfExists(db, 'transactions', 'external_recurring');
+  dropColumnIfExists(db, 'transactions', 'recurring_series_id');
+  db.exec('DROP TABLE IF EXISTS recurring_series');
+}
@@ -0,0 +1,18 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+/**
+ * Cursor for /transactions/sync, stored per linked institution, and the pending
+ * transaction a posted transaction replaced
+ */
+
+export const name = 'transactions_sync_cursor';
+
+export function up(db) {
+  addColumnIfMissing(db, 'plaid_items', 'transactions_cursor', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'pending_transaction_id', 'TEXT');
+}
+
+export function down(db) {
+  dropColumnIfExists(db, 'transactions', 'pending_transaction_id');
+  dropColumnIfExists(db, 'plaid_items', 'transactions_cursor');
+}
@@ -0,0 +1,108 @@
+import { hasColumn, addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+/**
+ * Category cutover: category_id becomes the only link from a row to its
+ * category, and the old category name columns are dropped. Renaming or
+ * merging a category now touches a single categories row.
+ */
+
+export const name = 'category_id_cutover';
+
+/**
+ * Every column that used to hold a category name, with the id column that replaces it
+ */
+const CATEGORY_REFERENCES = [
+  ['transactions', 'category', 'category_id'],
+  ['transaction_splits', 'category', 'category_id'],
+  ['merchant_mappings', 'category', 'category_id'],
+  ['category_rules', 'category', 'category_id'],
+  ['plaid_category_mappings', 'user_category', 'category_id'],
+  ['external_category_mappings', 'user_category', 'category_id'],
+  ['amazon_items', 'user_category', 'category_id'],
+  ['amazon_item_rules', 'category', 'category_id'],
+  ['categories', 'parent_category', 'parent_category_id'],
+  ['ai_categorizations', 'category', 'category_id'],
+  ['ai_embeddings', 'category', 'category_id'],
+  ['ai_feedback', 'suggested_category', 'suggested_category_id'],
+  ['ai_feedback', 'actual_category', 'actual_category_id']
+];
+
+export function up(db) {
+  // Rows written with a name but no id still carry information the drop would lose
+  for (const [table, nameColumn, idColumn] of CATEGORY_REFERENCES) {
+    if (!hasColumn(db, table, nameColumn)) {
+      continue;
+    }
+
+    db.prepare(`
+      INSERT INTO categories (name)
+      SELECT DISTINCT trim(src.${nameColumn}) FROM ${table} src
+      WHERE src.${idColumn} IS NULL
+      AND src.${nameColumn} IS NOT NULL AND trim(src.${nameColumn}) != ''
+      AND NOT EXISTS (SELECT 1 FROM categories c WHERE c.name = trim(src.${nameColumn}))
+    `).run();
+
+    db.prepare(`
+      UPDATE ${table} AS src
+      SET ${idColumn} = (SELECT c.id FROM categories c WHERE c.name = trim(src.${nameColumn}))
+      WHERE src.${idColumn} IS NULL
+      AND src.${nameColumn} IS NOT NULL AND trim(src.${nameColumn}) != ''
+    `).run();
+  }
+
+  // A Plaid mapping without a target category does nothing
+  db.exec('DELETE FROM plaid_category_mappings WHERE category_id IS NULL');
+
+  db.exec(`
+    DROP INDEX IF EXISTS idx_transactions_category;
+    DROP INDEX IF EXISTS idx_transactions_date_category;
+    DROP INDEX IF EXISTS idx_amazon_items_user_category;
+    DROP INDEX IF EXISTS idx_amazon_item_rules_category;
+    DROP INDEX IF EXISTS idx_ai_embeddings_category;
+  `);
+
+  for (const [table, nameColumn] of CATEGORY_REFERENCES) {
+    dropColumnIfExists(db, table, nameColumn);
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_transactions_category_id ON transactions(category_id);
+    CREATE INDEX IF NOT EXISTS idx_transactions_date_category_id ON transactions(date, category_id);
+    CREATE INDEX IF NOT EXISTS idx_transaction_splits_category_id ON transaction_splits(category_id);
+    CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_category_id);
+    CREATE INDEX IF NOT EXISTS idx_amazon_items_category_id ON amazon_items(category_id);
+    CREATE INDEX IF NOT EXISTS idx_amazon_item_rules_category_id ON amazon_item_rules(category_id);
+    CREATE INDEX IF NOT EXISTS idx_ai_embeddings_category_id ON ai_embeddings(category_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_transactions_category_id;
+    DROP INDEX IF EXISTS idx_transactions_date_category_id;
+    DROP INDEX IF EXISTS idx_transaction_splits_category_id;
+    DROP INDEX IF EXISTS idx_categories_parent;
+    DROP INDEX IF EXISTS idx_amazon_items_category_id;
+    DROP INDEX IF EXISTS idx_amazon_item_rules_category_id;
+    DROP INDEX IF EXISTS idx_ai_embeddings_category_id;
+  `);
+
+  // The name columns come back nullable: SQLite can't add a NOT NULL column without a default
+  for (const [table, nameColumn, idColumn] of CATEGORY_REFERENCES) {
+    if (addColumnIfMissing(db, table, nameColumn, 'TEXT')) {
+      db.exec(`
+        UPDATE ${table} AS src
+        SET ${nameColumn} = (SELECT c.name FROM categories c WHERE c.id = src.${idColumn})
+        WHERE src.${idColumn} IS NOT NULL
+      `);
+    }
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_transactions_category ON transactions(category);
+    CREATE INDEX IF NOT EXISTS idx_transactions_date_category ON transactions(date, category);
+    CREATE INDEX IF NOT EXISTS idx_amazon_items_user_category ON amazon_items(user_category);
+    CREATE INDEX IF NOT EXISTS idx_amazon_item_rules_category ON amazon_item_rules(category);
+    CREATE INDEX IF NOT EXISTS idx_ai_embeddings_category ON ai_embeddings(category);
+  `);
+}
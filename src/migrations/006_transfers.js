@@ -0,0 +1,23 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+/**
+ * Transfer flags on transactions: whether a transaction is a move between the
+ * user's own accounts, the transaction on the other side of it, and whether the
+ * flag came from the matcher ('detected') or the user ('user')
+ */
+
+export const name = 'transfers';
+
+export function up(db) {
+  addColumnIfMissing(db, 'transactions', 'is_transfer', "TEXT DEFAULT 'No'");
+  addColumnIfMissing(db, 'transactions', 'transfer_pair_id', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'transfer_source', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_transactions_transfer ON transactions(is_transfer)');
+}
+
+export function down(db) {
+  db.exec('DROP INDEX IF EXISTS idx_transactions_transfer');
+  dropColumnIfExists(db, 'transactions', 'transfer_source');
+  dropColumnIfExists(db, 'transactions', 'transfer_pair_id');
+  dropColumnIfExists(db, 'transactions', 'is_transfer');
+}
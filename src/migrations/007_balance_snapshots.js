@@ -0,0 +1,44 @@
+/**
+ * Daily balance snapshots per account (one row per account per day, the last
+ * balance seen that day wins), classified as asset or liability when written
+ */
+
+export const name = 'balance_snapshots';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS balance_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id TEXT NOT NULL REFERENCES accounts(account_id) ON DELETE CASCADE,
+      date TEXT NOT NULL,
+      balance REAL NOT NULL,
+      available_balance REAL,
+      classification TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE(account_id, date)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_balance_snapshots_date ON balance_snapshots(date);
+  `);
+
+  // Start history from the balances we already have
+  db.exec(`
+    INSERT OR IGNORE INTO balance_snapshots (
+      account_id, date, balance, available_balance, classification, created_at, updated_at
+    )
+    SELECT
+      account_id,
+      date(updated_at),
+      COALESCE(current_balance, 0),
+      available_balance,
+      CASE WHEN type IN ('credit', 'loan') THEN 'liability' ELSE 'asset' END,
+      datetime('now'),
+      datetime('now')
+    FROM accounts
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS balance_snapshots');
+}
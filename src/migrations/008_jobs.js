@@ -0,0 +1,50 @@
+/**
+ * Persistent background job queue. Jobs survive restarts: a job that was
+ * running when the process stopped goes back to pending with its checkpoint,
+ * and incremental UI updates wait in job_updates until they are polled.
+ */
+
+export const name = 'jobs';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      payload TEXT,
+      checkpoint TEXT,
+      result TEXT,
+      error TEXT,
+      total INTEGER NOT NULL DEFAULT 0,
+      processed INTEGER NOT NULL DEFAULT 0,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      run_after TEXT NOT NULL,
+      cancel_requested TEXT NOT NULL DEFAULT 'No',
+      created_at TEXT NOT NULL,
+      started_at TEXT,
+      completed_at TEXT,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_jobs_status_run_after ON jobs(status, run_after);
+    CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at);
+
+    CREATE TABLE IF NOT EXISTS job_updates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+      data TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_job_updates_job ON job_updates(job_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS job_updates;
+    DROP TABLE IF EXISTS jobs;
+  `);
+}
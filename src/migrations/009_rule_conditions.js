@@ -0,0 +1,39 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+/**
+ * Category rules become condition trees (JSON) evaluated in priority order.
+ * Existing pattern rules are converted to the equivalent single text condition;
+ * pattern and match_type stay as the readable form of simple rules.
+ */
+
+export const name = 'rule_conditions';
+
+const PATTERN_OPS = { exact: 'equals', partial: 'contains', regex: 'matches' };
+
+export function up(db) {
+  addColumnIfMissing(db, 'category_rules', 'conditions', 'TEXT');
+  addColumnIfMissing(db, 'category_rules', 'priority', 'INTEGER NOT NULL DEFAULT 0');
+
+  const rules = db.prepare('SELECT id, pattern, match_type FROM category_rules WHERE conditions IS NULL').all();
+  const update = db.prepare('UPDATE category_rules SET conditions = ? WHERE id = ?');
+
+  for (const rule of rules) {
+    const op = PATTERN_OPS[rule.match_type] || 'matches';
+    const conditions = { all: [{ field: 'text', op, value: rule.pattern }] };
+    update.run(JSON.stringify(conditions), rule.id);
+  }
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_category_rules_priority ON category_rules(enabled, priority)');
+}
+
+export function down(db) {
+  // Rules that only exist as condition trees can't be expressed as a pattern
+  db.exec(`
+    UPDATE category_rules SET enabled = 'No', match_type = 'partial'
+    WHERE match_type = 'conditions'
+  `);
+
+  db.exec('DROP INDEX IF EXISTS idx_category_rules_priority');
+  dropColumnIfExists(db, 'category_rules', 'priority');
+  dropColumnIfExists(db, 'category_rules', 'conditions');
+}
@@ -0,0 +1,48 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+/**
+ * Rule actions: each category rule carries a JSON list of actions that run on
+ * the transactions it matches (display name, tags, note, split template,
+ * transfer flag, report exclusion). Transactions get the columns those actions
+ * write, and rule_applications records which rule changed what.
+ * A rule-made transfer has transfer_source 'rule', which the matcher leaves alone.
+ */
+
+export const name = 'rule_actions';
+
+export function up(db) {
+  addColumnIfMissing(db, 'category_rules', 'actions', 'TEXT');
+
+  addColumnIfMissing(db, 'transactions', 'display_name', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'tags', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'excluded_from_reports', "TEXT DEFAULT 'No'");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rule_applications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id INTEGER REFERENCES category_rules(id) ON DELETE SET NULL,
+      rule_name TEXT NOT NULL,
+      transaction_id TEXT NOT NULL REFERENCES transactions(transaction_id) ON DELETE CASCADE,
+      action TEXT NOT NULL,
+      old_value TEXT,
+      new_value TEXT,
+      trigger TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rule_applications_rule ON rule_applications(rule_id);
+    CREATE INDEX IF NOT EXISTS idx_rule_applications_transaction ON rule_applications(transaction_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS rule_applications;
+    UPDATE transactions SET is_transfer = 'No', transfer_source = NULL WHERE transfer_source = 'rule';
+  `);
+
+  dropColumnIfExists(db, 'transactions', 'excluded_from_reports');
+  dropColumnIfExists(db, 'transactions', 'tags');
+  dropColumnIfExists(db, 'transactions', 'display_name');
+  dropColumnIfExists(db, 'category_rules', 'actions');
+}
@@ -0,0 +1,119 @@
+/**
+ * Full-text search indexes (FTS5), kept current by triggers.
+ *
+ * transactions_fts has one row per transaction (same rowid) with its
+ * description, merchant, display name, notes, location and the titles of the
+ * Amazon items in its matched order. amazon_items_fts has one row per Amazon
+ * item (same rowid as amazon_items.id) with its title, seller and ASIN.
+ */
+
+export const name = 'search';
+
+const TOKENIZER = "tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'";
+
+// Index row of a transaction: its text fields plus the titles of the Amazon
+// items in the order matched to it
+const TRANSACTION_ROW_SQL = `
+  INSERT INTO transactions_fts (rowid, description, merchant_name, display_name, notes, location, amazon_items)
+  SELECT
+    t.rowid,
+    t.description,
+    t.merchant_name,
+    t.display_name,
+    t.notes,
+    trim(coalesce(t.location_address, '') || ' ' || coalesce(t.location_city, '') || ' ' || coalesce(t.location_region, '')),
+    (
+      SELECT group_concat(ai.title, ' | ')
+      FROM amazon_orders ao
+      JOIN amazon_items ai ON ai.order_id = ao.order_id
+      WHERE ao.matched_transaction_id = t.transaction_id
+    )
+  FROM transactions t
+`;
+
+// Rebuild the index row of the transaction with the given ID (an SQL expression)
+function refreshTransaction(idExpression) {
+  return `
+    DELETE FROM transactions_fts
+    WHERE rowid = (SELECT rowid FROM transactions WHERE transaction_id = ${idExpression});
+    ${TRANSACTION_ROW_SQL} WHERE t.transaction_id = ${idExpression};
+  `;
+}
+
+export function up(db) {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS transactions_fts USING fts5(
+      description, merchant_name, display_name, notes, location, amazon_items,
+      ${TOKENIZER}
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS amazon_items_fts USING fts5(
+      title, seller, asin,
+      ${TOKENIZER}
+    );
+
+    -- Transactions
+    CREATE TRIGGER IF NOT EXISTS transactions_fts_insert AFTER INSERT ON transactions BEGIN
+      ${refreshTransaction('new.transaction_id')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS transactions_fts_update
+    AFTER UPDATE OF description, merchant_name, display_name, notes, location_address, location_city, location_region
+    ON transactions BEGIN
+      ${refreshTransaction('new.transaction_id')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS transactions_fts_delete AFTER DELETE ON transactions BEGIN
+      DELETE FROM transactions_fts WHERE rowid = old.rowid;
+    END;
+
+    -- Amazon orders matched to (or unmatched from) a transaction
+    CREATE TRIGGER IF NOT EXISTS amazon_orders_fts_match AFTER UPDATE OF matched_transaction_id ON amazon_orders BEGIN
+      ${refreshTransaction('old.matched_transaction_id')}
+      ${refreshTransaction('new.matched_transaction_id')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS amazon_orders_fts_delete AFTER DELETE ON amazon_orders BEGIN
+      ${refreshTransaction('old.matched_transaction_id')}
+    END;
+
+    -- Amazon items
+    CREATE TRIGGER IF NOT EXISTS amazon_items_fts_insert AFTER INSERT ON amazon_items BEGIN
+      INSERT INTO amazon_items_fts (rowid, title, seller, asin) VALUES (new.id, new.title, new.seller, new.asin);
+      ${refreshTransaction('(SELECT matched_transaction_id FROM amazon_orders WHERE order_id = new.order_id)')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS amazon_items_fts_update AFTER UPDATE OF title, seller, asin ON amazon_items BEGIN
+      DELETE FROM amazon_items_fts WHERE rowid = old.id;
+      INSERT INTO amazon_items_fts (rowid, title, seller, asin) VALUES (new.id, new.title, new.seller, new.asin);
+      ${refreshTransaction('(SELECT matched_transaction_id FROM amazon_orders WHERE order_id = new.order_id)')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS amazon_items_fts_delete AFTER DELETE ON amazon_items BEGIN
+      DELETE FROM amazon_items_fts WHERE rowid = old.id;
+      ${refreshTransaction('(SELECT matched_transaction_id FROM amazon_orders WHERE order_id = old.order_id)')}
+    END;
+  `);
+
+  // Index what is already there
+  db.exec(`
+    ${TRANSACTION_ROW_SQL};
+    INSERT INTO amazon_items_fts (rowid, title, seller, asin)
+    SELECT id, title, seller, asin FROM amazon_items;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS amazon_items_fts_delete;
+    DROP TRIGGER IF EXISTS amazon_items_fts_update;
+    DROP TRIGGER IF EXISTS amazon_items_fts_insert;
+    DROP TRIGGER IF EXISTS amazon_orders_fts_delete;
+    DROP TRIGGER IF EXISTS amazon_orders_fts_match;
+    DROP TRIGGER IF EXISTS transactions_fts_delete;
+    DROP TRIGGER IF EXISTS transactions_fts_update;
+    DROP TRIGGER IF EXISTS transactions_fts_insert;
+    DROP TABLE IF EXISTS amazon_items_fts;
+    DROP TABLE IF EXISTS transactions_fts;
+  `);
+}
@@ -0,0 +1,36 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+/**
+ * Statement imports (CSV, OFX/QFX): saved column-mapping profiles per
+ * institution, and transactions.import_ref - the bank's own ID for an imported
+ * transaction (OFX FITID or a mapped reference column) so re-importing an
+ * overlapping statement skips what is already there.
+ */
+
+export const name = 'import_profiles';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS import_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      mapping TEXT NOT NULL,
+      headers TEXT,
+      last_used_at TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `);
+
+  addColumnIfMissing(db, 'transactions', 'import_ref', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_transactions_import_ref ON transactions(import_ref)');
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_transactions_import_ref;
+    DROP TABLE IF EXISTS import_profiles;
+  `);
+
+  dropColumnIfExists(db, 'transactions', 'import_ref');
+}
@@ -0,0 +1,57 @@
+/**
+ * Manual accounts: accounts the user maintains by hand (cash, retirement,
+ * property, loans) alongside the ones Plaid syncs. They have no Plaid item, so
+ * accounts.item_id becomes nullable, and is_manual marks them. Their balance
+ * history lives in balance_snapshots like any other account.
+ *
+ * SQLite can't drop NOT NULL in place, so the table is rebuilt. Dropping the
+ * old table cascades to balance_snapshots, which is copied aside and restored
+ * (cleared first in case foreign keys weren't enforced and nothing cascaded).
+ */
+
+export const name = 'manual_accounts';
+
+function rebuildAccounts(db, itemIdDefinition, extraColumns, selectColumns) {
+  db.exec(`
+    CREATE TEMP TABLE balance_snapshots_backup AS SELECT * FROM balance_snapshots;
+
+    CREATE TABLE accounts_rebuilt (
+      account_id TEXT PRIMARY KEY,
+      item_id ${itemIdDefinition},
+      institution_name TEXT NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      subtype TEXT,
+      mask TEXT,
+      current_balance REAL DEFAULT 0,
+      available_balance REAL DEFAULT 0,
+      updated_at TEXT NOT NULL,${extraColumns}
+      FOREIGN KEY (item_id) REFERENCES plaid_items(item_id) ON DELETE CASCADE
+    );
+
+    INSERT INTO accounts_rebuilt SELECT ${selectColumns} FROM accounts;
+
+    DROP TABLE accounts;
+    ALTER TABLE accounts_rebuilt RENAME TO accounts;
+
+    DELETE FROM balance_snapshots;
+    INSERT INTO balance_snapshots SELECT * FROM balance_snapshots_backup
+    WHERE account_id IN (SELECT account_id FROM accounts);
+    DROP TABLE balance_snapshots_backup;
+  `);
+}
+
+const BASE_COLUMNS = `
+  account_id, item_id, institution_name, name, type, subtype, mask,
+  current_balance, available_balance, updated_at
+`;
+
+export function up(db) {
+  rebuildAccounts(db, 'TEXT', "\n      is_manual TEXT NOT NULL DEFAULT 'No',", `${BASE_COLUMNS}, 'No'`);
+}
+
+export function down(db) {
+  // Manual accounts can't exist without a Plaid item; their transactions stay
+  db.exec("DELETE FROM accounts WHERE is_manual = 'Yes'");
+  rebuildAccounts(db, 'TEXT NOT NULL', '', BASE_COLUMNS);
+}
@@ -0,0 +1,69 @@
+import { hasColumn, addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+/**
+ * Tags: free-form labels ("vacation-2026", "reimbursable", "tax-deductible")
+ * that cut across categories. A transaction can carry any number of tags, so
+ * they live in a tags table with a transaction_tags join table instead of the
+ * JSON list that rule actions wrote to transactions.tags. source records who
+ * added a tag (user, rule, copilot).
+ */
+
+export const name = 'tags';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      color TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS transaction_tags (
+      transaction_id TEXT NOT NULL REFERENCES transactions(transaction_id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      source TEXT NOT NULL DEFAULT 'user',
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (transaction_id, tag_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_transaction_tags_tag ON transaction_tags(tag_id);
+  `);
+
+  if (!hasColumn(db, 'transactions', 'tags')) {
+    return;
+  }
+
+  // Only rule actions wrote the JSON list, so its tags are credited to rules
+  db.exec(`
+    INSERT OR IGNORE INTO tags (name, created_at)
+    SELECT DISTINCT trim(j.value), datetime('now')
+    FROM transactions t, json_each(t.tags) j
+    WHERE json_valid(t.tags) AND trim(j.value) != '';
+
+    INSERT OR IGNORE INTO transaction_tags (transaction_id, tag_id, source, created_at)
+    SELECT t.transaction_id, tg.id, 'rule', datetime('now')
+    FROM transactions t, json_each(t.tags) j
+    JOIN tags tg ON tg.name = trim(j.value)
+    WHERE json_valid(t.tags);
+  `);
+
+  dropColumnIfExists(db, 'transactions', 'tags');
+}
+
+export function down(db) {
+  addColumnIfMissing(db, 'transactions', 'tags', 'TEXT');
+
+  db.exec(`
+    UPDATE transactions SET tags = (
+      SELECT json_group_array(tg.name)
+      FROM transaction_tags tt
+      JOIN tags tg ON tg.id = tt.tag_id
+      WHERE tt.transaction_id = transactions.transaction_id
+    )
+    WHERE transaction_id IN (SELECT transaction_id FROM transaction_tags);
+
+    DROP TABLE IF EXISTS transaction_tags;
+    DROP TABLE IF EXISTS tags;
+  `);
+}
@@ -0,0 +1,56 @@
+/**
+ * Reimbursements and shared expenses: counterparties (roommates, an employer)
+ * who owe part of a transaction, the claims against them (on a whole
+ * transaction or on one of its splits) and the repayments that settle them.
+ * A repayment is usually an incoming deposit (Venmo, Zelle, payroll) found by
+ * the matcher ('detected') or linked by the user ('user'); cash settle-ups have
+ * no deposit. Detected repayments the user rejects are kept as 'dismissed' so
+ * the matcher doesn't pair them again.
+ */
+
+export const name = 'reimbursements';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS counterparties (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      kind TEXT NOT NULL DEFAULT 'person',
+      match_terms TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS reimbursements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id TEXT NOT NULL REFERENCES transactions(transaction_id) ON DELETE CASCADE,
+      split_id TEXT,
+      counterparty_id INTEGER NOT NULL REFERENCES counterparties(id) ON DELETE CASCADE,
+      amount REAL NOT NULL,
+      note TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS reimbursement_payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      reimbursement_id INTEGER NOT NULL REFERENCES reimbursements(id) ON DELETE CASCADE,
+      transaction_id TEXT REFERENCES transactions(transaction_id) ON DELETE CASCADE,
+      amount REAL NOT NULL,
+      date TEXT NOT NULL,
+      source TEXT NOT NULL DEFAULT 'user',
+      created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_reimbursements_transaction ON reimbursements(transaction_id);
+    CREATE INDEX IF NOT EXISTS idx_reimbursements_counterparty ON reimbursements(counterparty_id);
+    CREATE INDEX IF NOT EXISTS idx_reimbursement_payments_claim ON reimbursement_payments(reimbursement_id);
+    CREATE INDEX IF NOT EXISTS idx_reimbursement_payments_transaction ON reimbursement_payments(transaction_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS reimbursement_payments;
+    DROP TABLE IF EXISTS reimbursements;
+    DROP TABLE IF EXISTS counterparties;
+  `);
+}
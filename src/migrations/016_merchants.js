@@ -0,0 +1,50 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+/**
+ * Merchant directory: one merchants row per real-world merchant, however the
+ * bank spells it. merchant_aliases holds the keys that identify a merchant -
+ * Plaid merchant entity IDs ('entity') and normalized merchant names ('name') -
+ * so "AMZN Mktp US*2K3" and "Amazon.com" land on the same row. The canonical
+ * name, emoji/logo and default category are the user's to edit. Transactions
+ * are linked on save; existing ones are linked at startup.
+ */
+
+export const name = 'merchants';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS merchants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      emoji TEXT,
+      logo_url TEXT,
+      default_category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS merchant_aliases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+      kind TEXT NOT NULL,
+      value TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE (kind, value)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_merchant_aliases_merchant ON merchant_aliases(merchant_id);
+  `);
+
+  addColumnIfMissing(db, 'transactions', 'merchant_id', 'INTEGER REFERENCES merchants(id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_transactions_merchant ON transactions(merchant_id)');
+}
+
+export function down(db) {
+  db.exec('DROP INDEX IF EXISTS idx_transactions_merchant');
+  dropColumnIfExists(db, 'transactions', 'merchant_id');
+
+  db.exec(`
+    DROP TABLE IF EXISTS merchant_aliases;
+    DROP TABLE IF EXISTS merchants;
+  `);
+}
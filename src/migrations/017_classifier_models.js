@@ -0,0 +1,34 @@
+/**
+ * Offline categorization model: a naive Bayes classifier trained in-process on
+ * verified transactions and Amazon items, so categorization still learns from
+ * the user's choices on machines without Ollama. Each training run stores a
+ * row with its counts (keyed by category ID, so renames don't invalidate it),
+ * the calibration temperature and its held-out accuracy; the newest row is
+ * the one in use.
+ */
+
+export const name = 'classifier_models';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS classifier_models (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      model_type TEXT NOT NULL,
+      sample_count INTEGER NOT NULL,
+      category_count INTEGER NOT NULL,
+      holdout_accuracy REAL,
+      temperature REAL NOT NULL DEFAULT 1,
+      model TEXT NOT NULL,
+      trained_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_classifier_models_type ON classifier_models(model_type, trained_at);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_classifier_models_type;
+    DROP TABLE IF EXISTS classifier_models;
+  `);
+}
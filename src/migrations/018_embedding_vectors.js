@@ -0,0 +1,71 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+/**
+ * Embeddings are stored as Float32 blobs (4 bytes per dimension) instead of
+ * JSON text, with their dimension count so vectors from different embedding
+ * models are never compared. The similarity index is built from these blobs
+ * in-process (see src/vectorIndex.js). Rows whose JSON doesn't parse were
+ * unusable for similarity search and are dropped; they're regenerated the
+ * next time the item is confirmed.
+ */
+
+export const name = 'embedding_vectors';
+
+const BATCH_SIZE = 500;
+
+export function up(db) {
+  addColumnIfMissing(db, 'ai_embeddings', 'vector', 'BLOB');
+  addColumnIfMissing(db, 'ai_embeddings', 'dimensions', 'INTEGER NOT NULL DEFAULT 0');
+
+  // In batches so large tables aren't parsed into memory all at once
+  const select = db.prepare('SELECT id, embedding_vector FROM ai_embeddings WHERE id > ? ORDER BY id LIMIT ?');
+  const update = db.prepare('UPDATE ai_embeddings SET vector = ?, dimensions = ? WHERE id = ?');
+  const remove = db.prepare('DELETE FROM ai_embeddings WHERE id = ?');
+
+  let lastId = 0;
+  let rows;
+  while ((rows = select.all(lastId, BATCH_SIZE)).length > 0) {
+    for (const row of rows) {
+      let vector = null;
+      try {
+        vector = JSON.parse(row.embedding_vector);
+      } catch (e) {
+        // Unparseable, removed below
+      }
+
+      if (Array.isArray(vector) && vector.length > 0) {
+        update.run(Buffer.from(Float32Array.from(vector).buffer), vector.length, row.id);
+      } else {
+        remove.run(row.id);
+      }
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+
+  dropColumnIfExists(db, 'ai_embeddings', 'embedding_vector');
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_ai_embeddings_search ON ai_embeddings(item_type, dimensions, user_confirmed);
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP INDEX IF EXISTS idx_ai_embeddings_search');
+  addColumnIfMissing(db, 'ai_embeddings', 'embedding_vector', "TEXT NOT NULL DEFAULT '[]'");
+
+  const select = db.prepare('SELECT id, vector FROM ai_embeddings WHERE id > ? ORDER BY id LIMIT ?');
+  const update = db.prepare('UPDATE ai_embeddings SET embedding_vector = ? WHERE id = ?');
+
+  let lastId = 0;
+  let rows;
+  while ((rows = select.all(lastId, BATCH_SIZE)).length > 0) {
+    for (const row of rows) {
+      const vector = row.vector ? Array.from(new Float32Array(new Uint8Array(row.vector).buffer)) : [];
+      update.run(JSON.stringify(vector), row.id);
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+
+  dropColumnIfExists(db, 'ai_embeddings', 'dimensions');
+  dropColumnIfExists(db, 'ai_embeddings', 'vector');
+}
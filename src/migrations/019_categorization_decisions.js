@@ -0,0 +1,42 @@
+/**
+ * Categorization audit trail: one row per time a transaction's category was
+ * set, by whatever set it. stage says which step decided (merchant default,
+ * merchant mapping, rule, fuzzy match, Plaid mapping, embedding neighbours,
+ * local classifier, LLM, the user...), rule_id/mapping_key point at the rule
+ * or mapping that matched, and details holds the rest as JSON (reasoning,
+ * nearest neighbours, alternatives). Confidence is on the transactions scale
+ * (0-100) before and after the decision.
+ */
+
+export const name = 'categorization_decisions';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS categorization_decisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id TEXT NOT NULL REFERENCES transactions(transaction_id) ON DELETE CASCADE,
+      stage TEXT NOT NULL,
+      trigger TEXT NOT NULL,
+      category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+      previous_category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+      confidence_before REAL,
+      confidence_after REAL,
+      rule_id INTEGER REFERENCES category_rules(id) ON DELETE SET NULL,
+      rule_name TEXT,
+      mapping_key TEXT,
+      details TEXT,
+      decided_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_categorization_decisions_transaction ON categorization_decisions(transaction_id, id);
+    CREATE INDEX IF NOT EXISTS idx_categorization_decisions_rule ON categorization_decisions(rule_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_categorization_decisions_rule;
+    DROP INDEX IF EXISTS idx_categorization_decisions_transaction;
+    DROP TABLE IF EXISTS categorization_decisions;
+  `);
+}
@@ -0,0 +1,53 @@
+/**
+ * Categorization evaluation: frozen samples of verified transactions and
+ * Amazon items (evaluation_sets / evaluation_set_items, with the category each
+ * item was verified as when it was sampled) and the runs scored against them.
+ * A run stores its report (per-stage precision/recall, confusion matrix,
+ * calibration) and each item's prediction, so later runs on the same set can
+ * show which items a pipeline change fixed or broke.
+ */
+
+export const name = 'categorization_evaluations';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS evaluation_sets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS evaluation_set_items (
+      set_id INTEGER NOT NULL REFERENCES evaluation_sets(id) ON DELETE CASCADE,
+      item_type TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      expected_category_id INTEGER NOT NULL REFERENCES categories(id),
+      PRIMARY KEY (set_id, item_type, item_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS evaluation_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      set_id INTEGER NOT NULL REFERENCES evaluation_sets(id) ON DELETE CASCADE,
+      options TEXT,
+      item_count INTEGER NOT NULL,
+      accuracy REAL,
+      report TEXT NOT NULL,
+      predictions TEXT NOT NULL,
+      duration_ms INTEGER,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_evaluation_set_items_category ON evaluation_set_items(expected_category_id);
+    CREATE INDEX IF NOT EXISTS idx_evaluation_runs_set ON evaluation_runs(set_id, id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_evaluation_runs_set;
+    DROP INDEX IF EXISTS idx_evaluation_set_items_category;
+    DROP TABLE IF EXISTS evaluation_runs;
+    DROP TABLE IF EXISTS evaluation_set_items;
+    DROP TABLE IF EXISTS evaluation_sets;
+  `);
+}
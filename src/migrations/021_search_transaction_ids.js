@@ -0,0 +1,165 @@
+/**
+ * Key transactions_fts on transaction_id instead of the transactions rowid.
+ *
+ * transactions has a TEXT primary key, so its rowid is not stable: VACUUM may
+ * renumber it, after which search hits would point at other transactions and
+ * the delete trigger would remove the wrong index rows. transactions_fts_keys
+ * gives each transaction an index rowid of its own (an INTEGER PRIMARY KEY,
+ * which VACUUM keeps), so the triggers still find index rows by rowid rather
+ * than scanning the index. The triggers that maintain the index are recreated
+ * and the index is rebuilt. amazon_items_fts is keyed on amazon_items.id, an
+ * INTEGER PRIMARY KEY, and is left as is.
+ */
+
+export const name = 'search_transaction_ids';
+
+const TOKENIZER = "tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'";
+
+const TRANSACTION_TRIGGERS = [
+  'transactions_fts_insert',
+  'transactions_fts_update',
+  'transactions_fts_delete',
+  'amazon_orders_fts_match',
+  'amazon_orders_fts_delete',
+  'amazon_items_fts_insert',
+  'amazon_items_fts_update',
+  'amazon_items_fts_delete'
+];
+
+// How to find a transaction's index rowid: through transactions_fts_keys, or
+// (as migration 11 did) the transactions rowid
+const KEYS = {
+  keyed: {
+    rowid: 'k.fts_rowid',
+    from: 'transactions t JOIN transactions_fts_keys k ON k.transaction_id = t.transaction_id',
+    lookup: (idExpression) => `(SELECT fts_rowid FROM transactions_fts_keys WHERE transaction_id = ${idExpression})`
+  },
+  rowid: {
+    rowid: 't.rowid',
+    from: 'transactions t',
+    lookup: (idExpression) => `(SELECT rowid FROM transactions WHERE transaction_id = ${idExpression})`
+  }
+};
+
+// Index row of a transaction: its text fields plus the titles of the Amazon
+// items in the order matched to it
+function transactionRowSql(keys) {
+  return `
+    INSERT INTO transactions_fts (rowid, description, merchant_name, display_name, notes, location, amazon_items)
+    SELECT
+      ${keys.rowid},
+      t.description,
+      t.merchant_name,
+      t.display_name,
+      t.notes,
+      trim(coalesce(t.location_address, '') || ' ' || coalesce(t.location_city, '') || ' ' || coalesce(t.location_region, '')),
+      (
+        SELECT group_concat(ai.title, ' | ')
+        FROM amazon_orders ao
+        JOIN amazon_items ai ON ai.order_id = ao.order_id
+        WHERE ao.matched_transaction_id = t.transaction_id
+      )
+    FROM ${keys.from}
+  `;
+}
+
+// Rebuild the index row of the transaction with the given ID (an SQL expression)
+function refreshTransaction(idExpression, keys) {
+  const assignKey = keys === KEYS.keyed
+    ? `INSERT OR IGNORE INTO transactions_fts_keys (transaction_id)
+       SELECT transaction_id FROM transactions WHERE transaction_id = ${idExpression};`
+    : '';
+  return `
+    ${assignKey}
+    DELETE FROM transactions_fts WHERE rowid = ${keys.lookup(idExpression)};
+    ${transactionRowSql(keys)} WHERE t.transaction_id = ${idExpression};
+  `;
+}
+
+function createTransactionIndex(db, keys) {
+  const amazonItemTransaction = (ref) => `(SELECT matched_transaction_id FROM amazon_orders WHERE order_id = ${ref}.order_id)`;
+  const forgetKey = keys === KEYS.keyed
+    ? 'DELETE FROM transactions_fts_keys WHERE transaction_id = old.transaction_id;'
+    : '';
+
+  if (keys === KEYS.keyed) {
+    db.exec(`
+      CREATE TABLE transactions_fts_keys (
+        fts_rowid INTEGER PRIMARY KEY,
+        transaction_id TEXT NOT NULL UNIQUE
+      );
+
+      INSERT INTO transactions_fts_keys (transaction_id) SELECT transaction_id FROM transactions;
+    `);
+  }
+
+  db.exec(`
+    CREATE VIRTUAL TABLE transactions_fts USING fts5(
+      description, merchant_name, display_name, notes, location, amazon_items,
+      ${TOKENIZER}
+    );
+
+    -- Transactions
+    CREATE TRIGGER transactions_fts_insert AFTER INSERT ON transactions BEGIN
+      ${refreshTransaction('new.transaction_id', keys)}
+    END;
+
+    CREATE TRIGGER transactions_fts_update
+    AFTER UPDATE OF description, merchant_name, display_name, notes, location_address, location_city, location_region
+    ON transactions BEGIN
+      ${refreshTransaction('new.transaction_id', keys)}
+    END;
+
+    CREATE TRIGGER transactions_fts_delete AFTER DELETE ON transactions BEGIN
+      DELETE FROM transactions_fts WHERE rowid = ${keys === KEYS.keyed ? keys.lookup('old.transaction_id') : 'old.rowid'};
+      ${forgetKey}
+    END;
+
+    -- Amazon orders matched to (or unmatched from) a transaction
+    CREATE TRIGGER amazon_orders_fts_match AFTER UPDATE OF matched_transaction_id ON amazon_orders BEGIN
+      ${refreshTransaction('old.matched_transaction_id', keys)}
+      ${refreshTransaction('new.matched_transaction_id', keys)}
+    END;
+
+    CREATE TRIGGER amazon_orders_fts_delete AFTER DELETE ON amazon_orders BEGIN
+      ${refreshTransaction('old.matched_transaction_id', keys)}
+    END;
+
+    -- Amazon items
+    CREATE TRIGGER amazon_items_fts_insert AFTER INSERT ON amazon_items BEGIN
+      INSERT INTO amazon_items_fts (rowid, title, seller, asin) VALUES (new.id, new.title, new.seller, new.asin);
+      ${refreshTransaction(amazonItemTransaction('new'), keys)}
+    END;
+
+    CREATE TRIGGER amazon_items_fts_update AFTER UPDATE OF title, seller, asin ON amazon_items BEGIN
+      DELETE FROM amazon_items_fts WHERE rowid = old.id;
+      INSERT INTO amazon_items_fts (rowid, title, seller, asin) VALUES (new.id, new.title, new.seller, new.asin);
+      ${refreshTransaction(amazonItemTransaction('new'), keys)}
+    END;
+
+    CREATE TRIGGER amazon_items_fts_delete AFTER DELETE ON amazon_items BEGIN
+      DELETE FROM amazon_items_fts WHERE rowid = old.id;
+      ${refreshTransaction(amazonItemTransaction('old'), keys)}
+    END;
+
+    ${transactionRowSql(keys)};
+  `);
+}
+
+function dropTransactionIndex(db) {
+  db.exec(`
+    ${TRANSACTION_TRIGGERS.map(trigger => `DROP TRIGGER IF EXISTS ${trigger};`).join('\n    ')}
+    DROP TABLE IF EXISTS transactions_fts;
+    DROP TABLE IF EXISTS transactions_fts_keys;
+  `);
+}
+
+export function up(db) {
+  dropTransactionIndex(db);
+  createTransactionIndex(db, KEYS.keyed);
+}
+
+export function down(db) {
+  dropTransactionIndex(db);
+  createTransactionIndex(db, KEYS.rowid);
+}
@@ -0,0 +1,50 @@
+/**
+ * Split actions of category rules point at categories by id instead of by
+ * name, so renaming, merging or deleting a category no longer leaves a rule
+ * that re-creates the old name the next time it runs.
+ * A split whose category no longer exists is dropped from its rule (running it
+ * would have re-created the category).
+ */
+
+export const name = 'rule_split_category_ids';
+
+// Rewrite the split actions of every rule that has one
+function rewriteSplitActions(db, rewritePart) {
+  const rules = db.prepare("SELECT id, name, actions FROM category_rules WHERE actions LIKE '%\"split\"%'").all();
+  const update = db.prepare('UPDATE category_rules SET actions = ? WHERE id = ?');
+
+  for (const rule of rules) {
+    const actions = JSON.parse(rule.actions);
+    const rewritten = actions.flatMap((action) => {
+      if (action.type !== 'split') return [action];
+
+      const parts = action.value.map(rewritePart);
+      if (parts.includes(null)) {
+        console.warn(`  Dropped the split action of rule "${rule.name}": one of its categories no longer exists`);
+        return [];
+      }
+      return [{ ...action, value: parts }];
+    });
+    update.run(JSON.stringify(rewritten), rule.id);
+  }
+}
+
+export function up(db) {
+  const findId = db.prepare('SELECT id FROM categories WHERE name = ? COLLATE NOCASE ORDER BY name = ? DESC LIMIT 1');
+
+  rewriteSplitActions(db, (part) => {
+    if (Number.isInteger(part.category_id)) return part;
+    const category = part.category ? findId.get(part.category, part.category) : null;
+    return category ? { category_id: category.id, percent: part.percent } : null;
+  });
+}
+
+export function down(db) {
+  const findName = db.prepare('SELECT name FROM categories WHERE id = ?');
+
+  rewriteSplitActions(db, (part) => {
+    if (part.category) return part;
+    const category = findName.get(part.category_id);
+    return category ? { category: category.name, percent: part.percent } : null;
+  });
+}
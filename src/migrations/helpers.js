@@ -0,0 +1,57 @@
+/**
+ * Shared helpers for schema migrations
+ *
+ * Migrations have to work both on fresh databases and on databases created by
+ * older versions of the app, so column changes are written to be idempotent.
+ */
+
+/**
+ * Check whether a table has a column
+ */
+export function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(col => col.name === column);
+}
+
+/**
+ * Add a column if the table doesn't have it yet
+ * @returns {boolean} True if the column was added
+ */
+export function addColumnIfMissing(db, table, column, definition) {
+  if (hasColumn(db, table, column)) {
+    return false;
+  }
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+/**
+ * Drop a column if the table has it (used by down migrations)
+ */
+export function dropColumnIfExists(db, table, column) {
+  if (!hasColumn(db, table, column)) {
+    return false;
+  }
+  db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  return true;
+}
+
+/**
+ * Fill a category_id column from a category name column, creating any
+ * categories that don't exist yet (they get default icon/color, which the
+ * startup category styling pass replaces)
+ */
+export function backfillCategoryId(db, table, nameColumn, idColumn = 'category_id') {
+  db.prepare(`
+    INSERT INTO categories (name)
+    SELECT DISTINCT trim(src.${nameColumn}) FROM ${table} src
+    WHERE src.${nameColumn} IS NOT NULL AND trim(src.${nameColumn}) != ''
+    AND NOT EXISTS (SELECT 1 FROM categories c WHERE c.name = trim(src.${nameColumn}))
+  `).run();
+
+  // Aliased so categories.parent_category doesn't resolve against the subquery's own row
+  return db.prepare(`
+    UPDATE ${table} AS src
+    SET ${idColumn} = (SELECT c.id FROM categories c WHERE c.name = trim(src.${nameColumn}))
+    WHERE src.${nameColumn} IS NOT NULL AND trim(src.${nameColumn}) != ''
+  `).run().changes;
+}
@@ -0,0 +1,56 @@
+/**
+ * Schema migrations, in the order they are applied
+ *
+ * To change the schema, add a new numbered file exporting `name`, `up(db)` and
+ * `down(db)` and register it here. Never edit a migration that has shipped.
+ */
+
+import * as baseline from './001_baseline.js';
+import * as budgets from './002_budgets.js';
+import * as recurringSeries from './003_recurring_series.js';
+import * as transactionsSyncCursor from './004_transactions_sync_cursor.js';
+import * as categoryIdCutover from './005_category_id_cutover.js';
+import * as transfers from './006_transfers.js';
+import * as balanceSnapshots from './007_balance_snapshots.js';
+import * as jobs from './008_jobs.js';
+import * as ruleConditions from './009_rule_conditions.js';
+import * as ruleActions from './010_rule_actions.js';
+import * as search from './011_search.js';
+import * as importProfiles from './012_import_profiles.js';
+import * as manualAccounts from './013_manual_accounts.js';
+import * as tags from './014_tags.js';
+import * as reimbursements from './015_reimbursements.js';
+import * as merchants from './016_merchants.js';
+import * as classifierModels from './017_classifier_models.js';
+import * as embeddingVectors from './018_embedding_vectors.js';
+import * as categorizationDecisions from './019_categorization_decisions.js';
+import * as categorizationEvaluations from './020_categorization_evaluations.js';
+import * as searchTransactionIds from './021_search_transaction_ids.js';
+import * as ruleSplitCategoryIds from './022_rule_split_category_ids.js';
+
+export const migrations = [
+  { version: 1, ...baseline },
+  { version: 2, ...budgets },
+  { version: 3, ...recurringSeries },
+  { version: 4, ...transactionsSyncCursor },
+  { version: 5, ...categoryIdCutover },
+  { version: 6, ...transfers },
+  { version: 7, ...balanceSnapshots },
+  { version: 8, ...jobs },
+  { version: 9, ...ruleConditions },
+  { version: 10, ...ruleActions },
+  { version: 11, ...search },
+  { version: 12, ...importProfiles },
+  { version: 13, ...manualAccounts },
+  { version: 14, ...tags },
+  { version: 15, ...reimbursements },
+  { version: 16, ...merchants },
+  { version: 17, ...classifierModels },
+  { version: 18, ...embeddingVectors },
+  { version: 19, ...categorizationDecisions },
+  { version: 20, ...categorizationEvaluations },
+  { version: 21, ...searchTransactionIds },
+  { version: 22, ...ruleSplitCategoryIds }
+];
+
+export default migrations;
@@ -0,0 +1,113 @@
+import { migrations } from './migrations/index.js';
+
+// ============================================================================
+// SCHEMA MIGRATIONS
+// ============================================================================
+
+/**
+ * Create the table that records which migrations have been applied
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+function getAppliedVersions(db) {
+  ensureMigrationsTable(db);
+  return new Map(
+    db.prepare('SELECT version, applied_at FROM schema_migrations').all()
+      .map(row => [row.version, row.applied_at])
+  );
+}
+
+/**
+ * Latest migration version known to this build
+ */
+export function getLatestVersion() {
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Get the current schema version (0 if nothing has been applied)
+ */
+export function getCurrentVersion(db) {
+  ensureMigrationsTable(db);
+  return db.prepare('SELECT MAX(version) as version FROM schema_migrations').get().version || 0;
+}
+
+/**
+ * List every known migration with whether it has been applied
+ * @returns {Object} { current, latest, migrations: [{ version, name, applied, applied_at }] }
+ */
+export function getMigrationStatus(db) {
+  const applied = getAppliedVersions(db);
+
+  return {
+    current: getCurrentVersion(db),
+    latest: getLatestVersion(),
+    migrations: migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      applied_at: applied.get(migration.version) || null
+    }))
+  };
+}
+
+/**
+ * Apply pending migrations in order
+ * Each migration runs in its own transaction together with its bookkeeping row,
+ * so a failure leaves the database at the last successful version.
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} targetVersion - Stop after this version (defaults to latest)
+ * @returns {Array} Migrations that were applied
+ */
+export function migrateUp(db, targetVersion = getLatestVersion()) {
+  const applied = getAppliedVersions(db);
+  const pending = migrations.filter(m => !applied.has(m.version) && m.version <= targetVersion);
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${migration.version}: ${migration.name}...`);
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} targetVersion - Roll back until this version is the latest applied
+ *   (defaults to undoing only the most recent migration)
+ * @returns {Array} Migrations that were rolled back
+ */
+export function migrateDown(db, targetVersion = getCurrentVersion(db) - 1) {
+  const applied = getAppliedVersions(db);
+  const toRevert = migrations
+    .filter(m => applied.has(m.version) && m.version > targetVersion)
+    .reverse();
+
+  const unrecord = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+
+  // One transaction for the whole rollback, so hitting a migration that can't be
+  // undone leaves the schema where it started
+  db.transaction(() => {
+    for (const migration of toRevert) {
+      console.log(`Rolling back migration ${migration.version}: ${migration.name}...`);
+      migration.down(db);
+      unrecord.run(migration.version);
+    }
+  })();
+
+  return toRevert.map(({ version, name }) => ({ version, name }));
+}
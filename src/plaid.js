@@ -229,4 +229,64 @@ export async function getTransactions(accessToken, startDate, endDate) {
   }
 }
 
+/**
+ * Get transaction changes since a cursor via /transactions/sync
+ * Pages until has_more is false. If Plaid reports that data changed while paging,
+ * the whole set is re-fetched from the original cursor (as Plaid requires).
+ * @param {string|null} cursor - Cursor from the previous sync (null for full history)
+ * @returns {Object} { added, modified, removed, accounts, nextCursor }
+ */
+export async function syncTransactions(accessToken, cursor = null) {
+  const maxRestarts = 3;
+  let restarts = 0;
+
+  try {
+    let added = [];
+    let modified = [];
+    let removed = [];
+    let accounts = [];
+    let nextCursor = cursor;
+    let hasMore = true;
+
+    while (hasMore) {
+      try {
+        const response = await plaidClient.transactionsSync({
+          access_token: accessToken,
+          cursor: nextCursor || undefined,
+          count: 500,
+        });
+        const data = response.data;
+
+        added = added.concat(data.added);
+        modified = modified.concat(data.modified);
+        removed = removed.concat(data.removed);
+        if (data.accounts && data.accounts.length > 0) {
+          accounts = data.accounts;
+        }
+
+        hasMore = data.has_more;
+        nextCursor = data.next_cursor;
+      } catch (error) {
+        const errorCode = error.response?.data?.error_code;
+        if (errorCode === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' && restarts < maxRestarts) {
+          restarts++;
+          console.log(`  🔄 Transactions changed during pagination, restarting sync (${restarts}/${maxRestarts})...`);
+          added = [];
+          modified = [];
+          removed = [];
+          nextCursor = cursor;
+          hasMore = true;
+          continue;
+        }
+        throw error;
+      }
+    }
+
+    return { added, modified, removed, accounts, nextCursor };
+  } catch (error) {
+    console.error('Error syncing transactions:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
 export { plaidClient };
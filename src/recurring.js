@@ -0,0 +1,326 @@
+import * as database from './database.js';
+
+// ============================================================================
+// RECURRING TRANSACTION DETECTION
+// ============================================================================
+
+/**
+ * Supported cadences
+ * minDays/maxDays bound the gap between two charges, graceDays is how late a
+ * charge may be before the series is flagged as missed
+ */
+const CADENCES = {
+  weekly: { minDays: 5, maxDays: 9, graceDays: 3 },
+  monthly: { minDays: 26, maxDays: 35, graceDays: 7 },
+  annual: { minDays: 350, maxDays: 380, graceDays: 21 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight
+ */
+function parseDate(dateStr) {
+  return new Date(`${dateStr.slice(0, 10)}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function daysBetween(fromStr, toStr) {
+  return Math.round((parseDate(toStr) - parseDate(fromStr)) / DAY_MS);
+}
+
+function addDays(dateStr, days) {
+  return formatDate(new Date(parseDate(dateStr).getTime() + days * DAY_MS));
+}
+
+/**
+ * Add months, clamping to the end of shorter months (Jan 31 + 1 month = Feb 28)
+ */
+function addMonths(dateStr, months) {
+  const date = parseDate(dateStr);
+  const day = date.getUTCDate();
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return formatDate(target);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Normalize a merchant name so "NETFLIX.COM 866-579" and "Netflix.com" group together
+ */
+function normalizeMerchant(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[#*]\s*\w*\d\w*/g, '') // store/reference numbers
+    .replace(/\d{3,}/g, '')
+    .replace(/[^a-z0-9& ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the grouping key for a transaction
+ * Copilot's recurring label wins, then Plaid's merchant entity, then the merchant name.
+ * Income and spending from the same merchant are kept in separate series.
+ */
+function getSeriesKey(transaction) {
+  const direction = transaction.amount < 0 ? 'in' : 'out';
+
+  if (transaction.external_recurring) {
+    return { key: `copilot:${normalizeMerchant(transaction.external_recurring)}:${direction}`, source: 'copilot' };
+  }
+  if (transaction.merchant_entity_id) {
+    return { key: `entity:${transaction.merchant_entity_id}:${direction}`, source: 'detected' };
+  }
+
+  const merchant = normalizeMerchant(transaction.merchant_name || transaction.description);
+  if (!merchant) {
+    return null;
+  }
+  return { key: `merchant:${merchant}:${direction}`, source: 'detected' };
+}
+
+/**
+ * Pick the cadence whose window contains the typical gap between charges
+ */
+function classifyCadence(medianInterval) {
+  for (const [cadence, bounds] of Object.entries(CADENCES)) {
+    if (medianInterval >= bounds.minDays && medianInterval <= bounds.maxDays) {
+      return cadence;
+    }
+  }
+  return null;
+}
+
+function getNextExpectedDate(lastDate, cadence, medianInterval) {
+  switch (cadence) {
+    case 'monthly': return addMonths(lastDate, 1);
+    case 'annual': return addMonths(lastDate, 12);
+    default: return addDays(lastDate, Math.max(7, Math.round(medianInterval / 7) * 7));
+  }
+}
+
+/**
+ * Work out whether a series is on track, missed its latest charge, or has stopped
+ * @param {Object} series - Series with cadence, interval_days and next_expected_date
+ * @param {string} asOf - Reference date (YYYY-MM-DD)
+ * @returns {string} 'active', 'missed' or 'inactive'
+ */
+export function getSeriesStatus(series, asOf = formatDate(new Date())) {
+  const overdueDays = daysBetween(series.next_expected_date, asOf);
+  const { graceDays } = CADENCES[series.cadence];
+
+  if (overdueDays <= graceDays) {
+    return 'active';
+  }
+  // Two or more charges in a row have not shown up: treat as cancelled
+  if (overdueDays > series.interval_days + graceDays) {
+    return 'inactive';
+  }
+  return 'missed';
+}
+
+/**
+ * Analyze one group of same-merchant transactions (oldest first)
+ * Returns null when the group doesn't look recurring
+ */
+function analyzeGroup(key, source, transactions, options) {
+  const { amountTolerance, minOccurrences, asOf } = options;
+
+  // Several charges on the same day (e.g. split orders) count as one occurrence
+  const byDate = new Map();
+  for (const txn of transactions) {
+    if (!byDate.has(txn.date)) {
+      byDate.set(txn.date, []);
+    }
+    byDate.get(txn.date).push(txn);
+  }
+  const occurrences = Array.from(byDate.entries()).map(([date, txns]) => ({
+    date,
+    amount: txns.reduce((sum, t) => sum + t.amount, 0),
+    transactions: txns
+  }));
+
+  if (occurrences.length < 2) {
+    return null;
+  }
+
+  const intervals = [];
+  for (let i = 1; i < occurrences.length; i++) {
+    intervals.push(daysBetween(occurrences[i - 1].date, occurrences[i].date));
+  }
+  const medianInterval = median(intervals);
+  const cadence = classifyCadence(medianInterval);
+  if (!cadence) {
+    return null;
+  }
+
+  const required = cadence === 'annual' ? 2 : minOccurrences;
+  if (source !== 'copilot' && occurrences.length < required) {
+    return null;
+  }
+
+  // Most gaps should fit the cadence (one skipped or doubled-up month is fine)
+  const { minDays, maxDays } = CADENCES[cadence];
+  const regularShare = intervals.filter(i => i >= minDays && i <= maxDays).length / intervals.length;
+
+  // Most amounts should sit near either the typical amount or the current price
+  const amounts = occurrences.map(o => Math.abs(o.amount));
+  const lastAmount = amounts[amounts.length - 1];
+  const withinTolerance = (reference) =>
+    amounts.filter(a => Math.abs(a - reference) <= Math.max(reference * amountTolerance, 0.01)).length / amounts.length;
+  const amountShare = Math.max(withinTolerance(median(amounts)), withinTolerance(lastAmount));
+
+  if (source !== 'copilot' && (regularShare < 0.75 || amountShare < 0.6)) {
+    return null;
+  }
+
+  // Price change: most recent amount that differs from the current one, looking at recent charges only
+  const recent = occurrences.slice(-6);
+  const last = recent[recent.length - 1];
+  let previousAmount = null;
+  let changeIndex = -1;
+  for (let i = recent.length - 2; i >= 0; i--) {
+    if (Math.abs(Math.abs(recent[i].amount) - Math.abs(last.amount)) > 0.01) {
+      previousAmount = recent[i].amount;
+      changeIndex = i;
+      break;
+    }
+  }
+
+  // Fixed-price series flag any increase; variable bills only when the jump exceeds the tolerance
+  let priceIncrease = false;
+  if (previousAmount !== null && Math.abs(last.amount) > Math.abs(previousAmount)) {
+    const priorAmounts = recent.slice(0, changeIndex + 1).map(o => Math.abs(o.amount));
+    const fixedPrice = Math.max(...priorAmounts) - Math.min(...priorAmounts) <= 0.01;
+    const increase = Math.abs(last.amount) - Math.abs(previousAmount);
+    priceIncrease = fixedPrice || increase > Math.abs(previousAmount) * amountTolerance;
+  }
+
+  const lastTxn = last.transactions[last.transactions.length - 1];
+  const series = {
+    series_key: key,
+    name: lastTxn.external_recurring || lastTxn.merchant_name || lastTxn.description,
+    merchant_name: lastTxn.merchant_name,
+    merchant_entity_id: lastTxn.merchant_entity_id,
+    account_name: lastTxn.account_name,
+    category_id: lastTxn.category_id,
+    cadence,
+    interval_days: Math.round(medianInterval),
+    expected_amount: last.amount,
+    previous_amount: previousAmount,
+    price_increase: priceIncrease,
+    occurrence_count: occurrences.length,
+    first_date: occurrences[0].date,
+    last_date: last.date,
+    next_expected_date: getNextExpectedDate(last.date, cadence, medianInterval),
+    source,
+    confidence: Math.round(Math.min(1, (regularShare + amountShare) / 2 + occurrences.length * 0.02) * 100),
+    transactionIds: occurrences.flatMap(o => o.transactions.map(t => t.transaction_id))
+  };
+  series.status = getSeriesStatus(series, asOf);
+
+  return series;
+}
+
+/**
+ * Find recurring series in a list of transactions
+ * @param {Array} transactions - Transactions sorted oldest first
+ * @param {Object} options - { amountTolerance, minOccurrences, asOf }
+ * @returns {Array} Detected series
+ */
+export function findRecurringSeries(transactions, options = {}) {
+  const settings = {
+    amountTolerance: options.amountTolerance ?? 0.15,
+    minOccurrences: options.minOccurrences ?? 3,
+    asOf: options.asOf || formatDate(new Date())
+  };
+
+  const groups = new Map();
+  for (const txn of transactions) {
+    if (!txn.amount) {
+      continue;
+    }
+    const group = getSeriesKey(txn);
+    if (!group) {
+      continue;
+    }
+    if (!groups.has(group.key)) {
+      groups.set(group.key, { source: group.source, transactions: [] });
+    }
+    groups.get(group.key).transactions.push(txn);
+  }
+
+  const detected = [];
+  for (const [key, group] of groups) {
+    const series = analyzeGroup(key, group.source, group.transactions, settings);
+    if (series) {
+      detected.push(series);
+    }
+  }
+
+  return detected;
+}
+
+/**
+ * Scan all transactions, detect recurring series and persist them
+ * @param {Object} options - { asOf } reference date for missed detection
+ * @returns {Object} Detection summary
+ */
+export function detectRecurringSeries(options = {}) {
+  const transactions = database.getRecurringCandidates();
+
+  const series = findRecurringSeries(transactions, {
+    amountTolerance: database.getSetting('recurring_amount_tolerance'),
+    minOccurrences: database.getSetting('recurring_min_occurrences'),
+    asOf: options.asOf
+  });
+
+  const { saved, removed } = database.saveRecurringSeries(series);
+
+  console.log(`🔁 Recurring detection: ${saved} series found (${removed} stale removed) from ${transactions.length} transactions`);
+
+  return {
+    scanned: transactions.length,
+    detected: saved,
+    removed,
+    missed: series.filter(s => s.status === 'missed').length,
+    priceIncreases: series.filter(s => s.price_increase).length
+  };
+}
+
+/**
+ * Get recurring series with statuses refreshed against today's date
+ * (a charge that was on time at the last sync may be overdue by now)
+ * @param {Object} filters - { status, includeDismissed }
+ */
+export function getRecurringSeries(filters = {}) {
+  const asOf = formatDate(new Date());
+  const series = database.getRecurringSeries({ includeDismissed: filters.includeDismissed });
+
+  const changed = [];
+  for (const item of series) {
+    const status = getSeriesStatus(item, asOf);
+    if (status !== item.status) {
+      item.status = status;
+      changed.push({ id: item.id, status });
+    }
+    item.price_increase = item.price_increase === 'Yes';
+    item.dismissed = item.dismissed === 'Yes';
+  }
+
+  if (changed.length > 0) {
+    database.updateRecurringSeriesStatuses(changed);
+  }
+
+  return filters.status ? series.filter(s => s.status === filters.status) : series;
+}
@@ -0,0 +1,123 @@
+import * as database from './database.js';
+
+// ============================================================================
+// REPAYMENT MATCHING
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBetween(fromStr, toStr) {
+  const from = new Date(`${fromStr.slice(0, 10)}T00:00:00Z`);
+  const to = new Date(`${toStr.slice(0, 10)}T00:00:00Z`);
+  return Math.round((to - from) / DAY_MS);
+}
+
+function toCents(amount) {
+  return Math.round(Math.abs(amount) * 100);
+}
+
+/**
+ * Words a counterparty's repayments show up with: their match terms, or their
+ * name when none are set
+ */
+function getMatchTerms(claim) {
+  return (claim.match_terms || claim.counterparty)
+    .split(',')
+    .map(term => term.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Match incoming deposits to the claims they repay
+ * A deposit is a repayment when its description mentions one of the
+ * counterparty's match terms, it arrives within the window after the expense,
+ * and its amount is exactly one open claim (the oldest such claim wins) or
+ * exactly the oldest few open claims together (a settle-up). Amounts that fit
+ * neither - a payroll deposit with salary in it - are left for the user to link.
+ * @param {Array} claims - Open claims sorted oldest first ({ id, counterparty_id, counterparty, match_terms, date, outstanding })
+ * @param {Array} deposits - Deposits sorted oldest first
+ * @param {Object} options - { windowDays, dismissed (Set of "claimId:transactionId") }
+ * @returns {Array} Matches of { reimbursementId, transactionId, amount, date }
+ */
+export function findReimbursementMatches(claims, deposits, options = {}) {
+  const windowDays = options.windowDays ?? 60;
+  const dismissed = options.dismissed || new Set();
+
+  const remaining = new Map(claims.map(claim => [claim.id, toCents(claim.outstanding)]));
+  const claimsByCounterparty = new Map();
+  for (const claim of claims) {
+    if (!claimsByCounterparty.has(claim.counterparty_id)) {
+      claimsByCounterparty.set(claim.counterparty_id, { terms: getMatchTerms(claim), claims: [] });
+    }
+    claimsByCounterparty.get(claim.counterparty_id).claims.push(claim);
+  }
+
+  const matches = [];
+
+  for (const deposit of deposits) {
+    const text = `${deposit.description || ''} ${deposit.merchant_name || ''}`.toLowerCase();
+    const cents = toCents(deposit.amount);
+
+    for (const { terms, claims: counterpartyClaims } of claimsByCounterparty.values()) {
+      if (!terms.some(term => text.includes(term))) {
+        continue;
+      }
+
+      const open = counterpartyClaims.filter(claim => {
+        const days = daysBetween(claim.date, deposit.date);
+        return remaining.get(claim.id) > 0 && days >= 0 && days <= windowDays &&
+          !dismissed.has(`${claim.id}:${deposit.transaction_id}`);
+      });
+
+      let settled = open.filter(claim => remaining.get(claim.id) === cents).slice(0, 1);
+      if (settled.length === 0) {
+        let total = 0;
+        for (let i = 0; i < open.length && total < cents; i++) {
+          total += remaining.get(open[i].id);
+          if (total === cents && i > 0) {
+            settled = open.slice(0, i + 1);
+          }
+        }
+      }
+
+      if (settled.length > 0) {
+        for (const claim of settled) {
+          matches.push({
+            reimbursementId: claim.id,
+            transactionId: deposit.transaction_id,
+            amount: remaining.get(claim.id) / 100,
+            date: deposit.date
+          });
+          remaining.set(claim.id, 0);
+        }
+        break;
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Scan deposits for repayments of open claims and record them
+ * @returns {Object} Detection summary
+ */
+export function detectReimbursements() {
+  // Detected repayments are redone from scratch, so match against the claims as the user left them
+  const claims = database.getOpenReimbursements();
+  const deposits = database.getReimbursementDeposits();
+
+  const matches = findReimbursementMatches(claims, deposits, {
+    windowDays: database.getSetting('reimbursement_match_window_days'),
+    dismissed: database.getDismissedReimbursementMatches()
+  });
+
+  const { saved } = database.saveReimbursementMatches(matches);
+
+  console.log(`🤝 Reimbursement matching: ${saved} repayment(s) found in ${deposits.length} deposits`);
+
+  return {
+    scanned: deposits.length,
+    matched: saved
+  };
+}
@@ -0,0 +1,372 @@
+import * as database from './database.js';
+
+// ============================================================================
+// PERIOD-OVER-PERIOD REPORTS
+// ============================================================================
+
+export const REPORT_PERIODS = ['monthly', 'quarterly', 'yearly'];
+
+/**
+ * What each period is compared with: the one before it, or the same period a
+ * year earlier
+ */
+export const REPORT_COMPARISONS = ['previous', 'year'];
+
+const DEFAULT_PERIOD_COUNTS = { monthly: 6, quarterly: 4, yearly: 3 };
+
+// Periods per year, which is also how far back a year-over-year comparison looks
+const PERIODS_PER_YEAR = { monthly: 12, quarterly: 4, yearly: 1 };
+
+const MONTHS_PER_PERIOD = { monthly: 1, quarterly: 3, yearly: 12 };
+
+const UNCATEGORIZED = 'Uncategorized';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Validate a period key against its period type (2026-03, 2026-Q1 or 2026)
+ */
+export function isValidPeriodKey(key, period) {
+  const patterns = {
+    monthly: /^\d{4}-(0[1-9]|1[0-2])$/,
+    quarterly: /^\d{4}-Q[1-4]$/,
+    yearly: /^\d{4}$/
+  };
+  return patterns[period].test(key);
+}
+
+/**
+ * Convert a period key to its first month as { year, month } (month is 0-based)
+ */
+function parsePeriodKey(key, period) {
+  const year = parseInt(key.slice(0, 4));
+  switch (period) {
+    case 'monthly': return { year, month: parseInt(key.slice(5, 7)) - 1 };
+    case 'quarterly': return { year, month: (parseInt(key.slice(6)) - 1) * 3 };
+    default: return { year, month: 0 };
+  }
+}
+
+function formatPeriodKey(year, month, period) {
+  switch (period) {
+    case 'monthly': return `${year}-${String(month + 1).padStart(2, '0')}`;
+    case 'quarterly': return `${year}-Q${Math.floor(month / 3) + 1}`;
+    default: return String(year);
+  }
+}
+
+/**
+ * The period a date (YYYY-MM-DD) falls in
+ */
+export function getPeriodKey(dateStr, period) {
+  return formatPeriodKey(parseInt(dateStr.slice(0, 4)), parseInt(dateStr.slice(5, 7)) - 1, period);
+}
+
+/**
+ * Move a period key by a number of periods
+ */
+export function shiftPeriod(key, period, count) {
+  const { year, month } = parsePeriodKey(key, period);
+  const date = new Date(Date.UTC(year, month + count * MONTHS_PER_PERIOD[period], 1));
+  return formatPeriodKey(date.getUTCFullYear(), date.getUTCMonth(), period);
+}
+
+/**
+ * First and last date of a period
+ */
+export function getPeriodBounds(key, period) {
+  const { year, month } = parsePeriodKey(key, period);
+  const start = new Date(Date.UTC(year, month, 1));
+  const end = new Date(Date.UTC(year, month + MONTHS_PER_PERIOD[period], 0));
+  return {
+    startDate: start.toISOString().split('T')[0],
+    endDate: end.toISOString().split('T')[0]
+  };
+}
+
+function getPeriodLabel(key, period) {
+  const { year, month } = parsePeriodKey(key, period);
+  switch (period) {
+    case 'monthly': return `${MONTH_NAMES[month]} ${year}`;
+    case 'quarterly': return `Q${Math.floor(month / 3) + 1} ${year}`;
+    default: return String(year);
+  }
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Work out the periods shown and the date range to load, which reaches back
+ * far enough that the first period has something to compare with
+ */
+function getReportWindow({ period, count, end, compare }) {
+  const endKey = getPeriodKey(end, period);
+  const keys = [];
+  for (let i = count - 1; i >= 0; i--) {
+    keys.push(shiftPeriod(endKey, period, -i));
+  }
+
+  const offset = compare === 'year' ? PERIODS_PER_YEAR[period] : 1;
+
+  return {
+    offset,
+    periods: keys.map(key => ({ key, label: getPeriodLabel(key, period), ...getPeriodBounds(key, period) })),
+    startDate: getPeriodBounds(shiftPeriod(keys[0], period, -offset), period).startDate,
+    endDate: getPeriodBounds(endKey, period).endDate
+  };
+}
+
+/**
+ * One cell per period with the change against its comparison period
+ * (percent_change is null when there was nothing to compare with)
+ * @param {Map} totals - Period key -> amount spent
+ */
+function buildCells(totals, window, period) {
+  return window.periods.map(({ key }) => {
+    const total = roundCents(totals.get(key) || 0);
+    const comparison = roundCents(totals.get(shiftPeriod(key, period, -window.offset)) || 0);
+    const change = roundCents(total - comparison);
+    return {
+      period: key,
+      total,
+      comparison,
+      change,
+      percent_change: comparison > 0 ? Math.round((change / comparison) * 1000) / 10 : null
+    };
+  });
+}
+
+function addTotal(totals, key, amount) {
+  totals.set(key, (totals.get(key) || 0) + amount);
+}
+
+function isEmptyRow(cells) {
+  return cells.every(cell => cell.total === 0 && cell.comparison === 0);
+}
+
+function sumCells(cells) {
+  return roundCents(cells.reduce((sum, cell) => sum + cell.total, 0));
+}
+
+/**
+ * Category IDs in a category's subtree (itself, its children, their children...)
+ */
+function getSubtreeIds(categoryId, childrenById) {
+  const ids = [];
+  const stack = [categoryId];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (ids.includes(id)) continue;
+    ids.push(id);
+    stack.push(...(childrenById.get(id) || []));
+  }
+  return ids;
+}
+
+function getChildrenById(categories) {
+  const childrenById = new Map();
+  for (const category of categories) {
+    if (!category.parent_category_id) continue;
+    if (!childrenById.has(category.parent_category_id)) {
+      childrenById.set(category.parent_category_id, []);
+    }
+    childrenById.get(category.parent_category_id).push(category.id);
+  }
+  return childrenById;
+}
+
+/**
+ * Resolve a category name to the category IDs a drill-down covers
+ * (parents include their subcategories; 'Uncategorized' is null)
+ * @returns {Object} { name, ids }
+ */
+function resolveCategory(categoryName) {
+  if (categoryName.toLowerCase() === UNCATEGORIZED.toLowerCase()) {
+    return { name: UNCATEGORIZED, ids: null };
+  }
+
+  const categories = database.getCategories();
+  const category = categories.find(c => c.name.toLowerCase() === categoryName.toLowerCase());
+  if (!category) {
+    throw new Error('Category not found');
+  }
+
+  return { name: category.name, ids: getSubtreeIds(category.id, getChildrenById(categories)) };
+}
+
+/**
+ * Build the category x period spending matrix
+ * Parent categories include their subcategories' spending (listed under
+ * children) plus anything categorized to the parent itself.
+ * @param {Array} rows - Spending per category per period
+ * @param {Array} categories - All categories
+ * @param {Object} window - Periods and comparison offset
+ * @param {string} period - Period type
+ */
+export function buildCategoryMatrix(rows, categories, window, period) {
+  const categoriesById = new Map(categories.map(c => [c.id, c]));
+  const childrenById = getChildrenById(categories);
+
+  const ownTotals = new Map();
+  for (const row of rows) {
+    const id = categoriesById.has(row.category_id) ? row.category_id : null;
+    if (!ownTotals.has(id)) {
+      ownTotals.set(id, new Map());
+    }
+    addTotal(ownTotals.get(id), row.period, row.total);
+  }
+
+  const buildNode = (category, visited) => {
+    visited.add(category.id);
+
+    const totals = new Map(ownTotals.get(category.id) || []);
+    const children = [];
+    for (const childId of childrenById.get(category.id) || []) {
+      if (visited.has(childId)) continue;
+      const child = buildNode(categoriesById.get(childId), visited);
+      for (const [key, amount] of child.totals) {
+        addTotal(totals, key, amount);
+      }
+      if (!isEmptyRow(child.node.cells)) {
+        children.push(child.node);
+      }
+    }
+    children.sort((a, b) => b.total - a.total);
+
+    const cells = buildCells(totals, window, period);
+    return {
+      totals,
+      node: {
+        category_id: category.id,
+        name: category.name,
+        icon: category.icon,
+        color: category.color,
+        cells,
+        total: sumCells(cells),
+        children
+      }
+    };
+  };
+
+  const visited = new Set();
+  const result = [];
+  const topLevel = categories.filter(c => !c.parent_category_id || !categoriesById.has(c.parent_category_id));
+  for (const category of topLevel) {
+    const { node } = buildNode(category, visited);
+    if (!isEmptyRow(node.cells)) {
+      result.push(node);
+    }
+  }
+
+  if (ownTotals.has(null)) {
+    const cells = buildCells(ownTotals.get(null), window, period);
+    result.push({ category_id: null, name: UNCATEGORIZED, icon: '❓', color: '#9CA3AF', cells, total: sumCells(cells), children: [] });
+  }
+
+  result.sort((a, b) => b.total - a.total);
+
+  const grandTotals = new Map();
+  for (const row of rows) {
+    addTotal(grandTotals, row.period, row.total);
+  }
+
+  return { categories: result, totals: buildCells(grandTotals, window, period) };
+}
+
+/**
+ * Build a merchant x period matrix from spending per merchant per period
+ */
+export function buildMerchantMatrix(rows, window, period) {
+  const byMerchant = new Map();
+  const grandTotals = new Map();
+  for (const row of rows) {
+    if (!byMerchant.has(row.merchant)) {
+      byMerchant.set(row.merchant, new Map());
+    }
+    addTotal(byMerchant.get(row.merchant), row.period, row.total);
+    addTotal(grandTotals, row.period, row.total);
+  }
+
+  const merchants = [];
+  for (const [merchant, totals] of byMerchant) {
+    const cells = buildCells(totals, window, period);
+    if (!isEmptyRow(cells)) {
+      merchants.push({ merchant, cells, total: sumCells(cells) });
+    }
+  }
+  merchants.sort((a, b) => b.total - a.total);
+
+  return { merchants, totals: buildCells(grandTotals, window, period) };
+}
+
+function resolveOptions(options) {
+  const period = options.period || 'monthly';
+  return {
+    period,
+    count: options.count || DEFAULT_PERIOD_COUNTS[period],
+    end: options.end || new Date().toISOString().split('T')[0],
+    compare: options.compare || 'previous'
+  };
+}
+
+/**
+ * Spending by category for the last few periods, compared period over period
+ * or year over year
+ * @param {Object} options - { period, count, end, compare }
+ */
+export function getCategoryReport(options = {}) {
+  const resolved = resolveOptions(options);
+  const window = getReportWindow(resolved);
+
+  const rows = database.getCategoryPeriodSpending(resolved.period, window.startDate, window.endDate);
+  const matrix = buildCategoryMatrix(rows, database.getCategories(), window, resolved.period);
+
+  return { period: resolved.period, compare: resolved.compare, periods: window.periods, ...matrix };
+}
+
+/**
+ * Drill into one category (with its subcategories): spending by merchant
+ * @param {string} categoryName - Category name, or 'Uncategorized'
+ * @param {Object} options - { period, count, end, compare }
+ */
+export function getMerchantReport(categoryName, options = {}) {
+  const category = resolveCategory(categoryName);
+  const resolved = resolveOptions(options);
+  const window = getReportWindow(resolved);
+
+  const rows = database.getMerchantPeriodSpending(resolved.period, {
+    startDate: window.startDate,
+    endDate: window.endDate,
+    categoryIds: category.ids
+  });
+  const matrix = buildMerchantMatrix(rows, window, resolved.period);
+
+  return { category: category.name, period: resolved.period, compare: resolved.compare, periods: window.periods, ...matrix };
+}
+
+/**
+ * Drill into one report cell: the spending lines behind it
+ * @param {Object} options - { period, key, category, merchant } (category and merchant optional)
+ */
+export function getReportTransactions({ period, key, category, merchant }) {
+  const { startDate, endDate } = getPeriodBounds(key, period);
+  const resolvedCategory = category ? resolveCategory(category) : null;
+  const transactions = database.getReportTransactions({
+    startDate,
+    endDate,
+    categoryIds: resolvedCategory ? resolvedCategory.ids : undefined,
+    merchant
+  });
+
+  return {
+    period,
+    key,
+    label: getPeriodLabel(key, period),
+    category: resolvedCategory ? resolvedCategory.name : null,
+    merchant: merchant ?? null,
+    total: roundCents(transactions.reduce((sum, tx) => sum + tx.amount, 0)),
+    transactions
+  };
+}
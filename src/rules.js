@@ -0,0 +1,430 @@
+// ============================================================================
+// RULE CONDITIONS
+// ============================================================================
+
+/**
+ * A rule's conditions are a JSON tree. Groups combine child nodes:
+ *   { "all": [ ...nodes ] }   every child must match
+ *   { "any": [ ...nodes ] }   at least one child must match
+ *   { "not": node }           the child must not match
+ * Leaves test one field of the transaction:
+ *   { "field": "merchant", "op": "contains", "value": "VENMO" }
+ *
+ * Text comparisons are case-insensitive. `amount` is the size of the
+ * transaction (always positive); use `direction` ('expense' or 'income') for
+ * the sign. `weekday` is the day of the transaction date (sun..sat).
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TEXT_OPS = ['equals', 'not_equals', 'contains', 'not_contains', 'starts_with', 'ends_with', 'matches', 'in', 'not_in'];
+const NUMBER_OPS = ['equals', 'lt', 'lte', 'gt', 'gte', 'between'];
+const CHOICE_OPS = ['equals', 'not_equals', 'in', 'not_in'];
+
+/**
+ * Fields a leaf can test, with the operators each supports
+ */
+export const RULE_FIELDS = {
+  text: { label: 'merchant or description', kind: 'text', ops: TEXT_OPS },
+  merchant: { label: 'merchant', kind: 'text', ops: TEXT_OPS },
+  description: { label: 'description', kind: 'text', ops: TEXT_OPS },
+  account: { label: 'account', kind: 'text', ops: TEXT_OPS },
+  payment_channel: { label: 'payment channel', kind: 'text', ops: TEXT_OPS },
+  transaction_type: { label: 'transaction type', kind: 'text', ops: TEXT_OPS },
+  plaid_category: { label: 'Plaid category', kind: 'text', ops: TEXT_OPS },
+  amount: { label: 'amount', kind: 'number', ops: NUMBER_OPS },
+  weekday: { label: 'weekday', kind: 'choice', ops: CHOICE_OPS, choices: WEEKDAYS },
+  direction: { label: 'direction', kind: 'choice', ops: CHOICE_OPS, choices: ['expense', 'income'] }
+};
+
+const OP_LABELS = {
+  equals: '=',
+  not_equals: '≠',
+  contains: 'contains',
+  not_contains: 'does not contain',
+  starts_with: 'starts with',
+  ends_with: 'ends with',
+  matches: 'matches',
+  in: 'is one of',
+  not_in: 'is not one of',
+  lt: '<',
+  lte: '≤',
+  gt: '>',
+  gte: '≥',
+  between: 'between'
+};
+
+const MAX_DEPTH = 8;
+
+// Rules are evaluated against every transaction, so compiled patterns are reused
+const regexCache = new Map();
+
+function getRegex(pattern) {
+  if (!regexCache.has(pattern)) {
+    regexCache.set(pattern, new RegExp(pattern, 'i'));
+  }
+  return regexCache.get(pattern);
+}
+
+function normalizeWeekday(value) {
+  if (typeof value === 'number') {
+    return WEEKDAYS[value] || null;
+  }
+  return String(value).slice(0, 3).toLowerCase();
+}
+
+/**
+ * Values a transaction offers to rule leaves
+ * Accepts both stored rows (description, plaid_detailed_category) and raw Plaid
+ * transactions (name, personal_finance_category).
+ */
+export function toRuleInput(transaction) {
+  const amount = Number(transaction.amount) || 0;
+  const date = transaction.date ? String(transaction.date).slice(0, 10) : null;
+
+  return {
+    merchant: transaction.merchant_name || '',
+    description: transaction.description ?? transaction.name ?? '',
+    account: transaction.account_name || '',
+    payment_channel: transaction.payment_channel || '',
+    transaction_type: transaction.transaction_type || '',
+    plaid_category: transaction.plaid_detailed_category
+      || transaction.personal_finance_category?.detailed
+      || transaction.plaid_primary_category
+      || transaction.personal_finance_category?.primary
+      || '',
+    amount: Math.abs(amount),
+    weekday: date ? WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()] : null,
+    direction: amount < 0 ? 'income' : 'expense'
+  };
+}
+
+function testText(actual, op, value) {
+  const text = String(actual ?? '').toLowerCase();
+  const values = Array.isArray(value) ? value.map(v => String(v).toLowerCase()) : [];
+  const expected = String(value ?? '').toLowerCase();
+
+  switch (op) {
+    case 'equals': return text === expected;
+    case 'not_equals': return text !== expected;
+    case 'contains': return text.includes(expected);
+    case 'not_contains': return !text.includes(expected);
+    case 'starts_with': return text.startsWith(expected);
+    case 'ends_with': return text.endsWith(expected);
+    case 'matches': return getRegex(value).test(actual ?? '');
+    case 'in': return values.includes(text);
+    case 'not_in': return !values.includes(text);
+    default: return false;
+  }
+}
+
+function testNumber(actual, op, value) {
+  switch (op) {
+    case 'equals': return Math.abs(actual - Number(value)) < 0.005;
+    case 'lt': return actual < Number(value);
+    case 'lte': return actual <= Number(value);
+    case 'gt': return actual > Number(value);
+    case 'gte': return actual >= Number(value);
+    case 'between': return actual >= Number(value[0]) && actual <= Number(value[1]);
+    default: return false;
+  }
+}
+
+function testLeaf(node, input) {
+  const { field, op, value } = node;
+
+  // "text" matches if either the merchant or the description does; negated
+  // operators need both to pass, so "does not contain X" means neither has X
+  if (field === 'text') {
+    const negated = op.startsWith('not_');
+    return negated
+      ? testText(input.merchant, op, value) && testText(input.description, op, value)
+      : testText(input.merchant, op, value) || testText(input.description, op, value);
+  }
+
+  const kind = RULE_FIELDS[field]?.kind;
+
+  if (kind === 'number') {
+    return testNumber(input[field], op, value);
+  }
+
+  if (field === 'weekday') {
+    const normalized = Array.isArray(value) ? value.map(normalizeWeekday) : normalizeWeekday(value);
+    return testText(input.weekday, op, normalized);
+  }
+
+  return testText(input[field], op, value);
+}
+
+/**
+ * Evaluate a condition tree against a transaction
+ * @param {Object} node - Condition tree
+ * @param {Object} input - Output of toRuleInput
+ * @returns {boolean}
+ */
+export function evaluateConditions(node, input) {
+  if (!node) return false;
+
+  if (Array.isArray(node.all)) {
+    return node.all.every(child => evaluateConditions(child, input));
+  }
+
+  if (Array.isArray(node.any)) {
+    return node.any.some(child => evaluateConditions(child, input));
+  }
+
+  if (node.not) {
+    return !evaluateConditions(node.not, input);
+  }
+
+  return testLeaf(node, input);
+}
+
+/**
+ * Check a condition tree for problems
+ * @param {Object} node - Condition tree
+ * @returns {Array<string>} Problems found (empty when the tree is valid)
+ */
+export function validateConditions(node, depth = 0) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return ['Each condition must be an object'];
+  }
+
+  if (depth > MAX_DEPTH) {
+    return [`Conditions are nested more than ${MAX_DEPTH} levels deep`];
+  }
+
+  for (const group of ['all', 'any']) {
+    if (group in node) {
+      if (!Array.isArray(node[group]) || node[group].length === 0) {
+        return [`"${group}" must be a non-empty list of conditions`];
+      }
+      return node[group].flatMap(child => validateConditions(child, depth + 1));
+    }
+  }
+
+  if ('not' in node) {
+    return validateConditions(node.not, depth + 1);
+  }
+
+  const { field, op, value } = node;
+  const spec = RULE_FIELDS[field];
+
+  if (!spec) {
+    return [`Unknown field "${field}"`];
+  }
+
+  if (!spec.ops.includes(op)) {
+    return [`Operator "${op}" can't be used with ${spec.label}`];
+  }
+
+  if (op === 'in' || op === 'not_in') {
+    return Array.isArray(value) && value.length > 0 ? [] : [`"${op}" on ${spec.label} needs a list of values`];
+  }
+
+  if (op === 'between') {
+    const valid = Array.isArray(value) && value.length === 2 && value.every(v => Number.isFinite(Number(v)));
+    return valid ? [] : [`"between" on ${spec.label} needs two numbers`];
+  }
+
+  if (spec.kind === 'number') {
+    return Number.isFinite(Number(value)) && value !== '' && value !== null ? [] : [`${spec.label} needs a number`];
+  }
+
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return [`${spec.label} needs a value`];
+  }
+
+  if (op === 'matches') {
+    try {
+      new RegExp(value, 'i');
+    } catch (error) {
+      return [`Invalid regular expression for ${spec.label}: ${error.message}`];
+    }
+  }
+
+  if (spec.choices && field !== 'weekday' && !spec.choices.includes(String(value).toLowerCase())) {
+    return [`${spec.label} must be one of: ${spec.choices.join(', ')}`];
+  }
+
+  return [];
+}
+
+/**
+ * Condition tree equivalent to a legacy pattern rule
+ * @param {string} pattern - Text to look for in the merchant or description
+ * @param {string} matchType - exact, partial or regex
+ */
+export function conditionsFromPattern(pattern, matchType = 'regex') {
+  const op = { exact: 'equals', partial: 'contains' }[matchType] || 'matches';
+  return { all: [{ field: 'text', op, value: pattern }] };
+}
+
+/**
+ * The pattern and match type of a tree that is a single text test, for rules
+ * that can still be shown (and edited) as a plain pattern; null otherwise
+ */
+export function patternFromConditions(node) {
+  const leaves = node?.all;
+  if (!Array.isArray(leaves) || leaves.length !== 1 || leaves[0].field !== 'text') {
+    return null;
+  }
+
+  const matchType = { equals: 'exact', contains: 'partial', matches: 'regex' }[leaves[0].op];
+  return matchType ? { pattern: leaves[0].value, matchType } : null;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatValue).join(', ')}]`;
+  }
+  return typeof value === 'number' ? String(value) : `"${value}"`;
+}
+
+/**
+ * Readable summary of a condition tree,
+ * e.g. merchant contains "VENMO" AND amount < 20
+ */
+export function describeConditions(node) {
+  if (!node) return '';
+
+  if (Array.isArray(node.all)) {
+    return describeGroup(node.all, ' AND ');
+  }
+
+  if (Array.isArray(node.any)) {
+    return describeGroup(node.any, ' OR ');
+  }
+
+  if (node.not) {
+    return `NOT (${describeConditions(node.not)})`;
+  }
+
+  const spec = RULE_FIELDS[node.field];
+  const value = node.op === 'between' && Array.isArray(node.value)
+    ? `${node.value[0]} and ${node.value[1]}`
+    : formatValue(node.value);
+
+  return `${spec ? spec.label : node.field} ${OP_LABELS[node.op] || node.op} ${value}`;
+}
+
+// Nested groups are parenthesised so "a AND (b OR c)" reads unambiguously
+function describeGroup(children, joiner) {
+  return children
+    .map(child => {
+      const text = describeConditions(child);
+      const isGroup = children.length > 1 && (Array.isArray(child.all) || Array.isArray(child.any));
+      return isGroup ? `(${text})` : text;
+    })
+    .join(joiner);
+}
+
+// ============================================================================
+// RULE ACTIONS
+// ============================================================================
+
+/**
+ * Besides its category, a rule can carry a list of actions that run on every
+ * transaction it matches:
+ *   { "type": "rename", "value": "Netflix" }
+ *   { "type": "add_tags", "value": ["subscriptions"] }
+ *   { "type": "set_note", "value": "Shared with Sam" }
+ *   { "type": "split", "value": [{ "category_id": 4, "percent": 70 }, ...] }
+ *   { "type": "mark_transfer" }
+ *   { "type": "exclude_from_reports" }
+ * Split parts point at categories by id, so renaming a category doesn't
+ * detach them; rules loaded from the database also carry each part's current
+ * category name.
+ */
+export const RULE_ACTIONS = {
+  rename: { label: 'Set display name', value: 'text' },
+  add_tags: { label: 'Add tags', value: 'list' },
+  set_note: { label: 'Set note', value: 'text' },
+  split: { label: 'Split by percentage', value: 'splits' },
+  mark_transfer: { label: 'Mark as transfer', value: null },
+  exclude_from_reports: { label: 'Exclude from reports', value: null }
+};
+
+/**
+ * Check a rule's action list for problems
+ * @param {Array} actions - Rule actions
+ * @param {Set<number>} categoryIds - Existing category ids, to check split parts against
+ * @returns {Array<string>} Problems found (empty when the list is valid)
+ */
+export function validateActions(actions, categoryIds = null) {
+  if (!Array.isArray(actions)) {
+    return ['Actions must be a list'];
+  }
+
+  return actions.flatMap((action) => {
+    const spec = RULE_ACTIONS[action?.type];
+    if (!spec) {
+      return [`Unknown action "${action?.type}"`];
+    }
+
+    const { value } = action;
+
+    switch (spec.value) {
+      case 'text':
+        return typeof value === 'string' && value.trim() !== '' ? [] : [`${spec.label} needs a value`];
+      case 'list':
+        return Array.isArray(value) && value.some(v => String(v).trim() !== '') ? [] : [`${spec.label} needs at least one tag`];
+      case 'splits': {
+        if (!Array.isArray(value) || value.length < 2) {
+          return ['A split needs at least two parts'];
+        }
+        if (value.some(part => !Number.isInteger(part?.category_id) || !(Number(part.percent) > 0))) {
+          return ['Each split part needs a category_id and a positive percent'];
+        }
+        const unknown = categoryIds ? value.filter(part => !categoryIds.has(part.category_id)) : [];
+        if (unknown.length > 0) {
+          return [`Unknown split category ${unknown.map(part => part.category_id).join(', ')}`];
+        }
+        const total = value.reduce((sum, part) => sum + Number(part.percent), 0);
+        return Math.abs(total - 100) < 0.01 ? [] : [`Split percents add up to ${total}, not 100`];
+      }
+      default:
+        return [];
+    }
+  });
+}
+
+/**
+ * Split amounts for a percentage template, in cents so the parts add up to the
+ * transaction exactly (the last part takes the rounding remainder)
+ * @param {number} amount - Transaction amount
+ * @param {Array} template - [{ category_id, percent }]
+ * @returns {Array} [{ category_id, amount }]
+ */
+export function splitByPercent(amount, template) {
+  const totalCents = Math.round(amount * 100);
+  let remaining = totalCents;
+
+  return template.map((part, index) => {
+    const cents = index === template.length - 1
+      ? remaining
+      : Math.round(totalCents * Number(part.percent) / 100);
+    remaining -= cents;
+    return { category_id: part.category_id, amount: cents / 100 };
+  });
+}
+
+/**
+ * Readable summary of an action list,
+ * e.g. rename to "Netflix", add tags [subscriptions], exclude from reports
+ */
+export function describeActions(actions) {
+  if (!Array.isArray(actions)) return '';
+
+  return actions.map((action) => {
+    switch (action.type) {
+      case 'rename': return `rename to "${action.value}"`;
+      case 'add_tags': return `add tags ${formatValue(action.value)}`;
+      case 'set_note': return `note "${action.value}"`;
+      case 'split': return `split ${action.value.map(part => `${part.percent}% ${part.category ?? `category ${part.category_id}`}`).join(' / ')}`;
+      case 'mark_transfer': return 'mark as transfer';
+      case 'exclude_from_reports': return 'exclude from reports';
+      default: return action.type;
+    }
+  }).join(', ');
+}
@@ -0,0 +1,185 @@
+// ============================================================================
+// SEARCH QUERIES
+// ============================================================================
+
+/**
+ * Search queries mix free text with field filters:
+ *   whole foods amount:>50 category:groceries account:"Sapphire Card"
+ *   netflix date:2026              (a year, month or day)
+ *   rent date:2026-01-01..2026-03-31 after:2025-12-31 before:2026-04-01
+ *   "trader joe's" -refund merchant:costco note:birthday
+ *   hotel tag:vacation-2026 tag:reimbursable
+ *
+ * Free text is matched against the full-text index (every word must appear;
+ * words match as prefixes, quoted text as a phrase, -word excludes). amount
+ * compares the size of the transaction (>50, >=50, <20, <=20, 50, 10..50).
+ * category and account match part of the name, case-insensitively; tag
+ * matches a whole tag name, and every tag: given must be on the transaction.
+ */
+
+// Filters that search one column of the full-text index
+const COLUMN_FILTERS = {
+  merchant: 'merchant_name',
+  note: 'notes',
+  notes: 'notes'
+};
+
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+/**
+ * Split a query into tokens, keeping quoted text (also after "key:") together
+ */
+function tokenize(query) {
+  const tokens = [];
+  const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const [, negated, key, quoted, bare] = match;
+    tokens.push({
+      negated: negated === '-',
+      key: key ? key.toLowerCase() : null,
+      value: quoted ?? bare,
+      quoted: quoted !== undefined
+    });
+  }
+
+  return tokens;
+}
+
+// The first date after a year, month or day prefix ('2026' -> '2027',
+// '2026-12' -> '2027-01'), so "date < next" keeps everything inside it
+function nextDatePrefix(value) {
+  const [year, month, day] = value.split('-').map(Number);
+
+  if (day) {
+    const date = new Date(Date.UTC(year, month - 1, day + 1));
+    return date.toISOString().slice(0, 10);
+  }
+
+  if (month) {
+    return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+  }
+
+  return String(year + 1);
+}
+
+function parseAmount(value, errors) {
+  const range = value.match(/^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/);
+  if (range) {
+    return [{ op: '>=', value: Number(range[1]) }, { op: '<=', value: Number(range[2]) }];
+  }
+
+  const comparison = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+  if (comparison) {
+    return [{ op: comparison[1] || '=', value: Number(comparison[2]) }];
+  }
+
+  errors.push(`Invalid amount "${value}" (try amount:>50, amount:<=20 or amount:10..50)`);
+  return [];
+}
+
+function parseDateRange(value, errors) {
+  const [start, end, ...rest] = value.split('..');
+
+  if (end === undefined) {
+    if (!DATE_PATTERN.test(start)) {
+      errors.push(`Invalid date "${value}" (use YYYY, YYYY-MM or YYYY-MM-DD)`);
+      return [];
+    }
+    return [{ op: '>=', value: start }, { op: '<', value: nextDatePrefix(start) }];
+  }
+
+  if (rest.length > 0 || (start && !DATE_PATTERN.test(start)) || (end && !DATE_PATTERN.test(end))) {
+    errors.push(`Invalid date range "${value}" (use YYYY-MM-DD..YYYY-MM-DD)`);
+    return [];
+  }
+
+  const comparisons = [];
+  if (start) comparisons.push({ op: '>=', value: start });
+  if (end) comparisons.push({ op: '<', value: nextDatePrefix(end) });
+  return comparisons;
+}
+
+/**
+ * Parse a search query
+ * @param {string} query - Raw query text
+ * @returns {Object} { terms, amount, date, category, account, tags, errors }
+ *   terms: [{ value, phrase, negated, column }] for the full-text index
+ *   amount, date: [{ op, value }] comparisons that must all hold
+ */
+export function parseSearchQuery(query) {
+  const parsed = { terms: [], amount: [], date: [], category: null, account: null, tags: [], errors: [] };
+
+  for (const token of tokenize(query || '')) {
+    const { key, value, quoted, negated } = token;
+    if (!value) continue;
+
+    switch (key) {
+      case 'amount':
+        parsed.amount.push(...parseAmount(value, parsed.errors));
+        break;
+      case 'date':
+        parsed.date.push(...parseDateRange(value, parsed.errors));
+        break;
+      case 'after':
+      case 'before':
+        if (!DATE_PATTERN.test(value)) {
+          parsed.errors.push(`Invalid date "${value}" (use YYYY, YYYY-MM or YYYY-MM-DD)`);
+        } else if (key === 'after') {
+          parsed.date.push({ op: '>=', value: nextDatePrefix(value) });
+        } else {
+          parsed.date.push({ op: '<', value });
+        }
+        break;
+      case 'category':
+      case 'account':
+        parsed[key] = value;
+        break;
+      case 'tag':
+        parsed.tags.push(value);
+        break;
+      default:
+        if (key && COLUMN_FILTERS[key]) {
+          parsed.terms.push({ value, phrase: quoted, negated, column: COLUMN_FILTERS[key] });
+        } else {
+          // An unknown "key:" is part of the text (e.g. a time like 10:30)
+          parsed.terms.push({ value: key ? `${key}:${value}` : value, phrase: quoted, negated, column: null });
+        }
+    }
+  }
+
+  return parsed;
+}
+
+// One term as an FTS5 expression; every token is quoted so user input can't
+// be read as FTS5 syntax
+function termExpression(term) {
+  const words = term.value.match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) return null;
+
+  const quotedWords = words.map(word => `"${word}"`);
+  const expression = term.phrase
+    ? quotedWords.join(' + ')
+    : quotedWords.map(word => `${word}*`).join(' ');
+
+  const grouped = words.length > 1 ? `(${expression})` : expression;
+  return term.column ? `${term.column} : ${grouped}` : grouped;
+}
+
+/**
+ * Build FTS5 MATCH expressions from parsed terms
+ * FTS5 can't match "everything except", so excluded terms get their own
+ * expression for the caller to subtract.
+ * @param {Array} terms - parseSearchQuery().terms
+ * @returns {Object} { include, exclude } (each an expression or null)
+ */
+export function buildMatchExpressions(terms) {
+  const include = terms.filter(term => !term.negated).map(termExpression).filter(Boolean);
+  const exclude = terms.filter(term => term.negated).map(termExpression).filter(Boolean);
+
+  return {
+    include: include.length > 0 ? include.join(' AND ') : null,
+    exclude: exclude.length > 0 ? exclude.join(' OR ') : null
+  };
+}
@@ -12,6 +12,15 @@ import * as sync from './sync.js';
 import * as sheets from './sheets.js';
 import * as amazon from './amazon.js';
 import * as copilot from './copilot.js';
+import * as importer from './importer.js';
+import * as recurring from './recurring.js';
+import * as transfers from './transfers.js';
+import * as reimbursements from './reimbursements.js';
+import * as forecast from './forecast.js';
+import * as reports from './reports.js';
+import * as events from './events.js';
+import * as rules from './rules.js';
+import * as search from './search.js';
 import aiCategorization from '../services/aiCategorizationService.js';
 import { amazonItemCategorization } from '../services/amazonItemCategorizationService.js';
 import { backgroundJobService } from '../services/backgroundJobService.js';
@@ -31,6 +40,8 @@ app.use(compression({
 }));
 app.use(express.json());
 app.use(express.static(join(__dirname, '../public')));
+// Tag server events with the tab (X-Client-Id) whose request caused them
+app.use('/api', events.trackEventOrigin);
 
 // Smart API caching: cache static data, disable for dynamic data
 app.use('/api', (req, res, next) => {
@@ -83,7 +94,12 @@ async function ensureSheets() {
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', sheetsInitialized });
+  res.json({ status: 'ok', sheetsInitialized, eventClients: events.getClientCount() });
+});
+
+// Live server events (job progress, syncs, transaction changes) as a Server-Sent Events stream
+app.get('/api/events', (req, res) => {
+  events.subscribe(req, res);
 });
 
 // Get environment info
@@ -172,6 +188,150 @@ app.put('/api/accounts/:accountId/rename', async (req, res) => {
   }
 });
 
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDate(value) {
+  return DATE_ONLY_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+// Validate a manual account body; partial bodies (updates) only check what's given
+function getManualAccountError(body, partial = false) {
+  const { name, type, balance, date } = body;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return 'Account name is required';
+    }
+  }
+  if (!partial || type !== undefined) {
+    if (!database.MANUAL_ACCOUNT_TYPES.includes(type)) {
+      return `type must be one of: ${database.MANUAL_ACCOUNT_TYPES.join(', ')}`;
+    }
+  }
+  if (balance !== undefined && !Number.isFinite(balance)) {
+    return 'balance must be a number';
+  }
+  if (date !== undefined && date !== null && !isValidDate(date)) {
+    return 'date must be YYYY-MM-DD';
+  }
+
+  return null;
+}
+
+// Map errors from manual account and transaction changes to status codes
+function sendManualEntryError(res, error, action) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('already exists') || error.message.startsWith('Only ')) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Create a manual account (cash, retirement, property, loans...)
+app.post('/api/accounts', (req, res) => {
+  try {
+    const validationError = getManualAccountError(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, type, subtype, institutionName, balance, date } = req.body;
+    const account = database.createManualAccount({
+      name: name.trim(),
+      type,
+      subtype,
+      institutionName: institutionName?.trim(),
+      balance,
+      date
+    });
+
+    events.publish('accountsChanged', { accountId: account.account_id, action: 'created' });
+    res.json(account);
+  } catch (error) {
+    sendManualEntryError(res, error, 'creating manual account');
+  }
+});
+
+// Update a manual account's name, type or institution
+app.put('/api/accounts/:accountId', (req, res) => {
+  try {
+    const validationError = getManualAccountError(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, type, subtype, institutionName } = req.body;
+    const account = database.updateManualAccount(req.params.accountId, {
+      name: name?.trim(),
+      type,
+      subtype,
+      institutionName: institutionName?.trim()
+    });
+
+    events.publish('accountsChanged', { accountId: account.account_id, action: 'updated' });
+    res.json(account);
+  } catch (error) {
+    sendManualEntryError(res, error, 'updating manual account');
+  }
+});
+
+// Delete a manual account with its balance history and transactions
+app.delete('/api/accounts/:accountId', (req, res) => {
+  try {
+    const result = database.deleteManualAccount(req.params.accountId);
+
+    events.publish('accountsChanged', { accountId: req.params.accountId, action: 'deleted' });
+    res.json(result);
+  } catch (error) {
+    sendManualEntryError(res, error, 'deleting manual account');
+  }
+});
+
+// Balance history of an account, newest first
+app.get('/api/accounts/:accountId/balances', (req, res) => {
+  try {
+    res.json(database.getBalanceHistory(req.params.accountId));
+  } catch (error) {
+    sendManualEntryError(res, error, 'fetching balance history');
+  }
+});
+
+// Record a manual account's balance ({ balance, date }, date defaults to today)
+app.post('/api/accounts/:accountId/balances', (req, res) => {
+  try {
+    const { balance, date } = req.body;
+
+    if (!Number.isFinite(balance)) {
+      return res.status(400).json({ error: 'balance must be a number' });
+    }
+    if (date !== undefined && date !== null && !isValidDate(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    const account = database.setManualAccountBalance(req.params.accountId, balance, date || null);
+
+    events.publish('accountsChanged', { accountId: account.account_id, action: 'balance' });
+    res.json(account);
+  } catch (error) {
+    sendManualEntryError(res, error, 'recording balance');
+  }
+});
+
+// Remove one entry from a manual account's balance history
+app.delete('/api/accounts/:accountId/balances/:date', (req, res) => {
+  try {
+    const account = database.deleteBalanceSnapshot(req.params.accountId, req.params.date);
+
+    events.publish('accountsChanged', { accountId: account.account_id, action: 'balance' });
+    res.json(account);
+  } catch (error) {
+    sendManualEntryError(res, error, 'deleting balance entry');
+  }
+});
+
 // Get transactions
 app.get('/api/transactions', async (req, res) => {
   try {
@@ -183,6 +343,7 @@ app.get('/api/transactions', async (req, res) => {
       startDate: req.query.startDate,
       endDate: req.query.endDate,
       amazonMatch: req.query.amazonMatch,
+      tags: parseTagList(req.query.tags),
       offset: offset
     };
 
@@ -194,6 +355,137 @@ app.get('/api/transactions', async (req, res) => {
   }
 });
 
+// Validate a hand-entered transaction body; partial bodies (updates) only check what's given
+function getManualTransactionError(body, partial = false) {
+  const { account_id, date, description, amount, category } = body;
+
+  if (!partial && !account_id) {
+    return 'account_id is required';
+  }
+  if (!partial || date !== undefined) {
+    if (!isValidDate(date)) {
+      return 'date must be YYYY-MM-DD';
+    }
+  }
+  if (!partial || description !== undefined) {
+    if (typeof description !== 'string' || description.trim().length === 0) {
+      return 'description is required';
+    }
+  }
+  if (!partial || amount !== undefined) {
+    if (!Number.isFinite(amount) || amount === 0) {
+      return 'amount must be a non-zero number (positive for money going out)';
+    }
+  }
+  if (category !== undefined && category !== null && typeof category !== 'string') {
+    return 'category must be a category name';
+  }
+
+  return null;
+}
+
+// Add a transaction by hand to a manual account
+app.post('/api/transactions', (req, res) => {
+  try {
+    const validationError = getManualTransactionError(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const transaction = database.createManualTransaction({
+      ...req.body,
+      description: req.body.description.trim()
+    });
+
+    // Pick up new periodic charges, transfers and repayments
+    recurring.detectRecurringSeries();
+    transfers.detectTransfers();
+    reimbursements.detectReimbursements();
+
+    events.publish('transactionsAdded', { source: 'manual', count: 1 });
+    res.json(transaction);
+  } catch (error) {
+    sendManualEntryError(res, error, 'creating transaction');
+  }
+});
+
+// Edit a hand-entered transaction
+app.put('/api/transactions/:transactionId', (req, res) => {
+  try {
+    const validationError = getManualTransactionError(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const transaction = database.updateManualTransaction(req.params.transactionId, {
+      ...req.body,
+      description: req.body.description?.trim()
+    });
+
+    events.publish('transactionsChanged', { transactionIds: [req.params.transactionId], action: 'updated' });
+    res.json(transaction);
+  } catch (error) {
+    if (error.message.startsWith('Remove the splits')) {
+      return res.status(400).json({ error: error.message });
+    }
+    sendManualEntryError(res, error, 'updating transaction');
+  }
+});
+
+// Delete a hand-entered transaction
+app.delete('/api/transactions/:transactionId', (req, res) => {
+  try {
+    const result = database.deleteManualTransaction(req.params.transactionId);
+
+    events.publish('transactionsChanged', { transactionIds: [req.params.transactionId], action: 'deleted' });
+    res.json(result);
+  } catch (error) {
+    sendManualEntryError(res, error, 'deleting transaction');
+  }
+});
+
+// Search transactions (and Amazon items) with free text and field filters,
+// e.g. ?q=whole foods amount:>50 category:groceries date:2026-01..2026-03
+app.get('/api/search', (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const scope = req.query.scope || 'transactions';
+    const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+    if (!q) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+    if (!['transactions', 'amazon', 'all'].includes(scope)) {
+      return res.status(400).json({ error: 'scope must be transactions, amazon or all' });
+    }
+
+    const query = search.parseSearchQuery(q);
+    if (query.errors.length > 0) {
+      return res.status(400).json({ error: query.errors.join('; ') });
+    }
+
+    const result = { query: q, transactions: [], total: 0, amazonItems: [] };
+
+    if (scope !== 'amazon') {
+      const found = database.searchTransactions(query, search.buildMatchExpressions(query.terms), { limit, offset });
+      result.transactions = found.transactions;
+      result.total = found.total;
+    }
+
+    // Amazon items have no merchant or notes, so only plain text is searched there
+    const itemMatch = search.buildMatchExpressions(query.terms.filter(term => !term.column));
+    if (scope !== 'transactions' && itemMatch.include) {
+      result.amazonItems = database.searchAmazonItems(query, itemMatch, limit);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error searching transactions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get statistics
 app.get('/api/stats', async (req, res) => {
   try {
@@ -230,6 +522,22 @@ app.get('/api/charts/net-worth', async (req, res) => {
   }
 });
 
+// Get projected account balances from recurring income, bills and everyday spending
+app.get('/api/forecast', (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 365);
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : undefined;
+    if (threshold !== undefined && isNaN(threshold)) {
+      return res.status(400).json({ error: 'threshold must be a number' });
+    }
+
+    res.json(forecast.getForecast({ days, threshold }));
+  } catch (error) {
+    console.error('Error building forecast:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get categories
 app.get('/api/categories', async (req, res) => {
   try {
@@ -253,6 +561,86 @@ app.get('/api/categories/spending', async (req, res) => {
   }
 });
 
+// Parse and validate report query options; returns { error } or { options }
+function parseReportOptions(query) {
+  const period = query.period || 'monthly';
+  if (!reports.REPORT_PERIODS.includes(period)) {
+    return { error: `period must be one of: ${reports.REPORT_PERIODS.join(', ')}` };
+  }
+
+  const compare = query.compare || 'previous';
+  if (!reports.REPORT_COMPARISONS.includes(compare)) {
+    return { error: `compare must be one of: ${reports.REPORT_COMPARISONS.join(', ')}` };
+  }
+
+  if (query.end !== undefined && !isValidDate(query.end)) {
+    return { error: 'end must be YYYY-MM-DD' };
+  }
+
+  const count = query.count !== undefined ? parseInt(query.count) : undefined;
+  if (count !== undefined && (isNaN(count) || count < 1 || count > 36)) {
+    return { error: 'count must be between 1 and 36' };
+  }
+
+  return { options: { period, compare, count, end: query.end } };
+}
+
+function sendReportError(res, error, action) {
+  if (error.message === 'Category not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Category x period spending matrix with period-over-period or year-over-year changes
+app.get('/api/reports/spending', (req, res) => {
+  try {
+    const { error, options } = parseReportOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(reports.getCategoryReport(options));
+  } catch (error) {
+    sendReportError(res, error, 'building spending report');
+  }
+});
+
+// Drill into a category: merchant x period spending matrix
+app.get('/api/reports/spending/merchants', (req, res) => {
+  try {
+    const { error, options } = parseReportOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!req.query.category) {
+      return res.status(400).json({ error: 'category is required' });
+    }
+
+    res.json(reports.getMerchantReport(req.query.category, options));
+  } catch (error) {
+    sendReportError(res, error, 'building merchant report');
+  }
+});
+
+// Drill into a report cell: the transactions behind it
+app.get('/api/reports/spending/transactions', (req, res) => {
+  try {
+    const { period = 'monthly', key, category, merchant } = req.query;
+    if (!reports.REPORT_PERIODS.includes(period)) {
+      return res.status(400).json({ error: `period must be one of: ${reports.REPORT_PERIODS.join(', ')}` });
+    }
+    if (!key || !reports.isValidPeriodKey(key, period)) {
+      return res.status(400).json({ error: 'key must be a period such as 2026-03, 2026-Q1 or 2026 matching period' });
+    }
+
+    res.json(reports.getReportTransactions({ period, key, category, merchant }));
+  } catch (error) {
+    sendReportError(res, error, 'fetching report transactions');
+  }
+});
+
 // Add a new category
 app.post('/api/categories', async (req, res) => {
   try {
@@ -311,6 +699,30 @@ app.delete('/api/categories/:categoryName', async (req, res) => {
   }
 });
 
+// Merge a category into another (dry_run returns the affected row counts without writing)
+app.post('/api/categories/:id/merge', async (req, res) => {
+  try {
+    const sourceId = parseInt(req.params.id);
+    const { target_id, dry_run = false } = req.body;
+
+    if (!target_id) {
+      return res.status(400).json({ error: 'target_id is required' });
+    }
+
+    const result = database.mergeCategory(sourceId, parseInt(target_id), { dryRun: !!dry_run });
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Category not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Cannot merge a category into itself') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error merging category:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Generate emoji suggestions for a category
 app.post('/api/categories/suggest-emojis', async (req, res) => {
   try {
@@ -328,6 +740,81 @@ app.post('/api/categories/suggest-emojis', async (req, res) => {
   }
 });
 
+// Tags arrive as an array or a comma-separated string ("vacation-2026,reimbursable")
+function parseTagList(value) {
+  if (Array.isArray(value)) {
+    return value.filter(tag => typeof tag === 'string');
+  }
+  return typeof value === 'string' ? value.split(',') : [];
+}
+
+function sendTagError(res, error, action) {
+  if (error.message === 'Tag not found' || error.message === 'Transaction not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('already exists') || error.message === 'Tag name is required') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Get all tags with their transaction counts
+app.get('/api/tags', (req, res) => {
+  try {
+    res.json(database.getTags());
+  } catch (error) {
+    sendTagError(res, error, 'fetching tags');
+  }
+});
+
+// Spending and income per tag, with each tag's spending by category
+app.get('/api/tags/spending', (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    res.json(database.getTagSpending(startDate, endDate));
+  } catch (error) {
+    sendTagError(res, error, 'fetching tag spending');
+  }
+});
+
+// Create a tag
+app.post('/api/tags', (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Tag name is required' });
+    }
+
+    res.json(database.createTag(name, color || null));
+  } catch (error) {
+    sendTagError(res, error, 'creating tag');
+  }
+});
+
+// Rename a tag or change its color
+app.put('/api/tags/:id', (req, res) => {
+  try {
+    const tag = database.updateTag(parseInt(req.params.id), req.body);
+    events.publish('transactionsChanged', { transactionIds: null, action: 'tagged' });
+    res.json(tag);
+  } catch (error) {
+    sendTagError(res, error, 'updating tag');
+  }
+});
+
+// Delete a tag (removes it from every transaction)
+app.delete('/api/tags/:id', (req, res) => {
+  try {
+    const result = database.deleteTag(parseInt(req.params.id));
+    events.publish('transactionsChanged', { transactionIds: null, action: 'tagged' });
+    res.json(result);
+  } catch (error) {
+    sendTagError(res, error, 'deleting tag');
+  }
+});
+
 // Update multiple transactions with the same category
 // IMPORTANT: This must come BEFORE the :transactionId route to avoid "bulk" being treated as an ID
 app.patch('/api/transactions/bulk/category', async (req, res) => {
@@ -352,6 +839,10 @@ app.patch('/api/transactions/bulk/category', async (req, res) => {
 
     console.log('Updated count:', updated);
 
+    if (updated > 0) {
+      events.publish('transactionsCategorized', { transactionIds, category, count: updated });
+    }
+
     res.json({
       success: true,
       updated
@@ -362,6 +853,33 @@ app.patch('/api/transactions/bulk/category', async (req, res) => {
   }
 });
 
+// Add and/or remove tags on several transactions ({ transactionIds, add, remove })
+app.patch('/api/transactions/bulk/tags', (req, res) => {
+  try {
+    const { transactionIds } = req.body;
+    const add = parseTagList(req.body.add);
+    const remove = parseTagList(req.body.remove);
+
+    if (!Array.isArray(transactionIds) || transactionIds.length === 0) {
+      return res.status(400).json({ error: 'Transaction IDs array is required' });
+    }
+    if (add.length === 0 && remove.length === 0) {
+      return res.status(400).json({ error: 'Tags to add or remove are required' });
+    }
+
+    const added = database.addTransactionTags(transactionIds, add, 'user');
+    const removed = database.removeTransactionTags(transactionIds, remove);
+
+    if (added > 0 || removed > 0) {
+      events.publish('transactionsChanged', { transactionIds, action: 'tagged' });
+    }
+
+    res.json({ success: true, added, removed });
+  } catch (error) {
+    sendTagError(res, error, 'updating tags');
+  }
+});
+
 // Update transaction category
 app.patch('/api/transactions/:transactionId/category', async (req, res) => {
   try {
@@ -373,6 +891,7 @@ app.patch('/api/transactions/:transactionId/category', async (req, res) => {
     }
 
     database.updateTransactionCategory(transactionId, category);
+    events.publish('transactionsCategorized', { transactionIds: [transactionId], category, count: 1 });
 
     // Find similar transactions to suggest updating
     const transaction = database.getTransactions(1, { transactionId }).find(t => t.transaction_id === transactionId);
@@ -390,6 +909,19 @@ app.patch('/api/transactions/:transactionId/category', async (req, res) => {
   }
 });
 
+// Replace a transaction's tags ({ tags })
+app.put('/api/transactions/:transactionId/tags', (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const tags = database.setTransactionTags(transactionId, parseTagList(req.body.tags));
+
+    events.publish('transactionsChanged', { transactionIds: [transactionId], action: 'tagged' });
+    res.json({ success: true, tags });
+  } catch (error) {
+    sendTagError(res, error, 'setting transaction tags');
+  }
+});
+
 // Get similar transactions for a given transaction
 app.get('/api/transactions/:transactionId/similar', async (req, res) => {
   try {
@@ -443,6 +975,9 @@ app.post('/api/transactions/recategorize', async (req, res) => {
   try {
     const { onlyUncategorized = true, transactionIds = null } = req.body;
     const result = database.recategorizeExistingTransactions(onlyUncategorized, transactionIds);
+    if (result.updated > 0 || result.actionsApplied > 0) {
+      events.publish('transactionsCategorized', { transactionIds, count: result.updated });
+    }
     res.json(result);
   } catch (error) {
     console.error('Error recategorizing transactions:', error);
@@ -513,6 +1048,7 @@ app.post('/api/ai/auto-categorize', async (req, res) => {
       transactions = db.prepare(`
         SELECT
           t.*,
+          c.name as category,
           ao.order_id as amazon_order_id,
           ao.total_amount as amazon_total,
           ao.order_date as amazon_order_date,
@@ -523,14 +1059,16 @@ app.post('/api/ai/auto-categorize', async (req, res) => {
           ao.shipping as amazon_shipping,
           ao.payment_method as amazon_payment_method
         FROM transactions t
+        LEFT JOIN categories c ON c.id = t.category_id
         LEFT JOIN amazon_orders ao ON t.transaction_id = ao.matched_transaction_id
-        WHERE t.category = 'Uncategorized' OR t.category IS NULL
+        WHERE c.name = 'Uncategorized' OR t.category_id IS NULL
         ORDER BY t.date DESC
       `).all();
     } else {
       transactions = db.prepare(`
         SELECT
           t.*,
+          c.name as category,
           ao.order_id as amazon_order_id,
           ao.total_amount as amazon_total,
           ao.order_date as amazon_order_date,
@@ -541,6 +1079,7 @@ app.post('/api/ai/auto-categorize', async (req, res) => {
           ao.shipping as amazon_shipping,
           ao.payment_method as amazon_payment_method
         FROM transactions t
+        LEFT JOIN categories c ON c.id = t.category_id
         LEFT JOIN amazon_orders ao ON t.transaction_id = ao.matched_transaction_id
         ORDER BY t.date DESC
       `).all();
@@ -580,20 +1119,26 @@ app.post('/api/ai/auto-categorize', async (req, res) => {
     if (updateDatabase) {
       const updateStmt = db.prepare(`
         UPDATE transactions
-        SET category = ?
+        SET category_id = ?
         WHERE id = ?
       `);
 
       for (let i = 0; i < transactions.length; i++) {
         const transaction = transactions[i];
         const result = results[i];
+        const categoryId = database.getCategoryIdByName(result.category);
 
-        // Only update if confidence is high enough
-        if (result.confidence >= 0.7) {
-          updateStmt.run(result.category, transaction.id);
+        // Only update if confidence is high enough and the category exists
+        if (result.confidence >= 0.7 && categoryId) {
+          updateStmt.run(categoryId, transaction.id);
+          database.recordCategorizationDecision(transaction.transaction_id, aiCategorization.toDecision(result, transaction));
           updated++;
         }
       }
+
+      if (updated > 0) {
+        events.publish('transactionsCategorized', { transactionIds: null, count: updated });
+      }
     }
 
     res.json({
@@ -625,143 +1170,162 @@ app.post('/api/ai/learn', async (req, res) => {
   }
 });
 
-// Review all transactions and suggest improvements
-app.post('/api/ai/review-all', async (req, res) => {
-  try {
-    const { confidenceThreshold = 100, limit = 10, offset = 0 } = req.body;
+/**
+ * Review one page of low-confidence transactions and collect AI re-categorization suggestions
+ * @param {Object} options - { confidenceThreshold, limit, offset }
+ * @returns {Object} Page of suggestions with paging info
+ */
+async function reviewTransactionsPage({ confidenceThreshold = 100, limit = 10, offset = 0 }) {
+  // Get database instance
+  const db = database.getDatabase();
+
+  // Get all transactions with confidence < threshold (with limit and offset for progressive loading)
+  // Include Amazon order information if matched
+  const transactions = db.prepare(`
+    SELECT
+      t.*,
+      c.name as category,
+      ao.order_id as amazon_order_id,
+      ao.total_amount as amazon_total,
+      ao.order_date as amazon_order_date,
+      ao.match_confidence as amazon_match_confidence,
+      ao.order_status as amazon_order_status,
+      ao.subtotal as amazon_subtotal,
+      ao.tax as amazon_tax,
+      ao.shipping as amazon_shipping,
+      ao.payment_method as amazon_payment_method
+    FROM transactions t
+    LEFT JOIN categories c ON c.id = t.category_id
+    LEFT JOIN amazon_orders ao ON t.transaction_id = ao.matched_transaction_id
+    WHERE t.confidence < ?
+    ORDER BY t.date DESC
+    LIMIT ? OFFSET ?
+  `).all(confidenceThreshold, limit, offset);
+
+  // Fetch Amazon items for matched transactions (optimized to avoid N+1 queries)
+  const orderIds = transactions
+    .filter(tx => tx.amazon_order_id)
+    .map(tx => tx.amazon_order_id);
+
+  if (orderIds.length > 0) {
+    const placeholders = orderIds.map(() => '?').join(',');
+    const allItems = db.prepare(`SELECT * FROM amazon_items WHERE order_id IN (${placeholders})`).all(...orderIds);
+
+    // Group items by order_id
+    const itemsByOrderId = {};
+    allItems.forEach(item => {
+      if (!itemsByOrderId[item.order_id]) {
+        itemsByOrderId[item.order_id] = [];
+      }
+      itemsByOrderId[item.order_id].push(item);
+    });
 
-    // Get database instance
-    const db = database.getDatabase();
+    // Attach items to transactions
+    transactions.forEach(tx => {
+      if (tx.amazon_order_id) {
+        tx.amazon_items = itemsByOrderId[tx.amazon_order_id] || [];
+      }
+    });
+  }
 
-    // Get all transactions with confidence < threshold (with limit and offset for progressive loading)
-    // Include Amazon order information if matched
-    const transactions = db.prepare(`
-      SELECT
-        t.*,
-        ao.order_id as amazon_order_id,
-        ao.total_amount as amazon_total,
-        ao.order_date as amazon_order_date,
-        ao.match_confidence as amazon_match_confidence,
-        ao.order_status as amazon_order_status,
-        ao.subtotal as amazon_subtotal,
-        ao.tax as amazon_tax,
-        ao.shipping as amazon_shipping,
-        ao.payment_method as amazon_payment_method
-      FROM transactions t
-      LEFT JOIN amazon_orders ao ON t.transaction_id = ao.matched_transaction_id
-      WHERE t.confidence < ?
-      ORDER BY t.date DESC
-      LIMIT ? OFFSET ?
-    `).all(confidenceThreshold, limit, offset);
+  // Get total count for info
+  const totalCount = db.prepare(`
+    SELECT COUNT(*) as count FROM transactions WHERE confidence < ?
+  `).get(confidenceThreshold).count;
 
-    // Fetch Amazon items for matched transactions (optimized to avoid N+1 queries)
-    const orderIds = transactions
-      .filter(tx => tx.amazon_order_id)
-      .map(tx => tx.amazon_order_id);
-
-    if (orderIds.length > 0) {
-      const placeholders = orderIds.map(() => '?').join(',');
-      const allItems = db.prepare(`SELECT * FROM amazon_items WHERE order_id IN (${placeholders})`).all(...orderIds);
+  console.log(`Reviewing ${transactions.length} of ${totalCount} transactions with confidence < ${confidenceThreshold}%`);
 
-      // Group items by order_id
-      const itemsByOrderId = {};
-      allItems.forEach(item => {
-        if (!itemsByOrderId[item.order_id]) {
-          itemsByOrderId[item.order_id] = [];
-        }
-        itemsByOrderId[item.order_id].push(item);
-      });
+  if (transactions.length === 0) {
+    return {
+      total_reviewed: 0,
+      total_available: totalCount,
+      suggestions_count: 0,
+      suggestions: []
+    };
+  }
 
-      // Attach items to transactions
-      transactions.forEach(tx => {
-        if (tx.amazon_order_id) {
-          tx.amazon_items = itemsByOrderId[tx.amazon_order_id] || [];
-        }
+  // Get AI suggestions for each (batch size 3 to prevent memory issues with Mistral 7B)
+  const suggestions = [];
+  const results = await aiCategorization.batchCategorize(transactions, { batchSize: 3 });
+
+  for (let i = 0; i < transactions.length; i++) {
+    const transaction = transactions[i];
+    const aiResult = results[i];
+
+    // Only suggest if:
+    // 1. Category is different
+    // 2. AI confidence is higher than current confidence
+    // 3. AI confidence >= 70%
+    const currentConfidence = transaction.confidence || 0;
+    const shouldSuggest =
+      aiResult.category !== transaction.category &&
+      aiResult.confidence >= 0.7 &&
+      aiResult.confidence * 100 > currentConfidence;
+
+    if (shouldSuggest) {
+      suggestions.push({
+        transaction_id: transaction.transaction_id,
+        date: transaction.date,
+        description: transaction.description,
+        merchant_name: transaction.merchant_name,
+        account_name: transaction.account_name,
+        amount: transaction.amount,
+        current_category: transaction.category,
+        current_confidence: currentConfidence,
+        suggested_category: aiResult.category,
+        suggested_confidence: Math.round(aiResult.confidence * 100),
+        reasoning: aiResult.reasoning,
+        method: aiResult.method,
+        decision: aiCategorization.toDecision(aiResult, transaction),
+        // Include all transaction metadata for learning
+        payment_channel: transaction.payment_channel,
+        transaction_type: transaction.transaction_type,
+        plaid_primary_category: transaction.plaid_primary_category,
+        plaid_detailed_category: transaction.plaid_detailed_category,
+        plaid_confidence_level: transaction.plaid_confidence_level,
+        location_city: transaction.location_city,
+        location_region: transaction.location_region,
+        location_address: transaction.location_address,
+        merchant_entity_id: transaction.merchant_entity_id,
+        authorized_datetime: transaction.authorized_datetime,
+        pending: transaction.pending,
+        verified: transaction.verified,
+        // Amazon order information (if matched)
+        amazon_order: transaction.amazon_order_id ? {
+          order_id: transaction.amazon_order_id,
+          total_amount: transaction.amazon_total,
+          order_date: transaction.amazon_order_date,
+          match_confidence: transaction.amazon_match_confidence,
+          order_status: transaction.amazon_order_status
+        } : null
       });
     }
+  }
 
-    // Get total count for info
-    const totalCount = db.prepare(`
-      SELECT COUNT(*) as count FROM transactions WHERE confidence < ?
-    `).get(confidenceThreshold).count;
-
-    console.log(`Reviewing ${transactions.length} of ${totalCount} transactions with confidence < ${confidenceThreshold}%`);
+  return {
+    total_reviewed: transactions.length,
+    total_available: totalCount,
+    suggestions_count: suggestions.length,
+    suggestions,
+    offset: offset,
+    limit: limit,
+    has_more: (offset + limit) < totalCount
+  };
+}
 
-    if (transactions.length === 0) {
-      return res.json({
-        total_reviewed: 0,
-        total_available: totalCount,
-        suggestions_count: 0,
-        suggestions: []
-      });
-    }
+// Review all transactions and suggest improvements
+// With background: true, the whole set is reviewed by a queued job that publishes
+// each page of suggestions as a job update
+app.post('/api/ai/review-all', async (req, res) => {
+  try {
+    const { confidenceThreshold = 100, limit = 10, offset = 0, background = false } = req.body;
 
-    // Get AI suggestions for each (batch size 3 to prevent memory issues with Mistral 7B)
-    const suggestions = [];
-    const results = await aiCategorization.batchCategorize(transactions, { batchSize: 3 });
-
-    for (let i = 0; i < transactions.length; i++) {
-      const transaction = transactions[i];
-      const aiResult = results[i];
-
-      // Only suggest if:
-      // 1. Category is different
-      // 2. AI confidence is higher than current confidence
-      // 3. AI confidence >= 70%
-      const currentConfidence = transaction.confidence || 0;
-      const shouldSuggest =
-        aiResult.category !== transaction.category &&
-        aiResult.confidence >= 0.7 &&
-        aiResult.confidence * 100 > currentConfidence;
-
-      if (shouldSuggest) {
-        suggestions.push({
-          transaction_id: transaction.transaction_id,
-          date: transaction.date,
-          description: transaction.description,
-          merchant_name: transaction.merchant_name,
-          account_name: transaction.account_name,
-          amount: transaction.amount,
-          current_category: transaction.category,
-          current_confidence: currentConfidence,
-          suggested_category: aiResult.category,
-          suggested_confidence: Math.round(aiResult.confidence * 100),
-          reasoning: aiResult.reasoning,
-          method: aiResult.method,
-          // Include all transaction metadata for learning
-          payment_channel: transaction.payment_channel,
-          transaction_type: transaction.transaction_type,
-          plaid_primary_category: transaction.plaid_primary_category,
-          plaid_detailed_category: transaction.plaid_detailed_category,
-          plaid_confidence_level: transaction.plaid_confidence_level,
-          location_city: transaction.location_city,
-          location_region: transaction.location_region,
-          location_address: transaction.location_address,
-          merchant_entity_id: transaction.merchant_entity_id,
-          authorized_datetime: transaction.authorized_datetime,
-          pending: transaction.pending,
-          verified: transaction.verified,
-          // Amazon order information (if matched)
-          amazon_order: transaction.amazon_order_id ? {
-            order_id: transaction.amazon_order_id,
-            total_amount: transaction.amazon_total,
-            order_date: transaction.amazon_order_date,
-            match_confidence: transaction.amazon_match_confidence,
-            order_status: transaction.amazon_order_status
-          } : null
-        });
-      }
+    if (background) {
+      const job = backgroundJobService.enqueue('ai-review-all', { confidenceThreshold, batchSize: limit });
+      return res.json({ success: true, jobId: job.id });
     }
 
-    res.json({
-      total_reviewed: transactions.length,
-      total_available: totalCount,
-      suggestions_count: suggestions.length,
-      suggestions,
-      offset: offset,
-      limit: limit,
-      has_more: (offset + limit) < totalCount
-    });
+    res.json(await reviewTransactionsPage({ confidenceThreshold, limit, offset }));
   } catch (error) {
     console.error('Error reviewing transactions:', error);
     res.status(500).json({ error: error.message });
@@ -783,16 +1347,38 @@ app.post('/api/ai/apply-suggestions', async (req, res) => {
     let updated = 0;
     const updateStmt = db.prepare(`
       UPDATE transactions
-      SET category = ?,
+      SET category_id = ?,
           confidence = ?,
           categorization_reasoning = ?
       WHERE transaction_id = ?
     `);
 
+    const getCurrent = db.prepare('SELECT category_id, confidence FROM transactions WHERE transaction_id = ?');
+
     const transaction = db.transaction((suggs) => {
       for (const suggestion of suggs) {
+        const categoryId = database.getCategoryIdByName(suggestion.suggested_category);
+        if (!categoryId) {
+          continue;
+        }
+
+        // The AI's decision, unless a different category was picked in the review
+        const current = getCurrent.get(suggestion.transaction_id);
+        if (current) {
+          const decision = suggestion.decision?.categoryId === categoryId
+            ? suggestion.decision
+            : { stage: 'user', trigger: 'ai', details: { reasoning: 'Changed from the AI suggestion during review' } };
+          database.recordCategorizationDecision(suggestion.transaction_id, {
+            ...decision,
+            categoryId,
+            previousCategoryId: current.category_id,
+            confidenceBefore: current.confidence,
+            confidenceAfter: suggestion.suggested_confidence
+          });
+        }
+
         updateStmt.run(
-          suggestion.suggested_category,
+          categoryId,
           suggestion.suggested_confidence,
           suggestion.reasoning,
           suggestion.transaction_id
@@ -803,6 +1389,13 @@ app.post('/api/ai/apply-suggestions', async (req, res) => {
 
     transaction(suggestions);
 
+    if (updated > 0) {
+      events.publish('transactionsCategorized', {
+        transactionIds: suggestions.map(suggestion => suggestion.transaction_id),
+        count: updated
+      });
+    }
+
     res.json({
       success: true,
       updated
@@ -839,6 +1432,55 @@ app.get('/api/category-mappings/merchant', async (req, res) => {
   }
 });
 
+/**
+ * Send a mapping or rule error: 404 for unknown ones, 500 otherwise
+ */
+function sendMappingError(res, error, action) {
+  if (error.message.endsWith('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Point a merchant mapping at another category ({ category })
+app.put('/api/category-mappings/merchant/:merchantName', (req, res) => {
+  try {
+    if (!req.body.category) {
+      return res.status(400).json({ error: 'Category is required' });
+    }
+
+    database.updateMerchantMapping(req.params.merchantName, req.body.category);
+    res.json({ success: true });
+  } catch (error) {
+    sendMappingError(res, error, 'updating merchant mapping');
+  }
+});
+
+// Forget a merchant mapping
+app.delete('/api/category-mappings/merchant/:merchantName', (req, res) => {
+  try {
+    database.deleteMerchantMapping(req.params.merchantName);
+    res.json({ success: true });
+  } catch (error) {
+    sendMappingError(res, error, 'deleting merchant mapping');
+  }
+});
+
+// Point a Plaid category mapping at another category ({ category })
+app.put('/api/category-mappings/plaid/:plaidCategory', (req, res) => {
+  try {
+    if (!req.body.category) {
+      return res.status(400).json({ error: 'Category is required' });
+    }
+
+    database.updatePlaidCategoryMapping(req.params.plaidCategory, req.body.category);
+    res.json({ success: true });
+  } catch (error) {
+    sendMappingError(res, error, 'updating Plaid category mapping');
+  }
+});
+
 // Get category rules
 app.get('/api/category-mappings/rules', async (req, res) => {
   try {
@@ -850,16 +1492,46 @@ app.get('/api/category-mappings/rules', async (req, res) => {
   }
 });
 
+/**
+ * Check the rule definition in a request body: either conditions (a condition
+ * tree) or a pattern with its matchType, plus the optional list of actions
+ * @returns {string|null} Error message, or null if the definition is usable
+ */
+function getRuleDefinitionError({ pattern, matchType, conditions, actions }) {
+  if (actions !== undefined) {
+    const problems = rules.validateActions(actions, database.getCategoryIds());
+    if (problems.length > 0) {
+      return `Invalid rule actions: ${problems.join('; ')}`;
+    }
+  }
+
+  if (conditions) {
+    const problems = rules.validateConditions(conditions);
+    return problems.length > 0 ? `Invalid rule conditions: ${problems.join('; ')}` : null;
+  }
+
+  if (!pattern || !matchType) {
+    return 'Missing required fields: conditions, or pattern and matchType';
+  }
+
+  return null;
+}
+
 // Create a new category rule
 app.post('/api/category-mappings/rules', async (req, res) => {
   try {
-    const { name, pattern, category, matchType } = req.body;
+    const { name, pattern, category, matchType, conditions, priority, actions } = req.body;
 
-    if (!name || !pattern || !category || !matchType) {
-      return res.status(400).json({ error: 'Missing required fields: name, pattern, category, matchType' });
+    if (!name || (!category && !actions?.length)) {
+      return res.status(400).json({ error: 'Missing required fields: name, and a category or actions' });
     }
 
-    const result = database.createCategoryRule(name, pattern, category, matchType, 'Yes');
+    const definitionError = getRuleDefinitionError(req.body);
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
+    }
+
+    const result = database.createCategoryRule(name, pattern, category, matchType, 'Yes', { conditions, priority, actions });
     res.json({
       id: result.id,
       name: result.name,
@@ -875,13 +1547,18 @@ app.post('/api/category-mappings/rules', async (req, res) => {
 app.put('/api/category-mappings/rules/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, pattern, category, matchType, enabled } = req.body;
+    const { name, pattern, category, matchType, enabled, conditions, priority, actions } = req.body;
+
+    if (!name || (!category && !actions?.length)) {
+      return res.status(400).json({ error: 'Missing required fields: name, and a category or actions' });
+    }
 
-    if (!name || !pattern || !category || !matchType) {
-      return res.status(400).json({ error: 'Missing required fields: name, pattern, category, matchType' });
+    const definitionError = getRuleDefinitionError(req.body);
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
     }
 
-    database.updateCategoryRule(parseInt(id), name, pattern, category, matchType, enabled || 'Yes');
+    database.updateCategoryRule(parseInt(id), name, pattern, category, matchType, enabled || 'Yes', { conditions, priority, actions });
     res.json({ message: 'Rule updated successfully' });
   } catch (error) {
     console.error('Error updating category rule:', error);
@@ -889,6 +1566,20 @@ app.put('/api/category-mappings/rules/:id', async (req, res) => {
   }
 });
 
+// Turn a rule on or off ({ enabled })
+app.put('/api/category-mappings/rules/:id/enabled', (req, res) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    database.setCategoryRuleEnabled(parseInt(req.params.id), req.body.enabled);
+    res.json({ success: true });
+  } catch (error) {
+    sendMappingError(res, error, 'updating rule');
+  }
+});
+
 // Delete a category rule
 app.delete('/api/category-mappings/rules/:id', async (req, res) => {
   try {
@@ -901,23 +1592,49 @@ app.delete('/api/category-mappings/rules/:id', async (req, res) => {
   }
 });
 
-// Preview transactions that match a rule
+// Preview transactions that match a rule (conditions, or pattern and matchType)
 app.post('/api/category-mappings/rules/preview', async (req, res) => {
   try {
     const { pattern, matchType } = req.body;
 
-    if (!pattern || !matchType) {
-      return res.status(400).json({ error: 'Missing required fields: pattern, matchType' });
+    const definitionError = getRuleDefinitionError(req.body);
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
     }
 
-    const matches = database.previewRuleMatches(pattern, matchType);
-    res.json({ transactions: matches, count: matches.length });
+    const conditions = req.body.conditions || rules.conditionsFromPattern(pattern, matchType);
+    const matches = database.previewRuleMatches(conditions);
+    res.json({ transactions: matches, count: matches.length, summary: rules.describeConditions(conditions) });
   } catch (error) {
     console.error('Error previewing rule matches:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Fields and operators available to rule conditions (for the rule editor)
+app.get('/api/category-mappings/rules/fields', (req, res) => {
+  res.json(rules.RULE_FIELDS);
+});
+
+// Action types a rule can carry (for the rule editor)
+app.get('/api/category-mappings/rules/actions', (req, res) => {
+  res.json(rules.RULE_ACTIONS);
+});
+
+// Audit trail: what a rule changed, newest first
+app.get('/api/category-mappings/rules/:id/applications', (req, res) => {
+  try {
+    const applications = database.getRuleApplications({
+      ruleId: parseInt(req.params.id),
+      limit: parseInt(req.query.limit) || 100
+    });
+    res.json(applications);
+  } catch (error) {
+    console.error('Error fetching rule applications:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all institutions (Plaid items)
 app.get('/api/institutions', async (req, res) => {
   try {
@@ -1041,10 +1758,16 @@ app.post('/api/sheets/configure', async (req, res) => {
 // Plaid Sync Endpoints
 // ============================================================================
 
-// Sync all accounts
+// Sync all accounts (background: true queues a job and returns its ID instead)
 app.post('/api/sync', async (req, res) => {
   try {
-    const { startDate, endDate } = req.body;
+    const { startDate, endDate, background = false } = req.body;
+
+    if (background) {
+      const job = backgroundJobService.enqueue('sync', {});
+      return res.json({ success: true, jobId: job.id });
+    }
+
     const result = await sync.syncAllAccounts(startDate, endDate);
     res.json(result);
   } catch (error) {
@@ -1057,6 +1780,12 @@ app.post('/api/sync', async (req, res) => {
 app.post('/api/sync/:itemId', async (req, res) => {
   try {
     const { itemId } = req.params;
+
+    if (req.body.background) {
+      const job = backgroundJobService.enqueue('sync', { itemId });
+      return res.json({ success: true, jobId: job.id });
+    }
+
     const result = await sync.syncSingleAccount(itemId);
     res.json(result);
   } catch (error) {
@@ -1068,6 +1797,11 @@ app.post('/api/sync/:itemId', async (req, res) => {
 // Backfill all available historical transactions
 app.post('/api/backfill', async (req, res) => {
   try {
+    if (req.body.background) {
+      const job = backgroundJobService.enqueue('backfill', {});
+      return res.json({ success: true, jobId: job.id });
+    }
+
     console.log('🔄 Starting historical backfill...');
     const result = await sync.backfillHistoricalTransactions();
     res.json(result);
@@ -1081,6 +1815,12 @@ app.post('/api/backfill', async (req, res) => {
 app.post('/api/backfill/:itemId', async (req, res) => {
   try {
     const { itemId } = req.params;
+
+    if (req.body.background) {
+      const job = backgroundJobService.enqueue('backfill', { itemId });
+      return res.json({ success: true, jobId: job.id });
+    }
+
     console.log(`🔄 Starting historical backfill for item ${itemId}...`);
     const result = await sync.backfillSingleAccountById(itemId);
     res.json(result);
@@ -1579,28 +2319,40 @@ app.post('/api/amazon/items/categorize-background', async (req, res) => {
       items = database.getAmazonItems(filters);
     }
 
-    const itemsToProcess = items;
-
-    // Create background job
-    const jobId = backgroundJobService.createJob('amazon-item-categorization', {
-      totalItems: itemsToProcess.length,
+    // Queue the job with item IDs only; the handler reloads each item when it runs
+    const job = backgroundJobService.enqueue('amazon-item-categorization', {
+      itemIds: items.map(item => item.id),
       limit
     });
 
-    // Start processing in background (don't await)
-    processCategorizationJob(jobId, itemsToProcess).catch(error => {
-      console.error(`[Background Job ${jobId}] Uncaught error:`, error);
-      backgroundJobService.failJob(jobId, error);
-    });
-
     // Return job ID immediately
-    res.json({ success: true, jobId, totalItems: itemsToProcess.length });
+    res.json({ success: true, jobId: job.id, totalItems: items.length });
   } catch (error) {
     console.error('Error starting background categorization:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// ============================================================================
+// JOB ENDPOINTS
+// ============================================================================
+
+// List recent jobs
+app.get('/api/jobs', (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    const jobs = backgroundJobService.listJobs({
+      status,
+      type,
+      limit: limit ? parseInt(limit) : undefined
+    });
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get job status
 app.get('/api/jobs/:jobId', (req, res) => {
   try {
@@ -1611,8 +2363,9 @@ app.get('/api/jobs/:jobId', (req, res) => {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    // Get incremental updates and clear them
-    const updates = backgroundJobService.getAndClearUpdates(jobId);
+    // Get incremental updates and clear them (?updates=false only reads the status;
+    // clients following /api/events get every update there instead)
+    const updates = req.query.updates === 'false' ? [] : backgroundJobService.getAndClearUpdates(jobId);
 
     // Return job status with incremental updates
     res.json({
@@ -1625,18 +2378,42 @@ app.get('/api/jobs/:jobId', (req, res) => {
   }
 });
 
+// Cancel a job (a running job stops at its next checkpoint)
+app.delete('/api/jobs/:jobId', (req, res) => {
+  try {
+    const job = backgroundJobService.cancelJob(req.params.jobId);
+    res.json({ success: true, job });
+  } catch (error) {
+    if (error.message === 'Job not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// JOB HANDLERS
+// ============================================================================
+
 /**
- * Process categorization job in background
- * @param {string} jobId - Job ID
- * @param {Array} items - Items to categorize
+ * Categorize Amazon items in the background
+ * The checkpoint is the number of items already handled, so a resumed job
+ * skips straight to the first item it hadn't reached.
  */
-async function processCategorizationJob(jobId, items) {
-  try {
-    backgroundJobService.startJob(jobId, items.length);
+backgroundJobService.registerHandler('amazon-item-categorization', async (payload, ctx) => {
+  const itemIds = payload.itemIds || [];
+  const startIndex = ctx.checkpoint?.index || 0;
+  let categorized = ctx.checkpoint?.categorized || 0;
+
+  ctx.setTotal(itemIds.length);
+
+  for (let index = startIndex; index < itemIds.length; index++) {
+    ctx.throwIfCancelled();
 
-    const results = [];
+    const [item] = database.getAmazonItems({ itemIds: [itemIds[index]], limit: 1 });
 
-    for (const item of items) {
+    if (item) {
       try {
         const result = await amazonItemCategorization.categorizeItem(item);
 
@@ -1653,38 +2430,124 @@ async function processCategorizationJob(jobId, items) {
           database.updateAmazonItemRuleStats(result.ruleId, true);
         }
 
-        results.push({
-          itemId: item.id,
-          ...result
-        });
+        categorized++;
 
         // Add incremental update for reactive UI
-        backgroundJobService.addUpdate(jobId, {
+        ctx.addUpdate({
           itemId: item.id,
           category: result.category,
           confidence: result.confidence,
           reasoning: result.reasoning,
           verified: 'No'
         });
-
-        // Update progress
-        backgroundJobService.incrementProgress(jobId);
       } catch (error) {
-        console.error(`[Background Job ${jobId}] Error categorizing item ${item.id}:`, error);
+        console.error(`[Background Job ${ctx.job.id}] Error categorizing item ${item.id}:`, error);
         // Continue processing other items
-        backgroundJobService.incrementProgress(jobId);
       }
     }
 
-    // Mark job as completed
-    backgroundJobService.completeJob(jobId, {
-      count: results.length,
-      results
-    });
-  } catch (error) {
-    backgroundJobService.failJob(jobId, error);
+    ctx.progress(index + 1, { index: index + 1, categorized });
   }
-}
+
+  return { count: categorized };
+});
+
+/**
+ * Review every low-confidence transaction, one page at a time
+ * Each page of suggestions is published as a job update.
+ */
+backgroundJobService.registerHandler('ai-review-all', async (payload, ctx) => {
+  const { confidenceThreshold = 100, batchSize = 10 } = payload;
+  let offset = ctx.checkpoint?.offset || 0;
+  let suggestionsCount = ctx.checkpoint?.suggestionsCount || 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    ctx.throwIfCancelled();
+
+    const page = await reviewTransactionsPage({ confidenceThreshold, limit: batchSize, offset });
+    ctx.setTotal(page.total_available);
+
+    if (page.suggestions.length > 0) {
+      ctx.addUpdate({ offset, suggestions: page.suggestions });
+    }
+
+    offset += page.total_reviewed;
+    suggestionsCount += page.suggestions_count;
+    hasMore = page.total_reviewed > 0 && page.has_more;
+
+    ctx.progress(offset, { offset, suggestionsCount });
+  }
+
+  return { total_reviewed: offset, suggestions_count: suggestionsCount };
+});
+
+/**
+ * Sync one institution, or all of them. Plaid's sync cursor is saved per
+ * institution as it goes, so a retried job only fetches what is still new.
+ * Per-institution failures are reported in the result rather than retried.
+ */
+backgroundJobService.registerHandler('sync', async (payload, ctx) => {
+  ctx.setTotal(1);
+
+  const result = payload.itemId
+    ? await sync.syncSingleAccount(payload.itemId)
+    : await sync.syncAllAccounts();
+
+  ctx.progress(1);
+  return result;
+});
+
+/**
+ * Backfill historical transactions for one institution, or all of them
+ */
+backgroundJobService.registerHandler('backfill', async (payload, ctx) => {
+  ctx.setTotal(1);
+
+  const result = payload.itemId
+    ? await sync.backfillSingleAccountById(payload.itemId)
+    : await sync.backfillHistoricalTransactions();
+
+  ctx.progress(1);
+  return result;
+});
+
+/**
+ * Retrain the AI categorization model
+ */
+backgroundJobService.registerHandler('retrain', async (payload, ctx) => {
+  const { default: scheduledRetraining } = await import('../services/scheduledRetrainingService.js');
+
+  ctx.setTotal(1);
+
+  const result = await scheduledRetraining.manualRetrain();
+  if (!result.success && !result.skipped) {
+    throw new Error(result.error);
+  }
+
+  ctx.progress(1);
+  return result;
+});
+
+/**
+ * Score the categorization pipeline against an evaluation set (frozen by the
+ * endpoint). A run is only stored when complete, so a resumed job starts over.
+ */
+backgroundJobService.registerHandler('categorization-evaluation', async (payload, ctx) => {
+  const { default: categorizationEvaluation } = await import('../services/categorizationEvaluationService.js');
+
+  const { predictions, ...result } = await categorizationEvaluation.evaluate({
+    ...payload,
+    onProgress: (processed, total) => {
+      ctx.throwIfCancelled();
+      ctx.setTotal(total);
+      ctx.progress(processed);
+    }
+  });
+
+  // Per-item predictions stay with the run (GET /api/ai/evaluate/runs/:runId)
+  return result;
+});
 
 // Update item category (manual selection)
 app.post('/api/amazon/items/:itemId/category', async (req, res) => {
@@ -1928,6 +2791,14 @@ app.post('/api/copilot/import', express.json({ limit: '10mb' }), async (req, res
     // Import transactions with category mappings
     const importResult = copilot.importCopilotTransactionsWithMappings(csvContent, categoryMappings || {});
 
+    // Pick up Copilot's recurring labels, any new periodic charges, transfers and repayments
+    if (importResult.imported > 0) {
+      recurring.detectRecurringSeries();
+      transfers.detectTransfers();
+      reimbursements.detectReimbursements();
+      events.publish('transactionsAdded', { source: 'copilot', count: importResult.imported });
+    }
+
     res.json({
       success: true,
       imported: importResult.imported,
@@ -1941,77 +2812,214 @@ app.post('/api/copilot/import', express.json({ limit: '10mb' }), async (req, res
 });
 
 // ============================================================================
-// SETTINGS ENDPOINTS
+// STATEMENT IMPORT ENDPOINTS (CSV, OFX, QFX)
 // ============================================================================
 
-// Get all settings
-app.get('/api/settings', (req, res) => {
+// Options the import UI offers for CSV mappings
+app.get('/api/import/options', (req, res) => {
+  res.json({
+    dateFormats: importer.DATE_FORMATS,
+    delimiters: importer.DELIMITERS,
+    columns: importer.MAPPING_COLUMNS
+  });
+});
+
+// Saved column-mapping profiles
+app.get('/api/import/profiles', (req, res) => {
   try {
-    const settings = database.getAllSettings();
-    res.json(settings);
+    res.json(database.getImportProfiles());
   } catch (error) {
-    console.error('Error fetching settings:', error);
+    console.error('Error fetching import profiles:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update a setting
-app.put('/api/settings/:key', (req, res) => {
+app.post('/api/import/profiles', (req, res) => {
   try {
-    const { key } = req.params;
-    const { value } = req.body;
+    const { name, mapping, headers } = req.body;
 
-    if (value === undefined) {
-      return res.status(400).json({ error: 'Value is required' });
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Profile name is required' });
     }
 
-    const result = database.setSetting(key, value);
-    res.json(result);
+    const mappingError = importer.getMappingError(mapping);
+    if (mappingError) {
+      return res.status(400).json({ error: mappingError });
+    }
+
+    const profile = database.createImportProfile(name.trim(), mapping, Array.isArray(headers) ? headers : null);
+    res.json(profile);
   } catch (error) {
-    console.error('Error updating setting:', error);
-    res.status(400).json({ error: error.message });
+    console.error('Error creating import profile:', error);
+    res.status(error.message.includes('already exists') ? 400 : 500).json({ error: error.message });
   }
 });
 
-// Reset a setting to default
-app.delete('/api/settings/:key', (req, res) => {
+app.put('/api/import/profiles/:id', (req, res) => {
   try {
-    const { key } = req.params;
-    const result = database.resetSetting(key);
-    res.json(result);
+    const { name, mapping, headers } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Profile name is required' });
+    }
+
+    if (mapping !== undefined) {
+      const mappingError = importer.getMappingError(mapping);
+      if (mappingError) {
+        return res.status(400).json({ error: mappingError });
+      }
+    }
+
+    const profile = database.updateImportProfile(parseInt(req.params.id), {
+      name: name !== undefined ? String(name).trim() : undefined,
+      mapping,
+      headers: Array.isArray(headers) || headers === null ? headers : undefined
+    });
+    res.json(profile);
   } catch (error) {
-    console.error('Error resetting setting:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error updating import profile:', error);
+    const status = error.message.includes('not found') ? 404 : error.message.includes('already exists') ? 400 : 500;
+    res.status(status).json({ error: error.message });
   }
 });
 
-// Reset all settings to defaults
-app.post('/api/settings/reset-all', (req, res) => {
+app.delete('/api/import/profiles/:id', (req, res) => {
   try {
-    const result = database.resetAllSettings();
-    res.json(result);
+    database.deleteImportProfile(parseInt(req.params.id));
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error resetting all settings:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error deleting import profile:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({ error: error.message });
   }
 });
 
-// ============================================================================
-// EXTERNAL CATEGORY MAPPINGS
-// ============================================================================
-
-// Get unmapped external categories
-app.get('/api/external-categories/unmapped', (req, res) => {
+// Preview a statement: parse it with a mapping (given, from a profile, or
+// guessed) and mark duplicates of existing transactions
+app.post('/api/import/analyze', express.json({ limit: '10mb' }), (req, res) => {
   try {
-    const unmapped = database.getUnmappedExternalCategories();
-    res.json({ categories: unmapped });
+    const { content, filename, mapping, profileId, accountName } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: 'No file content provided' });
+    }
+
+    const analysis = importer.analyzeStatement(content, { filename, mapping, profileId, accountName });
+
+    res.json({
+      success: true,
+      ...analysis
+    });
   } catch (error) {
-    console.error('Error getting unmapped categories:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error analyzing statement:', error);
+    const status = error.message.startsWith('Invalid statement file') ? 400 : error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
   }
 });
 
-// Get all external category mappings
+// Import the new transactions of a statement (same options as analyze)
+app.post('/api/import/import', express.json({ limit: '10mb' }), (req, res) => {
+  try {
+    const { content, filename, mapping, profileId, accountName, includePossibleDuplicates } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: 'No file content provided' });
+    }
+
+    const importResult = importer.importStatement(content, {
+      filename, mapping, profileId, accountName, includePossibleDuplicates: includePossibleDuplicates === true
+    });
+
+    // Pick up new periodic charges, transfers and repayments
+    if (importResult.imported > 0) {
+      recurring.detectRecurringSeries();
+      transfers.detectTransfers();
+      reimbursements.detectReimbursements();
+      events.publish('transactionsAdded', { source: 'import', count: importResult.imported });
+    }
+
+    res.json({
+      success: true,
+      ...importResult
+    });
+  } catch (error) {
+    console.error('Error importing statement:', error);
+    const status = error.message.startsWith('Invalid statement file') ? 400 : error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// SETTINGS ENDPOINTS
+// ============================================================================
+
+// Get all settings
+app.get('/api/settings', (req, res) => {
+  try {
+    const settings = database.getAllSettings();
+    res.json(settings);
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a setting
+app.put('/api/settings/:key', (req, res) => {
+  try {
+    const { key } = req.params;
+    const { value } = req.body;
+
+    if (value === undefined) {
+      return res.status(400).json({ error: 'Value is required' });
+    }
+
+    const result = database.setSetting(key, value);
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating setting:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Reset a setting to default
+app.delete('/api/settings/:key', (req, res) => {
+  try {
+    const { key } = req.params;
+    const result = database.resetSetting(key);
+    res.json(result);
+  } catch (error) {
+    console.error('Error resetting setting:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reset all settings to defaults
+app.post('/api/settings/reset-all', (req, res) => {
+  try {
+    const result = database.resetAllSettings();
+    res.json(result);
+  } catch (error) {
+    console.error('Error resetting all settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// EXTERNAL CATEGORY MAPPINGS
+// ============================================================================
+
+// Get unmapped external categories
+app.get('/api/external-categories/unmapped', (req, res) => {
+  try {
+    const unmapped = database.getUnmappedExternalCategories();
+    res.json({ categories: unmapped });
+  } catch (error) {
+    console.error('Error getting unmapped categories:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all external category mappings
 app.get('/api/external-categories/mappings', (req, res) => {
   try {
     const mappings = database.getAllExternalMappings();
@@ -2233,15 +3241,11 @@ app.get('/api/categorize/status', async (req, res) => {
 // Trigger manual retraining
 app.post('/api/categorize/retrain', async (req, res) => {
   try {
-    const { default: scheduledRetraining } = await import('../services/scheduledRetrainingService.js');
-
-    // Trigger retraining asynchronously
-    scheduledRetraining.manualRetrain().catch(err =>
-      console.error('Manual retraining failed:', err)
-    );
+    const job = backgroundJobService.enqueue('retrain', {});
 
     res.json({
       success: true,
+      jobId: job.id,
       message: 'Retraining initiated in background'
     });
   } catch (error) {
@@ -2292,6 +3296,601 @@ app.get('/api/metrics/categorization', async (req, res) => {
   }
 });
 
+function getEvaluationOptionsError(body) {
+  const { setId, itemTypes, sizePerType } = body;
+
+  if (setId !== undefined && setId !== null && !(Number.isInteger(setId) && setId > 0)) {
+    return 'setId must be a positive integer';
+  }
+  if (itemTypes !== undefined && (!Array.isArray(itemTypes) || itemTypes.length === 0
+    || itemTypes.some(itemType => !['transaction', 'amazon_item'].includes(itemType)))) {
+    return 'itemTypes must list transaction and/or amazon_item';
+  }
+  if (sizePerType !== undefined && !(Number.isInteger(sizePerType) && sizePerType > 0 && sizePerType <= 5000)) {
+    return 'sizePerType must be an integer from 1 to 5000';
+  }
+  return null;
+}
+
+function sendEvaluationError(res, error, action) {
+  if (error.message.endsWith('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'No verified items to evaluate') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Score the categorization pipeline against a frozen sample of verified items
+// Body: { setId, newSet, itemTypes, sizePerType, skipLLM, background }. Without
+// setId the newest set is used (and frozen on first use); with background: true
+// the run is a queued job whose result is the report.
+app.post('/api/ai/evaluate', async (req, res) => {
+  try {
+    const validationError = getEvaluationOptionsError(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { setId = null, newSet = false, itemTypes, sizePerType, skipLLM = false, background = false } = req.body;
+    const options = { setId, newSet: newSet === true, itemTypes, sizePerType, skipLLM: skipLLM === true };
+
+    const { default: categorizationEvaluation } = await import('../services/categorizationEvaluationService.js');
+
+    if (background) {
+      // Resolve the set now so a retried job scores the same one
+      const set = setId ? database.getEvaluationSet(setId)
+        : options.newSet ? categorizationEvaluation.createSet(options)
+        : database.getLatestEvaluationSet() || categorizationEvaluation.createSet(options);
+      const job = backgroundJobService.enqueue('categorization-evaluation', { setId: set.id, skipLLM: options.skipLLM });
+      return res.json({ success: true, jobId: job.id, set });
+    }
+
+    res.json(await categorizationEvaluation.evaluate(options));
+  } catch (error) {
+    sendEvaluationError(res, error, 'evaluating categorization');
+  }
+});
+
+// List frozen evaluation sets with their latest accuracy
+app.get('/api/ai/evaluate/sets', (req, res) => {
+  try {
+    res.json({ sets: database.getEvaluationSets() });
+  } catch (error) {
+    sendEvaluationError(res, error, 'listing evaluation sets');
+  }
+});
+
+// List a set's runs (reports without per-item predictions)
+app.get('/api/ai/evaluate/sets/:setId/runs', (req, res) => {
+  try {
+    const set = database.getEvaluationSet(parseInt(req.params.setId));
+    res.json({ set, runs: database.getEvaluationRuns(set.id, parseInt(req.query.limit) || 20) });
+  } catch (error) {
+    sendEvaluationError(res, error, 'listing evaluation runs');
+  }
+});
+
+// Get one run with its per-item predictions
+app.get('/api/ai/evaluate/runs/:runId', (req, res) => {
+  try {
+    res.json(database.getEvaluationRun(parseInt(req.params.runId)));
+  } catch (error) {
+    sendEvaluationError(res, error, 'getting evaluation run');
+  }
+});
+
+// ============================================================================
+// BUDGETS ENDPOINTS
+// ============================================================================
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Get budget summary (budgeted, spent, remaining) for a month
+app.get('/api/budgets', (req, res) => {
+  try {
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+
+    if (!MONTH_PATTERN.test(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+
+    const summary = database.getBudgetSummary(month);
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create or update a category budget for a month
+app.post('/api/budgets', (req, res) => {
+  try {
+    const { category_id, month, amount, rollover = false } = req.body;
+
+    if (!category_id) {
+      return res.status(400).json({ error: 'category_id is required' });
+    }
+
+    if (!month || !MONTH_PATTERN.test(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount < 0) {
+      return res.status(400).json({ error: 'Amount must be a non-negative number' });
+    }
+
+    const budget = database.setBudget(parseInt(category_id), month, parsedAmount, !!rollover);
+    res.json(budget);
+  } catch (error) {
+    if (error.message === 'Category not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error saving budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Copy all budgets from one month into another
+app.post('/api/budgets/copy', (req, res) => {
+  try {
+    const { from, to } = req.body;
+
+    if (!MONTH_PATTERN.test(from || '') || !MONTH_PATTERN.test(to || '')) {
+      return res.status(400).json({ error: 'from and to must be in YYYY-MM format' });
+    }
+
+    const result = database.copyBudgets(from, to);
+    res.json(result);
+  } catch (error) {
+    console.error('Error copying budgets:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a budget
+app.delete('/api/budgets/:id', (req, res) => {
+  try {
+    const result = database.deleteBudget(parseInt(req.params.id));
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Budget not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error deleting budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// RECURRING SERIES ENDPOINTS
+// ============================================================================
+
+// Get recurring series (subscriptions, bills, paychecks)
+app.get('/api/recurring', (req, res) => {
+  try {
+    const { status, includeDismissed } = req.query;
+    const series = recurring.getRecurringSeries({
+      status,
+      includeDismissed: includeDismissed === 'true'
+    });
+    res.json(series);
+  } catch (error) {
+    console.error('Error fetching recurring series:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-scan transactions for recurring series
+app.post('/api/recurring/detect', (req, res) => {
+  try {
+    const result = recurring.detectRecurringSeries();
+    res.json(result);
+  } catch (error) {
+    console.error('Error detecting recurring series:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get transactions belonging to a recurring series
+app.get('/api/recurring/:id/transactions', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!database.getRecurringSeriesById(id)) {
+      return res.status(404).json({ error: 'Recurring series not found' });
+    }
+
+    const transactions = database.getRecurringSeriesTransactions(id);
+    res.json(transactions);
+  } catch (error) {
+    console.error('Error fetching recurring series transactions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dismiss or restore a recurring series
+app.patch('/api/recurring/:id', (req, res) => {
+  try {
+    const { dismissed } = req.body;
+
+    if (typeof dismissed !== 'boolean') {
+      return res.status(400).json({ error: 'dismissed (boolean) is required' });
+    }
+
+    const series = database.setRecurringSeriesDismissed(parseInt(req.params.id), dismissed);
+    res.json(series);
+  } catch (error) {
+    if (error.message === 'Recurring series not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error updating recurring series:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// TRANSFER ENDPOINTS
+// ============================================================================
+
+// Get transactions flagged as transfers between the user's accounts
+app.get('/api/transfers', (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const transfersList = database.getTransfers({ startDate, endDate });
+    res.json(transfersList);
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-scan transactions for transfers
+app.post('/api/transfers/detect', (req, res) => {
+  try {
+    const result = transfers.detectTransfers();
+    res.json(result);
+  } catch (error) {
+    console.error('Error detecting transfers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Flag or unflag a transaction as a transfer (null hands it back to the matcher)
+app.put('/api/transactions/:transactionId/transfer', (req, res) => {
+  try {
+    const { is_transfer } = req.body;
+
+    if (is_transfer !== null && typeof is_transfer !== 'boolean') {
+      return res.status(400).json({ error: 'is_transfer must be true, false or null' });
+    }
+
+    const transaction = database.setTransactionTransfer(req.params.transactionId, is_transfer);
+    res.json(transaction);
+  } catch (error) {
+    if (error.message === 'Transaction not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error updating transfer flag:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Include a transaction in reports again, or exclude it
+app.put('/api/transactions/:transactionId/excluded', (req, res) => {
+  try {
+    const { excluded } = req.body;
+
+    if (typeof excluded !== 'boolean') {
+      return res.status(400).json({ error: 'excluded must be true or false' });
+    }
+
+    const transaction = database.setTransactionExcluded(req.params.transactionId, excluded);
+    res.json(transaction);
+  } catch (error) {
+    if (error.message === 'Transaction not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error updating report exclusion:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Audit trail: which rules changed a transaction, newest first
+app.get('/api/transactions/:transactionId/rule-applications', (req, res) => {
+  try {
+    res.json(database.getRuleApplications({ transactionId: req.params.transactionId }));
+  } catch (error) {
+    console.error('Error fetching rule applications:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Why a transaction has its category: every categorization decision, newest
+// first, with the current state of the rule or mapping behind each
+app.get('/api/transactions/:transactionId/categorization-history', (req, res) => {
+  try {
+    res.json(database.getCategorizationHistory(req.params.transactionId, parseInt(req.query.limit) || 50));
+  } catch (error) {
+    if (error.message === 'Transaction not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error fetching categorization history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// REIMBURSEMENT ENDPOINTS
+// ============================================================================
+
+function getCounterpartyError(body, partial = false) {
+  const { name, kind, match_terms } = body;
+
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || name.trim().length === 0)) {
+    return 'Name is required';
+  }
+  if (kind !== undefined && !database.COUNTERPARTY_KINDS.includes(kind)) {
+    return `kind must be one of: ${database.COUNTERPARTY_KINDS.join(', ')}`;
+  }
+  if (match_terms !== undefined && match_terms !== null && typeof match_terms !== 'string') {
+    return 'match_terms must be a comma-separated string';
+  }
+  return null;
+}
+
+function sendReimbursementError(res, error, action) {
+  if (error.message.endsWith('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('already exists') || error.message.startsWith('Only ') || error.message.startsWith('Choose ')) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Get everyone who owes you money, with their outstanding balances
+app.get('/api/counterparties', (req, res) => {
+  try {
+    res.json(database.getCounterparties());
+  } catch (error) {
+    sendReimbursementError(res, error, 'fetching counterparties');
+  }
+});
+
+// Add a person or employer
+app.post('/api/counterparties', (req, res) => {
+  try {
+    const validationError = getCounterpartyError(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    res.json(database.createCounterparty(req.body));
+  } catch (error) {
+    sendReimbursementError(res, error, 'creating counterparty');
+  }
+});
+
+// Rename a counterparty or change the words its repayments are matched by
+app.put('/api/counterparties/:id', (req, res) => {
+  try {
+    const validationError = getCounterpartyError(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const counterparty = database.updateCounterparty(parseInt(req.params.id), req.body);
+    reimbursements.detectReimbursements();
+    events.publish('transactionsChanged', { transactionIds: null, action: 'reimbursed' });
+    res.json(counterparty);
+  } catch (error) {
+    sendReimbursementError(res, error, 'updating counterparty');
+  }
+});
+
+// Delete a counterparty with everything they owed
+app.delete('/api/counterparties/:id', (req, res) => {
+  try {
+    const result = database.deleteCounterparty(parseInt(req.params.id));
+    events.publish('transactionsChanged', { transactionIds: null, action: 'reimbursed' });
+    res.json(result);
+  } catch (error) {
+    sendReimbursementError(res, error, 'deleting counterparty');
+  }
+});
+
+// Claims and repayments in date order with the running balance
+app.get('/api/counterparties/:id/ledger', (req, res) => {
+  try {
+    res.json(database.getCounterpartyLedger(parseInt(req.params.id)));
+  } catch (error) {
+    sendReimbursementError(res, error, 'fetching counterparty ledger');
+  }
+});
+
+// Record a repayment (cash, or a deposit the matcher missed), settling the oldest claims first
+app.post('/api/counterparties/:id/settle', (req, res) => {
+  try {
+    const { amount, date, transactionId } = req.body;
+
+    if (amount !== undefined && amount !== null && !(typeof amount === 'number' && amount > 0)) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+    if (date !== undefined && date !== null && !isValidDate(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    const result = database.settleCounterparty(parseInt(req.params.id), {
+      amount: amount ?? undefined,
+      date,
+      transactionId
+    });
+    events.publish('transactionsChanged', { transactionIds: null, action: 'reimbursed' });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendReimbursementError(res, error, 'settling up');
+  }
+});
+
+// Mark a transaction (or one of its splits, with splitId) as owed by someone
+app.post('/api/transactions/:transactionId/reimbursements', (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { counterparty, counterpartyId, kind, splitId, amount, note } = req.body;
+
+    if (!counterpartyId && (typeof counterparty !== 'string' || counterparty.trim().length === 0)) {
+      return res.status(400).json({ error: 'Counterparty is required' });
+    }
+    if (kind !== undefined && !database.COUNTERPARTY_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${database.COUNTERPARTY_KINDS.join(', ')}` });
+    }
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+
+    const claim = database.createReimbursement(transactionId, {
+      counterparty, counterpartyId, kind, splitId, amount, note
+    });
+
+    // An earlier deposit may already repay it
+    reimbursements.detectReimbursements();
+
+    events.publish('transactionsChanged', { transactionIds: [transactionId], action: 'reimbursed' });
+    res.json(claim);
+  } catch (error) {
+    sendReimbursementError(res, error, 'creating reimbursement');
+  }
+});
+
+// Stop tracking a claim
+app.delete('/api/reimbursements/:id', (req, res) => {
+  try {
+    const result = database.deleteReimbursement(parseInt(req.params.id));
+    reimbursements.detectReimbursements();
+    events.publish('transactionsChanged', { transactionIds: null, action: 'reimbursed' });
+    res.json(result);
+  } catch (error) {
+    sendReimbursementError(res, error, 'deleting reimbursement');
+  }
+});
+
+// Undo a repayment (a detected match is dismissed so it isn't matched again)
+app.delete('/api/reimbursements/payments/:id', (req, res) => {
+  try {
+    const result = database.deleteReimbursementPayment(parseInt(req.params.id));
+    events.publish('transactionsChanged', { transactionIds: null, action: 'reimbursed' });
+    res.json(result);
+  } catch (error) {
+    sendReimbursementError(res, error, 'removing repayment');
+  }
+});
+
+// Re-scan deposits for repayments
+app.post('/api/reimbursements/detect', (req, res) => {
+  try {
+    const result = reimbursements.detectReimbursements();
+    events.publish('transactionsChanged', { transactionIds: null, action: 'reimbursed' });
+    res.json(result);
+  } catch (error) {
+    sendReimbursementError(res, error, 'matching repayments');
+  }
+});
+
+// ============================================================================
+// MERCHANT ENDPOINTS
+// ============================================================================
+
+function getMerchantError(body) {
+  const { name, emoji, logo_url, default_category } = body;
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+    return 'Name cannot be empty';
+  }
+  if (emoji !== undefined && emoji !== null && typeof emoji !== 'string') {
+    return 'emoji must be a string';
+  }
+  if (logo_url !== undefined && logo_url !== null && logo_url !== '' && !/^https?:\/\//.test(logo_url)) {
+    return 'logo_url must be an http(s) URL';
+  }
+  if (default_category !== undefined && default_category !== null && typeof default_category !== 'string') {
+    return 'default_category must be a category name';
+  }
+  return null;
+}
+
+function sendMerchantError(res, error, action) {
+  if (error.message.endsWith('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Get merchants with lifetime spend, frequency and first/last seen dates
+app.get('/api/merchants', (req, res) => {
+  try {
+    const { search, sort } = req.query;
+    res.json(database.getMerchants({ search, sort }));
+  } catch (error) {
+    sendMerchantError(res, error, 'fetching merchants');
+  }
+});
+
+// Get one merchant with its aliases and recent transactions
+app.get('/api/merchants/:id', (req, res) => {
+  try {
+    res.json(database.getMerchant(parseInt(req.params.id)));
+  } catch (error) {
+    sendMerchantError(res, error, 'fetching merchant');
+  }
+});
+
+// Edit a merchant's canonical name, emoji, logo or default category
+app.put('/api/merchants/:id', (req, res) => {
+  try {
+    const validationError = getMerchantError(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, emoji, logo_url, default_category, applyToExisting } = req.body;
+    const result = database.updateMerchant(parseInt(req.params.id), {
+      name,
+      emoji,
+      logo_url,
+      default_category,
+      applyToExisting: applyToExisting === true
+    });
+
+    if (result.transactionsUpdated > 0) {
+      events.publish('transactionsChanged', { transactionIds: null, action: 'recategorized' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    sendMerchantError(res, error, 'updating merchant');
+  }
+});
+
+// Merge other merchants into this one
+app.post('/api/merchants/:id/merge', (req, res) => {
+  try {
+    const { merchantIds } = req.body;
+    if (!Array.isArray(merchantIds) || merchantIds.length === 0 || !merchantIds.every(Number.isInteger)) {
+      return res.status(400).json({ error: 'merchantIds must be a non-empty array of merchant IDs' });
+    }
+
+    res.json(database.mergeMerchants(parseInt(req.params.id), merchantIds));
+  } catch (error) {
+    sendMerchantError(res, error, 'merging merchants');
+  }
+});
+
 // ============================================================================
 // SERVER START
 // ============================================================================
@@ -2335,6 +3934,9 @@ const server = app.listen(PORT, async () => {
     console.error('⚠️  Failed to initialize retraining service:', error.message);
   }
 
+  // Start the job queue (resumes jobs interrupted by the last shutdown)
+  backgroundJobService.start();
+
   console.log('\nPress Ctrl+C to stop\n');
 });
 
@@ -2348,6 +3950,12 @@ async function gracefulShutdown(signal) {
   });
 
   try {
+    // Stop picking up queued jobs; one still running resumes on the next start
+    backgroundJobService.stop();
+
+    // End open event streams so the HTTP server can close
+    events.closeAll();
+
     // Stop scheduled retraining service
     try {
       const { default: scheduledRetraining } = await import('../services/scheduledRetrainingService.js');
@@ -1,5 +1,51 @@
 import * as plaid from './plaid.js';
 import * as database from './database.js';
+import * as recurring from './recurring.js';
+import * as transfers from './transfers.js';
+import * as reimbursements from './reimbursements.js';
+import { publish, runOutsideRequest } from './events.js';
+
+/**
+ * Pull changes for one linked institution with /transactions/sync and apply them
+ * Uses the cursor stored on the plaid_items row; the first sync (no cursor)
+ * returns the item's full history, which is de-duplicated on insert.
+ */
+async function syncItem(item) {
+  const result = await plaid.syncTransactions(item.access_token, item.transactions_cursor);
+
+  console.log(`  📥 Received ${result.added.length} added, ${result.modified.length} modified, ${result.removed.length} removed from Plaid`);
+
+  // Update accounts
+  for (const account of result.accounts) {
+    account.item_id = item.item_id;
+    database.saveAccount(account, item.institution_name);
+  }
+  if (result.accounts.length > 0) {
+    console.log(`  ✓ Updated ${result.accounts.length} account(s)`);
+  }
+
+  // Add account_name to transactions (sync responses may omit accounts, so fall back to saved ones)
+  const accountMap = new Map();
+  database.getAccounts().forEach(acc => accountMap.set(acc.account_id, acc));
+  result.accounts.forEach(acc => accountMap.set(acc.account_id, acc));
+
+  for (const transaction of [...result.added, ...result.modified]) {
+    const account = accountMap.get(transaction.account_id);
+    transaction.account_name = account ? account.name : transaction.account_id;
+  }
+
+  const applied = database.applyTransactionSync(item.item_id, result, result.nextCursor);
+
+  console.log(`  ✓ Applied: ${applied.added} added, ${applied.modified} modified, ${applied.removed} removed`);
+  if (applied.carriedOver > 0) {
+    console.log(`  ↪️  Carried ${applied.carriedOver} pending transaction(s) over to their posted versions`);
+  }
+
+  return {
+    ...applied,
+    accountsUpdated: result.accounts.length
+  };
+}
 
 /**
  * Sync transactions for all connected accounts
@@ -15,43 +61,18 @@ export async function syncAllAccounts() {
   console.log(`\nSyncing ${items.length} account(s)...`);
 
   let totalTransactions = 0;
+  let totalModified = 0;
+  let totalRemoved = 0;
   const errors = [];
 
   for (const item of items) {
     try {
       console.log(`\n📊 Syncing ${item.institution_name}...`);
 
-      // Get transactions from the last 90 days for regular syncs (incremental updates)
-      // For full history, use the backfill endpoint
-      const endDate = new Date().toISOString().split('T')[0];
-      const startDate = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-
-      const result = await plaid.getTransactions(item.access_token, startDate, endDate);
-
-      console.log(`  📥 Received ${result.transactions.length} transaction(s) from Plaid`);
-
-      // Update accounts
-      for (const account of result.accounts) {
-        account.item_id = item.item_id;
-        database.saveAccount(account, item.institution_name);
-      }
-      console.log(`  ✓ Updated ${result.accounts.length} account(s)`);
-
-      // Add account_name to transactions (optimized: use Map for O(1) lookups)
-      const accountMap = new Map();
-      result.accounts.forEach(acc => accountMap.set(acc.account_id, acc));
-
-      for (const transaction of result.transactions) {
-        const account = accountMap.get(transaction.account_id);
-        transaction.account_name = account ? account.name : transaction.account_id;
-      }
-
-      // Save transactions
-      const count = database.saveTransactions(result.transactions, null);
-      totalTransactions += count;
-
-      // Update last sync time
-      database.updatePlaidItemLastSynced(item.item_id);
+      const applied = await syncItem(item);
+      totalTransactions += applied.added;
+      totalModified += applied.modified;
+      totalRemoved += applied.removed;
 
     } catch (error) {
       const errorMsg = `Failed to sync ${item.institution_name}: ${error.message}`;
@@ -60,16 +81,48 @@ export async function syncAllAccounts() {
     }
   }
 
-  console.log(`\n✅ Sync complete: ${totalTransactions} new transactions added`);
+  console.log(`\n✅ Sync complete: ${totalTransactions} new, ${totalModified} modified, ${totalRemoved} removed`);
+
+  // Refresh recurring series with the new transactions
+  try {
+    recurring.detectRecurringSeries();
+  } catch (error) {
+    console.error(`  ✗ Recurring detection failed: ${error.message}`);
+  }
+
+  // Pair up transfers between linked accounts
+  try {
+    transfers.detectTransfers();
+  } catch (error) {
+    console.error(`  ✗ Transfer detection failed: ${error.message}`);
+  }
+
+  // Match deposits that repay what others owe
+  try {
+    reimbursements.detectReimbursements();
+  } catch (error) {
+    console.error(`  ✗ Reimbursement matching failed: ${error.message}`);
+  }
 
   if (errors.length > 0) {
     console.log('\n⚠️  Some accounts failed to sync:');
     errors.forEach(err => console.log(`  - ${err}`));
   }
 
+  publish('syncCompleted', {
+    kind: 'sync',
+    itemId: null,
+    added: totalTransactions,
+    modified: totalModified,
+    removed: totalRemoved,
+    errors: errors.length
+  });
+
   return {
     success: errors.length === 0,
     totalTransactions,
+    modified: totalModified,
+    removed: totalRemoved,
     errors
   };
 }
@@ -88,40 +141,24 @@ export async function syncSingleAccount(itemId) {
   try {
     console.log(`\n📊 Syncing ${item.institution_name}...`);
 
-    // Get transactions from the last 90 days
-    const endDate = new Date().toISOString().split('T')[0];
-    const startDate = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-
-    const result = await plaid.getTransactions(item.access_token, startDate, endDate);
-
-    console.log(`  📥 Received ${result.transactions.length} transaction(s) from Plaid`);
-
-    // Update accounts
-    for (const account of result.accounts) {
-      account.item_id = item.item_id;
-      database.saveAccount(account, item.institution_name);
-    }
-
-    // Add account_name to transactions (optimized: use Map for O(1) lookups)
-    const accountMap = new Map();
-    result.accounts.forEach(acc => accountMap.set(acc.account_id, acc));
-
-    for (const transaction of result.transactions) {
-      const account = accountMap.get(transaction.account_id);
-      transaction.account_name = account ? account.name : transaction.account_id;
-    }
-
-    // Save transactions
-    const count = database.saveTransactions(result.transactions, null);
+    const applied = await syncItem(item);
 
-    // Update last sync time
-    database.updatePlaidItemLastSynced(item.item_id);
+    publish('syncCompleted', {
+      kind: 'sync',
+      itemId,
+      added: applied.added,
+      modified: applied.modified,
+      removed: applied.removed,
+      errors: 0
+    });
 
     return {
       success: true,
       institution: item.institution_name,
-      accountsUpdated: result.accounts.length,
-      transactionsSynced: count
+      accountsUpdated: applied.accountsUpdated,
+      transactionsSynced: applied.added,
+      transactionsModified: applied.modified,
+      transactionsRemoved: applied.removed
     };
   } catch (error) {
     console.error(`Error syncing ${item.institution_name}:`, error.message);
@@ -190,6 +227,15 @@ export async function syncDateRange(startDate, endDate) {
 
   console.log(`\n✅ Sync complete: ${totalTransactions} new transactions added`);
 
+  publish('syncCompleted', {
+    kind: 'sync',
+    itemId: null,
+    added: totalTransactions,
+    modified: 0,
+    removed: 0,
+    errors: errors.length
+  });
+
   return {
     success: errors.length === 0,
     totalTransactions,
@@ -304,10 +350,19 @@ export async function linkAccount(publicToken) {
 
     // Trigger historical backfill in the background (non-blocking)
     console.log('  🔄 Starting automatic historical backfill in background...');
-    backfillSingleAccount(itemId, institution.name, accessToken).catch(err => {
+    runOutsideRequest(() => backfillSingleAccount(itemId, institution.name, accessToken)).catch(err => {
       console.error(`  ⚠️  Background backfill failed: ${err.message}`);
     });
 
+    publish('syncCompleted', {
+      kind: 'link',
+      itemId,
+      added: count,
+      modified: 0,
+      removed: 0,
+      errors: 0
+    });
+
     return {
       success: true,
       item_id: itemId,
@@ -520,6 +575,15 @@ export async function backfillHistoricalTransactions() {
     errors.forEach(err => console.log(`  - ${err}`));
   }
 
+  publish('syncCompleted', {
+    kind: 'backfill',
+    itemId: null,
+    added: totalTransactions,
+    modified: 0,
+    removed: 0,
+    errors: errors.length
+  });
+
   return {
     success: errors.length === 0,
     totalTransactions,
@@ -647,6 +711,15 @@ async function backfillSingleAccount(itemId, institutionName, accessToken) {
     };
   }
 
+  publish('syncCompleted', {
+    kind: 'backfill',
+    itemId,
+    added: transactionCount,
+    modified: 0,
+    removed: 0,
+    errors: 0
+  });
+
   return {
     success: true,
     institution: institutionName,
@@ -0,0 +1,96 @@
+import * as database from './database.js';
+
+// ============================================================================
+// TRANSFER DETECTION
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBetween(fromStr, toStr) {
+  const from = new Date(`${fromStr.slice(0, 10)}T00:00:00Z`);
+  const to = new Date(`${toStr.slice(0, 10)}T00:00:00Z`);
+  return Math.round((to - from) / DAY_MS);
+}
+
+function toCents(amount) {
+  return Math.round(Math.abs(amount) * 100);
+}
+
+/**
+ * Pair money leaving one account with the same amount arriving in another
+ * An outflow (positive amount) matches an inflow (negative amount) of exactly the
+ * same size on a different account within the window; when several inflows fit,
+ * the one closest in date wins. Each transaction is used at most once.
+ * @param {Array} transactions - Candidates sorted oldest first
+ * @param {Object} options - { windowDays }
+ * @returns {Array} Pairs of { outflowId, inflowId, amount, days }
+ */
+export function findTransferPairs(transactions, options = {}) {
+  const windowDays = options.windowDays ?? 3;
+
+  const inflowsByAmount = new Map();
+  for (const txn of transactions) {
+    if (txn.amount < 0) {
+      const cents = toCents(txn.amount);
+      if (!inflowsByAmount.has(cents)) {
+        inflowsByAmount.set(cents, []);
+      }
+      inflowsByAmount.get(cents).push(txn);
+    }
+  }
+
+  const matched = new Set();
+  const pairs = [];
+
+  for (const outflow of transactions) {
+    if (!(outflow.amount > 0)) {
+      continue;
+    }
+
+    let best = null;
+    let bestDays = Infinity;
+    for (const inflow of inflowsByAmount.get(toCents(outflow.amount)) || []) {
+      if (matched.has(inflow.transaction_id) || inflow.account_name === outflow.account_name) {
+        continue;
+      }
+      const days = Math.abs(daysBetween(outflow.date, inflow.date));
+      if (days <= windowDays && days < bestDays) {
+        best = inflow;
+        bestDays = days;
+      }
+    }
+
+    if (best) {
+      matched.add(best.transaction_id);
+      pairs.push({
+        outflowId: outflow.transaction_id,
+        inflowId: best.transaction_id,
+        amount: outflow.amount,
+        days: bestDays
+      });
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Scan transactions for transfers between the user's accounts and flag them
+ * @returns {Object} Detection summary
+ */
+export function detectTransfers() {
+  const transactions = database.getTransferCandidates();
+
+  const pairs = findTransferPairs(transactions, {
+    windowDays: database.getSetting('transfer_match_window_days')
+  });
+
+  const { saved } = database.saveTransferPairs(pairs);
+
+  console.log(`🔄 Transfer detection: ${saved} pair(s) found in ${transactions.length} transactions`);
+
+  return {
+    scanned: transactions.length,
+    pairs: saved
+  };
+}
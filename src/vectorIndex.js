@@ -0,0 +1,300 @@
+// ============================================================================
+// EMBEDDING VECTORS
+// ============================================================================
+
+/**
+ * Embeddings are stored as little-endian Float32 blobs (4 bytes per dimension)
+ */
+export function toVectorBlob(vector) {
+  return Buffer.from(Float32Array.from(vector).buffer);
+}
+
+/**
+ * Decode a stored blob (copied, since SQLite's buffers aren't 4-byte aligned)
+ * @returns {Float32Array}
+ */
+export function fromVectorBlob(blob) {
+  if (!blob || blob.length === 0) {
+    return new Float32Array(0);
+  }
+  return new Float32Array(new Uint8Array(blob).buffer);
+}
+
+/**
+ * Scale a vector to unit length so cosine similarity is a dot product
+ * @returns {Float32Array|null} Null for an all-zero vector
+ */
+export function normalizeVector(vector) {
+  const result = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < result.length; i++) {
+    norm += result[i] * result[i];
+  }
+  if (norm === 0) {
+    return null;
+  }
+  norm = Math.sqrt(norm);
+  for (let i = 0; i < result.length; i++) {
+    result[i] /= norm;
+  }
+  return result;
+}
+
+// Unrolled: every search and k-means pass spends nearly all its time here
+function dot(a, b) {
+  const length = a.length;
+  const tail = length % 4;
+  let s0 = 0;
+  let s1 = 0;
+  let s2 = 0;
+  let s3 = 0;
+  for (let i = 0; i < length - tail; i += 4) {
+    s0 += a[i] * b[i];
+    s1 += a[i + 1] * b[i + 1];
+    s2 += a[i + 2] * b[i + 2];
+    s3 += a[i + 3] * b[i + 3];
+  }
+  for (let i = length - tail; i < length; i++) {
+    s0 += a[i] * b[i];
+  }
+  return s0 + s1 + s2 + s3;
+}
+
+// ============================================================================
+// IVF INDEX
+// ============================================================================
+
+// Below this many vectors a single list (an exact scan) is fast enough
+const FLAT_LIMIT = 1000;
+
+// Vectors per list that k-means is trained on (the rest are only assigned)
+const TRAINING_SAMPLE_PER_LIST = 16;
+const TRAINING_ITERATIONS = 8;
+
+/**
+ * Approximate nearest-neighbour index over unit vectors (cosine similarity):
+ * an inverted file (IVF). Vectors are clustered with k-means into about
+ * sqrt(n) lists; a search compares the query with each list's centroid and
+ * scans only the nprobe closest lists, so a query over 40,000 vectors reads
+ * about 2,600 of them (200 centroids, then 12 lists of ~200).
+ *
+ * Vectors can be added and removed at any time. New vectors join the list of
+ * their closest centroid; once the index has doubled in size since the
+ * centroids were trained it re-clusters itself, so the lists stay balanced
+ * as confirmations accumulate.
+ */
+export class IvfIndex {
+  /**
+   * @param {Object} options - { nprobe: lists scanned per search (default 12) }
+   */
+  constructor(options = {}) {
+    this.nprobe = options.nprobe || 12;
+    this.vectors = new Map(); // id -> unit vector
+    this.listById = new Map(); // id -> list number
+    this.centroids = [];
+    this.lists = [];
+    this.trainedSize = 0;
+  }
+
+  /**
+   * Number of vectors
+   */
+  get size() {
+    return this.vectors.size;
+  }
+
+  /**
+   * Replace the contents with a batch of vectors, clustering once at the end
+   * @param {Iterable<{id: number, vector: Array<number>|Float32Array}>} entries
+   */
+  load(entries) {
+    this.vectors.clear();
+    for (const { id, vector } of entries) {
+      const unit = normalizeVector(vector);
+      if (unit) {
+        this.vectors.set(id, unit);
+      }
+    }
+    this.train();
+  }
+
+  /**
+   * Add or replace a vector
+   * @param {number} id - Caller's key (an ai_embeddings row ID)
+   * @param {Array<number>|Float32Array} vector - Normalized here
+   * @returns {boolean} False if the vector was all zeros
+   */
+  add(id, vector) {
+    const unit = normalizeVector(vector);
+    if (!unit) {
+      return false;
+    }
+    this.remove(id);
+    this.vectors.set(id, unit);
+
+    if (this.size > Math.max(this.trainedSize * 2, FLAT_LIMIT)) {
+      this.train();
+    } else {
+      this.assign(id, unit);
+    }
+    return true;
+  }
+
+  /**
+   * Remove a vector (a no-op for unknown IDs)
+   */
+  remove(id) {
+    const listNumber = this.listById.get(id);
+    if (listNumber === undefined) {
+      return false;
+    }
+    const list = this.lists[listNumber];
+    const position = list.indexOf(id);
+    list[position] = list[list.length - 1];
+    list.pop();
+    this.listById.delete(id);
+    this.vectors.delete(id);
+    return true;
+  }
+
+  /**
+   * Find the k most similar vectors
+   * @param {Array<number>|Float32Array} vector - Query vector (same length as the indexed ones)
+   * @param {number} k - Results wanted
+   * @returns {Array<{id: number, similarity: number}>} Most similar first
+   */
+  search(vector, k = 5) {
+    const unit = normalizeVector(vector);
+    if (!unit || this.size === 0) {
+      return [];
+    }
+
+    const probed = this.centroids
+      .map((centroid, listNumber) => ({ listNumber, similarity: dot(unit, centroid) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, this.nprobe);
+
+    const best = [];
+    for (const { listNumber } of probed) {
+      for (const id of this.lists[listNumber]) {
+        const similarity = dot(unit, this.vectors.get(id));
+        if (best.length < k || similarity > best[best.length - 1].similarity) {
+          insertSorted(best, { id, similarity });
+          if (best.length > k) {
+            best.pop();
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Cluster every vector into lists (spherical k-means on a sample, then
+   * assign the rest)
+   */
+  train() {
+    const ids = [...this.vectors.keys()];
+    const listCount = ids.length <= FLAT_LIMIT ? 1 : Math.round(Math.sqrt(ids.length));
+
+    if (listCount === 1) {
+      this.centroids = ids.length > 0 ? [this.vectors.get(ids[0])] : [];
+    } else {
+      const sample = shuffle(ids).slice(0, listCount * TRAINING_SAMPLE_PER_LIST).map(id => this.vectors.get(id));
+      this.centroids = kMeans(sample, listCount);
+    }
+
+    this.lists = this.centroids.map(() => []);
+    this.listById.clear();
+    for (const id of ids) {
+      this.assign(id, this.vectors.get(id));
+    }
+    this.trainedSize = ids.length;
+  }
+
+  /**
+   * Put a vector in the list of its closest centroid
+   */
+  assign(id, unit) {
+    if (this.centroids.length === 0) {
+      this.centroids = [unit];
+      this.lists = [[]];
+    }
+    const listNumber = closestCentroid(this.centroids, unit);
+    this.lists[listNumber].push(id);
+    this.listById.set(id, listNumber);
+  }
+}
+
+function closestCentroid(centroids, unit) {
+  let best = 0;
+  let bestSimilarity = -Infinity;
+  for (let i = 0; i < centroids.length; i++) {
+    const similarity = dot(unit, centroids[i]);
+    if (similarity > bestSimilarity) {
+      bestSimilarity = similarity;
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Spherical k-means: centroids are the normalized mean of their members.
+ * Starts from k distinct sample vectors; a centroid that loses all its
+ * members keeps its previous position.
+ */
+function kMeans(sample, k) {
+  let centroids = sample.slice(0, k);
+  const assignments = new Int32Array(sample.length).fill(-1);
+
+  for (let iteration = 0; iteration < TRAINING_ITERATIONS; iteration++) {
+    let changed = 0;
+    for (let i = 0; i < sample.length; i++) {
+      const listNumber = closestCentroid(centroids, sample[i]);
+      if (assignments[i] !== listNumber) {
+        assignments[i] = listNumber;
+        changed++;
+      }
+    }
+    if (changed === 0) break;
+
+    const sums = centroids.map(c => new Float32Array(c.length));
+    for (let i = 0; i < sample.length; i++) {
+      const sum = sums[assignments[i]];
+      const vector = sample[i];
+      for (let d = 0; d < vector.length; d++) {
+        sum[d] += vector[d];
+      }
+    }
+    centroids = sums.map((sum, i) => normalizeVector(sum) || centroids[i]);
+  }
+
+  return centroids;
+}
+
+function shuffle(list) {
+  const result = list.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Insert into an array kept sorted by similarity, highest first
+ */
+function insertSorted(list, entry) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid].similarity >= entry.similarity) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  list.splice(low, 0, entry);
+}